@@ -32,6 +32,8 @@ const { swaggerSpec, swaggerUi } = require('./config/swagger');
 // Import batch jobs
 const { initializeBatchJobs, stopBatchJobs } = require('./batches');
 const assetExportJobService = require('./services/assetExportJobService')
+const assetImportJobService = require('./services/assetImportJobService')
+const roleService = require('./services/roleService')
 
 var app = express();
 
@@ -141,6 +143,14 @@ try {
   logger.error('Failed to initialize batch jobs:', error.message);
 }
 
+// Load role permissions from the database; the built-in defaults apply until then
+roleService.refresh().catch((error) => {
+  logger.error('Failed to load role permissions', {
+    message: error.message,
+    stack: error.stack,
+  })
+})
+
 assetExportJobService.resumePendingJobs().catch((error) => {
   logger.error('Failed to resume asset export jobs', {
     message: error.message,
@@ -148,6 +158,13 @@ assetExportJobService.resumePendingJobs().catch((error) => {
   })
 })
 
+assetImportJobService.resumePendingJobs().catch((error) => {
+  logger.error('Failed to resume asset import jobs', {
+    message: error.message,
+    stack: error.stack,
+  })
+})
+
 // Graceful shutdown handling for batch jobs
 process.on('SIGINT', () => {
   logger.info('Received SIGINT, shutting down batch jobs...');
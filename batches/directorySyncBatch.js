@@ -0,0 +1,45 @@
+const directorySyncService = require('../services/directorySyncService');
+
+/**
+ * Directory sync batch job to create, update and terminate users and create
+ * departments from the LDAP / Active Directory directory (see LDAP_* in
+ * env.example). Run with --dry-run to only print what would change.
+ */
+async function main({ dryRun = false } = {}) {
+    console.log(`Starting directory sync batch job${dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        const report = await directorySyncService.sync({ dryRun });
+        const { summary } = report;
+
+        console.log(`\nDirectory sync completed:`);
+        console.log(`- Directory users: ${report.directory.users} (${report.directory.disabled_users} disabled)`);
+        console.log(`- Users created: ${summary.created}`);
+        console.log(`- Users updated: ${summary.updated}`);
+        console.log(`- Users unchanged: ${summary.unchanged}`);
+        console.log(`- Users terminated: ${summary.terminated}`);
+        console.log(`- Users offboarding (still holding assets): ${summary.offboarding}`);
+        console.log(`- Users skipped: ${summary.skipped}`);
+        console.log(`- Departments created: ${summary.departments_created}`);
+
+        if (dryRun) {
+            report.changes.forEach((change) => {
+                console.log(`  ${change.action}: ${change.email || change.dn}${change.reason ? ` (${change.reason})` : ''}`);
+            });
+        }
+
+        return report;
+    } catch (error) {
+        console.error('Error during directory sync:', error.message);
+        throw error;
+    }
+}
+
+// Run the batch job
+if (require.main === module) {
+    main({ dryRun: process.argv.includes('--dry-run') })
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+}
+
+module.exports = { main };
@@ -1,5 +1,12 @@
 const cron = require('node-cron');
 const { main: removeLogsBatch } = require('./removeLogsBatch');
+const { main: purgeTrashBatch } = require('./purgeTrashBatch');
+const { main: warrantyExpiryBatch } = require('./warrantyExpiryBatch');
+const { main: maintenanceDueBatch } = require('./maintenanceDueBatch');
+const { main: licenseAlertBatch } = require('./licenseAlertBatch');
+const { main: webhookDeliveryBatch } = require('./webhookDeliveryBatch');
+const { main: directorySyncBatch } = require('./directorySyncBatch');
+const directorySyncService = require('../services/directorySyncService');
 
 /**
  * Initialize and start all batch jobs
@@ -31,9 +38,127 @@ function initializeBatchJobs() {
     // Uncomment the line below if you want to run it once when the server starts
     // console.log('Running initial log cleanup...');
     // removeLogsBatch();
+
+    // Schedule trash purge to run every day at 2:00 AM
+    // 0 2 * * * = At 02:00 every day
+    const trashPurgeJob = cron.schedule('0 2 * * *', async () => {
+        console.log('Starting scheduled trash purge job at:', new Date().toISOString());
+        try {
+            await purgeTrashBatch();
+            console.log('Scheduled trash purge job completed successfully');
+        } catch (error) {
+            console.error('Error in scheduled trash purge job:', error.message);
+        }
+    }, {
+        scheduled: false,
+        timezone: "UTC"
+    });
+
+    trashPurgeJob.start();
+    console.log('Trash purge job scheduled to run daily at 2:00 AM UTC');
+
+    // Schedule warranty expiry alerts to run every day at 7:00 AM
+    // 0 7 * * * = At 07:00 every day
+    const warrantyExpiryJob = cron.schedule('0 7 * * *', async () => {
+        console.log('Starting scheduled warranty expiry job at:', new Date().toISOString());
+        try {
+            await warrantyExpiryBatch();
+            console.log('Scheduled warranty expiry job completed successfully');
+        } catch (error) {
+            console.error('Error in scheduled warranty expiry job:', error.message);
+        }
+    }, {
+        scheduled: false,
+        timezone: "UTC"
+    });
+
+    warrantyExpiryJob.start();
+    console.log('Warranty expiry job scheduled to run daily at 7:00 AM UTC');
+
+    // Schedule maintenance due alerts to run every day at 7:30 AM
+    // 30 7 * * * = At 07:30 every day
+    const maintenanceDueJob = cron.schedule('30 7 * * *', async () => {
+        console.log('Starting scheduled maintenance due job at:', new Date().toISOString());
+        try {
+            await maintenanceDueBatch();
+            console.log('Scheduled maintenance due job completed successfully');
+        } catch (error) {
+            console.error('Error in scheduled maintenance due job:', error.message);
+        }
+    }, {
+        scheduled: false,
+        timezone: "UTC"
+    });
+
+    maintenanceDueJob.start();
+    console.log('Maintenance due job scheduled to run daily at 7:30 AM UTC');
+
+    // Schedule license renewal and over-allocation alerts to run every day at 7:45 AM
+    // 45 7 * * * = At 07:45 every day
+    const licenseAlertJob = cron.schedule('45 7 * * *', async () => {
+        console.log('Starting scheduled license alert job at:', new Date().toISOString());
+        try {
+            await licenseAlertBatch();
+            console.log('Scheduled license alert job completed successfully');
+        } catch (error) {
+            console.error('Error in scheduled license alert job:', error.message);
+        }
+    }, {
+        scheduled: false,
+        timezone: "UTC"
+    });
+
+    licenseAlertJob.start();
+    console.log('License alert job scheduled to run daily at 7:45 AM UTC');
+
+    // Retry due webhook deliveries every minute
+    // * * * * * = At every minute
+    const webhookDeliveryJob = cron.schedule('* * * * *', async () => {
+        try {
+            await webhookDeliveryBatch();
+        } catch (error) {
+            console.error('Error in scheduled webhook delivery job:', error.message);
+        }
+    }, {
+        scheduled: false,
+        timezone: "UTC",
+        noOverlap: true
+    });
+
+    webhookDeliveryJob.start();
+    console.log('Webhook delivery job scheduled to run every minute');
+
+    // Sync users and departments from LDAP / Active Directory, when configured
+    // Default 0 1 * * * = At 01:00 every day; override with LDAP_SYNC_CRON
+    let directorySyncJob = null;
+    if (directorySyncService.isEnabled()) {
+        const directorySyncSchedule = process.env.LDAP_SYNC_CRON || '0 1 * * *';
+        directorySyncJob = cron.schedule(directorySyncSchedule, async () => {
+            console.log('Starting scheduled directory sync job at:', new Date().toISOString());
+            try {
+                await directorySyncBatch();
+                console.log('Scheduled directory sync job completed successfully');
+            } catch (error) {
+                console.error('Error in scheduled directory sync job:', error.message);
+            }
+        }, {
+            scheduled: false,
+            timezone: "UTC",
+            noOverlap: true
+        });
+
+        directorySyncJob.start();
+        console.log(`Directory sync job scheduled (${directorySyncSchedule} UTC)`);
+    }
     
     return {
-        logCleanupJob
+        logCleanupJob,
+        trashPurgeJob,
+        warrantyExpiryJob,
+        maintenanceDueJob,
+        licenseAlertJob,
+        webhookDeliveryJob,
+        directorySyncJob
     };
 }
 
@@ -46,6 +171,30 @@ function stopBatchJobs(jobs) {
         jobs.logCleanupJob.stop();
         console.log('Log cleanup job stopped');
     }
+    if (jobs && jobs.trashPurgeJob) {
+        jobs.trashPurgeJob.stop();
+        console.log('Trash purge job stopped');
+    }
+    if (jobs && jobs.warrantyExpiryJob) {
+        jobs.warrantyExpiryJob.stop();
+        console.log('Warranty expiry job stopped');
+    }
+    if (jobs && jobs.maintenanceDueJob) {
+        jobs.maintenanceDueJob.stop();
+        console.log('Maintenance due job stopped');
+    }
+    if (jobs && jobs.licenseAlertJob) {
+        jobs.licenseAlertJob.stop();
+        console.log('License alert job stopped');
+    }
+    if (jobs && jobs.webhookDeliveryJob) {
+        jobs.webhookDeliveryJob.stop();
+        console.log('Webhook delivery job stopped');
+    }
+    if (jobs && jobs.directorySyncJob) {
+        jobs.directorySyncJob.stop();
+        console.log('Directory sync job stopped');
+    }
 }
 
 // Export functions for use in other modules
@@ -0,0 +1,35 @@
+const softwareLicenseService = require('../services/softwareLicenseService');
+
+/**
+ * License alert batch job to notify IT managers in-app about software
+ * licenses expiring within LICENSE_ALERT_DAYS (default 30) days and licenses
+ * with more seats assigned than licensed
+ */
+async function main() {
+    console.log('Starting license alert batch job...');
+
+    const days = softwareLicenseService.getAlertDays();
+
+    try {
+        const result = await softwareLicenseService.notifyAlerts({ days });
+
+        console.log(`\nLicense alert check completed:`);
+        console.log(`- Licenses due for renewal within ${days} days: ${result.renewals}`);
+        console.log(`- Over-allocated licenses: ${result.overAllocated}`);
+        console.log(`- Notifications created: ${result.notifications}`);
+
+        return result;
+    } catch (error) {
+        console.error('Error during license alert check:', error.message);
+        throw error;
+    }
+}
+
+// Run the batch job
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+}
+
+module.exports = { main };
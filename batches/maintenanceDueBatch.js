@@ -0,0 +1,36 @@
+const NotificationService = require('../services/notificationService');
+
+const notificationService = new NotificationService();
+
+/**
+ * Maintenance due batch job to notify assignees (or IT managers for
+ * unassigned schedules) in-app about maintenance due within
+ * MAINTENANCE_ALERT_DAYS (default 7) days or overdue
+ */
+async function main() {
+    console.log('Starting maintenance due batch job...');
+
+    const days = notificationService.getMaintenanceAlertDays();
+
+    try {
+        const result = await notificationService.notifyMaintenanceDue({ days });
+
+        console.log(`\nMaintenance due check completed:`);
+        console.log(`- Schedules due within ${days} days or overdue: ${result.schedules}`);
+        console.log(`- Notifications created: ${result.notifications}`);
+
+        return result;
+    } catch (error) {
+        console.error('Error during maintenance due check:', error.message);
+        throw error;
+    }
+}
+
+// Run the batch job
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+}
+
+module.exports = { main };
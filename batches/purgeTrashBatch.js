@@ -0,0 +1,36 @@
+const trashService = require('../services/trashService');
+
+/**
+ * Trash purge batch job to permanently remove soft-deleted assets,
+ * transactions, maintenance records and documents once they have been
+ * in the trash longer than TRASH_RETENTION_DAYS (default 30)
+ */
+async function main() {
+    console.log('Starting trash purge batch job...');
+
+    const retentionDays = trashService.getRetentionDays();
+
+    try {
+        const purged = await trashService.purgeExpired({ retentionDays });
+
+        console.log(`\nTrash purge completed:`);
+        Object.entries(purged).forEach(([type, count]) => {
+            console.log(`- ${type} purged: ${count}`);
+        });
+        console.log(`- Retention period: ${retentionDays} days`);
+
+        return purged;
+    } catch (error) {
+        console.error('Error during trash purge:', error.message);
+        throw error;
+    }
+}
+
+// Run the batch job
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+}
+
+module.exports = { main };
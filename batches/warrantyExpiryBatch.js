@@ -0,0 +1,33 @@
+const warrantyService = require('../services/warrantyService');
+
+/**
+ * Warranty expiry batch job to notify IT managers in-app about assets whose
+ * warranty ends within WARRANTY_ALERT_DAYS (default 30) days
+ */
+async function main() {
+    console.log('Starting warranty expiry batch job...');
+
+    const days = warrantyService.getAlertDays();
+
+    try {
+        const result = await warrantyService.notifyExpiring({ days });
+
+        console.log(`\nWarranty expiry check completed:`);
+        console.log(`- Assets with warranty expiring within ${days} days: ${result.assets}`);
+        console.log(`- Notifications created: ${result.notifications}`);
+
+        return result;
+    } catch (error) {
+        console.error('Error during warranty expiry check:', error.message);
+        throw error;
+    }
+}
+
+// Run the batch job
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+}
+
+module.exports = { main };
@@ -0,0 +1,31 @@
+const webhookService = require('../services/webhookService');
+
+/**
+ * Webhook delivery batch job to retry pending webhook deliveries whose
+ * backoff delay has passed
+ */
+async function main() {
+    try {
+        const result = await webhookService.processDueDeliveries();
+
+        if (result.processed) {
+            console.log(`\nWebhook delivery retry completed:`);
+            console.log(`- Deliveries attempted: ${result.processed}`);
+            console.log(`- Deliveries succeeded: ${result.succeeded}`);
+        }
+
+        return result;
+    } catch (error) {
+        console.error('Error during webhook delivery retry:', error.message);
+        throw error;
+    }
+}
+
+// Run the batch job
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+}
+
+module.exports = { main };
@@ -34,6 +34,12 @@ const swaggerDefinition = {
         scheme: 'bearer',
         bearerFormat: 'JWT',
         description: 'Enter JWT token'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'API key issued by an admin (see API Keys)'
       }
     },
     schemas: {
@@ -100,7 +106,7 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['admin', 'manager', 'employee'],
+            description: 'Name of a role (see /api/roles)',
             example: 'employee'
           },
           department_id: {
@@ -157,11 +163,63 @@ const swaggerDefinition = {
             type: 'string',
             format: 'date'
           },
-          purchase_price: {
+          purchase_cost: {
             type: 'number',
             format: 'float',
             example: 1200.00
           },
+          salvage_value: {
+            type: 'number',
+            format: 'float',
+            example: 100.00
+          },
+          depreciation_method: {
+            type: 'string',
+            enum: ['straight_line', 'declining_balance'],
+            nullable: true,
+            description: 'Overrides the category depreciation method'
+          },
+          disposal_date: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            description: 'Set to the current date when the asset is disposed of, unless given'
+          },
+          warranty_start_date: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            description: 'Defaults to purchase_date'
+          },
+          warranty_end_date: {
+            type: 'string',
+            format: 'date',
+            nullable: true,
+            description: 'Defaults to the warranty start plus the category default_warranty_months'
+          },
+          warranty_provider: {
+            type: 'string',
+            example: 'Dell ProSupport'
+          },
+          warranty_reference: {
+            type: 'string',
+            example: 'CN-448120'
+          },
+          warranty_contact: {
+            type: 'string',
+            example: 'support@dell.example'
+          },
+          warranty_expires_on: {
+            type: 'string',
+            format: 'date',
+            readOnly: true,
+            description: 'Effective warranty end date'
+          },
+          warranty_status: {
+            type: 'string',
+            enum: ['active', 'expiring', 'expired', 'none'],
+            readOnly: true
+          },
           location: {
             type: 'string',
             example: 'Office Building A, Floor 2'
@@ -268,6 +326,716 @@ const swaggerDefinition = {
           }
         }
       },
+      UserLockout: {
+        type: 'object',
+        properties: {
+          locked: {
+            type: 'boolean',
+            example: false
+          },
+          locked_until: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          failed_login_count: {
+            type: 'integer',
+            example: 0
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          api_key_id: {
+            type: 'integer',
+            example: 1
+          },
+          name: {
+            type: 'string',
+            example: 'Network scanner'
+          },
+          key_prefix: {
+            type: 'string',
+            description: 'First characters of the key',
+            example: 'amk_9fQk2xLw'
+          },
+          user_id: {
+            type: 'integer',
+            description: 'User the key acts as'
+          },
+          permissions: {
+            type: 'object',
+            additionalProperties: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            }
+          },
+          allowed_ips: {
+            type: 'array',
+            nullable: true,
+            items: {
+              type: 'string'
+            }
+          },
+          expires_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          last_used_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          last_used_ip: {
+            type: 'string',
+            nullable: true
+          },
+          revoked_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          active: {
+            type: 'boolean',
+            description: 'Not revoked and not expired'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      DirectorySyncReport: {
+        type: 'object',
+        properties: {
+          dry_run: {
+            type: 'boolean'
+          },
+          started_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          finished_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          directory: {
+            type: 'object',
+            properties: {
+              users: { type: 'integer', example: 120 },
+              disabled_users: { type: 'integer', example: 4 },
+              groups: { type: 'integer', example: 12 }
+            }
+          },
+          summary: {
+            type: 'object',
+            properties: {
+              created: { type: 'integer', example: 3 },
+              updated: { type: 'integer', example: 5 },
+              unchanged: { type: 'integer', example: 108 },
+              terminated: { type: 'integer', example: 2 },
+              offboarding: { type: 'integer', example: 1 },
+              skipped: { type: 'integer', example: 0 },
+              departments_created: { type: 'integer', example: 1 }
+            }
+          },
+          departments_created: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                action: {
+                  type: 'string',
+                  enum: ['created', 'updated', 'terminated', 'offboarding', 'skipped']
+                },
+                user_id: {
+                  type: 'integer'
+                },
+                dn: {
+                  type: 'string',
+                  example: 'uid=jdoe,ou=people,dc=example,dc=org'
+                },
+                email: {
+                  type: 'string'
+                },
+                changes: {
+                  type: 'object',
+                  description: 'Changed fields as { from, to }',
+                  example: { position: { from: 'Analyst', to: 'Senior Analyst' } }
+                },
+                reason: {
+                  type: 'string',
+                  description: 'Why a user was skipped'
+                }
+              }
+            }
+          }
+        }
+      },
+      AssetKit: {
+        type: 'object',
+        properties: {
+          kit_id: {
+            type: 'integer',
+            example: 1
+          },
+          name: {
+            type: 'string',
+            example: 'Engineer starter kit'
+          },
+          description: {
+            type: 'string',
+            nullable: true
+          },
+          department_id: {
+            type: 'integer',
+            nullable: true
+          },
+          position: {
+            type: 'string',
+            nullable: true,
+            example: 'Software Engineer'
+          },
+          is_active: {
+            type: 'boolean'
+          },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                category_id: {
+                  type: 'integer'
+                },
+                quantity: {
+                  type: 'integer',
+                  example: 1
+                },
+                category: {
+                  type: 'object',
+                  properties: {
+                    category_id: { type: 'integer' },
+                    name: { type: 'string', example: 'Laptop' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      AssetKitIssue: {
+        type: 'object',
+        description: 'Handover record of a kit issued to a user',
+        properties: {
+          kit_issue_id: {
+            type: 'integer',
+            example: 1
+          },
+          kit_id: {
+            type: 'integer',
+            nullable: true
+          },
+          kit_name: {
+            type: 'string',
+            description: 'Kit name when it was issued'
+          },
+          user_id: {
+            type: 'integer'
+          },
+          issued_by: {
+            type: 'integer',
+            nullable: true
+          },
+          notes: {
+            type: 'string',
+            nullable: true
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          transactions: {
+            type: 'array',
+            description: 'Assign transactions of the issued assets',
+            items: {
+              type: 'object',
+              properties: {
+                transaction_id: { type: 'integer' },
+                asset_id: { type: 'integer' },
+                status: { type: 'string', example: 'accepted' },
+                asset: {
+                  type: 'object',
+                  properties: {
+                    asset_id: { type: 'integer' },
+                    asset_tag: { type: 'string' },
+                    barcode: { type: 'string' },
+                    status: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      UserOffboarding: {
+        type: 'object',
+        properties: {
+          offboarding_id: {
+            type: 'integer',
+            example: 1
+          },
+          user_id: {
+            type: 'integer'
+          },
+          status: {
+            type: 'string',
+            enum: ['in_progress', 'completed', 'cancelled']
+          },
+          notes: {
+            type: 'string',
+            nullable: true
+          },
+          started_by: {
+            type: 'integer',
+            nullable: true
+          },
+          completed_by: {
+            type: 'integer',
+            nullable: true
+          },
+          completed_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          cancelled_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          outstanding: {
+            type: 'integer',
+            description: 'Assets neither returned nor written off'
+          },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                offboarding_item_id: {
+                  type: 'integer'
+                },
+                asset_id: {
+                  type: 'integer'
+                },
+                transaction_id: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Return transaction opened for the asset'
+                },
+                resolution: {
+                  type: 'string',
+                  enum: ['pending', 'returned', 'written_off']
+                },
+                write_off_reason: {
+                  type: 'string',
+                  nullable: true
+                },
+                resolved_at: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true
+                }
+              }
+            }
+          },
+          checklist: {
+            type: 'object',
+            nullable: true,
+            description: 'Checklist frozen when the offboarding was completed'
+          },
+          signature: {
+            type: 'string',
+            nullable: true,
+            description: 'HMAC-SHA256 of the checklist'
+          },
+          signature_valid: {
+            type: 'boolean',
+            nullable: true,
+            description: 'Whether the checklist still matches its signature; null until completed'
+          }
+        }
+      },
+      AssetRelationshipType: {
+        type: 'object',
+        description: 'Reads as "<source> <display_name> <target>"; inverse_name is shown from the target side',
+        properties: {
+          relationship_type_id: {
+            type: 'integer',
+            example: 1
+          },
+          name: {
+            type: 'string',
+            example: 'depends_on'
+          },
+          display_name: {
+            type: 'string',
+            example: 'depends on'
+          },
+          inverse_name: {
+            type: 'string',
+            nullable: true,
+            example: 'required by'
+          },
+          description: {
+            type: 'string',
+            nullable: true
+          },
+          is_directional: {
+            type: 'boolean',
+            description: 'False links both assets the same way (e.g. connected to)'
+          },
+          propagates_impact: {
+            type: 'boolean',
+            description: 'Whether impact analysis follows links of this type'
+          },
+          is_system: {
+            type: 'boolean',
+            description: 'Built-in types cannot be deleted'
+          },
+          relationship_count: {
+            type: 'integer'
+          }
+        }
+      },
+      AssetRelationship: {
+        type: 'object',
+        description: 'A link as seen from one of its assets',
+        properties: {
+          asset_relationship_id: {
+            type: 'integer',
+            example: 1
+          },
+          relationship_type_id: {
+            type: 'integer'
+          },
+          type: {
+            type: 'string',
+            example: 'depends_on'
+          },
+          direction: {
+            type: 'string',
+            enum: ['outgoing', 'incoming'],
+            description: 'outgoing when the asset is the source of the link'
+          },
+          label: {
+            type: 'string',
+            example: 'required by'
+          },
+          asset: {
+            type: 'object',
+            description: 'The other asset of the link',
+            properties: {
+              asset_id: { type: 'integer' },
+              asset_tag: { type: 'string' },
+              status: { type: 'string' }
+            }
+          },
+          notes: {
+            type: 'string',
+            nullable: true
+          },
+          created_by: {
+            type: 'integer',
+            nullable: true
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      AssetImpact: {
+        type: 'object',
+        properties: {
+          asset: {
+            type: 'object',
+            description: 'Asset the outage starts from'
+          },
+          depth: {
+            type: 'integer',
+            example: 3
+          },
+          impacted_count: {
+            type: 'integer'
+          },
+          hidden_count: {
+            type: 'integer',
+            description: 'Impacted assets outside your access scope, left out of the list'
+          },
+          impacted: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                asset_id: { type: 'integer' },
+                asset_tag: { type: 'string' },
+                status: { type: 'string' },
+                hops: { type: 'integer', example: 1 },
+                via: {
+                  type: 'object',
+                  properties: {
+                    asset_id: {
+                      type: 'integer',
+                      nullable: true,
+                      description: 'Null when the asset is outside your access scope'
+                    },
+                    relationship_id: {
+                      type: 'integer',
+                      nullable: true,
+                      description: 'Null when the asset it leads from is outside your access scope'
+                    },
+                    relationship: { type: 'string', example: 'depends on' }
+                  }
+                },
+                path: {
+                  type: 'array',
+                  description: 'Asset ids from the starting asset to this one; assets outside your access scope are null',
+                  items: { type: 'integer', nullable: true }
+                }
+              }
+            }
+          }
+        }
+      },
+      Consumable: {
+        type: 'object',
+        properties: {
+          consumable_id: { type: 'integer', readOnly: true },
+          name: { type: 'string', example: 'HP 305 toner' },
+          sku: { type: 'string', example: 'HP-305-BK' },
+          unit: { type: 'string', example: 'pcs' },
+          description: { type: 'string' },
+          is_active: { type: 'boolean' },
+          stocks: {
+            type: 'array',
+            readOnly: true,
+            items: { $ref: '#/components/schemas/ConsumableStock' }
+          },
+          total_quantity: {
+            type: 'integer',
+            readOnly: true,
+            description: 'Quantity on hand across the listed stocks'
+          },
+          low_stock: {
+            type: 'boolean',
+            readOnly: true,
+            description: 'Whether any listed stock is at or below its reorder level'
+          }
+        }
+      },
+      ConsumableStock: {
+        type: 'object',
+        properties: {
+          consumable_stock_id: { type: 'integer' },
+          consumable_id: { type: 'integer' },
+          location_id: { type: 'integer' },
+          building_id: { type: 'integer', description: 'Building of the room, if any' },
+          room_id: { type: 'integer', description: 'Null for stock held at the location as a whole' },
+          quantity: { type: 'integer', example: 12 },
+          reorder_level: { type: 'integer', example: 5, description: '0 disables low-stock alerts' },
+          low_stock: { type: 'boolean' },
+          low_stock_notified_at: { type: 'string', format: 'date-time' },
+          location: { type: 'object' },
+          room: { type: 'object' }
+        }
+      },
+      ConsumableMovement: {
+        type: 'object',
+        properties: {
+          consumable_movement_id: { type: 'integer' },
+          consumable_id: { type: 'integer' },
+          consumable_stock_id: { type: 'integer' },
+          movement_type: { type: 'string', enum: ['stock_in', 'stock_out', 'issue'] },
+          quantity_change: { type: 'integer', example: -2, description: 'Negative for stock leaving' },
+          quantity_after: { type: 'integer', example: 10 },
+          transaction_id: { type: 'integer', description: 'issue_consumable transaction of an issue' },
+          issued_to: { type: 'integer' },
+          notes: { type: 'string' },
+          performed_by: { type: 'integer' },
+          created_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      SoftwareLicense: {
+        type: 'object',
+        properties: {
+          license_id: { type: 'integer', readOnly: true },
+          name: { type: 'string', example: 'Microsoft 365 Business' },
+          vendor: { type: 'string', example: 'Microsoft' },
+          license_type: { type: 'string', enum: ['per_seat', 'per_device', 'site', 'subscription'] },
+          license_key: { type: 'string', description: 'Only returned by the detail endpoint' },
+          seat_count: {
+            type: 'integer',
+            example: 25,
+            description: 'Required except for site licenses (no limit) and optional for subscriptions'
+          },
+          purchase_date: { type: 'string', format: 'date' },
+          expiry_date: { type: 'string', format: 'date', description: 'Expiry, or renewal date of a subscription' },
+          cost: { type: 'number', example: 1250.0 },
+          notes: { type: 'string' },
+          is_active: { type: 'boolean' },
+          has_license_key: { type: 'boolean', readOnly: true },
+          seats_used: { type: 'integer', readOnly: true },
+          seats_available: { type: 'integer', readOnly: true, description: 'Null without a seat limit' },
+          over_allocated: { type: 'boolean', readOnly: true },
+          expiry_status: { type: 'string', enum: ['active', 'expiring', 'expired', 'none'], readOnly: true },
+          days_until_expiry: { type: 'integer', readOnly: true },
+          seats: {
+            type: 'array',
+            readOnly: true,
+            items: { $ref: '#/components/schemas/SoftwareLicenseSeat' }
+          }
+        }
+      },
+      SoftwareLicenseSeat: {
+        type: 'object',
+        properties: {
+          seat_id: { type: 'integer' },
+          license_id: { type: 'integer' },
+          user_id: { type: 'integer' },
+          asset_id: { type: 'integer' },
+          notes: { type: 'string' },
+          assigned_by: { type: 'integer' },
+          created_at: { type: 'string', format: 'date-time' },
+          user: { type: 'object' },
+          asset: { type: 'object' }
+        }
+      },
+      UserAccessScope: {
+        type: 'object',
+        properties: {
+          access_scope_id: {
+            type: 'integer',
+            example: 1
+          },
+          scope_type: {
+            type: 'string',
+            enum: ['department', 'location', 'building'],
+            example: 'department'
+          },
+          target_id: {
+            type: 'integer',
+            description: 'ID of the department, location or building',
+            example: 3
+          },
+          target_name: {
+            type: 'string',
+            nullable: true,
+            example: 'Finance'
+          }
+        }
+      },
+      Role: {
+        type: 'object',
+        properties: {
+          role_id: {
+            type: 'integer',
+            example: 4
+          },
+          name: {
+            type: 'string',
+            description: 'Value stored in users.role; cannot be changed',
+            example: 'auditor'
+          },
+          display_name: {
+            type: 'string',
+            example: 'Auditor'
+          },
+          description: {
+            type: 'string',
+            nullable: true,
+            example: 'Read-only access to assets and transactions'
+          },
+          permissions: {
+            type: 'object',
+            description: 'Granted permissions by module',
+            additionalProperties: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            example: {
+              assets: ['list', 'get_by_id'],
+              transactions: ['list', 'get_by_id']
+            }
+          },
+          is_system: {
+            type: 'boolean',
+            description: 'Built-in roles cannot be deleted',
+            example: false
+          },
+          user_count: {
+            type: 'integer',
+            example: 2
+          }
+        }
+      },
+      Notification: {
+        type: 'object',
+        properties: {
+          notification_id: {
+            type: 'integer',
+            example: 1
+          },
+          user_id: {
+            type: 'integer',
+            example: 1
+          },
+          type: {
+            type: 'string',
+            example: 'transaction_accepted'
+          },
+          title: {
+            type: 'string',
+            example: 'Transaction accepted: LAP-001'
+          },
+          message: {
+            type: 'string',
+            example: 'Transaction #12 (assign) for LAP-001 was accepted.'
+          },
+          entity_type: {
+            type: 'string',
+            example: 'asset_transaction'
+          },
+          entity_id: {
+            type: 'integer',
+            example: 12
+          },
+          data: {
+            type: 'object'
+          },
+          read_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
       LoginRequest: {
         type: 'object',
         required: ['email', 'password'],
@@ -316,7 +1084,7 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['admin', 'manager', 'employee'],
+            description: 'Name of a role (see /api/roles)',
             example: 'employee'
           }
         }
@@ -342,6 +1110,9 @@ const swaggerDefinition = {
   security: [
     {
       bearerAuth: []
+    },
+    {
+      apiKeyAuth: []
     }
   ]
 };
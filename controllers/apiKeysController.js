@@ -0,0 +1,163 @@
+const logger = require('../utils/logger')
+const apiKeyService = require('../services/apiKeyService')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'API key not found',
+  })
+
+// List API keys
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.list({
+      includeRevoked: req.query.include_revoked === 'true',
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: apiKeys,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_api_keys',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve API keys')
+  }
+}
+
+// Get an API key
+const getApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.getById(req.params.id)
+    if (!apiKey) {
+      return sendNotFound(res)
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key retrieved successfully',
+      data: apiKey,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_api_key',
+      userId: req.user?.user_id,
+      apiKeyId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve API key')
+  }
+}
+
+// Issue an API key. The key itself is only returned in this response.
+const createApiKey = async (req, res) => {
+  try {
+    const { api_key: apiKey, key } = await apiKeyService.create(
+      req.body,
+      req.user.user_id,
+    )
+
+    logger.logBusiness('api_key_created', {
+      userId: req.user?.user_id,
+      apiKeyId: apiKey.api_key_id,
+      apiKeyName: apiKey.name,
+      actsAsUserId: apiKey.user_id,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now; it cannot be shown again.',
+      data: { ...apiKey, key },
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_api_key',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create API key')
+  }
+}
+
+// Change an API key's name, permissions, IP allowlist or expiry
+const updateApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.update(req.params.id, req.body)
+    if (!apiKey) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('api_key_updated', {
+      userId: req.user?.user_id,
+      apiKeyId: apiKey.api_key_id,
+      updatedFields: Object.keys(req.body || {}),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_api_key',
+      userId: req.user?.user_id,
+      apiKeyId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update API key')
+  }
+}
+
+// Revoke an API key
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id, req.user.user_id)
+    if (!apiKey) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('api_key_revoked', {
+      userId: req.user?.user_id,
+      apiKeyId: apiKey.api_key_id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'revoke_api_key',
+      userId: req.user?.user_id,
+      apiKeyId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to revoke API key')
+  }
+}
+
+module.exports = {
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+}
@@ -0,0 +1,422 @@
+const multer = require('multer')
+const path = require('path')
+const fs = require('fs')
+const logger = require('../utils/logger')
+const assetImportJobService = require('../services/assetImportJobService')
+const { SUPPORTED_EXTENSIONS } = require('../utils/spreadsheetReader')
+
+// Import files hold bulk asset data, so they are kept outside public/
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = assetImportJobService.storageDir
+
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true })
+    }
+
+    cb(null, uploadPath)
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9)
+    const fileExtension = path.extname(file.originalname).toLowerCase()
+    cb(null, 'import-' + uniqueSuffix + fileExtension)
+  },
+})
+
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname || '').toLowerCase()
+  if (SUPPORTED_EXTENSIONS.includes(extension)) {
+    cb(null, true)
+  } else {
+    cb(
+      new Error(
+        `Invalid file type. Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`,
+      ),
+      false,
+    )
+  }
+}
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB, matches requestSizeLimit
+    files: 1,
+  },
+})
+
+const removeUploadedFile = async (file) => {
+  if (!file?.path) return
+  try {
+    await fs.promises.unlink(file.path)
+  } catch (error) {
+    logger.warn('Failed to delete rejected import upload', {
+      filePath: file.path,
+    })
+  }
+}
+
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue
+  }
+  if (typeof value === 'boolean') return value
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase())
+}
+
+const parseMapping = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  if (typeof value === 'object') return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    throw new Error('mapping must be valid JSON')
+  }
+}
+
+const buildStatusPath = (job) =>
+  job.job_type === assetImportJobService.REIMPORT_JOB_TYPE
+    ? `/api/assets/reimport/${job.import_job_id}`
+    : `/api/assets/import/${job.import_job_id}`
+
+const serializeImportJob = (job) => ({
+  job_id: job.import_job_id,
+  job_type: job.job_type,
+  status: job.status,
+  dry_run: job.dry_run,
+  source_job_id: job.source_job_id,
+  form_id: job.form_id,
+  file_name: job.original_file_name,
+  progress: job.progress,
+  total_rows: job.total_rows,
+  processed_rows: job.processed_rows,
+  success_count: job.success_count,
+  error_count: job.error_count,
+  row_errors: job.row_errors || [],
+  result: job.result,
+  error_message: job.error_message,
+  status_path: buildStatusPath(job),
+  started_at: job.started_at,
+  completed_at: job.completed_at,
+  created_at: job.created_at,
+})
+
+const parseJobId = (req, res) => {
+  const jobId = parseInt(req.params.jobId, 10)
+  if (!Number.isInteger(jobId) || jobId <= 0) {
+    res.status(400).json({
+      success: false,
+      message: 'jobId must be a valid integer',
+    })
+    return null
+  }
+  return jobId
+}
+
+// Accept a single CSV/XLSX upload in the `file` field
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      logger.error('Asset import upload error:', {
+        error: err.message,
+        ip: req.ip || req.connection.remoteAddress,
+      })
+
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: 'File size too large. Maximum size is 10MB.',
+          error: 'FILE_TOO_LARGE',
+        })
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+        error: 'UPLOAD_ERROR',
+      })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file provided. Please upload a CSV or XLSX file.',
+        error: 'NO_FILE',
+      })
+    }
+
+    next()
+  })
+}
+
+// Queue a bulk import (dry run by default)
+const createImport = async (req, res) => {
+  try {
+    const mapping = parseMapping(req.body?.mapping)
+    const dryRun = parseBoolean(req.body?.dry_run, true)
+    const formId = req.body?.form_id ? parseInt(req.body.form_id, 10) : null
+
+    logger.info('Asset import job request', {
+      userId: req.user?.user_id,
+      fileName: req.file.originalname,
+      formId,
+      dryRun,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    const job = await assetImportJobService.createImportJob({
+      requestedBy: req.user.user_id,
+      file: req.file,
+      formId,
+      mapping,
+      dryRun,
+      accessScope: req.accessScope,
+    })
+
+    return res.status(202).json({
+      success: true,
+      message: dryRun
+        ? 'Asset import dry run queued successfully'
+        : 'Asset import job queued successfully',
+      data: serializeImportJob(job),
+    })
+  } catch (error) {
+    await removeUploadedFile(req.file)
+
+    logger.logError(error, {
+      action: 'create_asset_import_job',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to create asset import job',
+      error: error.message,
+    })
+  }
+}
+
+// Poll an import job for progress and per-row errors
+const getImport = async (req, res) => {
+  try {
+    const jobId = parseJobId(req, res)
+    if (!jobId) return
+
+    const job = await assetImportJobService.getImportJobForUser(
+      jobId,
+      req.user.user_id,
+    )
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset import job not found',
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Asset import job retrieved successfully',
+      data: serializeImportJob(job),
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_import_job',
+      userId: req.user?.user_id,
+      jobId: req.params.jobId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve asset import job',
+      error: error.message,
+    })
+  }
+}
+
+// Commit a completed dry run
+const confirmImport = async (req, res) => {
+  try {
+    const jobId = parseJobId(req, res)
+    if (!jobId) return
+
+    const job = await assetImportJobService.confirmImportJob(
+      jobId,
+      req.user.user_id,
+      { accessScope: req.accessScope },
+    )
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset import job not found',
+      })
+    }
+
+    logger.logBusiness('asset_import_confirmed', {
+      userId: req.user?.user_id,
+      sourceJobId: jobId,
+      jobId: job.import_job_id,
+    })
+
+    return res.status(202).json({
+      success: true,
+      message: 'Asset import job queued successfully',
+      data: serializeImportJob(job),
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'confirm_asset_import_job',
+      userId: req.user?.user_id,
+      jobId: req.params.jobId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to confirm asset import job',
+      error: error.message,
+    })
+  }
+}
+
+// Queue a change preview of an edited Excel export
+const createReimport = async (req, res) => {
+  try {
+    logger.info('Asset re-import job request', {
+      userId: req.user?.user_id,
+      fileName: req.file.originalname,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    const job = await assetImportJobService.createReimportJob({
+      requestedBy: req.user.user_id,
+      file: req.file,
+      accessScope: req.accessScope,
+    })
+
+    return res.status(202).json({
+      success: true,
+      message: 'Asset re-import preview queued successfully',
+      data: serializeImportJob(job),
+    })
+  } catch (error) {
+    await removeUploadedFile(req.file)
+
+    logger.logError(error, {
+      action: 'create_asset_reimport_job',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: 'Failed to create asset re-import job',
+      error: error.message,
+    })
+  }
+}
+
+// Poll a re-import preview or commit job
+const getReimport = async (req, res) => {
+  try {
+    const jobId = parseJobId(req, res)
+    if (!jobId) return
+
+    const job = await assetImportJobService.getImportJobForUser(
+      jobId,
+      req.user.user_id,
+    )
+
+    if (!job || job.job_type !== assetImportJobService.REIMPORT_JOB_TYPE) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset re-import job not found',
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Asset re-import job retrieved successfully',
+      data: serializeImportJob(job),
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_reimport_job',
+      userId: req.user?.user_id,
+      jobId: req.params.jobId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve asset re-import job',
+      error: error.message,
+    })
+  }
+}
+
+// Apply the changes of a completed re-import preview
+const confirmReimport = async (req, res) => {
+  try {
+    const jobId = parseJobId(req, res)
+    if (!jobId) return
+
+    const applyConflicts = parseBoolean(req.body?.apply_conflicts, false)
+    const job = await assetImportJobService.confirmImportJob(
+      jobId,
+      req.user.user_id,
+      {
+        jobType: assetImportJobService.REIMPORT_JOB_TYPE,
+        applyConflicts,
+        accessScope: req.accessScope,
+      },
+    )
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset re-import job not found',
+      })
+    }
+
+    logger.logBusiness('asset_reimport_confirmed', {
+      userId: req.user?.user_id,
+      sourceJobId: jobId,
+      jobId: job.import_job_id,
+      applyConflicts,
+    })
+
+    return res.status(202).json({
+      success: true,
+      message: 'Asset re-import job queued successfully',
+      data: serializeImportJob(job),
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'confirm_asset_reimport_job',
+      userId: req.user?.user_id,
+      jobId: req.params.jobId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to confirm asset re-import job',
+      error: error.message,
+    })
+  }
+}
+
+module.exports = {
+  uploadImportFile,
+  createImport,
+  getImport,
+  confirmImport,
+  createReimport,
+  getReimport,
+  confirmReimport,
+}
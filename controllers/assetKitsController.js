@@ -0,0 +1,251 @@
+const logger = require('../utils/logger')
+const assetKitService = require('../services/assetKitService')
+const assetHistoryService = require('../services/assetHistoryService')
+const { checkPermission } = require('../utils/permissions')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res, message = 'Kit not found') =>
+  res.status(404).json({
+    success: false,
+    message,
+  })
+
+// List kits, optionally those matching a user's department and position
+const listKits = async (req, res) => {
+  try {
+    const kits = await assetKitService.list(req.query)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kits retrieved successfully',
+      data: kits,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_asset_kits',
+      userId: req.user?.user_id,
+      query: req.query,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve kits')
+  }
+}
+
+// Get a kit
+const getKit = async (req, res) => {
+  try {
+    const kit = await assetKitService.getById(req.params.id)
+    if (!kit) {
+      return sendNotFound(res)
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kit retrieved successfully',
+      data: kit,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_kit',
+      userId: req.user?.user_id,
+      kitId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve kit')
+  }
+}
+
+// Create a kit
+const createKit = async (req, res) => {
+  try {
+    const kit = await assetKitService.create(req.body, req.user.user_id)
+
+    logger.logBusiness('asset_kit_created', {
+      userId: req.user?.user_id,
+      kitId: kit.kit_id,
+      kitName: kit.name,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Kit created successfully',
+      data: kit,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_asset_kit',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create kit')
+  }
+}
+
+// Update a kit; items, when given, replace the kit's items
+const updateKit = async (req, res) => {
+  try {
+    const kit = await assetKitService.update(req.params.id, req.body)
+    if (!kit) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('asset_kit_updated', {
+      userId: req.user?.user_id,
+      kitId: kit.kit_id,
+      updatedFields: Object.keys(req.body || {}),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kit updated successfully',
+      data: kit,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_asset_kit',
+      userId: req.user?.user_id,
+      kitId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update kit')
+  }
+}
+
+// Delete a kit; handover records of earlier issues are kept
+const deleteKit = async (req, res) => {
+  try {
+    const deleted = await assetKitService.delete(req.params.id)
+    if (!deleted) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('asset_kit_deleted', {
+      userId: req.user?.user_id,
+      kitId: req.params.id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kit deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_asset_kit',
+      userId: req.user?.user_id,
+      kitId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete kit')
+  }
+}
+
+// Issue a kit to a user, assigning one available asset per kit component
+const issueKit = async (req, res) => {
+  try {
+    const issue = await assetKitService.issue(req.params.id, req.body, {
+      issuedBy: req.user.user_id,
+      accessScope: req.accessScope,
+      context: assetHistoryService.buildContext(req),
+    })
+    if (!issue) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('asset_kit_issued', {
+      userId: req.user?.user_id,
+      kitId: issue.kit_id,
+      kitIssueId: issue.kit_issue_id,
+      targetUserId: issue.user_id,
+      assets: issue.transactions.map((transaction) => transaction.asset_id),
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Kit issued successfully',
+      data: issue,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'issue_asset_kit',
+      userId: req.user?.user_id,
+      kitId: req.params.id,
+      targetUserId: req.body?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to issue kit')
+  }
+}
+
+// List kit issues (handover records)
+const listIssues = async (req, res) => {
+  try {
+    const issues = await assetKitService.listIssues(req.query)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kit issues retrieved successfully',
+      data: issues,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_asset_kit_issues',
+      userId: req.user?.user_id,
+      query: req.query,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve kit issues')
+  }
+}
+
+// Get the handover record of an issued kit; its recipient may always see it
+const getIssue = async (req, res) => {
+  try {
+    const issue = await assetKitService.getIssue(req.params.issueId)
+    const canView =
+      issue &&
+      (issue.user_id === req.user.user_id ||
+        checkPermission(req.user.role, 'transactions', 'list'))
+    if (!canView) {
+      return sendNotFound(res, 'Kit issue not found')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Kit issue retrieved successfully',
+      data: issue,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_kit_issue',
+      userId: req.user?.user_id,
+      kitIssueId: req.params.issueId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve kit issue')
+  }
+}
+
+module.exports = {
+  listKits,
+  getKit,
+  createKit,
+  updateKit,
+  deleteKit,
+  issueKit,
+  listIssues,
+  getIssue,
+}
@@ -0,0 +1,266 @@
+const logger = require('../utils/logger')
+const assetRelationshipService = require('../services/assetRelationshipService')
+const assetHistoryService = require('../services/assetHistoryService')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  })
+
+// List relationship types
+const listTypes = async (req, res) => {
+  try {
+    const types = await assetRelationshipService.listTypes()
+
+    return res.status(200).json({
+      success: true,
+      message: 'Relationship types retrieved successfully',
+      data: types,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_asset_relationship_types',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve relationship types')
+  }
+}
+
+// Create a relationship type
+const createType = async (req, res) => {
+  try {
+    const type = await assetRelationshipService.createType(req.body)
+
+    logger.logBusiness('asset_relationship_type_created', {
+      userId: req.user?.user_id,
+      relationshipTypeId: type.relationship_type_id,
+      name: type.name,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Relationship type created successfully',
+      data: type,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_asset_relationship_type',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create relationship type')
+  }
+}
+
+// Update a relationship type
+const updateType = async (req, res) => {
+  try {
+    const type = await assetRelationshipService.updateType(
+      req.params.typeId,
+      req.body,
+    )
+    if (!type) {
+      return sendNotFound(res, 'Relationship type not found')
+    }
+
+    logger.logBusiness('asset_relationship_type_updated', {
+      userId: req.user?.user_id,
+      relationshipTypeId: type.relationship_type_id,
+      updatedFields: Object.keys(req.body || {}),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Relationship type updated successfully',
+      data: type,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_asset_relationship_type',
+      userId: req.user?.user_id,
+      relationshipTypeId: req.params.typeId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update relationship type')
+  }
+}
+
+// Delete a custom relationship type that no link uses
+const deleteType = async (req, res) => {
+  try {
+    const deleted = await assetRelationshipService.deleteType(req.params.typeId)
+    if (!deleted) {
+      return sendNotFound(res, 'Relationship type not found')
+    }
+
+    logger.logBusiness('asset_relationship_type_deleted', {
+      userId: req.user?.user_id,
+      relationshipTypeId: req.params.typeId,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Relationship type deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_asset_relationship_type',
+      userId: req.user?.user_id,
+      relationshipTypeId: req.params.typeId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete relationship type')
+  }
+}
+
+// List the links of an asset, from the asset's side
+const listRelationships = async (req, res) => {
+  if (!req.query.asset_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'asset_id is required',
+    })
+  }
+
+  try {
+    const relationships = await assetRelationshipService.listForAsset(
+      req.query.asset_id,
+      { accessScope: req.accessScope },
+    )
+    if (!relationships) {
+      return sendNotFound(res, 'Asset not found')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Asset relationships retrieved successfully',
+      data: relationships,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_asset_relationships',
+      userId: req.user?.user_id,
+      assetId: req.query.asset_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve asset relationships')
+  }
+}
+
+// Link two assets
+const createRelationship = async (req, res) => {
+  try {
+    const relationship = await assetRelationshipService.link(req.body, {
+      accessScope: req.accessScope,
+      createdBy: req.user.user_id,
+      context: assetHistoryService.buildContext(req),
+    })
+
+    logger.logBusiness('asset_relationship_created', {
+      userId: req.user?.user_id,
+      relationshipId: relationship.asset_relationship_id,
+      type: relationship.type,
+      sourceAssetId: req.body.source_asset_id,
+      targetAssetId: req.body.target_asset_id,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Asset relationship created successfully',
+      data: relationship,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_asset_relationship',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create asset relationship')
+  }
+}
+
+// Remove a link between two assets
+const deleteRelationship = async (req, res) => {
+  try {
+    const deleted = await assetRelationshipService.unlink(req.params.id, {
+      accessScope: req.accessScope,
+      context: assetHistoryService.buildContext(req),
+    })
+    if (!deleted) {
+      return sendNotFound(res, 'Asset relationship not found')
+    }
+
+    logger.logBusiness('asset_relationship_deleted', {
+      userId: req.user?.user_id,
+      relationshipId: req.params.id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Asset relationship deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_asset_relationship',
+      userId: req.user?.user_id,
+      relationshipId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete asset relationship')
+  }
+}
+
+// Assets affected by an outage of an asset, walking the graph N hops
+const getImpact = async (req, res) => {
+  try {
+    const impact = await assetRelationshipService.getImpact(req.params.assetId, {
+      depth: req.query.depth,
+      accessScope: req.accessScope,
+    })
+    if (!impact) {
+      return sendNotFound(res, 'Asset not found')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Impact analysis completed successfully',
+      data: impact,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_impact',
+      userId: req.user?.user_id,
+      assetId: req.params.assetId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to analyze impact')
+  }
+}
+
+module.exports = {
+  listTypes,
+  createType,
+  updateType,
+  deleteType,
+  listRelationships,
+  createRelationship,
+  deleteRelationship,
+  getImpact,
+}
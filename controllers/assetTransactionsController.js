@@ -1,6 +1,15 @@
-const { AssetTransaction, Asset, User, Department } = require('../models');
+const { AssetTransaction, Asset, User, Department, Consumable, ConsumableStock, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const assetLifecycleService = require('../services/assetLifecycleService');
+const NotificationService = require('../services/notificationService');
+const eventStreamService = require('../services/eventStreamService');
+const webhookService = require('../services/webhookService');
+const accessScopeService = require('../services/accessScopeService');
+const assetComponentService = require('../services/assetComponentService');
+const assetHistoryService = require('../services/assetHistoryService');
+const AssetService = require('../services/assetService');
+const consumableService = require('../services/consumableService');
 const {
   TRANSACTION_STATUS_ARRAY,
   TRANSACTION_ACTIONS,
@@ -11,6 +20,124 @@ const {
   DEFAULTS
 } = require('../utils/constants');
 
+const notificationService = new NotificationService();
+const assetService = new AssetService();
+
+/**
+ * 409 response for a transaction whose asset status change is not allowed
+ * by the asset's lifecycle
+ */
+const sendStatusTransitionError = (res, error) => res.status(409).json({
+  success: false,
+  message: error.message,
+  error: error.code,
+  current_status: error.currentStatus,
+  requested_status: error.requestedStatus,
+  allowed_statuses: error.allowedStatuses
+});
+
+// Actions whose completion can be passed on to the asset's components
+const CASCADE_ACTIONS = [
+  TRANSACTION_ACTIONS.TRANSFER,
+  TRANSACTION_ACTIONS.RETIRE,
+  TRANSACTION_ACTIONS.DISPOSE
+];
+
+/**
+ * Bring the components of a transferred, retired or disposed asset along
+ * when the request asks for it (cascade_components: true)
+ */
+const cascadeToComponents = async (req, transaction) => {
+  if (req.body.cascade_components !== true || !CASCADE_ACTIONS.includes(transaction.action)) {
+    return undefined;
+  }
+  return assetComponentService.cascadeFromParent(transaction.asset_id, {
+    context: assetHistoryService.buildContext(req)
+  });
+};
+
+/**
+ * Apply a transaction's change to its asset through assetService.update, so
+ * the asset lifecycle is checked, the change lands in the asset history and
+ * the asset webhooks name the transaction
+ */
+const updateTransactionAsset = (req, transaction, changes) =>
+  assetService.update(transaction.asset_id, changes, {
+    auditContext: {
+      ...assetHistoryService.buildContext(req),
+      action: `transaction_${transaction.action}`
+    },
+    webhookContext: { transaction_id: transaction.transaction_id }
+  });
+
+// Consumable and stock of issue_consumable transactions
+const CONSUMABLE_INCLUDE = {
+  model: Consumable,
+  as: 'consumable',
+  attributes: ['consumable_id', 'name', 'sku', 'unit'],
+  required: false
+};
+const CONSUMABLE_STOCK_INCLUDE = {
+  model: ConsumableStock,
+  as: 'consumableStock',
+  attributes: ['consumable_stock_id', 'location_id', 'building_id', 'room_id', 'quantity'],
+  required: false
+};
+
+/**
+ * Whether a transaction's asset, or for issue_consumable the stock it takes
+ * from, is outside the user's access scope
+ */
+const isOutOfScope = async (req, transaction) => {
+  const scope = req.accessScope;
+  if (!scope) {
+    return false;
+  }
+  if (transaction.action === TRANSACTION_ACTIONS.ISSUE_CONSUMABLE) {
+    const stock = await consumableService.getStockForTransaction(transaction);
+    return !accessScopeService.assetMatchesScope(stock, scope);
+  }
+  return !accessScopeService.assetMatchesScope(transaction.asset, scope);
+};
+
+/**
+ * Save a transaction's status change. Once an issue_consumable transaction
+ * is accepted or completed its stock is taken out in the same database
+ * transaction, so the stock and the status commit or roll back together.
+ * Stock is never issued twice for one transaction.
+ */
+const saveTransactionStatus = (req, transaction, updateData) =>
+  sequelize.transaction(async (dbTransaction) => {
+    if ([TRANSACTION_STATUS.ACCEPTED, TRANSACTION_STATUS.COMPLETED].includes(updateData.status)) {
+      await consumableService.issueForTransaction(transaction, req.user.user_id, {
+        transaction: dbTransaction
+      });
+    }
+    await transaction.update(updateData, { transaction: dbTransaction });
+  });
+
+/**
+ * Response for a consumable issue that cannot go through (e.g. not enough
+ * stock), or undefined for any other error
+ */
+const sendConsumableError = (res, error) => {
+  if (!error.statusCode) {
+    return undefined;
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * 403 response for acting on a transaction outside the user's access scope
+ */
+const sendOutOfScopeError = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only act on transactions for assets within your access scope'
+});
+
 /**
  * List all asset transactions with filtering and pagination
  */
@@ -71,6 +198,12 @@ const list = async (req, res) => {
       ];
     }
 
+    // Only transactions of assets within the user's access scope
+    const scope = req.accessScope;
+    if (scope) {
+      where[Op.and] = [accessScopeService.buildTransactionWhere(scope)];
+    }
+
     const { count, rows } = await AssetTransaction.findAndCountAll({
       where,
       include: [
@@ -79,6 +212,7 @@ const list = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -154,6 +288,8 @@ const getById = async (req, res) => {
             attributes: ['category_id', 'name']
           }]
         },
+        CONSUMABLE_INCLUDE,
+        CONSUMABLE_STOCK_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -177,7 +313,7 @@ const getById = async (req, res) => {
       ]
     });
 
-    if (!transaction) {
+    if (!transaction || await isOutOfScope(req, transaction)) {
       return res.status(404).json({
         success: false,
         message: 'Asset transaction not found'
@@ -217,24 +353,41 @@ const create = async (req, res) => {
       to_location,
       notes,
       priority = DEFAULTS.TRANSACTION_PRIORITY,
-      expected_completion_date
+      expected_completion_date,
+      consumable_stock_id,
+      quantity
     } = req.body;
 
-    // Validate required fields
-    if (!asset_id || !action) {
-      return res.status(400).json({
-        success: false,
-        message: 'Asset ID and action are required'
-      });
-    }
+    // Issuing consumables takes a stock and quantity instead of an asset
+    let issue = null;
+    if (action === TRANSACTION_ACTIONS.ISSUE_CONSUMABLE) {
+      try {
+        issue = await consumableService.prepareIssue(
+          { consumable_stock_id, quantity },
+          { accessScope: req.accessScope }
+        );
+      } catch (error) {
+        const response = sendConsumableError(res, error);
+        if (response) return response;
+        throw error;
+      }
+    } else {
+      // Validate required fields
+      if (!asset_id || !action) {
+        return res.status(400).json({
+          success: false,
+          message: 'Asset ID and action are required'
+        });
+      }
 
-    // Check if asset exists
-    const asset = await Asset.findByPk(asset_id);
-    if (!asset) {
-      return res.status(404).json({
-        success: false,
-        message: 'Asset not found'
-      });
+      // Check if asset exists
+      const asset = await Asset.findByPk(asset_id);
+      if (!asset) {
+        return res.status(404).json({
+          success: false,
+          message: 'Asset not found'
+        });
+      }
     }
 
     // Check if recipient exists (if provided)
@@ -250,7 +403,12 @@ const create = async (req, res) => {
 
     // Create transaction
     const transaction = await AssetTransaction.create({
-      asset_id,
+      asset_id: issue ? null : asset_id,
+      ...(issue && {
+        consumable_id: issue.stock.consumable_id,
+        consumable_stock_id: issue.stock.consumable_stock_id,
+        quantity: issue.quantity
+      }),
       requested_by: req.user.user_id, // From authenticated user
       requested_to,
       action,
@@ -270,6 +428,7 @@ const create = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -283,6 +442,12 @@ const create = async (req, res) => {
       ]
     });
 
+    await notificationService.notifyTransactionRequested(createdTransaction, {
+      actorId: req.user.user_id
+    });
+    eventStreamService.publishTransaction(createdTransaction);
+    await webhookService.dispatchTransaction(createdTransaction);
+
     res.status(201).json({
       success: true,
       message: 'Asset transaction created successfully',
@@ -369,6 +534,7 @@ const update = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -488,6 +654,9 @@ const changeStatus = async (req, res) => {
       });
     }
 
+    // Snapshot for webhooks, before the transaction changes
+    const previousStatus = transaction.status;
+
     // Check if user can change status
     const canChangeStatus = PERMISSIONS.CAN_CHANGE_TRANSACTION_STATUS.includes(req.user.role);
 
@@ -498,6 +667,10 @@ const changeStatus = async (req, res) => {
       });
     }
 
+    if (await isOutOfScope(req, transaction)) {
+      return sendOutOfScopeError(res);
+    }
+
     // Update transaction status
     const updateData = { status };
 
@@ -514,11 +687,23 @@ const changeStatus = async (req, res) => {
       updateData.admin_notes = admin_notes;
     }
 
-    await transaction.update(updateData);
+    // Check the asset lifecycle before the transaction is marked completed
+    const nextAssetStatus = status === TRANSACTION_STATUS.COMPLETED
+      ? await assetLifecycleService.resolveTransactionStatus(transaction, status)
+      : null;
+
+    // Update asset status based on transaction action and status, before the
+    // transaction itself so a failed asset update leaves both unchanged
+    if (status === TRANSACTION_STATUS.COMPLETED) {
+      await updateAssetStatus(req, transaction, nextAssetStatus);
+    }
+
+    // Consumables leave the stock when the issue is accepted or completed
+    await saveTransactionStatus(req, transaction, updateData);
 
-    // Update asset status based on transaction action and status
+    let cascade;
     if (status === TRANSACTION_STATUS.COMPLETED) {
-      await updateAssetStatus(transaction);
+      cascade = await cascadeToComponents(req, transaction);
     }
 
     // Fetch updated transaction with associations
@@ -529,6 +714,7 @@ const changeStatus = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -542,10 +728,19 @@ const changeStatus = async (req, res) => {
       ]
     });
 
+    await notificationService.notifyTransactionStatus(updatedTransaction, {
+      actorId: req.user.user_id
+    });
+    eventStreamService.publishTransaction(updatedTransaction);
+    await webhookService.dispatchTransaction(updatedTransaction, {
+      previousStatus
+    });
+
     res.json({
       success: true,
       message: 'Asset transaction status updated successfully',
-      data: updatedTransaction
+      data: updatedTransaction,
+      cascade
     });
   } catch (error) {
     logger.logError(error, {
@@ -556,6 +751,13 @@ const changeStatus = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress
     });
 
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return sendStatusTransitionError(res, error);
+    }
+    if (sendConsumableError(res, error)) {
+      return;
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update asset transaction status',
@@ -592,6 +794,7 @@ const getByUser = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -644,6 +847,7 @@ const getByAsset = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -747,6 +951,9 @@ const acceptTransaction = async (req, res) => {
       });
     }
 
+    // Snapshot for webhooks, before the transaction changes
+    const previousStatus = transaction.status;
+
     // Check if user can accept this transaction using permission system
     const { checkPermission } = require('../utils/permissions');
     const canAccept = checkPermission(req.user.role, 'transactions', 'change_status');
@@ -758,6 +965,10 @@ const acceptTransaction = async (req, res) => {
       });
     }
 
+    if (await isOutOfScope(req, transaction)) {
+      return sendOutOfScopeError(res);
+    }
+
     // Check if transaction can be accepted
     if (transaction.status !== 'pending') {
       return res.status(400).json({
@@ -766,6 +977,12 @@ const acceptTransaction = async (req, res) => {
       });
     }
 
+    // Status the asset moves to, checked against its lifecycle up front
+    const nextAssetStatus = await assetLifecycleService.resolveTransactionStatus(
+      transaction,
+      TRANSACTION_STATUS.ACCEPTED
+    );
+
     // Update transaction status
     const updateData = {
       status: 'accepted',
@@ -776,95 +993,50 @@ const acceptTransaction = async (req, res) => {
       updateData.admin_notes = admin_notes;
     }
 
-    await transaction.update(updateData);
-
-    // Update asset status based on transaction action when accepted
+    // Update the asset based on the transaction action before the transaction
+    // is marked accepted, so a failed asset update leaves both unchanged
     if (transaction.action === 'assign' && transaction.requested_to) {
-      try {
-        await Asset.update(
-          {
-            assigned_to: transaction.requested_to,
-            assignment_date: new Date(),
-            status: 'assigned' // Update asset status to assigned
-          },
-          {
-            where: { asset_id: transaction.asset_id }
-          }
-        );
+      await updateTransactionAsset(req, transaction, {
+        assigned_to: transaction.requested_to,
+        ...(nextAssetStatus && { status: nextAssetStatus })
+      });
 
-        logger.info(`Asset ${transaction.asset_id} assigned to user ${transaction.requested_to}`, {
-          transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id,
-          assignedTo: transaction.requested_to,
-          action: 'asset_assignment'
-        });
-      } catch (assetUpdateError) {
-        logger.error('Error updating asset assignment:', assetUpdateError, {
-          transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id,
-          assignedTo: transaction.requested_to
-        });
-        // Don't fail the transaction acceptance if asset update fails
-        // Just log the error and continue
-      }
+      logger.info(`Asset ${transaction.asset_id} assigned to user ${transaction.requested_to}`, {
+        transactionId: transaction.transaction_id,
+        assetId: transaction.asset_id,
+        assignedTo: transaction.requested_to,
+        action: 'asset_assignment'
+      });
     } else if (transaction.action === 'repair') {
-      try {
-        // For repair requests, set asset status to 'in_repair' and assign to the employee who accepted
-        await Asset.update(
-          {
-            status: 'in_repair',
-            assigned_to: req.user.user_id, // Assign to the employee who accepted the repair
-            assignment_date: new Date()
-          },
-          {
-            where: { asset_id: transaction.asset_id }
-          }
-        );
+      // For repair requests, set asset status to 'in_repair' and assign to the employee who accepted
+      await updateTransactionAsset(req, transaction, {
+        ...(nextAssetStatus && { status: nextAssetStatus }),
+        assigned_to: req.user.user_id // Assign to the employee who accepted the repair
+      });
 
-        logger.info(`Asset ${transaction.asset_id} set to repair status and assigned to user ${req.user.user_id}`, {
-          transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id,
-          assignedTo: req.user.user_id,
-          action: 'asset_repair_accepted'
-        });
-      } catch (assetUpdateError) {
-        logger.error('Error updating asset for repair:', assetUpdateError, {
-          transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id
-        });
-        // Don't fail the transaction acceptance if asset update fails
-        // Just log the error and continue
-      }
+      logger.info(`Asset ${transaction.asset_id} set to repair status and assigned to user ${req.user.user_id}`, {
+        transactionId: transaction.transaction_id,
+        assetId: transaction.asset_id,
+        assignedTo: req.user.user_id,
+        action: 'asset_repair_accepted'
+      });
     } else if (transaction.action === 'return') {
-      try {
-        // For return requests, assign the asset to the person who accepted the return (usually IT Manager)
-        await Asset.update(
-          {
-            status: 'assigned',
-            assigned_to: req.user.user_id, // Assign to the person who accepted the return
-            assignment_date: new Date()
-          },
-          {
-            where: { asset_id: transaction.asset_id }
-          }
-        );
+      // For return requests, assign the asset to the person who accepted the return (usually IT Manager)
+      await updateTransactionAsset(req, transaction, {
+        ...(nextAssetStatus && { status: nextAssetStatus }),
+        assigned_to: req.user.user_id // Assign to the person who accepted the return
+      });
 
-        logger.info(`Asset ${transaction.asset_id} returned and assigned to user ${req.user.user_id}`, {
-          transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id,
-          assignedTo: req.user.user_id,
-          action: 'asset_return_accepted'
-        });
-      } catch (assetUpdateError) {
-        logger.error('Error updating asset for return:', assetUpdateError, {
-          transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id
-        });
-        // Don't fail the transaction acceptance if asset update fails
-        // Just log the error and continue
-      }
+      logger.info(`Asset ${transaction.asset_id} returned and assigned to user ${req.user.user_id}`, {
+        transactionId: transaction.transaction_id,
+        assetId: transaction.asset_id,
+        assignedTo: req.user.user_id,
+        action: 'asset_return_accepted'
+      });
     }
 
+    await saveTransactionStatus(req, transaction, updateData);
+
     // Fetch updated transaction with associations
     const updatedTransaction = await AssetTransaction.findByPk(id, {
       include: [
@@ -873,6 +1045,7 @@ const acceptTransaction = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -886,6 +1059,14 @@ const acceptTransaction = async (req, res) => {
       ]
     });
 
+    await notificationService.notifyTransactionStatus(updatedTransaction, {
+      actorId: req.user.user_id
+    });
+    eventStreamService.publishTransaction(updatedTransaction);
+    await webhookService.dispatchTransaction(updatedTransaction, {
+      previousStatus
+    });
+
     res.json({
       success: true,
       message: 'Asset transaction accepted successfully',
@@ -893,6 +1074,12 @@ const acceptTransaction = async (req, res) => {
     });
   } catch (error) {
     console.error('Error accepting asset transaction:', error);
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return sendStatusTransitionError(res, error);
+    }
+    if (sendConsumableError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to accept asset transaction',
@@ -923,6 +1110,9 @@ const rejectTransaction = async (req, res) => {
       });
     }
 
+    // Snapshot for webhooks, before the transaction changes
+    const previousStatus = transaction.status;
+
     // Check if user can reject this transaction using permission system
     const { checkPermission } = require('../utils/permissions');
     const canReject = checkPermission(req.user.role, 'transactions', 'change_status');
@@ -934,6 +1124,10 @@ const rejectTransaction = async (req, res) => {
       });
     }
 
+    if (await isOutOfScope(req, transaction)) {
+      return sendOutOfScopeError(res);
+    }
+
     // Check if transaction can be rejected
     if (transaction.status !== 'pending') {
       return res.status(400).json({
@@ -958,42 +1152,36 @@ const rejectTransaction = async (req, res) => {
       updateData.notes = currentNotes + (currentNotes ? '\n\n' : '') + `Rejection Reason: ${reason}`;
     }
 
-    await transaction.update(updateData);
-
     // If this was an assignment transaction that was rejected, ensure asset is not assigned
     if (transaction.action === 'assign' && transaction.requested_to) {
-      try {
-        // Check if the asset was previously assigned to the intended recipient
-        const asset = await Asset.findByPk(transaction.asset_id);
-        if (asset && asset.assigned_to === transaction.requested_to) {
-          // Unassign the asset since the transaction was rejected
-          await Asset.update(
-            {
-              assigned_to: null,
-              assignment_date: null,
-              status: 'available' // Set back to available
-            },
-            {
-              where: { asset_id: transaction.asset_id }
-            }
-          );
-
-          logger.info(`Asset ${transaction.asset_id} unassigned due to rejected transaction`, {
-            transactionId: transaction.transaction_id,
-            assetId: transaction.asset_id,
-            previouslyAssignedTo: transaction.requested_to,
-            action: 'asset_unassignment_due_to_rejection'
+      // Check if the asset was previously assigned to the intended recipient
+      const asset = await Asset.findByPk(transaction.asset_id);
+      if (asset && asset.assigned_to === transaction.requested_to) {
+        // Unassign the asset since the transaction was rejected. A status
+        // the lifecycle does not allow is left as it is.
+        const nextAssetStatus = await assetLifecycleService
+          .resolveTransactionStatus(transaction, TRANSACTION_STATUS.REJECTED)
+          .catch((error) => {
+            if (error.code !== 'INVALID_STATUS_TRANSITION') throw error;
+            return null;
           });
-        }
-      } catch (assetUpdateError) {
-        logger.error('Error updating asset after rejection:', assetUpdateError, {
+
+        await updateTransactionAsset(req, transaction, {
+          assigned_to: null,
+          ...(nextAssetStatus && { status: nextAssetStatus })
+        });
+
+        logger.info(`Asset ${transaction.asset_id} unassigned due to rejected transaction`, {
           transactionId: transaction.transaction_id,
-          assetId: transaction.asset_id
+          assetId: transaction.asset_id,
+          previouslyAssignedTo: transaction.requested_to,
+          action: 'asset_unassignment_due_to_rejection'
         });
-        // Don't fail the transaction rejection if asset update fails
       }
     }
 
+    await transaction.update(updateData);
+
     // Fetch updated transaction with associations
     const updatedTransaction = await AssetTransaction.findByPk(id, {
       include: [
@@ -1002,6 +1190,7 @@ const rejectTransaction = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -1015,6 +1204,14 @@ const rejectTransaction = async (req, res) => {
       ]
     });
 
+    await notificationService.notifyTransactionStatus(updatedTransaction, {
+      actorId: req.user.user_id
+    });
+    eventStreamService.publishTransaction(updatedTransaction);
+    await webhookService.dispatchTransaction(updatedTransaction, {
+      previousStatus
+    });
+
     res.json({
       success: true,
       message: 'Asset transaction rejected successfully',
@@ -1052,6 +1249,9 @@ const completeTransaction = async (req, res) => {
       });
     }
 
+    // Snapshot for webhooks, before the transaction changes
+    const previousStatus = transaction.status;
+
     // Check if user can complete this transaction using permission system
     const { checkPermission } = require('../utils/permissions');
     const canComplete = checkPermission(req.user.role, 'transactions', 'change_status');
@@ -1063,6 +1263,10 @@ const completeTransaction = async (req, res) => {
       });
     }
 
+    if (await isOutOfScope(req, transaction)) {
+      return sendOutOfScopeError(res);
+    }
+
     // Check if transaction can be completed
     if (!['accepted', 'pending'].includes(transaction.status)) {
       return res.status(400).json({
@@ -1071,6 +1275,12 @@ const completeTransaction = async (req, res) => {
       });
     }
 
+    // Status the asset moves to, checked against its lifecycle up front
+    const nextAssetStatus = await assetLifecycleService.resolveTransactionStatus(
+      transaction,
+      TRANSACTION_STATUS.COMPLETED
+    );
+
     // Update transaction status
     const updateData = {
       status: 'completed',
@@ -1082,10 +1292,11 @@ const completeTransaction = async (req, res) => {
       updateData.admin_notes = admin_notes;
     }
 
-    await transaction.update(updateData);
-
-    // Update asset status based on transaction action
-    await updateAssetStatus(transaction);
+    // Update asset status based on transaction action, before the transaction
+    // is marked completed so a failed asset update leaves both unchanged
+    await updateAssetStatus(req, transaction, nextAssetStatus);
+    await saveTransactionStatus(req, transaction, updateData);
+    const cascade = await cascadeToComponents(req, transaction);
 
     // Fetch updated transaction with associations
     const updatedTransaction = await AssetTransaction.findByPk(id, {
@@ -1095,6 +1306,7 @@ const completeTransaction = async (req, res) => {
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -1108,13 +1320,28 @@ const completeTransaction = async (req, res) => {
       ]
     });
 
+    await notificationService.notifyTransactionStatus(updatedTransaction, {
+      actorId: req.user.user_id
+    });
+    eventStreamService.publishTransaction(updatedTransaction);
+    await webhookService.dispatchTransaction(updatedTransaction, {
+      previousStatus
+    });
+
     res.json({
       success: true,
       message: 'Asset transaction completed successfully',
-      data: updatedTransaction
+      data: updatedTransaction,
+      cascade
     });
   } catch (error) {
     console.error('Error completing asset transaction:', error);
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return sendStatusTransitionError(res, error);
+    }
+    if (sendConsumableError(res, error)) {
+      return;
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to complete asset transaction',
@@ -1131,14 +1358,21 @@ const getPendingTransactions = async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
 
+    const where = { status: 'pending' };
+    const scope = req.accessScope;
+    if (scope) {
+      where[Op.and] = [accessScopeService.buildTransactionWhere(scope)];
+    }
+
     const { count, rows } = await AssetTransaction.findAndCountAll({
-      where: { status: 'pending' },
+      where,
       include: [
         {
           model: Asset,
           as: 'asset',
           attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode']
         },
+        CONSUMABLE_INCLUDE,
         {
           model: User,
           as: 'requester',
@@ -1191,74 +1425,39 @@ const getPendingTransactions = async (req, res) => {
 };
 
 /**
- * Helper function to update asset status based on completed transaction
+ * Helper function to update asset status based on completed transaction.
+ * `newStatus` comes from the asset lifecycle (see
+ * assetLifecycleService.resolveTransactionStatus); null keeps the current status.
  */
-const updateAssetStatus = async (transaction) => {
-  try {
-    const asset = await Asset.findByPk(transaction.asset_id);
-    if (!asset) return;
-
-    let newStatus = asset.status;
-    let assignedTo = asset.assigned_to;
-    let assignmentDate = asset.assignment_date;
-
-    switch (transaction.action) {
-      case 'assign':
-        if ((transaction.status === 'accepted' || transaction.status === 'completed') && transaction.requested_to) {
-          newStatus = 'assigned';
-          assignedTo = transaction.requested_to;
-          assignmentDate = new Date().toISOString().split('T')[0];
-        }
-        break;
-      case 'return':
-        if (transaction.status === 'completed') {
-          // For return completion, keep the asset assigned to the person who accepted the return
-          // The assignment was already handled in acceptTransaction function
-          newStatus = 'assigned';
-          // Keep current assignment (don't change assignedTo and assignmentDate)
-        } else if (transaction.status === 'accepted') {
-          // This case is handled in acceptTransaction function
-          newStatus = 'assigned';
-        }
-        break;
-      case 'repair':
-        if (transaction.status === 'completed') {
-          newStatus = 'available';
-          assignedTo = null; // Unassign after repair completion
-          assignmentDate = null;
-        } else if (transaction.status === 'accepted') {
-          newStatus = 'in_repair';
-          // Note: Assignment is handled in acceptTransaction function
-          // This function is called from completeTransaction, so we don't change assignment here
-        }
-        break;
-      case 'retire':
-      case 'dispose':
-        if (transaction.status === 'completed') {
-          newStatus = transaction.action === 'retire' ? 'retired' : 'disposed';
-          assignedTo = null;
-          assignmentDate = null;
-        }
-        break;
-      case 'transfer':
-        if (transaction.status === 'completed' && transaction.requested_to) {
-          assignedTo = transaction.requested_to;
-          assignmentDate = new Date().toISOString().split('T')[0];
-        }
-        break;
-    }
+const updateAssetStatus = async (req, transaction, newStatus = null) => {
+  const asset = await Asset.findByPk(transaction.asset_id);
+  if (!asset) return;
 
-    await asset.update({
-      status: newStatus,
-      assigned_to: assignedTo,
-      assignment_date: assignmentDate
-    });
-  } catch (error) {
-    logger.logError(error, {
-      action: 'update_asset_status_from_transaction',
-      transactionId: transaction.transaction_id,
-      assetId: transaction.asset_id
-    });
+  const changes = {};
+  if (newStatus) {
+    changes.status = newStatus;
+  }
+
+  switch (transaction.action) {
+    case 'assign':
+    case 'transfer':
+      if (transaction.requested_to) {
+        changes.assigned_to = transaction.requested_to;
+      }
+      break;
+    case 'return':
+      // For return completion, keep the asset assigned to the person who accepted the return
+      // The assignment was already handled in acceptTransaction function
+      break;
+    case 'repair':
+    case 'retire':
+    case 'dispose':
+      changes.assigned_to = null; // Unassign after repair completion, retirement or disposal
+      break;
+  }
+
+  if (Object.keys(changes).length) {
+    await updateTransactionAsset(req, transaction, changes);
   }
 };
 
@@ -1,7 +1,21 @@
 const AssetService = require('../services/assetService')
+const NotificationService = require('../services/notificationService')
 const logger = require('../utils/logger')
-const { ASSET_STATUS_ARRAY } = require('../utils/constants')
+const {
+  ASSET_STATUS,
+  ASSET_STATUS_ARRAY,
+  WARRANTY_STATUS_ARRAY,
+  VALIDATION_MESSAGES,
+} = require('../utils/constants')
 const assetExportJobService = require('../services/assetExportJobService')
+const assetHistoryService = require('../services/assetHistoryService')
+const depreciationService = require('../services/depreciationService')
+const warrantyService = require('../services/warrantyService')
+const webhookService = require('../services/webhookService')
+const accessScopeService = require('../services/accessScopeService')
+const assetComponentService = require('../services/assetComponentService')
+const softwareLicenseService = require('../services/softwareLicenseService')
+const { parseExpiringDays } = require('../utils/warranty')
 const path = require('path')
 const fs = require('fs').promises
 const { Op } = require('sequelize')
@@ -17,8 +31,36 @@ const parseDateOnly = (value) => {
   return new Date(isoDate)
 }
 
+// Error message for invalid warranty_status / warranty_days query values
+const validateWarrantyQuery = (query = {}) => {
+  if (
+    query.warranty_status &&
+    !WARRANTY_STATUS_ARRAY.includes(query.warranty_status)
+  ) {
+    return VALIDATION_MESSAGES.WARRANTY_STATUS
+  }
+  if (parseExpiringDays(query.warranty_days) === null) {
+    return 'warranty_days must be a non-negative integer'
+  }
+  return null
+}
+
+// 409 body for a status change the asset's lifecycle does not allow
+const buildStatusTransitionError = (error) => ({
+  success: false,
+  message: error.message,
+  error: error.code,
+  current_status: error.currentStatus,
+  requested_status: error.requestedStatus,
+  allowed_statuses: error.allowedStatuses,
+})
+
+// Statuses a parent can pass on to its components with cascade_components
+const CASCADE_STATUSES = [ASSET_STATUS.RETIRED, ASSET_STATUS.DISPOSED]
+
 // Initialize custom asset service
 const assetService = new AssetService()
+const notificationService = new NotificationService()
 
 // Generate standalone barcode and QR code
 const generateCodes = async (req, res) => {
@@ -105,7 +147,9 @@ const exportAssets = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const exportResult = await assetService.exportAssetsArchive()
+    const exportResult = await assetService.exportAssetsArchive({
+      accessScope: req.accessScope,
+    })
 
     logger.info('Asset export generated', {
       userId: req.user?.user_id,
@@ -149,13 +193,26 @@ const exportAssets = async (req, res) => {
 }
 
 const exportAssetsExcel = async (req, res) => {
+  const warrantyError = validateWarrantyQuery(req.query)
+  if (warrantyError) {
+    return res.status(400).json({
+      success: false,
+      message: warrantyError,
+    })
+  }
+
   try {
     logger.info('Asset Excel export request', {
       userId: req.user?.user_id,
+      query: req.query,
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const exportResult = await assetService.exportAssetsExcel()
+    const exportResult = await assetService.exportAssetsExcel({
+      warrantyStatus: req.query.warranty_status || null,
+      warrantyDays: parseExpiringDays(req.query.warranty_days),
+      accessScope: req.accessScope,
+    })
 
     logger.info('Asset Excel export generated', {
       userId: req.user?.user_id,
@@ -203,6 +260,7 @@ const exportAssetImages = async (req, res) => {
 
     const job = await assetExportJobService.createImageExportJob({
       requestedBy: req.user.user_id,
+      accessScope: req.accessScope,
     })
 
     const protocol = req.protocol
@@ -303,7 +361,9 @@ const getAssetImageExportJob = async (req, res) => {
 const getByBarcode = async (req, res) => {
   try {
     const { code } = req.params
-    const asset = await assetService.getByBarcode(code)
+    const asset = await assetService.getByBarcode(code, {
+      accessScope: req.accessScope,
+    })
 
     if (!asset) {
       return res.status(404).json({
@@ -336,7 +396,9 @@ const getByBarcode = async (req, res) => {
 // Dynamic lookup for dropdown/table-backed options
 const lookup = async (req, res) => {
   try {
-    const data = await assetService.lookupOptions(req.query)
+    const data = await assetService.lookupOptions(req.query, {
+      accessScope: req.accessScope,
+    })
 
     return res.status(200).json({
       success: true,
@@ -383,6 +445,14 @@ const list = async (req, res) => {
     })
   }
 
+  const warrantyError = validateWarrantyQuery(req.query)
+  if (warrantyError) {
+    return res.status(400).json({
+      success: false,
+      message: warrantyError,
+    })
+  }
+
   const endDate = endDateRaw
     ? new Date(endDateRaw.getTime() + 24 * 60 * 60 * 1000)
     : null
@@ -417,6 +487,7 @@ const list = async (req, res) => {
 
     const result = await assetService.list(pagingQuery, {
       ...(Object.keys(rangeWhere).length ? { where: rangeWhere } : {}),
+      accessScope: req.accessScope,
     })
     const dataWithTag = (result.data || []).map((asset) => ({
       ...asset,
@@ -462,7 +533,9 @@ const getById = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const asset = await assetService.getById(id)
+    const asset = await assetService.getById(id, {
+      accessScope: req.accessScope,
+    })
 
     if (!asset) {
       logger.warn('Asset not found', {
@@ -477,6 +550,8 @@ const getById = async (req, res) => {
       })
     }
 
+    asset.licenses = await softwareLicenseService.listForAsset(asset.asset_id)
+
     logger.info('Asset retrieved successfully', {
       userId: req.user?.user_id,
       assetId: id,
@@ -504,6 +579,351 @@ const getById = async (req, res) => {
   }
 }
 
+// Get field-level change history for an asset
+const getHistory = async (req, res) => {
+  const { id } = req.params
+  let startDate
+  let endDateRaw
+  try {
+    startDate = parseDateOnly(req.query.start_date)
+    endDateRaw = parseDateOnly(req.query.end_date)
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+
+  if (startDate && endDateRaw && endDateRaw < startDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'end_date must be on or after start_date',
+    })
+  }
+
+  const endDate = endDateRaw
+    ? new Date(endDateRaw.getTime() + 24 * 60 * 60 * 1000)
+    : null
+
+  try {
+    logger.info('Asset history request', {
+      userId: req.user?.user_id,
+      assetId: id,
+      query: req.query,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    const exists = await accessScopeService.isAssetInScope(
+      id,
+      req.accessScope,
+    )
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found',
+      })
+    }
+
+    const result = await assetHistoryService.listForAsset(id, {
+      page: req.query.page,
+      limit: req.query.limit,
+      field: req.query.field,
+      startDate,
+      endDate,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Asset history retrieved successfully',
+      ...result,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_history',
+      userId: req.user?.user_id,
+      assetId: id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve asset history',
+      error: error.message,
+    })
+  }
+}
+
+// Error response of the component endpoints; service errors carry a status
+const sendComponentError = (res, error, action, req) => {
+  if (!error.statusCode) {
+    logger.logError(error, {
+      action,
+      userId: req.user?.user_id,
+      assetId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Failed to update asset components',
+    ...(!error.statusCode && { error: error.message }),
+  })
+}
+
+// Get the components installed in an asset, as a tree, with its parents
+const getComponents = async (req, res) => {
+  try {
+    const tree = await assetComponentService.getTree(req.params.id, {
+      accessScope: req.accessScope,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Asset components retrieved successfully',
+      data: tree,
+    })
+  } catch (error) {
+    sendComponentError(res, error, 'get_asset_components', req)
+  }
+}
+
+// Install an asset in this one, moving it out of any previous parent
+const attachComponent = async (req, res) => {
+  const childId = req.body?.child_asset_id
+  if (!childId) {
+    return res.status(400).json({
+      success: false,
+      message: 'child_asset_id is required',
+    })
+  }
+
+  try {
+    const component = await assetComponentService.attach(req.params.id, childId, {
+      accessScope: req.accessScope,
+      context: assetHistoryService.buildContext(req),
+    })
+
+    logger.logBusiness('asset_component_attached', {
+      userId: req.user?.user_id,
+      assetId: req.params.id,
+      componentId: component.asset_id,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Component attached successfully',
+      data: component,
+    })
+  } catch (error) {
+    sendComponentError(res, error, 'attach_asset_component', req)
+  }
+}
+
+// Remove a component from this asset
+const detachComponent = async (req, res) => {
+  try {
+    const component = await assetComponentService.detach(
+      req.params.id,
+      req.params.childId,
+      {
+        accessScope: req.accessScope,
+        context: assetHistoryService.buildContext(req),
+      },
+    )
+
+    logger.logBusiness('asset_component_detached', {
+      userId: req.user?.user_id,
+      assetId: req.params.id,
+      componentId: component.asset_id,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Component detached successfully',
+      data: component,
+    })
+  } catch (error) {
+    sendComponentError(res, error, 'detach_asset_component', req)
+  }
+}
+
+// Get the depreciation schedule of an asset
+const getDepreciation = async (req, res) => {
+  const { id } = req.params
+  try {
+    logger.info('Asset depreciation request', {
+      userId: req.user?.user_id,
+      assetId: id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    const depreciation = await depreciationService.getAssetSchedule(id, {
+      accessScope: req.accessScope,
+    })
+    if (!depreciation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found',
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Asset depreciation retrieved successfully',
+      data: depreciation,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_asset_depreciation',
+      userId: req.user?.user_id,
+      assetId: id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve asset depreciation',
+      error: error.message,
+    })
+  }
+}
+
+// Assets whose warranty ends within the requested number of days
+const listExpiringWarranties = async (req, res) => {
+  const days = parseExpiringDays(req.query.days)
+  if (days === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'days must be a non-negative integer',
+    })
+  }
+
+  try {
+    logger.info('Expiring warranties request', {
+      userId: req.user?.user_id,
+      query: req.query,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    const result = await warrantyService.findExpiring({
+      days,
+      page: req.query.page,
+      limit: req.query.limit,
+      accessScope: req.accessScope,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Expiring warranties retrieved successfully',
+      ...result,
+      days,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_expiring_warranties',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve expiring warranties',
+      error: error.message,
+    })
+  }
+}
+
+// Period-end fixed-asset register, as JSON or as an XLSX export
+const getFixedAssetRegister = async (req, res) => {
+  let periodStart
+  let periodEnd
+  try {
+    periodEnd = parseDateOnly(req.query.period_end) || parseDateOnly(new Date())
+    periodStart =
+      parseDateOnly(req.query.period_start) ||
+      new Date(Date.UTC(periodEnd.getUTCFullYear(), 0, 1))
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+
+  if (periodEnd < periodStart) {
+    return res.status(400).json({
+      success: false,
+      message: 'period_end must be on or after period_start',
+    })
+  }
+
+  const format = req.query.format || 'json'
+  if (!['json', 'xlsx'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid format. Must be one of: json, xlsx',
+    })
+  }
+
+  try {
+    logger.info('Fixed-asset register request', {
+      userId: req.user?.user_id,
+      query: req.query,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    const register = await depreciationService.getFixedAssetRegister({
+      periodStart,
+      periodEnd,
+      accessScope: req.accessScope,
+    })
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        message: 'Fixed-asset register retrieved successfully',
+        data: register,
+      })
+    }
+
+    const exportResult = await assetService.exportFixedAssetRegister(register)
+
+    logger.info('Fixed-asset register export generated', {
+      userId: req.user?.user_id,
+      assetCount: exportResult.assetCount,
+      publicPath: exportResult.publicPath,
+    })
+
+    const downloadUrl = `${req.protocol}://${req.get('host')}${exportResult.publicPath}`
+
+    return res.status(200).json({
+      success: true,
+      message: 'Fixed-asset register export generated successfully',
+      data: {
+        file_name: exportResult.fileName,
+        file_path: exportResult.publicPath,
+        download_url: downloadUrl,
+        asset_count: exportResult.assetCount,
+        period_start: register.period_start,
+        period_end: register.period_end,
+        totals: register.totals,
+      },
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_fixed_asset_register',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate fixed-asset register',
+      error: error.message,
+    })
+  }
+}
+
 // Create new asset
 const create = async (req, res) => {
   try {
@@ -524,7 +944,9 @@ const create = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const asset = await assetService.createAsset(assetData, req.user)
+    const asset = await assetService.createAsset(assetData, req.user, {
+      accessScope: req.accessScope,
+    })
 
     logger.logBusiness('asset_created', {
       userId: req.user?.user_id,
@@ -533,6 +955,8 @@ const create = async (req, res) => {
       name: asset.name,
     })
 
+    await webhookService.dispatchAssetCreated(asset)
+
     const protocol = req.protocol
     const host = req.get('host')
     const withUrls = {
@@ -570,6 +994,14 @@ const create = async (req, res) => {
       })
     }
 
+    // Asset outside the user's access scope
+    if (error.statusCode === 403) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: 'Failed to create asset',
@@ -591,7 +1023,10 @@ const update = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const asset = await assetService.update(id, updateData)
+    const asset = await assetService.update(id, updateData, {
+      auditContext: assetHistoryService.buildContext(req),
+      accessScope: req.accessScope,
+    })
 
     if (!asset) {
       logger.warn('Asset not found for update', {
@@ -636,6 +1071,18 @@ const update = async (req, res) => {
       })
     }
 
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json(buildStatusTransitionError(error))
+    }
+
+    // Asset outside the user's access scope
+    if (error.statusCode === 403) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: 'Failed to update asset',
@@ -644,7 +1091,7 @@ const update = async (req, res) => {
   }
 }
 
-// Delete asset (hard delete)
+// Move asset to the trash (restorable until purged)
 const remove = async (req, res) => {
   try {
     const { id } = req.params
@@ -655,7 +1102,10 @@ const remove = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const deleted = await assetService.delete(id)
+    const deleted = await assetService.delete(id, {
+      auditContext: assetHistoryService.buildContext(req),
+      accessScope: req.accessScope,
+    })
 
     if (!deleted) {
       logger.warn('Asset not found for deletion', {
@@ -677,7 +1127,7 @@ const remove = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Asset deleted successfully',
+      message: 'Asset moved to trash successfully',
     })
   } catch (error) {
     logger.logError(error, {
@@ -718,10 +1168,17 @@ const changeApprovalStatus = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
-    const asset = await assetService.updateApprovalStatus(id, {
-      approval_status,
-      notes: comment ?? null,
-    })
+    const asset = await assetService.updateApprovalStatus(
+      id,
+      {
+        approval_status,
+        notes: comment ?? null,
+      },
+      {
+        auditContext: assetHistoryService.buildContext(req),
+        accessScope: req.accessScope,
+      },
+    )
 
     if (!asset) {
       logger.warn('Asset not found for approval change', {
@@ -743,6 +1200,11 @@ const changeApprovalStatus = async (req, res) => {
       newApprovalStatus: approval_status,
     })
 
+    await notificationService.notifyAssetApproval(asset, {
+      actorId: req.user?.user_id,
+      comment: comment ?? null,
+    })
+
     res.status(200).json({
       success: true,
       message: 'Asset approval status updated successfully',
@@ -768,7 +1230,7 @@ const changeApprovalStatus = async (req, res) => {
 const changeStatus = async (req, res) => {
   try {
     const { id } = req.params
-    const { status } = req.body
+    const { status, cascade_components } = req.body
 
     logger.info('Asset status change request', {
       userId: req.user?.user_id,
@@ -794,7 +1256,14 @@ const changeStatus = async (req, res) => {
       })
     }
 
-    const asset = await assetService.update(id, { status })
+    const asset = await assetService.update(
+      id,
+      { status },
+      {
+        auditContext: assetHistoryService.buildContext(req),
+        accessScope: req.accessScope,
+      },
+    )
 
     if (!asset) {
       logger.warn('Asset not found for status change', {
@@ -817,10 +1286,19 @@ const changeStatus = async (req, res) => {
       newStatus: status,
     })
 
+    // Retiring or disposing of an asset can take its components with it
+    const cascade =
+      cascade_components === true && CASCADE_STATUSES.includes(status)
+        ? await assetComponentService.cascadeFromParent(id, {
+          context: assetHistoryService.buildContext(req),
+        })
+        : undefined
+
     res.status(200).json({
       success: true,
       message: 'Asset status updated successfully',
       data: asset,
+      cascade,
     })
   } catch (error) {
     logger.logError(error, {
@@ -831,6 +1309,10 @@ const changeStatus = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     })
 
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json(buildStatusTransitionError(error))
+    }
+
     res.status(400).json({
       success: false,
       message: 'Failed to update asset status',
@@ -841,6 +1323,14 @@ const changeStatus = async (req, res) => {
 
 // Get assets assigned to the current user
 const myAssets = async (req, res) => {
+  const warrantyError = validateWarrantyQuery(req.query)
+  if (warrantyError) {
+    return res.status(400).json({
+      success: false,
+      message: warrantyError,
+    })
+  }
+
   try {
     logger.info('My assets request', {
       userId: req.user?.user_id,
@@ -907,6 +1397,14 @@ const listByCreator = async (req, res) => {
     })
   }
 
+  const warrantyError = validateWarrantyQuery(req.query)
+  if (warrantyError) {
+    return res.status(400).json({
+      success: false,
+      message: warrantyError,
+    })
+  }
+
   const endDate = endDateRaw
     ? new Date(endDateRaw.getTime() + 24 * 60 * 60 * 1000)
     : null
@@ -923,10 +1421,12 @@ const listByCreator = async (req, res) => {
     delete pagingQuery.start_date
     delete pagingQuery.end_date
 
-    const result = await assetService.getAssetsByCreator(userId, pagingQuery, {
-      startDate,
-      endDate,
-    })
+    const result = await assetService.getAssetsByCreator(
+      userId,
+      pagingQuery,
+      { startDate, endDate },
+      { accessScope: req.accessScope },
+    )
 
     logger.info('Assets by creator retrieved', {
       targetUserId: userId,
@@ -970,7 +1470,9 @@ const getBarcode = async (req, res) => {
     })
 
     // Get the asset
-    const asset = await assetService.getById(id)
+    const asset = await assetService.getById(id, {
+      accessScope: req.accessScope,
+    })
 
     if (!asset) {
       logger.warn('Asset not found for barcode', {
@@ -1083,6 +1585,13 @@ module.exports = {
   exportAssetImages,
   getAssetImageExportJob,
   getById,
+  getHistory,
+  getComponents,
+  attachComponent,
+  detachComponent,
+  getDepreciation,
+  getFixedAssetRegister,
+  listExpiringWarranties,
   create,
   update,
   remove,
@@ -1,5 +1,27 @@
 const AuthService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
 const logger = require('../utils/logger');
+const { SESSION_REVOKE_REASON } = require('../utils/constants');
+
+/**
+ * Client details recorded on login sessions
+ */
+const getClientMeta = (req) => ({
+  ip: req.ip || req.connection.remoteAddress,
+  userAgent: req.get('user-agent')
+});
+
+// Ties a single sign-on login to the browser that started it
+const OIDC_BINDING_COOKIE = 'oidc_binding';
+
+const oidcCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: req.secure,
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
 
 /**
  * Register a new user
@@ -69,10 +91,24 @@ const login = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress,
     });
 
-    const loginResult = await AuthService.loginUser(email, password);
+    const loginResult = await AuthService.loginUser(email, password, getClientMeta(req));
+
+    if (loginResult.two_factor_required) {
+      logger.logAuth('login_password', null, true, {
+        email,
+        twoFactorRequired: true,
+      });
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: loginResult
+      });
+    }
 
-    logger.logAuth('login', loginResult.user.id, true, {
+    logger.logAuth('login', loginResult.user.user_id, true, {
       email,
+      sessionId: loginResult.session_id,
     });
 
     res.json({
@@ -95,6 +131,14 @@ const login = async (req, res) => {
       });
     }
 
+    if (error.statusCode === 423) {
+      return res.status(423).json({
+        success: false,
+        message: error.message,
+        data: { locked_until: error.lockedUntil }
+      });
+    }
+
     // Handle authentication errors
     if (error.message.includes('Invalid email or password') ||
       error.message.includes('Account is not active')) {
@@ -113,16 +157,18 @@ const login = async (req, res) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Logout user (revokes the current session)
  */
 const logout = async (req, res) => {
   try {
-    logger.logAuth('logout', req.user ? req.user.user_id : null, true, {
+    await sessionService.revoke(req.user.user_id, req.user.session_id, SESSION_REVOKE_REASON.LOGOUT);
+
+    logger.logAuth('logout', req.user.user_id, true, {
+      sessionId: req.user.session_id,
       ip: req.ip || req.connection.remoteAddress,
     });
 
-    // Since we're using JWT, logout is primarily handled on the client side
-    // by removing the token. This endpoint can be used for logging purposes
+    // The access token and refresh token of this session stop working
     res.json({
       success: true,
       message: 'Logout successful'
@@ -220,11 +266,15 @@ const changePassword = async (req, res) => {
     const userId = req.user.user_id;
     const { current_password, new_password } = req.body;
 
-    await AuthService.changeUserPassword(userId, current_password, new_password);
+    await AuthService.changeUserPassword(userId, current_password, new_password, req.user.session_id);
+
+    logger.logAuth('change_password', userId, true, {
+      ip: req.ip || req.connection.remoteAddress,
+    });
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other sessions have been signed out.'
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -261,11 +311,357 @@ const changePassword = async (req, res) => {
 };
 
 /**
- * Refresh token
+ * Complete a login with a TOTP or recovery code
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const loginResult = await AuthService.verifyTwoFactorLogin(req.body, getClientMeta(req));
+
+    logger.logAuth('login', loginResult.user.user_id, true, {
+      sessionId: loginResult.session_id,
+      twoFactorMethod: loginResult.two_factor_method,
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: loginResult
+    });
+  } catch (error) {
+    if (error.message === 'Validation failed' && error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.validationErrors
+      });
+    }
+
+    if (error.statusCode) {
+      logger.logAuth('login_two_factor', null, false, {
+        reason: error.message,
+        ip: req.ip || req.connection.remoteAddress,
+      });
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.lockedUntil && { data: { locked_until: error.lockedUntil } })
+      });
+    }
+
+    logger.logError(error, {
+      action: 'verify_two_factor_login',
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Whether single sign-on is available, for the login page
+ */
+const getOidcConfig = async (req, res) => {
+  res.json({
+    success: true,
+    data: oidcService.getPublicConfig()
+  });
+};
+
+/**
+ * Start a single sign-on login: the identity provider URL to send the user to
+ */
+const startOidcLogin = async (req, res) => {
+  try {
+    const { binding, expires_in_ms: maxAge, ...result } =
+      await oidcService.createAuthorizationRequest();
+
+    res.cookie(OIDC_BINDING_COOKIE, binding, { ...oidcCookieOptions(req), maxAge });
+    res.json({
+      success: true,
+      message: 'Redirect the user to authorization_url',
+      data: result
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'start_oidc_login',
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start single sign-on',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Complete a single sign-on login with the code and state the identity
+ * provider sent back to the client app, in the browser that started it
+ */
+const completeOidcLogin = async (req, res) => {
+  try {
+    const binding = req.cookies && req.cookies[OIDC_BINDING_COOKIE];
+    // The binding is single use, whatever the outcome
+    res.clearCookie(OIDC_BINDING_COOKIE, oidcCookieOptions(req));
+
+    const loginResult = await AuthService.loginWithOidc(
+      { ...req.body, binding },
+      getClientMeta(req)
+    );
+
+    if (loginResult.two_factor_required) {
+      logger.logAuth('login_oidc', null, true, {
+        twoFactorRequired: true,
+      });
+
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: loginResult
+      });
+    }
+
+    logger.logAuth('login', loginResult.user.user_id, true, {
+      email: loginResult.user.email,
+      sessionId: loginResult.session_id,
+      method: 'oidc',
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: loginResult
+    });
+  } catch (error) {
+    logger.logAuth('login_oidc', null, false, {
+      reason: error.message,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.lockedUntil && { data: { locked_until: error.lockedUntil } })
+      });
+    }
+
+    logger.logError(error, {
+      action: 'complete_oidc_login',
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Respond to a failed two-factor management request
+ */
+const sendTwoFactorError = (req, res, error, action) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.logError(error, {
+    action,
+    userId: req.user.user_id,
+    ip: req.ip || req.connection.remoteAddress,
+  });
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * Get the current user's two-factor authentication status
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'get_two_factor_status');
+  }
+};
+
+/**
+ * Start two-factor enrolment (returns the secret and a QR code)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const setup = await twoFactorService.beginSetup(req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with an authenticator app, then confirm with a code',
+      data: setup
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'setup_two_factor');
+  }
+};
+
+/**
+ * Confirm two-factor enrolment with a code from the authenticator app
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.user.user_id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.',
+      data: result
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'enable_two_factor');
+  }
+};
+
+/**
+ * Replace the current user's recovery codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.user_id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: result
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'regenerate_recovery_codes');
+  }
+};
+
+/**
+ * Turn off two-factor authentication for the current user
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    await twoFactorService.disable(req.user.user_id, {
+      password,
+      code,
+      recoveryCode: recovery_code
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'disable_two_factor');
+  }
+};
+
+/**
+ * Forgot password (emails a reset link)
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    await AuthService.requestPasswordReset(req.body.email, {
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an active account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    if (error.message === 'Validation failed' && error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.validationErrors
+      });
+    }
+
+    logger.logError(error, {
+      action: 'forgot_password',
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reset password with a token from the reset email
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    await AuthService.resetPassword(token, new_password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.message === 'Validation failed' && error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: error.validationErrors
+      });
+    }
+
+    if (error.statusCode) {
+      logger.logAuth('password_reset', null, false, {
+        reason: error.message,
+        ip: req.ip || req.connection.remoteAddress,
+      });
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.logError(error, {
+      action: 'reset_password',
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Refresh token (rotates the refresh token)
  */
 const refreshToken = async (req, res) => {
   try {
-    const tokenData = AuthService.refreshUserToken(req.user);
+    const tokenData = await AuthService.refreshUserToken(req.body.refresh_token, getClientMeta(req));
 
     res.json({
       success: true,
@@ -273,7 +669,22 @@ const refreshToken = async (req, res) => {
       data: tokenData
     });
   } catch (error) {
-    console.error('Refresh token error:', error);
+    if (error.statusCode === 401) {
+      logger.logAuth('refresh_token', null, false, {
+        reason: error.message,
+        ip: req.ip || req.connection.remoteAddress,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.logError(error, {
+      action: 'refresh_token',
+      ip: req.ip || req.connection.remoteAddress,
+    });
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -305,13 +716,125 @@ const verifyToken = async (req, res) => {
   }
 };
 
+/**
+ * Logout from all sessions, including the current one
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAll(req.user.user_id, {
+      reason: SESSION_REVOKE_REASON.LOGOUT_ALL
+    });
+
+    logger.logAuth('logout_all', req.user.user_id, true, {
+      revoked,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'logout_all',
+      userId: req.user.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ */
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listForUser(req.user.user_id, req.user.session_id);
+
+    res.json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_sessions',
+      userId: req.user.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const revoked = await sessionService.revoke(req.user.user_id, id, SESSION_REVOKE_REASON.REVOKED);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    logger.logAuth('revoke_session', req.user.user_id, true, {
+      sessionId: id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'revoke_session',
+      userId: req.user.user_id,
+      sessionId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
   refreshToken,
   verifyToken
 };
@@ -0,0 +1,289 @@
+const logger = require('../utils/logger')
+const consumableService = require('../services/consumableService')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  })
+
+// List consumables with their stock per location
+const list = async (req, res) => {
+  try {
+    const consumables = await consumableService.list(req.query, {
+      accessScope: req.accessScope,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Consumables retrieved successfully',
+      data: consumables,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_consumables',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve consumables')
+  }
+}
+
+// Stocks at or below their reorder level
+const listLowStock = async (req, res) => {
+  try {
+    const stocks = await consumableService.listLowStock({
+      accessScope: req.accessScope,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Low stock retrieved successfully',
+      data: stocks,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_low_stock_consumables',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve low stock')
+  }
+}
+
+// Get a consumable with its stock per location
+const getById = async (req, res) => {
+  try {
+    const consumable = await consumableService.getById(req.params.id, {
+      accessScope: req.accessScope,
+    })
+    if (!consumable) {
+      return sendNotFound(res, 'Consumable not found')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Consumable retrieved successfully',
+      data: consumable,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_consumable',
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve consumable')
+  }
+}
+
+// Create a consumable
+const create = async (req, res) => {
+  try {
+    const consumable = await consumableService.create(req.body, req.user.user_id)
+
+    logger.logBusiness('consumable_created', {
+      userId: req.user?.user_id,
+      consumableId: consumable.consumable_id,
+      name: consumable.name,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Consumable created successfully',
+      data: consumable,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_consumable',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create consumable')
+  }
+}
+
+// Update a consumable
+const update = async (req, res) => {
+  try {
+    const consumable = await consumableService.update(req.params.id, req.body)
+    if (!consumable) {
+      return sendNotFound(res, 'Consumable not found')
+    }
+
+    logger.logBusiness('consumable_updated', {
+      userId: req.user?.user_id,
+      consumableId: consumable.consumable_id,
+      updatedFields: Object.keys(req.body || {}),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Consumable updated successfully',
+      data: consumable,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_consumable',
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update consumable')
+  }
+}
+
+// Delete a consumable without stock on hand
+const remove = async (req, res) => {
+  try {
+    const deleted = await consumableService.delete(req.params.id)
+    if (!deleted) {
+      return sendNotFound(res, 'Consumable not found')
+    }
+
+    logger.logBusiness('consumable_deleted', {
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Consumable deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_consumable',
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete consumable')
+  }
+}
+
+// Set the reorder level at a location or room
+const setReorderLevel = async (req, res) => {
+  try {
+    const stock = await consumableService.setReorderLevel(req.params.id, req.body, {
+      accessScope: req.accessScope,
+    })
+    if (!stock) {
+      return sendNotFound(res, 'Consumable not found')
+    }
+
+    logger.logBusiness('consumable_reorder_level_set', {
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      consumableStockId: stock.consumable_stock_id,
+      reorderLevel: stock.reorder_level,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Reorder level updated successfully',
+      data: stock,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'set_consumable_reorder_level',
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update reorder level')
+  }
+}
+
+// Receive stock, or take it out
+const moveStock = (direction) => async (req, res) => {
+  const stockIn = direction === 'in'
+  try {
+    const options = {
+      accessScope: req.accessScope,
+      performedBy: req.user.user_id,
+    }
+    const movement = stockIn
+      ? await consumableService.stockIn(req.params.id, req.body, options)
+      : await consumableService.stockOut(req.params.id, req.body, options)
+    if (!movement) {
+      return sendNotFound(res, 'Consumable not found')
+    }
+
+    logger.logBusiness(stockIn ? 'consumable_stocked_in' : 'consumable_stocked_out', {
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      consumableStockId: movement.consumable_stock_id,
+      quantityChange: movement.quantity_change,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: stockIn ? 'Stock received successfully' : 'Stock taken out successfully',
+      data: movement,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: stockIn ? 'stock_in_consumable' : 'stock_out_consumable',
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to record stock movement')
+  }
+}
+
+// Movements of a consumable, newest first
+const listMovements = async (req, res) => {
+  try {
+    const result = await consumableService.listMovements(req.params.id, req.query, {
+      accessScope: req.accessScope,
+    })
+    if (!result) {
+      return sendNotFound(res, 'Consumable not found')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Stock movements retrieved successfully',
+      data: result.data,
+      pagination: result.pagination,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_consumable_movements',
+      userId: req.user?.user_id,
+      consumableId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve stock movements')
+  }
+}
+
+module.exports = {
+  list,
+  listLowStock,
+  getById,
+  create,
+  update,
+  remove,
+  setReorderLevel,
+  stockIn: moveStock('in'),
+  stockOut: moveStock('out'),
+  listMovements,
+}
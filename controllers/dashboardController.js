@@ -2,6 +2,7 @@ const { Asset, AssetTransaction, User, Department, AssetCategory, MaintenanceSch
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const { checkPermission } = require('../utils/permissions');
+const softwareLicenseService = require('../services/softwareLicenseService');
 
 /**
  * Get IT Manager dashboard statistics
@@ -87,6 +88,9 @@ const getITManagerStats = async (req, res) => {
     // Get document statistics
     const totalDocuments = await AssetDocument.count();
 
+    // Get software license statistics (renewals, over-allocation, seats)
+    const licenseStats = await softwareLicenseService.getDashboardStats();
+
     const stats = {
       totalAssets,
       totalUsers,
@@ -97,7 +101,8 @@ const getITManagerStats = async (req, res) => {
       totalSchedules,
       upcomingMaintenance,
       overdueMaintenance,
-      totalDocuments
+      totalDocuments,
+      ...licenseStats
     };
 
     logger.info('IT Manager dashboard stats retrieved successfully', {
@@ -230,6 +235,9 @@ const getAdminStats = async (req, res) => {
     // Get document statistics
     const totalDocuments = await AssetDocument.count();
 
+    // Get software license statistics (renewals, over-allocation, seats)
+    const licenseStats = await softwareLicenseService.getDashboardStats();
+
     // Get recent maintenance activities (last 5 logs)
     const recentMaintenanceLogs = await MaintenanceLog.findAll({
       limit: 5,
@@ -259,6 +267,7 @@ const getAdminStats = async (req, res) => {
       upcomingMaintenance,
       overdueMaintenance,
       totalDocuments,
+      ...licenseStats,
       recentMaintenanceLogs: recentMaintenanceLogs.map(log => ({
         log_id: log.log_id,
         title: log.title,
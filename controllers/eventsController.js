@@ -0,0 +1,50 @@
+"use strict";
+
+const eventStreamService = require("../services/eventStreamService");
+const NotificationService = require("../services/notificationService");
+const logger = require("../utils/logger");
+
+const notificationService = new NotificationService();
+
+// Open the authenticated user's Server-Sent Events stream
+const stream = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const unreadCount = await notificationService.getUnreadCount(userId);
+
+    eventStreamService.subscribe(req, res, { unreadCount });
+
+    logger.info("Event stream opened", {
+      userId,
+      connections: eventStreamService.getConnectionCount(),
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    req.on("close", () => {
+      logger.info("Event stream closed", {
+        userId,
+        connections: eventStreamService.getConnectionCount(),
+      });
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: "open_event_stream",
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to open event stream",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  stream,
+};
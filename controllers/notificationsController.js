@@ -1,25 +1,46 @@
 "use strict";
 
+const NotificationService = require("../services/notificationService");
 const logger = require("../utils/logger");
+const { NOTIFICATION_TYPE } = require("../utils/constants");
 
-// Get notifications (placeholder for future in-app notifications)
+const notificationService = new NotificationService();
+
+const NOTIFICATION_TYPES = Object.values(NOTIFICATION_TYPE);
+
+// Get the authenticated user's notifications
 const getNotifications = async (req, res) => {
   try {
     const userId = req.user.user_id;
+    const { page, limit, unread, type } = req.query;
 
     logger.info("Get notifications request", {
       userId,
+      query: req.query,
       ip: req.ip || req.connection.remoteAddress,
     });
 
-    // TODO: Implement in-app notification system
-    // For now, return empty array
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${NOTIFICATION_TYPES.join(", ")}`,
+      });
+    }
+
+    const result = await notificationService.list(userId, {
+      page,
+      limit,
+      unreadOnly: unread === "true",
+      type,
+    });
+
     res.status(200).json({
       success: true,
       message: "Notifications retrieved successfully",
       data: {
-        notifications: [],
-        unreadCount: 0,
+        notifications: result.data,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination,
       },
     });
   } catch (error) {
@@ -37,6 +58,141 @@ const getNotifications = async (req, res) => {
   }
 };
 
+// Get the number of unread notifications
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(
+      req.user.user_id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Unread count retrieved successfully",
+      data: { unreadCount },
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: "get_unread_notification_count",
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve unread count",
+      error: error.message,
+    });
+  }
+};
+
+// Mark a notification as read
+const markAsRead = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const { id } = req.params;
+
+    const notification = await notificationService.markAsRead(userId, id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification,
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: "mark_notification_read",
+      userId: req.user?.user_id,
+      notificationId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read",
+      error: error.message,
+    });
+  }
+};
+
+// Mark all of the user's notifications as read
+const markAllAsRead = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+
+    const updated = await notificationService.markAllAsRead(userId);
+
+    logger.info("All notifications marked as read", {
+      userId,
+      updated,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { updated },
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: "mark_all_notifications_read",
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a notification
+const deleteNotification = async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const { id } = req.params;
+
+    const deleted = await notificationService.delete(userId, id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification deleted successfully",
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: "delete_notification",
+      userId: req.user?.user_id,
+      notificationId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete notification",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
 };
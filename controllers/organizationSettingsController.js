@@ -1,8 +1,33 @@
 const { OrganizationSettings } = require('../models');
 const { createOrganizationSettingsCrudService } = require('../services/crudServiceFactory');
+const twoFactorService = require('../services/twoFactorService');
+const roleService = require('../services/roleService');
 const logger = require('../utils/logger');
 const crudService = createOrganizationSettingsCrudService();
 
+/**
+ * Validate two_factor_required_roles when present
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTwoFactorRoles = async (body) => {
+  const roles = body.two_factor_required_roles;
+  if (roles === undefined || roles === null) {
+    return null;
+  }
+
+  if (!Array.isArray(roles)) {
+    return 'two_factor_required_roles must be an array of role names';
+  }
+
+  for (const role of roles) {
+    if (!(await roleService.exists(role))) {
+      return `two_factor_required_roles contains an unknown role: ${role}`;
+    }
+  }
+
+  return null;
+};
+
 
 // Get organization settings (single item)
 const get = async (req, res) => {
@@ -62,6 +87,14 @@ const create = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress
     });
     
+    const rolesError = await validateTwoFactorRoles(req.body);
+    if (rolesError) {
+      return res.status(400).json({
+        success: false,
+        message: rolesError
+      });
+    }
+
     // Check if organization settings already exist
     const existingSettings = await OrganizationSettings.findOne();
     if (existingSettings) {
@@ -78,6 +111,7 @@ const create = async (req, res) => {
     }
 
     const result = await crudService.create(req.body);
+    twoFactorService.clearCache();
 
     logger.logBusiness('organization_settings_created', {
       userId: req.user?.user_id,
@@ -115,6 +149,14 @@ const update = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress
     });
     
+    const rolesError = await validateTwoFactorRoles(req.body);
+    if (rolesError) {
+      return res.status(400).json({
+        success: false,
+        message: rolesError
+      });
+    }
+
     const existingSettings = await OrganizationSettings.findOne();
 
     if (!existingSettings) {
@@ -130,6 +172,7 @@ const update = async (req, res) => {
     }
 
     const result = await crudService.update(existingSettings.setting_id, req.body);
+    twoFactorService.clearCache();
 
     logger.logBusiness('organization_settings_updated', {
       userId: req.user?.user_id,
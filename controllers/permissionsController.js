@@ -1,10 +1,6 @@
 const logger = require('../utils/logger');
-const {
-
-  ADMIN_PERMISSIONS,
-  IT_MANAGER_PERMISSIONS,
-  EMPLOYEE_PERMISSIONS
-} = require('../utils/permissions');
+const roleService = require('../services/roleService');
+const { getRolePermissions } = require('../utils/permissions');
 
 // Get all permissions data
 const getPermissions = async (req, res) => {
@@ -14,13 +10,9 @@ const getPermissions = async (req, res) => {
       ip: req.ip || req.connection.remoteAddress
     });
 
-    const permissionsData = {
-
-
-      admin: ADMIN_PERMISSIONS,
-      it_manager: IT_MANAGER_PERMISSIONS,
-      employee: EMPLOYEE_PERMISSIONS
-    };
+    // Permissions of every role in the roles table, by role name
+    await roleService.ensureLoaded();
+    const permissionsData = getRolePermissions();
 
     res.status(200).json({
       success: true,
@@ -1,7 +1,7 @@
 'use strict'
 
 const { Op } = require('sequelize')
-const { RequestLog, User } = require('../models')
+const { RequestLog, User, ApiKey } = require('../models')
 const requestLogService = require('../services/requestLogService')
 const logger = require('../utils/logger')
 
@@ -24,6 +24,10 @@ const listRequestLogs = async (req, res) => {
       where.user_id = parseInt(req.query.userId, 10)
     }
 
+    if (req.query.apiKeyId) {
+      where.api_key_id = parseInt(req.query.apiKeyId, 10)
+    }
+
     if (req.query.hasError === 'true') {
       where.has_error = true
     }
@@ -46,6 +50,12 @@ const listRequestLogs = async (req, res) => {
           attributes: ['user_id', 'email', 'role'],
           required: false,
         },
+        {
+          model: ApiKey,
+          as: 'apiKey',
+          attributes: ['api_key_id', 'name', 'key_prefix'],
+          required: false,
+        },
       ],
       attributes: [
         'request_log_id',
@@ -59,6 +69,7 @@ const listRequestLogs = async (req, res) => {
         'response_content_type',
         'response_size',
         'user_id',
+        'api_key_id',
         'has_error',
         'created_at',
       ],
@@ -103,6 +114,12 @@ const getRequestLogById = async (req, res) => {
           attributes: ['user_id', 'email', 'role'],
           required: false,
         },
+        {
+          model: ApiKey,
+          as: 'apiKey',
+          attributes: ['api_key_id', 'name', 'key_prefix'],
+          required: false,
+        },
       ],
     })
 
@@ -0,0 +1,167 @@
+const logger = require('../utils/logger')
+const roleService = require('../services/roleService')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Role not found',
+  })
+
+// List roles with their permissions and user counts
+const listRoles = async (req, res) => {
+  try {
+    const roles = await roleService.list()
+
+    return res.status(200).json({
+      success: true,
+      message: 'Roles retrieved successfully',
+      data: roles,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_roles',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve roles')
+  }
+}
+
+// Modules and permissions a role can be granted
+const getCatalog = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    message: 'Permission catalog retrieved successfully',
+    data: roleService.getCatalog(),
+  })
+}
+
+// Get a role
+const getRole = async (req, res) => {
+  try {
+    const role = await roleService.getById(req.params.id)
+    if (!role) {
+      return sendNotFound(res)
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role retrieved successfully',
+      data: role,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_role',
+      userId: req.user?.user_id,
+      roleId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve role')
+  }
+}
+
+// Create a custom role
+const createRole = async (req, res) => {
+  try {
+    const role = await roleService.create(req.body)
+
+    logger.logBusiness('role_created', {
+      userId: req.user?.user_id,
+      roleId: role.role_id,
+      roleName: role.name,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_role',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create role')
+  }
+}
+
+// Update a role's display name, description or permissions
+const updateRole = async (req, res) => {
+  try {
+    const role = await roleService.update(req.params.id, req.body)
+    if (!role) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('role_updated', {
+      userId: req.user?.user_id,
+      roleId: role.role_id,
+      roleName: role.name,
+      updatedFields: Object.keys(req.body || {}),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_role',
+      userId: req.user?.user_id,
+      roleId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update role')
+  }
+}
+
+// Delete a custom role that is not assigned to any user
+const deleteRole = async (req, res) => {
+  try {
+    const deleted = await roleService.delete(req.params.id)
+    if (!deleted) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('role_deleted', {
+      userId: req.user?.user_id,
+      roleId: req.params.id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_role',
+      userId: req.user?.user_id,
+      roleId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete role')
+  }
+}
+
+module.exports = {
+  listRoles,
+  getCatalog,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+}
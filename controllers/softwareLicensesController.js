@@ -0,0 +1,276 @@
+const logger = require('../utils/logger')
+const softwareLicenseService = require('../services/softwareLicenseService')
+const { parseExpiringDays } = require('../utils/warranty')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  })
+
+const sendInvalidDays = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'days must be a non-negative integer',
+  })
+
+// List licenses with their seat usage and expiry status
+const list = async (req, res) => {
+  const days = req.query.days === undefined
+    ? softwareLicenseService.getAlertDays()
+    : parseExpiringDays(req.query.days)
+  if (days === null) {
+    return sendInvalidDays(res)
+  }
+
+  try {
+    const licenses = await softwareLicenseService.list({ ...req.query, days })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Software licenses retrieved successfully',
+      data: licenses,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_software_licenses',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve software licenses')
+  }
+}
+
+// Licenses expiring within the renewal window
+const listRenewals = async (req, res) => {
+  const days = req.query.days === undefined
+    ? softwareLicenseService.getAlertDays()
+    : parseExpiringDays(req.query.days)
+  if (days === null) {
+    return sendInvalidDays(res)
+  }
+
+  try {
+    const licenses = await softwareLicenseService.findRenewals({ days })
+
+    return res.status(200).json({
+      success: true,
+      message: 'License renewals retrieved successfully',
+      data: licenses,
+      days,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_software_license_renewals',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve license renewals')
+  }
+}
+
+// Get a license with its seats
+const getById = async (req, res) => {
+  try {
+    const license = await softwareLicenseService.getById(req.params.id, {
+      accessScope: req.accessScope,
+    })
+    if (!license) {
+      return sendNotFound(res, 'Software license not found')
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Software license retrieved successfully',
+      data: license,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_software_license',
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve software license')
+  }
+}
+
+// Create a license
+const create = async (req, res) => {
+  try {
+    const license = await softwareLicenseService.create(req.body, req.user.user_id)
+
+    logger.logBusiness('software_license_created', {
+      userId: req.user?.user_id,
+      licenseId: license.license_id,
+      name: license.name,
+      licenseType: license.license_type,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'Software license created successfully',
+      data: license,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_software_license',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create software license')
+  }
+}
+
+// Update a license
+const update = async (req, res) => {
+  try {
+    const license = await softwareLicenseService.update(req.params.id, req.body)
+    if (!license) {
+      return sendNotFound(res, 'Software license not found')
+    }
+
+    logger.logBusiness('software_license_updated', {
+      userId: req.user?.user_id,
+      licenseId: license.license_id,
+      updatedFields: Object.keys(req.body || {}),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Software license updated successfully',
+      data: license,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_software_license',
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update software license')
+  }
+}
+
+// Delete a license and its seats
+const remove = async (req, res) => {
+  try {
+    const deleted = await softwareLicenseService.delete(req.params.id)
+    if (!deleted) {
+      return sendNotFound(res, 'Software license not found')
+    }
+
+    logger.logBusiness('software_license_deleted', {
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Software license deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_software_license',
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete software license')
+  }
+}
+
+// Assign a seat to a user or an asset
+const assignSeat = async (req, res) => {
+  try {
+    const seat = await softwareLicenseService.assignSeat(req.params.id, req.body, {
+      accessScope: req.accessScope,
+      assignedBy: req.user.user_id,
+    })
+    if (!seat) {
+      return sendNotFound(res, 'Software license not found')
+    }
+
+    logger.logBusiness('software_license_seat_assigned', {
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      seatId: seat.seat_id,
+      seatUserId: seat.user_id,
+      assetId: seat.asset_id,
+    })
+
+    return res.status(201).json({
+      success: true,
+      message: 'License seat assigned successfully',
+      data: seat,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'assign_software_license_seat',
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to assign license seat')
+  }
+}
+
+// Release a seat
+const releaseSeat = async (req, res) => {
+  try {
+    const released = await softwareLicenseService.releaseSeat(
+      req.params.id,
+      req.params.seatId,
+      { accessScope: req.accessScope },
+    )
+    if (!released) {
+      return sendNotFound(res, 'License seat not found')
+    }
+
+    logger.logBusiness('software_license_seat_released', {
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      seatId: req.params.seatId,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'License seat released successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'release_software_license_seat',
+      userId: req.user?.user_id,
+      licenseId: req.params.id,
+      seatId: req.params.seatId,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to release license seat')
+  }
+}
+
+module.exports = {
+  list,
+  listRenewals,
+  getById,
+  create,
+  update,
+  remove,
+  assignSeat,
+  releaseSeat,
+}
@@ -0,0 +1,136 @@
+const logger = require('../utils/logger')
+const trashService = require('../services/trashService')
+const assetHistoryService = require('../services/assetHistoryService')
+const { checkPermission, PERMISSIONS } = require('../utils/permissions')
+
+// Trashed items of a type are visible to users who may delete that type
+const canManageType = (user, type) =>
+  checkPermission(user.role, trashService.getModule(type), PERMISSIONS.DELETE)
+
+// List trashed items the user is allowed to manage
+const listTrash = async (req, res) => {
+  try {
+    const requestedTypes = req.query.type
+      ? String(req.query.type)
+          .split(',')
+          .map((value) => value.trim())
+          .filter(Boolean)
+      : trashService.types
+
+    const unknownTypes = requestedTypes.filter(
+      (type) => !trashService.types.includes(type),
+    )
+    if (unknownTypes.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${trashService.types.join(', ')}`,
+      })
+    }
+
+    const types = requestedTypes.filter((type) => canManageType(req.user, type))
+    if (!types.length) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+      })
+    }
+
+    const result = await trashService.list({
+      types,
+      page: req.query.page,
+      limit: req.query.limit,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Trash retrieved successfully',
+      data: {
+        ...result,
+        retention_days: trashService.getRetentionDays(),
+      },
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_trash',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve trash',
+      error: error.message,
+    })
+  }
+}
+
+// Restore a trashed item (and, for assets, what was trashed with it)
+const restoreItem = async (req, res) => {
+  try {
+    const { type } = req.params
+    const id = parseInt(req.params.id, 10)
+
+    if (!trashService.types.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${trashService.types.join(', ')}`,
+      })
+    }
+
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'id must be a valid integer',
+      })
+    }
+
+    if (!canManageType(req.user, type)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.',
+      })
+    }
+
+    const item = await trashService.restore(type, id, {
+      auditContext: assetHistoryService.buildContext(req),
+    })
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash',
+      })
+    }
+
+    logger.logBusiness('trash_item_restored', {
+      userId: req.user?.user_id,
+      type,
+      id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Item restored successfully',
+      data: item,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'restore_trash_item',
+      userId: req.user?.user_id,
+      type: req.params.type,
+      id: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to restore item',
+      error: error.message,
+    })
+  }
+}
+
+module.exports = {
+  listTrash,
+  restoreItem,
+}
@@ -1,6 +1,17 @@
 const { createUserCrudService } = require('../services/crudServiceFactory');
 const logger = require('../utils/logger');
-const { USER_STATUS_ARRAY } = require('../utils/constants');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const loginSecurityService = require('../services/loginSecurityService');
+const accessScopeService = require('../services/accessScopeService');
+const directorySyncService = require('../services/directorySyncService');
+const offboardingService = require('../services/offboardingService');
+const {
+  USER_STATUS,
+  USER_STATUS_ARRAY,
+  SESSION_REVOKE_REASON,
+  LOGIN_ATTEMPT_OUTCOME_ARRAY
+} = require('../utils/constants');
 const bcrypt = require('bcrypt');
 
 // Initialize CRUD service for users
@@ -79,7 +90,10 @@ const getById = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'User retrieved successfully',
-      data: user
+      data: {
+        ...user,
+        lockout: loginSecurityService.getLockoutState(user)
+      }
     });
   } catch (error) {
     logger.logError(error, {
@@ -186,6 +200,12 @@ const update = async (req, res) => {
       const saltRounds = 12;
       updateData.password_hash = await bcrypt.hash(updateData.password_hash, saltRounds);
     }
+
+    // Same rule as changeStatus: users holding assets are terminated by
+    // completing their offboarding
+    if (updateData.status === USER_STATUS.TERMINATED) {
+      await offboardingService.assertCanTerminate(id);
+    }
     
     const user = await userCrudService.update(id, updateData);
     
@@ -202,6 +222,13 @@ const update = async (req, res) => {
       });
     }
     
+    // A new password or a deactivation signs the user out everywhere
+    if (updateData.password_hash) {
+      await sessionService.revokeAll(user.user_id, { reason: SESSION_REVOKE_REASON.PASSWORD_CHANGED });
+    } else if (updateData.status && updateData.status !== USER_STATUS.ACTIVE) {
+      await sessionService.revokeAll(user.user_id, { reason: SESSION_REVOKE_REASON.USER_DEACTIVATED });
+    }
+
     logger.logBusiness('user_updated', {
       userId: req.user?.user_id,
       targetUserId: id,
@@ -222,6 +249,13 @@ const update = async (req, res) => {
       updateData: req.body,
       ip: req.ip || req.connection.remoteAddress
     });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Handle validation errors
     if (error.message === 'Validation failed' && error.validationErrors) {
@@ -320,6 +354,11 @@ const changeStatus = async (req, res) => {
       });
     }
     
+    // Users holding assets are terminated by completing their offboarding
+    if (status === USER_STATUS.TERMINATED) {
+      await offboardingService.assertCanTerminate(id);
+    }
+
     const user = await userCrudService.update(id, { status });
     
     if (!user) {
@@ -335,6 +374,10 @@ const changeStatus = async (req, res) => {
       });
     }
     
+    if (status !== USER_STATUS.ACTIVE) {
+      await sessionService.revokeAll(user.user_id, { reason: SESSION_REVOKE_REASON.USER_DEACTIVATED });
+    }
+
     logger.logBusiness('user_status_changed', {
       userId: req.user?.user_id,
       targetUserId: id,
@@ -356,6 +399,13 @@ const changeStatus = async (req, res) => {
       newStatus: req.body.status,
       ip: req.ip || req.connection.remoteAddress
     });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.status(400).json({
       success: false,
@@ -365,11 +415,470 @@ const changeStatus = async (req, res) => {
   }
 };
 
+// Force a user to choose a new password
+const forcePasswordReset = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sendEmail = req.body.send_email !== false && req.body.send_email !== 'false';
+
+    logger.info('Force password reset request', {
+      userId: req.user?.user_id,
+      targetUserId: id,
+      sendEmail,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    const result = await passwordResetService.forceReset(id, {
+      requestedBy: req.user.user_id,
+      sendEmail,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.logBusiness('user_password_reset_forced', {
+      userId: req.user?.user_id,
+      targetUserId: id,
+      targetUserEmail: result.user.email,
+      emailSent: result.email_sent
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User must change their password at next login',
+      data: {
+        user_id: result.user.user_id,
+        must_change_password: true,
+        email_sent: result.email_sent
+      }
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'force_password_reset',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to force password reset',
+      error: error.message
+    });
+  }
+};
+
+// Unlock a user locked out after failed logins
+const unlock = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await loginSecurityService.unlock(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.logBusiness('user_unlocked', {
+      userId: req.user?.user_id,
+      targetUserId: id,
+      targetUserEmail: user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: {
+        user_id: user.user_id,
+        lockout: loginSecurityService.getLockoutState(user)
+      }
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'unlock_user',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
+// List a user's login attempts
+const listLoginAttempts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page, limit, outcome } = req.query;
+
+    if (outcome && !LOGIN_ATTEMPT_OUTCOME_ARRAY.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid outcome. Must be one of: ' + LOGIN_ATTEMPT_OUTCOME_ARRAY.join(', ')
+      });
+    }
+
+    const result = await loginSecurityService.listAttempts(id, { page, limit, outcome });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login attempts retrieved successfully',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_login_attempts',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve login attempts',
+      error: error.message
+    });
+  }
+};
+
+// Get a user's access scope rules
+const getAccessScopes = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const exists = await userCrudService.exists(id);
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const scopes = await accessScopeService.listForUser(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Access scopes retrieved successfully',
+      data: scopes
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_user_access_scopes',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve access scopes',
+      error: error.message
+    });
+  }
+};
+
+// Replace a user's access scope rules
+const setAccessScopes = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const scopes = await accessScopeService.replaceForUser(
+      id,
+      req.body?.scopes,
+      req.user.user_id
+    );
+
+    if (!scopes) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.logBusiness('user_access_scopes_updated', {
+      userId: req.user?.user_id,
+      targetUserId: id,
+      scopes: scopes.map((scope) => `${scope.scope_type}:${scope.target_id}`)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Access scopes updated successfully',
+      data: scopes
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'set_user_access_scopes',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update access scopes',
+      error: error.message
+    });
+  }
+};
+
+// Sync users and departments from the LDAP directory; a dry run by default
+const syncDirectory = async (req, res) => {
+  try {
+    const dryRun = req.body?.dry_run !== false && req.body?.dry_run !== 'false';
+
+    const report = await directorySyncService.sync({ dryRun });
+
+    if (!dryRun) {
+      logger.logBusiness('directory_sync_run', {
+        userId: req.user?.user_id,
+        ...report.summary
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Directory sync dry run completed; no changes were made'
+        : 'Directory sync completed successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'sync_directory',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync the directory',
+      error: error.message
+    });
+  }
+};
+
+const sendOffboardingError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Get a user's latest offboarding
+const getOffboarding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const offboarding = await offboardingService.getForUser(id);
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        message: 'No offboarding found for this user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offboarding retrieved successfully',
+      data: offboarding
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_user_offboarding',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    sendOffboardingError(res, error, 'Failed to retrieve offboarding');
+  }
+};
+
+// Start a user's offboarding, opening return transactions for their assets
+const startOffboarding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const offboarding = await offboardingService.start(id, {
+      notes: req.body?.notes,
+      startedBy: req.user.user_id
+    });
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offboarding started successfully',
+      data: offboarding
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'start_user_offboarding',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    sendOffboardingError(res, error, 'Failed to start offboarding');
+  }
+};
+
+// Write off an asset that will not be returned
+const writeOffOffboardingItem = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const offboarding = await offboardingService.writeOff(
+      id,
+      itemId,
+      { reason: req.body?.reason },
+      req.user.user_id
+    );
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offboarding item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Asset written off successfully',
+      data: offboarding
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'write_off_offboarding_item',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      itemId: req.params.itemId,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    sendOffboardingError(res, error, 'Failed to write off asset');
+  }
+};
+
+// Sign the offboarding checklist and terminate the user
+const completeOffboarding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const offboarding = await offboardingService.complete(
+      id,
+      { notes: req.body?.notes },
+      req.user.user_id
+    );
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        message: 'No offboarding in progress for this user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offboarding completed and user terminated',
+      data: offboarding
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'complete_user_offboarding',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    sendOffboardingError(res, error, 'Failed to complete offboarding');
+  }
+};
+
+// Cancel a user's offboarding
+const cancelOffboarding = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const offboarding = await offboardingService.cancel(id, req.user.user_id);
+    if (!offboarding) {
+      return res.status(404).json({
+        success: false,
+        message: 'No offboarding in progress for this user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offboarding cancelled successfully',
+      data: offboarding
+    });
+  } catch (error) {
+    logger.logError(error, {
+      action: 'cancel_user_offboarding',
+      userId: req.user?.user_id,
+      targetUserId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress
+    });
+
+    sendOffboardingError(res, error, 'Failed to cancel offboarding');
+  }
+};
+
 module.exports = {
   list,
   getById,
   create,
   update,
   remove,
-  changeStatus
+  changeStatus,
+  forcePasswordReset,
+  unlock,
+  listLoginAttempts,
+  getAccessScopes,
+  setAccessScopes,
+  syncDirectory,
+  getOffboarding,
+  startOffboarding,
+  writeOffOffboardingItem,
+  completeOffboarding,
+  cancelOffboarding
 };
@@ -0,0 +1,232 @@
+const logger = require('../utils/logger')
+const webhookService = require('../services/webhookService')
+const {
+  WEBHOOK_EVENT_ARRAY,
+  WEBHOOK_DELIVERY_STATUS,
+} = require('../utils/constants')
+
+const sendError = (res, error, message) =>
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  })
+
+const sendNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Webhook not found',
+  })
+
+// List webhook subscriptions
+const listWebhooks = async (req, res) => {
+  try {
+    const result = await webhookService.list({
+      page: req.query.page,
+      limit: req.query.limit,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhooks retrieved successfully',
+      data: result,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_webhooks',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve webhooks')
+  }
+}
+
+// Events a webhook can subscribe to
+const listEvents = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    message: 'Webhook events retrieved successfully',
+    data: ['*', ...WEBHOOK_EVENT_ARRAY],
+  })
+}
+
+// Get a webhook subscription
+const getWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.getById(req.params.id)
+    if (!webhook) {
+      return sendNotFound(res)
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook retrieved successfully',
+      data: webhook,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'get_webhook',
+      userId: req.user?.user_id,
+      webhookId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve webhook')
+  }
+}
+
+// Create a webhook subscription; the secret is only returned here
+const createWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.create(req.body, req.user.user_id)
+
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'create_webhook',
+      userId: req.user?.user_id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to create webhook')
+  }
+}
+
+// Update a webhook subscription
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.update(req.params.id, req.body)
+    if (!webhook) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('webhook_updated', {
+      userId: req.user?.user_id,
+      webhookId: webhook.webhook_id,
+      secretRotated: Boolean(webhook.secret),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'update_webhook',
+      userId: req.user?.user_id,
+      webhookId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to update webhook')
+  }
+}
+
+// Delete a webhook subscription and its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    const deleted = await webhookService.delete(req.params.id)
+    if (!deleted) {
+      return sendNotFound(res)
+    }
+
+    logger.logBusiness('webhook_deleted', {
+      userId: req.user?.user_id,
+      webhookId: req.params.id,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully',
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'delete_webhook',
+      userId: req.user?.user_id,
+      webhookId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to delete webhook')
+  }
+}
+
+// Delivery log of a webhook
+const listDeliveries = async (req, res) => {
+  try {
+    const webhook = await webhookService.getById(req.params.id)
+    if (!webhook) {
+      return sendNotFound(res)
+    }
+
+    const result = await webhookService.listDeliveries(webhook.webhook_id, {
+      status: req.query.status,
+      event: req.query.event,
+      page: req.query.page,
+      limit: req.query.limit,
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook deliveries retrieved successfully',
+      data: result,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'list_webhook_deliveries',
+      userId: req.user?.user_id,
+      webhookId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to retrieve webhook deliveries')
+  }
+}
+
+// Send a webhook.test event now and return the delivery outcome
+const sendTestEvent = async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTestEvent(
+      req.params.id,
+      req.user.user_id,
+    )
+    if (!delivery) {
+      return sendNotFound(res)
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED
+          ? 'Test event delivered successfully'
+          : 'Test event delivery failed',
+      data: delivery,
+    })
+  } catch (error) {
+    logger.logError(error, {
+      action: 'send_webhook_test_event',
+      userId: req.user?.user_id,
+      webhookId: req.params.id,
+      ip: req.ip || req.connection.remoteAddress,
+    })
+
+    return sendError(res, error, 'Failed to send test event')
+  }
+}
+
+module.exports = {
+  listWebhooks,
+  listEvents,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  sendTestEvent,
+}
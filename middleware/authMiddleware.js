@@ -1,19 +1,87 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const roleService = require('../services/roleService');
+const apiKeyService = require('../services/apiKeyService');
+const accessScopeService = require('../services/accessScopeService');
+const { routeChecksPermission } = require('./permissionMiddleware');
 const { USER_ROLES } = require('../utils/constants');
 
 // JWT secret key (should match the one in authController)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-development';
 
 /**
- * Middleware to authenticate JWT tokens
+ * Resolve the user's access scope once for the request, put it on
+ * req.accessScope and run the rest of the request with it, so services
+ * apply it without each handler passing it on (see accessScopeService)
+ */
+const runWithAccessScope = async (req, next) => {
+  req.accessScope = await accessScopeService.getScope(req.user);
+  accessScopeService.runWithScope(req.accessScope, next);
+};
+
+/**
+ * Authenticate a request with an API key. The request runs as the key's user
+ * with the key's own permissions (see apiKeyService.roleFor), so keys are
+ * turned away from routes that do not check a permission.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const ip = req.ip || req.connection.remoteAddress;
+  const { apiKey, user } = await apiKeyService.authenticate(key, { ip });
+
+  if (!routeChecksPermission(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be used with an API key.'
+    });
+  }
+
+  // Keep role permissions current for checkPermission()
+  await roleService.ensureLoaded();
+
+  req.user = {
+    user_id: user.user_id,
+    email: user.email,
+    role: apiKeyService.roleFor(apiKey),
+    department_id: user.department_id,
+    api_key_id: apiKey.api_key_id
+  };
+  // Attributes the request in request logs
+  req.apiKey = {
+    api_key_id: apiKey.api_key_id,
+    name: apiKey.name
+  };
+
+  await runWithAccessScope(req, next);
+};
+
+
+/**
+ * Build a JWT authentication middleware. Requests with an X-API-Key header
+ * authenticate with the API key instead.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken] - Also accept the token as the
+ *   `access_token` query parameter, for clients such as EventSource that
+ *   cannot set headers
+ * @param {boolean} [options.allowAccountSetup] - Also let through users who
+ *   must change their password or set up two-factor authentication before
+ *   using the rest of the API
  */
-const authenticate = async (req, res, next) => {
+const createAuthenticate = ({ allowQueryToken = false, allowAccountSetup = false } = {}) => async (req, res, next) => {
   try {
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      return await authenticateApiKey(req, res, next, apiKeyHeader);
+    }
+
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
+    const queryToken = allowQueryToken && typeof req.query.access_token === 'string'
+      ? req.query.access_token
+      : null;
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if ((!authHeader || !authHeader.startsWith('Bearer ')) && !queryToken) {
       return res.status(401).json({
         success: false,
         message: 'Access denied. No token provided or invalid format.'
@@ -21,7 +89,14 @@ const authenticate = async (req, res, next) => {
     }
 
     // Extract token from "Bearer <token>"
-    const token = authHeader.substring(7);
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : queryToken;
+
+    if (queryToken) {
+      // Keep the token out of request logs
+      req.originalUrl = req.originalUrl.replace(/access_token=[^&]*/, 'access_token=[REDACTED]');
+    }
 
     if (!token) {
       return res.status(401).json({
@@ -42,17 +117,54 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Access tokens are bound to a login session that can be revoked
+    const session = await sessionService.getActiveSession(decoded.sid, decoded.user_id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or has expired.'
+      });
+    }
+    await sessionService.markUsed(session, { ip: req.ip || req.connection.remoteAddress });
+
+    if (!allowAccountSetup) {
+      if (user.must_change_password) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'You must change your password before continuing.'
+        });
+      }
+
+      if (await twoFactorService.isSetupRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Your role requires two-factor authentication. Set it up before continuing.'
+        });
+      }
+    }
+
+    // Keep role permissions current for checkPermission()
+    await roleService.ensureLoaded();
+
     // Add user info to request object
     req.user = {
       user_id: decoded.user_id,
       email: decoded.email,
-      role: decoded.role,
-      department_id: decoded.department_id
+      role: user.role,
+      department_id: decoded.department_id,
+      session_id: session.session_id
     };
 
-    next();
+    await runWithAccessScope(req, next);
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    } else if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
         message: 'Invalid token.'
@@ -72,6 +184,24 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate JWT tokens
+ */
+const authenticate = createAuthenticate();
+
+/**
+ * Middleware to authenticate JWT tokens on event streams, where the token may
+ * also be passed as the `access_token` query parameter
+ */
+const authenticateStream = createAuthenticate({ allowQueryToken: true });
+
+/**
+ * Middleware to authenticate JWT tokens on the few endpoints a user who must
+ * change their password or set up two-factor authentication can still use
+ * (change password, two-factor setup, profile, logout)
+ */
+const authenticateAccountSetup = createAuthenticate({ allowAccountSetup: true });
+
 /**
  * Middleware to check if user has required role
  */
@@ -112,6 +242,8 @@ const requireManagerOrAbove = authorize(USER_ROLES.ADMIN, USER_ROLES.IT_MANAGER,
 
 module.exports = {
   authenticate,
+  authenticateStream,
+  authenticateAccountSetup,
   authorize,
   requireAdmin,
   requireAdminOrITManager,
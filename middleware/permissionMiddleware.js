@@ -1,14 +1,33 @@
 const { checkPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
+// Marks middleware that checks a permission. API keys are only let through to
+// routes that check one (see authMiddleware).
+const CHECKS_PERMISSION = Symbol('checksPermission');
+
+const markChecksPermission = (handler) => {
+  handler[CHECKS_PERMISSION] = true;
+  return handler;
+};
+
+/**
+ * Whether the route a request matched checks a permission
+ * @param {Object} req - Request, with req.route set by the route being run
+ * @returns {boolean}
+ */
+const routeChecksPermission = (req) =>
+  Boolean(req.route) &&
+  req.route.stack.some((layer) => layer.handle[CHECKS_PERMISSION]);
+
 /**
- * Middleware to check if user has specific permission
+ * Middleware to check if user has specific permission, as granted to the
+ * user's role in the roles table
  * @param {string} module - The module name (e.g., 'assets', 'users')
  * @param {string} permission - The permission name (e.g., 'list', 'create', 'list_own')
  * @returns {Function} Express middleware function
  */
 const requirePermission = (module, permission) => {
-  return (req, res, next) => {
+  return markChecksPermission((req, res, next) => {
     try {
       if (!req.user) {
         logger.warn('Permission check failed - no user in request', {
@@ -62,9 +81,25 @@ const requirePermission = (module, permission) => {
         message: 'Internal server error during permission check.'
       });
     }
-  };
+  });
+};
+
+/**
+ * Middleware to check a permission of API keys only, on routes whose users
+ * are checked by the controller (by role or by ownership of the record)
+ * @param {string} module - The module name (e.g., 'assets', 'users')
+ * @param {string} permission - The permission name (e.g., 'list', 'create')
+ * @returns {Function} Express middleware function
+ */
+const requireApiKeyPermission = (module, permission) => {
+  const check = requirePermission(module, permission);
+  return markChecksPermission((req, res, next) =>
+    req.apiKey ? check(req, res, next) : next()
+  );
 };
 
 module.exports = {
-  requirePermission
+  requirePermission,
+  requireApiKeyPermission,
+  routeChecksPermission
 };
@@ -4,18 +4,20 @@ const crypto = require('crypto')
 const requestLogService = require('../services/requestLogService')
 
 const requestMonitor = (req, res, next) => {
+  // Every request gets an id, even when logging is off, so audit records
+  // (e.g. asset history) can always be correlated with X-Request-Id.
+  const requestId = crypto.randomUUID()
+  req.requestId = requestId
+  res.setHeader('X-Request-Id', requestId)
+
   if (!requestLogService.isEnabled() || requestLogService.shouldSkip(req)) {
     return next()
   }
 
   const startTime = Date.now()
-  const requestId = crypto.randomUUID()
   let responseBody = null
   let responseCaptured = false
 
-  req.requestId = requestId
-  res.setHeader('X-Request-Id', requestId)
-
   const originalJson = res.json.bind(res)
   res.json = function jsonPatched(body) {
     responseCaptured = true
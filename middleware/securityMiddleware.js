@@ -62,6 +62,7 @@ const corsOptions = {
   allowedHeaders: [
     'Content-Type',
     'Authorization',
+    'X-API-Key',
     'X-Requested-With',
     'Accept',
     'Origin',
@@ -69,7 +70,7 @@ const corsOptions = {
     'Pragma',
     'ngrok-skip-browser-warning' // allow ngrok’s custom header used by some clients
   ],
-  exposedHeaders: ['Content-Disposition'],
+  exposedHeaders: ['Content-Disposition', 'X-Request-Id'],
   maxAge: 86400 // 24 hours
 };
 
@@ -0,0 +1,82 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('asset_histories', {
+      asset_history_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'assets',
+          key: 'asset_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      action: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'update',
+      },
+      field_source: {
+        type: Sequelize.ENUM('core', 'form'),
+        allowNull: false,
+      },
+      field_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      form_field_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'form_fields',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      old_value: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      new_value: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      request_id: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('asset_histories', ['asset_id', 'created_at'])
+    await queryInterface.addIndex('asset_histories', ['asset_id', 'field_name'])
+    await queryInterface.addIndex('asset_histories', ['request_id'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_histories')
+  },
+}
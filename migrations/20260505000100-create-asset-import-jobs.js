@@ -0,0 +1,133 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('asset_import_jobs', {
+      import_job_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      job_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'queued',
+      },
+      requested_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      form_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'forms',
+          key: 'form_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      dry_run: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      source_job_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'asset_import_jobs',
+          key: 'import_job_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      original_file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      file_path: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+      column_mapping: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      progress: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total_rows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      processed_rows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      success_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      row_errors: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      result: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('asset_import_jobs', ['job_type', 'status'])
+    await queryInterface.addIndex('asset_import_jobs', ['requested_by', 'created_at'])
+    await queryInterface.addIndex('asset_import_jobs', ['source_job_id'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_import_jobs')
+  },
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('asset_import_jobs', 'options', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'column_mapping',
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('asset_import_jobs', 'options')
+  },
+}
@@ -0,0 +1,29 @@
+'use strict'
+
+// Tables that keep trashed rows until the purge batch removes them
+const SOFT_DELETE_TABLES = [
+  'assets',
+  'asset_transactions',
+  'maintenance_schedules',
+  'maintenance_logs',
+  'asset_documents',
+]
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of SOFT_DELETE_TABLES) {
+      await queryInterface.addColumn(table, 'deleted_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      })
+      await queryInterface.addIndex(table, ['deleted_at'])
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of SOFT_DELETE_TABLES) {
+      await queryInterface.removeIndex(table, ['deleted_at'])
+      await queryInterface.removeColumn(table, 'deleted_at')
+    }
+  },
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('asset_category_classes', 'lifecycle', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'allotted_categories',
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('asset_category_classes', 'lifecycle')
+  },
+}
@@ -0,0 +1,49 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('asset_categories', 'depreciation_method', {
+      type: Sequelize.ENUM('straight_line', 'declining_balance'),
+      allowNull: false,
+      defaultValue: 'straight_line',
+      after: 'depreciation_rate',
+    })
+
+    await queryInterface.addColumn('assets', 'purchase_cost', {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true,
+      after: 'asset_location',
+    })
+    await queryInterface.addColumn('assets', 'purchase_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'purchase_cost',
+    })
+    await queryInterface.addColumn('assets', 'salvage_value', {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true,
+      after: 'purchase_date',
+    })
+    await queryInterface.addColumn('assets', 'depreciation_method', {
+      type: Sequelize.ENUM('straight_line', 'declining_balance'),
+      allowNull: true,
+      after: 'salvage_value',
+    })
+    await queryInterface.addColumn('assets', 'disposal_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'depreciation_method',
+    })
+    await queryInterface.addIndex('assets', ['purchase_date'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('assets', ['purchase_date'])
+    await queryInterface.removeColumn('assets', 'disposal_date')
+    await queryInterface.removeColumn('assets', 'depreciation_method')
+    await queryInterface.removeColumn('assets', 'salvage_value')
+    await queryInterface.removeColumn('assets', 'purchase_date')
+    await queryInterface.removeColumn('assets', 'purchase_cost')
+    await queryInterface.removeColumn('asset_categories', 'depreciation_method')
+  },
+}
@@ -0,0 +1,41 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('assets', 'warranty_start_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'disposal_date',
+    })
+    await queryInterface.addColumn('assets', 'warranty_end_date', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'warranty_start_date',
+    })
+    await queryInterface.addColumn('assets', 'warranty_provider', {
+      type: Sequelize.STRING(150),
+      allowNull: true,
+      after: 'warranty_end_date',
+    })
+    await queryInterface.addColumn('assets', 'warranty_reference', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      after: 'warranty_provider',
+    })
+    await queryInterface.addColumn('assets', 'warranty_contact', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'warranty_reference',
+    })
+    await queryInterface.addIndex('assets', ['warranty_end_date'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('assets', ['warranty_end_date'])
+    await queryInterface.removeColumn('assets', 'warranty_contact')
+    await queryInterface.removeColumn('assets', 'warranty_reference')
+    await queryInterface.removeColumn('assets', 'warranty_provider')
+    await queryInterface.removeColumn('assets', 'warranty_end_date')
+    await queryInterface.removeColumn('assets', 'warranty_start_date')
+  },
+}
@@ -0,0 +1,74 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('notifications', {
+      notification_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      entity_type: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      data: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      dedupe_key: {
+        type: Sequelize.STRING(191),
+        allowNull: true,
+      },
+      read_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('notifications', ['user_id', 'read_at'])
+    await queryInterface.addIndex('notifications', ['user_id', 'created_at'])
+    await queryInterface.addIndex('notifications', ['user_id', 'dedupe_key'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notifications')
+  },
+}
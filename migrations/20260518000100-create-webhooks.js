@@ -0,0 +1,157 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('webhooks', {
+      webhook_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+      },
+      secret: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.createTable('webhook_deliveries', {
+      delivery_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      webhook_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'webhooks',
+          key: 'webhook_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      event_id: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+      },
+      event: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      max_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      response_body: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      error_message: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('webhook_deliveries', [
+      'webhook_id',
+      'created_at',
+    ])
+    await queryInterface.addIndex('webhook_deliveries', [
+      'status',
+      'next_attempt_at',
+    ])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('webhook_deliveries')
+    await queryInterface.dropTable('webhooks')
+  },
+}
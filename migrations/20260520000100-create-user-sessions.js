@@ -0,0 +1,80 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_sessions', {
+      session_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      previous_refresh_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      device: {
+        type: Sequelize.STRING(150),
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revoked_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('user_sessions', ['user_id', 'revoked_at'])
+    await queryInterface.addIndex('user_sessions', [
+      'previous_refresh_token_hash',
+    ])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_sessions')
+  },
+}
@@ -0,0 +1,16 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'must_change_password', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'password_hash',
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'must_change_password')
+  },
+}
@@ -0,0 +1,46 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'two_factor_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'must_change_password',
+    })
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'two_factor_enabled',
+    })
+    await queryInterface.addColumn('users', 'two_factor_last_step', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      after: 'two_factor_secret',
+    })
+    await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'two_factor_last_step',
+    })
+    await queryInterface.addColumn(
+      'organization_settings',
+      'two_factor_required_roles',
+      {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+    )
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn(
+      'organization_settings',
+      'two_factor_required_roles',
+    )
+    await queryInterface.removeColumn('users', 'two_factor_enabled_at')
+    await queryInterface.removeColumn('users', 'two_factor_last_step')
+    await queryInterface.removeColumn('users', 'two_factor_secret')
+    await queryInterface.removeColumn('users', 'two_factor_enabled')
+  },
+}
@@ -0,0 +1,28 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'failed_login_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'last_login',
+    })
+    await queryInterface.addColumn('users', 'first_failed_login_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'failed_login_count',
+    })
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'first_failed_login_at',
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'locked_until')
+    await queryInterface.removeColumn('users', 'first_failed_login_at')
+    await queryInterface.removeColumn('users', 'failed_login_count')
+  },
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('login_attempts', {
+      login_attempt_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      outcome: {
+        type: Sequelize.ENUM(
+          'success',
+          'invalid_password',
+          'invalid_two_factor',
+          'unknown_user',
+          'account_inactive',
+          'account_locked',
+        ),
+        allowNull: false,
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('login_attempts', ['user_id', 'created_at'])
+    await queryInterface.addIndex('login_attempts', ['ip_address', 'created_at'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('login_attempts')
+  },
+}
@@ -0,0 +1,99 @@
+'use strict'
+
+const { DEFAULT_ROLE_PERMISSIONS } = require('../utils/permissions')
+
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    display_name: 'Administrator',
+    description: 'Full access, including users and organization settings',
+  },
+  {
+    name: 'it_manager',
+    display_name: 'IT Manager',
+    description: 'Manages assets, transactions, maintenance and documents',
+  },
+  {
+    name: 'employee',
+    display_name: 'Employee',
+    description: 'Sees own assets and raises requests',
+  },
+]
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('roles', {
+      role_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      display_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      permissions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    const now = new Date()
+    await queryInterface.bulkInsert(
+      'roles',
+      BUILT_IN_ROLES.map((role) => ({
+        ...role,
+        permissions: JSON.stringify(DEFAULT_ROLE_PERMISSIONS[role.name]),
+        is_system: true,
+        created_at: now,
+        updated_at: now,
+      })),
+    )
+
+    // Roles are no longer a fixed list
+    await queryInterface.changeColumn('users', 'role', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: 'employee',
+    })
+    await queryInterface.addIndex('users', ['role'])
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('users', ['role'])
+    await queryInterface.sequelize.query(
+      "UPDATE users SET role = 'employee' WHERE role NOT IN ('admin', 'it_manager', 'employee')",
+    )
+    await queryInterface.changeColumn('users', 'role', {
+      type: Sequelize.ENUM('admin', 'it_manager', 'employee'),
+      allowNull: false,
+      defaultValue: 'employee',
+    })
+    await queryInterface.dropTable('roles')
+  },
+}
@@ -0,0 +1,52 @@
+'use strict'
+
+const reference = (table, key) => ({
+  references: { model: table, key },
+  onUpdate: 'CASCADE',
+  onDelete: 'SET NULL',
+})
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('assets', 'department_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'asset_location',
+      ...reference('departments', 'department_id'),
+    })
+    await queryInterface.addColumn('assets', 'location_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'department_id',
+      ...reference('locations', 'location_id'),
+    })
+    await queryInterface.addColumn('assets', 'building_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'location_id',
+      ...reference('buildings', 'building_id'),
+    })
+    await queryInterface.addIndex('assets', ['department_id'])
+    await queryInterface.addIndex('assets', ['location_id'])
+    await queryInterface.addIndex('assets', ['building_id'])
+
+    // Existing assets belong to the department of their assignee, or else of
+    // their creator
+    await queryInterface.sequelize.query(`
+      UPDATE assets a
+      LEFT JOIN users assignee ON assignee.user_id = a.assigned_to
+      LEFT JOIN users creator ON creator.user_id = a.created_by
+      SET a.department_id = COALESCE(assignee.department_id, creator.department_id)
+      WHERE a.department_id IS NULL
+    `)
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('assets', ['building_id'])
+    await queryInterface.removeIndex('assets', ['location_id'])
+    await queryInterface.removeIndex('assets', ['department_id'])
+    await queryInterface.removeColumn('assets', 'building_id')
+    await queryInterface.removeColumn('assets', 'location_id')
+    await queryInterface.removeColumn('assets', 'department_id')
+  },
+}
@@ -0,0 +1,63 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_access_scopes', {
+      access_scope_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      scope_type: {
+        type: Sequelize.ENUM('department', 'location', 'building'),
+        allowNull: false,
+      },
+      // department_id, location_id or building_id, depending on scope_type
+      target_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex(
+      'user_access_scopes',
+      ['user_id', 'scope_type', 'target_id'],
+      { unique: true },
+    )
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_access_scopes')
+  },
+}
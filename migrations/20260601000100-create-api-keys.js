@@ -0,0 +1,98 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('api_keys', {
+      api_key_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      key_prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+      },
+      key_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      permissions: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      allowed_ips: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_used_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revoked_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('api_keys', ['user_id'])
+    await queryInterface.addIndex('api_keys', ['revoked_at'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('api_keys')
+  },
+}
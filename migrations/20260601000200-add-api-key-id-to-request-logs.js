@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('request_logs', 'api_key_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'user_id',
+      references: {
+        model: 'api_keys',
+        key: 'api_key_id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    })
+    await queryInterface.addIndex('request_logs', ['api_key_id', 'created_at'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('request_logs', ['api_key_id', 'created_at'])
+    await queryInterface.removeColumn('request_logs', 'api_key_id')
+  },
+}
@@ -0,0 +1,25 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'oidc_issuer', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'password_hash',
+    })
+    await queryInterface.addColumn('users', 'oidc_subject', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      after: 'oidc_issuer',
+    })
+    await queryInterface.addIndex('users', ['oidc_issuer', 'oidc_subject'], {
+      unique: true,
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('users', ['oidc_issuer', 'oidc_subject'])
+    await queryInterface.removeColumn('users', 'oidc_subject')
+    await queryInterface.removeColumn('users', 'oidc_issuer')
+  },
+}
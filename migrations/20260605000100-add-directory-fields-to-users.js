@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'directory_dn', {
+      type: Sequelize.STRING(512),
+      allowNull: true,
+      after: 'oidc_subject',
+    })
+    await queryInterface.addColumn('users', 'directory_synced_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'directory_dn',
+    })
+    await queryInterface.addIndex('users', ['directory_dn'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('users', ['directory_dn'])
+    await queryInterface.removeColumn('users', 'directory_synced_at')
+    await queryInterface.removeColumn('users', 'directory_dn')
+  },
+}
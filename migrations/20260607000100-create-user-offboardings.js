@@ -0,0 +1,167 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_offboardings', {
+      offboarding_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      status: {
+        type: Sequelize.ENUM('in_progress', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'in_progress',
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      started_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      completed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      // Checklist frozen at completion and its HMAC-SHA256 signature
+      checklist: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      signature: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('user_offboardings', ['user_id', 'status'])
+
+    await queryInterface.createTable('user_offboarding_items', {
+      offboarding_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      offboarding_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user_offboardings',
+          key: 'offboarding_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'assets',
+          key: 'asset_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      // Return transaction opened for the asset
+      transaction_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'asset_transactions',
+          key: 'transaction_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      resolution: {
+        type: Sequelize.ENUM('pending', 'returned', 'written_off'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      write_off_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      resolved_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex(
+      'user_offboarding_items',
+      ['offboarding_id', 'asset_id'],
+      { unique: true },
+    )
+    await queryInterface.addIndex('user_offboarding_items', ['transaction_id'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_offboarding_items')
+    await queryInterface.dropTable('user_offboardings')
+  },
+}
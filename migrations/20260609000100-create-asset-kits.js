@@ -0,0 +1,193 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('asset_kits', {
+      kit_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      // Department and position the kit is meant for; null matches any
+      department_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'departments',
+          key: 'department_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      position: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.createTable('asset_kit_items', {
+      kit_item_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      kit_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'asset_kits',
+          key: 'kit_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'asset_categories',
+          key: 'category_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('asset_kit_items', ['kit_id', 'category_id'], {
+      unique: true,
+    })
+
+    // Handover record of a kit issued to a user; its assign transactions
+    // reference it through asset_transactions.kit_issue_id
+    await queryInterface.createTable('asset_kit_issues', {
+      kit_issue_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      kit_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'asset_kits',
+          key: 'kit_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      // Kit name when issued, kept if the kit is renamed or deleted
+      kit_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      issued_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    await queryInterface.addIndex('asset_kit_issues', ['user_id'])
+    await queryInterface.addIndex('asset_kit_issues', ['kit_id'])
+
+    await queryInterface.addColumn('asset_transactions', 'kit_issue_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'asset_kit_issues',
+        key: 'kit_issue_id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      after: 'expected_completion_date',
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('asset_transactions', 'kit_issue_id')
+    await queryInterface.dropTable('asset_kit_issues')
+    await queryInterface.dropTable('asset_kit_items')
+    await queryInterface.dropTable('asset_kits')
+  },
+}
@@ -0,0 +1,22 @@
+'use strict'
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Asset this one is installed in (e.g. a docking station in a laptop kit,
+    // a drive in a server); detaching or deleting the parent leaves it standalone
+    await queryInterface.addColumn('assets', 'parent_asset_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'building_id',
+      references: { model: 'assets', key: 'asset_id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    })
+    await queryInterface.addIndex('assets', ['parent_asset_id'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('assets', ['parent_asset_id'])
+    await queryInterface.removeColumn('assets', 'parent_asset_id')
+  },
+}
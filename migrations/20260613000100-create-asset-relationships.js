@@ -0,0 +1,180 @@
+'use strict'
+
+// Read as "<source> <display_name> <target>", e.g. "App server depends on
+// Core switch"; the inverse is shown from the target's side
+const BUILT_IN_TYPES = [
+  {
+    name: 'depends_on',
+    display_name: 'depends on',
+    inverse_name: 'required by',
+    description: 'The source stops working when the target is down',
+    is_directional: true,
+    propagates_impact: true,
+  },
+  {
+    name: 'connected_to',
+    display_name: 'connected to',
+    inverse_name: 'connected to',
+    description: 'Physical or network link; an outage affects both ends',
+    is_directional: false,
+    propagates_impact: true,
+  },
+  {
+    name: 'licensed_for',
+    display_name: 'licensed for',
+    inverse_name: 'licensed by',
+    description: 'The source is a license or entitlement used by the target',
+    is_directional: true,
+    propagates_impact: false,
+  },
+  {
+    name: 'backs_up',
+    display_name: 'backs up',
+    inverse_name: 'backed up by',
+    description: 'The source holds backups of the target',
+    is_directional: true,
+    propagates_impact: false,
+  },
+]
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('asset_relationship_types', {
+      relationship_type_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      display_name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      inverse_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      // Non-directional types link both assets the same way
+      is_directional: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      // Whether an outage of the target affects the source in impact analysis
+      propagates_impact: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+
+    const now = new Date()
+    await queryInterface.bulkInsert(
+      'asset_relationship_types',
+      BUILT_IN_TYPES.map((type) => ({
+        ...type,
+        is_system: true,
+        created_at: now,
+        updated_at: now,
+      })),
+    )
+
+    await queryInterface.createTable('asset_relationships', {
+      asset_relationship_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      relationship_type_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'asset_relationship_types',
+          key: 'relationship_type_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT',
+      },
+      source_asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'assets',
+          key: 'asset_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      target_asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'assets',
+          key: 'asset_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'user_id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+    await queryInterface.addIndex(
+      'asset_relationships',
+      ['source_asset_id', 'target_asset_id', 'relationship_type_id'],
+      { unique: true, name: 'asset_relationships_source_target_type_unique' },
+    )
+    await queryInterface.addIndex('asset_relationships', ['target_asset_id'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_relationships')
+    await queryInterface.dropTable('asset_relationship_types')
+  },
+}
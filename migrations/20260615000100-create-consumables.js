@@ -0,0 +1,234 @@
+'use strict'
+
+const TRANSACTION_ACTIONS = [
+  'assign',
+  'return',
+  'repair',
+  'retire',
+  'transfer',
+  'create',
+  'update',
+  'dispose',
+  'request_assign',
+]
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('NOW'),
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('NOW'),
+  },
+})
+
+const reference = (table, key, onDelete) => ({
+  references: { model: table, key },
+  onUpdate: 'CASCADE',
+  onDelete,
+})
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('consumables', {
+      consumable_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+        unique: true,
+      },
+      sku: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        unique: true,
+      },
+      // Unit the quantities are counted in (pcs, boxes, metres, ...)
+      unit: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pcs',
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('users', 'user_id', 'SET NULL'),
+      },
+      ...timestamps(Sequelize),
+    })
+
+    // Quantity on hand of a consumable at a location, or at a room of it
+    await queryInterface.createTable('consumable_stocks', {
+      consumable_stock_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      consumable_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        ...reference('consumables', 'consumable_id', 'CASCADE'),
+      },
+      location_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        ...reference('locations', 'location_id', 'CASCADE'),
+      },
+      // Building of the room, kept for access scope checks
+      building_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('buildings', 'building_id', 'SET NULL'),
+      },
+      room_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('rooms', 'room_id', 'CASCADE'),
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Stock at or below this level is low; 0 disables the alert
+      reorder_level: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Set when the low-stock notification is sent, cleared once restocked
+      low_stock_notified_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      ...timestamps(Sequelize),
+    })
+    await queryInterface.addIndex(
+      'consumable_stocks',
+      ['consumable_id', 'location_id', 'room_id'],
+      { unique: true, name: 'consumable_stocks_consumable_location_room_unique' },
+    )
+
+    await queryInterface.createTable('consumable_movements', {
+      consumable_movement_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      consumable_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        ...reference('consumables', 'consumable_id', 'CASCADE'),
+      },
+      consumable_stock_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        ...reference('consumable_stocks', 'consumable_stock_id', 'CASCADE'),
+      },
+      movement_type: {
+        type: Sequelize.ENUM('stock_in', 'stock_out', 'issue'),
+        allowNull: false,
+      },
+      // Signed change to the quantity on hand, and the quantity after it
+      quantity_change: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      quantity_after: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      transaction_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('asset_transactions', 'transaction_id', 'SET NULL'),
+      },
+      issued_to: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('users', 'user_id', 'SET NULL'),
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      performed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('users', 'user_id', 'SET NULL'),
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.fn('NOW'),
+      },
+    })
+    await queryInterface.addIndex('consumable_movements', ['consumable_id', 'created_at'])
+
+    // Consumables are issued through the transaction approval flow; such
+    // transactions have no asset
+    await queryInterface.changeColumn('asset_transactions', 'asset_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    })
+    await queryInterface.changeColumn('asset_transactions', 'action', {
+      type: Sequelize.ENUM(...TRANSACTION_ACTIONS, 'issue_consumable'),
+      allowNull: false,
+    })
+    await queryInterface.addColumn('asset_transactions', 'consumable_stock_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'asset_id',
+      ...reference('consumable_stocks', 'consumable_stock_id', 'SET NULL'),
+    })
+    await queryInterface.addColumn('asset_transactions', 'consumable_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'asset_id',
+      ...reference('consumables', 'consumable_id', 'SET NULL'),
+    })
+    await queryInterface.addColumn('asset_transactions', 'quantity', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'consumable_stock_id',
+    })
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('asset_transactions', {
+      action: 'issue_consumable',
+    })
+    await queryInterface.removeColumn('asset_transactions', 'quantity')
+    await queryInterface.removeColumn('asset_transactions', 'consumable_id')
+    await queryInterface.removeColumn('asset_transactions', 'consumable_stock_id')
+    await queryInterface.changeColumn('asset_transactions', 'action', {
+      type: Sequelize.ENUM(...TRANSACTION_ACTIONS),
+      allowNull: false,
+    })
+    await queryInterface.changeColumn('asset_transactions', 'asset_id', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    })
+    await queryInterface.dropTable('consumable_movements')
+    await queryInterface.dropTable('consumable_stocks')
+    await queryInterface.dropTable('consumables')
+  },
+}
@@ -0,0 +1,134 @@
+'use strict'
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('NOW'),
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.fn('NOW'),
+  },
+})
+
+const reference = (table, key, onDelete) => ({
+  references: { model: table, key },
+  onUpdate: 'CASCADE',
+  onDelete,
+})
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('software_licenses', {
+      license_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+      },
+      vendor: {
+        type: Sequelize.STRING(150),
+        allowNull: true,
+      },
+      license_type: {
+        type: Sequelize.ENUM('per_seat', 'per_device', 'site', 'subscription'),
+        allowNull: false,
+      },
+      license_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      // Seats that may be assigned; null for no limit (site licenses)
+      seat_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      purchase_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+      // Expiry, or the renewal date of a subscription
+      expiry_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+      cost: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true,
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('users', 'user_id', 'SET NULL'),
+      },
+      ...timestamps(Sequelize),
+    })
+
+    await queryInterface.addIndex('software_licenses', ['expiry_date'])
+
+    // A seat of a license assigned to a user or to an asset
+    await queryInterface.createTable('software_license_seats', {
+      seat_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      license_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        ...reference('software_licenses', 'license_id', 'CASCADE'),
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('users', 'user_id', 'CASCADE'),
+      },
+      asset_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('assets', 'asset_id', 'CASCADE'),
+      },
+      notes: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      assigned_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        ...reference('users', 'user_id', 'SET NULL'),
+      },
+      ...timestamps(Sequelize),
+    })
+
+    await queryInterface.addIndex('software_license_seats', ['license_id', 'user_id'], {
+      unique: true,
+      name: 'software_license_seats_license_user_unique',
+    })
+    await queryInterface.addIndex('software_license_seats', ['license_id', 'asset_id'], {
+      unique: true,
+      name: 'software_license_seats_license_asset_unique',
+    })
+    await queryInterface.addIndex('software_license_seats', ['asset_id'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('software_license_seats')
+    await queryInterface.dropTable('software_licenses')
+  },
+}
@@ -0,0 +1,23 @@
+'use strict'
+
+// Access scope of the requester when an import or export job was queued;
+// the job only reads and writes assets within it
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('asset_import_jobs', 'access_scope', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'options',
+    })
+    await queryInterface.addColumn('asset_export_jobs', 'access_scope', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'requested_by',
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('asset_export_jobs', 'access_scope')
+    await queryInterface.removeColumn('asset_import_jobs', 'access_scope')
+  },
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+// A transaction issues its consumables once: at most one movement per
+// transaction, whatever requests race to issue it
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.addIndex('consumable_movements', ['transaction_id'], {
+      name: 'consumable_movements_transaction_id_unique',
+      unique: true,
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex(
+      'consumable_movements',
+      'consumable_movements_transaction_id_unique',
+    )
+  },
+}
@@ -0,0 +1,52 @@
+'use strict'
+
+// Software licenses were guarded by the `assets` permissions. Give every role
+// and API key the same grants on their own module, so nobody loses access
+// when the routes start checking it.
+const MODULE = 'licenses'
+const CARRIED_PERMISSIONS = ['list', 'get_by_id', 'create', 'update', 'delete']
+
+const parse = (permissions) =>
+  typeof permissions === 'string' ? JSON.parse(permissions) : permissions || {}
+
+const updatePermissions = async (queryInterface, table, idColumn, change) => {
+  const [rows] = await queryInterface.sequelize.query(
+    `SELECT ${idColumn}, permissions FROM ${table}`,
+  )
+
+  for (const row of rows) {
+    const permissions = change(parse(row.permissions))
+    await queryInterface.bulkUpdate(
+      table,
+      { permissions: JSON.stringify(permissions) },
+      { [idColumn]: row[idColumn] },
+    )
+  }
+}
+
+const carryAssetPermissions = (permissions) => {
+  const granted = (permissions.assets || []).filter((permission) =>
+    CARRIED_PERMISSIONS.includes(permission),
+  )
+  if (!permissions[MODULE]) {
+    permissions[MODULE] = granted
+  }
+  return permissions
+}
+
+const dropModule = (permissions) => {
+  delete permissions[MODULE]
+  return permissions
+}
+
+module.exports = {
+  async up(queryInterface) {
+    await updatePermissions(queryInterface, 'roles', 'role_id', carryAssetPermissions)
+    await updatePermissions(queryInterface, 'api_keys', 'api_key_id', carryAssetPermissions)
+  },
+
+  async down(queryInterface) {
+    await updatePermissions(queryInterface, 'roles', 'role_id', dropModule)
+    await updatePermissions(queryInterface, 'api_keys', 'api_key_id', dropModule)
+  },
+}
@@ -0,0 +1,119 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class ApiKey extends Model {
+    static associate(models) {
+      ApiKey.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+      ApiKey.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+      ApiKey.belongsTo(models.User, {
+        foreignKey: 'revoked_by',
+        as: 'revoker',
+      })
+      ApiKey.hasMany(models.RequestLog, {
+        foreignKey: 'api_key_id',
+        as: 'requestLogs',
+      })
+    }
+  }
+
+  ApiKey.init(
+    {
+      api_key_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      // First characters of the key, to recognise it in lists
+      key_prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+      },
+      // SHA-256 of the key; the key itself is only shown once
+      key_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      // User the key's requests are recorded against
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Granted permissions by module, as for roles
+      permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      // IP addresses or CIDR ranges; null allows any address
+      allowed_ips: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_used_ip: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revoked_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ApiKey',
+      tableName: 'api_keys',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id'],
+        },
+        {
+          fields: ['revoked_at'],
+        },
+      ],
+    },
+  )
+
+  return ApiKey
+}
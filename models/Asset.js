@@ -34,6 +34,52 @@ module.exports = (sequelize, DataTypes) => {
         as: 'creator',
       })
 
+      // Department, location and building the asset belongs to, which
+      // access scopes are checked against
+      Asset.belongsTo(models.Department, {
+        foreignKey: 'department_id',
+        as: 'department',
+      })
+
+      Asset.belongsTo(models.Location, {
+        foreignKey: 'location_id',
+        as: 'location',
+      })
+
+      Asset.belongsTo(models.Building, {
+        foreignKey: 'building_id',
+        as: 'building',
+      })
+
+      // Components installed in an asset, and the asset a component is
+      // installed in
+      Asset.belongsTo(models.Asset, {
+        foreignKey: 'parent_asset_id',
+        as: 'parent',
+      })
+
+      Asset.hasMany(models.Asset, {
+        foreignKey: 'parent_asset_id',
+        as: 'components',
+      })
+
+      // Typed links to other assets (depends on, connected to, ...), from
+      // this asset's side and from the other asset's side
+      Asset.hasMany(models.AssetRelationship, {
+        foreignKey: 'source_asset_id',
+        as: 'outgoingRelationships',
+      })
+
+      Asset.hasMany(models.AssetRelationship, {
+        foreignKey: 'target_asset_id',
+        as: 'incomingRelationships',
+      })
+
+      Asset.hasMany(models.SoftwareLicenseSeat, {
+        foreignKey: 'asset_id',
+        as: 'licenseSeats',
+      })
+
       // Asset has many AssetTransactions
       // Asset.hasMany(models.AssetTransaction, {
       //   foreignKey: 'asset_id',
@@ -91,6 +137,71 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING(100),
         allowNull: true,
       },
+      department_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      building_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      parent_asset_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      purchase_cost: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+      },
+      purchase_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      salvage_value: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+        validate: {
+          min: 0,
+        },
+      },
+      depreciation_method: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.DEPRECIATION_METHOD),
+        allowNull: true,
+        comment: 'overrides the category depreciation method',
+      },
+      disposal_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      // Without an end date, coverage runs from warranty_start_date (or
+      // purchase_date) for the category's default_warranty_months
+      warranty_start_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      warranty_end_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      warranty_provider: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+      },
+      warranty_reference: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      warranty_contact: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
       status: {
         type: DataTypes.ENUM(...SEQUELIZE_ENUMS.ASSET_STATUS),
         allowNull: false,
@@ -139,6 +250,10 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: false,
         defaultValue: DataTypes.NOW,
       },
+      deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
     },
     {
       sequelize,
@@ -147,6 +262,9 @@ module.exports = (sequelize, DataTypes) => {
       timestamps: true,
       createdAt: 'created_at',
       updatedAt: 'updated_at',
+      // Trashed assets keep their row (and asset tag) until purged
+      paranoid: true,
+      deletedAt: 'deleted_at',
       underscored: true,
       indexes: [
         {
@@ -158,9 +276,27 @@ module.exports = (sequelize, DataTypes) => {
         {
           fields: ['created_by'],
         },
+        {
+          fields: ['department_id'],
+        },
+        {
+          fields: ['location_id'],
+        },
+        {
+          fields: ['building_id'],
+        },
+        {
+          fields: ['parent_asset_id'],
+        },
         {
           fields: ['approval_status'],
         },
+        {
+          fields: ['purchase_date'],
+        },
+        {
+          fields: ['warranty_end_date'],
+        },
       ],
     },
   )
@@ -1,5 +1,6 @@
 'use strict'
 const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS, DEFAULTS } = require('../utils/constants')
 
 module.exports = (sequelize, DataTypes) => {
   class AssetCategory extends Model {
@@ -43,6 +44,11 @@ module.exports = (sequelize, DataTypes) => {
         defaultValue: 0.0,
         comment: 'annual depreciation percentage',
       },
+      depreciation_method: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.DEPRECIATION_METHOD),
+        allowNull: false,
+        defaultValue: DEFAULTS.DEPRECIATION_METHOD,
+      },
       default_warranty_months: {
         type: DataTypes.INTEGER,
         allowNull: true,
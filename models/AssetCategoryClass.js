@@ -1,5 +1,6 @@
 'use strict'
 const { Model } = require('sequelize')
+const { validateLifecycle } = require('../utils/assetLifecycle')
 
 module.exports = (sequelize, DataTypes) => {
   class AssetCategoryClass extends Model {
@@ -33,6 +34,20 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.JSON,
         allowNull: true,
       },
+      // Asset status state machine for assets in this class; see
+      // DEFAULT_ASSET_LIFECYCLE in utils/constants for the shape
+      lifecycle: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        validate: {
+          isValidLifecycle(value) {
+            const errors = validateLifecycle(value)
+            if (errors.length) {
+              throw new Error(errors.join('; '))
+            }
+          },
+        },
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
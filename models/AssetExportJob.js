@@ -32,6 +32,12 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
         allowNull: false,
       },
+      // Requester's access scope (accessScopeService.getScope); null when
+      // unrestricted
+      access_scope: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
       progress: {
         type: DataTypes.INTEGER,
         allowNull: false,
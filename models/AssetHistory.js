@@ -0,0 +1,111 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetHistory extends Model {
+    static associate(models) {
+      AssetHistory.belongsTo(models.Asset, {
+        foreignKey: 'asset_id',
+        as: 'asset',
+      })
+      AssetHistory.belongsTo(models.User, {
+        foreignKey: 'changed_by',
+        as: 'actor',
+      })
+      AssetHistory.belongsTo(models.FormFields, {
+        foreignKey: 'form_field_id',
+        as: 'formField',
+      })
+    }
+  }
+
+  AssetHistory.init(
+    {
+      asset_history_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      asset_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      action: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'update',
+      },
+      field_source: {
+        type: DataTypes.ENUM('core', 'form'),
+        allowNull: false,
+      },
+      field_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      form_field_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      old_value: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      new_value: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      changed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      request_id: {
+        type: DataTypes.STRING(36),
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetHistory',
+      tableName: 'asset_histories',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      underscored: true,
+      indexes: [
+        {
+          fields: ['asset_id', 'created_at'],
+        },
+        {
+          fields: ['asset_id', 'field_name'],
+        },
+        {
+          fields: ['request_id'],
+        },
+      ],
+      hooks: {
+        // History rows are append-only; refuse any attempt to rewrite them.
+        beforeUpdate() {
+          throw new Error('Asset history entries are immutable')
+        },
+        beforeBulkUpdate() {
+          throw new Error('Asset history entries are immutable')
+        },
+        beforeDestroy() {
+          throw new Error('Asset history entries are immutable')
+        },
+        beforeBulkDestroy() {
+          throw new Error('Asset history entries are immutable')
+        },
+      },
+    },
+  )
+
+  return AssetHistory
+}
@@ -0,0 +1,157 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetImportJob extends Model {
+    static associate(models) {
+      AssetImportJob.belongsTo(models.User, {
+        foreignKey: 'requested_by',
+        as: 'requester',
+      })
+      AssetImportJob.belongsTo(models.FormBuilder, {
+        foreignKey: 'form_id',
+        as: 'form',
+      })
+      AssetImportJob.belongsTo(models.AssetImportJob, {
+        foreignKey: 'source_job_id',
+        as: 'sourceJob',
+      })
+    }
+  }
+
+  AssetImportJob.init(
+    {
+      import_job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      job_type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'queued',
+      },
+      requested_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      form_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      dry_run: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      source_job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      original_file_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      file_path: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+      column_mapping: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      options: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      // Requester's access scope (accessScopeService.getScope); null when
+      // unrestricted
+      access_scope: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      progress: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total_rows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      processed_rows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      success_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      row_errors: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      result: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      started_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetImportJob',
+      tableName: 'asset_import_jobs',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['job_type', 'status'],
+        },
+        {
+          fields: ['requested_by', 'created_at'],
+        },
+        {
+          fields: ['source_job_id'],
+        },
+      ],
+    },
+  )
+
+  return AssetImportJob
+}
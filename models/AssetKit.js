@@ -0,0 +1,82 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetKit extends Model {
+    static associate(models) {
+      AssetKit.hasMany(models.AssetKitItem, {
+        foreignKey: 'kit_id',
+        as: 'items',
+      })
+
+      AssetKit.belongsTo(models.Department, {
+        foreignKey: 'department_id',
+        as: 'department',
+      })
+
+      AssetKit.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+    }
+  }
+
+  AssetKit.init(
+    {
+      kit_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // Department and position the kit is meant for; null matches any
+      department_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      position: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetKit',
+      tableName: 'asset_kits',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+    },
+  )
+
+  return AssetKit
+}
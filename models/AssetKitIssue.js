@@ -0,0 +1,89 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetKitIssue extends Model {
+    static associate(models) {
+      AssetKitIssue.belongsTo(models.AssetKit, {
+        foreignKey: 'kit_id',
+        as: 'kit',
+      })
+
+      AssetKitIssue.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+
+      AssetKitIssue.belongsTo(models.User, {
+        foreignKey: 'issued_by',
+        as: 'issuer',
+      })
+
+      AssetKitIssue.hasMany(models.AssetTransaction, {
+        foreignKey: 'kit_issue_id',
+        as: 'transactions',
+      })
+    }
+  }
+
+  AssetKitIssue.init(
+    {
+      kit_issue_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      kit_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // Kit name when issued, kept if the kit is renamed or deleted
+      kit_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      issued_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetKitIssue',
+      tableName: 'asset_kit_issues',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id'],
+        },
+        {
+          fields: ['kit_id'],
+        },
+      ],
+    },
+  )
+
+  return AssetKitIssue
+}
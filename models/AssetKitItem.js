@@ -0,0 +1,69 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetKitItem extends Model {
+    static associate(models) {
+      AssetKitItem.belongsTo(models.AssetKit, {
+        foreignKey: 'kit_id',
+        as: 'kit',
+      })
+
+      AssetKitItem.belongsTo(models.AssetCategory, {
+        foreignKey: 'category_id',
+        as: 'category',
+      })
+    }
+  }
+
+  AssetKitItem.init(
+    {
+      kit_item_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      kit_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      category_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetKitItem',
+      tableName: 'asset_kit_items',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['kit_id', 'category_id'],
+        },
+      ],
+    },
+  )
+
+  return AssetKitItem
+}
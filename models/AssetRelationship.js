@@ -0,0 +1,90 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetRelationship extends Model {
+    static associate(models) {
+      AssetRelationship.belongsTo(models.AssetRelationshipType, {
+        foreignKey: 'relationship_type_id',
+        as: 'type',
+      })
+
+      AssetRelationship.belongsTo(models.Asset, {
+        foreignKey: 'source_asset_id',
+        as: 'source',
+      })
+
+      AssetRelationship.belongsTo(models.Asset, {
+        foreignKey: 'target_asset_id',
+        as: 'target',
+      })
+
+      AssetRelationship.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+    }
+  }
+
+  AssetRelationship.init(
+    {
+      asset_relationship_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      relationship_type_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      source_asset_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      target_asset_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetRelationship',
+      tableName: 'asset_relationships',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['source_asset_id', 'target_asset_id', 'relationship_type_id'],
+          name: 'asset_relationships_source_target_type_unique',
+        },
+        {
+          fields: ['target_asset_id'],
+        },
+      ],
+    },
+  )
+
+  return AssetRelationship
+}
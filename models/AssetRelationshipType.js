@@ -0,0 +1,77 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class AssetRelationshipType extends Model {
+    static associate(models) {
+      AssetRelationshipType.hasMany(models.AssetRelationship, {
+        foreignKey: 'relationship_type_id',
+        as: 'relationships',
+      })
+    }
+  }
+
+  AssetRelationshipType.init(
+    {
+      relationship_type_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      display_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      inverse_name: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      is_directional: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      propagates_impact: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      is_system: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AssetRelationshipType',
+      tableName: 'asset_relationship_types',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+    },
+  )
+
+  return AssetRelationshipType
+}
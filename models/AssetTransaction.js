@@ -27,6 +27,23 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'requested_to',
         as: 'recipient'
       });
+
+      // Kit issue the transaction was created by
+      AssetTransaction.belongsTo(models.AssetKitIssue, {
+        foreignKey: 'kit_issue_id',
+        as: 'kitIssue'
+      });
+
+      // Consumable and stock issued by an issue_consumable transaction
+      AssetTransaction.belongsTo(models.Consumable, {
+        foreignKey: 'consumable_id',
+        as: 'consumable'
+      });
+
+      AssetTransaction.belongsTo(models.ConsumableStock, {
+        foreignKey: 'consumable_stock_id',
+        as: 'consumableStock'
+      });
     }
   }
   
@@ -37,14 +54,35 @@ module.exports = (sequelize, DataTypes) => {
       autoIncrement: true,
       primaryKey: true
     },
+    // Null for issue_consumable transactions
     asset_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'assets',
         key: 'asset_id'
       }
     },
+    consumable_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'consumables',
+        key: 'consumable_id'
+      }
+    },
+    consumable_stock_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'consumable_stocks',
+        key: 'consumable_stock_id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     requested_by: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -96,6 +134,14 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATEONLY,
       allowNull: true
     },
+    kit_issue_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'asset_kit_issues',
+        key: 'kit_issue_id'
+      }
+    },
     actual_completion_date: {
       type: DataTypes.DATEONLY,
       allowNull: true
@@ -112,6 +158,10 @@ module.exports = (sequelize, DataTypes) => {
     completed_at: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     sequelize,
@@ -120,6 +170,8 @@ module.exports = (sequelize, DataTypes) => {
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: false,
+    paranoid: true,
+    deletedAt: 'deleted_at',
     underscored: true,
     indexes: [
       {
@@ -0,0 +1,83 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class Consumable extends Model {
+    static associate(models) {
+      Consumable.hasMany(models.ConsumableStock, {
+        foreignKey: 'consumable_id',
+        as: 'stocks',
+      })
+
+      Consumable.hasMany(models.ConsumableMovement, {
+        foreignKey: 'consumable_id',
+        as: 'movements',
+      })
+
+      Consumable.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+    }
+  }
+
+  Consumable.init(
+    {
+      consumable_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        unique: true,
+      },
+      sku: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        unique: true,
+      },
+      unit: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pcs',
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Consumable',
+      tableName: 'consumables',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+    },
+  )
+
+  return Consumable
+}
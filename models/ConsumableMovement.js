@@ -0,0 +1,108 @@
+'use strict'
+const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS } = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class ConsumableMovement extends Model {
+    static associate(models) {
+      ConsumableMovement.belongsTo(models.Consumable, {
+        foreignKey: 'consumable_id',
+        as: 'consumable',
+      })
+
+      ConsumableMovement.belongsTo(models.ConsumableStock, {
+        foreignKey: 'consumable_stock_id',
+        as: 'stock',
+      })
+
+      ConsumableMovement.belongsTo(models.AssetTransaction, {
+        foreignKey: 'transaction_id',
+        as: 'transaction',
+      })
+
+      ConsumableMovement.belongsTo(models.User, {
+        foreignKey: 'issued_to',
+        as: 'recipient',
+      })
+
+      ConsumableMovement.belongsTo(models.User, {
+        foreignKey: 'performed_by',
+        as: 'performer',
+      })
+    }
+  }
+
+  ConsumableMovement.init(
+    {
+      consumable_movement_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      consumable_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      consumable_stock_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      movement_type: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.CONSUMABLE_MOVEMENT_TYPE),
+        allowNull: false,
+      },
+      quantity_change: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      quantity_after: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      issued_to: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      performed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ConsumableMovement',
+      tableName: 'consumable_movements',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      underscored: true,
+      indexes: [
+        {
+          fields: ['consumable_id', 'created_at'],
+        },
+        {
+          // Set only for issues; a transaction issues its stock once
+          name: 'consumable_movements_transaction_id_unique',
+          unique: true,
+          fields: ['transaction_id'],
+        },
+      ],
+    },
+  )
+
+  return ConsumableMovement
+}
@@ -0,0 +1,97 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class ConsumableStock extends Model {
+    static associate(models) {
+      ConsumableStock.belongsTo(models.Consumable, {
+        foreignKey: 'consumable_id',
+        as: 'consumable',
+      })
+
+      ConsumableStock.belongsTo(models.Location, {
+        foreignKey: 'location_id',
+        as: 'location',
+      })
+
+      ConsumableStock.belongsTo(models.Building, {
+        foreignKey: 'building_id',
+        as: 'building',
+      })
+
+      ConsumableStock.belongsTo(models.Room, {
+        foreignKey: 'room_id',
+        as: 'room',
+      })
+    }
+  }
+
+  ConsumableStock.init(
+    {
+      consumable_stock_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      consumable_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      building_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      room_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      reorder_level: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      low_stock_notified_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ConsumableStock',
+      tableName: 'consumable_stocks',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['consumable_id', 'location_id', 'room_id'],
+          name: 'consumable_stocks_consumable_location_room_unique',
+        },
+      ],
+    },
+  )
+
+  return ConsumableStock
+}
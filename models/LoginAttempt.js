@@ -0,0 +1,75 @@
+'use strict'
+const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS } = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class LoginAttempt extends Model {
+    static associate(models) {
+      LoginAttempt.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+    }
+  }
+
+  LoginAttempt.init(
+    {
+      login_attempt_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      // Null when the email did not match an account
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      email: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      outcome: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.LOGIN_ATTEMPT_OUTCOME),
+        allowNull: false,
+      },
+      ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      user_agent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'LoginAttempt',
+      tableName: 'login_attempts',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id', 'created_at'],
+        },
+        {
+          fields: ['ip_address', 'created_at'],
+        },
+      ],
+    },
+  )
+
+  return LoginAttempt
+}
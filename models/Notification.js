@@ -0,0 +1,94 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class Notification extends Model {
+    static associate(models) {
+      Notification.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+    }
+  }
+
+  Notification.init(
+    {
+      notification_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      title: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      entity_type: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      entity_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      data: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      // Identifies an occurrence of an event so repeated runs (e.g. daily
+      // batches) do not notify the same user twice
+      dedupe_key: {
+        type: DataTypes.STRING(191),
+        allowNull: true,
+      },
+      read_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Notification',
+      tableName: 'notifications',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id', 'read_at'],
+        },
+        {
+          fields: ['user_id', 'created_at'],
+        },
+        {
+          fields: ['user_id', 'dedupe_key'],
+        },
+      ],
+    },
+  )
+
+  return Notification
+}
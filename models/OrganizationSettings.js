@@ -71,6 +71,12 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       defaultValue: 'MM/DD/YYYY'
     },
+    // Roles (USER_ROLES) that must use two-factor authentication
+    two_factor_required_roles: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -0,0 +1,82 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+
+      PasswordResetToken.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+    }
+  }
+
+  PasswordResetToken.init(
+    {
+      reset_token_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // SHA-256 of the token sent by email; the token itself is never stored
+      token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      requested_ip: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      // Admin who forced the reset; null for self-service requests
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'PasswordResetToken',
+      tableName: 'password_reset_tokens',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id', 'used_at'],
+        },
+      ],
+    },
+  )
+
+  return PasswordResetToken
+}
@@ -8,6 +8,10 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'user_id',
         as: 'user',
       })
+      RequestLog.belongsTo(models.ApiKey, {
+        foreignKey: 'api_key_id',
+        as: 'apiKey',
+      })
     }
   }
 
@@ -92,6 +96,11 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
         allowNull: true,
       },
+      // API key the request authenticated with
+      api_key_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
       has_error: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
@@ -134,6 +143,9 @@ module.exports = (sequelize, DataTypes) => {
         {
           fields: ['user_id', 'created_at'],
         },
+        {
+          fields: ['api_key_id', 'created_at'],
+        },
       ],
     }
   )
@@ -0,0 +1,73 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class Role extends Model {
+    static associate(models) {
+      Role.hasMany(models.User, {
+        foreignKey: 'role',
+        sourceKey: 'name',
+        as: 'users',
+        constraints: false,
+      })
+    }
+  }
+
+  Role.init(
+    {
+      role_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      // Stored in users.role; cannot be changed once created
+      name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      display_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      // { [MODULES value]: [PERMISSIONS values] }
+      permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+      },
+      // Built-in roles (admin, it_manager, employee) cannot be deleted
+      is_system: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Role',
+      tableName: 'roles',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+    },
+  )
+
+  return Role
+}
@@ -0,0 +1,98 @@
+'use strict'
+const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS } = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class SoftwareLicense extends Model {
+    static associate(models) {
+      SoftwareLicense.hasMany(models.SoftwareLicenseSeat, {
+        foreignKey: 'license_id',
+        as: 'seats',
+      })
+
+      SoftwareLicense.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+    }
+  }
+
+  SoftwareLicense.init(
+    {
+      license_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+      },
+      vendor: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+      },
+      license_type: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.LICENSE_TYPE),
+        allowNull: false,
+      },
+      license_key: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      // Null for no seat limit
+      seat_count: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      purchase_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      expiry_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      cost: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'SoftwareLicense',
+      tableName: 'software_licenses',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [{ fields: ['expiry_date'] }],
+    },
+  )
+
+  return SoftwareLicense
+}
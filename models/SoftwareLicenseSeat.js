@@ -0,0 +1,94 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class SoftwareLicenseSeat extends Model {
+    static associate(models) {
+      SoftwareLicenseSeat.belongsTo(models.SoftwareLicense, {
+        foreignKey: 'license_id',
+        as: 'license',
+      })
+
+      SoftwareLicenseSeat.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+
+      SoftwareLicenseSeat.belongsTo(models.Asset, {
+        foreignKey: 'asset_id',
+        as: 'asset',
+      })
+
+      SoftwareLicenseSeat.belongsTo(models.User, {
+        foreignKey: 'assigned_by',
+        as: 'assigner',
+      })
+    }
+  }
+
+  SoftwareLicenseSeat.init(
+    {
+      seat_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      license_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Exactly one of user_id and asset_id is set
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      asset_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      assigned_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'SoftwareLicenseSeat',
+      tableName: 'software_license_seats',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['license_id', 'user_id'],
+          name: 'software_license_seats_license_user_unique',
+        },
+        {
+          unique: true,
+          fields: ['license_id', 'asset_id'],
+          name: 'software_license_seats_license_asset_unique',
+        },
+        { fields: ['asset_id'] },
+      ],
+    },
+  )
+
+  return SoftwareLicenseSeat
+}
@@ -0,0 +1,63 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class TwoFactorRecoveryCode extends Model {
+    static associate(models) {
+      TwoFactorRecoveryCode.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+    }
+  }
+
+  TwoFactorRecoveryCode.init(
+    {
+      recovery_code_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // SHA-256 of the normalized code; codes are only shown once
+      code_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'TwoFactorRecoveryCode',
+      tableName: 'two_factor_recovery_codes',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id', 'code_hash'],
+        },
+      ],
+    },
+  )
+
+  return TwoFactorRecoveryCode
+}
@@ -51,6 +51,52 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'uploaded_by',
         as: 'uploadedDocuments',
       })
+
+      // User has many login sessions (refresh tokens)
+      User.hasMany(models.UserSession, {
+        foreignKey: 'user_id',
+        as: 'sessions',
+      })
+
+      // User has many password reset tokens
+      User.hasMany(models.PasswordResetToken, {
+        foreignKey: 'user_id',
+        as: 'passwordResetTokens',
+      })
+
+      // User has many two-factor recovery codes
+      User.hasMany(models.TwoFactorRecoveryCode, {
+        foreignKey: 'user_id',
+        as: 'recoveryCodes',
+      })
+
+      // User has many login attempts
+      User.hasMany(models.LoginAttempt, {
+        foreignKey: 'user_id',
+        as: 'loginAttempts',
+      })
+
+      User.hasMany(models.UserAccessScope, {
+        foreignKey: 'user_id',
+        as: 'accessScopes',
+      })
+
+      User.hasMany(models.ApiKey, {
+        foreignKey: 'user_id',
+        as: 'apiKeys',
+      })
+
+      User.hasMany(models.UserOffboarding, {
+        foreignKey: 'user_id',
+        as: 'offboardings',
+      })
+
+      User.belongsTo(models.Role, {
+        foreignKey: 'role',
+        targetKey: 'name',
+        as: 'roleDetails',
+        constraints: false,
+      })
     }
   }
 
@@ -83,15 +129,69 @@ module.exports = (sequelize, DataTypes) => {
           key: 'department_id',
         },
       },
+      // Name of a role in the roles table
       role: {
-        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.USER_ROLE),
+        type: DataTypes.STRING(50),
         allowNull: false,
         defaultValue: DEFAULTS.USER_ROLE,
+        validate: {
+          async isExistingRole(value) {
+            const count = await sequelize.models.Role.count({
+              where: { name: value },
+            })
+            if (!count) {
+              throw new Error(`Role "${value}" does not exist`)
+            }
+          },
+        },
       },
       password_hash: {
         type: DataTypes.STRING(255),
         allowNull: false,
       },
+      // Identity at the OpenID Connect provider, for users who sign in with SSO
+      oidc_issuer: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      oidc_subject: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      // Entry in the LDAP directory for users kept in sync with it
+      directory_dn: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+      },
+      directory_synced_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Set by an admin; the user must change their password before using the API
+      must_change_password: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      two_factor_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // TOTP secret, encrypted; set during enrolment before 2FA is enabled
+      two_factor_secret: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      // Last TOTP time step accepted, so a code cannot be used twice
+      two_factor_last_step: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      two_factor_enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       employee_id: {
         type: DataTypes.STRING(50),
         allowNull: true,
@@ -109,6 +209,20 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Failed logins since first_failed_login_at, reset on success or unlock
+      failed_login_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      first_failed_login_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       status: {
         type: DataTypes.ENUM(...SEQUELIZE_ENUMS.USER_STATUS),
         allowNull: false,
@@ -143,6 +257,13 @@ module.exports = (sequelize, DataTypes) => {
         {
           fields: ['status'],
         },
+        {
+          unique: true,
+          fields: ['oidc_issuer', 'oidc_subject'],
+        },
+        {
+          fields: ['directory_dn'],
+        },
       ],
     },
   )
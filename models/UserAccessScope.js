@@ -0,0 +1,68 @@
+'use strict'
+const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS } = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class UserAccessScope extends Model {
+    static associate(models) {
+      UserAccessScope.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+
+      UserAccessScope.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+    }
+  }
+
+  UserAccessScope.init(
+    {
+      access_scope_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      scope_type: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.ACCESS_SCOPE_TYPE),
+        allowNull: false,
+      },
+      // department_id, location_id or building_id, depending on scope_type
+      target_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserAccessScope',
+      tableName: 'user_access_scopes',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+    },
+  )
+
+  return UserAccessScope
+}
@@ -0,0 +1,104 @@
+'use strict'
+const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS, OFFBOARDING_STATUS } = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class UserOffboarding extends Model {
+    static associate(models) {
+      UserOffboarding.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+
+      UserOffboarding.belongsTo(models.User, {
+        foreignKey: 'started_by',
+        as: 'starter',
+      })
+
+      UserOffboarding.belongsTo(models.User, {
+        foreignKey: 'completed_by',
+        as: 'completer',
+      })
+
+      UserOffboarding.hasMany(models.UserOffboardingItem, {
+        foreignKey: 'offboarding_id',
+        as: 'items',
+      })
+    }
+  }
+
+  UserOffboarding.init(
+    {
+      offboarding_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.OFFBOARDING_STATUS),
+        allowNull: false,
+        defaultValue: OFFBOARDING_STATUS.IN_PROGRESS,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      started_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      completed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      completed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Checklist frozen at completion and its HMAC-SHA256 signature
+      checklist: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+      signature: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserOffboarding',
+      tableName: 'user_offboardings',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id', 'status'],
+        },
+      ],
+    },
+  )
+
+  return UserOffboarding
+}
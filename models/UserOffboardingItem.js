@@ -0,0 +1,103 @@
+'use strict'
+const { Model } = require('sequelize')
+const {
+  SEQUELIZE_ENUMS,
+  OFFBOARDING_ITEM_RESOLUTION,
+} = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class UserOffboardingItem extends Model {
+    static associate(models) {
+      UserOffboardingItem.belongsTo(models.UserOffboarding, {
+        foreignKey: 'offboarding_id',
+        as: 'offboarding',
+      })
+
+      UserOffboardingItem.belongsTo(models.Asset, {
+        foreignKey: 'asset_id',
+        as: 'asset',
+      })
+
+      UserOffboardingItem.belongsTo(models.AssetTransaction, {
+        foreignKey: 'transaction_id',
+        as: 'returnTransaction',
+      })
+
+      UserOffboardingItem.belongsTo(models.User, {
+        foreignKey: 'resolved_by',
+        as: 'resolver',
+      })
+    }
+  }
+
+  UserOffboardingItem.init(
+    {
+      offboarding_item_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      offboarding_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      asset_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Return transaction opened for the asset
+      transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      resolution: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.OFFBOARDING_ITEM_RESOLUTION),
+        allowNull: false,
+        defaultValue: OFFBOARDING_ITEM_RESOLUTION.PENDING,
+      },
+      write_off_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      resolved_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      resolved_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserOffboardingItem',
+      tableName: 'user_offboarding_items',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['offboarding_id', 'asset_id'],
+        },
+        {
+          fields: ['transaction_id'],
+        },
+      ],
+    },
+  )
+
+  return UserOffboardingItem
+}
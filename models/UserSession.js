@@ -0,0 +1,96 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class UserSession extends Model {
+    static associate(models) {
+      UserSession.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user',
+      })
+    }
+  }
+
+  UserSession.init(
+    {
+      session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // SHA-256 of the current refresh token; the token itself is never stored
+      refresh_token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      // Hash of the token replaced by the last rotation, kept to detect reuse
+      previous_refresh_token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      device: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+      },
+      user_agent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      revoked_reason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserSession',
+      tableName: 'user_sessions',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['user_id', 'revoked_at'],
+        },
+        {
+          fields: ['previous_refresh_token_hash'],
+        },
+      ],
+    },
+  )
+
+  return UserSession
+}
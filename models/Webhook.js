@@ -0,0 +1,81 @@
+'use strict'
+const { Model } = require('sequelize')
+
+module.exports = (sequelize, DataTypes) => {
+  class Webhook extends Model {
+    static associate(models) {
+      Webhook.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator',
+      })
+
+      Webhook.hasMany(models.WebhookDelivery, {
+        foreignKey: 'webhook_id',
+        as: 'deliveries',
+      })
+    }
+  }
+
+  Webhook.init(
+    {
+      webhook_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+      },
+      url: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+      },
+      // Key for the HMAC signature of each payload; never returned by reads
+      secret: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      // Subscribed event names (WEBHOOK_EVENT), or ['*'] for all
+      events: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Webhook',
+      tableName: 'webhooks',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+    },
+  )
+
+  return Webhook
+}
@@ -0,0 +1,114 @@
+'use strict'
+const { Model } = require('sequelize')
+const { SEQUELIZE_ENUMS, WEBHOOK_DELIVERY_STATUS } = require('../utils/constants')
+
+module.exports = (sequelize, DataTypes) => {
+  class WebhookDelivery extends Model {
+    static associate(models) {
+      WebhookDelivery.belongsTo(models.Webhook, {
+        foreignKey: 'webhook_id',
+        as: 'webhook',
+      })
+    }
+  }
+
+  WebhookDelivery.init(
+    {
+      delivery_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+      },
+      webhook_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Same for every delivery of one event, so receivers can deduplicate
+      event_id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+      },
+      event: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM(...SEQUELIZE_ENUMS.WEBHOOK_DELIVERY_STATUS),
+        allowNull: false,
+        defaultValue: WEBHOOK_DELIVERY_STATUS.PENDING,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      max_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      response_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      response_body: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      duration_ms: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      last_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      delivered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updated_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'WebhookDelivery',
+      tableName: 'webhook_deliveries',
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      underscored: true,
+      indexes: [
+        {
+          fields: ['webhook_id', 'created_at'],
+        },
+        {
+          fields: ['status', 'next_attempt_at'],
+        },
+      ],
+    },
+  )
+
+  return WebhookDelivery
+}
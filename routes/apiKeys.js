@@ -0,0 +1,218 @@
+const express = require('express')
+const router = express.Router()
+const apiKeysController = require('../controllers/apiKeysController')
+const authMiddleware = require('../middleware/authMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: |
+ *     API keys for scripts and integrations (admin only). Send a key in the `X-API-Key` header
+ *     instead of a bearer token. A key acts as its user but only has the permissions granted to
+ *     the key, and cannot use admin-only endpoints. Only a hash of each key is stored.
+ */
+
+router.use(authMiddleware.authenticate, authMiddleware.requireAdmin)
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_revoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin only
+ *   post:
+ *     summary: Issue an API key
+ *     description: The key is only returned in this response.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, permissions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Network scanner
+ *               permissions:
+ *                 type: object
+ *                 description: Permissions by module, from GET /api/roles/catalog
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 example:
+ *                   assets: [list, get_by_id, update]
+ *               allowed_ips:
+ *                 type: array
+ *                 nullable: true
+ *                 description: IP addresses or CIDR ranges the key may be used from; omit to allow any
+ *                 items:
+ *                   type: string
+ *                 example: [10.0.0.0/24, 203.0.113.7]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Defaults to API_KEY_DEFAULT_EXPIRY_DAYS (365) days from now; null never expires
+ *               user_id:
+ *                 type: integer
+ *                 description: Active user the key acts as; defaults to the admin issuing it
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ApiKey'
+ *                     - type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           example: amk_9fQk2...
+ *       400:
+ *         description: Invalid name, permissions, IP allowlist, expiry or user
+ */
+router.get('/', apiKeysController.listApiKeys)
+router.post('/', apiKeysController.createApiKey)
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: API key not found
+ *   patch:
+ *     summary: Update an API key
+ *     description: Changes the name, permissions, IP allowlist or expiry. The key itself cannot change.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               permissions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *               allowed_ips:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: API key updated successfully
+ *       400:
+ *         description: Invalid name, permissions, IP allowlist or expiry
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: The API key is revoked
+ */
+router.get('/:id', apiKeysController.getApiKey)
+router.patch('/:id', apiKeysController.updateApiKey)
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/revoke:
+ *   post:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router.post('/:id/revoke', apiKeysController.revokeApiKey)
+
+module.exports = router
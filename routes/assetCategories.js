@@ -160,6 +160,14 @@ router.get('/:id',
  *               description:
  *                 type: string
  *                 example: "Portable computers and laptops"
+ *               depreciation_rate:
+ *                 type: number
+ *                 description: Annual depreciation percentage
+ *                 example: 25
+ *               depreciation_method:
+ *                 type: string
+ *                 enum: [straight_line, declining_balance]
+ *                 default: straight_line
  *               is_active:
  *                 type: boolean
  *                 default: true
@@ -242,6 +250,14 @@ router.post('/',
  *               description:
  *                 type: string
  *                 example: "Portable computers and laptops - Updated"
+ *               depreciation_rate:
+ *                 type: number
+ *                 description: Annual depreciation percentage
+ *                 example: 25
+ *               depreciation_method:
+ *                 type: string
+ *                 enum: [straight_line, declining_balance]
+ *                 default: straight_line
  *               is_active:
  *                 type: boolean
  *                 example: true
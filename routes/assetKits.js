@@ -0,0 +1,299 @@
+const express = require('express')
+const router = express.Router()
+const assetKitsController = require('../controllers/assetKitsController')
+const authMiddleware = require('../middleware/authMiddleware')
+const {
+  requirePermission,
+  requireApiKeyPermission,
+} = require('../middleware/permissionMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Kits
+ *   description: |
+ *     Onboarding kits: named templates of asset categories and quantities for a department
+ *     and/or position. Issuing a kit picks available, approved assets of each category and
+ *     assigns them to the user with one accepted `assign` transaction each, all linked to one
+ *     handover record. Issuing is all or nothing. Kits are managed with the asset_category
+ *     permissions; issuing needs the transactions change_status permission.
+ */
+
+/**
+ * @swagger
+ * /api/kits:
+ *   get:
+ *     summary: List kits
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Only kits matching the user's department and position (kits without either match everyone)
+ *       - in: query
+ *         name: department_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Kits retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssetKit'
+ *       404:
+ *         description: User not found
+ *   post:
+ *     summary: Create a kit
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, items]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Engineer starter kit
+ *               description:
+ *                 type: string
+ *               department_id:
+ *                 type: integer
+ *                 nullable: true
+ *               position:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Software Engineer
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [category_id]
+ *                   properties:
+ *                     category_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *     responses:
+ *       201:
+ *         description: Kit created successfully
+ *       400:
+ *         description: Invalid name, department, position or items
+ *       409:
+ *         description: A kit with this name already exists
+ */
+router.get('/', authMiddleware.authenticate, requirePermission('asset_category', 'list'), assetKitsController.listKits)
+router.post('/', authMiddleware.authenticate, requirePermission('asset_category', 'create'), assetKitsController.createKit)
+
+/**
+ * @swagger
+ * /api/kits/issues:
+ *   get:
+ *     summary: List kit issues (handover records)
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: kit_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Kit issues retrieved successfully
+ */
+router.get('/issues', authMiddleware.authenticate, requirePermission('transactions', 'list'), assetKitsController.listIssues)
+
+/**
+ * @swagger
+ * /api/kits/issues/{issueId}:
+ *   get:
+ *     summary: Get the handover record of an issued kit
+ *     description: Visible to the user who received the kit and to users with the transactions list permission.
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Kit issue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AssetKitIssue'
+ *       404:
+ *         description: Kit issue not found
+ */
+router.get('/issues/:issueId', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetKitsController.getIssue)
+
+/**
+ * @swagger
+ * /api/kits/{id}:
+ *   get:
+ *     summary: Get a kit
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Kit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AssetKit'
+ *       404:
+ *         description: Kit not found
+ *   put:
+ *     summary: Update a kit
+ *     description: Any field of the create request; `items` replaces all of the kit's items.
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Kit updated successfully
+ *       400:
+ *         description: Invalid name, department, position or items
+ *       404:
+ *         description: Kit not found
+ *       409:
+ *         description: A kit with this name already exists
+ *   delete:
+ *     summary: Delete a kit
+ *     description: Handover records of earlier issues are kept.
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Kit deleted successfully
+ *       404:
+ *         description: Kit not found
+ */
+router.get('/:id', authMiddleware.authenticate, requirePermission('asset_category', 'get_by_id'), assetKitsController.getKit)
+router.put('/:id', authMiddleware.authenticate, requirePermission('asset_category', 'update'), assetKitsController.updateKit)
+router.delete('/:id', authMiddleware.authenticate, requirePermission('asset_category', 'delete'), assetKitsController.deleteKit)
+
+/**
+ * @swagger
+ * /api/kits/{id}/issue:
+ *   post:
+ *     summary: Issue a kit to a user
+ *     description: |
+ *       Picks available, approved assets of every kit category (within your access scope) and
+ *       assigns them to the user with accepted `assign` transactions linked to one handover
+ *       record. The user gets a single notification. When any category is short of stock
+ *       nothing is assigned.
+ *     tags: [Kits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [user_id]
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *                 example: Start date 2026-07-01
+ *     responses:
+ *       201:
+ *         description: Kit issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AssetKitIssue'
+ *       400:
+ *         description: user_id is not an active user
+ *       404:
+ *         description: Kit not found
+ *       409:
+ *         description: The kit is inactive or empty, a category is out of stock, or an asset's lifecycle does not allow the assignment
+ */
+router.post('/:id/issue', authMiddleware.authenticate, requirePermission('transactions', 'change_status'), assetKitsController.issueKit)
+
+module.exports = router
@@ -0,0 +1,285 @@
+const express = require('express')
+const router = express.Router()
+const assetRelationshipsController = require('../controllers/assetRelationshipsController')
+const authMiddleware = require('../middleware/authMiddleware')
+const {
+  requirePermission,
+  requireApiKeyPermission,
+} = require('../middleware/permissionMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Asset Relationships
+ *   description: |
+ *     Typed links between assets (depends on, connected to, licensed for, backs up, or custom
+ *     types). A directional link reads "<source> <type> <target>"; non-directional types link
+ *     both assets the same way. Links are recorded in the history of both assets. Types are
+ *     managed with the asset_category permissions; linking needs the assets update permission.
+ */
+
+/**
+ * @swagger
+ * /api/asset-relationships/types:
+ *   get:
+ *     summary: List relationship types
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Relationship types retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssetRelationshipType'
+ *   post:
+ *     summary: Create a relationship type
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, display_name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: runs_on
+ *               display_name:
+ *                 type: string
+ *                 example: runs on
+ *               inverse_name:
+ *                 type: string
+ *                 example: hosts
+ *               description:
+ *                 type: string
+ *               is_directional:
+ *                 type: boolean
+ *                 default: true
+ *               propagates_impact:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Relationship type created successfully
+ *       400:
+ *         description: Invalid name or display_name
+ *       409:
+ *         description: A type with this name already exists
+ */
+router.get('/types', authMiddleware.authenticate, requireApiKeyPermission('asset_category', 'list'), assetRelationshipsController.listTypes)
+router.post('/types', authMiddleware.authenticate, requirePermission('asset_category', 'create'), assetRelationshipsController.createType)
+
+/**
+ * @swagger
+ * /api/asset-relationships/types/{typeId}:
+ *   put:
+ *     summary: Update a relationship type
+ *     description: The name cannot change, and the direction cannot change while links of the type exist.
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: typeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetRelationshipType'
+ *     responses:
+ *       200:
+ *         description: Relationship type updated successfully
+ *       404:
+ *         description: Relationship type not found
+ *       409:
+ *         description: The direction of a type in use cannot be changed
+ *   delete:
+ *     summary: Delete a custom relationship type that no link uses
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: typeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Relationship type deleted successfully
+ *       400:
+ *         description: Built-in types cannot be deleted
+ *       404:
+ *         description: Relationship type not found
+ *       409:
+ *         description: The type is in use
+ */
+router.put('/types/:typeId', authMiddleware.authenticate, requirePermission('asset_category', 'update'), assetRelationshipsController.updateType)
+router.delete('/types/:typeId', authMiddleware.authenticate, requirePermission('asset_category', 'delete'), assetRelationshipsController.deleteType)
+
+/**
+ * @swagger
+ * /api/asset-relationships/impact/{assetId}:
+ *   get:
+ *     summary: Impact analysis of an asset outage
+ *     description: |
+ *       Walks the relationship graph up to `depth` hops from the asset and lists what is
+ *       affected if it goes down (e.g. into `in_repair`). The source of a directional link is
+ *       affected by its target (what depends on a switch breaks with it); non-directional links
+ *       affect both ends. Only types with propagates_impact are followed.
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           minimum: 1
+ *           maximum: 10
+ *     responses:
+ *       200:
+ *         description: Impact analysis completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AssetImpact'
+ *       400:
+ *         description: Invalid depth
+ *       404:
+ *         description: Asset not found
+ */
+router.get('/impact/:assetId', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetRelationshipsController.getImpact)
+
+/**
+ * @swagger
+ * /api/asset-relationships:
+ *   get:
+ *     summary: List the links of an asset
+ *     description: Each link is described from the asset's side; links to assets outside your access scope are left out.
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asset_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Asset relationships retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssetRelationship'
+ *       400:
+ *         description: asset_id is required
+ *       404:
+ *         description: Asset not found
+ *   post:
+ *     summary: Link two assets
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source_asset_id, target_asset_id]
+ *             properties:
+ *               source_asset_id:
+ *                 type: integer
+ *                 example: 12
+ *               target_asset_id:
+ *                 type: integer
+ *                 example: 4
+ *               relationship_type_id:
+ *                 type: integer
+ *               relationship_type:
+ *                 type: string
+ *                 description: Type name, instead of relationship_type_id
+ *                 example: depends_on
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Asset relationship created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AssetRelationship'
+ *       400:
+ *         description: Missing assets, unknown type, or an asset linked to itself
+ *       404:
+ *         description: Source or target asset not found
+ *       409:
+ *         description: The assets are already linked with this type
+ */
+router.get('/', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetRelationshipsController.listRelationships)
+router.post('/', authMiddleware.authenticate, requirePermission('assets', 'update'), assetRelationshipsController.createRelationship)
+
+/**
+ * @swagger
+ * /api/asset-relationships/{id}:
+ *   delete:
+ *     summary: Remove a link between two assets
+ *     tags: [Asset Relationships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Asset relationship deleted successfully
+ *       404:
+ *         description: Asset relationship not found
+ */
+router.delete('/:id', authMiddleware.authenticate, requirePermission('assets', 'update'), assetRelationshipsController.deleteRelationship)
+
+module.exports = router
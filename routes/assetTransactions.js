@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const assetTransactionsController = require('../controllers/assetTransactionsController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireApiKeyPermission } = require('../middleware/permissionMiddleware');
 
 /**
  * @swagger
@@ -140,7 +141,7 @@ const authMiddleware = require('../middleware/authMiddleware');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', authMiddleware.authenticate, assetTransactionsController.list);
+router.get('/', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetTransactionsController.list);
 
 /**
  * @swagger
@@ -212,7 +213,7 @@ router.get('/', authMiddleware.authenticate, assetTransactionsController.list);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/statistics', authMiddleware.authenticate, assetTransactionsController.getStatistics);
+router.get('/statistics', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetTransactionsController.getStatistics);
 
 /**
  * @swagger
@@ -279,7 +280,7 @@ router.get('/statistics', authMiddleware.authenticate, assetTransactionsControll
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/pending', authMiddleware.authenticate, assetTransactionsController.getPendingTransactions);
+router.get('/pending', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetTransactionsController.getPendingTransactions);
 
 /**
  * @swagger
@@ -336,7 +337,7 @@ router.get('/pending', authMiddleware.authenticate, assetTransactionsController.
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/user/:userId', authMiddleware.authenticate, assetTransactionsController.getByUser);
+router.get('/user/:userId', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetTransactionsController.getByUser);
 
 /**
  * @swagger
@@ -386,7 +387,7 @@ router.get('/user/:userId', authMiddleware.authenticate, assetTransactionsContro
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/asset/:assetId', authMiddleware.authenticate, assetTransactionsController.getByAsset);
+router.get('/asset/:assetId', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetTransactionsController.getByAsset);
 
 /**
  * @swagger
@@ -486,15 +487,20 @@ router.get('/asset/:assetId', authMiddleware.authenticate, assetTransactionsCont
  *       500:
  *         description: Internal server error
  */
-router.get('/dashboard-stats', authMiddleware.authenticate, assetTransactionsController.getUserDashboardStats);
+router.get('/dashboard-stats', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'list'), assetTransactionsController.getUserDashboardStats);
 
-router.get('/:id', authMiddleware.authenticate, assetTransactionsController.getById);
+router.get('/:id', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'get_by_id'), assetTransactionsController.getById);
 
 /**
  * @swagger
  * /api/asset-transactions:
  *   post:
  *     summary: Create new asset transaction
+ *     description: |
+ *       To issue consumables, send action `issue_consumable` with consumable_stock_id and
+ *       quantity instead of asset_id, and the receiving user as requested_to. The stock is
+ *       taken out when the transaction is accepted, or completed straight from pending; the
+ *       request fails with 409 if there is not enough on hand then.
  *     tags: [Asset Transactions]
  *     security:
  *       - bearerAuth: []
@@ -519,6 +525,13 @@ router.get('/:id', authMiddleware.authenticate, assetTransactionsController.getB
  *               notes:
  *                 type: string
  *                 example: "Assigned to new employee"
+ *               consumable_stock_id:
+ *                 type: integer
+ *                 description: Stock to issue from, for issue_consumable
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Quantity to issue, for issue_consumable
  *           example:
  *             asset_id: 1
  *             user_id: 1
@@ -565,7 +578,7 @@ router.get('/:id', authMiddleware.authenticate, assetTransactionsController.getB
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', authMiddleware.authenticate, authMiddleware.authenticate, assetTransactionsController.create);
+router.post('/', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'create'), assetTransactionsController.create);
 
 /**
  * @swagger
@@ -650,7 +663,7 @@ router.post('/', authMiddleware.authenticate, authMiddleware.authenticate, asset
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id', authMiddleware.authenticate, assetTransactionsController.update);
+router.patch('/:id', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'update'), assetTransactionsController.update);
 
 /**
  * @swagger
@@ -696,7 +709,7 @@ router.patch('/:id', authMiddleware.authenticate, assetTransactionsController.up
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authMiddleware.authenticate, assetTransactionsController.remove);
+router.delete('/:id', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'delete'), assetTransactionsController.remove);
 
 /**
  * @swagger
@@ -728,6 +741,9 @@ router.delete('/:id', authMiddleware.authenticate, assetTransactionsController.r
  *               admin_notes:
  *                 type: string
  *                 example: "Transaction approved by admin"
+ *               cascade_components:
+ *                 type: boolean
+ *                 description: When a transfer, retire or dispose transaction completes, give every component of the asset the asset's new status and assignee
  *           example:
  *             status: "approved"
  *             admin_notes: "Transaction approved by admin"
@@ -779,7 +795,7 @@ router.delete('/:id', authMiddleware.authenticate, assetTransactionsController.r
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/status', authMiddleware.authenticate, assetTransactionsController.changeStatus);
+router.patch('/:id/status', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'change_status'), assetTransactionsController.changeStatus);
 
 /**
  * @swagger
@@ -831,6 +847,8 @@ router.patch('/:id/status', authMiddleware.authenticate, assetTransactionsContro
  *                 notes: "Assigned to new employee"
  *                 status: "approved"
  *                 created_at: "2023-01-01T00:00:00.000Z"
+ *       409:
+ *         description: Not enough consumable stock to issue
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -850,7 +868,7 @@ router.patch('/:id/status', authMiddleware.authenticate, assetTransactionsContro
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/accept', authMiddleware.authenticate, assetTransactionsController.acceptTransaction);
+router.patch('/:id/accept', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'change_status'), assetTransactionsController.acceptTransaction);
 
 /**
  * @swagger
@@ -925,7 +943,7 @@ router.patch('/:id/accept', authMiddleware.authenticate, assetTransactionsContro
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/reject', authMiddleware.authenticate, assetTransactionsController.rejectTransaction);
+router.patch('/:id/reject', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'change_status'), assetTransactionsController.rejectTransaction);
 
 /**
  * @swagger
@@ -952,6 +970,9 @@ router.patch('/:id/reject', authMiddleware.authenticate, assetTransactionsContro
  *               admin_notes:
  *                 type: string
  *                 example: "Transaction completed"
+ *               cascade_components:
+ *                 type: boolean
+ *                 description: When a transfer, retire or dispose transaction completes, give every component of the asset the asset's new status and assignee
  *           example:
  *             admin_notes: "Transaction completed"
  *     responses:
@@ -996,6 +1017,6 @@ router.patch('/:id/reject', authMiddleware.authenticate, assetTransactionsContro
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/complete', authMiddleware.authenticate, assetTransactionsController.completeTransaction);
+router.patch('/:id/complete', authMiddleware.authenticate, requireApiKeyPermission('transactions', 'change_status'), assetTransactionsController.completeTransaction);
 
 module.exports = router;
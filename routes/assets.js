@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const assetsController = require('../controllers/assetsController');
+const assetImportsController = require('../controllers/assetImportsController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { requirePermission } = require('../middleware/permissionMiddleware');
+const { requirePermission, requireApiKeyPermission } = require('../middleware/permissionMiddleware');
 
 /**
  * @swagger
@@ -90,7 +91,7 @@ const { requirePermission } = require('../middleware/permissionMiddleware');
  *       500:
  *         description: Server error
  */
-router.get('/lookup', authMiddleware.authenticate, assetsController.lookup);
+router.get('/lookup', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.lookup);
 
 /**
  * @swagger
@@ -113,7 +114,7 @@ router.get('/lookup', authMiddleware.authenticate, assetsController.lookup);
  *       404:
  *         description: Asset not found
  */
-router.get('/barcode/:code', authMiddleware.authenticate, assetsController.getByBarcode);
+router.get('/barcode/:code', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetsController.getByBarcode);
 
 /**
  * @swagger
@@ -184,7 +185,7 @@ router.get('/barcode/:code', authMiddleware.authenticate, assetsController.getBy
  *       500:
  *         description: Server error
  */
-router.post('/codes', authMiddleware.authenticate, assetsController.generateCodes);
+router.post('/codes', authMiddleware.authenticate, requireApiKeyPermission('assets', 'create'), assetsController.generateCodes);
 
 /**
  * @swagger
@@ -266,7 +267,7 @@ router.post('/codes', authMiddleware.authenticate, assetsController.generateCode
  *                     status: "assigned"
  *                     assigned_to: 1
  *                     purchase_date: "2023-01-15"
- *                     purchase_price: 1200.00
+ *                     purchase_cost: 1200.00
  *                     location: "Office Building A"
  *                 pagination:
  *                   page: 1
@@ -372,7 +373,7 @@ router.get('/created-by/:userId', authMiddleware.authenticate, requirePermission
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id/barcode', authMiddleware.authenticate, assetsController.getBarcode);
+router.get('/:id/barcode', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetsController.getBarcode);
 
 /**
  * @swagger
@@ -414,6 +415,22 @@ router.get('/:id/barcode', authMiddleware.authenticate, assetsController.getBarc
  *         schema:
  *           type: string
  *         description: Search by asset name or tag
+ *       - in: query
+ *         name: warranty_status
+ *         schema:
+ *           type: string
+ *           enum: [active, expiring, expired, none]
+ *         description: |
+ *           Filter by warranty coverage. The end date is the asset's warranty_end_date, else
+ *           warranty_start_date (or purchase_date) plus the category's default_warranty_months.
+ *           active includes expiring. Each asset is returned with warranty_expires_on,
+ *           warranty_status and warranty_days_remaining.
+ *       - in: query
+ *         name: warranty_days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Window in days for warranty_status=expiring
  *     responses:
  *       200:
  *         description: Assets retrieved successfully
@@ -454,7 +471,7 @@ router.get('/:id/barcode', authMiddleware.authenticate, assetsController.getBarc
  *                     status: "available"
  *                     assigned_to: null
  *                     purchase_date: "2023-01-15"
- *                     purchase_price: 1200.00
+ *                     purchase_cost: 1200.00
  *                     location: "Office Building A"
  *                 pagination:
  *                   page: 1
@@ -474,19 +491,493 @@ router.get('/:id/barcode', authMiddleware.authenticate, assetsController.getBarc
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', authMiddleware.authenticate, assetsController.list);
+router.get('/', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.list);
+
+router.get('/export', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.exportAssets);
+
+/**
+ * @swagger
+ * /api/assets/export/excel:
+ *   get:
+ *     summary: Export assets to an Excel workbook
+ *     description: One sheet per form. Includes Warranty Provider, Warranty Ends and Warranty Status columns.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: warranty_status
+ *         schema:
+ *           type: string
+ *           enum: [active, expiring, expired, none]
+ *         description: Only export assets with this warranty coverage
+ *       - in: query
+ *         name: warranty_days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Window in days for warranty_status=expiring
+ *     responses:
+ *       200:
+ *         description: Assets Excel export generated successfully
+ *       400:
+ *         description: Invalid warranty filter
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get('/export/excel', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.exportAssetsExcel);
+router.get('/export/images', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.exportAssetImages);
+router.post('/export/images', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.exportAssetImages);
+router.get('/export/images/:jobId', authMiddleware.authenticate, requireApiKeyPermission('assets', 'list'), assetsController.getAssetImageExportJob);
+
+/**
+ * @swagger
+ * /api/assets/import:
+ *   post:
+ *     summary: Queue a bulk asset import from a CSV or XLSX file
+ *     description: |
+ *       Rows are validated with the same rules as single creation (required fields,
+ *       hierarchical_select resolution). Asset tags, barcodes and QR codes are generated
+ *       per row. Columns are matched to form fields by label unless `mapping` says otherwise.
+ *       Runs in the background; poll the returned status_path for progress.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               form_id:
+ *                 type: integer
+ *                 description: Target form; defaults to the active form
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of column header to form field id or core column (category_id, asset_location, status, notes). Use null to skip a column.
+ *                 example: '{"Serial":12,"Category":"category_id","Comments":null}'
+ *               dry_run:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Only validate rows and report per-row errors
+ *     responses:
+ *       202:
+ *         description: Import job queued
+ *       400:
+ *         description: Invalid file, form or mapping
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Missing assets create permission
+ */
+router.post(
+  '/import',
+  authMiddleware.authenticate,
+  requirePermission('assets', 'create'),
+  assetImportsController.uploadImportFile,
+  assetImportsController.createImport,
+);
+
+/**
+ * @swagger
+ * /api/assets/import/{jobId}:
+ *   get:
+ *     summary: Get asset import job progress, per-row errors and results
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Import job retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Asset import job retrieved successfully
+ *               data:
+ *                 job_id: 4
+ *                 status: "completed"
+ *                 dry_run: true
+ *                 progress: 100
+ *                 total_rows: 3
+ *                 processed_rows: 3
+ *                 success_count: 2
+ *                 error_count: 1
+ *                 row_errors:
+ *                   - row: 3
+ *                     errors:
+ *                       - field_id: 7
+ *                         field: "Serial Number"
+ *                         message: "Serial Number is required"
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/import/:jobId', authMiddleware.authenticate, requireApiKeyPermission('assets', 'create'), assetImportsController.getImport);
+
+/**
+ * @swagger
+ * /api/assets/import/{jobId}/confirm:
+ *   post:
+ *     summary: Run a completed dry run for real
+ *     description: Creates a new import job from the dry run's file and resolved column mapping. Rows that still fail validation are skipped and reported.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Import job queued
+ *       404:
+ *         description: Import job not found
+ *       409:
+ *         description: Job is not a completed dry run
+ */
+router.post(
+  '/import/:jobId/confirm',
+  authMiddleware.authenticate,
+  requirePermission('assets', 'create'),
+  assetImportsController.confirmImport,
+);
+
+/**
+ * @swagger
+ * /api/assets/reimport:
+ *   post:
+ *     summary: Preview changes from an edited Excel export
+ *     description: |
+ *       Upload a workbook produced by GET /api/assets/export/excel after editing it.
+ *       Rows are matched to assets by Asset ID (falling back to Asset Tag) and the Notes
+ *       and form field columns are compared with the current values. Nothing is written;
+ *       the preview lists changed rows, rows that failed validation, unknown assets and
+ *       conflicts (assets updated after the workbook's Updated At). Poll status_path, then
+ *       confirm to apply.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       202:
+ *         description: Re-import preview queued
+ *       400:
+ *         description: Invalid file
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Missing assets update permission
+ */
+router.post(
+  '/reimport',
+  authMiddleware.authenticate,
+  requirePermission('assets', 'update'),
+  assetImportsController.uploadImportFile,
+  assetImportsController.createReimport,
+);
+
+/**
+ * @swagger
+ * /api/assets/reimport/{jobId}:
+ *   get:
+ *     summary: Get a re-import preview or commit job
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Re-import job retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Asset re-import job retrieved successfully
+ *               data:
+ *                 job_id: 9
+ *                 job_type: "asset_reimport"
+ *                 status: "completed"
+ *                 dry_run: true
+ *                 result:
+ *                   summary:
+ *                     changed: 1
+ *                     unchanged: 40
+ *                     conflict: 1
+ *                     not_found: 0
+ *                     error: 0
+ *                   rows:
+ *                     - sheet: "Laptops"
+ *                       row: 5
+ *                       asset_id: 31
+ *                       asset_tag: "LAP-0031"
+ *                       status: "conflict"
+ *                       conflict_reason: "Asset was updated after this workbook was exported"
+ *                       exported_at: "2026-05-01T09:00:00.000Z"
+ *                       last_changed_at: "2026-05-03T14:12:00.000Z"
+ *                       changes:
+ *                         - column: "Location"
+ *                           field_id: 7
+ *                           field: "Location"
+ *                           old_value: "HQ"
+ *                           new_value: "Branch 2"
+ *       404:
+ *         description: Re-import job not found
+ */
+router.get('/reimport/:jobId', authMiddleware.authenticate, requireApiKeyPermission('assets', 'update'), assetImportsController.getReimport);
 
-router.get('/export', authMiddleware.authenticate, assetsController.exportAssets);
-router.get('/export/excel', authMiddleware.authenticate, assetsController.exportAssetsExcel);
-router.get('/export/images', authMiddleware.authenticate, assetsController.exportAssetImages);
-router.post('/export/images', authMiddleware.authenticate, assetsController.exportAssetImages);
-router.get('/export/images/:jobId', authMiddleware.authenticate, assetsController.getAssetImageExportJob);
+/**
+ * @swagger
+ * /api/assets/reimport/{jobId}/confirm:
+ *   post:
+ *     summary: Apply the changes of a completed re-import preview
+ *     description: |
+ *       Applies rows previewed as changed. Conflicting rows are skipped unless
+ *       apply_conflicts is true. Every applied change is recorded in the asset history
+ *       with action "reimport".
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               apply_conflicts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also overwrite assets that changed after the export
+ *     responses:
+ *       202:
+ *         description: Re-import commit job queued
+ *       404:
+ *         description: Re-import job not found
+ *       409:
+ *         description: Job is not a completed preview
+ */
+router.post(
+  '/reimport/:jobId/confirm',
+  authMiddleware.authenticate,
+  requirePermission('assets', 'update'),
+  assetImportsController.confirmReimport,
+);
+
+/**
+ * @swagger
+ * /api/assets/warranties/expiring:
+ *   get:
+ *     summary: List assets whose warranty is expiring
+ *     description: |
+ *       Assets that are not disposed whose warranty ends between today and `days` days from
+ *       now, soonest first. The end date is the asset's warranty_end_date, else
+ *       warranty_start_date (or purchase_date) plus the category's default_warranty_months.
+ *       IT managers are also notified in-app about these assets by a daily batch
+ *       (WARRANTY_ALERT_DAYS ahead).
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Expiring warranties retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Expiring warranties retrieved successfully
+ *               data:
+ *                 - asset_id: 12
+ *                   asset_tag: "HQ-LAPTOP-012"
+ *                   status: "assigned"
+ *                   warranty_start_date: null
+ *                   warranty_end_date: null
+ *                   purchase_date: "2025-11-01"
+ *                   warranty_provider: "Dell ProSupport"
+ *                   warranty_reference: "CN-448120"
+ *                   warranty_contact: "support@dell.example"
+ *                   warranty_expires_on: "2026-11-01"
+ *                   warranty_days_remaining: 14
+ *                   category:
+ *                     category_id: 1
+ *                     name: "Laptops"
+ *                     default_warranty_months: 12
+ *               pagination:
+ *                 currentPage: 1
+ *                 totalPages: 1
+ *                 totalItems: 1
+ *                 itemsPerPage: 25
+ *                 hasNextPage: false
+ *                 hasPrevPage: false
+ *               days: 30
+ *       400:
+ *         description: Invalid days
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Missing asset list permission
+ */
+router.get(
+  '/warranties/expiring',
+  authMiddleware.authenticate,
+  requirePermission('assets', 'list'),
+  assetsController.listExpiringWarranties,
+);
+
+/**
+ * @swagger
+ * /api/assets/reports/fixed-asset-register:
+ *   get:
+ *     summary: Period-end fixed-asset register
+ *     description: |
+ *       Opening book value, additions, depreciation, disposals and closing book value
+ *       of every asset with a purchase cost and purchase date, totalled by category and
+ *       by department (of the assigned user, else of the creator). For each row
+ *       opening + additions - depreciation - disposals = closing. Depreciation uses a
+ *       full-month convention: the purchase month is charged, the disposal month is not.
+ *       With format=xlsx the register is written to an Excel file and a download URL is returned.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period_start
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to January 1st of the period_end year
+ *       - in: query
+ *         name: period_end
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, xlsx]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Fixed-asset register retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Fixed-asset register retrieved successfully
+ *               data:
+ *                 period_start: "2026-01-01"
+ *                 period_end: "2026-12-31"
+ *                 totals:
+ *                   asset_count: 1
+ *                   opening_value: 741.67
+ *                   additions: 0
+ *                   depreciation: 250
+ *                   disposals: 0
+ *                   closing_value: 491.67
+ *                 by_category:
+ *                   - category_id: 1
+ *                     category_name: "Laptops"
+ *                     asset_count: 1
+ *                     opening_value: 741.67
+ *                     additions: 0
+ *                     depreciation: 250
+ *                     disposals: 0
+ *                     closing_value: 491.67
+ *                 by_department:
+ *                   - department_id: 2
+ *                     department_name: "Finance"
+ *                     asset_count: 1
+ *                     opening_value: 741.67
+ *                     additions: 0
+ *                     depreciation: 250
+ *                     disposals: 0
+ *                     closing_value: 491.67
+ *                 assets:
+ *                   - asset_id: 1
+ *                     asset_tag: "HQ-LAPTOP-001"
+ *                     category_name: "Laptops"
+ *                     department_name: "Finance"
+ *                     purchase_date: "2024-03-15"
+ *                     purchase_cost: 1200
+ *                     depreciation_method: "straight_line"
+ *                     depreciation_rate: 25
+ *                     opening_value: 741.67
+ *                     additions: 0
+ *                     depreciation: 250
+ *                     disposals: 0
+ *                     closing_value: 491.67
+ *       400:
+ *         description: Invalid period or format
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Missing asset list permission
+ */
+router.get(
+  '/reports/fixed-asset-register',
+  authMiddleware.authenticate,
+  requirePermission('assets', 'list'),
+  assetsController.getFixedAssetRegister,
+);
 
 /**
  * @swagger
  * /api/assets/{id}:
  *   get:
  *     summary: Get single asset by ID
+ *     description: The response includes `licenses`, the software license seats assigned to the asset.
  *     tags: [Assets]
  *     security:
  *       - bearerAuth: []
@@ -520,7 +1011,7 @@ router.get('/export/images/:jobId', authMiddleware.authenticate, assetsControlle
  *                 status: "available"
  *                 assigned_to: null
  *                 purchase_date: "2023-01-15"
- *                 purchase_price: 1200.00
+ *                 purchase_cost: 1200.00
  *                 location: "Office Building A"
  *       401:
  *         description: Unauthorized - Invalid or missing token
@@ -541,7 +1032,278 @@ router.get('/export/images/:jobId', authMiddleware.authenticate, assetsControlle
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', authMiddleware.authenticate, assetsController.getById);
+router.get('/:id', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetsController.getById);
+
+/**
+ * @swagger
+ * /api/assets/{id}/history:
+ *   get:
+ *     summary: Get field-level change history for an asset
+ *     description: Append-only audit trail of core column and form value changes, newest first.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Asset ID
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Comma-separated core column names, form field labels or form field ids
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include changes made on or after this date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include changes made on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Asset history retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Asset history retrieved successfully
+ *               data:
+ *                 - asset_history_id: 12
+ *                   asset_id: 1
+ *                   action: "update"
+ *                   field_source: "form"
+ *                   field_name: "Serial Number"
+ *                   form_field_id: 7
+ *                   old_value: "SN-1001"
+ *                   new_value: "SN-1002"
+ *                   changed_by: 3
+ *                   request_id: "5f0c3a2e-7d4b-4f8e-9a61-2b1c0d9e8f7a"
+ *                   created_at: "2026-05-01T10:15:00.000Z"
+ *                   actor:
+ *                     user_id: 3
+ *                     full_name: "Jane Doe"
+ *                     email: "jane@example.com"
+ *               pagination:
+ *                 currentPage: 1
+ *                 totalPages: 1
+ *                 totalItems: 1
+ *                 itemsPerPage: 50
+ *                 hasNextPage: false
+ *                 hasPrevPage: false
+ *       400:
+ *         description: Invalid date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Asset not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/history', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetsController.getHistory);
+
+/**
+ * @swagger
+ * /api/assets/{id}/components:
+ *   get:
+ *     summary: Get the component tree of an asset
+ *     description: |
+ *       The asset with its nested components (assets installed in it, at any depth) and
+ *       its chain of parents, nearest first.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Asset components retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Asset components retrieved successfully
+ *               data:
+ *                 asset_id: 10
+ *                 asset_tag: "HQ-SRV-010"
+ *                 status: "assigned"
+ *                 parent_asset_id: null
+ *                 category:
+ *                   category_id: 4
+ *                   name: "Servers"
+ *                 ancestors: []
+ *                 component_count: 2
+ *                 components:
+ *                   - asset_id: 11
+ *                     asset_tag: "HQ-SSD-011"
+ *                     status: "assigned"
+ *                     parent_asset_id: 10
+ *                     components:
+ *                       - asset_id: 12
+ *                         asset_tag: "HQ-FW-012"
+ *                         status: "assigned"
+ *                         parent_asset_id: 11
+ *                         components: []
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Asset not found
+ *   post:
+ *     summary: Attach a component to an asset
+ *     description: |
+ *       Installs another asset in this one. A component that is installed elsewhere is moved
+ *       (swapped). The change is recorded in the history of the component and of both parents.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [child_asset_id]
+ *             properties:
+ *               child_asset_id:
+ *                 type: integer
+ *                 example: 11
+ *     responses:
+ *       200:
+ *         description: Component attached successfully
+ *       400:
+ *         description: child_asset_id missing, or the asset is the parent itself
+ *       404:
+ *         description: Asset or component not found
+ *       409:
+ *         description: The parent is one of the component's own components
+ */
+router.get('/:id/components', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetsController.getComponents);
+router.post('/:id/components', authMiddleware.authenticate, requirePermission('assets', 'update'), assetsController.attachComponent);
+
+/**
+ * @swagger
+ * /api/assets/{id}/components/{childId}:
+ *   delete:
+ *     summary: Detach a component from an asset
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Component detached successfully
+ *       404:
+ *         description: Asset not found, or the asset is not a component of this parent
+ */
+router.delete('/:id/components/:childId', authMiddleware.authenticate, requirePermission('assets', 'update'), assetsController.detachComponent);
+
+/**
+ * @swagger
+ * /api/assets/{id}/depreciation:
+ *   get:
+ *     summary: Get the depreciation schedule of an asset
+ *     description: |
+ *       Yearly schedule computed from the asset's purchase cost, purchase date and salvage
+ *       value and its category's annual depreciation rate. The method is the asset's
+ *       depreciation_method, else the category's. straight_line charges rate% of
+ *       (cost - salvage) per year; declining_balance charges rate% of each year's opening
+ *       book value. Assets without a purchase cost or date are returned with depreciable=false.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Asset depreciation retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Asset depreciation retrieved successfully
+ *               data:
+ *                 asset_id: 1
+ *                 asset_tag: "HQ-LAPTOP-001"
+ *                 category:
+ *                   category_id: 1
+ *                   name: "Laptops"
+ *                 purchase_cost: "1200.00"
+ *                 purchase_date: "2024-03-15"
+ *                 salvage_value: "200.00"
+ *                 disposal_date: null
+ *                 depreciation_method: "straight_line"
+ *                 depreciation_rate: 25
+ *                 depreciable: true
+ *                 reason: null
+ *                 current:
+ *                   accumulated_depreciation: 666.66
+ *                   book_value: 533.34
+ *                 schedule:
+ *                   - year: 2024
+ *                     period_start: "2024-03-01"
+ *                     period_end: "2024-12-31"
+ *                     months: 10
+ *                     opening_value: 1200
+ *                     depreciation: 208.33
+ *                     accumulated_depreciation: 208.33
+ *                     closing_value: 991.67
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Asset not found
+ */
+router.get('/:id/depreciation', authMiddleware.authenticate, requireApiKeyPermission('assets', 'get_by_id'), assetsController.getDepreciation);
 
 /**
  * @swagger
@@ -557,7 +1319,7 @@ router.get('/:id', authMiddleware.authenticate, assetsController.getById);
  *         application/json:
  *           schema:
  *             type: object
- *             required: [asset_tag, name, category_id, purchase_date, purchase_price]
+ *             required: [asset_tag, name, category_id, purchase_date, purchase_cost]
  *             properties:
  *               asset_tag:
  *                 type: string
@@ -583,7 +1345,7 @@ router.get('/:id', authMiddleware.authenticate, assetsController.getById);
  *                 type: string
  *                 format: date
  *                 example: "2023-01-15"
- *               purchase_price:
+ *               purchase_cost:
  *                 type: number
  *                 format: float
  *                 example: 1200.00
@@ -597,7 +1359,7 @@ router.get('/:id', authMiddleware.authenticate, assetsController.getById);
  *             category_id: 1
  *             status: "available"
  *             purchase_date: "2023-01-15"
- *             purchase_price: 1200.00
+ *             purchase_cost: 1200.00
  *             location: "Office Building A, Floor 2"
  *     responses:
  *       201:
@@ -623,7 +1385,7 @@ router.get('/:id', authMiddleware.authenticate, assetsController.getById);
  *                 status: "available"
  *                 assigned_to: null
  *                 purchase_date: "2023-01-15"
- *                 purchase_price: 1200.00
+ *                 purchase_cost: 1200.00
  *                 location: "Office Building A, Floor 2"
  *       400:
  *         description: Validation failed
@@ -644,7 +1406,7 @@ router.get('/:id', authMiddleware.authenticate, assetsController.getById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', authMiddleware.authenticate, assetsController.create);
+router.post('/', authMiddleware.authenticate, requireApiKeyPermission('assets', 'create'), assetsController.create);
 
 /**
  * @swagger
@@ -691,7 +1453,7 @@ router.post('/', authMiddleware.authenticate, assetsController.create);
  *                 type: string
  *                 format: date
  *                 example: "2023-01-15"
- *               purchase_price:
+ *               purchase_cost:
  *                 type: number
  *                 format: float
  *                 example: 1200.00
@@ -728,7 +1490,7 @@ router.post('/', authMiddleware.authenticate, assetsController.create);
  *                 status: "assigned"
  *                 assigned_to: 1
  *                 purchase_date: "2023-01-15"
- *                 purchase_price: 1200.00
+ *                 purchase_cost: 1200.00
  *                 location: "Office Building B, Floor 3"
  *       400:
  *         description: Validation failed
@@ -755,13 +1517,17 @@ router.post('/', authMiddleware.authenticate, assetsController.create);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id', authMiddleware.authenticate, assetsController.update);
+router.patch('/:id', authMiddleware.authenticate, requireApiKeyPermission('assets', 'update'), assetsController.update);
 
 /**
  * @swagger
  * /api/assets/{id}:
  *   delete:
- *     summary: Delete asset
+ *     summary: Move asset to the trash
+ *     description: |
+ *       The asset and its transactions, maintenance schedules/logs and documents are
+ *       soft deleted and can be restored with POST /api/trash/assets/{id}/restore until
+ *       the purge batch removes them. The asset tag stays reserved until then.
  *     tags: [Assets]
  *     security:
  *       - bearerAuth: []
@@ -774,14 +1540,14 @@ router.patch('/:id', authMiddleware.authenticate, assetsController.update);
  *         description: Asset ID
  *     responses:
  *       200:
- *         description: Asset deleted successfully
+ *         description: Asset moved to trash successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
  *             example:
  *               success: true
- *               message: "Asset deleted successfully"
+ *               message: "Asset moved to trash successfully"
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -801,7 +1567,7 @@ router.patch('/:id', authMiddleware.authenticate, assetsController.update);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', authMiddleware.authenticate, assetsController.remove);
+router.delete('/:id', authMiddleware.authenticate, requireApiKeyPermission('assets', 'delete'), assetsController.remove);
 
 /**
  * @swagger
@@ -836,6 +1602,9 @@ router.delete('/:id', authMiddleware.authenticate, assetsController.remove);
  *               notes:
  *                 type: string
  *                 example: "Asset sent for maintenance"
+ *               cascade_components:
+ *                 type: boolean
+ *                 description: When retiring or disposing, give every component of the asset the same status and assignee
  *           example:
  *             status: "maintenance"
  *             notes: "Asset sent for maintenance"
@@ -863,7 +1632,7 @@ router.delete('/:id', authMiddleware.authenticate, assetsController.remove);
  *                 status: "maintenance"
  *                 assigned_to: null
  *                 purchase_date: "2023-01-15"
- *                 purchase_price: 1200.00
+ *                 purchase_cost: 1200.00
  *                 location: "Office Building A, Floor 2"
  *       400:
  *         description: Validation failed
@@ -883,6 +1652,17 @@ router.delete('/:id', authMiddleware.authenticate, assetsController.remove);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The asset category class lifecycle does not allow this status change
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: 'Cannot change asset status from "disposed" to "available". No status changes are allowed from "disposed"'
+ *               error: INVALID_STATUS_TRANSITION
+ *               current_status: disposed
+ *               requested_status: available
+ *               allowed_statuses: []
  *       500:
  *         description: Internal server error
  *         content:
@@ -890,7 +1670,7 @@ router.delete('/:id', authMiddleware.authenticate, assetsController.remove);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/status', authMiddleware.authenticate, assetsController.changeStatus);
+router.patch('/:id/status', authMiddleware.authenticate, requireApiKeyPermission('assets', 'change_status'), assetsController.changeStatus);
 router.patch('/:id/approval-status', authMiddleware.authenticate, requirePermission('assets', 'update'), assetsController.changeApprovalStatus);
 
 module.exports = router;
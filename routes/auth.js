@@ -93,7 +93,10 @@ router.post('/register', authLimiter, authController.register);
  *             password: "Parshav@123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. For users with two-factor authentication the
+ *           response only contains two_factor_required, challenge_token and
+ *           challenge_expires_in; complete the login at /api/auth/2fa/verify.
  *         content:
  *           application/json:
  *             schema:
@@ -109,6 +112,24 @@ router.post('/register', authLimiter, authController.register);
  *                         token:
  *                           type: string
  *                           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                         expires_in:
+ *                           type: string
+ *                           example: "15m"
+ *                         refresh_token:
+ *                           type: string
+ *                           description: Single-use token for /api/auth/refresh
+ *                         refresh_expires_at:
+ *                           type: string
+ *                           format: date-time
+ *                         session_id:
+ *                           type: integer
+ *                         two_factor_setup_required:
+ *                           type: boolean
+ *                           description: The user's role requires 2FA and it is not set up yet
+ *                         two_factor_required:
+ *                           type: boolean
+ *                         challenge_token:
+ *                           type: string
  *             example:
  *               success: true
  *               message: "Login successful"
@@ -123,6 +144,10 @@ router.post('/register', authLimiter, authController.register);
  *                   department_id: 1
  *                   is_active: true
  *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 expires_in: "15m"
+ *                 refresh_token: "q4vH2x0c..."
+ *                 refresh_expires_at: "2026-06-19T10:00:00.000Z"
+ *                 session_id: 12
  *       401:
  *         description: Invalid credentials or account not active
  *         content:
@@ -132,6 +157,12 @@ router.post('/register', authLimiter, authController.register);
  *             example:
  *               success: false
  *               message: "Invalid email or password"
+ *       423:
+ *         description: Account temporarily locked after too many failed logins
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Validation failed
  *         content:
@@ -149,22 +180,350 @@ router.post('/login', authLimiter, authController.login);
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/2fa/verify:
  *   post:
- *     summary: Logout user
+ *     summary: Complete a login with a two-factor code
+ *     description: |
+ *       Exchanges the challenge_token returned by /api/auth/login, together
+ *       with a code from the authenticator app or an unused recovery code,
+ *       for the same tokens a login without 2FA returns.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 example: "3f9a1-0c7d2"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid code, or the challenge is invalid or has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/verify', authLimiter, authController.verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc:
+ *   get:
+ *     summary: Whether OpenID Connect single sign-on is available
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Single sign-on settings for the login page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         provider_name:
+ *                           type: string
+ *                           example: "Single sign-on"
+ */
+router.get('/oidc', authController.getOidcConfig);
+
+/**
+ * @swagger
+ * /api/auth/oidc/authorize:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: |
+ *       Returns the identity provider URL to send the user to. After signing in, the provider
+ *       redirects to OIDC_REDIRECT_URI (a page of the client app) with `code` and `state`, which
+ *       the client posts to /api/auth/oidc/callback.
+ *
+ *       Also sets the HttpOnly `oidc_binding` cookie, which ties the login to this browser;
+ *       the client must send cookies (credentials) on this call and on the callback.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         authorization_url:
+ *                           type: string
+ *                         state:
+ *                           type: string
+ *                           description: Valid for 10 minutes
+ *       404:
+ *         description: Single sign-on is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The identity provider is unreachable or misconfigured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/oidc/authorize', authLimiter, authController.startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   post:
+ *     summary: Complete a single sign-on login
+ *     description: |
+ *       Exchanges the code for tokens at the identity provider and logs the user in, creating
+ *       the account on first login. The role comes from OIDC_ROLE_MAPPING and the department
+ *       from the OIDC_DEPARTMENT_CLAIM claim. Responds like /api/auth/login, including the
+ *       two-factor challenge for users with 2FA enabled.
+ *
+ *       Requires the `oidc_binding` cookie set by /api/auth/oidc/authorize in the same browser,
+ *       and clears it. An existing account is only linked by email when the provider reports
+ *       the address as verified (`email_verified`).
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing code, or no email address from the provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or expired state, login started in another browser, rejected code, invalid ID token or inactive account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: No account for this identity and provisioning is disabled, unverified email for an existing account, or the account is linked to another identity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The identity provider is unreachable or misconfigured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/oidc/callback', authLimiter, authController.completeOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor authentication status
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Two-factor status
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Success'
- *             example:
- *               success: true
- *               message: "Logout successful"
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         required:
+ *                           type: boolean
+ *                           description: The user's role must use 2FA
+ *                         enabled_at:
+ *                           type: string
+ *                           format: date-time
+ *                         recovery_codes_remaining:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/2fa', authMiddleware.authenticateAccountSetup, authController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: |
+ *       Generates a new TOTP secret. Add it to an authenticator app (scan
+ *       qr_code or enter secret), then confirm with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           description: Base32 secret for manual entry
+ *                         otpauth_url:
+ *                           type: string
+ *                         qr_code:
+ *                           type: string
+ *                           description: PNG data URL of the otpauth_url QR code
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/setup', authMiddleware.authenticateAccountSetup, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         recovery_codes:
+ *                           type: array
+ *                           description: One-time recovery codes, only shown in this response
+ *                           items:
+ *                             type: string
+ *                             example: "3f9a1-0c7d2"
+ *       400:
+ *         description: Invalid code, setup not started, or already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -178,7 +537,461 @@ router.post('/login', authLimiter, authController.login);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', authMiddleware.authenticate, authController.logout);
+router.post('/2fa/enable', authMiddleware.authenticateAccountSetup, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the current user's recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         recovery_codes:
+ *                           type: array
+ *                           description: One-time recovery codes, only shown in this response
+ *                           items:
+ *                             type: string
+ *                             example: "3f9a1-0c7d2"
+ *       400:
+ *         description: Invalid code or two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/recovery-codes', authMiddleware.authenticate, authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Not allowed while the organization requires 2FA for the user's role.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Incorrect password or code, or two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/disable', authMiddleware.authenticate, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: |
+ *       The refresh token is rotated: the response contains a new refresh token
+ *       and the one sent can no longer be used. Sending an already rotated
+ *       refresh token revokes the whole session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                         expires_in:
+ *                           type: string
+ *                         refresh_token:
+ *                           type: string
+ *                         refresh_expires_at:
+ *                           type: string
+ *                           format: date-time
+ *                         session_id:
+ *                           type: integer
+ *       401:
+ *         description: Refresh token missing, invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', authLimiter, authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Emails a single-use reset link if an active account exists for the
+ *       address. The response is the same either way.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *           example:
+ *             email: "john.doe@company.com"
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', authLimiter, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: |
+ *       The token can only be used once and expires after
+ *       PASSWORD_RESET_TOKEN_MINUTES. All sessions of the user are revoked.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - new_password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation failed, or the token is invalid, used or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account is not active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', authLimiter, authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: Revokes the current session; its access and refresh tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *             example:
+ *               success: true
+ *               message: "Logout successful"
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', authMiddleware.authenticateAccountSetup, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from all sessions
+ *     description: Revokes every session of the current user, including this one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         revoked:
+ *                           type: integer
+ *                           description: Number of sessions revoked
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout-all', authMiddleware.authenticateAccountSetup, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           session_id:
+ *                             type: integer
+ *                           device:
+ *                             type: string
+ *                             example: "Chrome on Windows"
+ *                           user_agent:
+ *                             type: string
+ *                           ip_address:
+ *                             type: string
+ *                           last_used_at:
+ *                             type: string
+ *                             format: date-time
+ *                           expires_at:
+ *                             type: string
+ *                             format: date-time
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             description: Whether this is the session making the request
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sessions', authMiddleware.authenticate, authController.listSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions/:id', authMiddleware.authenticate, authController.revokeSession);
 
 /**
  * @swagger
@@ -230,7 +1043,7 @@ router.post('/logout', authMiddleware.authenticate, authController.logout);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/profile', authMiddleware.authenticate, authController.getProfile);
+router.get('/profile', authMiddleware.authenticateAccountSetup, authController.getProfile);
 
 /**
  * @swagger
@@ -321,6 +1134,9 @@ router.patch('/profile', authMiddleware.authenticate, authController.updateProfi
  * /api/auth/change-password:
  *   patch:
  *     summary: Change user password
+ *     description: |
+ *       All other sessions of the user are revoked. Also clears a password
+ *       change required by an administrator.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -371,6 +1187,6 @@ router.patch('/profile', authMiddleware.authenticate, authController.updateProfi
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/change-password', authMiddleware.authenticate, authController.changePassword);
+router.patch('/change-password', authMiddleware.authenticateAccountSetup, authController.changePassword);
 
 module.exports = router;
@@ -0,0 +1,395 @@
+const express = require('express')
+const router = express.Router()
+const consumablesController = require('../controllers/consumablesController')
+const authMiddleware = require('../middleware/authMiddleware')
+const { requirePermission } = require('../middleware/permissionMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Consumables
+ *   description: |
+ *     Stock-level inventory for items that are counted rather than tagged (toner, cables,
+ *     keyboards). Each consumable has a quantity on hand per location, or per room of a
+ *     location, changed through stock-in and stock-out movements. Issuing to users goes
+ *     through asset transactions with action issue_consumable. A stock at or below its
+ *     reorder level notifies admins and IT managers once, until it is restocked above it.
+ *     Uses the consumables permissions and the user's access scope on stock locations.
+ */
+
+/**
+ * @swagger
+ * /api/consumables:
+ *   get:
+ *     summary: List consumables with their stock per location
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name or SKU
+ *       - in: query
+ *         name: location_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: room_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: low_stock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Consumables retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Consumable'
+ *   post:
+ *     summary: Create a consumable
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Consumable'
+ *     responses:
+ *       201:
+ *         description: Consumable created successfully
+ *       400:
+ *         description: Invalid name, SKU or unit
+ *       409:
+ *         description: A consumable with this name or SKU already exists
+ */
+router.get('/', authMiddleware.authenticate, requirePermission('consumables', 'list'), consumablesController.list)
+router.post('/', authMiddleware.authenticate, requirePermission('consumables', 'create'), consumablesController.create)
+
+/**
+ * @swagger
+ * /api/consumables/low-stock:
+ *   get:
+ *     summary: Stocks at or below their reorder level
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low stock retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConsumableStock'
+ */
+router.get('/low-stock', authMiddleware.authenticate, requirePermission('consumables', 'list'), consumablesController.listLowStock)
+
+/**
+ * @swagger
+ * /api/consumables/{id}:
+ *   get:
+ *     summary: Get a consumable with its stock per location
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Consumable retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Consumable'
+ *       404:
+ *         description: Consumable not found
+ *   put:
+ *     summary: Update a consumable
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Consumable'
+ *     responses:
+ *       200:
+ *         description: Consumable updated successfully
+ *       404:
+ *         description: Consumable not found
+ *       409:
+ *         description: A consumable with this name or SKU already exists
+ *   delete:
+ *     summary: Delete a consumable without stock on hand
+ *     description: Deactivate a consumable (is_active false) to keep its movements instead.
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Consumable deleted successfully
+ *       404:
+ *         description: Consumable not found
+ *       409:
+ *         description: The consumable has stock on hand or open issue transactions
+ */
+router.get('/:id', authMiddleware.authenticate, requirePermission('consumables', 'get_by_id'), consumablesController.getById)
+router.put('/:id', authMiddleware.authenticate, requirePermission('consumables', 'update'), consumablesController.update)
+router.delete('/:id', authMiddleware.authenticate, requirePermission('consumables', 'delete'), consumablesController.remove)
+
+/**
+ * @swagger
+ * /api/consumables/{id}/reorder-level:
+ *   put:
+ *     summary: Set the reorder level at a location or room
+ *     description: Give room_id for stock held in a room, or location_id alone for the location as a whole.
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reorder_level]
+ *             properties:
+ *               location_id:
+ *                 type: integer
+ *               room_id:
+ *                 type: integer
+ *               reorder_level:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 5
+ *     responses:
+ *       200:
+ *         description: Reorder level updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ConsumableStock'
+ *       400:
+ *         description: Invalid reorder level, location or room
+ *       403:
+ *         description: The location is outside your access scope
+ *       404:
+ *         description: Consumable not found
+ */
+router.put('/:id/reorder-level', authMiddleware.authenticate, requirePermission('consumables', 'update'), consumablesController.setReorderLevel)
+
+/**
+ * @swagger
+ * /api/consumables/{id}/stock-in:
+ *   post:
+ *     summary: Receive stock at a location or room
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               location_id:
+ *                 type: integer
+ *               room_id:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 20
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock received successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ConsumableMovement'
+ *       400:
+ *         description: Invalid quantity, location or room
+ *       403:
+ *         description: The location is outside your access scope
+ *       404:
+ *         description: Consumable not found
+ */
+router.post('/:id/stock-in', authMiddleware.authenticate, requirePermission('consumables', 'update'), consumablesController.stockIn)
+
+/**
+ * @swagger
+ * /api/consumables/{id}/stock-out:
+ *   post:
+ *     summary: Take stock out of a location or room
+ *     description: For stock used up, broken or lost. Issue to users with an issue_consumable transaction instead.
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               location_id:
+ *                 type: integer
+ *               room_id:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock taken out successfully
+ *       400:
+ *         description: Invalid quantity, location or room
+ *       403:
+ *         description: The location is outside your access scope
+ *       404:
+ *         description: Consumable not found
+ *       409:
+ *         description: Not enough stock on hand
+ */
+router.post('/:id/stock-out', authMiddleware.authenticate, requirePermission('consumables', 'update'), consumablesController.stockOut)
+
+/**
+ * @swagger
+ * /api/consumables/{id}/movements:
+ *   get:
+ *     summary: Stock movements of a consumable, newest first
+ *     tags: [Consumables]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: movement_type
+ *         schema:
+ *           type: string
+ *           enum: [stock_in, stock_out, issue]
+ *       - in: query
+ *         name: consumable_stock_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Stock movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConsumableMovement'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid movement_type
+ *       404:
+ *         description: Consumable not found
+ */
+router.get('/:id/movements', authMiddleware.authenticate, requirePermission('consumables', 'get_by_id'), consumablesController.listMovements)
+
+module.exports = router
@@ -28,6 +28,24 @@ const authMiddleware = require('../middleware/authMiddleware');
  *         rejectedRequests:
  *           type: integer
  *           description: Number of rejected requests
+ *         totalLicenses:
+ *           type: integer
+ *           description: Active software licenses (IT manager and admin stats)
+ *         upcomingRenewals:
+ *           type: integer
+ *           description: Licenses expiring within LICENSE_ALERT_DAYS
+ *         expiredLicenses:
+ *           type: integer
+ *           description: Active licenses past their expiry date
+ *         overAllocatedLicenses:
+ *           type: integer
+ *           description: Licenses with more seats assigned than licensed
+ *         licenseSeatsTotal:
+ *           type: integer
+ *           description: Seats of licenses with a seat limit
+ *         licenseSeatsUsed:
+ *           type: integer
+ *           description: Seats assigned on licenses with a seat limit
  */
 
 /**
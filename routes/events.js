@@ -0,0 +1,57 @@
+const express = require("express");
+const router = express.Router();
+const eventsController = require("../controllers/eventsController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Live event stream
+ */
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Open a Server-Sent Events stream for the authenticated user
+ *     description: |
+ *       Keeps the connection open and pushes events as they happen:
+ *       - `ready`: sent once on connect, with the current `unreadCount`
+ *       - `notification`: a notification created for the user
+ *       - `transaction`: a transaction the user requested or receives was created or changed status
+ *         (admins and IT managers receive every transaction)
+ *       - `export_job`: progress, completion or failure of the user's image export jobs
+ *
+ *       EventSource cannot set headers, so the JWT may be passed as the `access_token`
+ *       query parameter instead of the Authorization header.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, when the Authorization header cannot be sent
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               event: ready
+ *               data: {"unreadCount":3}
+ *
+ *               event: export_job
+ *               data: {"export_job_id":7,"status":"processing","progress":40}
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/", authMiddleware.authenticateStream, eventsController.stream);
+
+module.exports = router;
@@ -11,10 +11,13 @@ const assetTransactionsRoutes = require("./assetTransactions");
 const organizationSettingsRoutes = require("./organizationSettings");
 const uploadsRoutes = require("./uploads");
 const permissionsRoutes = require("./permissions");
+const rolesRoutes = require("./roles");
+const apiKeysRoutes = require("./apiKeys");
 const dashboardRoutes = require("./dashboard");
 const maintenanceRoutes = require("./maintenance");
 const documentsRoutes = require("./documents");
 const notificationsRoutes = require("./notifications");
+const eventsRoutes = require("./events");
 const formBuilderRoutes = require("./formBuilder");
 const locationsRoutes = require("./locations");
 const assetCategoryClassesRoutes = require("./assetCategoryClasses");
@@ -22,6 +25,12 @@ const buildingsRoutes = require("./buildings");
 const floorsRoutes = require("./floors");
 const roomsRoutes = require("./rooms");
 const requestLogsRoutes = require("./requestLogs");
+const trashRoutes = require("./trash");
+const webhooksRoutes = require("./webhooks");
+const assetKitsRoutes = require("./assetKits");
+const assetRelationshipsRoutes = require("./assetRelationships");
+const consumablesRoutes = require("./consumables");
+const softwareLicensesRoutes = require("./softwareLicenses");
 const { apiLimiter } = require("../middleware/securityMiddleware");
 
 // Mount route modules
@@ -38,10 +47,13 @@ router.use(
 );
 router.use("/api/uploads", apiLimiter, uploadsRoutes);
 router.use("/api/permissions", apiLimiter, permissionsRoutes);
+router.use("/api/roles", apiLimiter, rolesRoutes);
+router.use("/api/api-keys", apiLimiter, apiKeysRoutes);
 router.use("/api/dashboard", apiLimiter, dashboardRoutes);
 router.use("/api/maintenance", apiLimiter, maintenanceRoutes);
 router.use("/api/documents", apiLimiter, documentsRoutes);
 router.use("/api/notifications", apiLimiter, notificationsRoutes);
+router.use("/api/events", apiLimiter, eventsRoutes);
 router.use("/api/forms", apiLimiter, formBuilderRoutes);
 router.use("/api/locations", apiLimiter, locationsRoutes);
 router.use("/api/asset-category-classes", apiLimiter, assetCategoryClassesRoutes);
@@ -49,5 +61,11 @@ router.use("/api/buildings", apiLimiter, buildingsRoutes);
 router.use("/api/floors", apiLimiter, floorsRoutes);
 router.use("/api/rooms", apiLimiter, roomsRoutes);
 router.use("/api/request-logs", apiLimiter, requestLogsRoutes);
+router.use("/api/trash", apiLimiter, trashRoutes);
+router.use("/api/webhooks", apiLimiter, webhooksRoutes);
+router.use("/api/kits", apiLimiter, assetKitsRoutes);
+router.use("/api/asset-relationships", apiLimiter, assetRelationshipsRoutes);
+router.use("/api/consumables", apiLimiter, consumablesRoutes);
+router.use("/api/licenses", apiLimiter, softwareLicensesRoutes);
 
 module.exports = router;
@@ -14,10 +14,32 @@ const authMiddleware = require("../middleware/authMiddleware");
  * @swagger
  * /api/notifications:
  *   get:
- *     summary: Get notifications (placeholder for future in-app notifications)
+ *     summary: Get the authenticated user's notifications, newest first
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only return notifications of this type (e.g. transaction_requested, maintenance_due)
  *     responses:
  *       200:
  *         description: Notifications retrieved successfully
@@ -34,9 +56,26 @@ const authMiddleware = require("../middleware/authMiddleware");
  *                         notifications:
  *                           type: array
  *                           items:
- *                             type: object
+ *                             $ref: '#/components/schemas/Notification'
  *                         unreadCount:
  *                           type: integer
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             currentPage:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *                             totalItems:
+ *                               type: integer
+ *                             itemsPerPage:
+ *                               type: integer
+ *                             hasNextPage:
+ *                               type: boolean
+ *                             hasPrevPage:
+ *                               type: boolean
+ *       400:
+ *         description: Invalid notification type
  *       401:
  *         description: Unauthorized
  *       500:
@@ -48,4 +87,142 @@ router.get(
   notificationsController.getNotifications
 );
 
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         unreadCount:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/unread-count",
+  authMiddleware.authenticate,
+  notificationsController.getUnreadCount
+);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         updated:
+ *                           type: integer
+ *                           description: Number of notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/read-all",
+  authMiddleware.authenticate,
+  notificationsController.markAllAsRead
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  "/:id/read",
+  authMiddleware.authenticate,
+  notificationsController.markAsRead
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete(
+  "/:id",
+  authMiddleware.authenticate,
+  notificationsController.deleteNotification
+);
+
 module.exports = router;
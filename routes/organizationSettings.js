@@ -255,6 +255,16 @@ router.post('/', authMiddleware.authenticate, organizationSettingsController.cre
  *               date_format:
  *                 type: string
  *                 example: "DD/MM/YYYY"
+ *               two_factor_required_roles:
+ *                 type: array
+ *                 description: |
+ *                   Names of roles (see /api/roles) that must use two-factor
+ *                   authentication. Users with these roles can only set up 2FA,
+ *                   change their password, view their profile and log out until
+ *                   2FA is enabled.
+ *                 items:
+ *                   type: string
+ *                 example: ["admin", "it_manager"]
  *           example:
  *             organization_name: "Acme Corporation Updated"
  *             organization_logo: "https://example.com/new-logo.png"
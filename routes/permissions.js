@@ -7,8 +7,10 @@ const { authenticate } = require('../middleware/authMiddleware');
  * @swagger
  * /api/permissions:
  *   get:
- *     summary: Get all permissions data
- *     description: Retrieves all permissions data including modules, permissions, and role-based permissions
+ *     summary: Get the permissions of every role
+ *     description: |
+ *       Permissions granted to each role in the roles table, keyed by role name and then
+ *       module. Roles are managed with /api/roles.
  *     tags: [Permissions]
  *     security:
  *       - bearerAuth: []
@@ -28,13 +30,16 @@ const { authenticate } = require('../middleware/authMiddleware');
  *                   example: Permissions data retrieved successfully
  *                 data:
  *                   type: object
- *                   properties:
- *                     modules:
- *                       type: object
- *                     permissions:
- *                       type: object
- *                     rolePermissions:
- *                       type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                   example:
+ *                     employee:
+ *                       assets: [list_own, get_by_id]
+ *                       profile: [list]
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       500:
@@ -0,0 +1,214 @@
+const express = require('express')
+const router = express.Router()
+const rolesController = require('../controllers/rolesController')
+const authMiddleware = require('../middleware/authMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: |
+ *     Roles and the permissions they grant (admin only). Each role grants a set of permissions
+ *     per module; `requirePermission` checks and `GET /api/permissions` use these roles. The
+ *     built-in roles (admin, it_manager, employee) can be edited but not deleted.
+ */
+
+router.use(authMiddleware.authenticate, authMiddleware.requireAdmin)
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin only
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, display_name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Lowercase letters, digits and underscores, starting with a letter
+ *                 example: auditor
+ *               display_name:
+ *                 type: string
+ *                 example: Auditor
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: object
+ *                 description: Permissions by module, from GET /api/roles/catalog
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 example:
+ *                   assets: [list, get_by_id]
+ *                   transactions: [list, get_by_id]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Invalid name, display name, module or permission
+ *       409:
+ *         description: A role with this name already exists
+ */
+router.get('/', rolesController.listRoles)
+router.post('/', rolesController.createRole)
+
+/**
+ * @swagger
+ * /api/roles/catalog:
+ *   get:
+ *     summary: Modules and permissions that can be granted
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalog retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [transactions, assets, users]
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [create, update, delete, list]
+ */
+router.get('/catalog', rolesController.getCatalog)
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Role'
+ *       404:
+ *         description: Role not found
+ *   put:
+ *     summary: Update a role
+ *     description: |
+ *       Changes the display name, description or permissions. `permissions` replaces the
+ *       granted permissions of every module; the name cannot be changed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               display_name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid display name, module or permission, or an attempt to rename
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role is still assigned to users
+ */
+router.get('/:id', rolesController.getRole)
+router.put('/:id', rolesController.updateRole)
+router.delete('/:id', rolesController.deleteRole)
+
+module.exports = router
@@ -0,0 +1,285 @@
+const express = require('express')
+const router = express.Router()
+const softwareLicensesController = require('../controllers/softwareLicensesController')
+const authMiddleware = require('../middleware/authMiddleware')
+const { requirePermission } = require('../middleware/permissionMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Software Licenses
+ *   description: |
+ *     Software licenses (per-seat, per-device, site, subscription) with expiry dates and
+ *     seat counts. Seats of per-seat licenses go to users, of per-device licenses to assets;
+ *     site and subscription seats can go to either. Licenses with more seats assigned than
+ *     licensed are flagged over_allocated, and licenses expiring within LICENSE_ALERT_DAYS
+ *     (default 30) are upcoming renewals. Uses the licenses permissions.
+ */
+
+/**
+ * @swagger
+ * /api/licenses:
+ *   get:
+ *     summary: List licenses with their seat usage and expiry status
+ *     description: Soonest expiry first. The license key is only returned by the detail endpoint.
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name or vendor
+ *       - in: query
+ *         name: license_type
+ *         schema:
+ *           type: string
+ *           enum: [per_seat, per_device, site, subscription]
+ *       - in: query
+ *         name: expiry_status
+ *         schema:
+ *           type: string
+ *           enum: [active, expiring, expired, none]
+ *       - in: query
+ *         name: over_allocated
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: Renewal window for expiry_status expiring (default LICENSE_ALERT_DAYS)
+ *     responses:
+ *       200:
+ *         description: Software licenses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SoftwareLicense'
+ *       400:
+ *         description: Invalid license_type, expiry_status or days
+ *   post:
+ *     summary: Create a license
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SoftwareLicense'
+ *     responses:
+ *       201:
+ *         description: Software license created successfully
+ *       400:
+ *         description: Invalid name, type, seat count or dates
+ */
+router.get('/', authMiddleware.authenticate, requirePermission('licenses', 'list'), softwareLicensesController.list)
+router.post('/', authMiddleware.authenticate, requirePermission('licenses', 'create'), softwareLicensesController.create)
+
+/**
+ * @swagger
+ * /api/licenses/renewals:
+ *   get:
+ *     summary: Licenses expiring within the renewal window
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: Window in days (default LICENSE_ALERT_DAYS, 30)
+ *     responses:
+ *       200:
+ *         description: License renewals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SoftwareLicense'
+ *                 days:
+ *                   type: integer
+ *       400:
+ *         description: Invalid days
+ */
+router.get('/renewals', authMiddleware.authenticate, requirePermission('licenses', 'list'), softwareLicensesController.listRenewals)
+
+/**
+ * @swagger
+ * /api/licenses/{id}:
+ *   get:
+ *     summary: Get a license with its key and seats
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Software license retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SoftwareLicense'
+ *       404:
+ *         description: Software license not found
+ *   put:
+ *     summary: Update a license
+ *     description: Lowering seat_count below the seats in use is allowed and flags the license over-allocated.
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SoftwareLicense'
+ *     responses:
+ *       200:
+ *         description: Software license updated successfully
+ *       400:
+ *         description: Invalid name, type, seat count or dates
+ *       404:
+ *         description: Software license not found
+ *       409:
+ *         description: The new type does not fit the seats assigned
+ *   delete:
+ *     summary: Delete a license and its seats
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Software license deleted successfully
+ *       404:
+ *         description: Software license not found
+ */
+router.get('/:id', authMiddleware.authenticate, requirePermission('licenses', 'get_by_id'), softwareLicensesController.getById)
+router.put('/:id', authMiddleware.authenticate, requirePermission('licenses', 'update'), softwareLicensesController.update)
+router.delete('/:id', authMiddleware.authenticate, requirePermission('licenses', 'delete'), softwareLicensesController.remove)
+
+/**
+ * @swagger
+ * /api/licenses/{id}/seats:
+ *   post:
+ *     summary: Assign a seat to a user or an asset
+ *     description: |
+ *       Give user_id or asset_id, depending on the license type. Assigning past the seat count
+ *       fails with 409 unless allow_over_allocation is true.
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               asset_id:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               allow_over_allocation:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: License seat assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SoftwareLicenseSeat'
+ *       400:
+ *         description: Neither or both of user_id and asset_id, or a holder the type does not allow
+ *       404:
+ *         description: License, user or asset not found
+ *       409:
+ *         description: Inactive or expired license, seat already held, or no seats left
+ */
+router.post('/:id/seats', authMiddleware.authenticate, requirePermission('licenses', 'update'), softwareLicensesController.assignSeat)
+
+/**
+ * @swagger
+ * /api/licenses/{id}/seats/{seatId}:
+ *   delete:
+ *     summary: Release a seat
+ *     tags: [Software Licenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: seatId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: License seat released successfully
+ *       404:
+ *         description: License seat not found
+ */
+router.delete('/:id/seats/:seatId', authMiddleware.authenticate, requirePermission('licenses', 'update'), softwareLicensesController.releaseSeat)
+
+module.exports = router
@@ -0,0 +1,117 @@
+const express = require('express')
+const router = express.Router()
+const trashController = require('../controllers/trashController')
+const authMiddleware = require('../middleware/authMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Restore soft-deleted assets, transactions, maintenance records and documents
+ */
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List trashed items
+ *     description: |
+ *       Items are listed newest first. Only types the user may delete are included.
+ *       purge_after is when the purge batch will permanently remove the item
+ *       (TRASH_RETENTION_DAYS after it was trashed).
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated types (assets, transactions, maintenance_schedules, maintenance_logs, documents)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Trash retrieved successfully
+ *               data:
+ *                 data:
+ *                   - type: "assets"
+ *                     id: 42
+ *                     asset_id: 42
+ *                     label: "HQ-LAPTOP-042"
+ *                     deleted_at: "2026-05-10T08:00:00.000Z"
+ *                     purge_after: "2026-06-09T08:00:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 25
+ *                   hasNextPage: false
+ *                   hasPrevPage: false
+ *                 retention_days: 30
+ *       400:
+ *         description: Invalid type
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Not allowed to delete any requested type
+ */
+router.get('/', authMiddleware.authenticate, trashController.listTrash)
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed item
+ *     description: |
+ *       Restoring an asset also restores the transactions, maintenance records and
+ *       documents that were trashed with it. Other items can only be restored while
+ *       their asset is not in the trash.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [assets, transactions, maintenance_schedules, maintenance_logs, documents]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *       400:
+ *         description: Invalid type or id
+ *       403:
+ *         description: Forbidden - Missing delete permission for this type
+ *       404:
+ *         description: Item not found in trash
+ *       409:
+ *         description: The item's asset is in the trash
+ */
+router.post(
+  '/:type/:id/restore',
+  authMiddleware.authenticate,
+  trashController.restoreItem,
+)
+
+module.exports = router
@@ -43,8 +43,7 @@ const authMiddleware = require('../middleware/authMiddleware');
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, manager, employee]
- *         description: Filter by user role
+ *         description: Filter by role name (see /api/roles)
  *       - in: query
  *         name: is_active
  *         schema:
@@ -120,6 +119,7 @@ router.get('/', authMiddleware.authenticate, usersController.list);
  * /api/users/{id}:
  *   get:
  *     summary: Get single user by ID
+ *     description: Includes the account's lockout state under lockout.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -141,7 +141,12 @@ router.get('/', authMiddleware.authenticate, usersController.list);
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/User'
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/User'
+ *                         - type: object
+ *                           properties:
+ *                             lockout:
+ *                               $ref: '#/components/schemas/UserLockout'
  *             example:
  *               success: true
  *               data:
@@ -155,6 +160,10 @@ router.get('/', authMiddleware.authenticate, usersController.list);
  *                 is_active: true
  *                 created_at: "2023-01-01T00:00:00.000Z"
  *                 updated_at: "2023-01-01T00:00:00.000Z"
+ *                 lockout:
+ *                   locked: false
+ *                   locked_until: null
+ *                   failed_login_count: 0
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -214,7 +223,7 @@ router.get('/:id', authMiddleware.authenticate, usersController.getById);
  *                 example: 1
  *               role:
  *                 type: string
- *                 enum: [admin, manager, employee]
+ *                 description: Name of a role (see /api/roles)
  *                 default: employee
  *                 example: "employee"
  *               is_active:
@@ -317,8 +326,8 @@ router.post('/', authMiddleware.authenticate, usersController.create);
  *                 example: 1
  *               role:
  *                 type: string
- *                 enum: [admin, manager, employee]
- *                 example: "manager"
+ *                 description: Name of a role (see /api/roles)
+ *                 example: "it_manager"
  *               is_active:
  *                 type: boolean
  *                 example: true
@@ -373,6 +382,12 @@ router.post('/', authMiddleware.authenticate, usersController.create);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Status set to terminated while the user still holds assets; complete their offboarding instead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -513,4 +528,734 @@ router.delete('/:id', authMiddleware.authenticate, usersController.remove);
  */
 router.patch('/:id/status', authMiddleware.authenticate, usersController.changeStatus);
 
+/**
+ * @swagger
+ * /api/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a user to change their password at next login (admin only)
+ *     description: |
+ *       Revokes all of the user's sessions. After logging in again the user can
+ *       only change their password, view their profile and log out until the
+ *       password is changed. By default a password reset link is also emailed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               send_email:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Email the user a password reset link
+ *     responses:
+ *       200:
+ *         description: User must change their password at next login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user_id:
+ *                           type: integer
+ *                         must_change_password:
+ *                           type: boolean
+ *                         email_sent:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/force-password-reset', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.forcePasswordReset);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out after failed logins (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user_id:
+ *                           type: integer
+ *                         lockout:
+ *                           $ref: '#/components/schemas/UserLockout'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/unlock', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.unlock);
+
+/**
+ * @swagger
+ * /api/users/{id}/login-attempts:
+ *   get:
+ *     summary: List a user's login attempts, newest first (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, invalid_password, invalid_two_factor, unknown_user, account_inactive, account_locked]
+ *     responses:
+ *       200:
+ *         description: Login attempts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           login_attempt_id:
+ *                             type: integer
+ *                           user_id:
+ *                             type: integer
+ *                           email:
+ *                             type: string
+ *                           outcome:
+ *                             type: string
+ *                           ip_address:
+ *                             type: string
+ *                           user_agent:
+ *                             type: string
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/login-attempts', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.listLoginAttempts);
+
+/**
+ * @swagger
+ * /api/users/{id}/access-scopes:
+ *   get:
+ *     summary: Get a user's access scope rules (admin only)
+ *     description: |
+ *       A user with access scope rules only sees and acts on assets, and their transactions,
+ *       whose department, location or building matches at least one rule. Users without rules
+ *       and admins are not restricted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Access scopes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserAccessScope'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Replace a user's access scope rules (admin only)
+ *     description: An empty list removes the restriction.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scopes]
+ *             properties:
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [scope_type, target_id]
+ *                   properties:
+ *                     scope_type:
+ *                       type: string
+ *                       enum: [department, location, building]
+ *                     target_id:
+ *                       type: integer
+ *                       description: ID of the department, location or building
+ *           example:
+ *             scopes:
+ *               - scope_type: department
+ *                 target_id: 3
+ *               - scope_type: location
+ *                 target_id: 1
+ *     responses:
+ *       200:
+ *         description: Access scopes updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserAccessScope'
+ *       400:
+ *         description: Invalid scope type or unknown department, location or building
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/access-scopes', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.getAccessScopes);
+router.put('/:id/access-scopes', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.setAccessScopes);
+
+/**
+ * @swagger
+ * /api/users/directory-sync:
+ *   post:
+ *     summary: Sync users and departments from LDAP / Active Directory (admin only)
+ *     description: |
+ *       Creates and updates users (full name, email, employee ID, position, department) from
+ *       the directory configured with the LDAP_* settings, creates missing departments and
+ *       terminates users linked to the directory who left it or were disabled there. Those still
+ *       holding assets are deactivated and offboarded instead. The same sync runs nightly
+ *       (LDAP_SYNC_CRON). Runs as a dry run unless `dry_run` is false; the report lists every
+ *       change either way.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dry_run:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Directory sync report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DirectorySyncReport'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Directory sync is not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A directory sync is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: The directory could not be queried or returned no active users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/directory-sync', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.syncDirectory);
+
+/**
+ * @swagger
+ * /api/users/{id}/offboarding:
+ *   get:
+ *     summary: Get a user's latest offboarding (admin only)
+ *     description: |
+ *       Lists the assets the user held when the offboarding started, their return transactions
+ *       and whether each was returned or written off. Returns completed since the last read are
+ *       marked as returned.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Offboarding retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserOffboarding'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No offboarding found for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Start a user's offboarding (admin only)
+ *     description: |
+ *       Opens a high-priority return transaction for every asset assigned to the user. Calling it
+ *       again while the offboarding is in progress adds assets assigned since and opens new
+ *       returns for assets whose return was rejected or cancelled. Users holding assets can only
+ *       be terminated by completing their offboarding.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: Last working day 2026-06-30
+ *     responses:
+ *       200:
+ *         description: Offboarding started successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserOffboarding'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/offboarding', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.getOffboarding);
+router.post('/:id/offboarding', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.startOffboarding);
+
+/**
+ * @swagger
+ * /api/users/{id}/offboarding/items/{itemId}/write-off:
+ *   post:
+ *     summary: Write off an asset that will not be returned (admin only)
+ *     description: |
+ *       Unassigns the asset and moves it to `disposed`, recorded in the asset history, and cancels
+ *       its open return transaction. The reason is kept on the offboarding item.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Offboarding item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Reported lost, police report 4711
+ *     responses:
+ *       200:
+ *         description: Asset written off successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserOffboarding'
+ *       400:
+ *         description: Missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Offboarding item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The asset was already returned or written off, is assigned to another user, or its lifecycle does not allow disposing of it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/offboarding/items/:itemId/write-off', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.writeOffOffboardingItem);
+
+/**
+ * @swagger
+ * /api/users/{id}/offboarding/complete:
+ *   post:
+ *     summary: Complete a user's offboarding and terminate them (admin only)
+ *     description: |
+ *       Requires every asset to be returned (its return transaction completed) or written off.
+ *       The checklist is frozen and signed by the completing admin (HMAC-SHA256, see
+ *       `signature_valid`), the user is terminated and their sessions are revoked.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Offboarding completed and user terminated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserOffboarding'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No offboarding in progress for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Assets are still outstanding, or were assigned after the offboarding started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/offboarding/complete', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.completeOffboarding);
+
+/**
+ * @swagger
+ * /api/users/{id}/offboarding/cancel:
+ *   post:
+ *     summary: Cancel a user's offboarding (admin only)
+ *     description: Cancels return transactions nobody accepted yet; accepted returns go on as usual.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Offboarding cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Success'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserOffboarding'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No offboarding in progress for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/offboarding/cancel', authMiddleware.authenticate, authMiddleware.requireAdmin, usersController.cancelOffboarding);
+
 module.exports = router;
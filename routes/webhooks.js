@@ -0,0 +1,299 @@
+const express = require('express')
+const router = express.Router()
+const webhooksController = require('../controllers/webhooksController')
+const authMiddleware = require('../middleware/authMiddleware')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: |
+ *     Outbound webhooks for asset and transaction events (admin only).
+ *
+ *     Each delivery is a POST with a JSON body `{ id, event, created_at, data }` and the headers
+ *     `X-Webhook-Event`, `X-Webhook-Event-Id`, `X-Webhook-Id` (delivery id), `X-Webhook-Timestamp`
+ *     (unix seconds) and `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of
+ *     `<timestamp>.<raw body>` keyed with the webhook secret. Any 2xx response counts as delivered;
+ *     otherwise the delivery is retried with exponential backoff (WEBHOOK_RETRY_BASE_SECONDS,
+ *     doubled each time) up to WEBHOOK_MAX_ATTEMPTS attempts.
+ */
+
+router.use(authMiddleware.authenticate, authMiddleware.requireAdmin)
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully (secrets are never returned)
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin only
+ *   post:
+ *     summary: Create a webhook subscription
+ *     description: The secret (generated unless given) is only returned in this response.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, url, events]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Service desk
+ *               url:
+ *                 type: string
+ *                 example: https://helpdesk.example.com/hooks/assets
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: ['*', asset.created, asset.approved, asset.assigned, asset.returned, asset.disposed, transaction.created, transaction.status_changed]
+ *                 example: [asset.assigned, asset.returned]
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret; generated when omitted
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Webhook created successfully
+ *               data:
+ *                 webhook_id: 1
+ *                 name: Service desk
+ *                 url: https://helpdesk.example.com/hooks/assets
+ *                 events: [asset.assigned, asset.returned]
+ *                 is_active: true
+ *                 secret: whsec_3f0c9a1e5b7d2c4f6a8e0b1d3c5f7a9e1b3d5f7a9c1e3b5d
+ *                 secret_hint: "…3b5d"
+ *       400:
+ *         description: Invalid name, url or events
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin only
+ */
+router.get('/', webhooksController.listWebhooks)
+router.post('/', webhooksController.createWebhook)
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: List the events a webhook can subscribe to
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved successfully
+ */
+router.get('/events', webhooksController.listEvents)
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ *   put:
+ *     summary: Update a webhook subscription
+ *     description: |
+ *       Send `rotate_secret: true` to generate a new secret, returned once in the response.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *               rotate_secret:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       400:
+ *         description: Invalid name, url or events
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', webhooksController.getWebhook)
+router.put('/:id', webhooksController.updateWebhook)
+router.delete('/:id', webhooksController.deleteWebhook)
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Webhook deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Webhook deliveries retrieved successfully
+ *               data:
+ *                 data:
+ *                   - delivery_id: 42
+ *                     webhook_id: 1
+ *                     event_id: 9b2f3c4e-8a61-4d2b-b1f7-0c5e6a7d8e90
+ *                     event: asset.assigned
+ *                     status: pending
+ *                     attempts: 2
+ *                     max_attempts: 6
+ *                     response_status: 503
+ *                     error_message: Receiver responded with HTTP 503
+ *                     duration_ms: 184
+ *                     next_attempt_at: "2026-05-18T09:02:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalItems: 1
+ *                   itemsPerPage: 25
+ *                   hasNextPage: false
+ *                   hasPrevPage: false
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', webhooksController.listDeliveries)
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a webhook.test event now
+ *     description: |
+ *       Delivers a signed `webhook.test` event once, without retries, even when the webhook is
+ *       inactive, and returns the logged delivery with the receiver's response code.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Test event sent; data.status is succeeded or failed
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/test', webhooksController.sendTestEvent)
+
+module.exports = router
@@ -0,0 +1,375 @@
+'use strict'
+
+const { AsyncLocalStorage } = require('async_hooks')
+const { Op } = require('sequelize')
+const {
+  UserAccessScope,
+  Asset,
+  Department,
+  Location,
+  Building,
+  User,
+  sequelize,
+} = require('../models')
+const {
+  USER_ROLES,
+  ACCESS_SCOPE_TYPE,
+  ACCESS_SCOPE_TYPE_ARRAY,
+} = require('../utils/constants')
+
+const TARGET_MODELS = {
+  [ACCESS_SCOPE_TYPE.DEPARTMENT]: Department,
+  [ACCESS_SCOPE_TYPE.LOCATION]: Location,
+  [ACCESS_SCOPE_TYPE.BUILDING]: Building,
+}
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const toIdList = (ids) => ids.map((id) => parseInt(id, 10)).join(', ')
+
+// Access scope of the request being handled, set by authenticate
+const requestScope = new AsyncLocalStorage()
+
+/**
+ * Department, location and building scoping of asset and transaction access.
+ * A user with access scope rules only sees and acts on assets that match at
+ * least one rule; users without rules, and admins, are not restricted.
+ *
+ * A scope is resolved once per request by authenticate, which puts it on
+ * `req.accessScope` and runs the rest of the request with it. Services apply
+ * that scope unless they are given an `accessScope` of their own; null means
+ * unrestricted.
+ */
+class AccessScopeService {
+  /**
+   * Resolve a user's access scope.
+   * @param {Object} user - req.user
+   * @returns {Promise<{department_ids: Array<number>, location_ids: Array<number>, building_ids: Array<number>}|null>}
+   *   Null when the user is not restricted
+   */
+  async getScope(user) {
+    if (!user || user.role === USER_ROLES.ADMIN) {
+      return null
+    }
+
+    const rules = await UserAccessScope.findAll({
+      where: { user_id: user.user_id },
+      attributes: ['scope_type', 'target_id'],
+    })
+    if (!rules.length) {
+      return null
+    }
+
+    const idsOf = (type) =>
+      rules
+        .filter((rule) => rule.scope_type === type)
+        .map((rule) => rule.target_id)
+
+    const locationIds = idsOf(ACCESS_SCOPE_TYPE.LOCATION)
+    // A location covers its buildings, for assets recorded by building only
+    const locationBuildings = locationIds.length
+      ? await Building.findAll({
+          where: { location_id: { [Op.in]: locationIds } },
+          attributes: ['building_id'],
+        })
+      : []
+
+    return {
+      department_ids: idsOf(ACCESS_SCOPE_TYPE.DEPARTMENT),
+      location_ids: locationIds,
+      building_ids: [
+        ...new Set([
+          ...idsOf(ACCESS_SCOPE_TYPE.BUILDING),
+          ...locationBuildings.map((building) => building.building_id),
+        ]),
+      ],
+    }
+  }
+
+  /**
+   * Run a function, and everything it starts, with the access scope of the
+   * current request.
+   * @param {Object|null} scope - From getScope()
+   * @param {Function} fn
+   * @returns {*} What fn returns
+   */
+  runWithScope(scope, fn) {
+    return requestScope.run({ scope }, fn)
+  }
+
+  /**
+   * Access scope of the request being handled; null outside of a request
+   * (batches, startup) and for unrestricted users.
+   * @returns {Object|null}
+   */
+  currentScope() {
+    return requestScope.getStore()?.scope ?? null
+  }
+
+  /**
+   * Scope a service call applies: the `accessScope` it was given or, when it
+   * was given none, the scope of the current request. Pass null to act
+   * without a restriction.
+   * @param {Object|null|undefined} accessScope
+   * @returns {Object|null}
+   */
+  resolveScope(accessScope) {
+    return accessScope === undefined ? this.currentScope() : accessScope
+  }
+
+  /**
+   * Where clause on assets for a scope.
+   * @param {Object} scope - From getScope()
+   * @returns {Object}
+   */
+  buildAssetWhere(scope) {
+    const conditions = this._scopeColumns(scope).map(([field, ids]) => ({
+      [field]: { [Op.in]: ids },
+    }))
+
+    // A scope without any target matches nothing
+    return conditions.length ? { [Op.or]: conditions } : { asset_id: null }
+  }
+
+  /**
+   * Where clause on asset transactions for a scope: transactions of assets
+   * in the scope, and issue_consumable transactions taking from stock at a
+   * location or building in the scope.
+   * @param {Object} scope - From getScope()
+   * @returns {Object}
+   */
+  buildTransactionWhere(scope) {
+    const columns = this._scopeColumns(scope)
+    if (!columns.length) {
+      return { asset_id: null }
+    }
+
+    const where = [this.buildAssetRecordWhere(scope)]
+    // Stock has no department
+    const stockConditions = columns
+      .filter(([field]) => field !== 'department_id')
+      .map(([field, ids]) => `${field} IN (${toIdList(ids)})`)
+    if (stockConditions.length) {
+      where.push({
+        consumable_stock_id: {
+          [Op.in]: sequelize.literal(
+            `(SELECT consumable_stock_id FROM consumable_stocks WHERE ${stockConditions.join(' OR ')})`,
+          ),
+        },
+      })
+    }
+
+    return where.length === 1 ? where[0] : { [Op.or]: where }
+  }
+
+  /**
+   * Where clause on records of an asset (an asset_id column), such as
+   * maintenance logs and documents, for a scope. Trashed assets count too.
+   * @param {Object} scope - From getScope()
+   * @returns {Object}
+   */
+  buildAssetRecordWhere(scope) {
+    const conditions = this._scopeColumns(scope).map(
+      ([field, ids]) => `${field} IN (${toIdList(ids)})`,
+    )
+
+    if (!conditions.length) {
+      return { asset_id: null }
+    }
+
+    return {
+      asset_id: {
+        [Op.in]: sequelize.literal(
+          `(SELECT asset_id FROM assets WHERE ${conditions.join(' OR ')})`,
+        ),
+      },
+    }
+  }
+
+  /**
+   * Whether an asset's department, location or building is within a scope.
+   * @param {Object} asset - Asset or plain asset values
+   * @param {Object|null} scope - From getScope()
+   * @returns {boolean}
+   */
+  assetMatchesScope(asset, scope) {
+    if (!scope) {
+      return true
+    }
+    if (!asset) {
+      return false
+    }
+
+    return this._scopeColumns(scope).some(
+      ([field, ids]) => asset[field] != null && ids.includes(Number(asset[field])),
+    )
+  }
+
+  /**
+   * Throw a 403 error unless asset values are within a scope. Keeps scoped
+   * users from creating assets elsewhere or moving assets out of their scope.
+   * @param {Object} values - Asset values after the change
+   * @param {Object|null} scope - From getScope()
+   */
+  assertAssetInScope(values, scope) {
+    if (!this.assetMatchesScope(values, scope)) {
+      throw serviceError(
+        'The asset must belong to a department, location or building within your access scope',
+        403,
+      )
+    }
+  }
+
+  /**
+   * Whether the asset with this ID exists and is within a scope.
+   * @param {number} assetId
+   * @param {Object|null} [scope] - From getScope(); defaults to the scope of
+   *   the current request
+   * @returns {Promise<boolean>}
+   */
+  async isAssetInScope(assetId, scope) {
+    scope = this.resolveScope(scope)
+    const asset = await Asset.findByPk(assetId, {
+      attributes: ['asset_id', 'department_id', 'location_id', 'building_id'],
+    })
+    return Boolean(asset) && this.assetMatchesScope(asset, scope)
+  }
+
+  /**
+   * A user's access scope rules with the names of their targets.
+   * @param {number} userId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listForUser(userId) {
+    const rules = await UserAccessScope.findAll({
+      where: { user_id: userId },
+      order: [
+        ['scope_type', 'ASC'],
+        ['target_id', 'ASC'],
+      ],
+    })
+
+    const names = {}
+    await Promise.all(
+      ACCESS_SCOPE_TYPE_ARRAY.map(async (type) => {
+        const ids = rules
+          .filter((rule) => rule.scope_type === type)
+          .map((rule) => rule.target_id)
+        if (!ids.length) {
+          return
+        }
+        const Target = TARGET_MODELS[type]
+        const targets = await Target.findAll({
+          where: { [Target.primaryKeyAttribute]: { [Op.in]: ids } },
+          attributes: [Target.primaryKeyAttribute, 'name'],
+        })
+        targets.forEach((target) => {
+          names[`${type}:${target[Target.primaryKeyAttribute]}`] = target.name
+        })
+      }),
+    )
+
+    return rules.map((rule) => ({
+      access_scope_id: rule.access_scope_id,
+      scope_type: rule.scope_type,
+      target_id: rule.target_id,
+      target_name: names[`${rule.scope_type}:${rule.target_id}`] || null,
+    }))
+  }
+
+  /**
+   * Replace a user's access scope rules. An empty list removes the
+   * restriction.
+   * @param {number} userId
+   * @param {Array<{scope_type: string, target_id: number}>} rules
+   * @param {number} [createdBy] - Admin setting the rules
+   * @returns {Promise<Array<Object>|null>} The new rules, or null if the user
+   *   does not exist
+   */
+  async replaceForUser(userId, rules, createdBy = null) {
+    const user = await User.findByPk(userId, { attributes: ['user_id'] })
+    if (!user) {
+      return null
+    }
+
+    const normalized = await this._validateRules(rules)
+
+    await sequelize.transaction(async (transaction) => {
+      await UserAccessScope.destroy({ where: { user_id: userId }, transaction })
+      if (normalized.length) {
+        await UserAccessScope.bulkCreate(
+          normalized.map((rule) => ({
+            ...rule,
+            user_id: userId,
+            created_by: createdBy,
+          })),
+          { transaction },
+        )
+      }
+    })
+
+    return this.listForUser(userId)
+  }
+
+  // [asset column, allowed IDs] pairs of a scope
+  _scopeColumns(scope) {
+    return [
+      ['department_id', scope.department_ids],
+      ['location_id', scope.location_ids],
+      ['building_id', scope.building_ids],
+    ].filter(([, ids]) => ids.length)
+  }
+
+  async _validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw serviceError(
+        'scopes must be an array of { scope_type, target_id }',
+        400,
+      )
+    }
+
+    const unique = new Map()
+    rules.forEach((rule) => {
+      const scopeType = rule?.scope_type
+      const targetId = parseInt(rule?.target_id, 10)
+      if (!ACCESS_SCOPE_TYPE_ARRAY.includes(scopeType)) {
+        throw serviceError(
+          `scope_type must be one of: ${ACCESS_SCOPE_TYPE_ARRAY.join(', ')}`,
+          400,
+        )
+      }
+      if (!Number.isInteger(targetId) || targetId <= 0) {
+        throw serviceError('target_id must be a positive integer', 400)
+      }
+      unique.set(`${scopeType}:${targetId}`, {
+        scope_type: scopeType,
+        target_id: targetId,
+      })
+    })
+
+    const normalized = [...unique.values()]
+    for (const type of ACCESS_SCOPE_TYPE_ARRAY) {
+      const ids = normalized
+        .filter((rule) => rule.scope_type === type)
+        .map((rule) => rule.target_id)
+      if (!ids.length) {
+        continue
+      }
+      const Target = TARGET_MODELS[type]
+      const found = await Target.count({
+        where: { [Target.primaryKeyAttribute]: { [Op.in]: ids } },
+      })
+      if (found !== ids.length) {
+        throw serviceError(`Unknown ${type} in scopes`, 400)
+      }
+    }
+
+    return normalized
+  }
+}
+
+module.exports = new AccessScopeService()
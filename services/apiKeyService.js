@@ -0,0 +1,317 @@
+'use strict'
+
+const crypto = require('crypto')
+const net = require('net')
+const { ApiKey, User } = require('../models')
+const roleService = require('./roleService')
+const { USER_STATUS } = require('../utils/constants')
+const { setApiKeyPermissions } = require('../utils/permissions')
+
+const KEY_PREFIX = 'amk_'
+const DISPLAY_PREFIX_LENGTH = 12
+const DEFAULT_EXPIRY_DAYS = 365
+const LAST_USED_RESOLUTION_MS = 60 * 1000
+const MAX_ALLOWED_IPS = 50
+
+const USER_ATTRIBUTES = ['user_id', 'full_name', 'email']
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+const normalizeIp = (ip) =>
+  typeof ip === 'string' && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7))
+    ? ip.slice(7)
+    : ip
+
+/**
+ * Admin-issued API keys for scripts and integrations, sent in the X-API-Key
+ * header. A key has its own permission set (MODULES x PERMISSIONS, as for
+ * roles), an optional expiry and IP allowlist, and acts as a user for
+ * created_by fields and request logs. Only SHA-256 hashes of the keys are
+ * stored; a key is shown once, when it is created.
+ */
+class ApiKeyService {
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex')
+  }
+
+  /**
+   * Pseudo-role that requests made with an API key run with. checkPermission()
+   * resolves it to the key's permissions; it never matches a real role.
+   * @param {Object} apiKey
+   * @returns {string}
+   */
+  roleFor(apiKey) {
+    return `api_key:${apiKey.api_key_id}`
+  }
+
+  /**
+   * Days a new key is valid when no expiry is given. Configured with
+   * API_KEY_DEFAULT_EXPIRY_DAYS.
+   */
+  getDefaultExpiryDays() {
+    const days = parseInt(process.env.API_KEY_DEFAULT_EXPIRY_DAYS, 10)
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_EXPIRY_DAYS
+  }
+
+  /**
+   * API keys, newest first.
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRevoked]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ includeRevoked = false } = {}) {
+    const keys = await ApiKey.findAll({
+      where: includeRevoked ? {} : { revoked_at: null },
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+      order: [['created_at', 'DESC']],
+    })
+
+    return keys.map((apiKey) => this._serialize(apiKey))
+  }
+
+  async getById(id) {
+    const apiKey = await ApiKey.findByPk(id, {
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }],
+    })
+    return apiKey ? this._serialize(apiKey) : null
+  }
+
+  /**
+   * Issue an API key.
+   * @param {Object} data - name, permissions, allowed_ips, expires_at, user_id
+   * @param {number} createdBy - Admin issuing the key; also the user the key
+   *   acts as unless user_id is given
+   * @returns {Promise<{api_key: Object, key: string}>} The key itself is only
+   *   returned here
+   */
+  async create(data = {}, createdBy) {
+    const values = this._validate(data, { partial: false })
+
+    const userId = data.user_id ?? createdBy
+    const user = await User.findByPk(userId, { attributes: ['user_id', 'status'] })
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw serviceError('user_id must be an active user', 400)
+    }
+
+    if (values.expires_at === undefined) {
+      values.expires_at = new Date(
+        Date.now() + this.getDefaultExpiryDays() * 24 * 60 * 60 * 1000,
+      )
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+    const apiKey = await ApiKey.create({
+      ...values,
+      key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      key_hash: this.hashKey(key),
+      user_id: user.user_id,
+      created_by: createdBy,
+    })
+
+    return { api_key: await this.getById(apiKey.api_key_id), key }
+  }
+
+  /**
+   * Change a key's name, permissions, IP allowlist or expiry.
+   * @returns {Promise<Object|null>} Null when the key does not exist
+   */
+  async update(id, data = {}) {
+    const apiKey = await ApiKey.findByPk(id)
+    if (!apiKey) {
+      return null
+    }
+    if (apiKey.revoked_at) {
+      throw serviceError('Revoked API keys cannot be changed', 409)
+    }
+
+    await apiKey.update(this._validate(data, { partial: true }))
+    setApiKeyPermissions(this.roleFor(apiKey), null)
+    return this.getById(apiKey.api_key_id)
+  }
+
+  /**
+   * Revoke a key. Requests made with it are rejected from then on.
+   * @param {number} id
+   * @param {number} [revokedBy]
+   * @returns {Promise<Object|null>} Null when the key does not exist
+   */
+  async revoke(id, revokedBy = null) {
+    const apiKey = await ApiKey.findByPk(id)
+    if (!apiKey) {
+      return null
+    }
+
+    if (!apiKey.revoked_at) {
+      await apiKey.update({ revoked_at: new Date(), revoked_by: revokedBy })
+    }
+    setApiKeyPermissions(this.roleFor(apiKey), null)
+    return this.getById(apiKey.api_key_id)
+  }
+
+  /**
+   * Resolve the key sent with a request and record its use.
+   * @param {string} key - X-API-Key header
+   * @param {Object} [meta]
+   * @param {string} [meta.ip]
+   * @returns {Promise<{apiKey: Object, user: Object}>}
+   * @throws 401 for an unknown, revoked or expired key or an inactive user,
+   *   403 for an address outside the key's allowlist
+   */
+  async authenticate(key, { ip } = {}) {
+    const apiKey = key
+      ? await ApiKey.findOne({ where: { key_hash: this.hashKey(key) } })
+      : null
+    if (!apiKey || apiKey.revoked_at) {
+      throw serviceError('Invalid or revoked API key.', 401)
+    }
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      throw serviceError('API key has expired.', 401)
+    }
+    if (!this.isIpAllowed(apiKey, ip)) {
+      throw serviceError('API key is not allowed from this IP address.', 403)
+    }
+
+    const user = await User.findByPk(apiKey.user_id)
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw serviceError('API key user not found or inactive.', 401)
+    }
+
+    setApiKeyPermissions(this.roleFor(apiKey), apiKey.permissions || {})
+    await this._markUsed(apiKey, ip)
+
+    return { apiKey, user }
+  }
+
+  /**
+   * Whether a key may be used from an IP address.
+   * @param {Object} apiKey
+   * @param {string} ip
+   * @returns {boolean}
+   */
+  isIpAllowed(apiKey, ip) {
+    const allowed = apiKey.allowed_ips
+    if (!Array.isArray(allowed) || !allowed.length) {
+      return true
+    }
+
+    const address = normalizeIp(ip)
+    const family = net.isIP(address)
+    if (!family) {
+      return false
+    }
+
+    const blockList = new net.BlockList()
+    allowed.forEach((entry) => {
+      const [rangeAddress, prefix] = entry.split('/')
+      const type = net.isIPv6(rangeAddress) ? 'ipv6' : 'ipv4'
+      if (prefix === undefined) {
+        blockList.addAddress(rangeAddress, type)
+      } else {
+        blockList.addSubnet(rangeAddress, parseInt(prefix, 10), type)
+      }
+    })
+
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  }
+
+  async _markUsed(apiKey, ip) {
+    const now = new Date()
+    const lastUsed = apiKey.last_used_at
+      ? new Date(apiKey.last_used_at).getTime()
+      : 0
+    if (now.getTime() - lastUsed < LAST_USED_RESOLUTION_MS) {
+      return
+    }
+
+    await apiKey.update({
+      last_used_at: now,
+      last_used_ip: normalizeIp(ip) || apiKey.last_used_ip,
+    })
+  }
+
+  _validate(data, { partial }) {
+    const values = {}
+
+    if (!partial || data.name !== undefined) {
+      const name = String(data.name || '').trim()
+      if (!name || name.length > 100) {
+        throw serviceError('name is required (max 100 characters)', 400)
+      }
+      values.name = name
+    }
+
+    if (!partial || data.permissions !== undefined) {
+      values.permissions = roleService.normalizePermissions(data.permissions)
+    }
+
+    if (data.allowed_ips !== undefined) {
+      values.allowed_ips = this._normalizeAllowedIps(data.allowed_ips)
+    }
+
+    // null means the key does not expire
+    if (data.expires_at !== undefined) {
+      if (data.expires_at === null) {
+        values.expires_at = null
+      } else {
+        const expiresAt = new Date(data.expires_at)
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+          throw serviceError('expires_at must be a date in the future', 400)
+        }
+        values.expires_at = expiresAt
+      }
+    }
+
+    return values
+  }
+
+  // IP addresses and CIDR ranges; an empty list allows any address
+  _normalizeAllowedIps(allowedIps) {
+    if (allowedIps === null) {
+      return null
+    }
+    if (!Array.isArray(allowedIps) || allowedIps.length > MAX_ALLOWED_IPS) {
+      throw serviceError(
+        `allowed_ips must be an array of up to ${MAX_ALLOWED_IPS} IP addresses or CIDR ranges`,
+        400,
+      )
+    }
+
+    const normalized = allowedIps.map((entry) => {
+      const value = String(entry || '').trim()
+      const [address, prefix, extra] = value.split('/')
+      const family = net.isIP(address)
+      const maxPrefix = family === 6 ? 128 : 32
+      const prefixValid =
+        prefix === undefined ||
+        (/^\d+$/.test(prefix) && parseInt(prefix, 10) <= maxPrefix)
+
+      if (!family || extra !== undefined || !prefixValid) {
+        throw serviceError(
+          `Invalid IP address or CIDR range in allowed_ips: ${value}`,
+          400,
+        )
+      }
+      return value
+    })
+
+    return normalized.length ? [...new Set(normalized)] : null
+  }
+
+  _serialize(apiKey) {
+    const { key_hash, ...values } = apiKey.get({ plain: true })
+    const now = new Date()
+    return {
+      ...values,
+      active:
+        !values.revoked_at &&
+        (!values.expires_at || new Date(values.expires_at) > now),
+    }
+  }
+}
+
+module.exports = new ApiKeyService()
@@ -0,0 +1,367 @@
+'use strict'
+
+const { Asset, AssetCategory, sequelize } = require('../models')
+const AssetService = require('./assetService')
+const assetHistoryService = require('./assetHistoryService')
+const accessScopeService = require('./accessScopeService')
+const logger = require('../utils/logger')
+
+const assetService = new AssetService()
+
+// Containment deeper than this is treated as corrupt rather than walked
+const MAX_DEPTH = 20
+const NODE_ATTRIBUTES = [
+  'asset_id',
+  'asset_tag',
+  'barcode',
+  'status',
+  'category_id',
+  'assigned_to',
+  'parent_asset_id',
+]
+const NODE_INCLUDE = [
+  { model: AssetCategory, as: 'category', attributes: ['category_id', 'name'] },
+]
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const describe = (asset) =>
+  asset.asset_tag ? `${asset.asset_tag} (#${asset.asset_id})` : `#${asset.asset_id}`
+
+/**
+ * Parent/child relationships between assets: components (drives, docks,
+ * peripherals) installed in another asset. An asset has at most one parent
+ * and containment never forms a cycle. Attaching, detaching and moving a
+ * component to another parent (a swap) are recorded in the history of the
+ * component and of every parent involved.
+ */
+class AssetComponentService {
+  /**
+   * An asset with its chain of parents (nearest first) and its nested
+   * components.
+   * @param {number} assetId
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Out-of-scope assets are
+   *   treated as not found
+   * @returns {Promise<Object>}
+   */
+  async getTree(assetId, { accessScope = null } = {}) {
+    const root = await this._findInScope(assetId, accessScope)
+    const node = root.get({ plain: true })
+    node.components = []
+
+    const ancestors = []
+    let parentId = node.parent_asset_id
+    while (parentId && ancestors.length < MAX_DEPTH) {
+      const parent = await Asset.findByPk(parentId, {
+        attributes: NODE_ATTRIBUTES,
+        include: NODE_INCLUDE,
+      })
+      if (!parent) break
+      ancestors.push(parent.get({ plain: true }))
+      parentId = parent.parent_asset_id
+    }
+
+    // Load one level of components per query
+    let level = [node]
+    let depth = 0
+    let total = 0
+    while (level.length && depth < MAX_DEPTH) {
+      const byId = new Map(level.map((item) => [item.asset_id, item]))
+      const children = await Asset.findAll({
+        where: { parent_asset_id: [...byId.keys()] },
+        attributes: NODE_ATTRIBUTES,
+        include: NODE_INCLUDE,
+        order: [['asset_id', 'ASC']],
+      })
+      level = children.map((child) => {
+        const item = { ...child.get({ plain: true }), components: [] }
+        byId.get(item.parent_asset_id).components.push(item)
+        return item
+      })
+      total += level.length
+      depth += 1
+    }
+
+    return { ...node, ancestors, component_count: total }
+  }
+
+  /**
+   * Install `childId` in `parentId`. A component that already has another
+   * parent is moved (swapped out of it).
+   * @param {number} parentId
+   * @param {number} childId
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Both assets must be in scope
+   * @param {Object} [options.context] - Audit context from
+   *   assetHistoryService.buildContext
+   * @returns {Promise<Object>} The component after the change
+   */
+  async attach(parentId, childId, { accessScope = null, context = null } = {}) {
+    if (Number(parentId) === Number(childId)) {
+      throw serviceError('An asset cannot be a component of itself', 400)
+    }
+
+    const transaction = await sequelize.transaction()
+    let child
+    try {
+      const parent = await this._findInScope(parentId, accessScope, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      })
+      child = await this._findInScope(childId, accessScope, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+        message: 'Component asset not found',
+      })
+
+      if (child.parent_asset_id === parent.asset_id) {
+        await transaction.rollback()
+        return child
+      }
+
+      await this._assertNotAncestor(child.asset_id, parent, transaction)
+
+      const previousParent = child.parent_asset_id
+        ? await Asset.findByPk(child.parent_asset_id, {
+          attributes: NODE_ATTRIBUTES,
+          transaction,
+        })
+        : null
+
+      // A copy: update() changes the values get() returns
+      const before = { ...child.get({ plain: true }) }
+      await child.update({ parent_asset_id: parent.asset_id }, { transaction })
+      await this._recordChange({
+        child,
+        before,
+        previousParent,
+        parent,
+        action: previousParent ? 'component_swap' : 'component_attach',
+        context,
+        transaction,
+      })
+
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+
+    return child
+  }
+
+  /**
+   * Remove a component from its parent, leaving it standalone.
+   * @param {number} parentId
+   * @param {number} childId
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @param {Object} [options.context] - Audit context
+   * @returns {Promise<Object>} The component after the change
+   */
+  async detach(parentId, childId, { accessScope = null, context = null } = {}) {
+    const transaction = await sequelize.transaction()
+    let child
+    try {
+      const parent = await this._findInScope(parentId, accessScope, { transaction })
+      child = await this._findInScope(childId, accessScope, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+        message: 'Component asset not found',
+      })
+      if (child.parent_asset_id !== parent.asset_id) {
+        throw serviceError('The asset is not a component of this parent', 404)
+      }
+
+      const before = { ...child.get({ plain: true }) }
+      await child.update({ parent_asset_id: null }, { transaction })
+      await this._recordChange({
+        child,
+        before,
+        previousParent: parent,
+        parent: null,
+        action: 'component_detach',
+        context,
+        transaction,
+      })
+
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+
+    return child
+  }
+
+  /**
+   * Bring every component below an asset to the asset's current status and
+   * assignee, after it was transferred, retired or disposed. Each component
+   * goes through assetService.update, so its lifecycle is checked and the
+   * change lands in its history; components whose lifecycle does not allow
+   * the status, or that are outside the caller's access scope, are skipped
+   * and reported.
+   * @param {number} parentId
+   * @param {Object} [options]
+   * @param {Object} [options.context] - Audit context
+   * @returns {Promise<{updated: Array<number>, skipped: Array<Object>}>}
+   */
+  async cascadeFromParent(parentId, { context = null } = {}) {
+    const result = { updated: [], skipped: [] }
+    const parent = await Asset.findByPk(parentId)
+    if (!parent) {
+      return result
+    }
+
+    const changes = {
+      status: parent.status,
+      assigned_to: parent.assigned_to,
+    }
+    const auditContext = { ...context, action: 'component_cascade' }
+
+    let levelIds = [parent.asset_id]
+    let depth = 0
+    while (levelIds.length && depth < MAX_DEPTH) {
+      const children = await Asset.findAll({
+        where: { parent_asset_id: levelIds },
+        attributes: ['asset_id'],
+      })
+      for (const child of children) {
+        try {
+          const updated = await assetService.update(child.asset_id, changes, {
+            auditContext,
+          })
+          if (updated) {
+            result.updated.push(child.asset_id)
+          } else {
+            result.skipped.push({
+              asset_id: child.asset_id,
+              reason: 'Asset not found or out of scope',
+            })
+          }
+        } catch (error) {
+          if (!error.statusCode) {
+            logger.logError(error, {
+              action: 'cascade_component_status',
+              parentAssetId: parent.asset_id,
+              assetId: child.asset_id,
+            })
+          }
+          result.skipped.push({ asset_id: child.asset_id, reason: error.message })
+        }
+      }
+      levelIds = children.map((child) => child.asset_id)
+      depth += 1
+    }
+
+    return result
+  }
+
+  /**
+   * @private
+   */
+  async _findInScope(assetId, accessScope, options = {}) {
+    const { message = 'Asset not found', ...queryOptions } = options
+    const asset = await Asset.findByPk(assetId, {
+      attributes: NODE_ATTRIBUTES.concat(['department_id', 'location_id', 'building_id']),
+      include: queryOptions.lock ? [] : NODE_INCLUDE,
+      ...queryOptions,
+    })
+    if (!asset || !accessScopeService.assetMatchesScope(asset, accessScope)) {
+      throw serviceError(message, 404)
+    }
+    return asset
+  }
+
+  /**
+   * Throw a 409 error when `assetId` is `parent` or one of its parents, which
+   * would make containment circular.
+   * @private
+   */
+  async _assertNotAncestor(assetId, parent, transaction) {
+    let current = parent
+    let depth = 0
+    while (current && depth <= MAX_DEPTH) {
+      if (current.asset_id === assetId) {
+        throw serviceError(
+          'The asset cannot be attached to one of its own components',
+          409,
+        )
+      }
+      if (!current.parent_asset_id) {
+        return
+      }
+      current = await Asset.findByPk(current.parent_asset_id, {
+        attributes: ['asset_id', 'parent_asset_id'],
+        transaction,
+      })
+      depth += 1
+    }
+    if (current) {
+      throw serviceError('Component nesting is too deep', 409)
+    }
+  }
+
+  /**
+   * History of the component and of the parent(s) it left and joined.
+   * @private
+   */
+  async _recordChange({
+    child,
+    before,
+    previousParent,
+    parent,
+    action,
+    context,
+    transaction,
+  }) {
+    await assetHistoryService.record({
+      assetId: child.asset_id,
+      changes: assetHistoryService.diffCoreFields(before, {
+        parent_asset_id: parent ? parent.asset_id : null,
+      }),
+      context,
+      action,
+      transaction,
+    })
+    if (previousParent) {
+      await assetHistoryService.record({
+        assetId: previousParent.asset_id,
+        changes: [
+          {
+            field_source: 'core',
+            field_name: 'components',
+            old_value: describe(child),
+            new_value: null,
+          },
+        ],
+        context,
+        action,
+        transaction,
+      })
+    }
+    if (parent) {
+      await assetHistoryService.record({
+        assetId: parent.asset_id,
+        changes: [
+          {
+            field_source: 'core',
+            field_name: 'components',
+            old_value: null,
+            new_value: describe(child),
+          },
+        ],
+        context,
+        action,
+        transaction,
+      })
+    }
+  }
+}
+
+module.exports = new AssetComponentService()
@@ -3,21 +3,30 @@
 const { AssetExportJob } = require('../models')
 const { Op } = require('sequelize')
 const AssetService = require('./assetService')
+const NotificationService = require('./notificationService')
+const eventStreamService = require('./eventStreamService')
+const accessScopeService = require('./accessScopeService')
 const logger = require('../utils/logger')
 
 class AssetExportJobService {
   constructor() {
     this.assetService = new AssetService()
+    this.notificationService = new NotificationService()
     this.pendingJobIds = []
     this.pendingJobIdSet = new Set()
     this.processing = false
   }
 
-  async createImageExportJob({ requestedBy }) {
+  /**
+   * Queue an export of asset images. The job only exports assets within the
+   * requester's access scope (by default the scope of the current request).
+   */
+  async createImageExportJob({ requestedBy, accessScope }) {
     const job = await AssetExportJob.create({
       job_type: 'asset_images_export',
       status: 'queued',
       requested_by: requestedBy,
+      access_scope: accessScopeService.resolveScope(accessScope),
     })
 
     this.enqueue(job.export_job_id)
@@ -99,11 +108,13 @@ class AssetExportJobService {
       started_at: job.started_at || new Date(),
       error_message: null,
     })
+    eventStreamService.publishExportJob(job)
 
     try {
       let lastSavedProcessedItems = -1
       let lastSavedProgress = -1
       const exportResult = await this.assetService.exportAssetImagesArchive({
+        accessScope: job.access_scope,
         onProgress: async (progress) => {
           const shouldPersist =
             progress.processedItems === progress.totalItems ||
@@ -127,6 +138,7 @@ class AssetExportJobService {
             image_count: progress.imageCount,
             skipped_images: progress.skippedImages,
           })
+          eventStreamService.publishExportJob(job)
         },
       })
 
@@ -143,6 +155,7 @@ class AssetExportJobService {
         error_message: null,
         completed_at: new Date(),
       })
+      eventStreamService.publishExportJob(job)
     } catch (error) {
       logger.logError(error, {
         action: 'process_asset_image_export_job',
@@ -154,7 +167,10 @@ class AssetExportJobService {
         error_message: error.message,
         completed_at: new Date(),
       })
+      eventStreamService.publishExportJob(job)
     }
+
+    await this.notificationService.notifyExportJobFinished(job)
   }
 }
 
@@ -0,0 +1,225 @@
+'use strict'
+
+const { AssetHistory, User, FormFields } = require('../models')
+const { Op } = require('sequelize')
+const logger = require('../utils/logger')
+
+// Columns that are derived or bookkeeping-only; changes to them are not audited.
+const UNTRACKED_CORE_FIELDS = new Set([
+  'asset_id',
+  'barcode',
+  'qr_code',
+  'codesheet_path',
+  'created_at',
+  'updated_at',
+])
+
+const MAX_PAGE_SIZE = 200
+
+/**
+ * Append-only audit trail of field-level changes made to assets.
+ */
+class AssetHistoryService {
+  /**
+   * Build the audit context for a request so services can attribute changes.
+   * @param {Object} req - Express request
+   * @returns {{changedBy: number|null, requestId: string|null}}
+   */
+  buildContext(req) {
+    return {
+      changedBy: req?.user?.user_id ?? null,
+      requestId: req?.requestId || null,
+    }
+  }
+
+  /**
+   * Compare two snapshots of an asset row and return core column changes.
+   * Only keys present in `after` are considered so partial updates work.
+   * @param {Object} before - Plain asset row prior to the update
+   * @param {Object} after - Plain asset row (or partial) after the update
+   * @returns {Array<{field_source: string, field_name: string, old_value: *, new_value: *}>}
+   */
+  diffCoreFields(before = {}, after = {}) {
+    const changes = []
+
+    Object.keys(after || {}).forEach((key) => {
+      if (UNTRACKED_CORE_FIELDS.has(key)) return
+      if (!Object.prototype.hasOwnProperty.call(before || {}, key)) return
+
+      const oldValue = serializeHistoryValue(before[key])
+      const newValue = serializeHistoryValue(after[key])
+      if (oldValue === newValue) return
+
+      changes.push({
+        field_source: 'core',
+        field_name: key,
+        old_value: oldValue,
+        new_value: newValue,
+      })
+    })
+
+    return changes
+  }
+
+  /**
+   * Build a form value change entry, or null when the stored value is unchanged.
+   * @param {Object} field - FormFields instance
+   * @param {string|null} oldValue - Previously stored value
+   * @param {string|null} newValue - Value being stored
+   * @returns {Object|null}
+   */
+  buildFormFieldChange(field, oldValue, newValue) {
+    const previous = serializeHistoryValue(oldValue)
+    const next = serializeHistoryValue(newValue)
+    if (previous === next) return null
+
+    return {
+      field_source: 'form',
+      field_name: field.label || String(field.id),
+      form_field_id: field.id,
+      old_value: previous,
+      new_value: next,
+    }
+  }
+
+  /**
+   * Persist a batch of changes for an asset.
+   * @param {Object} params
+   * @param {number} params.assetId - Asset the changes belong to
+   * @param {Array<Object>} params.changes - Entries from diffCoreFields/buildFormFieldChange
+   * @param {Object} [params.context] - Audit context from buildContext
+   * @param {string} [params.action] - Short verb describing the change
+   * @param {Object} [params.transaction] - Sequelize transaction
+   * @returns {Promise<Array>} Created history rows
+   */
+  async record({
+    assetId,
+    changes = [],
+    context = {},
+    action,
+    transaction = null,
+  }) {
+    if (!assetId || !changes.length) {
+      return []
+    }
+
+    const historyAction = action || 'update'
+    const rows = changes.map((change) => ({
+      asset_id: assetId,
+      action: historyAction,
+      field_source: change.field_source,
+      field_name: change.field_name,
+      form_field_id: change.form_field_id ?? null,
+      old_value: change.old_value ?? null,
+      new_value: change.new_value ?? null,
+      changed_by: context?.changedBy ?? null,
+      request_id: context?.requestId || null,
+    }))
+
+    const created = await AssetHistory.bulkCreate(rows, { transaction })
+
+    logger.info('Asset history recorded', {
+      assetId,
+      action: historyAction,
+      count: rows.length,
+      requestId: context?.requestId || null,
+    })
+
+    return created
+  }
+
+  /**
+   * List history entries for an asset, newest first.
+   * @param {number} assetId
+   * @param {Object} params
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {string} [params.field] - Comma-separated field names or form field ids
+   * @param {Date} [params.startDate] - Inclusive lower bound on created_at
+   * @param {Date} [params.endDate] - Exclusive upper bound on created_at
+   * @returns {Promise<{data: Array, pagination: Object}>}
+   */
+  async listForAsset(
+    assetId,
+    { page: rawPage, limit: rawLimit, field, startDate, endDate } = {},
+  ) {
+    const page = Math.max(parseInt(rawPage, 10) || 1, 1)
+    const limit = Math.min(
+      Math.max(parseInt(rawLimit, 10) || 50, 1),
+      MAX_PAGE_SIZE,
+    )
+
+    const where = { asset_id: assetId }
+
+    if (field) {
+      const fields = String(field)
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+      const numericIds = fields
+        .filter((value) => /^\d+$/.test(value))
+        .map((value) => Number(value))
+
+      where[Op.or] = [
+        { field_name: { [Op.in]: fields } },
+        ...(numericIds.length
+          ? [{ form_field_id: { [Op.in]: numericIds } }]
+          : []),
+      ]
+    }
+
+    if (startDate || endDate) {
+      where.created_at = {
+        ...(startDate ? { [Op.gte]: startDate } : {}),
+        ...(endDate ? { [Op.lt]: endDate } : {}),
+      }
+    }
+
+    const { count, rows } = await AssetHistory.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['user_id', 'full_name', 'email'],
+          required: false,
+        },
+        {
+          model: FormFields,
+          as: 'formField',
+          attributes: ['id', 'label', 'type'],
+          required: false,
+        },
+      ],
+      order: [
+        ['created_at', 'DESC'],
+        ['asset_history_id', 'DESC'],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      data: rows.map((row) => row.get({ plain: true })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    }
+  }
+}
+
+function serializeHistoryValue(value) {
+  if (value === null || value === undefined) return null
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+module.exports = new AssetHistoryService()
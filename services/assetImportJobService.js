@@ -0,0 +1,1055 @@
+'use strict'
+
+const fs = require('fs').promises
+const path = require('path')
+const { Op } = require('sequelize')
+const {
+  Asset,
+  AssetHistory,
+  AssetImportJob,
+  AssetCategory,
+  FormBuilder,
+  FormFields,
+  User,
+} = require('../models')
+const AssetService = require('./assetService')
+const accessScopeService = require('./accessScopeService')
+const logger = require('../utils/logger')
+const { ASSET_STATUS_ARRAY } = require('../utils/constants')
+const {
+  readSpreadsheet,
+  excelSerialToDate,
+} = require('../utils/spreadsheetReader')
+
+const IMPORT_JOB_TYPE = 'asset_import'
+const REIMPORT_JOB_TYPE = 'asset_reimport'
+const IMPORT_STORAGE_DIR = path.join(__dirname, '../storage/imports')
+const MAX_STORED_ROW_ERRORS = 500
+
+// Columns written by AssetService#_prepareAssetsExportData
+const EXPORT_ASSET_ID_HEADER = 'Asset ID'
+const EXPORT_ASSET_TAG_HEADER = 'Asset Tag'
+const EXPORT_NOTES_HEADER = 'Notes'
+const EXPORT_UPDATED_AT_HEADER = 'Updated At'
+const CONFLICT_TOLERANCE_MS = 2000
+
+// Core asset columns that can be filled from an import column. Tags, barcodes
+// and QR codes are always generated per row, exactly like single creation.
+const IMPORTABLE_CORE_FIELDS = ['category_id', 'asset_location', 'status', 'notes']
+const CORE_FIELD_ALIASES = {
+  category: 'category_id',
+  categoryid: 'category_id',
+  assetcategory: 'category_id',
+  location: 'asset_location',
+  assetlocation: 'asset_location',
+  status: 'status',
+  assetstatus: 'status',
+  notes: 'notes',
+}
+
+class AssetImportJobService {
+  constructor() {
+    this.assetService = new AssetService()
+    this.storageDir = IMPORT_STORAGE_DIR
+    this.pendingJobIds = []
+    this.pendingJobIdSet = new Set()
+    this.processing = false
+  }
+
+  /**
+   * Queue an import of an uploaded CSV/XLSX file against a form.
+   * @param {Object} params
+   * @param {number} params.requestedBy - User starting the import
+   * @param {Object} params.file - Multer file ({ path, originalname })
+   * @param {number} [params.formId] - Target form; defaults to the active form
+   * @param {Object} [params.mapping] - Column header -> form field id or core column
+   * @param {boolean} [params.dryRun] - Validate only, do not create assets
+   * @param {Object|null} [params.accessScope] - Requester's access scope;
+   *   defaults to the scope of the current request
+   */
+  async createImportJob({
+    requestedBy,
+    file,
+    formId = null,
+    mapping = null,
+    dryRun = true,
+    accessScope,
+  }) {
+    const form = await this._resolveForm(formId)
+    if (!form) {
+      const error = new Error(
+        formId
+          ? 'Form not found'
+          : 'No active form found. Activate a form or pass form_id',
+      )
+      error.statusCode = 400
+      throw error
+    }
+
+    this._assertValidMapping(mapping, form.fields || [])
+
+    const job = await AssetImportJob.create({
+      job_type: IMPORT_JOB_TYPE,
+      status: 'queued',
+      requested_by: requestedBy,
+      form_id: form.form_id,
+      dry_run: dryRun,
+      original_file_name: file.originalname,
+      file_path: file.path,
+      column_mapping: mapping,
+      access_scope: accessScopeService.resolveScope(accessScope),
+    })
+
+    this.enqueue(job.import_job_id)
+    return job
+  }
+
+  /**
+   * Queue a preview of an edited Excel export. Rows are matched to existing
+   * assets by Asset ID or Asset Tag; nothing is written until the preview is
+   * confirmed.
+   * @param {Object} params
+   * @param {number} params.requestedBy - User uploading the workbook
+   * @param {Object} params.file - Multer file ({ path, originalname })
+   * @param {Object|null} [params.accessScope] - Requester's access scope;
+   *   defaults to the scope of the current request
+   */
+  async createReimportJob({ requestedBy, file, accessScope }) {
+    const job = await AssetImportJob.create({
+      job_type: REIMPORT_JOB_TYPE,
+      status: 'queued',
+      requested_by: requestedBy,
+      dry_run: true,
+      original_file_name: file.originalname,
+      file_path: file.path,
+      access_scope: accessScopeService.resolveScope(accessScope),
+    })
+
+    this.enqueue(job.import_job_id)
+    return job
+  }
+
+  /**
+   * Run a completed dry run for real. Imports reuse the file and resolved
+   * mapping; re-imports apply the previewed changes. Confirming twice returns
+   * the job created by the first confirmation.
+   * @param {number} jobId - Dry run job to confirm
+   * @param {number} requestedBy - User confirming
+   * @param {Object} [options]
+   * @param {string} [options.jobType] - Expected job type of the dry run
+   * @param {boolean} [options.applyConflicts] - Re-import only: also apply
+   *   rows whose asset changed after the export
+   * @param {Object|null} [options.accessScope] - Requester's access scope;
+   *   defaults to the scope of the current request
+   */
+  async confirmImportJob(
+    jobId,
+    requestedBy,
+    { jobType = IMPORT_JOB_TYPE, applyConflicts = false, accessScope } = {},
+  ) {
+    const source = await this.getImportJobForUser(jobId, requestedBy)
+    if (!source || source.job_type !== jobType) {
+      return null
+    }
+
+    if (!source.dry_run || source.status !== 'completed') {
+      const error = new Error('Only a completed dry run can be confirmed')
+      error.statusCode = 409
+      throw error
+    }
+
+    const existing = await AssetImportJob.findOne({
+      where: { source_job_id: source.import_job_id },
+    })
+    if (existing) {
+      return existing
+    }
+
+    const job = await AssetImportJob.create({
+      job_type: source.job_type,
+      status: 'queued',
+      requested_by: requestedBy,
+      form_id: source.form_id,
+      dry_run: false,
+      source_job_id: source.import_job_id,
+      original_file_name: source.original_file_name,
+      file_path: jobType === IMPORT_JOB_TYPE ? source.file_path : null,
+      column_mapping: source.result?.mapping || source.column_mapping,
+      options:
+        jobType === REIMPORT_JOB_TYPE
+          ? { apply_conflicts: Boolean(applyConflicts) }
+          : null,
+      access_scope: accessScopeService.resolveScope(accessScope),
+    })
+
+    this.enqueue(job.import_job_id)
+    return job
+  }
+
+  async getImportJobForUser(jobId, requestedBy) {
+    return AssetImportJob.findOne({
+      where: {
+        import_job_id: jobId,
+        requested_by: requestedBy,
+      },
+    })
+  }
+
+  async resumePendingJobs() {
+    const jobs = await AssetImportJob.findAll({
+      where: {
+        status: {
+          [Op.in]: ['queued', 'processing'],
+        },
+      },
+      order: [['created_at', 'ASC']],
+    })
+
+    for (const job of jobs) {
+      // A committing run that was cut off part-way cannot be replayed without
+      // creating duplicates, so surface it as failed instead.
+      if (job.status === 'processing' && !job.dry_run) {
+        await job.update({
+          status: 'failed',
+          error_message:
+            job.job_type === REIMPORT_JOB_TYPE
+              ? `Re-import was interrupted after ${job.processed_rows} of ${job.total_rows} rows; check the asset history before confirming a fresh preview`
+              : `Import was interrupted after ${job.processed_rows} of ${job.total_rows} rows; review created assets before re-uploading the remaining rows`,
+          completed_at: new Date(),
+        })
+        continue
+      }
+
+      this.enqueue(job.import_job_id)
+    }
+  }
+
+  enqueue(jobId) {
+    if (!jobId || this.pendingJobIdSet.has(jobId)) {
+      return
+    }
+
+    this.pendingJobIds.push(jobId)
+    this.pendingJobIdSet.add(jobId)
+    setImmediate(() => {
+      this.processQueue().catch((error) => {
+        logger.logError(error, {
+          action: 'process_asset_import_job_queue',
+        })
+      })
+    })
+  }
+
+  async processQueue() {
+    if (this.processing) {
+      return
+    }
+
+    this.processing = true
+
+    try {
+      while (this.pendingJobIds.length) {
+        const jobId = this.pendingJobIds.shift()
+        this.pendingJobIdSet.delete(jobId)
+        await this.processJob(jobId)
+      }
+    } finally {
+      this.processing = false
+    }
+  }
+
+  async processJob(jobId) {
+    const job = await AssetImportJob.findByPk(jobId)
+    if (!job) {
+      return
+    }
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      return
+    }
+
+    await job.update({
+      status: 'processing',
+      started_at: job.started_at || new Date(),
+      error_message: null,
+    })
+
+    try {
+      const summary = await this._runJob(job)
+
+      await job.update({
+        ...summary,
+        status: 'completed',
+        progress: 100,
+        error_message: null,
+        completed_at: new Date(),
+      })
+
+      logger.logBusiness('asset_import_completed', {
+        userId: job.requested_by,
+        jobId,
+        jobType: job.job_type,
+        dryRun: job.dry_run,
+        totalRows: summary.total_rows,
+        successCount: summary.success_count,
+        errorCount: summary.error_count,
+      })
+
+      // Import dry runs keep the file for confirmation; re-import previews
+      // carry everything the commit needs in their result.
+      if (!job.dry_run || job.job_type === REIMPORT_JOB_TYPE) {
+        await this._removeUploadedFile(job.file_path)
+      }
+    } catch (error) {
+      logger.logError(error, {
+        action: 'process_asset_import_job',
+        jobId,
+      })
+
+      await job.update({
+        status: 'failed',
+        error_message: error.message,
+        completed_at: new Date(),
+      })
+    }
+  }
+
+  async _runJob(job) {
+    if (job.job_type === REIMPORT_JOB_TYPE) {
+      return job.dry_run
+        ? this._runReimportPreview(job)
+        : this._applyReimport(job)
+    }
+
+    return this._runImport(job)
+  }
+
+  async _runImport(job) {
+    const form = await this._resolveForm(job.form_id)
+    if (!form) {
+      throw new Error('The form this import targets no longer exists')
+    }
+
+    const [sheet] = await readSpreadsheet(job.file_path, {
+      originalName: job.original_file_name,
+    })
+    if (!sheet || !sheet.headers.length) {
+      throw new Error('The uploaded file has no header row')
+    }
+
+    const fields = form.fields || []
+    const mapping = this.buildColumnMapping(
+      sheet.headers,
+      fields,
+      job.column_mapping,
+    )
+    const requester = job.dry_run ? null : await User.findByPk(job.requested_by)
+    if (!job.dry_run && !requester) {
+      throw new Error('The user who started this import no longer exists')
+    }
+
+    const totalRows = sheet.rows.length
+    await job.update({ total_rows: totalRows, processed_rows: 0, progress: 0 })
+
+    const lookupCache = new Map()
+    const rowErrors = []
+    const createdAssets = []
+    let successCount = 0
+    let errorCount = 0
+    let lastSavedProgress = 0
+
+    for (let index = 0; index < totalRows; index += 1) {
+      const rowNumber = sheet.rowNumbers?.[index] ?? index + 2
+      const { coreData, formResponses, errors } = await this._buildRowPayload(
+        sheet.rows[index],
+        mapping,
+        fields,
+        lookupCache,
+      )
+
+      if (!errors.length) {
+        errors.push(
+          ...(await this.assetService.validateFormResponses(
+            form.form_id,
+            formResponses,
+            { fields },
+          )),
+        )
+      }
+
+      if (!errors.length) {
+        try {
+          accessScopeService.assertAssetInScope(coreData, job.access_scope)
+        } catch (error) {
+          errors.push({ message: error.message })
+        }
+      }
+
+      if (!errors.length && !job.dry_run) {
+        try {
+          const asset = await this.assetService.createAsset(
+            {
+              ...coreData,
+              form_id: form.form_id,
+              form_responses: formResponses,
+            },
+            requester,
+            { accessScope: job.access_scope },
+          )
+          createdAssets.push({
+            row: rowNumber,
+            asset_id: asset.asset_id,
+            asset_tag: asset.asset_tag,
+          })
+        } catch (error) {
+          errors.push(...(error.validationErrors || [{ message: error.message }]))
+        }
+      }
+
+      if (errors.length) {
+        errorCount += 1
+        if (rowErrors.length < MAX_STORED_ROW_ERRORS) {
+          rowErrors.push({ row: rowNumber, errors })
+        }
+      } else {
+        successCount += 1
+      }
+
+      const processedRows = index + 1
+      const progress = Math.floor((processedRows / totalRows) * 100)
+      if (progress - lastSavedProgress >= 5 || processedRows === totalRows) {
+        lastSavedProgress = progress
+        await job.update({
+          processed_rows: processedRows,
+          progress,
+          success_count: successCount,
+          error_count: errorCount,
+        })
+      }
+    }
+
+    const mappedHeaders = new Set(Object.keys(mapping))
+
+    return {
+      total_rows: totalRows,
+      processed_rows: totalRows,
+      success_count: successCount,
+      error_count: errorCount,
+      row_errors: rowErrors,
+      result: {
+        sheet: sheet.name,
+        headers: sheet.headers,
+        mapping,
+        unmapped_columns: sheet.headers.filter(
+          (header) => !mappedHeaders.has(header),
+        ),
+        row_errors_truncated: errorCount > rowErrors.length,
+        created_assets: createdAssets,
+      },
+    }
+  }
+
+  async _runReimportPreview(job) {
+    const sheets = (
+      await readSpreadsheet(job.file_path, {
+        originalName: job.original_file_name,
+      })
+    ).filter(
+      (sheet) =>
+        sheet.headers.includes(EXPORT_ASSET_ID_HEADER) ||
+        sheet.headers.includes(EXPORT_ASSET_TAG_HEADER),
+    )
+    if (!sheets.length) {
+      throw new Error(
+        `No sheet has an "${EXPORT_ASSET_ID_HEADER}" or "${EXPORT_ASSET_TAG_HEADER}" column. Upload a workbook produced by the Excel export`,
+      )
+    }
+
+    const totalRows = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0)
+    await job.update({ total_rows: totalRows, processed_rows: 0, progress: 0 })
+
+    const lookupCache = new Map()
+    const summary = {
+      changed: 0,
+      unchanged: 0,
+      conflict: 0,
+      not_found: 0,
+      error: 0,
+    }
+    const previewRows = []
+    const rowErrors = []
+    let processedRows = 0
+    let lastSavedProgress = 0
+
+    for (const sheet of sheets) {
+      for (let index = 0; index < sheet.rows.length; index += 1) {
+        const entry = await this._previewReimportRow(
+          sheet,
+          sheet.rows[index],
+          sheet.rowNumbers?.[index] ?? index + 2,
+          { lookupCache, accessScope: job.access_scope },
+        )
+
+        summary[entry.status] += 1
+        if (entry.status !== 'unchanged') {
+          previewRows.push(entry)
+        }
+        if (entry.errors?.length && rowErrors.length < MAX_STORED_ROW_ERRORS) {
+          rowErrors.push({
+            sheet: entry.sheet,
+            row: entry.row,
+            errors: entry.errors,
+          })
+        }
+
+        processedRows += 1
+        const progress = Math.floor((processedRows / totalRows) * 100)
+        if (progress - lastSavedProgress >= 5 || processedRows === totalRows) {
+          lastSavedProgress = progress
+          await job.update({ processed_rows: processedRows, progress })
+        }
+      }
+    }
+
+    return {
+      total_rows: totalRows,
+      processed_rows: totalRows,
+      success_count: summary.changed,
+      error_count: summary.error + summary.not_found,
+      row_errors: rowErrors,
+      result: {
+        summary,
+        rows: previewRows,
+      },
+    }
+  }
+
+  async _previewReimportRow(sheet, row, rowNumber, { lookupCache, accessScope }) {
+    const assetIdCell = String(row[EXPORT_ASSET_ID_HEADER] ?? '').trim()
+    const assetTagCell = String(row[EXPORT_ASSET_TAG_HEADER] ?? '').trim()
+    const entry = {
+      sheet: sheet.name,
+      row: rowNumber,
+      asset_id: null,
+      asset_tag: assetTagCell || null,
+    }
+
+    const asset = /^\d+$/.test(assetIdCell)
+      ? await Asset.findByPk(Number(assetIdCell))
+      : assetTagCell
+        ? await Asset.findOne({ where: { asset_tag: assetTagCell } })
+        : null
+    // Assets outside the requester's access scope are not revealed
+    if (!asset || !accessScopeService.assetMatchesScope(asset, accessScope)) {
+      return {
+        ...entry,
+        status: 'not_found',
+        errors: [{ message: 'No asset matches this Asset ID or Asset Tag' }],
+      }
+    }
+
+    entry.asset_id = asset.asset_id
+    entry.asset_tag = asset.asset_tag
+
+    const changes = []
+    const errors = []
+    const corePatch = {}
+    const formPatch = {}
+
+    if (sheet.headers.includes(EXPORT_NOTES_HEADER)) {
+      const cell = String(row[EXPORT_NOTES_HEADER] ?? '')
+      const current = asset.notes || ''
+      if (cell.trim() !== current.trim()) {
+        changes.push({
+          column: EXPORT_NOTES_HEADER,
+          field: 'notes',
+          old_value: current || null,
+          new_value: cell || null,
+        })
+        corePatch.notes = cell || null
+      }
+    }
+
+    const formId = asset.active_form_id
+    const columnsCacheKey = `columns:${formId}`
+    if (formId && !lookupCache.has(columnsCacheKey)) {
+      lookupCache.set(
+        columnsCacheKey,
+        await this.assetService.getExportFieldColumns(formId),
+      )
+    }
+    const columns = formId ? lookupCache.get(columnsCacheKey) : new Map()
+    const currentResponses = formId
+      ? await this.assetService._fetchFormResponsesMap(asset.asset_id)
+      : {}
+
+    for (const [header, field] of columns.entries()) {
+      if (!sheet.headers.includes(header)) continue
+
+      const cell = String(row[header] ?? '').trim()
+      const currentValue = currentResponses[String(field.id)] ?? null
+      const currentText = String(
+        this.assetService._normalizeExportFieldValue(currentValue),
+      ).trim()
+      if (cell === currentText) continue
+
+      let newValue = null
+      if (cell !== '') {
+        try {
+          newValue = await this._coerceFieldValue(field, cell, lookupCache)
+        } catch (error) {
+          errors.push({
+            column: header,
+            field_id: field.id,
+            field: field.label,
+            message: error.message,
+          })
+          continue
+        }
+      }
+
+      if (JSON.stringify(newValue) === JSON.stringify(currentValue)) continue
+
+      changes.push({
+        column: header,
+        field_id: field.id,
+        field: field.label,
+        old_value: currentText || null,
+        new_value: cell || null,
+      })
+      formPatch[String(field.id)] = newValue
+    }
+
+    if (!errors.length && Object.keys(formPatch).length) {
+      errors.push(
+        ...(await this.assetService.validateFormResponses(formId, {
+          ...currentResponses,
+          ...formPatch,
+        })),
+      )
+    }
+
+    if (errors.length) {
+      return { ...entry, status: 'error', changes, errors }
+    }
+
+    if (!changes.length) {
+      return { ...entry, status: 'unchanged' }
+    }
+
+    const exportedAt = parseExportTimestamp(row[EXPORT_UPDATED_AT_HEADER])
+    const lastChangedAt = await this._getLastChangedAt(asset)
+    const isConflict = !exportedAt || isChangedSince(lastChangedAt, exportedAt)
+
+    return {
+      ...entry,
+      status: isConflict ? 'conflict' : 'changed',
+      conflict_reason: isConflict
+        ? exportedAt
+          ? 'Asset was updated after this workbook was exported'
+          : `Missing or invalid "${EXPORT_UPDATED_AT_HEADER}" value`
+        : null,
+      exported_at: exportedAt ? exportedAt.toISOString() : null,
+      last_changed_at: lastChangedAt ? lastChangedAt.toISOString() : null,
+      changes,
+      patch: {
+        core: corePatch,
+        form_responses: formPatch,
+      },
+    }
+  }
+
+  async _applyReimport(job) {
+    const source = job.source_job_id
+      ? await AssetImportJob.findByPk(job.source_job_id)
+      : null
+    if (!source?.result?.rows) {
+      throw new Error('The previewed re-import this job confirms no longer exists')
+    }
+
+    const applyConflicts = Boolean(job.options?.apply_conflicts)
+    const candidates = source.result.rows.filter(
+      (entry) =>
+        entry.status === 'changed' ||
+        (applyConflicts && entry.status === 'conflict'),
+    )
+    const totalRows = candidates.length
+    await job.update({ total_rows: totalRows, processed_rows: 0, progress: 0 })
+
+    const rowErrors = []
+    const updatedAssets = []
+    let successCount = 0
+    let errorCount = 0
+    let lastSavedProgress = 0
+
+    for (let index = 0; index < totalRows; index += 1) {
+      const entry = candidates[index]
+      const errors = []
+
+      try {
+        const asset = await Asset.findByPk(entry.asset_id)
+        if (!asset) {
+          throw new Error('Asset no longer exists')
+        }
+        if (!accessScopeService.assetMatchesScope(asset, job.access_scope)) {
+          throw new Error('Asset is outside your access scope')
+        }
+
+        // The asset may have changed between preview and confirmation
+        const lastChangedAt = await this._getLastChangedAt(asset)
+        const exportedAt = entry.exported_at ? new Date(entry.exported_at) : null
+        if (
+          !applyConflicts &&
+          (!exportedAt || isChangedSince(lastChangedAt, exportedAt))
+        ) {
+          throw new Error('Asset was updated after this workbook was exported')
+        }
+
+        const formResponses = entry.patch?.form_responses || {}
+        const data = { ...(entry.patch?.core || {}) }
+        if (Object.keys(formResponses).length && asset.active_form_id) {
+          data.form_id = asset.active_form_id
+          data.form_responses = formResponses
+        }
+
+        await this.assetService.update(asset.asset_id, data, {
+          auditContext: {
+            changedBy: job.requested_by,
+            requestId: null,
+            action: 'reimport',
+          },
+          accessScope: job.access_scope,
+        })
+        updatedAssets.push({
+          sheet: entry.sheet,
+          row: entry.row,
+          asset_id: asset.asset_id,
+          asset_tag: asset.asset_tag,
+        })
+      } catch (error) {
+        errors.push(...(error.validationErrors || [{ message: error.message }]))
+      }
+
+      if (errors.length) {
+        errorCount += 1
+        if (rowErrors.length < MAX_STORED_ROW_ERRORS) {
+          rowErrors.push({ sheet: entry.sheet, row: entry.row, errors })
+        }
+      } else {
+        successCount += 1
+      }
+
+      const processedRows = index + 1
+      const progress = Math.floor((processedRows / totalRows) * 100)
+      if (progress - lastSavedProgress >= 5 || processedRows === totalRows) {
+        lastSavedProgress = progress
+        await job.update({
+          processed_rows: processedRows,
+          progress,
+          success_count: successCount,
+          error_count: errorCount,
+        })
+      }
+    }
+
+    return {
+      total_rows: totalRows,
+      processed_rows: totalRows,
+      success_count: successCount,
+      error_count: errorCount,
+      row_errors: rowErrors,
+      result: {
+        applied_conflicts: applyConflicts,
+        updated_assets: updatedAssets,
+      },
+    }
+  }
+
+  async _getLastChangedAt(asset) {
+    const lastHistoryAt = await AssetHistory.max('created_at', {
+      where: { asset_id: asset.asset_id },
+    })
+    const timestamps = [asset.updated_at, lastHistoryAt]
+      .filter(Boolean)
+      .map((value) => new Date(value).getTime())
+      .filter((value) => !Number.isNaN(value))
+
+    return timestamps.length ? new Date(Math.max(...timestamps)) : null
+  }
+
+  /**
+   * Resolve which form field or core column each header feeds.
+   * Explicit mapping entries win; a `null` entry skips the column; remaining
+   * headers are matched against field labels and core column names.
+   * @returns {Object} header -> { target: 'field', field_id } | { target: 'core', column }
+   */
+  buildColumnMapping(headers, fields, requestedMapping = null) {
+    const explicit =
+      requestedMapping && typeof requestedMapping === 'object'
+        ? requestedMapping
+        : {}
+    const fieldsById = new Map(fields.map((field) => [String(field.id), field]))
+    const fieldsByLabel = new Map(
+      fields
+        .filter((field) => field.type !== 'camera')
+        .map((field) => [normalizeHeader(field.label), field]),
+    )
+    const mapping = {}
+    const claimedBy = new Map()
+
+    const claim = (header, target) => {
+      const key =
+        target.target === 'field' ? `field:${target.field_id}` : `core:${target.column}`
+      if (claimedBy.has(key)) {
+        throw new Error(
+          `Columns "${claimedBy.get(key)}" and "${header}" both map to the same ${
+            target.target === 'field' ? 'form field' : 'column'
+          }`,
+        )
+      }
+      claimedBy.set(key, header)
+      mapping[header] = target
+    }
+
+    for (const header of headers) {
+      if (Object.prototype.hasOwnProperty.call(explicit, header)) {
+        const target = this._parseMappingTarget(explicit[header], fieldsById)
+        if (target) claim(header, target)
+        continue
+      }
+
+      const normalized = normalizeHeader(header)
+      const field = fieldsByLabel.get(normalized)
+      if (field) {
+        claim(header, { target: 'field', field_id: field.id })
+      } else if (CORE_FIELD_ALIASES[normalized]) {
+        claim(header, { target: 'core', column: CORE_FIELD_ALIASES[normalized] })
+      }
+    }
+
+    return mapping
+  }
+
+  _parseMappingTarget(value, fieldsById) {
+    if (value === null || value === undefined || value === '') {
+      return null
+    }
+
+    if (typeof value === 'object') {
+      if (value.target === 'field') {
+        return this._parseMappingTarget(value.field_id, fieldsById)
+      }
+      if (value.target === 'core') {
+        return this._parseMappingTarget(value.column, fieldsById)
+      }
+    }
+
+    const raw = String(value).trim()
+    if (IMPORTABLE_CORE_FIELDS.includes(raw)) {
+      return { target: 'core', column: raw }
+    }
+
+    const field = fieldsById.get(raw)
+    if (!field) {
+      throw new Error(`Mapping target "${raw}" is not a field of this form`)
+    }
+    if (field.type === 'camera') {
+      throw new Error(`Camera field "${field.label}" cannot be imported`)
+    }
+
+    return { target: 'field', field_id: field.id }
+  }
+
+  _assertValidMapping(mapping, fields) {
+    if (mapping === null || mapping === undefined) {
+      return
+    }
+
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      const error = new Error('mapping must be an object of column header to field')
+      error.statusCode = 400
+      throw error
+    }
+
+    const fieldsById = new Map(fields.map((field) => [String(field.id), field]))
+    try {
+      Object.values(mapping).forEach((value) =>
+        this._parseMappingTarget(value, fieldsById),
+      )
+    } catch (error) {
+      error.statusCode = 400
+      throw error
+    }
+  }
+
+  async _buildRowPayload(row, mapping, fields, lookupCache) {
+    const fieldsById = new Map(fields.map((field) => [String(field.id), field]))
+    const coreData = {}
+    const formResponses = {}
+    const errors = []
+
+    for (const [header, target] of Object.entries(mapping)) {
+      const raw = String(row[header] ?? '').trim()
+      if (raw === '') continue
+
+      if (target.target === 'core') {
+        try {
+          coreData[target.column] = await this._coerceCoreValue(
+            target.column,
+            raw,
+            lookupCache,
+          )
+        } catch (error) {
+          errors.push({ column: header, field: target.column, message: error.message })
+        }
+        continue
+      }
+
+      const field = fieldsById.get(String(target.field_id))
+      if (!field) continue
+
+      try {
+        const value = await this._coerceFieldValue(field, raw, lookupCache)
+        if (value !== undefined) {
+          formResponses[String(field.id)] = value
+        }
+      } catch (error) {
+        errors.push({
+          column: header,
+          field_id: field.id,
+          field: field.label,
+          message: error.message,
+        })
+      }
+    }
+
+    return { coreData, formResponses, errors }
+  }
+
+  async _coerceCoreValue(column, raw, lookupCache) {
+    if (column === 'status') {
+      const status = raw.toLowerCase()
+      if (!ASSET_STATUS_ARRAY.includes(status)) {
+        throw new Error(
+          `Invalid status "${raw}". Must be one of: ${ASSET_STATUS_ARRAY.join(', ')}`,
+        )
+      }
+      return status
+    }
+
+    if (column === 'category_id') {
+      const cacheKey = `category:${raw.toLowerCase()}`
+      if (!lookupCache.has(cacheKey)) {
+        const category = /^\d+$/.test(raw)
+          ? await AssetCategory.findByPk(Number(raw))
+          : await AssetCategory.findOne({ where: { name: raw } })
+        lookupCache.set(cacheKey, category ? category.category_id : null)
+      }
+
+      const categoryId = lookupCache.get(cacheKey)
+      if (!categoryId) {
+        throw new Error(`Unknown asset category "${raw}"`)
+      }
+      return categoryId
+    }
+
+    return raw
+  }
+
+  async _coerceFieldValue(field, raw, lookupCache) {
+    switch (field.type) {
+      case 'checkbox':
+        return splitMultiValue(raw)
+      case 'select':
+        return field.allow_multiple ? splitMultiValue(raw) : raw
+      case 'rating': {
+        const rating = Number(raw)
+        return Number.isFinite(rating) ? rating : raw
+      }
+      case 'date': {
+        if (/^\d+(\.\d+)?$/.test(raw)) {
+          const date = excelSerialToDate(raw)
+          return date ? date.toISOString().split('T')[0] : raw
+        }
+        return raw
+      }
+      case 'hierarchical_select': {
+        if (raw.startsWith('{')) {
+          try {
+            return JSON.parse(raw)
+          } catch {
+            throw new Error(`${field.label} contains invalid JSON`)
+          }
+        }
+
+        // The Excel export renders hierarchy selections as "A / B / C"
+        const cacheKey = `hierarchy:${field.id}:${raw}`
+        if (!lookupCache.has(cacheKey)) {
+          const labels = raw.split(/\s*\/\s*/).filter(Boolean)
+          lookupCache.set(
+            cacheKey,
+            await this.assetService._resolveHierarchyLabels(field, labels),
+          )
+        }
+        return lookupCache.get(cacheKey)
+      }
+      case 'camera':
+        return undefined
+      default:
+        return raw
+    }
+  }
+
+  async _resolveForm(formId) {
+    const include = [{ model: FormFields, as: 'fields', required: false }]
+    if (formId) {
+      return FormBuilder.findByPk(formId, { include })
+    }
+    return FormBuilder.findOne({ where: { is_active: true }, include })
+  }
+
+  async _removeUploadedFile(filePath) {
+    if (!filePath) return
+    try {
+      await fs.unlink(filePath)
+    } catch (error) {
+      logger.warn('Failed to remove asset import upload', {
+        filePath,
+        error: error.message,
+      })
+    }
+  }
+}
+
+// The export writes updated_at, while the history row of that same update can
+// land a moment later; allow for that so a fresh export is not a conflict.
+function isChangedSince(lastChangedAt, exportedAt) {
+  if (!lastChangedAt) return false
+  return lastChangedAt.getTime() - exportedAt.getTime() > CONFLICT_TOLERANCE_MS
+}
+
+function parseExportTimestamp(value) {
+  const raw = String(value ?? '').trim()
+  if (!raw) return null
+  const date = /^\d+(\.\d+)?$/.test(raw) ? excelSerialToDate(raw) : new Date(raw)
+  return date && !Number.isNaN(date.getTime()) ? date : null
+}
+
+function normalizeHeader(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+}
+
+function splitMultiValue(raw) {
+  return raw
+    .split(/\s*,\s*/)
+    .map((value) => value.trim())
+    .filter(Boolean)
+}
+
+const assetImportJobService = new AssetImportJobService()
+assetImportJobService.IMPORT_JOB_TYPE = IMPORT_JOB_TYPE
+assetImportJobService.REIMPORT_JOB_TYPE = REIMPORT_JOB_TYPE
+
+module.exports = assetImportJobService
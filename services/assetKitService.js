@@ -0,0 +1,519 @@
+'use strict'
+
+const { Op } = require('sequelize')
+const {
+  AssetKit,
+  AssetKitItem,
+  AssetKitIssue,
+  AssetCategory,
+  Asset,
+  AssetTransaction,
+  Department,
+  User,
+  sequelize,
+} = require('../models')
+const AssetService = require('./assetService')
+const accessScopeService = require('./accessScopeService')
+const assetLifecycleService = require('./assetLifecycleService')
+const NotificationService = require('./notificationService')
+const eventStreamService = require('./eventStreamService')
+const webhookService = require('./webhookService')
+const {
+  ASSET_STATUS,
+  USER_STATUS,
+  TRANSACTION_ACTIONS,
+  TRANSACTION_STATUS,
+  DEFAULTS,
+} = require('../utils/constants')
+
+const notificationService = new NotificationService()
+const assetService = new AssetService()
+
+const MAX_ITEMS = 50
+const MAX_QUANTITY = 50
+const USER_ATTRIBUTES = ['user_id', 'full_name', 'email', 'employee_id']
+const OPEN_TRANSACTION_STATUSES = [
+  TRANSACTION_STATUS.PENDING,
+  TRANSACTION_STATUS.ACCEPTED,
+]
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const KIT_INCLUDE = [
+  {
+    model: AssetKitItem,
+    as: 'items',
+    include: [
+      { model: AssetCategory, as: 'category', attributes: ['category_id', 'name'] },
+    ],
+  },
+  { model: Department, as: 'department', attributes: ['department_id', 'name'] },
+]
+
+/**
+ * Onboarding kits: named templates of asset categories and quantities, meant
+ * for a department and/or position. Issuing a kit to a user picks available
+ * assets of each category and assigns them through one accepted `assign`
+ * transaction each, all linked to a single handover record (kit issue).
+ * Issuing is all or nothing: when any category is short of stock nothing is
+ * assigned.
+ */
+class AssetKitService {
+  /**
+   * Kits with their items, by name.
+   * @param {Object} [filters]
+   * @param {number} [filters.department_id]
+   * @param {string} [filters.position]
+   * @param {number} [filters.user_id] - Kits matching the user's department
+   *   and position; kits without a department or position match everyone
+   * @param {boolean} [filters.include_inactive]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ department_id, position, user_id, include_inactive } = {}) {
+    const where = {}
+    if (!(include_inactive === true || include_inactive === 'true')) {
+      where.is_active = true
+    }
+    if (department_id) {
+      where.department_id = department_id
+    }
+    if (position) {
+      where.position = position
+    }
+
+    if (user_id) {
+      const user = await User.findByPk(user_id, {
+        attributes: ['user_id', 'department_id', 'position'],
+      })
+      if (!user) {
+        throw serviceError('User not found', 404)
+      }
+      where[Op.and] = [
+        { department_id: { [Op.or]: [null, user.department_id ?? null] } },
+        { position: { [Op.or]: [null, user.position ?? null] } },
+      ]
+    }
+
+    return AssetKit.findAll({
+      where,
+      include: KIT_INCLUDE,
+      order: [['name', 'ASC']],
+    })
+  }
+
+  async getById(id) {
+    return AssetKit.findByPk(id, { include: KIT_INCLUDE })
+  }
+
+  /**
+   * Create a kit.
+   * @param {Object} data - name, description, department_id, position,
+   *   is_active and items [{ category_id, quantity }]
+   * @param {number} [createdBy]
+   * @returns {Promise<Object>}
+   */
+  async create(data = {}, createdBy = null) {
+    const { items, ...values } = await this._validate(data, { partial: false })
+
+    const kit = await sequelize.transaction(async (transaction) => {
+      const created = await AssetKit.create(
+        { ...values, created_by: createdBy },
+        { transaction },
+      )
+      await AssetKitItem.bulkCreate(
+        items.map((item) => ({ ...item, kit_id: created.kit_id })),
+        { transaction },
+      )
+      return created
+    })
+
+    return this.getById(kit.kit_id)
+  }
+
+  /**
+   * Update a kit. `items`, when given, replaces all of its items.
+   * @returns {Promise<Object|null>} Null when the kit does not exist
+   */
+  async update(id, data = {}) {
+    const kit = await AssetKit.findByPk(id)
+    if (!kit) {
+      return null
+    }
+
+    const { items, ...values } = await this._validate(data, {
+      partial: true,
+      kitId: kit.kit_id,
+    })
+
+    await sequelize.transaction(async (transaction) => {
+      await kit.update(values, { transaction })
+      if (items) {
+        await AssetKitItem.destroy({ where: { kit_id: kit.kit_id }, transaction })
+        await AssetKitItem.bulkCreate(
+          items.map((item) => ({ ...item, kit_id: kit.kit_id })),
+          { transaction },
+        )
+      }
+    })
+
+    return this.getById(kit.kit_id)
+  }
+
+  /**
+   * Delete a kit. Handover records of earlier issues are kept.
+   * @returns {Promise<boolean>} False when the kit does not exist
+   */
+  async delete(id) {
+    const kit = await AssetKit.findByPk(id)
+    if (!kit) {
+      return false
+    }
+
+    await kit.destroy()
+    return true
+  }
+
+  /**
+   * Issue a kit to a user.
+   * @param {number} id - Kit ID
+   * @param {Object} data
+   * @param {number} data.user_id - User receiving the kit
+   * @param {string} [data.notes]
+   * @param {Object} [options]
+   * @param {number} [options.issuedBy]
+   * @param {Object|null} [options.accessScope] - Issuer's scope; only assets
+   *   within it are picked
+   * @param {Object} [options.context] - Audit context from
+   *   assetHistoryService.buildContext, for the asset history
+   * @returns {Promise<Object|null>} The handover record, or null when the kit
+   *   does not exist
+   * @throws 409 when a category does not have enough available assets
+   */
+  async issue(
+    id,
+    { user_id: userId, notes } = {},
+    { issuedBy = null, accessScope = null, context = {} } = {},
+  ) {
+    const kit = await this.getById(id)
+    if (!kit) {
+      return null
+    }
+    if (!kit.is_active) {
+      throw serviceError('Inactive kits cannot be issued', 409)
+    }
+    if (!kit.items.length) {
+      throw serviceError('The kit has no items', 409)
+    }
+
+    const user = userId
+      ? await User.findByPk(userId, { attributes: ['user_id', 'status'] })
+      : null
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw serviceError('user_id must be an active user', 400)
+    }
+
+    // Same history entries as assigning a single asset
+    const auditContext = {
+      changedBy: issuedBy,
+      ...context,
+      action: `transaction_${TRANSACTION_ACTIONS.ASSIGN}`,
+    }
+    const issue = await sequelize.transaction(async (transaction) => {
+      const picked = await this._pickAssets(kit, { accessScope, transaction })
+
+      const kitIssue = await AssetKitIssue.create(
+        {
+          kit_id: kit.kit_id,
+          kit_name: kit.name,
+          user_id: user.user_id,
+          issued_by: issuedBy,
+          notes: notes || null,
+        },
+        { transaction },
+      )
+
+      const now = new Date()
+      for (const asset of picked) {
+        const assign = {
+          asset,
+          asset_id: asset.asset_id,
+          action: TRANSACTION_ACTIONS.ASSIGN,
+        }
+        const nextStatus = await assetLifecycleService.resolveTransactionStatus(
+          assign,
+          TRANSACTION_STATUS.ACCEPTED,
+          { transaction },
+        )
+
+        const assignTransaction = await AssetTransaction.create(
+          {
+            asset_id: asset.asset_id,
+            requested_by: issuedBy || user.user_id,
+            requested_to: user.user_id,
+            action: TRANSACTION_ACTIONS.ASSIGN,
+            status: TRANSACTION_STATUS.ACCEPTED,
+            priority: DEFAULTS.TRANSACTION_PRIORITY,
+            notes: `Issued with kit ${kit.name}`,
+            responded_at: now,
+            kit_issue_id: kitIssue.kit_issue_id,
+          },
+          { transaction },
+        )
+        await assetService.update(
+          asset.asset_id,
+          {
+            assigned_to: user.user_id,
+            ...(nextStatus && { status: nextStatus }),
+          },
+          {
+            transaction,
+            accessScope,
+            auditContext,
+            webhookContext: {
+              transaction_id: assignTransaction.transaction_id,
+            },
+          },
+        )
+      }
+
+      return kitIssue
+    })
+
+    const handover = await this.getIssue(issue.kit_issue_id)
+    await this._announce(handover, issuedBy)
+    return handover
+  }
+
+  /**
+   * Handover record of an issued kit with its transactions and assets.
+   * @param {number} issueId
+   * @returns {Promise<Object|null>}
+   */
+  async getIssue(issueId) {
+    const issue = await AssetKitIssue.findByPk(issueId, {
+      include: [
+        { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'issuer', attributes: USER_ATTRIBUTES },
+        {
+          model: AssetTransaction,
+          as: 'transactions',
+          attributes: [
+            'transaction_id',
+            'asset_id',
+            'status',
+            'responded_at',
+            'completed_at',
+          ],
+          include: [
+            {
+              model: Asset,
+              as: 'asset',
+              attributes: ['asset_id', 'asset_tag', 'barcode', 'status', 'category_id'],
+              paranoid: false,
+            },
+          ],
+        },
+      ],
+      order: [[{ model: AssetTransaction, as: 'transactions' }, 'transaction_id', 'ASC']],
+    })
+
+    return issue ? issue.get({ plain: true }) : null
+  }
+
+  /**
+   * Kit issues, newest first.
+   * @param {Object} [filters]
+   * @param {number} [filters.user_id]
+   * @param {number} [filters.kit_id]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listIssues({ user_id, kit_id } = {}) {
+    const where = {}
+    if (user_id) {
+      where.user_id = user_id
+    }
+    if (kit_id) {
+      where.kit_id = kit_id
+    }
+
+    return AssetKitIssue.findAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'issuer', attributes: USER_ATTRIBUTES },
+      ],
+      order: [['created_at', 'DESC']],
+    })
+  }
+
+  // Available assets for every kit item, locked until the issue commits
+  async _pickAssets(kit, { accessScope, transaction }) {
+    const picked = []
+    const shortages = []
+
+    for (const item of kit.items) {
+      const conditions = [
+        {
+          asset_id: {
+            [Op.notIn]: sequelize.literal(
+              `(SELECT asset_id FROM asset_transactions WHERE deleted_at IS NULL AND status IN (${OPEN_TRANSACTION_STATUSES.map((status) => sequelize.escape(status)).join(', ')}))`,
+            ),
+          },
+        },
+      ]
+      if (picked.length) {
+        conditions.push({
+          asset_id: { [Op.notIn]: picked.map((asset) => asset.asset_id) },
+        })
+      }
+      if (accessScope) {
+        conditions.push(accessScopeService.buildAssetWhere(accessScope))
+      }
+
+      const assets = await Asset.findAll({
+        where: {
+          category_id: item.category_id,
+          status: ASSET_STATUS.AVAILABLE,
+          approval_status: 'APPROVED',
+          assigned_to: null,
+          [Op.and]: conditions,
+        },
+        order: [['asset_id', 'ASC']],
+        limit: item.quantity,
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      })
+
+      if (assets.length < item.quantity) {
+        shortages.push(
+          `${item.category?.name || `category ${item.category_id}`} (${assets.length} of ${item.quantity} available)`,
+        )
+      }
+      picked.push(...assets)
+    }
+
+    if (shortages.length) {
+      throw serviceError(
+        `Not enough available assets to issue this kit: ${shortages.join(', ')}`,
+        409,
+      )
+    }
+    return picked
+  }
+
+  // One notification for the user; events and webhooks per transaction (the
+  // asset webhooks are sent by assetService.update)
+  async _announce(handover, issuedBy) {
+    await notificationService.notifyKitIssued(handover, { actorId: issuedBy })
+
+    for (const { transaction_id: transactionId } of handover.transactions) {
+      const transaction = await AssetTransaction.findByPk(transactionId, {
+        include: [
+          {
+            model: Asset,
+            as: 'asset',
+            attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode'],
+          },
+        ],
+      })
+      eventStreamService.publishTransaction(transaction)
+      await webhookService.dispatchTransaction(transaction)
+    }
+  }
+
+  async _validate(data, { partial, kitId = null }) {
+    const values = {}
+
+    if (!partial || data.name !== undefined) {
+      const name = String(data.name || '').trim()
+      if (!name || name.length > 100) {
+        throw serviceError('name is required (max 100 characters)', 400)
+      }
+      const existing = await AssetKit.findOne({
+        where: { name },
+        attributes: ['kit_id'],
+      })
+      if (existing && existing.kit_id !== kitId) {
+        throw serviceError(`A kit named "${name}" already exists`, 409)
+      }
+      values.name = name
+    }
+
+    if (data.description !== undefined) {
+      values.description = data.description ? String(data.description) : null
+    }
+
+    if (data.department_id !== undefined) {
+      if (data.department_id === null || data.department_id === '') {
+        values.department_id = null
+      } else {
+        const department = await Department.findByPk(data.department_id, {
+          attributes: ['department_id'],
+        })
+        if (!department) {
+          throw serviceError('department_id must be an existing department', 400)
+        }
+        values.department_id = department.department_id
+      }
+    }
+
+    if (data.position !== undefined) {
+      const position = data.position ? String(data.position).trim() : ''
+      if (position.length > 100) {
+        throw serviceError('position must be at most 100 characters', 400)
+      }
+      values.position = position || null
+    }
+
+    if (data.is_active !== undefined) {
+      values.is_active = Boolean(data.is_active)
+    }
+
+    if (!partial || data.items !== undefined) {
+      values.items = await this._validateItems(data.items)
+    }
+
+    return values
+  }
+
+  async _validateItems(items) {
+    if (!Array.isArray(items) || !items.length || items.length > MAX_ITEMS) {
+      throw serviceError(
+        `items must be an array of 1 to ${MAX_ITEMS} { category_id, quantity }`,
+        400,
+      )
+    }
+
+    const quantities = new Map()
+    items.forEach((item) => {
+      const categoryId = parseInt(item?.category_id, 10)
+      const quantity = item?.quantity === undefined ? 1 : parseInt(item.quantity, 10)
+      if (!Number.isInteger(categoryId) || categoryId <= 0) {
+        throw serviceError('category_id must be a positive integer', 400)
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        throw serviceError(`quantity must be between 1 and ${MAX_QUANTITY}`, 400)
+      }
+      quantities.set(categoryId, (quantities.get(categoryId) || 0) + quantity)
+    })
+
+    const categoryIds = [...quantities.keys()]
+    const found = await AssetCategory.count({
+      where: { category_id: { [Op.in]: categoryIds } },
+    })
+    if (found !== categoryIds.length) {
+      throw serviceError('Unknown category in items', 400)
+    }
+
+    return categoryIds.map((categoryId) => ({
+      category_id: categoryId,
+      quantity: Math.min(quantities.get(categoryId), MAX_QUANTITY),
+    }))
+  }
+}
+
+module.exports = new AssetKitService()
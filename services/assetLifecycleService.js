@@ -0,0 +1,111 @@
+'use strict'
+
+const { Asset, AssetCategory, AssetCategoryClass } = require('../models')
+const { normalizeLifecycle } = require('../utils/assetLifecycle')
+
+/**
+ * Asset status state machine. Each asset category class may declare its own
+ * lifecycle; assets without a class (or whose class declares none) follow
+ * DEFAULT_ASSET_LIFECYCLE.
+ */
+class AssetLifecycleService {
+  /**
+   * Resolve the lifecycle that applies to an asset through its category class.
+   * @param {Object} asset - Asset instance or plain row with category_id
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Sequelize transaction
+   */
+  async getLifecycleForAsset(asset, { transaction = null } = {}) {
+    if (!asset?.category_id) {
+      return normalizeLifecycle(null)
+    }
+
+    const category = await AssetCategory.findByPk(asset.category_id, {
+      attributes: ['category_id', 'asset_class_id'],
+      include: [
+        {
+          model: AssetCategoryClass,
+          as: 'assetClass',
+          attributes: ['asset_class_id', 'lifecycle'],
+          required: false,
+        },
+      ],
+      transaction,
+    })
+
+    return normalizeLifecycle(category?.assetClass?.lifecycle || null)
+  }
+
+  /**
+   * Throw a 409 error when the asset may not move to `nextStatus`. Keeping the
+   * current status is always allowed.
+   * @param {Object} asset - Asset instance or plain row (status, category_id)
+   * @param {string} nextStatus
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Sequelize transaction
+   */
+  async assertTransition(asset, nextStatus, options = {}) {
+    if (!asset || nextStatus === undefined || nextStatus === asset.status) {
+      return
+    }
+
+    const lifecycle = await this.getLifecycleForAsset(asset, options)
+    const allowedStatuses = this._allowedFrom(lifecycle, asset.status)
+    if (allowedStatuses.includes(nextStatus)) {
+      return
+    }
+
+    const error = new Error(
+      `Cannot change asset status from "${asset.status}" to "${nextStatus}". ` +
+        (allowedStatuses.length
+          ? `Allowed next statuses: ${allowedStatuses.join(', ')}`
+          : `No status changes are allowed from "${asset.status}"`),
+    )
+    error.statusCode = 409
+    error.code = 'INVALID_STATUS_TRANSITION'
+    error.currentStatus = asset.status
+    error.requestedStatus = nextStatus
+    error.allowedStatuses = allowedStatuses
+    throw error
+  }
+
+  /**
+   * Status an asset moves to when one of its transactions reaches
+   * `transactionStatus`, after checking the move is allowed. Returns null when
+   * the transaction does not change the asset status.
+   * @param {Object} assetTransaction - AssetTransaction instance
+   * @param {string} transactionStatus - Status the transaction is moving to
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @returns {Promise<string|null>}
+   */
+  async resolveTransactionStatus(assetTransaction, transactionStatus, options = {}) {
+    const asset =
+      assetTransaction.asset ||
+      (await Asset.findByPk(assetTransaction.asset_id, {
+        transaction: options.transaction || null,
+      }))
+    if (!asset) {
+      return null
+    }
+
+    const lifecycle = await this.getLifecycleForAsset(asset, options)
+    const nextStatus =
+      lifecycle.actions[assetTransaction.action]?.[transactionStatus] || null
+    if (!nextStatus) {
+      return null
+    }
+
+    await this.assertTransition(asset, nextStatus, options)
+    return nextStatus
+  }
+
+  _allowedFrom(lifecycle, status) {
+    const targets = lifecycle.transitions[status]
+    return Array.isArray(targets)
+      ? targets.filter((target) => lifecycle.statuses.includes(target))
+      : []
+  }
+}
+
+module.exports = new AssetLifecycleService()
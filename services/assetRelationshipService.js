@@ -0,0 +1,589 @@
+'use strict'
+
+const { Op } = require('sequelize')
+const {
+  AssetRelationship,
+  AssetRelationshipType,
+  Asset,
+  AssetCategory,
+  sequelize,
+} = require('../models')
+const assetHistoryService = require('./assetHistoryService')
+const accessScopeService = require('./accessScopeService')
+
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/
+const TYPE_FIELDS = [
+  'name',
+  'display_name',
+  'inverse_name',
+  'description',
+  'is_directional',
+  'propagates_impact',
+]
+const DEFAULT_IMPACT_DEPTH = 3
+const MAX_IMPACT_DEPTH = 10
+const ASSET_ATTRIBUTES = [
+  'asset_id',
+  'asset_tag',
+  'barcode',
+  'status',
+  'category_id',
+  'assigned_to',
+  'department_id',
+  'location_id',
+  'building_id',
+]
+const ASSET_INCLUDE = [
+  { model: AssetCategory, as: 'category', attributes: ['category_id', 'name'] },
+]
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const describe = (asset) =>
+  asset.asset_tag ? `${asset.asset_tag} (#${asset.asset_id})` : `#${asset.asset_id}`
+
+/**
+ * Typed links between assets, CMDB style: "App server depends on Core
+ * switch", "Switch A connected to Switch B". Relationship types are
+ * configurable; directional types read source -> target, non-directional
+ * types link both assets the same way. Impact analysis walks the links of
+ * types that propagate impact, from an asset to everything that would be
+ * affected by its outage.
+ */
+class AssetRelationshipService {
+  /**
+   * Relationship types with the number of links of each.
+   * @returns {Promise<Array<Object>>}
+   */
+  async listTypes() {
+    const [types, counts] = await Promise.all([
+      AssetRelationshipType.findAll({
+        order: [['is_system', 'DESC'], ['name', 'ASC']],
+      }),
+      AssetRelationship.findAll({
+        attributes: [
+          'relationship_type_id',
+          [sequelize.fn('COUNT', sequelize.col('asset_relationship_id')), 'count'],
+        ],
+        group: ['relationship_type_id'],
+        raw: true,
+      }),
+    ])
+
+    const countByType = {}
+    counts.forEach((row) => {
+      countByType[row.relationship_type_id] = Number(row.count)
+    })
+
+    return types.map((type) => ({
+      ...type.get({ plain: true }),
+      relationship_count: countByType[type.relationship_type_id] || 0,
+    }))
+  }
+
+  /**
+   * Create a relationship type.
+   * @param {Object} data - name, display_name, inverse_name, description,
+   *   is_directional, propagates_impact
+   * @returns {Promise<Object>}
+   */
+  async createType(data = {}) {
+    const values = this._validateType(data, { partial: false })
+    if (await AssetRelationshipType.count({ where: { name: values.name } })) {
+      throw serviceError(`Relationship type "${values.name}" already exists`, 409)
+    }
+
+    const type = await AssetRelationshipType.create({ ...values, is_system: false })
+    return { ...type.get({ plain: true }), relationship_count: 0 }
+  }
+
+  /**
+   * Update a relationship type. The name cannot change, and the direction
+   * cannot change while links of the type exist.
+   * @returns {Promise<Object|null>} Null when the type does not exist
+   */
+  async updateType(id, data = {}) {
+    const type = await AssetRelationshipType.findByPk(id)
+    if (!type) {
+      return null
+    }
+    if (data.name !== undefined && data.name !== type.name) {
+      throw serviceError('Relationship type name cannot be changed', 400)
+    }
+
+    const { name, ...values } = this._validateType(data, { partial: true })
+    const relationshipCount = await AssetRelationship.count({
+      where: { relationship_type_id: type.relationship_type_id },
+    })
+    if (
+      values.is_directional !== undefined &&
+      values.is_directional !== type.is_directional &&
+      relationshipCount
+    ) {
+      throw serviceError(
+        `The direction of a type in use by ${relationshipCount} relationship(s) cannot be changed`,
+        409,
+      )
+    }
+
+    await type.update(values)
+    return { ...type.get({ plain: true }), relationship_count: relationshipCount }
+  }
+
+  /**
+   * Delete a custom relationship type that no link uses.
+   * @returns {Promise<boolean>} False when the type does not exist
+   */
+  async deleteType(id) {
+    const type = await AssetRelationshipType.findByPk(id)
+    if (!type) {
+      return false
+    }
+    if (type.is_system) {
+      throw serviceError('Built-in relationship types cannot be deleted', 400)
+    }
+
+    const relationshipCount = await AssetRelationship.count({
+      where: { relationship_type_id: type.relationship_type_id },
+    })
+    if (relationshipCount) {
+      throw serviceError(
+        `Relationship type is used by ${relationshipCount} relationship(s). Unlink them first.`,
+        409,
+      )
+    }
+
+    await type.destroy()
+    return true
+  }
+
+  /**
+   * Links of an asset, each described from the asset's side: `direction` is
+   * outgoing when the asset is the source, and `label` is the type's display
+   * name or, for incoming links, its inverse name.
+   * @param {number} assetId
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Out-of-scope assets are
+   *   treated as not found, and links to them are left out
+   * @returns {Promise<Array<Object>|null>} Null when the asset is not found
+   */
+  async listForAsset(assetId, { accessScope = null } = {}) {
+    if (!(await accessScopeService.isAssetInScope(assetId, accessScope))) {
+      return null
+    }
+
+    const relationships = await AssetRelationship.findAll({
+      where: {
+        [Op.or]: [{ source_asset_id: assetId }, { target_asset_id: assetId }],
+      },
+      include: [
+        { model: AssetRelationshipType, as: 'type' },
+        { model: Asset, as: 'source', attributes: ASSET_ATTRIBUTES, include: ASSET_INCLUDE },
+        { model: Asset, as: 'target', attributes: ASSET_ATTRIBUTES, include: ASSET_INCLUDE },
+      ],
+      order: [['relationship_type_id', 'ASC'], ['created_at', 'ASC']],
+    })
+
+    return relationships
+      .map((relationship) => this._fromSide(relationship, Number(assetId)))
+      .filter(
+        (item) =>
+          item.asset && accessScopeService.assetMatchesScope(item.asset, accessScope),
+      )
+  }
+
+  /**
+   * Link two assets.
+   * @param {Object} data
+   * @param {number} data.source_asset_id
+   * @param {number} data.target_asset_id
+   * @param {number} [data.relationship_type_id]
+   * @param {string} [data.relationship_type] - Type name, instead of the id
+   * @param {string} [data.notes]
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Both assets must be in scope
+   * @param {number} [options.createdBy]
+   * @param {Object} [options.context] - Audit context from
+   *   assetHistoryService.buildContext
+   * @returns {Promise<Object>} The link, from the source's side
+   */
+  async link(data = {}, { accessScope = null, createdBy = null, context = null } = {}) {
+    const sourceId = Number(data.source_asset_id)
+    const targetId = Number(data.target_asset_id)
+    if (!sourceId || !targetId) {
+      throw serviceError('source_asset_id and target_asset_id are required', 400)
+    }
+    if (sourceId === targetId) {
+      throw serviceError('An asset cannot be related to itself', 400)
+    }
+
+    const type = await this._resolveType(data)
+    const [source, target] = await Promise.all([
+      this._findInScope(sourceId, accessScope, 'Source asset not found'),
+      this._findInScope(targetId, accessScope, 'Target asset not found'),
+    ])
+
+    // Non-directional links are the same whichever asset is the source
+    const pairs = [{ source_asset_id: sourceId, target_asset_id: targetId }]
+    if (!type.is_directional) {
+      pairs.push({ source_asset_id: targetId, target_asset_id: sourceId })
+    }
+    const existing = await AssetRelationship.count({
+      where: { relationship_type_id: type.relationship_type_id, [Op.or]: pairs },
+    })
+    if (existing) {
+      throw serviceError(
+        `${describe(source)} is already ${type.display_name} ${describe(target)}`,
+        409,
+      )
+    }
+
+    const transaction = await sequelize.transaction()
+    let relationship
+    try {
+      relationship = await AssetRelationship.create(
+        {
+          relationship_type_id: type.relationship_type_id,
+          source_asset_id: sourceId,
+          target_asset_id: targetId,
+          notes: data.notes ? String(data.notes).trim() : null,
+          created_by: createdBy,
+        },
+        { transaction },
+      )
+      await this._recordChange({
+        type,
+        source,
+        target,
+        linked: true,
+        context,
+        transaction,
+      })
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+
+    relationship.setDataValue('type', type)
+    relationship.setDataValue('source', source)
+    relationship.setDataValue('target', target)
+    return this._fromSide(relationship, sourceId)
+  }
+
+  /**
+   * Remove a link.
+   * @param {number} relationshipId
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Both assets must be in scope
+   * @param {Object} [options.context] - Audit context
+   * @returns {Promise<boolean>} False when the link does not exist
+   */
+  async unlink(relationshipId, { accessScope = null, context = null } = {}) {
+    const relationship = await AssetRelationship.findByPk(relationshipId, {
+      include: [{ model: AssetRelationshipType, as: 'type' }],
+    })
+    if (!relationship) {
+      return false
+    }
+
+    const [source, target] = await Promise.all([
+      Asset.findByPk(relationship.source_asset_id, { attributes: ASSET_ATTRIBUTES }),
+      Asset.findByPk(relationship.target_asset_id, { attributes: ASSET_ATTRIBUTES }),
+    ])
+    if (
+      !accessScopeService.assetMatchesScope(source, accessScope) ||
+      !accessScopeService.assetMatchesScope(target, accessScope)
+    ) {
+      return false
+    }
+
+    const transaction = await sequelize.transaction()
+    try {
+      await relationship.destroy({ transaction })
+      await this._recordChange({
+        type: relationship.type,
+        source,
+        target,
+        linked: false,
+        context,
+        transaction,
+      })
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * Assets affected by an outage of `assetId`, up to `depth` hops away. An
+   * outage of a directional link's target affects its source (what depends
+   * on a switch breaks with it); non-directional links affect both ends.
+   * Only types with propagates_impact are followed. Each impacted asset
+   * comes with the hop count and the path of asset ids from the root.
+   * @param {number} assetId
+   * @param {Object} [options]
+   * @param {number} [options.depth=3] - Hops to walk (1-10)
+   * @param {Object|null} [options.accessScope] - The walk covers the whole
+   *   graph, but out-of-scope assets are left out of the result; where a path
+   *   or `via` passes through one, its id is null
+   * @returns {Promise<Object|null>} Null when the asset is not found
+   */
+  async getImpact(assetId, { depth, accessScope = null } = {}) {
+    const maxHops = depth === undefined || depth === null || depth === ''
+      ? DEFAULT_IMPACT_DEPTH
+      : Number(depth)
+    if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > MAX_IMPACT_DEPTH) {
+      throw serviceError(`depth must be an integer from 1 to ${MAX_IMPACT_DEPTH}`, 400)
+    }
+
+    const root = await Asset.findByPk(assetId, {
+      attributes: ASSET_ATTRIBUTES,
+      include: ASSET_INCLUDE,
+    })
+    if (!root || !accessScopeService.assetMatchesScope(root, accessScope)) {
+      return null
+    }
+
+    // asset_id -> { hops, via: { asset_id, relationship_id, relationship } }
+    const reached = new Map([[root.asset_id, { hops: 0, via: null }]])
+    let frontier = [root.asset_id]
+    for (let hops = 1; hops <= maxHops && frontier.length; hops += 1) {
+      const relationships = await AssetRelationship.findAll({
+        where: {
+          [Op.or]: [
+            { target_asset_id: frontier },
+            { source_asset_id: frontier },
+          ],
+        },
+        include: [
+          {
+            model: AssetRelationshipType,
+            as: 'type',
+            where: { propagates_impact: true },
+          },
+        ],
+      })
+
+      const inFrontier = new Set(frontier)
+      const next = []
+      const reach = (affectedId, fromId, relationship, label) => {
+        if (reached.has(affectedId)) return
+        reached.set(affectedId, {
+          hops,
+          via: {
+            asset_id: fromId,
+            relationship_id: relationship.asset_relationship_id,
+            relationship: label,
+          },
+        })
+        next.push(affectedId)
+      }
+      relationships.forEach((relationship) => {
+        const { source_asset_id: sourceId, target_asset_id: targetId, type } =
+          relationship
+        if (inFrontier.has(targetId)) {
+          reach(sourceId, targetId, relationship, type.display_name)
+        }
+        if (inFrontier.has(sourceId) && !type.is_directional) {
+          reach(targetId, sourceId, relationship, type.inverse_name || type.display_name)
+        }
+      })
+      frontier = next
+    }
+
+    reached.delete(root.asset_id)
+    const assets = reached.size
+      ? await Asset.findAll({
+        where: { asset_id: [...reached.keys()] },
+        attributes: ASSET_ATTRIBUTES,
+        include: ASSET_INCLUDE,
+      })
+      : []
+
+    const visible = assets.filter((asset) =>
+      accessScopeService.assetMatchesScope(asset, accessScope),
+    )
+    const visibleIds = new Set([
+      root.asset_id,
+      ...visible.map((asset) => asset.asset_id),
+    ])
+    const maskId = (id) => (visibleIds.has(id) ? id : null)
+
+    const pathTo = (id) => {
+      const path = [id]
+      let step = reached.get(id)
+      while (step && step.via) {
+        path.unshift(maskId(step.via.asset_id))
+        step = reached.get(step.via.asset_id)
+      }
+      return path
+    }
+    const viaOf = (id) => {
+      const { via } = reached.get(id)
+      return visibleIds.has(via.asset_id)
+        ? via
+        : { ...via, asset_id: null, relationship_id: null }
+    }
+
+    const impacted = visible
+      .map((asset) => ({
+        ...asset.get({ plain: true }),
+        hops: reached.get(asset.asset_id).hops,
+        via: viaOf(asset.asset_id),
+        path: pathTo(asset.asset_id),
+      }))
+      .sort((a, b) => a.hops - b.hops || a.asset_id - b.asset_id)
+
+    return {
+      asset: root.get({ plain: true }),
+      depth: maxHops,
+      impacted_count: impacted.length,
+      hidden_count: assets.length - visible.length,
+      impacted,
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _resolveType({ relationship_type_id, relationship_type }) {
+    let type = null
+    if (relationship_type_id) {
+      type = await AssetRelationshipType.findByPk(relationship_type_id)
+    } else if (relationship_type) {
+      type = await AssetRelationshipType.findOne({
+        where: { name: String(relationship_type).trim().toLowerCase() },
+      })
+    } else {
+      throw serviceError('relationship_type_id or relationship_type is required', 400)
+    }
+    if (!type) {
+      throw serviceError('Relationship type not found', 400)
+    }
+    return type
+  }
+
+  /**
+   * @private
+   */
+  async _findInScope(assetId, accessScope, message) {
+    const asset = await Asset.findByPk(assetId, {
+      attributes: ASSET_ATTRIBUTES,
+      include: ASSET_INCLUDE,
+    })
+    if (!asset || !accessScopeService.assetMatchesScope(asset, accessScope)) {
+      throw serviceError(message, 404)
+    }
+    return asset
+  }
+
+  /**
+   * A link as seen from one of its assets.
+   * @private
+   */
+  _fromSide(relationship, assetId) {
+    const outgoing = relationship.source_asset_id === assetId
+    const type = relationship.get('type')
+    const other = relationship.get(outgoing ? 'target' : 'source')
+    return {
+      asset_relationship_id: relationship.asset_relationship_id,
+      relationship_type_id: relationship.relationship_type_id,
+      type: type.name,
+      direction: outgoing ? 'outgoing' : 'incoming',
+      label: outgoing || !type.is_directional
+        ? type.display_name
+        : type.inverse_name || type.display_name,
+      asset: other ? other.get({ plain: true }) : null,
+      notes: relationship.notes,
+      created_by: relationship.created_by,
+      created_at: relationship.created_at,
+    }
+  }
+
+  /**
+   * History entry on both assets of a link.
+   * @private
+   */
+  async _recordChange({ type, source, target, linked, context, transaction }) {
+    const sides = [
+      [source, `${type.display_name} ${describe(target)}`],
+      [target, `${type.inverse_name || type.display_name} ${describe(source)}`],
+    ]
+    for (const [asset, value] of sides) {
+      await assetHistoryService.record({
+        assetId: asset.asset_id,
+        changes: [
+          {
+            field_source: 'core',
+            field_name: 'relationships',
+            old_value: linked ? null : value,
+            new_value: linked ? value : null,
+          },
+        ],
+        context,
+        action: linked ? 'relationship_link' : 'relationship_unlink',
+        transaction,
+      })
+    }
+  }
+
+  _validateType(data, { partial }) {
+    const values = {}
+    TYPE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field]
+      }
+    })
+
+    if (!partial) {
+      const name = String(values.name || '').trim().toLowerCase()
+      if (!TYPE_NAME_PATTERN.test(name)) {
+        throw serviceError(
+          'name must be 2-50 characters: lowercase letters, digits and underscores, starting with a letter',
+          400,
+        )
+      }
+      values.name = name
+    }
+
+    if (!partial || values.display_name !== undefined) {
+      const displayName = String(values.display_name || '').trim()
+      if (!displayName || displayName.length > 100) {
+        throw serviceError('display_name is required (max 100 characters)', 400)
+      }
+      values.display_name = displayName
+    }
+
+    if (values.inverse_name !== undefined) {
+      const inverseName = values.inverse_name ? String(values.inverse_name).trim() : null
+      if (inverseName && inverseName.length > 100) {
+        throw serviceError('inverse_name must be at most 100 characters', 400)
+      }
+      values.inverse_name = inverseName
+    }
+
+    if (values.description !== undefined) {
+      values.description = values.description
+        ? String(values.description).trim()
+        : null
+    }
+
+    for (const field of ['is_directional', 'propagates_impact']) {
+      if (values[field] !== undefined && typeof values[field] !== 'boolean') {
+        throw serviceError(`${field} must be a boolean`, 400)
+      }
+    }
+
+    return values
+  }
+}
+
+module.exports = new AssetRelationshipService()
@@ -12,6 +12,11 @@ const {
   OrganizationSettings,
 } = require('../models')
 const { createAssetCrudService } = require('./crudServiceFactory')
+const assetHistoryService = require('./assetHistoryService')
+const trashService = require('./trashService')
+const assetLifecycleService = require('./assetLifecycleService')
+const webhookService = require('./webhookService')
+const accessScopeService = require('./accessScopeService')
 const logger = require('../utils/logger')
 const {
   TRANSACTION_ACTIONS,
@@ -23,6 +28,15 @@ const {
   generateAssetBarcodeNumber,
 } = require('../utils/barcodeGenerator')
 const { generateQrCodeFile } = require('../utils/qrGenerator')
+const { withDisposalDate } = require('../utils/depreciation')
+const {
+  warrantyExpiresOnAttribute,
+  buildWarrantyWhere,
+  getWarrantyStatus,
+  daysUntil,
+  toDateKey,
+  DEFAULT_EXPIRING_DAYS,
+} = require('../utils/warranty')
 const {
   uploadBase64Image,
   isCloudinaryConfigured,
@@ -36,6 +50,9 @@ const https = require('https')
 const { Op } = require('sequelize')
 
 const IDENTIFIER_REGEX = /^[A-Za-z0-9_]+$/
+// Columns only changed through dedicated services (containment is checked for
+// cycles by assetComponentService)
+const MANAGED_ASSET_FIELDS = ['parent_asset_id']
 const PRINT_LABEL_WIDTH = 400
 const PRINT_LABEL_HEIGHT = 200
 const PRINT_LABEL_SIDE_PADDING = 12
@@ -45,6 +62,24 @@ const PRINT_QR_SIZE = 128
 const PRINT_LOGO_MAX_WIDTH = 110
 const PRINT_LOGO_MAX_HEIGHT = 56
 const IMAGE_EXPORT_DOWNLOAD_CONCURRENCY = 4
+const EXPORT_BASE_HEADERS = [
+  'Asset ID',
+  'Asset Tag',
+  'Asset Class Tag',
+  // 'Asset Tag Groupx',
+  'Approval Status',
+  'Created By',
+  'Creator Email',
+  'Employee ID',
+  'Notes',
+  'Barcode',
+  'QR Code',
+  'Created At',
+  'Updated At',
+  'Warranty Provider',
+  'Warranty Ends',
+  'Warranty Status',
+]
 const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50
 const ZIP_LOCAL_FILE_HEADER = 0x04034b50
 const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50
@@ -94,10 +129,13 @@ class AssetService {
    * Create a new asset with automatic transaction creation
    * @param {Object} assetData - Asset data
    * @param {Object} user - User creating the asset
-   * @param {Object} additionalOptions - Additional Sequelize options
+   * @param {Object} additionalOptions - Additional Sequelize options, plus
+   *   `accessScope` of the user, which the asset must fall within (by
+   *   default the scope of the current request)
    * @returns {Object} Created asset with transaction
    */
   async createAsset(assetData, user, additionalOptions = {}) {
+    const { accessScope, ...createOptions } = additionalOptions
     const transaction = await Asset.sequelize.transaction()
     let barcodePath = null
     let qrCodePath = null
@@ -105,9 +143,16 @@ class AssetService {
     let orgLogoUrl = null
 
     try {
-      const { form_id, form_responses, ...coreAssetData } = assetData || {}
+      const { form_id, form_responses, ...coreAssetData } =
+        this._withoutManagedFields(assetData)
       const sanitizedCoreData = this._sanitizeAssetFields(coreAssetData)
 
+      if (form_id) {
+        await this.assertValidFormResponses(form_id, form_responses, {
+          transaction,
+        })
+      }
+
       // Fetch organization logo once per request for codesheet/logo QR generation
       try {
         const orgSettings = await OrganizationSettings.findOne()
@@ -163,7 +208,14 @@ class AssetService {
         active_form_id: form_id || coreAssetData?.active_form_id || null,
         created_by: createdBy,
         status: coreAssetData?.status || 'available',
+        // Without a department the asset belongs to the creator's
+        department_id:
+          sanitizedCoreData.department_id ?? user?.department_id ?? null,
       }
+      accessScopeService.assertAssetInScope(
+        assetDataWithCreator,
+        accessScopeService.resolveScope(accessScope),
+      )
 
       // Create the asset
       let asset
@@ -171,7 +223,7 @@ class AssetService {
       while (retries < 3) {
         try {
           asset = await Asset.create(assetDataWithCreator, {
-            ...additionalOptions,
+            ...createOptions,
             transaction,
           })
           break
@@ -310,10 +362,12 @@ class AssetService {
 
   async list(queryParams, additionalOptions = {}) {
     const normalizedParams = this._normalizeAssetFilters(queryParams)
-    const result = await this.crudService.list(
-      normalizedParams,
+    const warrantyFilter = this._parseWarrantyFilter(queryParams)
+    const listOptions = this._withWarrantyOptions(
       additionalOptions,
+      warrantyFilter,
     )
+    const result = await this.crudService.list(normalizedParams, listOptions)
 
     const {
       page,
@@ -324,10 +378,14 @@ class AssetService {
       ...filters
     } = normalizedParams
 
-    const summaryWhere = {
-      ...this.crudService._buildWhereClause(filters, search),
-      ...(additionalOptions.where || {}),
-    }
+    const summaryWhere = this.crudService._mergeWhere(
+      this.crudService._buildWhereClause(
+        filters,
+        search,
+        listOptions.accessScope,
+      ),
+      listOptions.where || {},
+    )
 
     const [totalApproved, totalPending] = await Promise.all([
       Asset.count({
@@ -344,21 +402,28 @@ class AssetService {
       }),
     ])
 
-    return this._withFlatFields({
-      ...result,
-      summary: {
-        totalCaptured: result.pagination?.totalItems || 0,
-        totalApproved,
-        totalPending,
+    return this._withFlatFields(
+      {
+        ...result,
+        summary: {
+          totalCaptured: result.pagination?.totalItems || 0,
+          totalApproved,
+          totalPending,
+        },
       },
-    })
+      warrantyFilter,
+    )
   }
 
   /**
    * Generic lookup for dynamic form options (e.g., dropdowns)
    * Supports table-based sources with label/value columns.
+   * @param {Object} params - Query parameters
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Limits lookups on assets and
+   *   their records; defaults to the scope of the current request
    */
-  async lookupOptions(params = {}) {
+  async lookupOptions(params = {}, { accessScope } = {}) {
     const {
       type = 'table',
       table,
@@ -494,6 +559,18 @@ class AssetService {
       replacements.parentId = parentId
     }
 
+    // Asset rows, and rows of an asset, are limited to the access scope
+    const scope = accessScopeService.resolveScope(accessScope)
+    if (scope && (table === 'assets' || tableDefinition.asset_id)) {
+      const scopeWhere =
+        table === 'assets'
+          ? accessScopeService.buildAssetWhere(scope)
+          : table === 'asset_transactions'
+            ? accessScopeService.buildTransactionWhere(scope)
+            : accessScopeService.buildAssetRecordWhere(scope)
+      whereClauses.push(`(${qg.getWhereConditions(scopeWhere, table)})`)
+    }
+
     if (whereClauses.length) {
       sql += ` WHERE ${whereClauses.join(' AND ')}`
     }
@@ -509,7 +586,10 @@ class AssetService {
   }
 
   async getById(id, additionalOptions = {}) {
-    const asset = await this.crudService.getById(id, additionalOptions)
+    const asset = await this.crudService.getById(
+      id,
+      this._withWarrantyOptions(additionalOptions),
+    )
     return this._attachFields(asset)
   }
 
@@ -519,21 +599,115 @@ class AssetService {
     return this.getById(parsedId, additionalOptions)
   }
 
+  /**
+   * Update core columns and/or form responses of an asset.
+   * Every changed field is appended to the asset history in the same
+   * database transaction as the update itself. Status changes must follow the
+   * lifecycle of the asset's category class (409 otherwise).
+   * @param {number} id - Asset ID
+   * @param {Object} data - Core columns plus optional form_id/form_responses
+   * @param {Object} additionalOptions - Sequelize options; `auditContext`
+   *   ({ changedBy, requestId, action }) attributes the history entries and
+   *   `accessScope` limits the update to assets within the scope (by default
+   *   the scope of the current request; null for none); `webhookContext` is
+   *   added to the asset change webhooks (e.g. { transaction_id }). Given a
+   *   `transaction`, a core-only update runs in it and sends its webhooks once
+   *   it commits.
+   * @returns {Object|null} Updated asset, or null when not found
+   */
   async update(id, data = {}, additionalOptions = {}) {
+    const {
+      auditContext = null,
+      webhookContext = {},
+      ...options
+    } = additionalOptions || {}
+    const accessScope = accessScopeService.resolveScope(options.accessScope)
+    const queryOptions = { ...options, accessScope }
+    data = this._withoutManagedFields(data)
     const { form_id, form_responses, ...coreData } = data
 
     if (!form_id && !form_responses) {
-      const result = await this.crudService.update(id, data, additionalOptions)
-      // Regenerate barcode if asset_tag or asset_tag_group changed
-      if (result && (data.asset_tag || data.asset_tag_group)) {
-        try {
-          await this._regenerateAssetCodes(id)
-        } catch (error) {
-          logger.error('Failed to regenerate asset codes after update', {
-            asset_id: id,
-            error: error.message,
+      const outerTransaction = options.transaction || null
+      const transaction =
+        outerTransaction || (await Asset.sequelize.transaction())
+      let before
+      let result
+      try {
+        before = await Asset.findByPk(id, { transaction })
+        if (before && accessScope) {
+          // Out-of-scope assets are treated as not found
+          if (!accessScopeService.assetMatchesScope(before, accessScope)) {
+            if (!outerTransaction) {
+              await transaction.rollback()
+            }
+            return null
+          }
+          accessScopeService.assertAssetInScope(
+            { ...before.get({ plain: true }), ...data },
+            accessScope,
+          )
+        }
+        await assetLifecycleService.assertTransition(before, data.status, {
+          transaction,
+        })
+        result = await this.crudService.update(
+          id,
+          withDisposalDate(before, data),
+          {
+            ...queryOptions,
+            transaction,
+          },
+        )
+
+        if (result && before) {
+          await assetHistoryService.record({
+            assetId: before.asset_id,
+            changes: assetHistoryService.diffCoreFields(
+              before.get({ plain: true }),
+              result,
+            ),
+            context: auditContext,
+            action: auditContext?.action,
+            transaction,
           })
         }
+
+        if (!outerTransaction) {
+          await transaction.commit()
+        }
+      } catch (error) {
+        if (!outerTransaction) {
+          await transaction.rollback()
+        }
+        throw error
+      }
+
+      const afterCommit = async () => {
+        if (result && before) {
+          await webhookService.dispatchAssetChanges(
+            before,
+            result,
+            webhookContext,
+          )
+        }
+
+        // Regenerate barcode if asset_tag or asset_tag_group changed
+        if (result && (data.asset_tag || data.asset_tag_group)) {
+          try {
+            await this._regenerateAssetCodes(id)
+          } catch (error) {
+            logger.error('Failed to regenerate asset codes after update', {
+              asset_id: id,
+              error: error.message,
+            })
+          }
+        }
+      }
+
+      if (outerTransaction) {
+        outerTransaction.afterCommit(afterCommit)
+      } else {
+        await afterCommit()
       }
       return result
     }
@@ -541,13 +715,26 @@ class AssetService {
     const transaction = await Asset.sequelize.transaction()
 
     try {
-      const sanitizedCoreData = this._sanitizeAssetFields(coreData)
       const asset = await Asset.findByPk(id, { transaction })
-      if (!asset) {
+      if (!asset || !accessScopeService.assetMatchesScope(asset, accessScope)) {
         await transaction.rollback()
         return null
       }
+      const sanitizedCoreData = this._sanitizeAssetFields(
+        withDisposalDate(asset, coreData),
+      )
+      if (accessScope) {
+        accessScopeService.assertAssetInScope(
+          { ...asset.get({ plain: true }), ...sanitizedCoreData },
+          accessScope,
+        )
+      }
+
+      await assetLifecycleService.assertTransition(asset, coreData.status, {
+        transaction,
+      })
 
+      const before = asset.get({ plain: true })
       const effectiveFormId = form_id || asset.active_form_id || null
       const existingResponses = effectiveFormId
         ? await this._fetchFormResponsesMap(id, transaction)
@@ -618,23 +805,49 @@ class AssetService {
         )
       }
 
+      const historyChanges = []
+      const afterRow = await Asset.findByPk(id, { transaction })
+      if (afterRow) {
+        historyChanges.push(
+          ...assetHistoryService.diffCoreFields(
+            before,
+            afterRow.get({ plain: true }),
+          ),
+        )
+      }
+
       if (
         effectiveFormId &&
         form_responses &&
         Object.keys(form_responses).length
       ) {
-        const { processedResponses } = await this._saveFormResponses(
+        const { processedResponses, changes } = await this._saveFormResponses(
           asset,
           effectiveFormId,
           form_responses,
           transaction,
         )
         Object.assign(mergedFormResponses, processedResponses)
+        historyChanges.push(...changes)
       }
 
+      await assetHistoryService.record({
+        assetId: asset.asset_id,
+        changes: historyChanges,
+        context: auditContext,
+        action: auditContext?.action,
+        transaction,
+      })
+
       await transaction.commit()
 
-      const updated = await this.crudService.getById(id, additionalOptions)
+      await webhookService.dispatchAssetChanges(
+        before,
+        afterRow,
+        webhookContext,
+      )
+
+      const updated = await this.crudService.getById(id, queryOptions)
       const updatedAttached = this._attachFields(updated)
 
       // Rebuild QR code after updates so scans show latest core/form details
@@ -662,7 +875,7 @@ class AssetService {
 
       try {
         await this._regenerateAssetCodes(id)
-        const refreshed = await this.crudService.getById(id, additionalOptions)
+        const refreshed = await this.crudService.getById(id, queryOptions)
         return this._attachFields(refreshed)
       } catch (error) {
         logger.error('Failed to regenerate asset codes after update', {
@@ -682,12 +895,38 @@ class AssetService {
     return this.update(id, data, additionalOptions)
   }
 
-  async delete(id, additionalOptions) {
-    return this.crudService.delete(id, additionalOptions)
+  /**
+   * Move an asset and its related records to the trash.
+   * @param {number} id - Asset ID
+   * @param {Object} [additionalOptions]
+   * @param {Object} [additionalOptions.auditContext] - { changedBy, requestId }
+   * @param {Object} [additionalOptions.accessScope] - Only delete an asset
+   *   within this scope; defaults to the scope of the current request
+   * @returns {Promise<boolean>} False when the asset does not exist
+   */
+  async delete(id, { auditContext = null, accessScope } = {}) {
+    if (!(await accessScopeService.isAssetInScope(id, accessScope))) {
+      return false
+    }
+    const trashed = await trashService.trashAssets([id], { auditContext })
+    return trashed > 0
   }
 
-  async bulkDelete(ids, additionalOptions) {
-    return this.crudService.bulkDelete(ids, additionalOptions)
+  /**
+   * Move several assets to the trash.
+   * @param {Array<number>} ids - Asset IDs
+   * @param {Object} [additionalOptions]
+   * @param {Object} [additionalOptions.auditContext] - { changedBy, requestId }
+   * @param {Object} [additionalOptions.accessScope] - Assets outside this
+   *   scope are skipped; defaults to the scope of the current request
+   * @returns {Promise<number>} Number of assets trashed
+   */
+  async bulkDelete(ids, { auditContext = null, accessScope } = {}) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('IDs array is required and must not be empty')
+    }
+
+    return trashService.trashAssets(ids, { auditContext, accessScope })
   }
 
   async exists(id) {
@@ -721,10 +960,14 @@ class AssetService {
       const normalizedParams = this._normalizeAssetFilters(queryParams)
       const userQueryParams = { ...normalizedParams, assigned_to: userId }
 
-      // Use the existing list method with user filter
+      // Use the existing list method with user filter. A user's own assets
+      // are listed whatever their access scope.
       const result = await this.crudService.list(
         userQueryParams,
-        additionalOptions,
+        this._withWarrantyOptions(
+          { ...additionalOptions, accessScope: null },
+          this._parseWarrantyFilter(queryParams),
+        ),
       )
 
       logger.info('User assets retrieved successfully', {
@@ -772,18 +1015,28 @@ class AssetService {
       }
     }
 
-    const controllerOptions = {
-      ...additionalOptions,
-      ...(Object.keys(rangeWhere).length ? { where: rangeWhere } : {}),
-    }
+    const warrantyFilter = this._parseWarrantyFilter(queryParams)
+    const controllerOptions = this._withWarrantyOptions(
+      {
+        ...additionalOptions,
+        ...(Object.keys(rangeWhere).length ? { where: rangeWhere } : {}),
+      },
+      warrantyFilter,
+    )
 
     const result = await this.crudService.list(filters, controllerOptions)
 
-    return this._withFlatFields(result)
+    return this._withFlatFields(result, warrantyFilter)
   }
 
-  async exportAssetsArchive() {
-    const exportData = await this._prepareAssetsExportData()
+  /**
+   * Export assets and their images to a ZIP archive.
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Only assets within the
+   *   scope; defaults to the scope of the current request
+   */
+  async exportAssetsArchive({ accessScope } = {}) {
+    const exportData = await this._prepareAssetsExportData({ accessScope })
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
     const exportsDir = path.join(__dirname, '../public/exports')
     await fs.mkdir(exportsDir, { recursive: true })
@@ -809,8 +1062,25 @@ class AssetService {
     }
   }
 
-  async exportAssetsExcel() {
-    const exportData = await this._prepareAssetsExportData({ includeImages: false })
+  /**
+   * Export assets to an Excel workbook, one sheet per form.
+   * @param {Object} [filters]
+   * @param {string} [filters.warrantyStatus] - Only assets with this WARRANTY_STATUS
+   * @param {number} [filters.warrantyDays] - "Expiring within" window in days
+   * @param {Object|null} [filters.accessScope] - Only assets within the
+   *   scope; defaults to the scope of the current request
+   */
+  async exportAssetsExcel({
+    warrantyStatus = null,
+    warrantyDays,
+    accessScope,
+  } = {}) {
+    const exportData = await this._prepareAssetsExportData({
+      includeImages: false,
+      warrantyStatus,
+      warrantyDays,
+      accessScope,
+    })
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
     const exportsDir = path.join(__dirname, '../public/exports')
     await fs.mkdir(exportsDir, { recursive: true })
@@ -827,6 +1097,106 @@ class AssetService {
     }
   }
 
+  /**
+   * Write a fixed-asset register (from depreciationService.getFixedAssetRegister)
+   * to an XLSX workbook with by-category, by-department and per-asset sheets.
+   * @param {Object} register
+   * @returns {Promise<{fileName: string, publicPath: string, assetCount: number}>}
+   */
+  async exportFixedAssetRegister(register) {
+    const movementHeaders = [
+      'Opening Value',
+      'Additions',
+      'Depreciation',
+      'Disposals',
+      'Closing Value',
+    ]
+    const movementColumns = (row) => ({
+      'Opening Value': row.opening_value,
+      Additions: row.additions,
+      Depreciation: row.depreciation,
+      Disposals: row.disposals,
+      'Closing Value': row.closing_value,
+    })
+    const totalRow = (label) => ({
+      [label]: 'Total',
+      'Asset Count': register.totals.asset_count,
+      ...movementColumns(register.totals),
+    })
+
+    const worksheets = [
+      {
+        name: 'By Category',
+        headers: ['Category', 'Asset Count', ...movementHeaders],
+        rows: [
+          ...register.by_category.map((group) => ({
+            Category: group.category_name,
+            'Asset Count': group.asset_count,
+            ...movementColumns(group),
+          })),
+          totalRow('Category'),
+        ],
+      },
+      {
+        name: 'By Department',
+        headers: ['Department', 'Asset Count', ...movementHeaders],
+        rows: [
+          ...register.by_department.map((group) => ({
+            Department: group.department_name,
+            'Asset Count': group.asset_count,
+            ...movementColumns(group),
+          })),
+          totalRow('Department'),
+        ],
+      },
+      {
+        name: 'Assets',
+        headers: [
+          'Asset ID',
+          'Asset Tag',
+          'Category',
+          'Department',
+          'Status',
+          'Purchase Date',
+          'Purchase Cost',
+          'Method',
+          'Annual Rate (%)',
+          'Disposal Date',
+          ...movementHeaders,
+        ],
+        rows: register.assets.map((row) => ({
+          'Asset ID': row.asset_id,
+          'Asset Tag': row.asset_tag,
+          Category: row.category_name,
+          Department: row.department_name,
+          Status: row.status,
+          'Purchase Date': row.purchase_date,
+          'Purchase Cost': row.purchase_cost,
+          Method: row.depreciation_method,
+          'Annual Rate (%)': row.depreciation_rate,
+          'Disposal Date': row.disposal_date,
+          ...movementColumns(row),
+        })),
+      },
+    ]
+
+    const exportsDir = path.join(__dirname, '../public/exports')
+    await fs.mkdir(exportsDir, { recursive: true })
+    const fileName = `fixed-asset-register-${register.period_start}-to-${register.period_end}.xlsx`
+    const publicPath = `/exports/${fileName}`
+
+    await fs.writeFile(
+      path.join(exportsDir, fileName),
+      this._buildXlsxBuffer(worksheets),
+    )
+
+    return {
+      fileName,
+      publicPath,
+      assetCount: register.assets.length,
+    }
+  }
+
   async exportAssetImages() {
     const exportData = await this._prepareAssetsExportData({ includeWorkbook: false })
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
@@ -855,8 +1225,17 @@ class AssetService {
     }
   }
 
-  async exportAssetImagesArchive({ onProgress } = {}) {
-    const imageManifest = await this._collectAssetImageExportManifest()
+  /**
+   * Build the image archive of an export job.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress]
+   * @param {Object|null} [options.accessScope] - Only assets within the
+   *   scope; defaults to the scope of the current request
+   */
+  async exportAssetImagesArchive({ onProgress, accessScope } = {}) {
+    const imageManifest = await this._collectAssetImageExportManifest({
+      accessScope,
+    })
     const totalItems = imageManifest.imageTargets.length
 
     if (typeof onProgress === 'function') {
@@ -908,6 +1287,9 @@ class AssetService {
   async _prepareAssetsExportData({
     includeWorkbook = true,
     includeImages = true,
+    warrantyStatus = null,
+    warrantyDays = DEFAULT_EXPIRING_DAYS,
+    accessScope,
   } = {}) {
     const forms = await FormBuilder.findAll({
       attributes: ['form_id', 'name'],
@@ -925,7 +1307,12 @@ class AssetService {
       ],
     })
 
+    const scopeWhere = this.crudService._buildScopeWhere(accessScope)
     const assets = await Asset.findAll({
+      ...this._withWarrantyOptions(
+        scopeWhere ? { where: scopeWhere } : {},
+        { status: warrantyStatus, days: warrantyDays },
+      ),
       include: [
         {
           model: AssetFormValue,
@@ -1022,21 +1409,7 @@ class AssetService {
 
     for (const group of groups.values()) {
       const rows = []
-      const baseHeaders = [
-        'Asset ID',
-        'Asset Tag',
-        'Asset Class Tag',
-        // 'Asset Tag Groupx',
-        'Approval Status',
-        'Created By',
-        'Creator Email',
-        'Employee ID',
-        'Notes',
-        'Barcode',
-        'QR Code',
-        'Created At',
-        'Updated At',
-      ]
+      const baseHeaders = [...EXPORT_BASE_HEADERS]
       const fieldColumns = buildFieldColumnMap(group.fields, baseHeaders)
 
       for (const asset of group.assets) {
@@ -1059,6 +1432,11 @@ class AssetService {
           'QR Code': asset.qr_code || '',
           'Created At': this._formatExportDate(asset.created_at),
           'Updated At': this._formatExportDate(asset.updated_at),
+          'Warranty Provider': asset.warranty_provider || '',
+          'Warranty Ends': toDateKey(asset.warranty_expires_on) || '',
+          'Warranty Status': getWarrantyStatus(asset.warranty_expires_on, {
+            days: warrantyDays,
+          }),
         }
 
         for (const field of group.fields) {
@@ -1141,8 +1519,33 @@ class AssetService {
     }
   }
 
-  async _collectAssetImageExportManifest() {
+  /**
+   * Map the Excel export's field column headers back to form fields, using the
+   * same header naming as `_prepareAssetsExportData` so a re-uploaded workbook
+   * lines up with the form. Camera fields are not exported and are omitted.
+   * @param {number} formId
+   * @returns {Promise<Map<string, Object>>} header -> FormFields instance
+   */
+  async getExportFieldColumns(formId) {
+    const fields = await FormFields.findAll({
+      where: { form_id: formId },
+      order: [['position', 'ASC']],
+    })
+    const columnMap = buildFieldColumnMap(fields, EXPORT_BASE_HEADERS)
+    const columns = new Map()
+
+    for (const field of fields) {
+      if (field.type === 'camera') continue
+      columns.set(columnMap.get(String(field.id)).valueHeader, field)
+    }
+
+    return columns
+  }
+
+  async _collectAssetImageExportManifest({ accessScope } = {}) {
+    const scopeWhere = this.crudService._buildScopeWhere(accessScope)
     const assets = await Asset.findAll({
+      ...(scopeWhere ? { where: scopeWhere } : {}),
       attributes: ['asset_id', 'asset_tag', 'active_form_id'],
       include: [
         {
@@ -1282,6 +1685,8 @@ class AssetService {
       end_date,
       startDate,
       endDate,
+      warranty_status,
+      warranty_days,
       ...rest
     } = params
     const normalized = { ...rest }
@@ -2432,8 +2837,169 @@ class AssetService {
     return { selections: rawValue, resolved }
   }
 
+  /**
+   * Resolve a hierarchy path of labels (e.g. "Block A / Floor 2 / Room 7", as
+   * written by the Excel export) into the `{ level: id }` selection object
+   * that hierarchical_select fields store.
+   * @param {Object} field - hierarchical_select FormFields instance
+   * @param {string[]} labels - One label per hierarchy level, top level first
+   * @returns {Promise<Object>} Selection object keyed by level name
+   */
+  async _resolveHierarchyLabels(field, labels = []) {
+    const levels = this._parseHierarchyLevels(field.hierarchy_levels)
+    if (!levels.length) {
+      throw new Error(`${field.label} has no hierarchy levels configured`)
+    }
+    if (labels.length > levels.length) {
+      throw new Error(
+        `${field.label} accepts at most ${levels.length} levels, got ${labels.length}`,
+      )
+    }
+
+    const qg = Asset.sequelize.getQueryInterface().queryGenerator
+    const selections = {}
+    let parentId = null
+
+    for (let index = 0; index < labels.length; index += 1) {
+      const level = levels[index] || {}
+      const { name, table, label_key: labelKey, value_key: valueKey } = level
+      const parentKey = level.parent_key || null
+
+      if (
+        !name ||
+        !IDENTIFIER_REGEX.test(table || '') ||
+        !IDENTIFIER_REGEX.test(labelKey || '') ||
+        !IDENTIFIER_REGEX.test(valueKey || '') ||
+        (parentKey && !IDENTIFIER_REGEX.test(parentKey))
+      ) {
+        throw new Error(`${field.label} has an invalid hierarchy level config`)
+      }
+
+      const parentClause =
+        parentKey && parentId !== null
+          ? ` AND ${qg.quoteIdentifier(parentKey)} = :parentId`
+          : ''
+      const sql = `SELECT ${qg.quoteIdentifier(valueKey)} AS id FROM ${qg.quoteTable(
+        table,
+      )} WHERE ${qg.quoteIdentifier(labelKey)} = :label${parentClause} LIMIT 1`
+
+      const [rows] = await Asset.sequelize.query(sql, {
+        replacements: { label: labels[index], parentId },
+      })
+      const id = rows?.[0]?.id
+      if (id === undefined || id === null) {
+        throw new Error(`${field.label}: no ${name} named "${labels[index]}"`)
+      }
+
+      selections[name] = id
+      parentId = id
+    }
+
+    return selections
+  }
+
+  /**
+   * Validate form responses against the form definition. Used by single
+   * creation and by bulk import so both enforce the same rules.
+   * @param {number} formId - Form the responses belong to
+   * @param {Object} formResponses - Map of form field id to raw value
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Sequelize transaction
+   * @param {Array} [options.fields] - Pre-loaded form fields (skips the lookup)
+   * @returns {Promise<Array<{field_id: number, field: string, message: string}>>}
+   */
+  async validateFormResponses(
+    formId,
+    formResponses = {},
+    { transaction = null, fields = null } = {},
+  ) {
+    const formFields =
+      fields ||
+      (await FormFields.findAll({
+        where: { form_id: formId },
+        transaction,
+      }))
+    const responses =
+      formResponses && typeof formResponses === 'object' ? formResponses : {}
+    const errors = []
+
+    for (const field of formFields) {
+      const label = field.label || `Field ${field.id}`
+      const value = responses[String(field.id)]
+      const addError = (message) =>
+        errors.push({ field_id: field.id, field: label, message })
+
+      if (_isEmptyResponse(value)) {
+        if (field.required) {
+          addError(`${label} is required`)
+        }
+        continue
+      }
+
+      if (field.type === 'rating') {
+        const rating = Number(value)
+        const maxRating = field.max_rating || null
+        if (
+          !Number.isFinite(rating) ||
+          rating < 0 ||
+          (maxRating && rating > maxRating)
+        ) {
+          addError(
+            maxRating
+              ? `${label} must be a number between 0 and ${maxRating}`
+              : `${label} must be a number`,
+          )
+        }
+      } else if (field.type === 'date') {
+        if (Number.isNaN(new Date(value).getTime())) {
+          addError(`${label} must be a valid date`)
+        }
+      } else if (field.type === 'hierarchical_select') {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          addError(`${label} must be an object keyed by hierarchy level`)
+          continue
+        }
+
+        const selections =
+          value.selections && typeof value.selections === 'object'
+            ? value.selections
+            : value
+        const { resolved } = await this._resolveHierarchySelection(
+          field,
+          selections,
+        )
+        resolved
+          .filter((entry) => entry.label === null || entry.label === undefined)
+          .forEach((entry) =>
+            addError(`${label}: no ${entry.level} found with id ${entry.id}`),
+          )
+      }
+    }
+
+    return errors
+  }
+
+  /**
+   * Throw a `Validation failed` error (with `validationErrors`) when the
+   * responses do not satisfy the form definition.
+   */
+  async assertValidFormResponses(formId, formResponses, options = {}) {
+    const errors = await this.validateFormResponses(
+      formId,
+      formResponses,
+      options,
+    )
+    if (errors.length) {
+      const error = new Error('Validation failed')
+      error.statusCode = 400
+      error.validationErrors = errors
+      throw error
+    }
+  }
+
   /**
    * Persist dynamic form responses for an asset (including camera uploads)
+   * and report which stored values changed for the asset history.
    * @private
    */
   async _saveFormResponses(asset, formId, formResponses, transaction) {
@@ -2446,6 +3012,7 @@ class AssetService {
     const fieldMap = new Map(fields.map((field) => [String(field.id), field]))
     let savedCount = 0
     const processedResponses = {}
+    const changes = []
 
     for (const [fieldIdRaw, rawValue] of Object.entries(formResponses || {})) {
       const field = fieldMap.get(String(fieldIdRaw))
@@ -2508,6 +3075,14 @@ class AssetService {
         },
         transaction,
       })
+      const change = assetHistoryService.buildFormFieldChange(
+        field,
+        created ? null : record.value,
+        valueToStore,
+      )
+      if (change) {
+        changes.push(change)
+      }
       if (!created) {
         await record.update({ value: valueToStore }, { transaction })
       }
@@ -2522,7 +3097,7 @@ class AssetService {
       })
     }
 
-    return { processedResponses }
+    return { processedResponses, changes }
   }
 
   /**
@@ -2549,18 +3124,69 @@ class AssetService {
     return sanitized
   }
 
-  _withFlatFields(result) {
+  /**
+   * Drop columns that generic create/update must not set directly.
+   * @private
+   * @param {Object} data
+   * @returns {Object}
+   */
+  _withoutManagedFields(data = {}) {
+    const result = { ...(data || {}) }
+    MANAGED_ASSET_FIELDS.forEach((key) => delete result[key])
+    return result
+  }
+
+  _withFlatFields(result, warrantyFilter = {}) {
     if (!result || !Array.isArray(result.data)) {
       return result
     }
 
     return {
       ...result,
-      data: result.data.map((asset) => this._attachFields(asset)),
+      data: result.data.map((asset) =>
+        this._attachFields(asset, warrantyFilter),
+      ),
+    }
+  }
+
+  /**
+   * Warranty list filter from query parameters: `warranty_status` (one of
+   * WARRANTY_STATUS) and `warranty_days`, the "expiring within" window.
+   * Values are validated by the controller.
+   * @private
+   */
+  _parseWarrantyFilter(params = {}) {
+    const days = parseInt(params.warranty_days, 10)
+    return {
+      status: params.warranty_status || null,
+      days: Number.isInteger(days) && days >= 0 ? days : DEFAULT_EXPIRING_DAYS,
+    }
+  }
+
+  /**
+   * Add the effective warranty end date (`warranty_expires_on`) to the
+   * selected attributes and, when a warranty status is given, filter on it.
+   * @private
+   */
+  _withWarrantyOptions(additionalOptions = {}, { status = null, days } = {}) {
+    const options = {
+      ...additionalOptions,
+      attributes: { include: [warrantyExpiresOnAttribute()] },
     }
+
+    if (status) {
+      const where = { ...(additionalOptions.where || {}) }
+      where[Op.and] = [
+        ...(where[Op.and] || []),
+        buildWarrantyWhere(status, { days }),
+      ]
+      options.where = where
+    }
+
+    return options
   }
 
-  _attachFields(asset) {
+  _attachFields(asset, { days = DEFAULT_EXPIRING_DAYS } = {}) {
     if (!asset) {
       return asset
     }
@@ -2600,7 +3226,18 @@ class AssetService {
           }
         : null
 
-    return { ...sanitized, fields, responses, form }
+    const warranty =
+      asset.warranty_expires_on === undefined
+        ? {}
+        : {
+            warranty_expires_on: toDateKey(asset.warranty_expires_on),
+            warranty_status: getWarrantyStatus(asset.warranty_expires_on, {
+              days,
+            }),
+            warranty_days_remaining: daysUntil(asset.warranty_expires_on),
+          }
+
+    return { ...sanitized, ...warranty, fields, responses, form }
   }
 
   /**
@@ -3308,6 +3945,16 @@ function generateJointCodeSheet(barcodePath, qrPath, outputPath) {
   })
 }
 
+function _isEmptyResponse(value) {
+  if (value === null || value === undefined) return true
+  if (typeof value === 'string') return value.trim() === ''
+  if (Array.isArray(value)) return value.every(_isEmptyResponse)
+  if (typeof value === 'object') {
+    return Object.values(value).every(_isEmptyResponse)
+  }
+  return false
+}
+
 function _parseResponseValue(value) {
   if (value === null || value === undefined) return null
   try {
@@ -3664,6 +4311,10 @@ function buildXlsxWorksheet(sheet) {
 }
 
 function buildXlsxCell({ ref, value, styleIndex = 0 }) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}" s="${styleIndex}"><v>${value}</v></c>`
+  }
+
   const text = String(value ?? '')
   const preserve = /^[\s]|[\s]$|\n/.test(text) ? ' xml:space="preserve"' : ''
   return `<c r="${ref}" t="inlineStr" s="${styleIndex}"><is><t${preserve}>${escapeXml(text)}</t></is></c>`
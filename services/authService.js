@@ -2,11 +2,20 @@ const { User, Department } = require('../models');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { authValidationSchemas, validateData } = require('../utils/validationSchemas');
-const { USER_ROLES, USER_STATUS, DEFAULTS } = require('../utils/constants');
+const { USER_ROLES, USER_STATUS, DEFAULTS, SESSION_REVOKE_REASON, LOGIN_ATTEMPT_OUTCOME } = require('../utils/constants');
+const sessionService = require('./sessionService');
+const passwordResetService = require('./passwordResetService');
+const twoFactorService = require('./twoFactorService');
+const loginSecurityService = require('./loginSecurityService');
+const oidcService = require('./oidcService');
 
 // JWT configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-development';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Time allowed between the password step and the two-factor step of a login
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'two_factor_login';
 
 /**
  * Authentication Service
@@ -71,9 +80,11 @@ class AuthService {
    * Authenticate user login
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<Object>} - Login result with token and user data
+   * @param {Object} [meta] - Client details recorded on the session ({ ip, userAgent })
+   * @returns {Promise<Object>} - Login result with tokens and user data, or a
+   *   two-factor challenge when the user has 2FA enabled
    */
-  static async loginUser(email, password) {
+  static async loginUser(email, password, meta = {}) {
     // Validate input data
     const validation = validateData({ email, password }, authValidationSchemas.loginUser);
     if (!validation.isValid) {
@@ -93,39 +104,201 @@ class AuthService {
       }]
     });
 
+    const attempt = { email: validatedEmail, ip: meta.ip, userAgent: meta.userAgent };
+
     if (!user) {
+      await loginSecurityService.recordAttempt({ ...attempt, outcome: LOGIN_ATTEMPT_OUTCOME.UNKNOWN_USER });
       throw new Error('Invalid email or password');
     }
 
     // Check if user is active
     if (user.status !== USER_STATUS.ACTIVE) {
+      await loginSecurityService.recordAttempt({ ...attempt, user, outcome: LOGIN_ATTEMPT_OUTCOME.ACCOUNT_INACTIVE });
       throw new Error('Account is not active. Please contact administrator.');
     }
 
+    // Locked accounts are refused without checking the password
+    if (loginSecurityService.isLocked(user)) {
+      await loginSecurityService.recordAttempt({ ...attempt, user, outcome: LOGIN_ATTEMPT_OUTCOME.ACCOUNT_LOCKED });
+      throw this.accountLockedError(user.locked_until);
+    }
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(validatedPassword, user.password_hash);
     if (!isPasswordValid) {
+      const lockout = await loginSecurityService.handleFailedLogin(user, {
+        ...attempt,
+        outcome: LOGIN_ATTEMPT_OUTCOME.INVALID_PASSWORD
+      });
+      if (lockout.locked) {
+        throw this.accountLockedError(lockout.locked_until);
+      }
       throw new Error('Invalid email or password');
     }
 
+    // Tokens are only issued once the second factor is verified
+    if (user.two_factor_enabled) {
+      return this.twoFactorChallenge(user);
+    }
+
+    return this.completeLogin(user, meta);
+  }
+
+  /**
+   * Log in with OpenID Connect single sign-on. Users are provisioned on their
+   * first login; those with two-factor authentication still get a challenge.
+   * @param {Object} data - { code, state } from the provider's redirect, and
+   *   the browser binding from the cookie set when the login started
+   * @param {Object} [meta] - Client details recorded on the session ({ ip, userAgent })
+   * @returns {Promise<Object>} - Login result with tokens and user data, or a
+   *   two-factor challenge
+   */
+  static async loginWithOidc(data = {}, meta = {}) {
+    const claims = await oidcService.exchangeCode({
+      code: data.code,
+      state: data.state,
+      binding: data.binding
+    });
+    const resolved = await oidcService.resolveUser(claims);
+
+    const user = await User.findOne({
+      where: { user_id: resolved.user_id },
+      include: [{
+        model: Department,
+        as: 'department',
+        attributes: ['department_id', 'name']
+      }]
+    });
+
+    const attempt = { email: user.email, ip: meta.ip, userAgent: meta.userAgent };
+
+    if (user.status !== USER_STATUS.ACTIVE) {
+      await loginSecurityService.recordAttempt({ ...attempt, user, outcome: LOGIN_ATTEMPT_OUTCOME.ACCOUNT_INACTIVE });
+      const error = new Error('Account is not active. Please contact administrator.');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      await loginSecurityService.recordAttempt({ ...attempt, user, outcome: LOGIN_ATTEMPT_OUTCOME.ACCOUNT_LOCKED });
+      throw this.accountLockedError(user.locked_until);
+    }
+
+    if (user.two_factor_enabled) {
+      return this.twoFactorChallenge(user);
+    }
+
+    return this.completeLogin(user, meta);
+  }
+
+  /**
+   * Challenge returned instead of tokens to users with two-factor
+   * authentication, for /api/auth/2fa/verify
+   * @param {Object} user
+   * @returns {Object}
+   */
+  static twoFactorChallenge(user) {
+    return {
+      two_factor_required: true,
+      challenge_token: jwt.sign(
+        { user_id: user.user_id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+      ),
+      challenge_expires_in: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+    };
+  }
+
+  /**
+   * Second step of a login for users with two-factor authentication
+   * @param {Object} data - { challenge_token, code } or { challenge_token, recovery_code }
+   * @param {Object} [meta] - Client details recorded on the session ({ ip, userAgent })
+   * @returns {Promise<Object>} - Login result with tokens and user data
+   */
+  static async verifyTwoFactorLogin(data, meta = {}) {
+    const validation = validateData(data, authValidationSchemas.verifyTwoFactorLogin);
+    if (!validation.isValid) {
+      const error = new Error('Validation failed');
+      error.validationErrors = validation.errors;
+      throw error;
+    }
+
+    const { challenge_token, code, recovery_code } = validation.data;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challenge_token, JWT_SECRET);
+    } catch (verifyError) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      const error = new Error('Two-factor challenge is invalid or has expired. Please log in again.');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const user = await User.findOne({
+      where: { user_id: challenge.user_id },
+      include: [{
+        model: Department,
+        as: 'department',
+        attributes: ['department_id', 'name']
+      }]
+    });
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      const error = new Error('Account is not active. Please contact administrator.');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const attempt = { ip: meta.ip, userAgent: meta.userAgent };
+    if (loginSecurityService.isLocked(user)) {
+      await loginSecurityService.recordAttempt({ ...attempt, user, outcome: LOGIN_ATTEMPT_OUTCOME.ACCOUNT_LOCKED });
+      throw this.accountLockedError(user.locked_until);
+    }
+
+    const method = await twoFactorService.verifyLogin(user, { code, recoveryCode: recovery_code });
+    if (!method) {
+      // Failed codes count towards the lockout like failed passwords
+      const lockout = await loginSecurityService.handleFailedLogin(user, {
+        ...attempt,
+        outcome: LOGIN_ATTEMPT_OUTCOME.INVALID_TWO_FACTOR
+      });
+      if (lockout.locked) {
+        throw this.accountLockedError(lockout.locked_until);
+      }
+      const error = new Error('Invalid verification code');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const result = await this.completeLogin(user, meta);
+    return { ...result, two_factor_method: method };
+  }
+
+  /**
+   * Finish a login: record it, start a session and issue tokens
+   * @param {Object} user - Authenticated user (with department)
+   * @param {Object} [meta] - Client details recorded on the session ({ ip, userAgent })
+   * @returns {Promise<Object>} - Login result with tokens and user data
+   */
+  static async completeLogin(user, meta = {}) {
+    // Log the attempt, clear failed attempts and alert about new devices
+    await loginSecurityService.handleSuccessfulLogin(user, meta);
+
     // Update last login
     await user.update({ last_login: new Date() });
 
-    // Generate JWT token
-    const token = this.generateToken({
-      user_id: user.user_id,
-      email: user.email,
-      role: user.role,
-      department_id: user.department_id
-    });
+    // Start a session and issue a short-lived access token bound to it
+    const { session, refreshToken } = await sessionService.create(user.user_id, meta);
 
     // Prepare user response
     const userResponse = this.formatUserResponse(user, true);
 
     return {
       user: userResponse,
-      token,
-      expires_in: JWT_EXPIRES_IN
+      ...this.formatTokenResponse(user, session, refreshToken),
+      two_factor_setup_required: await twoFactorService.isSetupRequired(user)
     };
   }
 
@@ -142,7 +315,7 @@ class AuthService {
         as: 'department',
         attributes: ['department_id', 'name']
       }],
-      attributes: { exclude: ['password_hash'] }
+      attributes: { exclude: ['password_hash', 'two_factor_secret', 'two_factor_last_step'] }
     });
 
     if (!user) {
@@ -204,7 +377,7 @@ class AuthService {
         as: 'department',
         attributes: ['department_id', 'name']
       }],
-      attributes: { exclude: ['password_hash'] }
+      attributes: { exclude: ['password_hash', 'two_factor_secret', 'two_factor_last_step'] }
     });
 
     return updatedUser;
@@ -215,9 +388,10 @@ class AuthService {
    * @param {number} userId - User ID
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
+   * @param {number} [currentSessionId] - Session kept signed in; all others are revoked
    * @returns {Promise<boolean>} - Success status
    */
-  static async changeUserPassword(userId, currentPassword, newPassword) {
+  static async changeUserPassword(userId, currentPassword, newPassword, currentSessionId = null) {
     // Validate input data
     const validation = validateData(
       { current_password: currentPassword, new_password: newPassword },
@@ -245,8 +419,53 @@ class AuthService {
     const saltRounds = 12;
     const new_password_hash = await bcrypt.hash(new_password, saltRounds);
 
-    // Update password
-    await user.update({ password_hash: new_password_hash });
+    // Update password; this also satisfies a reset forced by an admin
+    await user.update({ password_hash: new_password_hash, must_change_password: false });
+
+    // Sign out everywhere else
+    await sessionService.revokeAll(userId, {
+      reason: SESSION_REVOKE_REASON.PASSWORD_CHANGED,
+      exceptSessionId: currentSessionId
+    });
+
+    return true;
+  }
+
+  /**
+   * Start the forgot password flow
+   * @param {string} email - Email of the account to recover
+   * @param {Object} [meta] - Client details ({ ip })
+   * @returns {Promise<void>} - Resolves the same way whether or not the account exists
+   */
+  static async requestPasswordReset(email, meta = {}) {
+    const validation = validateData({ email }, authValidationSchemas.forgotPassword);
+    if (!validation.isValid) {
+      const error = new Error('Validation failed');
+      error.validationErrors = validation.errors;
+      throw error;
+    }
+
+    await passwordResetService.requestReset(validation.data.email, meta);
+  }
+
+  /**
+   * Set a new password with a reset token
+   * @param {string} token - Reset token from the email
+   * @param {string} newPassword - New password
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async resetPassword(token, newPassword) {
+    const validation = validateData(
+      { token, new_password: newPassword },
+      authValidationSchemas.resetPassword
+    );
+    if (!validation.isValid) {
+      const error = new Error('Validation failed');
+      error.validationErrors = validation.errors;
+      throw error;
+    }
+
+    await passwordResetService.resetPassword(validation.data.token, validation.data.new_password);
 
     return true;
   }
@@ -261,23 +480,60 @@ class AuthService {
   }
 
   /**
-   * Refresh JWT token
-   * @param {Object} userData - User data from existing token
-   * @returns {Object} - New token data
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token issued at login or by the last refresh
+   * @param {Object} [meta] - Client details recorded on the session ({ ip, userAgent })
+   * @returns {Promise<Object>} - New token data
    */
-  static refreshUserToken(userData) {
-    const { user_id, email, role, department_id } = userData;
+  static async refreshUserToken(refreshToken, meta = {}) {
+    const { session, refreshToken: nextRefreshToken } = await sessionService.rotate(refreshToken, meta);
+
+    // Claims come from the database so role and status changes apply
+    const user = await User.findByPk(session.user_id);
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      await sessionService.revoke(session.user_id, session.session_id, SESSION_REVOKE_REASON.USER_DEACTIVATED);
+      const error = new Error('Account is not active. Please contact administrator.');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return this.formatTokenResponse(user, session, nextRefreshToken);
+  }
+
+  /**
+   * Error for a login refused because the account is locked
+   * @param {Date} lockedUntil - When the lockout ends
+   * @returns {Error} - Error with statusCode 423
+   */
+  static accountLockedError(lockedUntil) {
+    const error = new Error('Account is temporarily locked after too many failed login attempts. Try again later or contact an administrator.');
+    error.statusCode = 423;
+    error.lockedUntil = lockedUntil;
+    return error;
+  }
 
+  /**
+   * Build the token part of login and refresh responses
+   * @param {Object} user - User the tokens are issued to
+   * @param {Object} session - UserSession the access token is bound to
+   * @param {string} refreshToken - Plain refresh token (only returned here)
+   * @returns {Object} - Token data
+   */
+  static formatTokenResponse(user, session, refreshToken) {
     const token = this.generateToken({
-      user_id,
-      email,
-      role,
-      department_id
+      user_id: user.user_id,
+      email: user.email,
+      role: user.role,
+      department_id: user.department_id,
+      sid: session.session_id
     });
 
     return {
       token,
-      expires_in: JWT_EXPIRES_IN
+      expires_in: JWT_EXPIRES_IN,
+      refresh_token: refreshToken,
+      refresh_expires_at: session.expires_at,
+      session_id: session.session_id
     };
   }
 
@@ -308,6 +564,8 @@ class AuthService {
       position: user.position,
       hire_date: user.hire_date,
       status: user.status,
+      must_change_password: Boolean(user.must_change_password),
+      two_factor_enabled: Boolean(user.two_factor_enabled),
       created_at: user.created_at
     };
 
@@ -0,0 +1,793 @@
+'use strict'
+
+const { Op } = require('sequelize')
+const {
+  Consumable,
+  ConsumableStock,
+  ConsumableMovement,
+  AssetTransaction,
+  Location,
+  Building,
+  Floor,
+  Room,
+  User,
+  sequelize,
+} = require('../models')
+const accessScopeService = require('./accessScopeService')
+const NotificationService = require('./notificationService')
+const logger = require('../utils/logger')
+const {
+  CONSUMABLE_MOVEMENT_TYPE,
+  CONSUMABLE_MOVEMENT_TYPE_ARRAY,
+  TRANSACTION_ACTIONS,
+  TRANSACTION_STATUS,
+} = require('../utils/constants')
+
+const notificationService = new NotificationService()
+
+const CONSUMABLE_FIELDS = ['name', 'sku', 'unit', 'description', 'is_active']
+const MAX_PAGE_SIZE = 200
+const OPEN_TRANSACTION_STATUSES = [
+  TRANSACTION_STATUS.PENDING,
+  TRANSACTION_STATUS.ACCEPTED,
+]
+const STOCK_INCLUDE = [
+  { model: Location, as: 'location', attributes: ['location_id', 'name'] },
+  { model: Room, as: 'room', attributes: ['room_id', 'name'] },
+]
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const isLow = (stock) =>
+  stock.reorder_level > 0 && stock.quantity <= stock.reorder_level
+
+const toPositiveInteger = (value, field) => {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1) {
+    throw serviceError(`${field} must be a positive integer`, 400)
+  }
+  return number
+}
+
+/**
+ * Consumables: stock that is counted rather than tagged (toner, cables,
+ * keyboards). Each consumable has a quantity on hand per location, or per
+ * room of a location, changed only through movements: stock in, stock out,
+ * and issues to users. Issues go through the transaction approval flow as
+ * issue_consumable transactions and take the stock out when accepted (or
+ * completed straight from pending). A stock at or below its reorder level
+ * notifies admins and IT managers once, until it is restocked above it.
+ * Stock locations are checked against the user's access scope like asset
+ * locations.
+ */
+class ConsumableService {
+  /**
+   * Consumables with their stock per location and the total on hand.
+   * @param {Object} [filters]
+   * @param {string} [filters.search] - Name or SKU
+   * @param {number} [filters.location_id]
+   * @param {number} [filters.room_id]
+   * @param {boolean} [filters.low_stock] - Only consumables with a low stock
+   * @param {boolean} [filters.include_inactive]
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Stocks outside the scope
+   *   are left out
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(
+    { search, location_id, room_id, low_stock, include_inactive } = {},
+    { accessScope = null } = {},
+  ) {
+    const where = {}
+    if (!(include_inactive === true || include_inactive === 'true')) {
+      where.is_active = true
+    }
+    if (search) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { sku: { [Op.like]: `%${search}%` } },
+      ]
+    }
+
+    const consumables = await Consumable.findAll({
+      where,
+      include: [{ model: ConsumableStock, as: 'stocks', include: STOCK_INCLUDE }],
+      order: [['name', 'ASC']],
+    })
+
+    const onlyLow = low_stock === true || low_stock === 'true'
+    return consumables
+      .map((consumable) =>
+        this._withTotals(consumable, (stock) =>
+          accessScopeService.assetMatchesScope(stock, accessScope) &&
+          (!location_id || stock.location_id === Number(location_id)) &&
+          (!room_id || stock.room_id === Number(room_id)),
+        ),
+      )
+      .filter((consumable) => {
+        if (location_id || room_id || accessScope) {
+          if (!consumable.stocks.length) return false
+        }
+        return !onlyLow || consumable.low_stock
+      })
+  }
+
+  /**
+   * Stocks at or below their reorder level, lowest first.
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listLowStock({ accessScope = null } = {}) {
+    const stocks = await ConsumableStock.findAll({
+      where: {
+        reorder_level: { [Op.gt]: 0 },
+        quantity: { [Op.lte]: sequelize.col('reorder_level') },
+      },
+      include: [
+        {
+          model: Consumable,
+          as: 'consumable',
+          where: { is_active: true },
+          attributes: ['consumable_id', 'name', 'sku', 'unit'],
+        },
+        ...STOCK_INCLUDE,
+      ],
+      order: [['quantity', 'ASC']],
+    })
+
+    return stocks
+      .filter((stock) => accessScopeService.assetMatchesScope(stock, accessScope))
+      .map((stock) => stock.get({ plain: true }))
+  }
+
+  /**
+   * @param {number} id
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @returns {Promise<Object|null>}
+   */
+  async getById(id, { accessScope = null } = {}) {
+    const consumable = await Consumable.findByPk(id, {
+      include: [{ model: ConsumableStock, as: 'stocks', include: STOCK_INCLUDE }],
+    })
+    if (!consumable) {
+      return null
+    }
+    return this._withTotals(consumable, (stock) =>
+      accessScopeService.assetMatchesScope(stock, accessScope),
+    )
+  }
+
+  /**
+   * @param {Object} data - name, sku, unit, description, is_active
+   * @param {number} createdBy
+   * @returns {Promise<Object>}
+   */
+  async create(data = {}, createdBy = null) {
+    const values = this._validate(data, { partial: false })
+    await this._assertUnique(values)
+
+    const consumable = await Consumable.create({ ...values, created_by: createdBy })
+    return this.getById(consumable.consumable_id)
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Null when the consumable does not exist
+   */
+  async update(id, data = {}) {
+    const consumable = await Consumable.findByPk(id)
+    if (!consumable) {
+      return null
+    }
+
+    const values = this._validate(data, { partial: true })
+    await this._assertUnique(values, consumable.consumable_id)
+    await consumable.update(values)
+    return this.getById(consumable.consumable_id)
+  }
+
+  /**
+   * Delete a consumable without stock on hand or open issue transactions.
+   * Deactivate it instead to keep its movements.
+   * @returns {Promise<boolean>} False when the consumable does not exist
+   */
+  async delete(id) {
+    const consumable = await Consumable.findByPk(id)
+    if (!consumable) {
+      return false
+    }
+
+    const [onHand, openTransactions] = await Promise.all([
+      ConsumableStock.sum('quantity', { where: { consumable_id: consumable.consumable_id } }),
+      AssetTransaction.count({
+        where: {
+          consumable_id: consumable.consumable_id,
+          status: { [Op.in]: OPEN_TRANSACTION_STATUSES },
+        },
+      }),
+    ])
+    if (onHand > 0 || openTransactions) {
+      throw serviceError(
+        'Consumable has stock on hand or open issue transactions. Deactivate it instead.',
+        409,
+      )
+    }
+
+    await consumable.destroy()
+    return true
+  }
+
+  /**
+   * Set the reorder level of a consumable at a location or room, creating
+   * the stock record when there is none.
+   * @param {number} id
+   * @param {Object} data - location_id and/or room_id, reorder_level
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @returns {Promise<Object|null>} The stock, or null when the consumable
+   *   does not exist
+   */
+  async setReorderLevel(id, data = {}, { accessScope = null } = {}) {
+    const reorderLevel = Number(data.reorder_level)
+    if (!Number.isInteger(reorderLevel) || reorderLevel < 0) {
+      throw serviceError('reorder_level must be a non-negative integer', 400)
+    }
+
+    const consumable = await Consumable.findByPk(id)
+    if (!consumable) {
+      return null
+    }
+
+    const place = await this._resolvePlace(data, accessScope)
+    const transaction = await sequelize.transaction()
+    let stock
+    try {
+      stock = await this._findStock(consumable.consumable_id, place, {
+        transaction,
+        create: true,
+      })
+      await stock.update({ reorder_level: reorderLevel }, { transaction })
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+
+    await this._checkLowStock(stock)
+    return this._getStock(stock.consumable_stock_id)
+  }
+
+  /**
+   * Receive stock at a location or room.
+   * @param {number} id
+   * @param {Object} data - location_id and/or room_id, quantity, notes
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @param {number} [options.performedBy]
+   * @returns {Promise<Object|null>} The movement with the stock after it, or
+   *   null when the consumable does not exist
+   */
+  async stockIn(id, data = {}, { accessScope = null, performedBy = null } = {}) {
+    return this._moveStock(id, data, {
+      type: CONSUMABLE_MOVEMENT_TYPE.STOCK_IN,
+      accessScope,
+      performedBy,
+    })
+  }
+
+  /**
+   * Take stock out of a location or room (used, broken, lost). Issues to
+   * users go through issue_consumable transactions instead.
+   * @param {number} id
+   * @param {Object} data - location_id and/or room_id, quantity, notes
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @param {number} [options.performedBy]
+   * @returns {Promise<Object|null>}
+   */
+  async stockOut(id, data = {}, { accessScope = null, performedBy = null } = {}) {
+    return this._moveStock(id, data, {
+      type: CONSUMABLE_MOVEMENT_TYPE.STOCK_OUT,
+      accessScope,
+      performedBy,
+    })
+  }
+
+  /**
+   * Movements of a consumable, newest first.
+   * @param {number} id
+   * @param {Object} [params]
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {string} [params.movement_type]
+   * @param {number} [params.consumable_stock_id]
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - Movements of stocks outside
+   *   the scope are left out
+   * @returns {Promise<{data: Array, pagination: Object}|null>}
+   */
+  async listMovements(
+    id,
+    { page: rawPage, limit: rawLimit, movement_type, consumable_stock_id } = {},
+    { accessScope = null } = {},
+  ) {
+    const consumable = await Consumable.findByPk(id, { attributes: ['consumable_id'] })
+    if (!consumable) {
+      return null
+    }
+
+    const page = Math.max(parseInt(rawPage, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(rawLimit, 10) || 50, 1), MAX_PAGE_SIZE)
+
+    const where = { consumable_id: consumable.consumable_id }
+    if (movement_type) {
+      if (!CONSUMABLE_MOVEMENT_TYPE_ARRAY.includes(movement_type)) {
+        throw serviceError(
+          `movement_type must be one of: ${CONSUMABLE_MOVEMENT_TYPE_ARRAY.join(', ')}`,
+          400,
+        )
+      }
+      where.movement_type = movement_type
+    }
+    if (consumable_stock_id) {
+      where.consumable_stock_id = consumable_stock_id
+    }
+
+    const stockWhere = {}
+    if (accessScope) {
+      const conditions = [
+        ['location_id', accessScope.location_ids],
+        ['building_id', accessScope.building_ids],
+      ]
+        .filter(([, ids]) => ids.length)
+        .map(([field, ids]) => ({ [field]: { [Op.in]: ids } }))
+      // A scope without locations or buildings matches no stock
+      stockWhere[Op.or] = conditions.length ? conditions : [{ consumable_stock_id: null }]
+    }
+
+    const { count, rows } = await ConsumableMovement.findAndCountAll({
+      where,
+      include: [
+        {
+          model: ConsumableStock,
+          as: 'stock',
+          where: stockWhere,
+          attributes: ['consumable_stock_id', 'location_id', 'room_id'],
+          include: STOCK_INCLUDE,
+        },
+        {
+          model: User,
+          as: 'recipient',
+          attributes: ['user_id', 'full_name', 'email'],
+          required: false,
+        },
+        {
+          model: User,
+          as: 'performer',
+          attributes: ['user_id', 'full_name', 'email'],
+          required: false,
+        },
+      ],
+      order: [
+        ['created_at', 'DESC'],
+        ['consumable_movement_id', 'DESC'],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      data: rows.map((row) => row.get({ plain: true })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    }
+  }
+
+  /**
+   * Check an issue request before its transaction is created: the stock
+   * exists, is within scope and belongs to an active consumable.
+   * @param {Object} data - consumable_stock_id, quantity
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @returns {Promise<{stock: Object, quantity: number}>}
+   */
+  async prepareIssue({ consumable_stock_id, quantity } = {}, { accessScope = null } = {}) {
+    if (!consumable_stock_id) {
+      throw serviceError('consumable_stock_id is required to issue consumables', 400)
+    }
+    const count = toPositiveInteger(quantity, 'quantity')
+
+    const stock = await ConsumableStock.findByPk(consumable_stock_id, {
+      include: [{ model: Consumable, as: 'consumable' }],
+    })
+    if (!stock || !accessScopeService.assetMatchesScope(stock, accessScope)) {
+      throw serviceError('Consumable stock not found', 404)
+    }
+    if (!stock.consumable.is_active) {
+      throw serviceError('Consumable is inactive', 409)
+    }
+
+    return { stock, quantity: count }
+  }
+
+  /**
+   * Take the stock of an issue_consumable transaction out, once. Throws 409
+   * when there is not enough on hand. The transaction row is locked before
+   * checking for an earlier issue, so concurrent accepts and completes issue
+   * the stock only once.
+   * @param {Object} assetTransaction - AssetTransaction
+   * @param {number} performedBy - User accepting or completing it
+   * @param {Object} [options]
+   * @param {Object} [options.transaction] - Database transaction to issue in,
+   *   so the stock leaves together with the status change that issues it
+   * @returns {Promise<Object|null>} The movement, or null when the
+   *   transaction issues nothing or was already issued
+   */
+  async issueForTransaction(
+    assetTransaction,
+    performedBy = null,
+    { transaction: outerTransaction = null } = {},
+  ) {
+    if (assetTransaction.action !== TRANSACTION_ACTIONS.ISSUE_CONSUMABLE) {
+      return null
+    }
+
+    // A savepoint inside the caller's transaction, so a duplicate issue only
+    // undoes its own stock change
+    const transaction = await sequelize.transaction(
+      outerTransaction ? { transaction: outerTransaction } : {},
+    )
+    let stock
+    let movement
+    try {
+      await AssetTransaction.findByPk(assetTransaction.transaction_id, {
+        attributes: ['transaction_id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      })
+      const issued = await ConsumableMovement.count({
+        where: { transaction_id: assetTransaction.transaction_id },
+        transaction,
+      })
+      if (issued) {
+        await transaction.rollback()
+        return null
+      }
+
+      stock = await ConsumableStock.findByPk(assetTransaction.consumable_stock_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      })
+      if (!stock) {
+        throw serviceError('The consumable stock of this transaction no longer exists', 409)
+      }
+
+      movement = await this._applyMovement(stock, -assetTransaction.quantity, {
+        type: CONSUMABLE_MOVEMENT_TYPE.ISSUE,
+        transactionId: assetTransaction.transaction_id,
+        issuedTo: assetTransaction.requested_to || assetTransaction.requested_by,
+        notes: assetTransaction.notes,
+        performedBy,
+        transaction,
+      })
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      // Another request issued it first
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return null
+      }
+      throw error
+    }
+
+    if (outerTransaction) {
+      outerTransaction.afterCommit(() => this._checkLowStock(stock))
+    } else {
+      await this._checkLowStock(stock)
+    }
+    return movement
+  }
+
+  /**
+   * The stock an issue_consumable transaction takes from, for access scope
+   * checks.
+   * @param {Object} assetTransaction
+   * @returns {Promise<Object|null>}
+   */
+  async getStockForTransaction(assetTransaction) {
+    if (!assetTransaction?.consumable_stock_id) {
+      return null
+    }
+    return ConsumableStock.findByPk(assetTransaction.consumable_stock_id, {
+      attributes: ['consumable_stock_id', 'location_id', 'building_id', 'room_id'],
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _moveStock(id, data, { type, accessScope, performedBy }) {
+    const quantity = toPositiveInteger(data.quantity, 'quantity')
+    const consumable = await Consumable.findByPk(id)
+    if (!consumable) {
+      return null
+    }
+
+    const place = await this._resolvePlace(data, accessScope)
+    const transaction = await sequelize.transaction()
+    let stock
+    let movement
+    try {
+      stock = await this._findStock(consumable.consumable_id, place, {
+        transaction,
+        create: type === CONSUMABLE_MOVEMENT_TYPE.STOCK_IN,
+      })
+      if (!stock) {
+        throw serviceError('There is no stock of this consumable at that location', 409)
+      }
+
+      movement = await this._applyMovement(
+        stock,
+        type === CONSUMABLE_MOVEMENT_TYPE.STOCK_IN ? quantity : -quantity,
+        {
+          type,
+          notes: data.notes ? String(data.notes).trim() : null,
+          performedBy,
+          transaction,
+        },
+      )
+      await transaction.commit()
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+
+    await this._checkLowStock(stock)
+    return {
+      ...movement.get({ plain: true }),
+      stock: await this._getStock(stock.consumable_stock_id),
+    }
+  }
+
+  /**
+   * Change a locked stock's quantity and record the movement.
+   * @private
+   */
+  async _applyMovement(
+    stock,
+    change,
+    { type, transactionId = null, issuedTo = null, notes = null, performedBy, transaction },
+  ) {
+    const quantityAfter = stock.quantity + change
+    if (quantityAfter < 0) {
+      throw serviceError(
+        `Not enough stock: ${stock.quantity} on hand, ${-change} requested`,
+        409,
+      )
+    }
+
+    await stock.update({ quantity: quantityAfter }, { transaction })
+    return ConsumableMovement.create(
+      {
+        consumable_id: stock.consumable_id,
+        consumable_stock_id: stock.consumable_stock_id,
+        movement_type: type,
+        quantity_change: change,
+        quantity_after: quantityAfter,
+        transaction_id: transactionId,
+        issued_to: issuedTo,
+        notes,
+        performed_by: performedBy,
+      },
+      { transaction },
+    )
+  }
+
+  /**
+   * Notify once when a stock is at or below its reorder level, and re-arm
+   * the alert once it is above it again. Failures are logged, never thrown.
+   * @private
+   */
+  async _checkLowStock(stock) {
+    try {
+      if (isLow(stock) && !stock.low_stock_notified_at) {
+        const fullStock = await ConsumableStock.findByPk(stock.consumable_stock_id, {
+          include: [{ model: Consumable, as: 'consumable' }, ...STOCK_INCLUDE],
+        })
+        await notificationService.notifyLowStock(fullStock)
+        await stock.update({ low_stock_notified_at: new Date() })
+      } else if (!isLow(stock) && stock.low_stock_notified_at) {
+        await stock.update({ low_stock_notified_at: null })
+      }
+    } catch (error) {
+      logger.logError(error, {
+        action: 'check_consumable_low_stock',
+        consumableStockId: stock.consumable_stock_id,
+      })
+    }
+  }
+
+  /**
+   * Location, building and room of a stock from location_id and/or room_id.
+   * A room must be in the given location.
+   * @private
+   */
+  async _resolvePlace({ location_id, room_id } = {}, accessScope) {
+    let place
+    if (room_id) {
+      const room = await Room.findByPk(room_id, {
+        attributes: ['room_id'],
+        include: [
+          {
+            model: Floor,
+            as: 'floor',
+            attributes: ['floor_id'],
+            include: [
+              { model: Building, as: 'building', attributes: ['building_id', 'location_id'] },
+            ],
+          },
+        ],
+      })
+      const building = room?.floor?.building
+      if (!building) {
+        throw serviceError('Room not found', 400)
+      }
+      if (location_id && Number(location_id) !== building.location_id) {
+        throw serviceError('The room is not in this location', 400)
+      }
+      place = {
+        location_id: building.location_id,
+        building_id: building.building_id,
+        room_id: room.room_id,
+      }
+    } else if (location_id) {
+      const location = await Location.findByPk(location_id, { attributes: ['location_id'] })
+      if (!location) {
+        throw serviceError('Location not found', 400)
+      }
+      place = { location_id: location.location_id, building_id: null, room_id: null }
+    } else {
+      throw serviceError('location_id or room_id is required', 400)
+    }
+
+    if (!accessScopeService.assetMatchesScope(place, accessScope)) {
+      throw serviceError('The stock location must be within your access scope', 403)
+    }
+    return place
+  }
+
+  /**
+   * @private
+   */
+  async _findStock(consumableId, place, { transaction, create = false }) {
+    const where = {
+      consumable_id: consumableId,
+      location_id: place.location_id,
+      room_id: place.room_id,
+    }
+    const stock = await ConsumableStock.findOne({
+      where,
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    })
+    if (stock || !create) {
+      return stock
+    }
+    return ConsumableStock.create({ ...where, building_id: place.building_id }, { transaction })
+  }
+
+  /**
+   * @private
+   */
+  async _getStock(stockId) {
+    const stock = await ConsumableStock.findByPk(stockId, { include: STOCK_INCLUDE })
+    return stock ? { ...stock.get({ plain: true }), low_stock: isLow(stock) } : null
+  }
+
+  /**
+   * A consumable with the stocks passing `filter`, their total and whether
+   * any of them is low.
+   * @private
+   */
+  _withTotals(consumable, filter) {
+    const plain = consumable.get({ plain: true })
+    const stocks = (plain.stocks || [])
+      .filter(filter)
+      .map((stock) => ({ ...stock, low_stock: isLow(stock) }))
+    return {
+      ...plain,
+      stocks,
+      total_quantity: stocks.reduce((sum, stock) => sum + stock.quantity, 0),
+      low_stock: stocks.some((stock) => stock.low_stock),
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _assertUnique({ name, sku }, exceptId = null) {
+    const conditions = []
+    if (name) conditions.push({ name })
+    if (sku) conditions.push({ sku })
+    if (!conditions.length) {
+      return
+    }
+
+    const existing = await Consumable.findOne({
+      where: {
+        [Op.or]: conditions,
+        ...(exceptId && { consumable_id: { [Op.ne]: exceptId } }),
+      },
+      attributes: ['name', 'sku'],
+    })
+    if (existing) {
+      throw serviceError(
+        existing.name === name
+          ? `A consumable named "${name}" already exists`
+          : `A consumable with SKU "${sku}" already exists`,
+        409,
+      )
+    }
+  }
+
+  _validate(data, { partial }) {
+    const values = {}
+    CONSUMABLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field]
+      }
+    })
+
+    if (!partial || values.name !== undefined) {
+      const name = String(values.name || '').trim()
+      if (!name || name.length > 150) {
+        throw serviceError('name is required (max 150 characters)', 400)
+      }
+      values.name = name
+    }
+
+    if (values.sku !== undefined) {
+      const sku = values.sku ? String(values.sku).trim() : null
+      if (sku && sku.length > 100) {
+        throw serviceError('sku must be at most 100 characters', 400)
+      }
+      values.sku = sku
+    }
+
+    if (values.unit !== undefined) {
+      const unit = String(values.unit || '').trim()
+      if (!unit || unit.length > 20) {
+        throw serviceError('unit must be 1-20 characters', 400)
+      }
+      values.unit = unit
+    }
+
+    if (values.description !== undefined) {
+      values.description = values.description
+        ? String(values.description).trim()
+        : null
+    }
+
+    if (values.is_active !== undefined && typeof values.is_active !== 'boolean') {
+      throw serviceError('is_active must be a boolean', 400)
+    }
+
+    return values
+  }
+}
+
+module.exports = new ConsumableService()
@@ -30,6 +30,12 @@ class CrudService {
       defaultIncludes: options.defaultIncludes || [],
       // Fields to exclude from response
       excludeFromResponse: options.excludeFromResponse || ['password_hash'],
+      // Maps an access scope (accessScopeService.getScope) to a where clause;
+      // without it, accessScope options are ignored
+      scopeWhere: options.scopeWhere || null,
+      // Scope applied when a call gives no accessScope (e.g. the scope of the
+      // current request); an accessScope of null still means unrestricted
+      defaultScope: options.defaultScope || null,
       ...options,
     }
   }
@@ -37,7 +43,8 @@ class CrudService {
   /**
    * Get paginated list with search and filtering
    * @param {Object} queryParams - Query parameters from request
-   * @param {Object} additionalOptions - Additional Sequelize options
+   * @param {Object} additionalOptions - Additional Sequelize options, plus
+   *   `accessScope` to only list records within the scope
    * @returns {Object} Paginated result with data and metadata
    */
   async list(queryParams = {}, additionalOptions = {}) {
@@ -54,6 +61,7 @@ class CrudService {
       const {
         include: extraIncludes = [],
         where: extraWhere = {},
+        accessScope,
         ...restAdditionalOptions
       } = additionalOptions
 
@@ -69,11 +77,8 @@ class CrudService {
       console.log({ search })
 
       // Build where clause
-      const whereClause = this._buildWhereClause(filters, search)
-      const mergedWhere = {
-        ...whereClause,
-        ...extraWhere,
-      }
+      const whereClause = this._buildWhereClause(filters, search, accessScope)
+      const mergedWhere = this._mergeWhere(whereClause, extraWhere)
 
       // Build order clause
       const orderClause = this._buildOrderClause(sortBy, sortOrder)
@@ -130,17 +135,29 @@ class CrudService {
   /**
    * Get single record by ID
    * @param {number|string} id - Record ID
-   * @param {Object} additionalOptions - Additional Sequelize options
+   * @param {Object} additionalOptions - Additional Sequelize options, plus
+   *   `accessScope` to only match a record within the scope
    * @returns {Object|null} Record data or null if not found
    */
   async getById(id, additionalOptions = {}) {
     try {
-      const includeClause = this._buildIncludeClause(additionalOptions.include)
-
-      const record = await this.model.findByPk(id, {
-        include: includeClause,
-        ...additionalOptions,
-      })
+      const { accessScope, ...options } = additionalOptions
+      const includeClause = this._buildIncludeClause(options.include)
+
+      const scopeWhere = this._buildScopeWhere(accessScope)
+      const record = scopeWhere
+        ? await this.model.findOne({
+            include: includeClause,
+            ...options,
+            where: this._mergeWhere(
+              { [this._getPrimaryKey()]: id },
+              scopeWhere,
+            ),
+          })
+        : await this.model.findByPk(id, {
+            include: includeClause,
+            ...options,
+          })
 
       if (!record) {
         return null
@@ -186,14 +203,19 @@ class CrudService {
    * Update record by ID
    * @param {number|string} id - Record ID
    * @param {Object} data - Update data
-   * @param {Object} additionalOptions - Additional Sequelize options
+   * @param {Object} additionalOptions - Additional Sequelize options, plus
+   *   `accessScope` to only match a record within the scope
    * @returns {Object|null} Updated record or null if not found
    */
   async update(id, data, additionalOptions = {}) {
     try {
+      const { accessScope, ...options } = additionalOptions
       const [affectedCount] = await this.model.update(data, {
-        where: { [this._getPrimaryKey()]: id },
-        ...additionalOptions,
+        ...options,
+        where: this._mergeWhere(
+          { [this._getPrimaryKey()]: id },
+          this._buildScopeWhere(accessScope) || {},
+        ),
       })
 
       if (affectedCount === 0) {
@@ -201,7 +223,7 @@ class CrudService {
       }
 
       // Return updated record
-      return await this.getById(id, additionalOptions)
+      return await this.getById(id, { ...options, accessScope })
     } catch (error) {
       if (error.name === 'SequelizeValidationError') {
         const validationErrors = error.errors.map((err) => ({
@@ -223,14 +245,19 @@ class CrudService {
   /**
    * Delete record by ID (hard delete)
    * @param {number|string} id - Record ID
-   * @param {Object} additionalOptions - Additional Sequelize options
+   * @param {Object} additionalOptions - Additional Sequelize options, plus
+   *   `accessScope` to only match a record within the scope
    * @returns {boolean} True if deleted, false if not found
    */
   async delete(id, additionalOptions = {}) {
     try {
+      const { accessScope, ...options } = additionalOptions
       const deletedCount = await this.model.destroy({
-        where: { [this._getPrimaryKey()]: id },
-        ...additionalOptions,
+        ...options,
+        where: this._mergeWhere(
+          { [this._getPrimaryKey()]: id },
+          this._buildScopeWhere(accessScope) || {},
+        ),
       })
 
       return deletedCount > 0
@@ -348,9 +375,15 @@ class CrudService {
    * Build where clause for search and filters
    * @private
    */
-  _buildWhereClause(filters = {}, search = '') {
+  _buildWhereClause(filters = {}, search = '', accessScope) {
     const whereClause = {}
 
+    // Restrict to records within the user's access scope
+    const scopeWhere = this._buildScopeWhere(accessScope)
+    if (scopeWhere) {
+      whereClause[Op.and] = [scopeWhere]
+    }
+
     // Add search conditions
     if (search && this.options.searchFields.length > 0) {
       const searchConditions = this.options.searchFields.map((field) => ({
@@ -380,6 +413,32 @@ class CrudService {
     return whereClause
   }
 
+  /**
+   * Where clause of an access scope, or null when unrestricted
+   * @private
+   */
+  _buildScopeWhere(accessScope) {
+    if (accessScope === undefined && this.options.defaultScope) {
+      accessScope = this.options.defaultScope()
+    }
+    if (!accessScope || !this.options.scopeWhere) {
+      return null
+    }
+    return this.options.scopeWhere(accessScope)
+  }
+
+  /**
+   * Merge where clauses, keeping the Op.and conditions of both
+   * @private
+   */
+  _mergeWhere(where = {}, extraWhere = {}) {
+    const merged = { ...where, ...extraWhere }
+    if (where[Op.and] && extraWhere[Op.and]) {
+      merged[Op.and] = [...where[Op.and], ...extraWhere[Op.and]]
+    }
+    return merged
+  }
+
   /**
    * Build order clause
    * @private
@@ -1,6 +1,7 @@
 'use strict'
 
 const CrudService = require('./crudService')
+const accessScopeService = require('./accessScopeService')
 const {
   User,
   Department,
@@ -31,7 +32,7 @@ const createUserCrudService = () => {
     defaultOrder: 'DESC',
     defaultPageSize: 10,
     maxPageSize: 100,
-    excludeFromSearch: ['password_hash', 'created_at', 'updated_at'],
+    excludeFromSearch: ['password_hash', 'two_factor_secret', 'created_at', 'updated_at'],
     defaultIncludes: [
       {
         model: Department,
@@ -39,7 +40,7 @@ const createUserCrudService = () => {
         attributes: ['department_id', 'name'],
       },
     ],
-    excludeFromResponse: ['password_hash'],
+    excludeFromResponse: ['password_hash', 'two_factor_secret', 'two_factor_last_step'],
   })
 }
 
@@ -108,6 +109,8 @@ const createAssetCrudService = () => {
       },
     ],
     excludeFromResponse: [],
+    scopeWhere: (scope) => accessScopeService.buildAssetWhere(scope),
+    defaultScope: () => accessScopeService.currentScope(),
   })
 }
 
@@ -167,6 +170,7 @@ const createAssetTransactionCrudService = () => {
       },
     ],
     excludeFromResponse: [],
+    scopeWhere: (scope) => accessScopeService.buildTransactionWhere(scope),
   })
 }
 
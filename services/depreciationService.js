@@ -0,0 +1,279 @@
+'use strict'
+
+const { Op } = require('sequelize')
+const { Asset, AssetCategory, User, Department } = require('../models')
+const {
+  resolveDepreciationBasis,
+  bookValueAt,
+  buildSchedule,
+  periodMovements,
+} = require('../utils/depreciation')
+const { ASSET_STATUS } = require('../utils/constants')
+const accessScopeService = require('./accessScopeService')
+
+const MOVEMENT_FIELDS = [
+  'opening_value',
+  'additions',
+  'depreciation',
+  'disposals',
+  'closing_value',
+]
+
+const CATEGORY_ATTRIBUTES = [
+  'category_id',
+  'name',
+  'depreciation_rate',
+  'depreciation_method',
+]
+
+const ASSET_ATTRIBUTES = [
+  'asset_id',
+  'asset_tag',
+  'category_id',
+  'status',
+  'assigned_to',
+  'created_by',
+  'purchase_cost',
+  'purchase_date',
+  'salvage_value',
+  'depreciation_method',
+  'disposal_date',
+  'updated_at',
+]
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const emptyMovements = () =>
+  MOVEMENT_FIELDS.reduce((totals, field) => ({ ...totals, [field]: 0 }), {})
+
+/**
+ * Depreciation schedules and the fixed-asset register, computed from an
+ * asset's purchase cost/date and its category's depreciation rate and method.
+ */
+class DepreciationService {
+  /**
+   * Depreciation details and yearly schedule of an asset.
+   * @param {number} assetId
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {Object|null} [options.accessScope] - Assets outside the scope are
+   *   treated as not found; defaults to the scope of the current request
+   * @returns {Promise<Object|null>} Null when the asset does not exist
+   */
+  async getAssetSchedule(assetId, { now = new Date(), accessScope } = {}) {
+    const asset = await Asset.findOne({
+      attributes: ASSET_ATTRIBUTES,
+      where: this._scopedWhere({ asset_id: assetId }, accessScope),
+      include: [
+        {
+          model: AssetCategory,
+          as: 'category',
+          attributes: CATEGORY_ATTRIBUTES,
+          required: false,
+        },
+      ],
+    })
+    if (!asset) {
+      return null
+    }
+
+    const basis = resolveDepreciationBasis(
+      this._withLegacyDisposalDate(asset),
+      asset.category,
+    )
+
+    return {
+      asset_id: asset.asset_id,
+      asset_tag: asset.asset_tag,
+      category: asset.category
+        ? {
+            category_id: asset.category.category_id,
+            name: asset.category.name,
+          }
+        : null,
+      purchase_cost: asset.purchase_cost,
+      purchase_date: asset.purchase_date,
+      salvage_value: asset.salvage_value,
+      disposal_date: basis?.disposalDate
+        ? basis.disposalDate.toISOString().split('T')[0]
+        : null,
+      depreciation_method: basis?.method || null,
+      depreciation_rate: basis ? basis.rate : null,
+      depreciable: Boolean(basis),
+      reason: basis ? null : 'Asset has no purchase cost or purchase date',
+      current: basis ? bookValueAt(basis, now) : null,
+      schedule: basis ? buildSchedule(basis, { now }) : [],
+    }
+  }
+
+  /**
+   * Fixed-asset register for a period, grouped by category and by department.
+   * An asset's department is that of the user it is assigned to, or of the
+   * user who created it when unassigned (disposed assets are unassigned).
+   * @param {Object} params
+   * @param {Date} params.periodStart
+   * @param {Date} params.periodEnd
+   * @param {Object|null} [params.accessScope] - Only assets within the scope;
+   *   defaults to the scope of the current request
+   * @returns {Promise<Object>}
+   */
+  async getFixedAssetRegister({ periodStart, periodEnd, accessScope }) {
+    const assets = await Asset.findAll({
+      attributes: ASSET_ATTRIBUTES,
+      where: this._scopedWhere(
+        {
+          purchase_cost: { [Op.ne]: null },
+          purchase_date: {
+            [Op.ne]: null,
+            [Op.lte]: periodEnd.toISOString().split('T')[0],
+          },
+        },
+        accessScope,
+      ),
+      include: [
+        {
+          model: AssetCategory,
+          as: 'category',
+          attributes: CATEGORY_ATTRIBUTES,
+          required: false,
+        },
+      ],
+      order: [['asset_id', 'ASC']],
+    })
+
+    const departmentsByUser = await this._getUserDepartments(assets)
+    const rows = []
+    for (const asset of assets) {
+      const basis = resolveDepreciationBasis(
+        this._withLegacyDisposalDate(asset),
+        asset.category,
+      )
+      const movements = basis
+        ? periodMovements(basis, periodStart, periodEnd)
+        : null
+      if (!movements) {
+        continue
+      }
+
+      const department =
+        departmentsByUser.get(asset.assigned_to) ||
+        departmentsByUser.get(asset.created_by) ||
+        null
+
+      rows.push({
+        asset_id: asset.asset_id,
+        asset_tag: asset.asset_tag,
+        status: asset.status,
+        category_id: asset.category?.category_id ?? null,
+        category_name: asset.category?.name || 'Uncategorized',
+        department_id: department?.department_id ?? null,
+        department_name: department?.name || 'Unassigned',
+        purchase_date: asset.purchase_date,
+        purchase_cost: Number(asset.purchase_cost),
+        depreciation_method: basis.method,
+        depreciation_rate: basis.rate,
+        disposal_date: basis.disposalDate
+          ? basis.disposalDate.toISOString().split('T')[0]
+          : null,
+        ...movements,
+      })
+    }
+
+    return {
+      period_start: periodStart.toISOString().split('T')[0],
+      period_end: periodEnd.toISOString().split('T')[0],
+      totals: this._sumMovements(rows),
+      by_category: this._groupRows(rows, 'category_id', 'category_name'),
+      by_department: this._groupRows(rows, 'department_id', 'department_name'),
+      assets: rows,
+    }
+  }
+
+  // Where clause limited to assets within an access scope
+  _scopedWhere(where, accessScope) {
+    const scope = accessScopeService.resolveScope(accessScope)
+    return scope
+      ? { [Op.and]: [where, accessScopeService.buildAssetWhere(scope)] }
+      : where
+  }
+
+  // Disposed assets recorded before disposal_date existed fall back to their
+  // last update
+  _withLegacyDisposalDate(asset) {
+    const data = asset.get ? asset.get({ plain: true }) : { ...asset }
+    if (!data.disposal_date && data.status === ASSET_STATUS.DISPOSED) {
+      data.disposal_date = data.updated_at
+    }
+    return data
+  }
+
+  async _getUserDepartments(assets) {
+    const userIds = [
+      ...new Set(
+        assets
+          .flatMap((asset) => [asset.assigned_to, asset.created_by])
+          .filter(Boolean),
+      ),
+    ]
+    if (!userIds.length) {
+      return new Map()
+    }
+
+    const users = await User.findAll({
+      where: { user_id: { [Op.in]: userIds } },
+      attributes: ['user_id', 'department_id'],
+      include: [
+        {
+          model: Department,
+          as: 'department',
+          attributes: ['department_id', 'name'],
+          required: false,
+        },
+      ],
+    })
+
+    return new Map(
+      users
+        .filter((user) => user.department)
+        .map((user) => [user.user_id, user.department]),
+    )
+  }
+
+  _groupRows(rows, idField, nameField) {
+    const groups = new Map()
+    for (const row of rows) {
+      const key = row[idField] ?? null
+      if (!groups.has(key)) {
+        groups.set(key, {
+          [idField]: key,
+          [nameField]: row[nameField],
+          rows: [],
+        })
+      }
+      groups.get(key).rows.push(row)
+    }
+
+    return [...groups.values()]
+      .map(({ rows: groupRows, ...group }) => ({
+        ...group,
+        ...this._sumMovements(groupRows),
+      }))
+      .sort((a, b) => String(a[nameField]).localeCompare(String(b[nameField])))
+  }
+
+  _sumMovements(rows) {
+    const totals = rows.reduce((sum, row) => {
+      MOVEMENT_FIELDS.forEach((field) => {
+        sum[field] += row[field]
+      })
+      return sum
+    }, emptyMovements())
+
+    MOVEMENT_FIELDS.forEach((field) => {
+      totals[field] = roundMoney(totals[field])
+    })
+    return { asset_count: rows.length, ...totals }
+  }
+}
+
+module.exports = new DepreciationService()
@@ -0,0 +1,459 @@
+'use strict'
+
+const crypto = require('crypto')
+const bcrypt = require('bcrypt')
+const { Client } = require('ldapts')
+const { User, Department } = require('../models')
+const sessionService = require('./sessionService')
+const offboardingService = require('./offboardingService')
+const logger = require('../utils/logger')
+const {
+  DEFAULTS,
+  USER_STATUS,
+  SESSION_REVOKE_REASON,
+} = require('../utils/constants')
+
+const REQUEST_TIMEOUT_MS = 30 * 1000
+const SALT_ROUNDS = 12
+// userAccountControl flag of disabled Active Directory accounts
+const AD_ACCOUNT_DISABLED = 0x2
+
+const SYNCED_FIELDS = [
+  'full_name',
+  'email',
+  'employee_id',
+  'position',
+  'department_id',
+]
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// LDAP attributes hold one value or a list of values
+const firstValue = (value) => {
+  const item = Array.isArray(value) ? value[0] : value
+  return item === undefined || item === null || item === ''
+    ? null
+    : String(item).trim()
+}
+
+const allValues = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== undefined && item !== null && item !== '')
+    .map(String)
+
+const normalizeDn = (dn) => String(dn || '').toLowerCase().replace(/\s*,\s*/g, ',')
+
+/**
+ * Synchronisation of users and departments from an LDAP or Active Directory
+ * directory. Directory users are created or updated (full name, email,
+ * employee ID, position, department); users linked to the directory who are
+ * no longer in it, or whose account is disabled, are terminated, or
+ * deactivated and offboarded while they still hold assets. A user's
+ * department is the department attribute when configured, else the first
+ * directory group they belong to; missing departments are created.
+ *
+ * Existing users are linked on their directory DN, then employee ID, then
+ * email. Users who were never in the directory are not touched.
+ *
+ * Configured with LDAP_URL, LDAP_BIND_DN, LDAP_BIND_PASSWORD and
+ * LDAP_USER_BASE_DN; see env.example for the optional settings.
+ */
+class DirectorySyncService {
+  constructor() {
+    this.running = false
+  }
+
+  getConfig() {
+    return {
+      url: process.env.LDAP_URL || '',
+      bindDn: process.env.LDAP_BIND_DN || '',
+      bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+      userBaseDn: process.env.LDAP_USER_BASE_DN || '',
+      userFilter: process.env.LDAP_USER_FILTER || '(objectClass=inetOrgPerson)',
+      groupBaseDn: process.env.LDAP_GROUP_BASE_DN || '',
+      groupFilter: process.env.LDAP_GROUP_FILTER || '(objectClass=groupOfNames)',
+      groupMemberAttribute: process.env.LDAP_GROUP_MEMBER_ATTRIBUTE || 'member',
+      attributes: {
+        full_name: process.env.LDAP_ATTR_FULL_NAME || 'cn',
+        email: process.env.LDAP_ATTR_EMAIL || 'mail',
+        employee_id: process.env.LDAP_ATTR_EMPLOYEE_ID || 'employeeNumber',
+        position: process.env.LDAP_ATTR_POSITION || 'title',
+        department: process.env.LDAP_ATTR_DEPARTMENT || '',
+      },
+      rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false',
+    }
+  }
+
+  isEnabled() {
+    const config = this.getConfig()
+    return Boolean(config.url && config.userBaseDn)
+  }
+
+  /**
+   * Run a synchronisation.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<Object>} Report with a summary and every change
+   */
+  async sync({ dryRun = false } = {}) {
+    if (!this.isEnabled()) {
+      throw serviceError('Directory synchronisation is not configured', 404)
+    }
+    if (this.running) {
+      throw serviceError('A directory synchronisation is already running', 409)
+    }
+
+    this.running = true
+    try {
+      return await this._sync({ dryRun })
+    } finally {
+      this.running = false
+    }
+  }
+
+  async _sync({ dryRun }) {
+    const startedAt = new Date()
+    const config = this.getConfig()
+    const directory = await this._fetchDirectory(config)
+
+    const entries = directory.users.filter((entry) => !entry.disabled)
+    // A misconfigured filter must not terminate everyone
+    if (!entries.length) {
+      throw serviceError(
+        'The directory returned no active users; nothing was changed',
+        502,
+      )
+    }
+
+    const report = {
+      dry_run: dryRun,
+      started_at: startedAt,
+      finished_at: null,
+      directory: {
+        users: directory.users.length,
+        disabled_users: directory.users.length - entries.length,
+        groups: directory.groups,
+      },
+      summary: {
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        terminated: 0,
+        offboarding: 0,
+        skipped: 0,
+        departments_created: 0,
+      },
+      departments_created: [],
+      changes: [],
+    }
+
+    const departmentIds = await this._resolveDepartments(entries, {
+      dryRun,
+      report,
+    })
+    const users = await User.findAll({
+      attributes: ['user_id', 'status', 'directory_dn', ...SYNCED_FIELDS],
+    })
+    const index = {
+      dn: new Map(),
+      employeeId: new Map(),
+      email: new Map(),
+    }
+    users.forEach((user) => {
+      if (user.directory_dn) index.dn.set(normalizeDn(user.directory_dn), user)
+      if (user.employee_id) index.employeeId.set(user.employee_id, user)
+      index.email.set(String(user.email).toLowerCase(), user)
+    })
+
+    const seenUserIds = new Set()
+    for (const entry of entries) {
+      if (!entry.email) {
+        this._record(report, 'skipped', {
+          dn: entry.dn,
+          reason: 'No email address in the directory',
+        })
+        continue
+      }
+
+      const values = {
+        full_name: entry.full_name || entry.email,
+        email: entry.email,
+        employee_id: entry.employee_id,
+        position: entry.position,
+        department_id: entry.department
+          ? departmentIds.get(entry.department.toLowerCase()) ?? null
+          : null,
+      }
+      const user =
+        index.dn.get(normalizeDn(entry.dn)) ||
+        (entry.employee_id && index.employeeId.get(entry.employee_id)) ||
+        index.email.get(entry.email)
+
+      try {
+        if (!user) {
+          this._assertUnique(values, null, index)
+          if (!dryRun) {
+            const created = await this._createUser(entry, values)
+            seenUserIds.add(created.user_id)
+          }
+          this._record(report, 'created', {
+            dn: entry.dn,
+            email: values.email,
+            department: entry.department,
+          })
+          continue
+        }
+
+        seenUserIds.add(user.user_id)
+        const changes = this._diff(user, values, entry)
+        if (!Object.keys(changes).length) {
+          report.summary.unchanged += 1
+          if (!dryRun) {
+            await user.update({ directory_synced_at: new Date() })
+          }
+          continue
+        }
+
+        this._assertUnique(values, user, index)
+        if (!dryRun) {
+          const updates = { directory_synced_at: new Date() }
+          Object.entries(changes).forEach(([field, change]) => {
+            updates[field] = change.to
+          })
+          await user.update(updates)
+        }
+        this._record(report, 'updated', {
+          user_id: user.user_id,
+          dn: entry.dn,
+          email: values.email,
+          department: entry.department,
+          changes,
+        })
+      } catch (error) {
+        this._record(report, 'skipped', {
+          user_id: user?.user_id,
+          dn: entry.dn,
+          email: values.email,
+          reason: error.message,
+        })
+      }
+    }
+
+    // Linked users who left the directory or were disabled there. Users
+    // still holding assets are deactivated and offboarded instead, as they
+    // cannot be terminated before their assets are recovered.
+    for (const user of users) {
+      if (
+        !user.directory_dn ||
+        seenUserIds.has(user.user_id) ||
+        user.status === USER_STATUS.TERMINATED
+      ) {
+        continue
+      }
+
+      const assets = await offboardingService.getAssignedAssets(user.user_id)
+      const status = assets.length ? USER_STATUS.INACTIVE : USER_STATUS.TERMINATED
+      if (!dryRun) {
+        await user.update({ status, directory_synced_at: new Date() })
+        await sessionService.revokeAll(user.user_id, {
+          reason: SESSION_REVOKE_REASON.USER_DEACTIVATED,
+        })
+        if (assets.length) {
+          await offboardingService.start(user.user_id)
+        }
+      }
+      this._record(report, assets.length ? 'offboarding' : 'terminated', {
+        user_id: user.user_id,
+        dn: user.directory_dn,
+        email: user.email,
+        changes:
+          user.status === status ? {} : { status: { from: user.status, to: status } },
+        ...(assets.length && {
+          reason: `Holds ${assets.length} assigned asset(s); offboarding started`,
+        }),
+      })
+    }
+
+    report.finished_at = new Date()
+    logger.logBusiness('directory_sync', {
+      dryRun,
+      ...report.summary,
+    })
+    return report
+  }
+
+  async _fetchDirectory(config) {
+    const client = new Client({
+      url: config.url,
+      timeout: REQUEST_TIMEOUT_MS,
+      connectTimeout: REQUEST_TIMEOUT_MS,
+      tlsOptions: { rejectUnauthorized: config.rejectUnauthorized },
+    })
+
+    try {
+      if (config.bindDn) {
+        await client.bind(config.bindDn, config.bindPassword)
+      }
+
+      const attributeNames = Object.values(config.attributes).filter(Boolean)
+      const { searchEntries: userEntries } = await client.search(
+        config.userBaseDn,
+        {
+          scope: 'sub',
+          filter: config.userFilter,
+          attributes: [...attributeNames, 'userAccountControl'],
+          paged: true,
+        },
+      )
+
+      let groupEntries = []
+      if (config.groupBaseDn) {
+        ;({ searchEntries: groupEntries } = await client.search(
+          config.groupBaseDn,
+          {
+            scope: 'sub',
+            filter: config.groupFilter,
+            attributes: ['cn', config.groupMemberAttribute],
+            paged: true,
+          },
+        ))
+      }
+
+      // Group names by member DN, in directory order
+      const groupsByMember = new Map()
+      groupEntries.forEach((group) => {
+        const name = firstValue(group.cn)
+        if (!name) return
+        allValues(group[config.groupMemberAttribute]).forEach((memberDn) => {
+          const key = normalizeDn(memberDn)
+          groupsByMember.set(key, [...(groupsByMember.get(key) || []), name])
+        })
+      })
+
+      return {
+        users: userEntries.map((entry) =>
+          this._toDirectoryUser(entry, config, groupsByMember),
+        ),
+        groups: groupEntries.length,
+      }
+    } catch (error) {
+      if (error.statusCode) throw error
+      throw serviceError(`Directory query failed: ${error.message}`, 502)
+    } finally {
+      await client.unbind().catch(() => {})
+    }
+  }
+
+  _toDirectoryUser(entry, config, groupsByMember) {
+    const { attributes } = config
+    const email = firstValue(entry[attributes.email])
+    const userAccountControl = parseInt(firstValue(entry.userAccountControl), 10)
+
+    return {
+      dn: entry.dn,
+      full_name: firstValue(entry[attributes.full_name]),
+      email: email ? email.toLowerCase() : null,
+      employee_id: firstValue(entry[attributes.employee_id]),
+      position: firstValue(entry[attributes.position]),
+      department:
+        (attributes.department && firstValue(entry[attributes.department])) ||
+        (groupsByMember.get(normalizeDn(entry.dn)) || [])[0] ||
+        null,
+      disabled:
+        Number.isInteger(userAccountControl) &&
+        (userAccountControl & AD_ACCOUNT_DISABLED) !== 0,
+    }
+  }
+
+  // Department ID by lowercase name, creating missing departments
+  async _resolveDepartments(entries, { dryRun, report }) {
+    const departments = await Department.findAll({
+      attributes: ['department_id', 'name'],
+    })
+    const ids = new Map(
+      departments.map((department) => [
+        department.name.toLowerCase(),
+        department.department_id,
+      ]),
+    )
+
+    const names = new Map()
+    entries.forEach((entry) => {
+      if (entry.department && !ids.has(entry.department.toLowerCase())) {
+        names.set(entry.department.toLowerCase(), entry.department)
+      }
+    })
+
+    for (const [key, name] of names) {
+      if (dryRun) {
+        ids.set(key, null)
+      } else {
+        const department = await Department.create({ name: name.slice(0, 100) })
+        ids.set(key, department.department_id)
+      }
+      report.departments_created.push(name)
+      report.summary.departments_created += 1
+    }
+
+    return ids
+  }
+
+  async _createUser(entry, values) {
+    return User.create({
+      ...values,
+      role: DEFAULTS.USER_ROLE,
+      status: USER_STATUS.ACTIVE,
+      // Directory users sign in with SSO or set a password by resetting it
+      password_hash: await bcrypt.hash(
+        crypto.randomBytes(32).toString('hex'),
+        SALT_ROUNDS,
+      ),
+      directory_dn: entry.dn,
+      directory_synced_at: new Date(),
+    })
+  }
+
+  // Changed synced fields as { field: { from, to } }
+  _diff(user, values, entry) {
+    const changes = {}
+    SYNCED_FIELDS.forEach((field) => {
+      // A department that cannot be resolved leaves the current one
+      if (field === 'department_id' && !entry.department) {
+        return
+      }
+      const from = user[field] ?? null
+      const to = values[field] ?? null
+      if (String(from ?? '') !== String(to ?? '')) {
+        changes[field] = { from, to }
+      }
+    })
+    if (normalizeDn(user.directory_dn) !== normalizeDn(entry.dn)) {
+      changes.directory_dn = { from: user.directory_dn, to: entry.dn }
+    }
+    return changes
+  }
+
+  // Email and employee ID must stay unique across users
+  _assertUnique(values, user, index) {
+    const emailOwner = index.email.get(values.email)
+    if (emailOwner && emailOwner !== user) {
+      throw new Error(`Email ${values.email} belongs to another user`)
+    }
+    const employeeOwner =
+      values.employee_id && index.employeeId.get(values.employee_id)
+    if (employeeOwner && employeeOwner !== user) {
+      throw new Error(`Employee ID ${values.employee_id} belongs to another user`)
+    }
+  }
+
+  _record(report, action, change) {
+    report.summary[action] += 1
+    report.changes.push({ action, ...change })
+  }
+}
+
+module.exports = new DirectorySyncService()
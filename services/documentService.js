@@ -250,7 +250,8 @@ class DocumentService {
   }
 
   /**
-   * Delete document and associated file
+   * Move document to the trash. The file is kept so the document can be
+   * restored; it is removed when the trash is purged.
    * @param {number} id - Document ID
    * @returns {boolean} Success status
    */
@@ -264,27 +265,9 @@ class DocumentService {
         throw error;
       }
 
-      // Delete file from filesystem
-      if (document.file_path) {
-        try {
-          const filePath = path.join(
-            __dirname,
-            "../public",
-            document.file_path
-          );
-          await fs.unlink(filePath);
-        } catch (unlinkError) {
-          // Log but don't fail if file doesn't exist
-          logger.warn("Could not delete file", {
-            filePath: document.file_path,
-            error: unlinkError.message,
-          });
-        }
-      }
-
       await document.destroy();
 
-      logger.info("Document deleted", {
+      logger.info("Document moved to trash", {
         documentId: id,
         filePath: document.file_path,
       });
@@ -380,6 +363,27 @@ class DocumentService {
       throw error;
     }
   }
+
+  /**
+   * Remove a document's file from the filesystem
+   * @param {Object} document - AssetDocument instance or plain row
+   */
+  async removeDocumentFile(document) {
+    if (!document?.file_path) {
+      return;
+    }
+
+    try {
+      const filePath = path.join(__dirname, "../public", document.file_path);
+      await fs.unlink(filePath);
+    } catch (unlinkError) {
+      // Log but don't fail if file doesn't exist
+      logger.warn("Could not delete file", {
+        filePath: document.file_path,
+        error: unlinkError.message,
+      });
+    }
+  }
 }
 
 module.exports = DocumentService;
@@ -0,0 +1,294 @@
+'use strict'
+
+const { Asset, ConsumableStock } = require('../models')
+const accessScopeService = require('./accessScopeService')
+const logger = require('../utils/logger')
+const { checkPermission, MODULES, PERMISSIONS } = require('../utils/permissions')
+const { STREAM_EVENT } = require('../utils/constants')
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+const RETRY_MS = 5000
+
+/**
+ * Server-Sent Events connections of authenticated users. Events are only
+ * written to the users they are addressed to, or to connected users whose
+ * role grants the given permission and, for events about an asset or stock,
+ * whose access scope covers it.
+ */
+class EventStreamService {
+  constructor() {
+    // user_id -> Set of { user, res }
+    this.clients = new Map()
+    this.heartbeat = null
+  }
+
+  /**
+   * Open an event stream on the response and keep it until the client
+   * disconnects.
+   * @param {Object} req - Authenticated request (req.user, req.accessScope)
+   * @param {Object} res
+   * @param {Object} [readyData] - Payload of the initial ready event
+   */
+  subscribe(req, res, readyData = {}) {
+    res.status(200)
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    })
+    res.flushHeaders()
+    res.write(`retry: ${RETRY_MS}\n\n`)
+
+    const client = { user: req.user, accessScope: req.accessScope || null, res }
+    const userId = req.user.user_id
+    if (!this.clients.has(userId)) {
+      this.clients.set(userId, new Set())
+    }
+    this.clients.get(userId).add(client)
+    this._startHeartbeat()
+
+    this._write(client, STREAM_EVENT.READY, readyData)
+
+    req.on('close', () => this._remove(client))
+  }
+
+  /**
+   * Close the open streams of a user, e.g. when their sessions are revoked.
+   * Clients that reconnect are authenticated again and turned away.
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {number} [options.sessionId] - Only close the streams of this
+   *   session
+   * @param {number} [options.exceptSessionId] - Keep the streams of this
+   *   session open
+   * @returns {number} Number of streams closed
+   */
+  closeForUser(userId, { sessionId = null, exceptSessionId = null } = {}) {
+    const userClients = this.clients.get(Number(userId))
+    if (!userClients) {
+      return 0
+    }
+
+    let closed = 0
+    for (const client of [...userClients]) {
+      const clientSessionId = client.user.session_id
+      if (sessionId && Number(clientSessionId) !== Number(sessionId)) {
+        continue
+      }
+      if (exceptSessionId && Number(clientSessionId) === Number(exceptSessionId)) {
+        continue
+      }
+
+      this._remove(client)
+      client.res.end()
+      closed += 1
+    }
+
+    if (closed) {
+      logger.info('Event streams closed', { userId, sessionId, closed })
+    }
+
+    return closed
+  }
+
+  /**
+   * Write an event to connected users.
+   * @param {string} event - One of STREAM_EVENT
+   * @param {Object} data
+   * @param {Object} audience
+   * @param {Array<number>} [audience.userIds] - Users the event concerns
+   * @param {Array<string>} [audience.permission] - [module, permission] that
+   *   also lets a connected user receive the event
+   * @param {Object|null} [audience.place] - Asset or stock the event is about
+   *   (department_id, location_id, building_id); users let in by permission
+   *   only receive the event when it is within their access scope
+   * @returns {number} Number of connections written to
+   */
+  publish(event, data, { userIds = [], permission = null, place } = {}) {
+    const targets = new Set(userIds.filter(Boolean).map(Number))
+    let delivered = 0
+
+    for (const [userId, userClients] of this.clients) {
+      for (const client of userClients) {
+        const allowed =
+          targets.has(Number(userId)) ||
+          (permission &&
+            client.user.role &&
+            checkPermission(client.user.role, permission[0], permission[1]) &&
+            (place === undefined ||
+              accessScopeService.assetMatchesScope(place, client.accessScope)))
+        if (allowed && this._write(client, event, data)) {
+          delivered += 1
+        }
+      }
+    }
+
+    return delivered
+  }
+
+  /**
+   * Push created notifications to their recipients.
+   * @param {Array<Object>} notifications - Notification rows
+   */
+  publishNotifications(notifications) {
+    for (const notification of notifications) {
+      const data = notification.get
+        ? notification.get({ plain: true })
+        : notification
+      this.publish(STREAM_EVENT.NOTIFICATION, data, {
+        userIds: [data.user_id],
+      })
+    }
+  }
+
+  /**
+   * Push a transaction change to its requester and recipient, and to users
+   * who can list all transactions and whose access scope covers its asset or
+   * stock. Errors are logged, never thrown, so callers need not wait.
+   * @param {Object} transaction - AssetTransaction with its asset
+   * @returns {Promise<number>} Number of connections written to
+   */
+  async publishTransaction(transaction) {
+    if (!transaction) {
+      return 0
+    }
+
+    let place
+    try {
+      place = await this._transactionPlace(transaction)
+    } catch (error) {
+      logger.logError(error, {
+        action: 'publish_transaction',
+        transactionId: transaction.transaction_id,
+      })
+      // Still reach the requester and recipient
+      place = null
+    }
+
+    return this.publish(
+      STREAM_EVENT.TRANSACTION,
+      {
+        transaction_id: transaction.transaction_id,
+        asset_id: transaction.asset_id,
+        asset_tag: transaction.asset?.asset_tag || null,
+        action: transaction.action,
+        status: transaction.status,
+        requested_by: transaction.requested_by,
+        requested_to: transaction.requested_to,
+        updated_at: transaction.updated_at,
+      },
+      {
+        userIds: [transaction.requested_by, transaction.requested_to],
+        permission: [MODULES.TRANSACTIONS, PERMISSIONS.LIST],
+        place,
+      },
+    )
+  }
+
+  // Department, location and building of the asset or stock of a transaction;
+  // null when it has neither
+  async _transactionPlace(transaction) {
+    if (transaction.asset_id) {
+      return Asset.findByPk(transaction.asset_id, {
+        attributes: ['department_id', 'location_id', 'building_id'],
+        paranoid: false,
+      })
+    }
+    if (transaction.consumable_stock_id) {
+      return ConsumableStock.findByPk(transaction.consumable_stock_id, {
+        attributes: ['location_id', 'building_id'],
+      })
+    }
+    return null
+  }
+
+  /**
+   * Push export job progress to the user who requested the job.
+   * @param {Object} job - AssetExportJob
+   */
+  publishExportJob(job) {
+    if (!job) {
+      return 0
+    }
+
+    return this.publish(
+      STREAM_EVENT.EXPORT_JOB,
+      {
+        export_job_id: job.export_job_id,
+        job_type: job.job_type,
+        status: job.status,
+        progress: job.progress,
+        total_items: job.total_items,
+        processed_items: job.processed_items,
+        file_name: job.file_name,
+        file_path: job.file_path,
+        error_message: job.error_message,
+      },
+      { userIds: [job.requested_by] },
+    )
+  }
+
+  /**
+   * Number of open connections.
+   */
+  getConnectionCount() {
+    let count = 0
+    for (const userClients of this.clients.values()) {
+      count += userClients.size
+    }
+    return count
+  }
+
+  _remove(client) {
+    const userClients = this.clients.get(client.user.user_id)
+    if (userClients) {
+      userClients.delete(client)
+      if (!userClients.size) {
+        this.clients.delete(client.user.user_id)
+      }
+    }
+    if (!this.clients.size) {
+      this._stopHeartbeat()
+    }
+  }
+
+  _write(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+      return true
+    } catch (error) {
+      logger.logError(error, {
+        action: 'write_event_stream',
+        userId: client.user.user_id,
+        event,
+      })
+      return false
+    }
+  }
+
+  // Comment lines keep idle connections open through proxies
+  _startHeartbeat() {
+    if (this.heartbeat) {
+      return
+    }
+
+    this.heartbeat = setInterval(() => {
+      for (const userClients of this.clients.values()) {
+        for (const client of userClients) {
+          client.res.write(': heartbeat\n\n')
+        }
+      }
+    }, HEARTBEAT_INTERVAL_MS)
+    this.heartbeat.unref()
+  }
+
+  _stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat)
+      this.heartbeat = null
+    }
+  }
+}
+
+module.exports = new EventStreamService()
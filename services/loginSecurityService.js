@@ -0,0 +1,336 @@
+'use strict'
+
+const { User, LoginAttempt } = require('../models')
+const NotificationService = require('./notificationService')
+const sessionService = require('./sessionService')
+const logger = require('../utils/logger')
+const {
+  LOGIN_ATTEMPT_OUTCOME,
+  NOTIFICATION_TYPE,
+} = require('../utils/constants')
+const { Op } = require('sequelize')
+
+const DEFAULT_MAX_FAILED_ATTEMPTS = 5
+const DEFAULT_FAILURE_WINDOW_MINUTES = 15
+const DEFAULT_LOCKOUT_MINUTES = 30
+const MAX_PAGE_SIZE = 100
+const MINUTE_MS = 60 * 1000
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+/**
+ * Per-account lockout after repeated failed logins, the login attempt log and
+ * alerts about logins from a new IP address or user agent.
+ */
+class LoginSecurityService {
+  constructor() {
+    this.notificationService = new NotificationService()
+  }
+
+  /**
+   * Configured with LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_FAILURE_WINDOW_MINUTES and
+   * LOGIN_LOCKOUT_MINUTES.
+   */
+  getLockoutSettings() {
+    return {
+      maxAttempts: positiveInt(
+        process.env.LOGIN_MAX_FAILED_ATTEMPTS,
+        DEFAULT_MAX_FAILED_ATTEMPTS,
+      ),
+      windowMinutes: positiveInt(
+        process.env.LOGIN_FAILURE_WINDOW_MINUTES,
+        DEFAULT_FAILURE_WINDOW_MINUTES,
+      ),
+      lockoutMinutes: positiveInt(
+        process.env.LOGIN_LOCKOUT_MINUTES,
+        DEFAULT_LOCKOUT_MINUTES,
+      ),
+    }
+  }
+
+  isLocked(user, now = new Date()) {
+    return Boolean(user.locked_until && new Date(user.locked_until) > now)
+  }
+
+  /**
+   * Lockout state as shown to admins.
+   * @param {Object} user
+   * @returns {{locked: boolean, locked_until: Date|null, failed_login_count: number}}
+   */
+  getLockoutState(user, now = new Date()) {
+    const locked = this.isLocked(user, now)
+    return {
+      locked,
+      locked_until: locked ? user.locked_until : null,
+      failed_login_count: user.failed_login_count || 0,
+    }
+  }
+
+  /**
+   * Record a failed login and lock the account once it reaches the maximum
+   * number of failures within the window.
+   * @param {Object} user
+   * @param {Object} attempt
+   * @param {string} attempt.outcome - One of LOGIN_ATTEMPT_OUTCOME
+   * @param {string} [attempt.email]
+   * @param {string} [attempt.ip]
+   * @param {string} [attempt.userAgent]
+   * @returns {Promise<{locked: boolean, locked_until: Date|null}>}
+   */
+  async handleFailedLogin(user, { outcome, email, ip, userAgent }) {
+    await this.recordAttempt({ user, email, outcome, ip, userAgent })
+
+    const now = new Date()
+    const { maxAttempts, windowMinutes, lockoutMinutes } =
+      this.getLockoutSettings()
+    const where = { user_id: user.user_id }
+    const notLocked = {
+      [Op.or]: [{ locked_until: null }, { locked_until: { [Op.lte]: now } }],
+    }
+
+    // Parallel failures must each count, so the counter is only changed with
+    // conditional and atomic updates and read back afterwards. A failure
+    // without a window, or after it ended, starts a new one.
+    await User.update(
+      { failed_login_count: 0, first_failed_login_at: now },
+      {
+        where: {
+          ...where,
+          [Op.and]: [
+            notLocked,
+            {
+              [Op.or]: [
+                { first_failed_login_at: null },
+                {
+                  first_failed_login_at: {
+                    [Op.lt]: new Date(
+                      now.getTime() - windowMinutes * MINUTE_MS,
+                    ),
+                  },
+                },
+              ],
+            },
+          ],
+        },
+      },
+    )
+    await User.increment('failed_login_count', { by: 1, where })
+
+    const current = await User.findByPk(user.user_id, {
+      attributes: ['user_id', 'failed_login_count'],
+    })
+    const count = current?.failed_login_count || 0
+
+    if (count < maxAttempts) {
+      return { locked: false, locked_until: null }
+    }
+
+    const lockedUntil = new Date(now.getTime() + lockoutMinutes * MINUTE_MS)
+    // The next failure after the cooldown starts a new window. Only the first
+    // of parallel failures reaching the limit locks the account.
+    const [locked] = await User.update(
+      { first_failed_login_at: null, locked_until: lockedUntil },
+      { where: { ...where, ...notLocked } },
+    )
+
+    if (locked) {
+      logger.logAuth('account_locked', user.user_id, false, {
+        failedAttempts: count,
+        lockedUntil,
+        ip,
+      })
+      return { locked: true, locked_until: lockedUntil }
+    }
+
+    const lockedAccount = await User.findByPk(user.user_id, {
+      attributes: ['user_id', 'locked_until'],
+    })
+    return {
+      locked: true,
+      locked_until: lockedAccount?.locked_until || lockedUntil,
+    }
+  }
+
+  /**
+   * Record a successful login, clear failed attempts and alert the user when
+   * the IP address or user agent has not been seen on a previous login.
+   * @param {Object} user
+   * @param {Object} [meta]
+   * @param {string} [meta.ip]
+   * @param {string} [meta.userAgent]
+   */
+  async handleSuccessfulLogin(user, { ip, userAgent } = {}) {
+    const newClient = await this._detectNewClient(user.user_id, {
+      ip,
+      userAgent,
+    })
+
+    await this.recordAttempt({
+      user,
+      outcome: LOGIN_ATTEMPT_OUTCOME.SUCCESS,
+      ip,
+      userAgent,
+    })
+
+    if (user.failed_login_count || user.first_failed_login_at || user.locked_until) {
+      await user.update({
+        failed_login_count: 0,
+        first_failed_login_at: null,
+        locked_until: null,
+      })
+    }
+
+    if (newClient) {
+      await this._notifyNewLogin(user, { ip, userAgent, ...newClient })
+    }
+  }
+
+  /**
+   * Clear a lockout.
+   * @param {number} userId
+   * @returns {Promise<Object|null>} The user, or null if not found
+   */
+  async unlock(userId) {
+    const user = await User.findByPk(userId)
+    if (!user) {
+      return null
+    }
+
+    await user.update({
+      failed_login_count: 0,
+      first_failed_login_at: null,
+      locked_until: null,
+    })
+    return user
+  }
+
+  /**
+   * Add an entry to the login attempt log. Never throws.
+   * @param {Object} attempt
+   * @param {Object} [attempt.user]
+   * @param {string} [attempt.email]
+   * @param {string} attempt.outcome - One of LOGIN_ATTEMPT_OUTCOME
+   * @param {string} [attempt.ip]
+   * @param {string} [attempt.userAgent]
+   */
+  async recordAttempt({ user = null, email = null, outcome, ip, userAgent }) {
+    try {
+      await LoginAttempt.create({
+        user_id: user ? user.user_id : null,
+        email: email || (user ? user.email : null),
+        outcome,
+        ip_address: ip || null,
+        user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+      })
+    } catch (error) {
+      logger.logError(error, {
+        action: 'record_login_attempt',
+        userId: user ? user.user_id : null,
+        outcome,
+      })
+    }
+  }
+
+  /**
+   * A user's login attempts, newest first.
+   * @param {number} userId
+   * @param {Object} [params]
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {string} [params.outcome] - One of LOGIN_ATTEMPT_OUTCOME
+   * @returns {Promise<{data: Array, pagination: Object}>}
+   */
+  async listAttempts(userId, { page: rawPage, limit: rawLimit, outcome } = {}) {
+    const page = Math.max(parseInt(rawPage, 10) || 1, 1)
+    const limit = Math.min(
+      Math.max(parseInt(rawLimit, 10) || 25, 1),
+      MAX_PAGE_SIZE,
+    )
+
+    const where = { user_id: userId }
+    if (outcome) {
+      where.outcome = outcome
+    }
+
+    const { count, rows } = await LoginAttempt.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['login_attempt_id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    const totalPages = Math.ceil(count / limit)
+    return {
+      data: rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    }
+  }
+
+  // Compares with earlier successful logins; the first login is never "new"
+  async _detectNewClient(userId, { ip, userAgent }) {
+    const previous = await LoginAttempt.count({
+      where: { user_id: userId, outcome: LOGIN_ATTEMPT_OUTCOME.SUCCESS },
+    })
+    if (!previous) {
+      return null
+    }
+
+    const seen = async (field, value) =>
+      Boolean(
+        await LoginAttempt.findOne({
+          attributes: ['login_attempt_id'],
+          where: {
+            user_id: userId,
+            outcome: LOGIN_ATTEMPT_OUTCOME.SUCCESS,
+            [field]: value ? String(value).slice(0, 500) : { [Op.is]: null },
+          },
+        }),
+      )
+
+    const newIp = !(await seen('ip_address', ip))
+    const newUserAgent = !(await seen('user_agent', userAgent))
+
+    return newIp || newUserAgent ? { newIp, newUserAgent } : null
+  }
+
+  async _notifyNewLogin(user, { ip, userAgent, newIp, newUserAgent }) {
+    const device = sessionService.describeDevice(userAgent) || 'an unknown device'
+    const reasons = [newIp && 'IP address', newUserAgent && 'device or browser']
+      .filter(Boolean)
+      .join(' and ')
+
+    try {
+      await this.notificationService.notifyUsers([user.user_id], {
+        type: NOTIFICATION_TYPE.NEW_LOGIN,
+        title: 'New sign-in to your account',
+        message: `Your account was signed in from a new ${reasons}: ${device}${ip ? ` (IP ${ip})` : ''}. If this wasn't you, change your password and log out of all sessions.`,
+        entityType: 'user',
+        entityId: user.user_id,
+        data: {
+          ip_address: ip || null,
+          user_agent: userAgent || null,
+          device,
+          new_ip: newIp,
+          new_user_agent: newUserAgent,
+        },
+      })
+    } catch (error) {
+      logger.logError(error, {
+        action: 'notify_new_login',
+        userId: user.user_id,
+      })
+    }
+  }
+}
+
+module.exports = new LoginSecurityService()
@@ -0,0 +1,148 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const nodemailer = require('nodemailer')
+const logger = require('../utils/logger')
+
+const DEFAULT_FILE_DIR = path.join(__dirname, '../storage/mail')
+const DEFAULT_FROM = 'Asset Management <no-reply@localhost>'
+
+/**
+ * Built-in transports. Each factory returns an object with an async
+ * `sendMail(message)` method, the interface of a nodemailer transporter.
+ */
+const TRANSPORTS = {
+  // Delivers through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+  // SMTP_USER, SMTP_PASSWORD)
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    }),
+
+  // Writes each message as an .eml file to MAIL_FILE_DIR, for local testing
+  file: () => {
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    })
+    const dir = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR
+
+    return {
+      async sendMail(message) {
+        const info = await transporter.sendMail(message)
+        await fs.promises.mkdir(dir, { recursive: true })
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`
+        const filePath = path.join(dir, fileName)
+        await fs.promises.writeFile(filePath, info.message)
+        return { ...info, filePath }
+      },
+    }
+  },
+
+  // Logs each message, for local testing
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true })
+
+    return {
+      async sendMail(message) {
+        const info = await transporter.sendMail(message)
+        logger.info('Email (console transport)', JSON.parse(info.message))
+        return info
+      },
+    }
+  },
+}
+
+/**
+ * Outgoing email through a configurable transport. MAIL_TRANSPORT selects one
+ * of the built-in transports (smtp, file, console) or one added with
+ * registerTransport; without it, smtp is used when SMTP_HOST is set. With
+ * neither, sending fails: the file and console transports keep message
+ * bodies (reset links) on the server, so they are never picked implicitly.
+ */
+class MailService {
+  constructor() {
+    this.transports = { ...TRANSPORTS }
+    this.transporter = null
+    this.transportName = null
+  }
+
+  /**
+   * Add or replace a transport.
+   * @param {string} name - Value of MAIL_TRANSPORT that selects it
+   * @param {Function} factory - Returns an object with async sendMail(message)
+   */
+  registerTransport(name, factory) {
+    this.transports[name] = factory
+    if (this.transportName === name) {
+      this.transporter = null
+    }
+  }
+
+  /**
+   * @returns {string|null} Null when no transport is configured
+   */
+  getTransportName() {
+    return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null)
+  }
+
+  /**
+   * Send an email. Throws when the transport fails.
+   * @param {Object} message
+   * @param {string|Array<string>} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @param {string} [message.html]
+   * @returns {Promise<Object>} Transport result (messageId, ...)
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this._getTransporter().sendMail({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html,
+    })
+
+    logger.info('Email sent', {
+      transport: this.transportName,
+      to,
+      subject,
+      messageId: info.messageId,
+    })
+
+    return info
+  }
+
+  _getTransporter() {
+    const name = this.getTransportName()
+    if (!name) {
+      throw new Error(
+        'No mail transport is configured. Set MAIL_TRANSPORT, or SMTP_HOST for smtp.',
+      )
+    }
+    if (this.transporter && this.transportName === name) {
+      return this.transporter
+    }
+
+    const factory = this.transports[name]
+    if (!factory) {
+      throw new Error(
+        `Unknown mail transport "${name}". Available: ${Object.keys(this.transports).join(', ')}`,
+      )
+    }
+
+    this.transporter = factory()
+    this.transportName = name
+    return this.transporter
+  }
+}
+
+module.exports = new MailService()
@@ -230,7 +230,7 @@ class MaintenanceService {
   }
 
   /**
-   * Delete maintenance schedule
+   * Move maintenance schedule to the trash
    * @param {number} id - Schedule ID
    * @returns {boolean} Success status
    */
@@ -246,7 +246,7 @@ class MaintenanceService {
 
       await schedule.destroy();
 
-      logger.info("Maintenance schedule deleted", {
+      logger.info("Maintenance schedule moved to trash", {
         scheduleId: id,
       });
 
@@ -491,7 +491,7 @@ class MaintenanceService {
   }
 
   /**
-   * Delete maintenance log
+   * Move maintenance log to the trash
    * @param {number} id - Log ID
    * @returns {boolean} Success status
    */
@@ -507,7 +507,7 @@ class MaintenanceService {
 
       await log.destroy();
 
-      logger.info("Maintenance log deleted", {
+      logger.info("Maintenance log moved to trash", {
         logId: id,
       });
 
@@ -1,18 +1,588 @@
 "use strict";
 
-const {
-  User,
-  Asset,
-  MaintenanceSchedule,
-} = require("../models");
+const { User, Notification, MaintenanceSchedule, Asset } = require("../models");
 const { Op } = require("sequelize");
 const logger = require("../utils/logger");
+const eventStreamService = require("./eventStreamService");
+const {
+  USER_STATUS,
+  USER_ROLES,
+  TRANSACTION_STATUS,
+  NOTIFICATION_TYPE,
+} = require("../utils/constants");
+
+const DEFAULT_MAINTENANCE_ALERT_DAYS = 7;
+const MAX_PAGE_SIZE = 100;
+
+const TRANSACTION_STATUS_TYPES = {
+  [TRANSACTION_STATUS.ACCEPTED]: NOTIFICATION_TYPE.TRANSACTION_ACCEPTED,
+  [TRANSACTION_STATUS.REJECTED]: NOTIFICATION_TYPE.TRANSACTION_REJECTED,
+  [TRANSACTION_STATUS.COMPLETED]: NOTIFICATION_TYPE.TRANSACTION_COMPLETED,
+  [TRANSACTION_STATUS.CANCELLED]: NOTIFICATION_TYPE.TRANSACTION_CANCELLED,
+};
+
+const toDateKey = (date) => date.toISOString().split("T")[0];
 
 /**
  * Notification Service
- * Handles notification checking
+ * Creates persisted in-app notifications
  */
 class NotificationService {
+  /**
+   * Notifications of a user, newest first
+   * @param {number} userId
+   * @param {Object} [params]
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {boolean} [params.unreadOnly]
+   * @param {string} [params.type] - One of NOTIFICATION_TYPE
+   * @returns {Promise<{data: Array, pagination: Object, unreadCount: number}>}
+   */
+  async list(
+    userId,
+    { page: rawPage, limit: rawLimit, unreadOnly = false, type } = {},
+  ) {
+    const page = Math.max(parseInt(rawPage, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(rawLimit, 10) || 20, 1),
+      MAX_PAGE_SIZE,
+    );
+
+    const where = { user_id: userId };
+    if (unreadOnly) {
+      where.read_at = null;
+    }
+    if (type) {
+      where.type = type;
+    }
+
+    const [{ count, rows }, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        order: [
+          ["created_at", "DESC"],
+          ["notification_id", "DESC"],
+        ],
+        limit,
+        offset: (page - 1) * limit,
+      }),
+      this.getUnreadCount(userId),
+    ]);
+
+    const totalPages = Math.ceil(count / limit);
+    return {
+      data: rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      unreadCount,
+    };
+  }
+
+  /**
+   * Number of unread notifications of a user
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    return Notification.count({
+      where: { user_id: userId, read_at: null },
+    });
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {number} userId
+   * @param {number} notificationId
+   * @returns {Promise<Object|null>} Null when the user has no such notification
+   */
+  async markAsRead(userId, notificationId) {
+    const notification = await Notification.findOne({
+      where: { notification_id: notificationId, user_id: userId },
+    });
+    if (!notification) {
+      return null;
+    }
+
+    if (!notification.read_at) {
+      await notification.update({ read_at: new Date() });
+    }
+    return notification;
+  }
+
+  /**
+   * Mark every unread notification of the user as read
+   * @param {number} userId
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllAsRead(userId) {
+    const [updated] = await Notification.update(
+      { read_at: new Date() },
+      { where: { user_id: userId, read_at: null } },
+    );
+    return updated;
+  }
+
+  /**
+   * Delete one of the user's notifications
+   * @param {number} userId
+   * @param {number} notificationId
+   * @returns {Promise<boolean>} False when the user has no such notification
+   */
+  async delete(userId, notificationId) {
+    const deleted = await Notification.destroy({
+      where: { notification_id: notificationId, user_id: userId },
+    });
+    return deleted > 0;
+  }
+
+  /**
+   * Ids of active users with one of the given roles.
+   * @param {Array<string>} roles
+   * @returns {Promise<Array<number>>}
+   */
+  async getActiveUserIdsByRole(roles) {
+    const users = await User.findAll({
+      where: {
+        role: { [Op.in]: roles },
+        status: USER_STATUS.ACTIVE,
+      },
+      attributes: ["user_id"],
+    });
+
+    return users.map((user) => user.user_id);
+  }
+
+  /**
+   * Create the same notification for several users. With a dedupeKey, users
+   * who already received a notification with that key are skipped.
+   * @param {Array<number>} userIds
+   * @param {Object} notification
+   * @param {string} notification.type - One of NOTIFICATION_TYPE
+   * @param {string} notification.title
+   * @param {string} [notification.message]
+   * @param {string} [notification.entityType] - e.g. "asset"
+   * @param {number} [notification.entityId]
+   * @param {Object} [notification.data]
+   * @param {string} [notification.dedupeKey]
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyUsers(
+    userIds,
+    {
+      type,
+      title,
+      message = null,
+      entityType = null,
+      entityId = null,
+      data = null,
+      dedupeKey = null,
+    },
+  ) {
+    let recipients = [...new Set((userIds || []).filter(Boolean))];
+
+    if (dedupeKey && recipients.length) {
+      const existing = await Notification.findAll({
+        where: {
+          user_id: { [Op.in]: recipients },
+          dedupe_key: dedupeKey,
+        },
+        attributes: ["user_id"],
+      });
+      const notified = new Set(existing.map((row) => row.user_id));
+      recipients = recipients.filter((userId) => !notified.has(userId));
+    }
+
+    if (!recipients.length) {
+      return 0;
+    }
+
+    const created = await Notification.bulkCreate(
+      recipients.map((userId) => ({
+        user_id: userId,
+        type,
+        title,
+        message,
+        entity_type: entityType,
+        entity_id: entityId,
+        data,
+        dedupe_key: dedupeKey,
+      })),
+    );
+    eventStreamService.publishNotifications(created);
+
+    logger.info("Notifications created", {
+      type,
+      entityType,
+      entityId,
+      recipients: recipients.length,
+    });
+
+    return recipients.length;
+  }
+
+  /**
+   * A new transaction was requested: notify its recipient and the users who
+   * can accept it. Failures are logged, never thrown.
+   * @param {Object} transaction - AssetTransaction with its asset
+   * @param {Object} [options]
+   * @param {number} [options.actorId] - User who made the request, not notified
+   * @returns {Promise<number>}
+   */
+  async notifyTransactionRequested(transaction, { actorId = null } = {}) {
+    try {
+      const approverIds = await this.getActiveUserIdsByRole([
+        USER_ROLES.ADMIN,
+        USER_ROLES.IT_MANAGER,
+      ]);
+      const label = this._transactionLabel(transaction);
+
+      return await this.notifyUsers(
+        this._without([transaction.requested_to, ...approverIds], actorId),
+        {
+          type: NOTIFICATION_TYPE.TRANSACTION_REQUESTED,
+          title: `Transaction requested: ${label}`,
+          message: `Transaction #${transaction.transaction_id} (${transaction.action}) was requested for ${label}.`,
+          entityType: "asset_transaction",
+          entityId: transaction.transaction_id,
+          data: this._transactionData(transaction),
+        },
+      );
+    } catch (error) {
+      logger.logError(error, {
+        action: "notify_transaction_requested",
+        transactionId: transaction?.transaction_id,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * A transaction was accepted, rejected, completed or cancelled: notify its
+   * requester and recipient. Failures are logged, never thrown.
+   * @param {Object} transaction - AssetTransaction with its asset
+   * @param {Object} [options]
+   * @param {number} [options.actorId] - User who changed the status, not notified
+   * @returns {Promise<number>}
+   */
+  async notifyTransactionStatus(transaction, { actorId = null } = {}) {
+    const type = TRANSACTION_STATUS_TYPES[transaction?.status];
+    if (!type) {
+      return 0;
+    }
+
+    try {
+      const label = this._transactionLabel(transaction);
+
+      return await this.notifyUsers(
+        this._without(
+          [transaction.requested_by, transaction.requested_to],
+          actorId,
+        ),
+        {
+          type,
+          title: `Transaction ${transaction.status}: ${label}`,
+          message:
+            `Transaction #${transaction.transaction_id} (${transaction.action}) for ${label} was ${transaction.status}.` +
+            (transaction.admin_notes ? ` Notes: ${transaction.admin_notes}` : ""),
+          entityType: "asset_transaction",
+          entityId: transaction.transaction_id,
+          data: this._transactionData(transaction),
+        },
+      );
+    } catch (error) {
+      logger.logError(error, {
+        action: "notify_transaction_status",
+        transactionId: transaction?.transaction_id,
+        status: transaction?.status,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * An asset was approved or rejected: notify the user who created it.
+   * Failures are logged, never thrown.
+   * @param {Object} asset
+   * @param {Object} [options]
+   * @param {number} [options.actorId] - User who decided, not notified
+   * @param {string} [options.comment]
+   * @returns {Promise<number>}
+   */
+  async notifyAssetApproval(asset, { actorId = null, comment = null } = {}) {
+    const type = {
+      APPROVED: NOTIFICATION_TYPE.ASSET_APPROVED,
+      REJECTED: NOTIFICATION_TYPE.ASSET_REJECTED,
+    }[asset?.approval_status];
+    if (!type) {
+      return 0;
+    }
+
+    try {
+      const label = this._assetLabel(asset, asset.asset_id);
+      const decision = asset.approval_status.toLowerCase();
+
+      return await this.notifyUsers(this._without([asset.created_by], actorId), {
+        type,
+        title: `Asset ${decision}: ${label}`,
+        message: `${label} was ${decision}.` + (comment ? ` Comment: ${comment}` : ""),
+        entityType: "asset",
+        entityId: asset.asset_id,
+        data: {
+          asset_id: asset.asset_id,
+          asset_tag: asset.asset_tag,
+          approval_status: asset.approval_status,
+          comment,
+        },
+      });
+    } catch (error) {
+      logger.logError(error, {
+        action: "notify_asset_approval",
+        assetId: asset?.asset_id,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * A kit was issued: notify the user who received it, once for all of its
+   * assets. Failures are logged, never thrown.
+   * @param {Object} issue - Handover record from assetKitService
+   * @param {Object} [options]
+   * @param {number} [options.actorId] - User who issued the kit, not notified
+   * @returns {Promise<number>}
+   */
+  async notifyKitIssued(issue, { actorId = null } = {}) {
+    try {
+      const assets = issue.transactions.map((transaction) =>
+        this._assetLabel(transaction.asset, transaction.asset_id),
+      );
+
+      return await this.notifyUsers(this._without([issue.user_id], actorId), {
+        type: NOTIFICATION_TYPE.KIT_ISSUED,
+        title: `Kit issued: ${issue.kit_name}`,
+        message: `${issue.kit_name} was issued to you: ${assets.join(", ")}.`,
+        entityType: "asset_kit_issue",
+        entityId: issue.kit_issue_id,
+        data: {
+          kit_issue_id: issue.kit_issue_id,
+          kit_id: issue.kit_id,
+          transaction_ids: issue.transactions.map(
+            (transaction) => transaction.transaction_id,
+          ),
+        },
+      });
+    } catch (error) {
+      logger.logError(error, {
+        action: "notify_kit_issued",
+        kitIssueId: issue?.kit_issue_id,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * A consumable's stock at a location fell to its reorder level: notify
+   * admins and IT managers. Failures are logged, never thrown.
+   * @param {Object} stock - ConsumableStock with its consumable, location and room
+   * @returns {Promise<number>}
+   */
+  async notifyLowStock(stock) {
+    try {
+      const recipients = await this.getActiveUserIdsByRole([
+        USER_ROLES.ADMIN,
+        USER_ROLES.IT_MANAGER,
+      ]);
+      const name = stock.consumable?.name || `Consumable #${stock.consumable_id}`;
+      const place = [stock.location?.name, stock.room?.name]
+        .filter(Boolean)
+        .join(" / ") || `location #${stock.location_id}`;
+      const unit = stock.consumable?.unit ? ` ${stock.consumable.unit}` : "";
+
+      return await this.notifyUsers(recipients, {
+        type: NOTIFICATION_TYPE.LOW_STOCK,
+        title: `Low stock: ${name}`,
+        message: `${name} at ${place} is down to ${stock.quantity}${unit} (reorder level ${stock.reorder_level}).`,
+        entityType: "consumable",
+        entityId: stock.consumable_id,
+        data: {
+          consumable_id: stock.consumable_id,
+          consumable_stock_id: stock.consumable_stock_id,
+          location_id: stock.location_id,
+          room_id: stock.room_id,
+          quantity: stock.quantity,
+          reorder_level: stock.reorder_level,
+        },
+      });
+    } catch (error) {
+      logger.logError(error, {
+        action: "notify_low_stock",
+        consumableStockId: stock?.consumable_stock_id,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * An export job finished: notify the user who requested it. Failures are
+   * logged, never thrown.
+   * @param {Object} job - AssetExportJob with status completed or failed
+   * @returns {Promise<number>}
+   */
+  async notifyExportJobFinished(job) {
+    const type = {
+      completed: NOTIFICATION_TYPE.EXPORT_COMPLETED,
+      failed: NOTIFICATION_TYPE.EXPORT_FAILED,
+    }[job?.status];
+    if (!type) {
+      return 0;
+    }
+
+    try {
+      const completed = job.status === "completed";
+
+      return await this.notifyUsers([job.requested_by], {
+        type,
+        title: completed ? "Export ready" : "Export failed",
+        message: completed
+          ? `Your export ${job.file_name} is ready to download.`
+          : `Your export failed: ${job.error_message}`,
+        entityType: "asset_export_job",
+        entityId: job.export_job_id,
+        data: {
+          export_job_id: job.export_job_id,
+          job_type: job.job_type,
+          status: job.status,
+          file_name: job.file_name,
+          file_path: job.file_path,
+        },
+        dedupeKey: `${type}:${job.export_job_id}`,
+      });
+    } catch (error) {
+      logger.logError(error, {
+        action: "notify_export_job_finished",
+        jobId: job?.export_job_id,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Days ahead the daily batch warns about maintenance. Configured with
+   * MAINTENANCE_ALERT_DAYS.
+   */
+  getMaintenanceAlertDays() {
+    const days = parseInt(process.env.MAINTENANCE_ALERT_DAYS, 10);
+    return Number.isInteger(days) && days >= 0
+      ? days
+      : DEFAULT_MAINTENANCE_ALERT_DAYS;
+  }
+
+  /**
+   * Notify about active maintenance schedules due within `days` days or
+   * overdue. The assigned user is notified, or every active IT manager when
+   * nobody is assigned. Each user is notified once per schedule and due date,
+   * so the batch can run daily.
+   * @param {Object} [options]
+   * @param {number} [options.days]
+   * @param {Date} [options.now]
+   * @returns {Promise<{schedules: number, notifications: number}>}
+   */
+  async notifyMaintenanceDue({
+    days = this.getMaintenanceAlertDays(),
+    now = new Date(),
+  } = {}) {
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const schedules = await MaintenanceSchedule.findAll({
+      where: {
+        is_active: true,
+        next_maintenance_date: { [Op.lte]: toDateKey(until) },
+      },
+      include: [
+        {
+          model: Asset,
+          as: "asset",
+          attributes: ["asset_id", "asset_tag"],
+        },
+      ],
+      order: [["next_maintenance_date", "ASC"]],
+    });
+
+    let managerIds = null;
+    let notifications = 0;
+    for (const schedule of schedules) {
+      let recipients = [schedule.assigned_to];
+      if (!schedule.assigned_to) {
+        managerIds =
+          managerIds ||
+          (await this.getActiveUserIdsByRole([USER_ROLES.IT_MANAGER]));
+        recipients = managerIds;
+      }
+
+      const dueOn = String(schedule.next_maintenance_date).slice(0, 10);
+      const label = this._assetLabel(schedule.asset, schedule.asset_id);
+      const overdue = dueOn < toDateKey(now);
+
+      notifications += await this.notifyUsers(recipients, {
+        type: NOTIFICATION_TYPE.MAINTENANCE_DUE,
+        title: `Maintenance ${overdue ? "overdue" : "due"}: ${label}`,
+        message: `"${schedule.title}" for ${label} is ${overdue ? "overdue since" : "due on"} ${dueOn}.`,
+        entityType: "maintenance_schedule",
+        entityId: schedule.schedule_id,
+        data: {
+          schedule_id: schedule.schedule_id,
+          asset_id: schedule.asset_id,
+          asset_tag: schedule.asset?.asset_tag || null,
+          next_maintenance_date: dueOn,
+        },
+        dedupeKey: `${NOTIFICATION_TYPE.MAINTENANCE_DUE}:${schedule.schedule_id}:${dueOn}`,
+      });
+    }
+
+    logger.info("Maintenance due notifications processed", {
+      days,
+      schedules: schedules.length,
+      notifications,
+    });
+
+    return { schedules: schedules.length, notifications };
+  }
+
+  _assetLabel(asset, assetId) {
+    return asset?.asset_tag || `Asset #${asset?.asset_id || assetId}`;
+  }
+
+  // What a transaction is about: its asset, or the consumables it issues
+  _transactionLabel(transaction) {
+    if (transaction.consumable_id) {
+      const name = transaction.consumable?.name || `Consumable #${transaction.consumable_id}`;
+      return `${transaction.quantity} x ${name}`;
+    }
+    return this._assetLabel(transaction.asset, transaction.asset_id);
+  }
+
+  _without(userIds, actorId) {
+    return userIds.filter((userId) => userId && userId !== actorId);
+  }
+
+  _transactionData(transaction) {
+    return {
+      transaction_id: transaction.transaction_id,
+      asset_id: transaction.asset_id,
+      asset_tag: transaction.asset?.asset_tag || null,
+      consumable_id: transaction.consumable_id || null,
+      quantity: transaction.quantity || null,
+      action: transaction.action,
+      status: transaction.status,
+      requested_by: transaction.requested_by,
+      requested_to: transaction.requested_to,
+    };
+  }
 }
 
 module.exports = NotificationService;
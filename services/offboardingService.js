@@ -0,0 +1,652 @@
+'use strict'
+
+const crypto = require('crypto')
+const { Op } = require('sequelize')
+const {
+  UserOffboarding,
+  UserOffboardingItem,
+  Asset,
+  AssetTransaction,
+  User,
+  sequelize,
+} = require('../models')
+const AssetService = require('./assetService')
+const sessionService = require('./sessionService')
+const NotificationService = require('./notificationService')
+const eventStreamService = require('./eventStreamService')
+const webhookService = require('./webhookService')
+const logger = require('../utils/logger')
+const {
+  USER_STATUS,
+  ASSET_STATUS,
+  TRANSACTION_ACTIONS,
+  TRANSACTION_STATUS,
+  TRANSACTION_PRIORITY,
+  SESSION_REVOKE_REASON,
+  OFFBOARDING_STATUS,
+  OFFBOARDING_ITEM_RESOLUTION,
+} = require('../utils/constants')
+
+const notificationService = new NotificationService()
+const assetService = new AssetService()
+
+const USER_ATTRIBUTES = ['user_id', 'full_name', 'email', 'employee_id']
+const ASSET_ATTRIBUTES = ['asset_id', 'asset_tag', 'barcode', 'status', 'assigned_to']
+const OPEN_TRANSACTION_STATUSES = [
+  TRANSACTION_STATUS.PENDING,
+  TRANSACTION_STATUS.ACCEPTED,
+]
+const MAX_WRITE_OFF_REASON_LENGTH = 2000
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// JSON with sorted keys, so a stored checklist signs the same after MySQL
+// reorders its keys
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null)
+
+/**
+ * Offboarding of departing users. Starting an offboarding lists every asset
+ * assigned to the user and opens a return transaction for each; an asset that
+ * will not come back is written off with a reason. The offboarding completes
+ * once every return is completed or written off: the checklist is frozen,
+ * signed with HMAC-SHA256 (OFFBOARDING_SIGNING_KEY, falling back to the JWT
+ * secret) and the user is terminated. Until then users holding assets cannot
+ * be terminated.
+ */
+class OffboardingService {
+  /**
+   * Assets assigned to a user.
+   * @param {number} userId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAssignedAssets(userId) {
+    return Asset.findAll({
+      where: { assigned_to: userId },
+      attributes: ASSET_ATTRIBUTES,
+      order: [['asset_id', 'ASC']],
+    })
+  }
+
+  /**
+   * Throw a 409 error while a user holds assets that were neither returned
+   * nor written off in an offboarding.
+   * @param {number} userId
+   */
+  async assertCanTerminate(userId) {
+    const assets = await this.getAssignedAssets(userId)
+    if (!assets.length) {
+      return
+    }
+
+    const writtenOff = await UserOffboardingItem.findAll({
+      where: {
+        asset_id: { [Op.in]: assets.map((asset) => asset.asset_id) },
+        resolution: OFFBOARDING_ITEM_RESOLUTION.WRITTEN_OFF,
+      },
+      include: [
+        {
+          model: UserOffboarding,
+          as: 'offboarding',
+          attributes: [],
+          where: {
+            user_id: userId,
+            status: { [Op.ne]: OFFBOARDING_STATUS.CANCELLED },
+          },
+        },
+      ],
+      attributes: ['asset_id'],
+    })
+    const writtenOffIds = new Set(writtenOff.map((item) => item.asset_id))
+    const outstanding = assets.filter((asset) => !writtenOffIds.has(asset.asset_id))
+
+    if (outstanding.length) {
+      throw serviceError(
+        `The user still holds ${outstanding.length} assigned asset(s); complete their offboarding before terminating them`,
+        409,
+      )
+    }
+  }
+
+  /**
+   * A user's latest offboarding, with returns completed since it was last
+   * read marked as returned.
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getForUser(userId) {
+    const offboarding = await UserOffboarding.findOne({
+      where: { user_id: userId },
+      order: [['created_at', 'DESC']],
+    })
+    if (!offboarding) {
+      return null
+    }
+
+    if (offboarding.status === OFFBOARDING_STATUS.IN_PROGRESS) {
+      await this._refreshItems(offboarding)
+    }
+    return this._serialize(offboarding.offboarding_id)
+  }
+
+  /**
+   * Start a user's offboarding, or bring the one in progress up to date:
+   * assets assigned since are added, and assets whose return was rejected or
+   * cancelled get a new return transaction.
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {string} [options.notes]
+   * @param {number} [options.startedBy] - Admin starting it; null for the
+   *   directory sync
+   * @returns {Promise<Object|null>} Null when the user does not exist
+   */
+  async start(userId, { notes, startedBy = null } = {}) {
+    const user = await User.findByPk(userId, { attributes: ['user_id', 'status'] })
+    if (!user) {
+      return null
+    }
+
+    let offboarding = await UserOffboarding.findOne({
+      where: { user_id: userId, status: OFFBOARDING_STATUS.IN_PROGRESS },
+    })
+    if (!offboarding) {
+      offboarding = await UserOffboarding.create({
+        user_id: userId,
+        notes: notes || null,
+        started_by: startedBy,
+      })
+    } else if (notes !== undefined) {
+      await offboarding.update({ notes: notes || null })
+    }
+
+    const items = await UserOffboardingItem.findAll({
+      where: { offboarding_id: offboarding.offboarding_id },
+    })
+    const itemAssetIds = new Set(items.map((item) => item.asset_id))
+    const assets = await this.getAssignedAssets(userId)
+    for (const asset of assets) {
+      if (!itemAssetIds.has(asset.asset_id)) {
+        items.push(
+          await UserOffboardingItem.create({
+            offboarding_id: offboarding.offboarding_id,
+            asset_id: asset.asset_id,
+          }),
+        )
+      }
+    }
+
+    await this._refreshItems(offboarding, items)
+    for (const item of items) {
+      if (item.resolution === OFFBOARDING_ITEM_RESOLUTION.PENDING) {
+        await this._ensureReturnTransaction(item, userId, startedBy)
+      }
+    }
+
+    logger.logBusiness('user_offboarding_started', {
+      userId: startedBy,
+      targetUserId: userId,
+      offboardingId: offboarding.offboarding_id,
+      assets: items.length,
+    })
+
+    return this._serialize(offboarding.offboarding_id)
+  }
+
+  /**
+   * Write off an asset that will not be returned: it is unassigned and
+   * disposed of (when its lifecycle allows it, 409 otherwise), which the asset
+   * history records, and its open return transaction is cancelled.
+   * @param {number} userId
+   * @param {number} itemId
+   * @param {Object} data
+   * @param {string} data.reason
+   * @param {number} resolvedBy
+   * @returns {Promise<Object|null>} The offboarding, or null when the user has
+   *   no offboarding in progress with this item
+   */
+  async writeOff(userId, itemId, { reason } = {}, resolvedBy = null) {
+    const writeOffReason = String(reason || '').trim()
+    if (!writeOffReason || writeOffReason.length > MAX_WRITE_OFF_REASON_LENGTH) {
+      throw serviceError(
+        `reason is required (max ${MAX_WRITE_OFF_REASON_LENGTH} characters)`,
+        400,
+      )
+    }
+
+    const offboarding = await this._findInProgress(userId)
+    const item = offboarding
+      ? await UserOffboardingItem.findOne({
+          where: {
+            offboarding_item_id: itemId,
+            offboarding_id: offboarding.offboarding_id,
+          },
+        })
+      : null
+    if (!item) {
+      return null
+    }
+
+    await this._refreshItems(offboarding, [item])
+    if (item.resolution !== OFFBOARDING_ITEM_RESOLUTION.PENDING) {
+      throw serviceError(`This asset is already ${item.resolution}`, 409)
+    }
+
+    const asset = await Asset.findByPk(item.asset_id, {
+      attributes: ['asset_id', 'assigned_to'],
+    })
+    if (
+      asset &&
+      asset.assigned_to !== null &&
+      String(asset.assigned_to) !== String(userId)
+    ) {
+      throw serviceError('This asset is now assigned to another user', 409)
+    }
+    if (asset) {
+      // Offboarding covers all of the user's assets, whatever the scope
+      await assetService.update(
+        item.asset_id,
+        { assigned_to: null, status: ASSET_STATUS.DISPOSED },
+        {
+          accessScope: null,
+          auditContext: {
+            changedBy: resolvedBy,
+            action: 'offboarding_write_off',
+          },
+        },
+      )
+    }
+
+    await item.update({
+      resolution: OFFBOARDING_ITEM_RESOLUTION.WRITTEN_OFF,
+      write_off_reason: writeOffReason,
+      resolved_by: resolvedBy,
+      resolved_at: new Date(),
+    })
+    await this._cancelReturnTransaction(item, resolvedBy)
+
+    logger.logBusiness('user_offboarding_asset_written_off', {
+      userId: resolvedBy,
+      targetUserId: userId,
+      offboardingId: offboarding.offboarding_id,
+      assetId: item.asset_id,
+    })
+
+    return this._serialize(offboarding.offboarding_id)
+  }
+
+  /**
+   * Complete a user's offboarding: sign the checklist and terminate the user.
+   * @param {number} userId
+   * @param {Object} [data]
+   * @param {string} [data.notes]
+   * @param {number} completedBy
+   * @returns {Promise<Object|null>} Null when no offboarding is in progress
+   * @throws 409 while returns are outstanding or assets were assigned since the
+   *   offboarding started
+   */
+  async complete(userId, { notes } = {}, completedBy = null) {
+    const offboarding = await this._findInProgress(userId)
+    if (!offboarding) {
+      return null
+    }
+
+    const items = await this._refreshItems(offboarding)
+    const pending = items.filter(
+      (item) => item.resolution === OFFBOARDING_ITEM_RESOLUTION.PENDING,
+    )
+    if (pending.length) {
+      throw serviceError(
+        `${pending.length} asset(s) have not been returned or written off yet`,
+        409,
+      )
+    }
+
+    const itemAssetIds = new Set(items.map((item) => item.asset_id))
+    const newAssets = (await this.getAssignedAssets(userId)).filter(
+      (asset) => !itemAssetIds.has(asset.asset_id),
+    )
+    if (newAssets.length) {
+      throw serviceError(
+        `${newAssets.length} asset(s) were assigned to the user after the offboarding started; start it again to add them`,
+        409,
+      )
+    }
+
+    const completedAt = new Date()
+    if (notes !== undefined) {
+      offboarding.notes = notes || null
+    }
+    const checklist = await this._buildChecklist(offboarding, {
+      completedAt,
+      completedBy,
+    })
+
+    await sequelize.transaction(async (transaction) => {
+      await offboarding.update(
+        {
+          status: OFFBOARDING_STATUS.COMPLETED,
+          notes: offboarding.notes,
+          completed_by: completedBy,
+          completed_at: completedAt,
+          checklist,
+          signature: this.sign(checklist),
+        },
+        { transaction },
+      )
+      await User.update(
+        { status: USER_STATUS.TERMINATED },
+        { where: { user_id: userId }, transaction },
+      )
+    })
+    await sessionService.revokeAll(userId, {
+      reason: SESSION_REVOKE_REASON.USER_DEACTIVATED,
+    })
+
+    logger.logBusiness('user_offboarding_completed', {
+      userId: completedBy,
+      targetUserId: userId,
+      offboardingId: offboarding.offboarding_id,
+      returned: checklist.summary.returned,
+      writtenOff: checklist.summary.written_off,
+    })
+
+    return this._serialize(offboarding.offboarding_id)
+  }
+
+  /**
+   * Cancel a user's offboarding. Return transactions nobody accepted yet are
+   * cancelled; accepted ones go on as ordinary returns.
+   * @param {number} userId
+   * @param {number} [cancelledBy]
+   * @returns {Promise<Object|null>} Null when no offboarding is in progress
+   */
+  async cancel(userId, cancelledBy = null) {
+    const offboarding = await this._findInProgress(userId)
+    if (!offboarding) {
+      return null
+    }
+
+    const items = await this._refreshItems(offboarding)
+    for (const item of items) {
+      if (item.resolution === OFFBOARDING_ITEM_RESOLUTION.PENDING) {
+        await this._cancelReturnTransaction(item, cancelledBy, {
+          statuses: [TRANSACTION_STATUS.PENDING],
+        })
+      }
+    }
+    await offboarding.update({
+      status: OFFBOARDING_STATUS.CANCELLED,
+      cancelled_at: new Date(),
+    })
+
+    logger.logBusiness('user_offboarding_cancelled', {
+      userId: cancelledBy,
+      targetUserId: userId,
+      offboardingId: offboarding.offboarding_id,
+    })
+
+    return this._serialize(offboarding.offboarding_id)
+  }
+
+  /**
+   * HMAC-SHA256 signature of a checklist.
+   * @param {Object} checklist
+   * @returns {string} Hex digest
+   */
+  sign(checklist) {
+    return crypto
+      .createHmac('sha256', this._getSigningKey())
+      .update(canonicalJson(checklist))
+      .digest('hex')
+  }
+
+  /**
+   * Whether a completed offboarding's checklist still matches its signature.
+   * @param {Object} offboarding
+   * @returns {boolean}
+   */
+  verifySignature(offboarding) {
+    if (!offboarding.checklist || !offboarding.signature) {
+      return false
+    }
+    const expected = Buffer.from(this.sign(offboarding.checklist), 'hex')
+    const actual = Buffer.from(String(offboarding.signature), 'hex')
+    return (
+      expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+    )
+  }
+
+  _getSigningKey() {
+    return (
+      process.env.OFFBOARDING_SIGNING_KEY ||
+      process.env.JWT_SECRET ||
+      'your-secret-key-change-in-development'
+    )
+  }
+
+  async _findInProgress(userId) {
+    return UserOffboarding.findOne({
+      where: { user_id: userId, status: OFFBOARDING_STATUS.IN_PROGRESS },
+    })
+  }
+
+  // Mark pending items whose return transaction was completed as returned
+  async _refreshItems(offboarding, items = null) {
+    const rows =
+      items ||
+      (await UserOffboardingItem.findAll({
+        where: { offboarding_id: offboarding.offboarding_id },
+      }))
+
+    const transactionIds = rows
+      .filter(
+        (item) =>
+          item.resolution === OFFBOARDING_ITEM_RESOLUTION.PENDING &&
+          item.transaction_id,
+      )
+      .map((item) => item.transaction_id)
+    if (!transactionIds.length) {
+      return rows
+    }
+
+    const completed = await AssetTransaction.findAll({
+      where: {
+        transaction_id: { [Op.in]: transactionIds },
+        status: TRANSACTION_STATUS.COMPLETED,
+      },
+      attributes: ['transaction_id', 'completed_at'],
+    })
+    const completedById = new Map(
+      completed.map((transaction) => [transaction.transaction_id, transaction]),
+    )
+
+    for (const item of rows) {
+      const transaction = completedById.get(item.transaction_id)
+      if (item.resolution === OFFBOARDING_ITEM_RESOLUTION.PENDING && transaction) {
+        await item.update({
+          resolution: OFFBOARDING_ITEM_RESOLUTION.RETURNED,
+          resolved_at: transaction.completed_at || new Date(),
+        })
+      }
+    }
+    return rows
+  }
+
+  // Open a return transaction for an item unless one is still open
+  async _ensureReturnTransaction(item, userId, actorId) {
+    const open = await AssetTransaction.findOne({
+      where: {
+        asset_id: item.asset_id,
+        action: TRANSACTION_ACTIONS.RETURN,
+        status: { [Op.in]: OPEN_TRANSACTION_STATUSES },
+      },
+      order: [['created_at', 'DESC']],
+    })
+    if (open) {
+      if (open.transaction_id !== item.transaction_id) {
+        await item.update({ transaction_id: open.transaction_id })
+      }
+      return
+    }
+
+    const transaction = await AssetTransaction.create({
+      asset_id: item.asset_id,
+      requested_by: userId,
+      action: TRANSACTION_ACTIONS.RETURN,
+      status: TRANSACTION_STATUS.PENDING,
+      priority: TRANSACTION_PRIORITY.HIGH,
+      notes: 'Return requested by offboarding',
+    })
+    await item.update({ transaction_id: transaction.transaction_id })
+
+    const created = await this._findTransaction(transaction.transaction_id)
+    await notificationService.notifyTransactionRequested(created, { actorId })
+    eventStreamService.publishTransaction(created)
+    await webhookService.dispatchTransaction(created)
+  }
+
+  async _cancelReturnTransaction(
+    item,
+    actorId,
+    { statuses = OPEN_TRANSACTION_STATUSES } = {},
+  ) {
+    if (!item.transaction_id) {
+      return
+    }
+    const transaction = await AssetTransaction.findByPk(item.transaction_id)
+    if (!transaction || !statuses.includes(transaction.status)) {
+      return
+    }
+
+    const previousStatus = transaction.status
+    await transaction.update({
+      status: TRANSACTION_STATUS.CANCELLED,
+      responded_at: new Date(),
+    })
+
+    const cancelled = await this._findTransaction(transaction.transaction_id)
+    await notificationService.notifyTransactionStatus(cancelled, { actorId })
+    eventStreamService.publishTransaction(cancelled)
+    await webhookService.dispatchTransaction(cancelled, { previousStatus })
+  }
+
+  async _findTransaction(transactionId) {
+    return AssetTransaction.findByPk(transactionId, {
+      include: [
+        {
+          model: Asset,
+          as: 'asset',
+          attributes: ['asset_id', 'asset_tag', 'asset_location', 'status', 'barcode'],
+        },
+        { model: User, as: 'requester', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'recipient', attributes: USER_ATTRIBUTES },
+      ],
+    })
+  }
+
+  async _buildChecklist(offboarding, { completedAt, completedBy }) {
+    const [user, signer, items] = await Promise.all([
+      User.findByPk(offboarding.user_id, { attributes: USER_ATTRIBUTES }),
+      completedBy
+        ? User.findByPk(completedBy, { attributes: USER_ATTRIBUTES })
+        : null,
+      UserOffboardingItem.findAll({
+        where: { offboarding_id: offboarding.offboarding_id },
+        include: [
+          {
+            model: Asset,
+            as: 'asset',
+            attributes: ['asset_id', 'asset_tag', 'barcode'],
+            paranoid: false,
+          },
+        ],
+        order: [['offboarding_item_id', 'ASC']],
+      }),
+    ])
+
+    return {
+      offboarding_id: offboarding.offboarding_id,
+      user: user ? user.get({ plain: true }) : { user_id: offboarding.user_id },
+      started_at: toIso(offboarding.created_at),
+      completed_at: toIso(completedAt),
+      signed_by: signer ? signer.get({ plain: true }) : null,
+      notes: offboarding.notes || null,
+      items: items.map((item) => ({
+        asset_id: item.asset_id,
+        asset_tag: item.asset?.asset_tag || null,
+        barcode: item.asset?.barcode || null,
+        resolution: item.resolution,
+        transaction_id: item.transaction_id,
+        write_off_reason: item.write_off_reason || null,
+        resolved_at: toIso(item.resolved_at),
+      })),
+      summary: {
+        assets: items.length,
+        returned: items.filter(
+          (item) => item.resolution === OFFBOARDING_ITEM_RESOLUTION.RETURNED,
+        ).length,
+        written_off: items.filter(
+          (item) => item.resolution === OFFBOARDING_ITEM_RESOLUTION.WRITTEN_OFF,
+        ).length,
+      },
+    }
+  }
+
+  async _serialize(offboardingId) {
+    const offboarding = await UserOffboarding.findByPk(offboardingId, {
+      include: [
+        { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'starter', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'completer', attributes: USER_ATTRIBUTES },
+        {
+          model: UserOffboardingItem,
+          as: 'items',
+          include: [
+            {
+              model: Asset,
+              as: 'asset',
+              attributes: ASSET_ATTRIBUTES,
+              paranoid: false,
+            },
+            {
+              model: AssetTransaction,
+              as: 'returnTransaction',
+              attributes: ['transaction_id', 'status', 'created_at', 'completed_at'],
+            },
+          ],
+        },
+      ],
+      order: [[{ model: UserOffboardingItem, as: 'items' }, 'offboarding_item_id', 'ASC']],
+    })
+
+    const values = offboarding.get({ plain: true })
+    return {
+      ...values,
+      outstanding: values.items.filter(
+        (item) => item.resolution === OFFBOARDING_ITEM_RESOLUTION.PENDING,
+      ).length,
+      signature_valid:
+        values.status === OFFBOARDING_STATUS.COMPLETED
+          ? this.verifySignature(offboarding)
+          : null,
+    }
+  }
+}
+
+module.exports = new OffboardingService()
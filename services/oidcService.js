@@ -0,0 +1,522 @@
+'use strict'
+
+const crypto = require('crypto')
+const bcrypt = require('bcrypt')
+const jwt = require('jsonwebtoken')
+const { User, Department } = require('../models')
+const roleService = require('./roleService')
+const logger = require('../utils/logger')
+const { DEFAULTS, USER_STATUS } = require('../utils/constants')
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || 'your-secret-key-change-in-development'
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000
+const REQUEST_TIMEOUT_MS = 10 * 1000
+const STATE_EXPIRES_IN = '10m'
+const STATE_PURPOSE = 'oidc_login'
+const STATE_EXPIRES_MS = 10 * 60 * 1000
+const CLOCK_TOLERANCE_SECONDS = 60
+const ID_TOKEN_ALGORITHMS = [
+  'RS256',
+  'RS384',
+  'RS512',
+  'PS256',
+  'PS384',
+  'PS512',
+  'ES256',
+  'ES384',
+  'ES512',
+]
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// A claim can hold one value or a list of values
+const claimValues = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((item) => item !== undefined && item !== null && item !== '')
+    .map(String)
+
+/**
+ * OpenID Connect single sign-on with the authorization code flow. The
+ * provider is found through issuer discovery; users are provisioned on their
+ * first login, with a role from a claim-to-role mapping and a department from
+ * a claim.
+ *
+ * The client app sends the user to the authorization URL from
+ * createAuthorizationRequest() and posts the code and state the provider
+ * returns to its redirect URI back to the API, which completes the login
+ * (AuthService.loginWithOidc). The state only completes a login in the
+ * browser that started it: it carries a hash of a value kept in an HttpOnly
+ * cookie of that browser, so a code from someone else's login is rejected.
+ *
+ * Configured with OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET and
+ * OIDC_REDIRECT_URI; see env.example for the optional settings.
+ */
+class OidcService {
+  constructor() {
+    this.discovery = null
+    this.discoveredFor = null
+    this.discoveredAt = 0
+    this.jwks = null
+  }
+
+  getConfig() {
+    let roleMapping = {}
+    if (process.env.OIDC_ROLE_MAPPING) {
+      try {
+        roleMapping = JSON.parse(process.env.OIDC_ROLE_MAPPING)
+      } catch (error) {
+        logger.logError(error, { action: 'parse_oidc_role_mapping' })
+      }
+    }
+
+    return {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID || '',
+      clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+      redirectUri: process.env.OIDC_REDIRECT_URI || '',
+      scopes: process.env.OIDC_SCOPES || 'openid profile email',
+      providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+      roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+      roleMapping,
+      departmentClaim: process.env.OIDC_DEPARTMENT_CLAIM || 'department',
+      createDepartments: process.env.OIDC_CREATE_DEPARTMENTS === 'true',
+      autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+    }
+  }
+
+  isEnabled() {
+    const config = this.getConfig()
+    return Boolean(config.issuer && config.clientId && config.redirectUri)
+  }
+
+  /**
+   * What the login page needs to show the SSO button.
+   * @returns {{enabled: boolean, provider_name: string}}
+   */
+  getPublicConfig() {
+    return {
+      enabled: this.isEnabled(),
+      provider_name: this.getConfig().providerName,
+    }
+  }
+
+  /**
+   * Start a login: the provider URL to send the user to. The state parameter
+   * is a signed token carrying the nonce and the hash of the browser binding,
+   * so no server-side storage is needed.
+   * @returns {Promise<{authorization_url: string, state: string, binding: string, expires_in_ms: number}>}
+   *   The binding goes in an HttpOnly cookie, never in the response body
+   */
+  async createAuthorizationRequest() {
+    this._assertEnabled()
+    const config = this.getConfig()
+    const discovery = await this._discover()
+
+    const nonce = crypto.randomBytes(16).toString('base64url')
+    const binding = crypto.randomBytes(32).toString('base64url')
+    const state = jwt.sign(
+      { purpose: STATE_PURPOSE, nonce, binding: this._hashBinding(binding) },
+      JWT_SECRET,
+      { expiresIn: STATE_EXPIRES_IN },
+    )
+
+    const url = new URL(discovery.authorization_endpoint)
+    url.searchParams.set('response_type', 'code')
+    url.searchParams.set('client_id', config.clientId)
+    url.searchParams.set('redirect_uri', config.redirectUri)
+    url.searchParams.set('scope', config.scopes)
+    url.searchParams.set('state', state)
+    url.searchParams.set('nonce', nonce)
+
+    return {
+      authorization_url: url.toString(),
+      state,
+      binding,
+      expires_in_ms: STATE_EXPIRES_MS,
+    }
+  }
+
+  /**
+   * Finish a login at the provider: check the state and that it belongs to
+   * this browser, exchange the code and verify the ID token.
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} params.state
+   * @param {string} params.binding - From the cookie set when the login started
+   * @returns {Promise<Object>} Claims of the ID token, with userinfo claims
+   *   filled in
+   */
+  async exchangeCode({ code, state, binding }) {
+    this._assertEnabled()
+    if (!code || typeof code !== 'string') {
+      throw serviceError('Authorization code is required', 400)
+    }
+
+    let statePayload
+    try {
+      statePayload = jwt.verify(String(state || ''), JWT_SECRET)
+    } catch (error) {
+      statePayload = null
+    }
+    if (!statePayload || statePayload.purpose !== STATE_PURPOSE) {
+      throw serviceError(
+        'Single sign-on request is invalid or has expired. Please try again.',
+        401,
+      )
+    }
+    if (!this._bindingMatches(binding, statePayload.binding)) {
+      throw serviceError(
+        'Single sign-on was not started in this browser. Please try again.',
+        401,
+      )
+    }
+
+    const config = this.getConfig()
+    const discovery = await this._discover()
+    const tokens = await this._requestTokens(discovery, config, code)
+    const claims = await this._verifyIdToken(tokens.id_token, {
+      config,
+      discovery,
+      nonce: statePayload.nonce,
+    })
+
+    // Providers may leave profile claims out of the ID token
+    if (discovery.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this._fetchUserinfo(
+        discovery.userinfo_endpoint,
+        tokens.access_token,
+      )
+      if (userinfo && userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims }
+      }
+    }
+
+    return claims
+  }
+
+  /**
+   * Find, link or provision the user for verified claims. Existing users are
+   * matched on their provider subject, then on email; their role and
+   * department follow the claims when these map to one.
+   * @param {Object} claims - From exchangeCode()
+   * @returns {Promise<Object>} The user
+   */
+  async resolveUser(claims) {
+    const config = this.getConfig()
+    const email = String(claims.email || '').trim().toLowerCase()
+
+    let user = await User.findOne({
+      where: { oidc_issuer: config.issuer, oidc_subject: String(claims.sub) },
+    })
+
+    if (!user && email) {
+      // Only an address the provider vouches for may take over an account
+      if (claims.email_verified !== true) {
+        throw serviceError(
+          'Your email address is not verified with the identity provider.',
+          403,
+        )
+      }
+      user = await User.findOne({ where: { email } })
+      // An account linked to another identity is not taken over by email
+      if (user && user.oidc_subject) {
+        throw serviceError(
+          'This account is linked to another single sign-on identity.',
+          403,
+        )
+      }
+    }
+
+    const role = await this._mapRole(claims, config)
+    const departmentId = await this._mapDepartment(claims, config)
+
+    if (!user) {
+      if (!config.autoProvision) {
+        throw serviceError(
+          'No account exists for this identity. Please contact administrator.',
+          403,
+        )
+      }
+      if (!email) {
+        throw serviceError(
+          'The identity provider did not return an email address.',
+          400,
+        )
+      }
+
+      user = await User.create({
+        full_name: this._fullName(claims, email),
+        email,
+        role: role || DEFAULTS.USER_ROLE,
+        department_id: departmentId,
+        // SSO users have no usable password until they reset it
+        password_hash: await bcrypt.hash(
+          crypto.randomBytes(32).toString('hex'),
+          12,
+        ),
+        oidc_issuer: config.issuer,
+        oidc_subject: String(claims.sub),
+        status: USER_STATUS.ACTIVE,
+      })
+
+      logger.logBusiness('user_provisioned_from_oidc', {
+        userId: user.user_id,
+        email,
+        role: user.role,
+        departmentId,
+      })
+      return user
+    }
+
+    const changes = {}
+    if (!user.oidc_subject) {
+      changes.oidc_issuer = config.issuer
+      changes.oidc_subject = String(claims.sub)
+    }
+    if (role && role !== user.role) {
+      changes.role = role
+    }
+    if (departmentId && departmentId !== user.department_id) {
+      changes.department_id = departmentId
+    }
+    if (Object.keys(changes).length) {
+      await user.update(changes)
+    }
+
+    return user
+  }
+
+  /**
+   * First mapped role in OIDC_ROLE_MAPPING order that the role claim holds and
+   * that exists.
+   * @returns {Promise<string|null>}
+   */
+  async _mapRole(claims, config) {
+    const values = claimValues(claims[config.roleClaim])
+    for (const [claimValue, role] of Object.entries(config.roleMapping)) {
+      if (values.includes(claimValue) && (await roleService.exists(role))) {
+        return role
+      }
+    }
+    return null
+  }
+
+  async _mapDepartment(claims, config) {
+    const [name] = claimValues(claims[config.departmentClaim])
+    if (!name) {
+      return null
+    }
+
+    const department = await Department.findOne({
+      where: { name: name.trim() },
+      attributes: ['department_id'],
+    })
+    if (department) {
+      return department.department_id
+    }
+    if (!config.createDepartments) {
+      return null
+    }
+
+    const created = await Department.create({ name: name.trim() })
+    return created.department_id
+  }
+
+  _fullName(claims, email) {
+    const name =
+      claims.name ||
+      [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+      claims.preferred_username ||
+      email.split('@')[0]
+    return String(name).trim().slice(0, 150)
+  }
+
+  _assertEnabled() {
+    if (!this.isEnabled()) {
+      throw serviceError('Single sign-on is not configured', 404)
+    }
+  }
+
+  _hashBinding(binding) {
+    return crypto.createHash('sha256').update(binding).digest('base64url')
+  }
+
+  _bindingMatches(binding, expectedHash) {
+    if (!binding || typeof binding !== 'string' || !expectedHash) {
+      return false
+    }
+    const actual = Buffer.from(this._hashBinding(binding))
+    const expected = Buffer.from(String(expectedHash))
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+    )
+  }
+
+  async _discover() {
+    const config = this.getConfig()
+    if (
+      this.discovery &&
+      this.discoveredFor === config.issuer &&
+      Date.now() - this.discoveredAt < DISCOVERY_CACHE_MS
+    ) {
+      return this.discovery
+    }
+
+    const discovery = await this._fetchJson(
+      `${config.issuer}/.well-known/openid-configuration`,
+    )
+    // Some providers publish their issuer with a trailing slash
+    if (String(discovery.issuer || '').replace(/\/+$/, '') !== config.issuer) {
+      throw serviceError(
+        `Identity provider reported issuer ${discovery.issuer}, expected ${config.issuer}`,
+        502,
+      )
+    }
+
+    this.discovery = discovery
+    this.discoveredFor = config.issuer
+    this.discoveredAt = Date.now()
+    this.jwks = null
+    return discovery
+  }
+
+  async _requestTokens(discovery, config, code) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+    })
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' }
+
+    const methods = discovery.token_endpoint_auth_methods_supported || [
+      'client_secret_basic',
+    ]
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    } else {
+      body.set('client_id', config.clientId)
+      body.set('client_secret', config.clientSecret)
+    }
+
+    const tokens = await this._fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: body.toString(),
+    }).catch((error) => {
+      // A rejected code is the user's problem, not the provider's
+      if (error.providerStatus === 400 || error.providerStatus === 401) {
+        throw serviceError(
+          'The identity provider rejected the sign-in. Please try again.',
+          401,
+        )
+      }
+      throw error
+    })
+
+    if (!tokens.id_token) {
+      throw serviceError('The identity provider did not return an ID token', 502)
+    }
+    return tokens
+  }
+
+  async _verifyIdToken(idToken, { config, discovery, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true })
+    if (!decoded) {
+      throw serviceError('Invalid ID token', 401)
+    }
+
+    const { alg, kid } = decoded.header
+    // HS256 ID tokens are signed with the client secret
+    const key =
+      alg === 'HS256'
+        ? config.clientSecret
+        : await this._getSigningKey(discovery, kid)
+
+    let claims
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: alg === 'HS256' ? ['HS256'] : ID_TOKEN_ALGORITHMS,
+        issuer: discovery.issuer,
+        audience: config.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+      })
+    } catch (error) {
+      throw serviceError(`Invalid ID token: ${error.message}`, 401)
+    }
+
+    if (claims.nonce !== nonce) {
+      throw serviceError('Invalid ID token: nonce mismatch', 401)
+    }
+    if (!claims.sub) {
+      throw serviceError('Invalid ID token: no subject', 401)
+    }
+    return claims
+  }
+
+  // Signing key by key ID, refetching the key set once for an unknown key
+  async _getSigningKey(discovery, kid) {
+    const findKey = () =>
+      (this.jwks || []).find(
+        (jwk) => (!kid || jwk.kid === kid) && (!jwk.use || jwk.use === 'sig'),
+      )
+
+    let jwk = findKey()
+    if (!jwk) {
+      const { keys } = await this._fetchJson(discovery.jwks_uri)
+      this.jwks = keys || []
+      jwk = findKey()
+    }
+    if (!jwk) {
+      throw serviceError('Invalid ID token: unknown signing key', 401)
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }
+
+  async _fetchUserinfo(endpoint, accessToken) {
+    try {
+      return await this._fetchJson(endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      })
+    } catch (error) {
+      logger.logError(error, { action: 'fetch_oidc_userinfo' })
+      return null
+    }
+  }
+
+  async _fetchJson(url, options = {}) {
+    let response
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      })
+    } catch (error) {
+      throw serviceError(
+        `Identity provider is unreachable: ${error.cause?.message || error.message}`,
+        502,
+      )
+    }
+
+    if (!response.ok) {
+      const error = serviceError(
+        `Identity provider responded with HTTP ${response.status}`,
+        502,
+      )
+      error.providerStatus = response.status
+      throw error
+    }
+    return response.json()
+  }
+}
+
+module.exports = new OidcService()
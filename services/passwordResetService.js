@@ -0,0 +1,253 @@
+'use strict'
+
+const crypto = require('crypto')
+const bcrypt = require('bcrypt')
+const { User, PasswordResetToken, sequelize } = require('../models')
+const mailService = require('./mailService')
+const sessionService = require('./sessionService')
+const logger = require('../utils/logger')
+const {
+  USER_STATUS,
+  SESSION_REVOKE_REASON,
+} = require('../utils/constants')
+const { Op } = require('sequelize')
+
+const DEFAULT_TOKEN_MINUTES = 60
+const DEFAULT_RESET_URL = 'http://localhost:5173/reset-password'
+const SALT_ROUNDS = 12
+
+const invalidToken = () => {
+  const error = new Error('Invalid or expired reset token')
+  error.statusCode = 400
+  return error
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        char
+      ],
+  )
+
+/**
+ * Password recovery with single-use, expiring reset tokens sent by email. Only
+ * SHA-256 hashes of the tokens are stored.
+ */
+class PasswordResetService {
+  /**
+   * Minutes a reset token stays valid. Configured with
+   * PASSWORD_RESET_TOKEN_MINUTES.
+   */
+  getTokenMinutes() {
+    const minutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10)
+    return Number.isInteger(minutes) && minutes > 0
+      ? minutes
+      : DEFAULT_TOKEN_MINUTES
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex')
+  }
+
+  /**
+   * Email a reset link to an active user. Unknown or inactive addresses are
+   * ignored so the response does not reveal which accounts exist.
+   * @param {string} email
+   * @param {Object} [meta]
+   * @param {string} [meta.ip]
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async requestReset(email, { ip } = {}) {
+    const user = await User.findOne({ where: { email } })
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      logger.logAuth('password_reset_request', user ? user.user_id : null, false, {
+        email,
+        reason: user ? 'inactive' : 'unknown_email',
+        ip,
+      })
+      return false
+    }
+
+    const token = await this._issueToken(user, { ip })
+    const sent = await this._sendResetEmail(user, token)
+
+    logger.logAuth('password_reset_request', user.user_id, sent, { ip })
+    return sent
+  }
+
+  /**
+   * Set a new password with a reset token. The token is consumed, other
+   * outstanding tokens are invalidated and every session is revoked.
+   * @param {string} token
+   * @param {string} newPassword
+   * @returns {Promise<Object>} The user
+   */
+  async resetPassword(token, newPassword) {
+    if (!token || typeof token !== 'string') {
+      throw invalidToken()
+    }
+
+    const resetToken = await PasswordResetToken.findOne({
+      where: {
+        token_hash: this.hashToken(token),
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() },
+      },
+      include: [{ model: User, as: 'user' }],
+    })
+
+    if (!resetToken || !resetToken.user) {
+      throw invalidToken()
+    }
+    if (resetToken.user.status !== USER_STATUS.ACTIVE) {
+      const error = new Error('Account is not active. Please contact administrator.')
+      error.statusCode = 403
+      throw error
+    }
+
+    const user = resetToken.user
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS)
+
+    await sequelize.transaction(async (transaction) => {
+      // Conditional update so two concurrent requests cannot both use the token
+      const [consumed] = await PasswordResetToken.update(
+        { used_at: new Date() },
+        {
+          where: { reset_token_id: resetToken.reset_token_id, used_at: null },
+          transaction,
+        },
+      )
+      if (!consumed) {
+        throw invalidToken()
+      }
+
+      await this._invalidateOutstanding(user.user_id, transaction)
+      // A successful reset also ends any lockout
+      await user.update(
+        {
+          password_hash: passwordHash,
+          must_change_password: false,
+          failed_login_count: 0,
+          first_failed_login_at: null,
+          locked_until: null,
+        },
+        { transaction },
+      )
+    })
+
+    await sessionService.revokeAll(user.user_id, {
+      reason: SESSION_REVOKE_REASON.PASSWORD_CHANGED,
+    })
+
+    logger.logAuth('password_reset', user.user_id, true, {
+      resetTokenId: resetToken.reset_token_id,
+    })
+
+    return user
+  }
+
+  /**
+   * Require a user to choose a new password: every session is revoked, the
+   * user can only change their password after the next login, and optionally
+   * a reset link is emailed.
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {number} [options.requestedBy] - Admin forcing the reset
+   * @param {boolean} [options.sendEmail]
+   * @param {string} [options.ip]
+   * @returns {Promise<{user: Object, email_sent: boolean}|null>} null if the
+   *   user does not exist
+   */
+  async forceReset(userId, { requestedBy = null, sendEmail = true, ip } = {}) {
+    const user = await User.findByPk(userId)
+    if (!user) {
+      return null
+    }
+
+    await user.update({ must_change_password: true })
+    await sessionService.revokeAll(user.user_id, {
+      reason: SESSION_REVOKE_REASON.PASSWORD_CHANGED,
+    })
+
+    let emailSent = false
+    if (sendEmail && user.status === USER_STATUS.ACTIVE) {
+      const token = await this._issueToken(user, { ip, createdBy: requestedBy })
+      emailSent = await this._sendResetEmail(user, token, { forced: true })
+    }
+
+    return { user, email_sent: emailSent }
+  }
+
+  async _issueToken(user, { ip = null, createdBy = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url')
+
+    await sequelize.transaction(async (transaction) => {
+      // Only the most recent link works
+      await this._invalidateOutstanding(user.user_id, transaction)
+      await PasswordResetToken.create(
+        {
+          user_id: user.user_id,
+          token_hash: this.hashToken(token),
+          expires_at: new Date(Date.now() + this.getTokenMinutes() * 60 * 1000),
+          requested_ip: ip,
+          created_by: createdBy,
+        },
+        { transaction },
+      )
+    })
+
+    return token
+  }
+
+  async _invalidateOutstanding(userId, transaction) {
+    await PasswordResetToken.update(
+      { used_at: new Date() },
+      { where: { user_id: userId, used_at: null }, transaction },
+    )
+  }
+
+  async _sendResetEmail(user, token, { forced = false } = {}) {
+    const baseUrl = process.env.PASSWORD_RESET_URL || DEFAULT_RESET_URL
+    const link = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+    const minutes = this.getTokenMinutes()
+    const intro = forced
+      ? 'An administrator has required you to choose a new password.'
+      : 'We received a request to reset the password of your account.'
+    const outro = forced
+      ? 'Until you do, you will need to change your password after signing in.'
+      : 'If you did not request this, you can ignore this email.'
+
+    try {
+      await mailService.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hello ${user.full_name},`,
+          '',
+          intro,
+          `Open this link within ${minutes} minutes to set a new password:`,
+          link,
+          '',
+          outro,
+        ].join('\n'),
+        html: [
+          `<p>Hello ${escapeHtml(user.full_name)},</p>`,
+          `<p>${intro}</p>`,
+          `<p><a href="${escapeHtml(link)}">Set a new password</a> (valid for ${minutes} minutes).</p>`,
+          `<p>${outro}</p>`,
+        ].join('\n'),
+      })
+      return true
+    } catch (error) {
+      logger.logError(error, {
+        action: 'send_password_reset_email',
+        userId: user.user_id,
+      })
+      return false
+    }
+  }
+}
+
+module.exports = new PasswordResetService()
@@ -4,7 +4,7 @@ const { RequestLog } = require('../models')
 const logger = require('../utils/logger')
 
 const MAX_BODY_LENGTH = Number(process.env.REQUEST_LOG_MAX_BODY_LENGTH || 20000)
-const SKIPPED_PATH_PREFIXES = ['/health', '/api/request-logs']
+const SKIPPED_PATH_PREFIXES = ['/health', '/api/request-logs', '/api/events']
 const SENSITIVE_KEYS = new Set([
   'password',
   'new_password',
@@ -151,6 +151,7 @@ const buildRequestLogPayload = (req, res, options = {}) => ({
   response_content_type: res.getHeader ? res.getHeader('content-type') || null : null,
   response_size: res.getHeader ? Number(res.getHeader('content-length')) || null : null,
   user_id: getUserId(req),
+  api_key_id: req.apiKey?.api_key_id || null,
   has_error: Boolean(res.locals?.requestLogError) || res.statusCode >= 500,
   error_message: res.locals?.requestLogError?.message || null,
 })
@@ -0,0 +1,285 @@
+'use strict'
+
+const { Role, User, sequelize } = require('../models')
+const logger = require('../utils/logger')
+const {
+  MODULES,
+  PERMISSIONS,
+  setRolePermissions,
+} = require('../utils/permissions')
+
+const CACHE_MS = 60 * 1000
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/
+const ROLE_FIELDS = ['name', 'display_name', 'description', 'permissions']
+
+const MODULE_VALUES = Object.values(MODULES)
+const PERMISSION_VALUES = Object.values(PERMISSIONS)
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * Roles stored in the database and the permissions (MODULES x PERMISSIONS)
+ * each one grants. The permissions of every role are kept in memory for
+ * checkPermission() and reloaded after changes, or at most a minute later
+ * when changed by another process.
+ */
+class RoleService {
+  constructor() {
+    this.loadedAt = 0
+    this.loading = null
+  }
+
+  /**
+   * Modules and permissions that can be granted, for the role editor.
+   * @returns {{modules: Array<string>, permissions: Array<string>}}
+   */
+  getCatalog() {
+    return { modules: MODULE_VALUES, permissions: PERMISSION_VALUES }
+  }
+
+  /**
+   * Reload the permissions of every role into checkPermission().
+   * @returns {Promise<Object>} Permissions by role name
+   */
+  async refresh() {
+    const roles = await Role.findAll({ attributes: ['name', 'permissions'] })
+    const permissionsByRole = {}
+    roles.forEach((role) => {
+      permissionsByRole[role.name] = role.permissions || {}
+    })
+
+    setRolePermissions(permissionsByRole)
+    this.loadedAt = Date.now()
+    return permissionsByRole
+  }
+
+  /**
+   * Reload the role permissions when they are older than the cache period.
+   * A failed reload is logged and the previous permissions stay in effect.
+   */
+  async ensureLoaded() {
+    if (Date.now() - this.loadedAt < CACHE_MS) {
+      return
+    }
+    if (!this.loading) {
+      this.loading = this.refresh()
+        .catch((error) => {
+          logger.logError(error, { action: 'load_role_permissions' })
+        })
+        .finally(() => {
+          this.loading = null
+        })
+    }
+    await this.loading
+  }
+
+  /**
+   * Roles with the number of users who have each one.
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const [roles, counts] = await Promise.all([
+      Role.findAll({ order: [['is_system', 'DESC'], ['name', 'ASC']] }),
+      User.findAll({
+        attributes: [
+          'role',
+          [sequelize.fn('COUNT', sequelize.col('user_id')), 'count'],
+        ],
+        group: ['role'],
+        raw: true,
+      }),
+    ])
+
+    const countByRole = {}
+    counts.forEach((row) => {
+      countByRole[row.role] = Number(row.count)
+    })
+
+    return roles.map((role) => ({
+      ...role.get({ plain: true }),
+      user_count: countByRole[role.name] || 0,
+    }))
+  }
+
+  async getById(id) {
+    const role = await Role.findByPk(id)
+    if (!role) {
+      return null
+    }
+
+    const userCount = await User.count({ where: { role: role.name } })
+    return { ...role.get({ plain: true }), user_count: userCount }
+  }
+
+  /**
+   * Whether a role with this name exists.
+   * @param {string} name
+   * @returns {Promise<boolean>}
+   */
+  async exists(name) {
+    if (!name) {
+      return false
+    }
+    return (await Role.count({ where: { name } })) > 0
+  }
+
+  /**
+   * Create a custom role.
+   * @param {Object} data - name, display_name, description, permissions
+   * @returns {Promise<Object>}
+   */
+  async create(data = {}) {
+    const values = this._validate(data, { partial: false })
+    if (await this.exists(values.name)) {
+      throw serviceError(`Role "${values.name}" already exists`, 409)
+    }
+
+    const role = await Role.create({ ...values, is_system: false })
+    await this.refresh()
+    return { ...role.get({ plain: true }), user_count: 0 }
+  }
+
+  /**
+   * Update a role's display name, description or permissions. The name
+   * cannot change since users reference it.
+   * @returns {Promise<Object|null>} Null when the role does not exist
+   */
+  async update(id, data = {}) {
+    const role = await Role.findByPk(id)
+    if (!role) {
+      return null
+    }
+    if (data.name !== undefined && data.name !== role.name) {
+      throw serviceError('Role name cannot be changed', 400)
+    }
+
+    const { name, ...values } = this._validate(data, { partial: true })
+    await role.update(values)
+    await this.refresh()
+    return this.getById(role.role_id)
+  }
+
+  /**
+   * Delete a custom role that no user has.
+   * @returns {Promise<boolean>} False when the role does not exist
+   */
+  async delete(id) {
+    const role = await Role.findByPk(id)
+    if (!role) {
+      return false
+    }
+    if (role.is_system) {
+      throw serviceError('Built-in roles cannot be deleted', 400)
+    }
+
+    const userCount = await User.count({ where: { role: role.name } })
+    if (userCount) {
+      throw serviceError(
+        `Role is assigned to ${userCount} user(s). Assign them another role first.`,
+        409,
+      )
+    }
+
+    await role.destroy()
+    await this.refresh()
+    return true
+  }
+
+  _validate(data, { partial }) {
+    const values = {}
+    ROLE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field]
+      }
+    })
+
+    if (!partial) {
+      const name = String(values.name || '').trim().toLowerCase()
+      if (!ROLE_NAME_PATTERN.test(name)) {
+        throw serviceError(
+          'name must be 2-50 characters: lowercase letters, digits and underscores, starting with a letter',
+          400,
+        )
+      }
+      values.name = name
+    }
+
+    if (!partial || values.display_name !== undefined) {
+      const displayName = String(values.display_name || '').trim()
+      if (!displayName || displayName.length > 100) {
+        throw serviceError('display_name is required (max 100 characters)', 400)
+      }
+      values.display_name = displayName
+    }
+
+    if (values.description !== undefined) {
+      values.description = values.description
+        ? String(values.description).trim()
+        : null
+    }
+
+    if (!partial || values.permissions !== undefined) {
+      values.permissions = this.normalizePermissions(values.permissions)
+    }
+
+    return values
+  }
+
+  /**
+   * Validate a permission set of module: [permission, ...]. Every module is
+   * listed, with the granted permissions in catalog order. Also used for API
+   * keys.
+   * @param {Object} permissions
+   * @returns {Object}
+   */
+  normalizePermissions(permissions = {}) {
+    if (
+      !permissions ||
+      typeof permissions !== 'object' ||
+      Array.isArray(permissions)
+    ) {
+      throw serviceError(
+        'permissions must be an object of module: [permission, ...]',
+        400,
+      )
+    }
+
+    const unknownModules = Object.keys(permissions).filter(
+      (module) => !MODULE_VALUES.includes(module),
+    )
+    if (unknownModules.length) {
+      throw serviceError(
+        `Unknown module(s): ${unknownModules.join(', ')}. Must be one of: ${MODULE_VALUES.join(', ')}`,
+        400,
+      )
+    }
+
+    const normalized = {}
+    MODULE_VALUES.forEach((module) => {
+      const granted = permissions[module] || []
+      if (!Array.isArray(granted)) {
+        throw serviceError(`permissions.${module} must be an array`, 400)
+      }
+      const unknown = granted.filter(
+        (permission) => !PERMISSION_VALUES.includes(permission),
+      )
+      if (unknown.length) {
+        throw serviceError(
+          `Unknown permission(s) for ${module}: ${unknown.join(', ')}. Must be one of: ${PERMISSION_VALUES.join(', ')}`,
+          400,
+        )
+      }
+      normalized[module] = PERMISSION_VALUES.filter((permission) =>
+        granted.includes(permission),
+      )
+    })
+
+    return normalized
+  }
+}
+
+module.exports = new RoleService()
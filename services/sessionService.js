@@ -0,0 +1,309 @@
+'use strict'
+
+const crypto = require('crypto')
+const { UserSession } = require('../models')
+const eventStreamService = require('./eventStreamService')
+const logger = require('../utils/logger')
+const { SESSION_REVOKE_REASON } = require('../utils/constants')
+const { Op } = require('sequelize')
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// last_used_at is only written when older than this, to avoid a write on
+// every authenticated request
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//],
+]
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+]
+
+const unauthorized = (message) => {
+  const error = new Error(message)
+  error.statusCode = 401
+  return error
+}
+
+/**
+ * Login sessions backed by rotating refresh tokens. Only SHA-256 hashes of the
+ * tokens are stored; each refresh replaces the token, and presenting a
+ * replaced token again revokes the session.
+ */
+class SessionService {
+  /**
+   * Days a refresh token stays valid after it was issued or last rotated.
+   * Configured with REFRESH_TOKEN_EXPIRES_DAYS.
+   */
+  getRefreshTokenDays() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10)
+    return Number.isInteger(days) && days > 0
+      ? days
+      : DEFAULT_REFRESH_TOKEN_DAYS
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex')
+  }
+
+  /**
+   * Start a session for a user who just authenticated.
+   * @param {number} userId
+   * @param {Object} [meta]
+   * @param {string} [meta.ip]
+   * @param {string} [meta.userAgent]
+   * @returns {Promise<{session: Object, refreshToken: string}>}
+   */
+  async create(userId, { ip, userAgent } = {}) {
+    const refreshToken = this._generateToken()
+    const now = new Date()
+
+    const session = await UserSession.create({
+      user_id: userId,
+      refresh_token_hash: this.hashToken(refreshToken),
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+      device: this.describeDevice(userAgent),
+      ip_address: ip || null,
+      last_used_at: now,
+      expires_at: this._expiresAt(now),
+    })
+
+    return { session, refreshToken }
+  }
+
+  /**
+   * Exchange a refresh token for a new one. Presenting a token that was
+   * already rotated means it leaked, so the whole session is revoked.
+   * @param {string} refreshToken
+   * @param {Object} [meta]
+   * @param {string} [meta.ip]
+   * @param {string} [meta.userAgent]
+   * @returns {Promise<{session: Object, refreshToken: string}>}
+   */
+  async rotate(refreshToken, { ip, userAgent } = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw unauthorized('Refresh token is required')
+    }
+
+    const hash = this.hashToken(refreshToken)
+    const session = await UserSession.findOne({
+      where: { refresh_token_hash: hash },
+    })
+
+    if (!session) {
+      const reused = await UserSession.findOne({
+        where: { previous_refresh_token_hash: hash, revoked_at: null },
+      })
+      if (reused) {
+        await this._revokeSession(reused, SESSION_REVOKE_REASON.TOKEN_REUSE)
+        logger.logAuth('refresh_token_reuse', reused.user_id, false, {
+          sessionId: reused.session_id,
+          ip,
+        })
+      }
+      throw unauthorized('Invalid refresh token')
+    }
+
+    const now = new Date()
+    if (session.revoked_at || session.expires_at <= now) {
+      throw unauthorized('Session has been revoked or has expired')
+    }
+
+    const nextToken = this._generateToken()
+    await session.update({
+      previous_refresh_token_hash: hash,
+      refresh_token_hash: this.hashToken(nextToken),
+      ip_address: ip || session.ip_address,
+      user_agent: userAgent
+        ? String(userAgent).slice(0, 500)
+        : session.user_agent,
+      device: userAgent ? this.describeDevice(userAgent) : session.device,
+      last_used_at: now,
+      expires_at: this._expiresAt(now),
+    })
+
+    return { session, refreshToken: nextToken }
+  }
+
+  /**
+   * The session if it belongs to the user and is neither revoked nor expired.
+   * @param {number} sessionId
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveSession(sessionId, userId) {
+    if (!sessionId) {
+      return null
+    }
+
+    return UserSession.findOne({
+      where: {
+        session_id: sessionId,
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() },
+      },
+    })
+  }
+
+  /**
+   * Record activity on a session, at most every few minutes.
+   * @param {Object} session - UserSession
+   * @param {Object} [meta]
+   * @param {string} [meta.ip]
+   */
+  async markUsed(session, { ip } = {}) {
+    const now = new Date()
+    const lastUsed = session.last_used_at
+      ? new Date(session.last_used_at).getTime()
+      : 0
+    if (now.getTime() - lastUsed < LAST_USED_RESOLUTION_MS) {
+      return
+    }
+
+    await session.update({
+      last_used_at: now,
+      ip_address: ip || session.ip_address,
+    })
+  }
+
+  /**
+   * Active sessions of a user, most recently used first.
+   * @param {number} userId
+   * @param {number} [currentSessionId] - Flagged with `current: true`
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId, currentSessionId = null) {
+    const sessions = await UserSession.findAll({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() },
+      },
+      attributes: [
+        'session_id',
+        'device',
+        'user_agent',
+        'ip_address',
+        'last_used_at',
+        'expires_at',
+        'created_at',
+      ],
+      order: [
+        ['last_used_at', 'DESC'],
+        ['session_id', 'DESC'],
+      ],
+    })
+
+    return sessions.map((session) => ({
+      ...session.get({ plain: true }),
+      current: Number(session.session_id) === Number(currentSessionId),
+    }))
+  }
+
+  /**
+   * Revoke one of a user's sessions.
+   * @param {number} userId
+   * @param {number} sessionId
+   * @param {string} [reason] - One of SESSION_REVOKE_REASON
+   * @returns {Promise<boolean>} false if the user has no such active session
+   */
+  async revoke(userId, sessionId, reason = SESSION_REVOKE_REASON.REVOKED) {
+    const session = await UserSession.findOne({
+      where: { session_id: sessionId, user_id: userId, revoked_at: null },
+    })
+    if (!session) {
+      return false
+    }
+
+    await this._revokeSession(session, reason)
+    return true
+  }
+
+  /**
+   * Revoke every active session of a user.
+   * @param {number} userId
+   * @param {Object} [options]
+   * @param {string} [options.reason] - One of SESSION_REVOKE_REASON
+   * @param {number} [options.exceptSessionId] - Session to keep
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(
+    userId,
+    { reason = SESSION_REVOKE_REASON.REVOKED, exceptSessionId = null } = {},
+  ) {
+    const where = { user_id: userId, revoked_at: null }
+    if (exceptSessionId) {
+      where.session_id = { [Op.ne]: exceptSessionId }
+    }
+
+    const [revoked] = await UserSession.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where },
+    )
+
+    if (revoked) {
+      logger.info('User sessions revoked', { userId, reason, revoked })
+    }
+    // Event streams were authenticated once, when they were opened
+    eventStreamService.closeForUser(userId, { exceptSessionId })
+
+    return revoked
+  }
+
+  /**
+   * Short human readable description of a user agent, e.g. "Chrome on Windows".
+   * @param {string} userAgent
+   * @returns {string|null}
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) {
+      return null
+    }
+
+    const ua = String(userAgent)
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(ua))
+    const platform = PLATFORMS.find(([, pattern]) => pattern.test(ua))
+
+    if (!browser && !platform) {
+      return ua.slice(0, 150)
+    }
+    if (!browser) {
+      return platform[0]
+    }
+    return platform ? `${browser[0]} on ${platform[0]}` : browser[0]
+  }
+
+  async _revokeSession(session, reason) {
+    await session.update({ revoked_at: new Date(), revoked_reason: reason })
+    logger.info('User session revoked', {
+      userId: session.user_id,
+      sessionId: session.session_id,
+      reason,
+    })
+    eventStreamService.closeForUser(session.user_id, {
+      sessionId: session.session_id,
+    })
+  }
+
+  _generateToken() {
+    return crypto.randomBytes(48).toString('base64url')
+  }
+
+  _expiresAt(from) {
+    return new Date(from.getTime() + this.getRefreshTokenDays() * DAY_MS)
+  }
+}
+
+module.exports = new SessionService()
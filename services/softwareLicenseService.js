@@ -0,0 +1,587 @@
+'use strict'
+
+const { Op, fn, col } = require('sequelize')
+const {
+  SoftwareLicense,
+  SoftwareLicenseSeat,
+  Asset,
+  User,
+} = require('../models')
+const NotificationService = require('./notificationService')
+const accessScopeService = require('./accessScopeService')
+const logger = require('../utils/logger')
+const {
+  DEFAULT_EXPIRING_DAYS,
+  getWarrantyStatus,
+  daysUntil,
+  toDateKey,
+} = require('../utils/warranty')
+const {
+  LICENSE_TYPE,
+  LICENSE_TYPE_ARRAY,
+  WARRANTY_STATUS,
+  WARRANTY_STATUS_ARRAY,
+  NOTIFICATION_TYPE,
+  USER_ROLES,
+} = require('../utils/constants')
+
+const LICENSE_FIELDS = [
+  'name',
+  'vendor',
+  'license_type',
+  'license_key',
+  'seat_count',
+  'purchase_date',
+  'expiry_date',
+  'cost',
+  'notes',
+  'is_active',
+]
+const SEAT_INCLUDE = [
+  { model: User, as: 'user', attributes: ['user_id', 'full_name', 'email', 'employee_id'] },
+  { model: Asset, as: 'asset', attributes: ['asset_id', 'asset_tag', 'status'] },
+]
+
+// Who a seat of each license type can go to
+const SEAT_HOLDERS = {
+  [LICENSE_TYPE.PER_SEAT]: ['user'],
+  [LICENSE_TYPE.PER_DEVICE]: ['asset'],
+  [LICENSE_TYPE.SITE]: ['user', 'asset'],
+  [LICENSE_TYPE.SUBSCRIPTION]: ['user', 'asset'],
+}
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const isDateOnly = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime())
+
+/**
+ * Software licenses and their seats. A seat is assigned to a user or to an
+ * asset depending on the license type; site licenses have no seat limit. A
+ * license with more seats assigned than it has (after its seat count was
+ * lowered, or an assignment forced past it) is flagged over-allocated.
+ * Licenses expiring within the alert window are upcoming renewals; the
+ * daily license batch notifies IT managers about both.
+ */
+class SoftwareLicenseService {
+  /**
+   * Days ahead a renewal is flagged. Configured with LICENSE_ALERT_DAYS.
+   */
+  getAlertDays() {
+    const days = parseInt(process.env.LICENSE_ALERT_DAYS, 10)
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_EXPIRING_DAYS
+  }
+
+  /**
+   * Licenses with their seat usage and expiry status, soonest expiry first.
+   * @param {Object} [filters]
+   * @param {string} [filters.search] - Name or vendor
+   * @param {string} [filters.license_type]
+   * @param {string} [filters.expiry_status] - One of WARRANTY_STATUS
+   * @param {boolean} [filters.over_allocated]
+   * @param {boolean} [filters.include_inactive]
+   * @param {number} [filters.days] - Renewal window
+   * @param {Date} [filters.now]
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({
+    search,
+    license_type,
+    expiry_status,
+    over_allocated,
+    include_inactive,
+    days = this.getAlertDays(),
+    now = new Date(),
+  } = {}) {
+    if (license_type && !LICENSE_TYPE_ARRAY.includes(license_type)) {
+      throw serviceError(`license_type must be one of: ${LICENSE_TYPE_ARRAY.join(', ')}`, 400)
+    }
+    if (expiry_status && !WARRANTY_STATUS_ARRAY.includes(expiry_status)) {
+      throw serviceError(`expiry_status must be one of: ${WARRANTY_STATUS_ARRAY.join(', ')}`, 400)
+    }
+
+    const where = {}
+    if (!(include_inactive === true || include_inactive === 'true')) {
+      where.is_active = true
+    }
+    if (license_type) {
+      where.license_type = license_type
+    }
+    if (search) {
+      where[Op.or] = [
+        { name: { [Op.like]: `%${search}%` } },
+        { vendor: { [Op.like]: `%${search}%` } },
+      ]
+    }
+
+    const licenses = await SoftwareLicense.findAll({
+      where,
+      order: [
+        [fn('ISNULL', col('expiry_date')), 'ASC'],
+        ['expiry_date', 'ASC'],
+        ['name', 'ASC'],
+      ],
+    })
+    const seatsUsed = await this._countSeats(licenses.map((license) => license.license_id))
+    const onlyOverAllocated = over_allocated === true || over_allocated === 'true'
+
+    return licenses
+      .map((license) =>
+        this._summarize(license, seatsUsed.get(license.license_id) || 0, { days, now }),
+      )
+      .filter(
+        (license) =>
+          (!expiry_status || license.expiry_status === expiry_status) &&
+          (!onlyOverAllocated || license.over_allocated),
+      )
+  }
+
+  /**
+   * A license with its key and seats. Seats on assets outside the access
+   * scope are left out of the list but still counted.
+   * @param {number} id
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope]
+   * @returns {Promise<Object|null>}
+   */
+  async getById(id, { accessScope = null } = {}) {
+    const license = await SoftwareLicense.findByPk(id, {
+      include: [{ model: SoftwareLicenseSeat, as: 'seats', include: SEAT_INCLUDE }],
+      order: [[{ model: SoftwareLicenseSeat, as: 'seats' }, 'created_at', 'ASC']],
+    })
+    if (!license) {
+      return null
+    }
+
+    const plain = {
+      ...this._summarize(license, license.seats.length, { days: this.getAlertDays() }),
+      // Only shown on the detail, not in lists
+      license_key: license.license_key,
+    }
+    if (accessScope) {
+      const assetIds = plain.seats.filter((seat) => seat.asset_id).map((seat) => seat.asset_id)
+      const visible = new Set(
+        (
+          await Asset.findAll({
+            where: { asset_id: assetIds, ...accessScopeService.buildAssetWhere(accessScope) },
+            attributes: ['asset_id'],
+          })
+        ).map((asset) => asset.asset_id),
+      )
+      plain.seats = plain.seats.filter((seat) => !seat.asset_id || visible.has(seat.asset_id))
+    }
+    return plain
+  }
+
+  /**
+   * @param {Object} data
+   * @param {number} createdBy
+   * @returns {Promise<Object>}
+   */
+  async create(data = {}, createdBy = null) {
+    const values = this._validate(data)
+    const license = await SoftwareLicense.create({ ...values, created_by: createdBy })
+    return this.getById(license.license_id)
+  }
+
+  /**
+   * The type of a license with seats cannot change to one its seats do not
+   * fit. Lowering the seat count below the seats in use is allowed and flags
+   * the license over-allocated.
+   * @returns {Promise<Object|null>} Null when the license does not exist
+   */
+  async update(id, data = {}) {
+    const license = await SoftwareLicense.findByPk(id)
+    if (!license) {
+      return null
+    }
+
+    // Validated as a whole, since seat_count depends on license_type
+    const values = this._validate({ ...license.get({ plain: true }), ...data })
+    const changes = {}
+    Object.keys(data).forEach((field) => {
+      if (LICENSE_FIELDS.includes(field)) {
+        changes[field] = values[field]
+      }
+    })
+    if (changes.license_type) {
+      changes.seat_count = values.seat_count
+    }
+
+    const holders = SEAT_HOLDERS[values.license_type]
+    if (values.license_type !== license.license_type && holders.length === 1) {
+      const misfits = await SoftwareLicenseSeat.count({
+        where: {
+          license_id: license.license_id,
+          [holders[0] === 'user' ? 'asset_id' : 'user_id']: { [Op.ne]: null },
+        },
+      })
+      if (misfits) {
+        throw serviceError(
+          `A ${values.license_type} license can only be assigned to ${holders[0]}s; release the other seats first`,
+          409,
+        )
+      }
+    }
+
+    await license.update(changes)
+    return this.getById(license.license_id)
+  }
+
+  /**
+   * Delete a license and its seats.
+   * @returns {Promise<boolean>} False when the license does not exist
+   */
+  async delete(id) {
+    const deleted = await SoftwareLicense.destroy({ where: { license_id: id } })
+    return deleted > 0
+  }
+
+  /**
+   * Assign a seat of a license to a user or an asset.
+   * @param {number} id - License ID
+   * @param {Object} data - user_id or asset_id, notes, allow_over_allocation
+   * @param {Object} [options]
+   * @param {Object|null} [options.accessScope] - An asset must be in scope
+   * @param {number} [options.assignedBy]
+   * @returns {Promise<Object|null>} The seat, or null when the license does
+   *   not exist
+   */
+  async assignSeat(
+    id,
+    { user_id, asset_id, notes, allow_over_allocation } = {},
+    { accessScope = null, assignedBy = null } = {},
+  ) {
+    if (Boolean(user_id) === Boolean(asset_id)) {
+      throw serviceError('Give either user_id or asset_id', 400)
+    }
+
+    const license = await SoftwareLicense.findByPk(id)
+    if (!license) {
+      return null
+    }
+    if (!license.is_active) {
+      throw serviceError('License is inactive', 409)
+    }
+    if (getWarrantyStatus(license.expiry_date) === WARRANTY_STATUS.EXPIRED) {
+      throw serviceError('License has expired; renew it before assigning seats', 409)
+    }
+
+    const holder = user_id ? 'user' : 'asset'
+    if (!SEAT_HOLDERS[license.license_type].includes(holder)) {
+      throw serviceError(
+        `A ${license.license_type} license can only be assigned to ${SEAT_HOLDERS[license.license_type][0]}s`,
+        400,
+      )
+    }
+
+    if (user_id) {
+      const user = await User.findByPk(user_id, { attributes: ['user_id'] })
+      if (!user) {
+        throw serviceError('User not found', 404)
+      }
+    } else if (!(await accessScopeService.isAssetInScope(asset_id, accessScope))) {
+      throw serviceError('Asset not found', 404)
+    }
+
+    const holderWhere = user_id ? { user_id } : { asset_id }
+    const existing = await SoftwareLicenseSeat.count({
+      where: { license_id: license.license_id, ...holderWhere },
+    })
+    if (existing) {
+      throw serviceError(`This ${holder} already has a seat of the license`, 409)
+    }
+
+    if (license.seat_count !== null && allow_over_allocation !== true) {
+      const used = await SoftwareLicenseSeat.count({ where: { license_id: license.license_id } })
+      if (used >= license.seat_count) {
+        throw serviceError(
+          `All ${license.seat_count} seats of the license are assigned (send allow_over_allocation to assign anyway)`,
+          409,
+        )
+      }
+    }
+
+    const seat = await SoftwareLicenseSeat.create({
+      license_id: license.license_id,
+      ...holderWhere,
+      notes: notes ? String(notes).trim().slice(0, 255) : null,
+      assigned_by: assignedBy,
+    })
+    return SoftwareLicenseSeat.findByPk(seat.seat_id, { include: SEAT_INCLUDE })
+  }
+
+  /**
+   * @returns {Promise<boolean>} False when the seat is not one of the license
+   */
+  async releaseSeat(id, seatId, { accessScope = null } = {}) {
+    const seat = await SoftwareLicenseSeat.findOne({
+      where: { seat_id: seatId, license_id: id },
+    })
+    if (!seat) {
+      return false
+    }
+    if (seat.asset_id && !(await accessScopeService.isAssetInScope(seat.asset_id, accessScope))) {
+      return false
+    }
+
+    await seat.destroy()
+    return true
+  }
+
+  /**
+   * Licenses with a seat on an asset, for the asset detail.
+   * @param {number} assetId
+   * @returns {Promise<Array<Object>>}
+   */
+  async listForAsset(assetId) {
+    const seats = await SoftwareLicenseSeat.findAll({
+      where: { asset_id: assetId },
+      include: [{ model: SoftwareLicense, as: 'license' }],
+      order: [['created_at', 'ASC']],
+    })
+    const days = this.getAlertDays()
+
+    return seats.map((seat) => {
+      const { license, ...rest } = seat.get({ plain: true })
+      return {
+        ...rest,
+        license: {
+          license_id: license.license_id,
+          name: license.name,
+          vendor: license.vendor,
+          license_type: license.license_type,
+          expiry_date: license.expiry_date,
+          expiry_status: getWarrantyStatus(license.expiry_date, { days }),
+          is_active: license.is_active,
+        },
+      }
+    })
+  }
+
+  /**
+   * Active licenses expiring within `days` days, soonest first.
+   * @param {Object} [options]
+   * @param {number} [options.days]
+   * @param {Date} [options.now]
+   * @returns {Promise<Array<Object>>}
+   */
+  async findRenewals({ days = this.getAlertDays(), now = new Date() } = {}) {
+    return this.list({ days, now, expiry_status: WARRANTY_STATUS.EXPIRING })
+  }
+
+  /**
+   * License figures for the dashboards.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>}
+   */
+  async getDashboardStats({ now = new Date() } = {}) {
+    const licenses = await this.list({ now })
+    const limited = licenses.filter((license) => license.seat_count !== null)
+
+    return {
+      totalLicenses: licenses.length,
+      upcomingRenewals: licenses.filter(
+        (license) => license.expiry_status === WARRANTY_STATUS.EXPIRING,
+      ).length,
+      expiredLicenses: licenses.filter(
+        (license) => license.expiry_status === WARRANTY_STATUS.EXPIRED,
+      ).length,
+      overAllocatedLicenses: licenses.filter((license) => license.over_allocated).length,
+      licenseSeatsTotal: limited.reduce((sum, license) => sum + license.seat_count, 0),
+      licenseSeatsUsed: limited.reduce((sum, license) => sum + license.seats_used, 0),
+    }
+  }
+
+  /**
+   * Notify every active IT manager about upcoming renewals and
+   * over-allocated licenses. A renewal is notified once per expiry date and
+   * an over-allocation once per seat count and usage, so the batch can run
+   * daily.
+   * @param {Object} [options]
+   * @param {number} [options.days]
+   * @param {Date} [options.now]
+   * @returns {Promise<{renewals: number, overAllocated: number, notifications: number}>}
+   */
+  async notifyAlerts({ days = this.getAlertDays(), now = new Date() } = {}) {
+    const notificationService = new NotificationService()
+    const licenses = await this.list({ days, now })
+    const renewals = licenses.filter(
+      (license) => license.expiry_status === WARRANTY_STATUS.EXPIRING,
+    )
+    const overAllocated = licenses.filter((license) => license.over_allocated)
+    const managerIds = await notificationService.getActiveUserIdsByRole([
+      USER_ROLES.IT_MANAGER,
+    ])
+
+    let notifications = 0
+    if (managerIds.length) {
+      for (const license of renewals) {
+        const when =
+          license.days_until_expiry === 0
+            ? 'today'
+            : `in ${license.days_until_expiry} day(s) on ${license.expiry_date}`
+        notifications += await notificationService.notifyUsers(managerIds, {
+          type: NOTIFICATION_TYPE.LICENSE_RENEWAL,
+          title: `License renewal due: ${license.name}`,
+          message: `${license.name}${license.vendor ? ` (${license.vendor})` : ''} expires ${when}.`,
+          entityType: 'software_license',
+          entityId: license.license_id,
+          data: {
+            license_id: license.license_id,
+            expiry_date: license.expiry_date,
+            seats_used: license.seats_used,
+          },
+          dedupeKey: `${NOTIFICATION_TYPE.LICENSE_RENEWAL}:${license.license_id}:${license.expiry_date}`,
+        })
+      }
+
+      for (const license of overAllocated) {
+        notifications += await notificationService.notifyUsers(managerIds, {
+          type: NOTIFICATION_TYPE.LICENSE_OVER_ALLOCATED,
+          title: `License over-allocated: ${license.name}`,
+          message: `${license.name} has ${license.seats_used} seats assigned but only ${license.seat_count} licensed.`,
+          entityType: 'software_license',
+          entityId: license.license_id,
+          data: {
+            license_id: license.license_id,
+            seat_count: license.seat_count,
+            seats_used: license.seats_used,
+          },
+          dedupeKey: `${NOTIFICATION_TYPE.LICENSE_OVER_ALLOCATED}:${license.license_id}:${license.seat_count}:${license.seats_used}`,
+        })
+      }
+    }
+
+    logger.info('License alert notifications processed', {
+      days,
+      renewals: renewals.length,
+      overAllocated: overAllocated.length,
+      managers: managerIds.length,
+      notifications,
+    })
+
+    return { renewals: renewals.length, overAllocated: overAllocated.length, notifications }
+  }
+
+  /**
+   * Seats assigned per license ID.
+   * @private
+   */
+  async _countSeats(licenseIds) {
+    if (!licenseIds.length) {
+      return new Map()
+    }
+    const rows = await SoftwareLicenseSeat.findAll({
+      where: { license_id: licenseIds },
+      attributes: ['license_id', [fn('COUNT', col('seat_id')), 'seats_used']],
+      group: ['license_id'],
+      raw: true,
+    })
+    return new Map(rows.map((row) => [row.license_id, Number(row.seats_used)]))
+  }
+
+  /**
+   * @private
+   */
+  _summarize(license, seatsUsed, { days = DEFAULT_EXPIRING_DAYS, now = new Date() } = {}) {
+    // A copy: without includes get() returns the instance's own values
+    const { license_key: licenseKey, ...plain } = license.get({ plain: true })
+    const limited = plain.seat_count !== null
+
+    return {
+      ...plain,
+      has_license_key: Boolean(licenseKey),
+      seats_used: seatsUsed,
+      seats_available: limited ? Math.max(plain.seat_count - seatsUsed, 0) : null,
+      over_allocated: limited && seatsUsed > plain.seat_count,
+      expiry_status: getWarrantyStatus(plain.expiry_date, { days, now }),
+      days_until_expiry: daysUntil(plain.expiry_date, now),
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validate(data) {
+    const values = {}
+    LICENSE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field]
+      }
+    })
+
+    const name = String(values.name || '').trim()
+    if (!name || name.length > 150) {
+      throw serviceError('name is required (max 150 characters)', 400)
+    }
+    values.name = name
+
+    if (!LICENSE_TYPE_ARRAY.includes(values.license_type)) {
+      throw serviceError(`license_type must be one of: ${LICENSE_TYPE_ARRAY.join(', ')}`, 400)
+    }
+
+    if (values.license_type === LICENSE_TYPE.SITE) {
+      values.seat_count = null
+    } else if (values.seat_count === null || values.seat_count === undefined || values.seat_count === '') {
+      if (values.license_type !== LICENSE_TYPE.SUBSCRIPTION) {
+        throw serviceError(`seat_count is required for ${values.license_type} licenses`, 400)
+      }
+      values.seat_count = null
+    } else {
+      const seats = Number(values.seat_count)
+      if (!Number.isInteger(seats) || seats < 1) {
+        throw serviceError('seat_count must be a positive integer', 400)
+      }
+      values.seat_count = seats
+    }
+
+    for (const field of ['purchase_date', 'expiry_date']) {
+      if (values[field] === '' || values[field] === null) {
+        values[field] = null
+      } else if (values[field] !== undefined) {
+        const date = toDateKey(values[field])
+        if (!isDateOnly(date)) {
+          throw serviceError(`${field} must be a date (YYYY-MM-DD)`, 400)
+        }
+        values[field] = date
+      }
+    }
+    if (
+      values.purchase_date &&
+      values.expiry_date &&
+      values.expiry_date < values.purchase_date
+    ) {
+      throw serviceError('expiry_date must be on or after purchase_date', 400)
+    }
+
+    if (values.cost !== undefined && values.cost !== null && values.cost !== '') {
+      const cost = Number(values.cost)
+      if (!Number.isFinite(cost) || cost < 0) {
+        throw serviceError('cost must be a non-negative number', 400)
+      }
+      values.cost = cost
+    } else if (values.cost === '') {
+      values.cost = null
+    }
+
+    if (values.is_active !== undefined && typeof values.is_active !== 'boolean') {
+      throw serviceError('is_active must be a boolean', 400)
+    }
+
+    for (const field of ['vendor', 'license_key', 'notes']) {
+      if (typeof values[field] === 'string') {
+        values[field] = values[field].trim() || null
+      }
+    }
+
+    return values
+  }
+}
+
+module.exports = new SoftwareLicenseService()
@@ -0,0 +1,418 @@
+'use strict'
+
+const { Op } = require('sequelize')
+const {
+  Asset,
+  AssetTransaction,
+  MaintenanceSchedule,
+  MaintenanceLog,
+  AssetDocument,
+} = require('../models')
+const DocumentService = require('./documentService')
+const assetHistoryService = require('./assetHistoryService')
+const accessScopeService = require('./accessScopeService')
+const logger = require('../utils/logger')
+const { MODULES } = require('../utils/permissions')
+
+const DEFAULT_RETENTION_DAYS = 30
+const MAX_PAGE_SIZE = 100
+
+// Trashable record types, keyed by the `:type` used in the trash API. Child
+// types are listed before assets so purging removes them first.
+const TRASH_TYPES = {
+  documents: {
+    model: AssetDocument,
+    primaryKey: 'document_id',
+    module: MODULES.DOCUMENTS,
+    label: (row) => row.title || row.file_name,
+    scopeWhere: (scope) => accessScopeService.buildAssetRecordWhere(scope),
+  },
+  maintenance_logs: {
+    model: MaintenanceLog,
+    primaryKey: 'log_id',
+    module: MODULES.MAINTENANCE,
+    label: (row) => row.title,
+    scopeWhere: (scope) => accessScopeService.buildAssetRecordWhere(scope),
+  },
+  maintenance_schedules: {
+    model: MaintenanceSchedule,
+    primaryKey: 'schedule_id',
+    module: MODULES.MAINTENANCE,
+    label: (row) => row.title,
+    scopeWhere: (scope) => accessScopeService.buildAssetRecordWhere(scope),
+  },
+  transactions: {
+    model: AssetTransaction,
+    primaryKey: 'transaction_id',
+    module: MODULES.TRANSACTIONS,
+    label: (row) => row.action,
+    scopeWhere: (scope) => accessScopeService.buildTransactionWhere(scope),
+  },
+  assets: {
+    model: Asset,
+    primaryKey: 'asset_id',
+    module: MODULES.ASSETS,
+    label: (row) => row.asset_tag,
+    scopeWhere: (scope) => accessScopeService.buildAssetWhere(scope),
+  },
+}
+
+// Records that are trashed together with their asset
+const ASSET_CHILD_TYPES = [
+  'transactions',
+  'maintenance_schedules',
+  'maintenance_logs',
+  'documents',
+]
+
+/**
+ * Trash bin for soft-deleted assets and their related records.
+ */
+class TrashService {
+  constructor() {
+    this.documentService = new DocumentService()
+  }
+
+  get types() {
+    return Object.keys(TRASH_TYPES)
+  }
+
+  getModule(type) {
+    return TRASH_TYPES[type]?.module || null
+  }
+
+  /**
+   * Days a trashed item is kept before the purge batch removes it.
+   * Configured with TRASH_RETENTION_DAYS.
+   */
+  getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10)
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS
+  }
+
+  /**
+   * Move assets to the trash together with their transactions, maintenance
+   * schedules/logs and documents. Children share the asset's deleted_at so a
+   * restore brings back exactly what was trashed with it.
+   * @param {Array<number>} ids - Asset ids
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from assetHistoryService.buildContext
+   * @param {Object|null} [options.accessScope] - Assets outside the scope are
+   *   left alone; defaults to the scope of the current request
+   * @returns {Promise<number>} Number of assets trashed
+   */
+  async trashAssets(ids, { auditContext = null, accessScope } = {}) {
+    const transaction = await Asset.sequelize.transaction()
+
+    try {
+      const assets = await Asset.findAll({
+        where: this._scopedWhere(
+          'assets',
+          { asset_id: { [Op.in]: ids } },
+          accessScope,
+        ),
+        attributes: ['asset_id'],
+        transaction,
+      })
+      const assetIds = assets.map((asset) => asset.asset_id)
+
+      if (!assetIds.length) {
+        await transaction.rollback()
+        return 0
+      }
+
+      const deletedAt = new Date()
+
+      for (const type of ASSET_CHILD_TYPES) {
+        await TRASH_TYPES[type].model.update(
+          { deleted_at: deletedAt },
+          {
+            where: { asset_id: { [Op.in]: assetIds } },
+            silent: true,
+            transaction,
+          },
+        )
+      }
+
+      await Asset.update(
+        { deleted_at: deletedAt },
+        {
+          where: { asset_id: { [Op.in]: assetIds } },
+          silent: true,
+          transaction,
+        },
+      )
+
+      for (const assetId of assetIds) {
+        await assetHistoryService.record({
+          assetId,
+          changes: [
+            {
+              field_source: 'core',
+              field_name: 'deleted_at',
+              old_value: null,
+              new_value: deletedAt,
+            },
+          ],
+          context: auditContext,
+          action: 'trash',
+          transaction,
+        })
+      }
+
+      await transaction.commit()
+
+      logger.info('Assets moved to trash', {
+        assetIds,
+        changedBy: auditContext?.changedBy ?? null,
+      })
+
+      return assetIds.length
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+  }
+
+  /**
+   * List trashed items, most recently trashed first.
+   * @param {Object} params
+   * @param {Array<string>} params.types - Types to include
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {Object|null} [params.accessScope] - Only items of assets within
+   *   the scope; defaults to the scope of the current request
+   * @returns {Promise<{data: Array, pagination: Object}>}
+   */
+  async list({ types, page: rawPage, limit: rawLimit, accessScope } = {}) {
+    const page = Math.max(parseInt(rawPage, 10) || 1, 1)
+    const limit = Math.min(
+      Math.max(parseInt(rawLimit, 10) || 25, 1),
+      MAX_PAGE_SIZE,
+    )
+    const offset = (page - 1) * limit
+    const retentionDays = this.getRetentionDays()
+
+    // Every type contributes at most offset + limit rows, which is enough to
+    // build the requested page of the merged, deleted_at ordered list.
+    let totalItems = 0
+    const items = []
+    for (const type of types) {
+      const config = TRASH_TYPES[type]
+      const { count, rows } = await config.model.findAndCountAll({
+        where: this._scopedWhere(
+          type,
+          { deleted_at: { [Op.ne]: null } },
+          accessScope,
+        ),
+        paranoid: false,
+        order: [['deleted_at', 'DESC']],
+        limit: offset + limit,
+      })
+
+      totalItems += count
+      items.push(
+        ...rows.map((row) => this._serialize(type, row, retentionDays)),
+      )
+    }
+
+    items.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+    const totalPages = Math.ceil(totalItems / limit)
+
+    return {
+      data: items.slice(offset, offset + limit),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    }
+  }
+
+  /**
+   * Restore a trashed item. Restoring an asset also restores the records that
+   * were trashed with it; a child record can only be restored while its asset
+   * is not in the trash.
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {number} id - Primary key of the trashed row
+   * @param {Object} [options]
+   * @param {Object} [options.auditContext] - Audit context from assetHistoryService.buildContext
+   * @param {Object|null} [options.accessScope] - Items of assets outside the
+   *   scope are treated as not in the trash; defaults to the scope of the
+   *   current request
+   * @returns {Promise<Object|null>} Restored item, or null when not in the trash
+   */
+  async restore(type, id, { auditContext = null, accessScope } = {}) {
+    const config = TRASH_TYPES[type]
+    const transaction = await Asset.sequelize.transaction()
+
+    try {
+      const row = await config.model.findOne({
+        where: this._scopedWhere(
+          type,
+          {
+            [config.primaryKey]: id,
+            deleted_at: { [Op.ne]: null },
+          },
+          accessScope,
+        ),
+        paranoid: false,
+        transaction,
+      })
+
+      if (!row) {
+        await transaction.rollback()
+        return null
+      }
+
+      if (type !== 'assets' && row.asset_id) {
+        const asset = await Asset.findByPk(row.asset_id, {
+          paranoid: false,
+          attributes: ['asset_id', 'deleted_at'],
+          transaction,
+        })
+        if (asset?.deleted_at) {
+          const error = new Error(
+            'The asset this item belongs to is in the trash. Restore the asset first',
+          )
+          error.statusCode = 409
+          throw error
+        }
+      }
+
+      const deletedAt = row.deleted_at
+      await row.restore({ transaction })
+
+      if (type === 'assets') {
+        for (const childType of ASSET_CHILD_TYPES) {
+          await TRASH_TYPES[childType].model.restore({
+            where: { asset_id: row.asset_id, deleted_at: deletedAt },
+            transaction,
+          })
+        }
+
+        await assetHistoryService.record({
+          assetId: row.asset_id,
+          changes: [
+            {
+              field_source: 'core',
+              field_name: 'deleted_at',
+              old_value: deletedAt,
+              new_value: null,
+            },
+          ],
+          context: auditContext,
+          action: 'restore',
+          transaction,
+        })
+      }
+
+      await transaction.commit()
+
+      logger.info('Trashed item restored', {
+        type,
+        id,
+        changedBy: auditContext?.changedBy ?? null,
+      })
+
+      return this._serialize(type, row, this.getRetentionDays())
+    } catch (error) {
+      await transaction.rollback()
+      throw error
+    }
+  }
+
+  /**
+   * Permanently remove items that have been in the trash longer than the
+   * retention period. Document files are deleted along with their rows.
+   * @param {Object} [options]
+   * @param {number} [options.retentionDays]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} Purged row count per type
+   */
+  async purgeExpired({
+    retentionDays = this.getRetentionDays(),
+    now = new Date(),
+  } = {}) {
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000)
+    const purged = {}
+
+    for (const [type, config] of Object.entries(TRASH_TYPES)) {
+      const rows = await config.model.findAll({
+        where: { deleted_at: { [Op.lt]: cutoff } },
+        paranoid: false,
+        attributes: [config.primaryKey],
+      })
+      const ids = rows.map((row) => row[config.primaryKey])
+
+      if (!ids.length) {
+        purged[type] = 0
+        continue
+      }
+
+      // Documents are removed with their asset by the foreign key cascade, so
+      // their files have to go first.
+      const documentWhere =
+        type === 'assets'
+          ? { asset_id: { [Op.in]: ids } }
+          : type === 'documents'
+            ? { document_id: { [Op.in]: ids } }
+            : null
+      if (documentWhere) {
+        const documents = await AssetDocument.findAll({
+          where: documentWhere,
+          paranoid: false,
+          attributes: ['document_id', 'file_path'],
+        })
+        for (const document of documents) {
+          await this.documentService.removeDocumentFile(document)
+        }
+      }
+
+      purged[type] = await config.model.destroy({
+        where: { [config.primaryKey]: { [Op.in]: ids } },
+        force: true,
+      })
+    }
+
+    logger.info('Trash purged', {
+      retentionDays,
+      cutoff: cutoff.toISOString(),
+      purged,
+    })
+
+    return purged
+  }
+
+  // Where clause restricted to the items of a type within an access scope
+  _scopedWhere(type, where, accessScope) {
+    const scope = accessScopeService.resolveScope(accessScope)
+    if (!scope) {
+      return where
+    }
+    return { [Op.and]: [where, TRASH_TYPES[type].scopeWhere(scope)] }
+  }
+
+  _serialize(type, row, retentionDays) {
+    const config = TRASH_TYPES[type]
+    const data = row.get({ plain: true })
+    const deletedAt = data.deleted_at ? new Date(data.deleted_at) : null
+
+    return {
+      type,
+      id: data[config.primaryKey],
+      asset_id: data.asset_id ?? null,
+      label: config.label(data) || null,
+      deleted_at: deletedAt,
+      purge_after: deletedAt
+        ? new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        : null,
+      data,
+    }
+  }
+}
+
+module.exports = new TrashService()
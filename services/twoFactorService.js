@@ -0,0 +1,386 @@
+'use strict'
+
+const crypto = require('crypto')
+const bcrypt = require('bcrypt')
+const QRCode = require('qrcode')
+const {
+  User,
+  TwoFactorRecoveryCode,
+  OrganizationSettings,
+  sequelize,
+} = require('../models')
+const totp = require('../utils/totp')
+const logger = require('../utils/logger')
+const { Op } = require('sequelize')
+
+const RECOVERY_CODE_COUNT = 10
+const SETTINGS_CACHE_MS = 60 * 1000
+const DEFAULT_ISSUER = 'Asset Management'
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+/**
+ * TOTP two-factor authentication: enrolment, login verification, one-time
+ * recovery codes and the organization-wide list of roles that must use it.
+ * TOTP secrets are stored encrypted (AES-256-GCM) and recovery codes hashed.
+ */
+class TwoFactorService {
+  constructor() {
+    this.requiredRolesCache = null
+  }
+
+  /**
+   * Roles that must use two-factor authentication, from organization settings.
+   * Cached briefly since the authentication middleware checks it on every
+   * request.
+   * @returns {Promise<Array<string>>}
+   */
+  async getRequiredRoles() {
+    if (
+      this.requiredRolesCache &&
+      this.requiredRolesCache.expiresAt > Date.now()
+    ) {
+      return this.requiredRolesCache.roles
+    }
+
+    const settings = await OrganizationSettings.findOne({
+      attributes: ['setting_id', 'two_factor_required_roles'],
+    })
+    const roles = Array.isArray(settings?.two_factor_required_roles)
+      ? settings.two_factor_required_roles
+      : []
+
+    this.requiredRolesCache = { roles, expiresAt: Date.now() + SETTINGS_CACHE_MS }
+    return roles
+  }
+
+  clearCache() {
+    this.requiredRolesCache = null
+  }
+
+  async isRequiredFor(user) {
+    const roles = await this.getRequiredRoles()
+    return roles.includes(user.role)
+  }
+
+  /**
+   * Whether the user's role requires 2FA but the user has not enabled it yet.
+   */
+  async isSetupRequired(user) {
+    return !user.two_factor_enabled && (await this.isRequiredFor(user))
+  }
+
+  /**
+   * @param {number} userId
+   * @returns {Promise<Object>}
+   */
+  async getStatus(userId) {
+    const user = await this._findUser(userId)
+    const recoveryCodesRemaining = user.two_factor_enabled
+      ? await TwoFactorRecoveryCode.count({
+          where: { user_id: user.user_id, used_at: null },
+        })
+      : 0
+
+    return {
+      enabled: Boolean(user.two_factor_enabled),
+      required: await this.isRequiredFor(user),
+      enabled_at: user.two_factor_enabled_at,
+      recovery_codes_remaining: recoveryCodesRemaining,
+    }
+  }
+
+  /**
+   * Generate a new secret for the user to add to an authenticator app. 2FA is
+   * only enabled once a code from the app is confirmed with enable().
+   * @param {number} userId
+   * @returns {Promise<{secret: string, otpauth_url: string, qr_code: string}>}
+   */
+  async beginSetup(userId) {
+    const user = await this._findUser(userId)
+    if (user.two_factor_enabled) {
+      throw serviceError('Two-factor authentication is already enabled', 400)
+    }
+
+    const secret = totp.generateSecret()
+    await user.update({
+      two_factor_secret: this._encrypt(secret),
+      two_factor_last_step: null,
+    })
+
+    const otpauthUrl = totp.buildOtpauthUrl(secret, {
+      issuer: await this._getIssuer(),
+      account: user.email,
+    })
+    const qrCode = await QRCode.toDataURL(otpauthUrl, {
+      width: 256,
+      margin: 2,
+      errorCorrectionLevel: 'M',
+    })
+
+    return { secret, otpauth_url: otpauthUrl, qr_code: qrCode }
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app.
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<{recovery_codes: Array<string>}>} Shown only once
+   */
+  async enable(userId, code) {
+    const user = await this._findUser(userId)
+    if (user.two_factor_enabled) {
+      throw serviceError('Two-factor authentication is already enabled', 400)
+    }
+    if (!user.two_factor_secret) {
+      throw serviceError('Start two-factor setup first', 400)
+    }
+
+    const step = totp.verifyCode(this._decrypt(user.two_factor_secret), code)
+    if (step === null) {
+      throw serviceError('Invalid verification code', 400)
+    }
+
+    const recoveryCodes = await sequelize.transaction(async (transaction) => {
+      await user.update(
+        {
+          two_factor_enabled: true,
+          two_factor_enabled_at: new Date(),
+          two_factor_last_step: step,
+        },
+        { transaction },
+      )
+      return this._replaceRecoveryCodes(user.user_id, transaction)
+    })
+
+    logger.logAuth('two_factor_enabled', user.user_id, true)
+    return { recovery_codes: recoveryCodes }
+  }
+
+  /**
+   * Check a second factor during login: either a TOTP code or an unused
+   * recovery code, which is then consumed.
+   * @param {Object} user - User with two_factor_enabled
+   * @param {Object} factor
+   * @param {string} [factor.code]
+   * @param {string} [factor.recoveryCode]
+   * @returns {Promise<'totp'|'recovery_code'|null>} Method used, or null if
+   *   the factor is invalid
+   */
+  async verifyLogin(user, { code, recoveryCode } = {}) {
+    if (!user.two_factor_enabled || !user.two_factor_secret) {
+      return null
+    }
+
+    if (code) {
+      return (await this._verifyTotp(user, code)) ? 'totp' : null
+    }
+
+    if (recoveryCode) {
+      const recovery = await TwoFactorRecoveryCode.findOne({
+        where: {
+          user_id: user.user_id,
+          code_hash: this._hashRecoveryCode(recoveryCode),
+          used_at: null,
+        },
+      })
+      if (!recovery) {
+        return null
+      }
+
+      // Conditional update so a code cannot be used by two requests at once
+      const [consumed] = await TwoFactorRecoveryCode.update(
+        { used_at: new Date() },
+        {
+          where: {
+            recovery_code_id: recovery.recovery_code_id,
+            used_at: null,
+          },
+        },
+      )
+      return consumed ? 'recovery_code' : null
+    }
+
+    return null
+  }
+
+  /**
+   * Replace the user's recovery codes. Requires a current TOTP code.
+   * @param {number} userId
+   * @param {string} code
+   * @returns {Promise<{recovery_codes: Array<string>}>} Shown only once
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this._findUser(userId)
+    if (!user.two_factor_enabled) {
+      throw serviceError('Two-factor authentication is not enabled', 400)
+    }
+    if (!(await this._verifyTotp(user, code))) {
+      throw serviceError('Invalid verification code', 400)
+    }
+
+    const recoveryCodes = await sequelize.transaction((transaction) =>
+      this._replaceRecoveryCodes(user.user_id, transaction),
+    )
+
+    logger.logAuth('two_factor_recovery_codes_regenerated', user.user_id, true)
+    return { recovery_codes: recoveryCodes }
+  }
+
+  /**
+   * Turn 2FA off. Requires the password and a TOTP or recovery code, and is
+   * refused while the user's role requires 2FA.
+   * @param {number} userId
+   * @param {Object} params
+   * @param {string} params.password
+   * @param {string} [params.code]
+   * @param {string} [params.recoveryCode]
+   */
+  async disable(userId, { password, code, recoveryCode }) {
+    const user = await this._findUser(userId)
+    if (!user.two_factor_enabled) {
+      throw serviceError('Two-factor authentication is not enabled', 400)
+    }
+    if (await this.isRequiredFor(user)) {
+      throw serviceError(
+        'Two-factor authentication is required for your role and cannot be disabled',
+        403,
+      )
+    }
+    if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+      throw serviceError('Password is incorrect', 400)
+    }
+    if (!(await this.verifyLogin(user, { code, recoveryCode }))) {
+      throw serviceError('Invalid verification code', 400)
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await user.update(
+        {
+          two_factor_enabled: false,
+          two_factor_secret: null,
+          two_factor_last_step: null,
+          two_factor_enabled_at: null,
+        },
+        { transaction },
+      )
+      await TwoFactorRecoveryCode.destroy({
+        where: { user_id: user.user_id },
+        transaction,
+      })
+    })
+
+    logger.logAuth('two_factor_disabled', user.user_id, true)
+  }
+
+  // Accepts each time step once, so an observed code cannot be replayed
+  async _verifyTotp(user, code) {
+    const step = totp.verifyCode(this._decrypt(user.two_factor_secret), code)
+    if (step === null) {
+      return false
+    }
+    const [accepted] = await User.update(
+      { two_factor_last_step: step },
+      {
+        where: {
+          user_id: user.user_id,
+          [Op.or]: [
+            { two_factor_last_step: null },
+            { two_factor_last_step: { [Op.lt]: step } },
+          ],
+        },
+      },
+    )
+    if (!accepted) {
+      return false
+    }
+
+    user.set('two_factor_last_step', step, { raw: true })
+    return true
+  }
+
+  async _replaceRecoveryCodes(userId, transaction) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex')
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`
+    })
+
+    await TwoFactorRecoveryCode.destroy({
+      where: { user_id: userId },
+      transaction,
+    })
+    await TwoFactorRecoveryCode.bulkCreate(
+      codes.map((code) => ({
+        user_id: userId,
+        code_hash: this._hashRecoveryCode(code),
+      })),
+      { transaction },
+    )
+
+    return codes
+  }
+
+  _hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-z]/g, '')
+    return crypto.createHash('sha256').update(normalized).digest('hex')
+  }
+
+  async _findUser(userId) {
+    const user = await User.findByPk(userId)
+    if (!user) {
+      throw serviceError('User not found', 404)
+    }
+    return user
+  }
+
+  async _getIssuer() {
+    if (process.env.TWO_FACTOR_ISSUER) {
+      return process.env.TWO_FACTOR_ISSUER
+    }
+    const settings = await OrganizationSettings.findOne({
+      attributes: ['setting_id', 'organization_name'],
+    })
+    return settings?.organization_name || DEFAULT_ISSUER
+  }
+
+  // Key from TWO_FACTOR_ENCRYPTION_KEY, falling back to the JWT secret
+  _getKey() {
+    const source =
+      process.env.TWO_FACTOR_ENCRYPTION_KEY ||
+      process.env.JWT_SECRET ||
+      'your-secret-key-change-in-development'
+    return crypto.createHash('sha256').update(source).digest()
+  }
+
+  _encrypt(value) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(), iv)
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()])
+    return [
+      'v1',
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      encrypted.toString('base64'),
+    ].join(':')
+  }
+
+  _decrypt(value) {
+    const [, iv, tag, encrypted] = String(value).split(':')
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this._getKey(),
+      Buffer.from(iv, 'base64'),
+    )
+    decipher.setAuthTag(Buffer.from(tag, 'base64'))
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final(),
+    ]).toString('utf8')
+  }
+}
+
+module.exports = new TwoFactorService()
@@ -0,0 +1,200 @@
+'use strict'
+
+const { Asset, AssetCategory } = require('../models')
+const NotificationService = require('./notificationService')
+const accessScopeService = require('./accessScopeService')
+const logger = require('../utils/logger')
+const {
+  DEFAULT_EXPIRING_DAYS,
+  warrantyEndDateSql,
+  warrantyExpiresOnAttribute,
+  buildWarrantyWhere,
+  daysUntil,
+  toDateKey,
+} = require('../utils/warranty')
+const {
+  ASSET_STATUS,
+  USER_ROLES,
+  WARRANTY_STATUS,
+  NOTIFICATION_TYPE,
+} = require('../utils/constants')
+const { Op, Sequelize } = require('sequelize')
+
+const MAX_PAGE_SIZE = 100
+
+// Disposed assets no longer need warranty cover
+const TRACKED_STATUSES = Object.values(ASSET_STATUS).filter(
+  (status) => status !== ASSET_STATUS.DISPOSED,
+)
+
+/**
+ * Warranty coverage queries and expiry alerts.
+ */
+class WarrantyService {
+  constructor() {
+    this.notificationService = new NotificationService()
+  }
+
+  /**
+   * Days ahead the daily batch warns about. Configured with WARRANTY_ALERT_DAYS.
+   */
+  getAlertDays() {
+    const days = parseInt(process.env.WARRANTY_ALERT_DAYS, 10)
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_EXPIRING_DAYS
+  }
+
+  /**
+   * Assets (not disposed) whose warranty ends within `days` days, soonest
+   * first.
+   * @param {Object} [params]
+   * @param {number} [params.days]
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {Date} [params.now]
+   * @param {Object|null} [params.accessScope] - Only assets within the scope;
+   *   defaults to the scope of the current request
+   * @returns {Promise<{data: Array, pagination: Object}>}
+   */
+  async findExpiring({
+    days = DEFAULT_EXPIRING_DAYS,
+    page: rawPage,
+    limit: rawLimit,
+    now = new Date(),
+    accessScope,
+  } = {}) {
+    const page = Math.max(parseInt(rawPage, 10) || 1, 1)
+    const limit = Math.min(
+      Math.max(parseInt(rawLimit, 10) || 25, 1),
+      MAX_PAGE_SIZE,
+    )
+
+    const { count, rows } = await Asset.findAndCountAll({
+      ...this._expiringQuery({
+        days,
+        now,
+        accessScope: accessScopeService.resolveScope(accessScope),
+      }),
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    const totalPages = Math.ceil(count / limit)
+    return {
+      data: rows.map((row) => this._serialize(row, now)),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: count,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    }
+  }
+
+  /**
+   * Notify every active IT manager about each asset whose warranty ends within
+   * `days` days. Each manager is notified once per asset and end date, so the
+   * batch can run daily.
+   * @param {Object} [options]
+   * @param {number} [options.days]
+   * @param {Date} [options.now]
+   * @returns {Promise<{assets: number, notifications: number}>}
+   */
+  async notifyExpiring({ days = this.getAlertDays(), now = new Date() } = {}) {
+    const rows = await Asset.findAll(this._expiringQuery({ days, now }))
+    const managerIds = await this.notificationService.getActiveUserIdsByRole([
+      USER_ROLES.IT_MANAGER,
+    ])
+
+    let notifications = 0
+    if (managerIds.length) {
+      for (const row of rows) {
+        const asset = this._serialize(row, now)
+        const label = asset.asset_tag || `Asset #${asset.asset_id}`
+        const when =
+          asset.warranty_days_remaining === 0
+            ? 'today'
+            : `in ${asset.warranty_days_remaining} day(s) on ${asset.warranty_expires_on}`
+
+        notifications += await this.notificationService.notifyUsers(
+          managerIds,
+          {
+            type: NOTIFICATION_TYPE.WARRANTY_EXPIRING,
+            title: `Warranty expiring: ${label}`,
+            message: `The warranty of ${label}${asset.warranty_provider ? ` (${asset.warranty_provider})` : ''} expires ${when}.`,
+            entityType: 'asset',
+            entityId: asset.asset_id,
+            data: {
+              asset_id: asset.asset_id,
+              asset_tag: asset.asset_tag,
+              warranty_expires_on: asset.warranty_expires_on,
+              warranty_provider: asset.warranty_provider,
+              warranty_reference: asset.warranty_reference,
+            },
+            dedupeKey: `${NOTIFICATION_TYPE.WARRANTY_EXPIRING}:${asset.asset_id}:${asset.warranty_expires_on}`,
+          },
+        )
+      }
+    }
+
+    logger.info('Warranty expiry notifications processed', {
+      days,
+      assets: rows.length,
+      managers: managerIds.length,
+      notifications,
+    })
+
+    return { assets: rows.length, notifications }
+  }
+
+  _expiringQuery({ days, now, accessScope = null }) {
+    return {
+      attributes: [
+        'asset_id',
+        'asset_tag',
+        'status',
+        'category_id',
+        'assigned_to',
+        'purchase_date',
+        'warranty_start_date',
+        'warranty_end_date',
+        'warranty_provider',
+        'warranty_reference',
+        'warranty_contact',
+        warrantyExpiresOnAttribute(),
+      ],
+      where: {
+        status: { [Op.in]: TRACKED_STATUSES },
+        [Op.and]: [
+          buildWarrantyWhere(WARRANTY_STATUS.EXPIRING, { days, now }),
+          ...(accessScope ? [accessScopeService.buildAssetWhere(accessScope)] : []),
+        ],
+      },
+      include: [
+        {
+          model: AssetCategory,
+          as: 'category',
+          attributes: ['category_id', 'name', 'default_warranty_months'],
+          required: false,
+        },
+      ],
+      order: [
+        [Sequelize.literal(warrantyEndDateSql()), 'ASC'],
+        ['asset_id', 'ASC'],
+      ],
+    }
+  }
+
+  _serialize(row, now) {
+    const asset = row.get({ plain: true })
+    const expiresOn = toDateKey(asset.warranty_expires_on)
+    return {
+      ...asset,
+      warranty_expires_on: expiresOn,
+      warranty_days_remaining: daysUntil(expiresOn, now),
+    }
+  }
+}
+
+module.exports = new WarrantyService()
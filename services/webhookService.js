@@ -0,0 +1,649 @@
+'use strict'
+
+const crypto = require('crypto')
+const { Op } = require('sequelize')
+const { Webhook, WebhookDelivery } = require('../models')
+const logger = require('../utils/logger')
+const {
+  ASSET_STATUS,
+  WEBHOOK_EVENT,
+  WEBHOOK_EVENT_ARRAY,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_DELIVERY_STATUS_ARRAY,
+} = require('../utils/constants')
+
+const DEFAULT_MAX_ATTEMPTS = 6
+const DEFAULT_RETRY_BASE_SECONDS = 30
+const REQUEST_TIMEOUT_MS = 10 * 1000
+const MAX_RESPONSE_BODY_LENGTH = 2000
+const MAX_PAGE_SIZE = 100
+const DUE_BATCH_SIZE = 50
+const ALL_EVENTS = '*'
+
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'description', 'is_active']
+
+const badRequest = (message) => {
+  const error = new Error(message)
+  error.statusCode = 400
+  return error
+}
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+const paginate = (rawPage, rawLimit, defaultLimit) => {
+  const page = Math.max(parseInt(rawPage, 10) || 1, 1)
+  const limit = Math.min(
+    Math.max(parseInt(rawLimit, 10) || defaultLimit, 1),
+    MAX_PAGE_SIZE,
+  )
+  return { page, limit }
+}
+
+const paginationMeta = (page, limit, count) => {
+  const totalPages = Math.ceil(count / limit)
+  return {
+    currentPage: page,
+    totalPages,
+    totalItems: count,
+    itemsPerPage: limit,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  }
+}
+
+/**
+ * Admin-managed webhook subscriptions and their deliveries. Every delivery
+ * is signed with the subscription's secret and retried with exponential
+ * backoff until it succeeds or runs out of attempts.
+ */
+class WebhookService {
+  constructor() {
+    this.inFlight = new Set()
+  }
+
+  /**
+   * Attempts per delivery. Configured with WEBHOOK_MAX_ATTEMPTS.
+   */
+  getMaxAttempts() {
+    return readPositiveInt(
+      process.env.WEBHOOK_MAX_ATTEMPTS,
+      DEFAULT_MAX_ATTEMPTS,
+    )
+  }
+
+  /**
+   * Delay before the retry following attempt number `attempts`: the base
+   * delay (WEBHOOK_RETRY_BASE_SECONDS) doubled after every failed attempt.
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  getRetryDelayMs(attempts) {
+    const baseSeconds = readPositiveInt(
+      process.env.WEBHOOK_RETRY_BASE_SECONDS,
+      DEFAULT_RETRY_BASE_SECONDS,
+    )
+    return baseSeconds * 1000 * 2 ** Math.max(attempts - 1, 0)
+  }
+
+  /**
+   * Signature sent in X-Webhook-Signature: HMAC-SHA256 of
+   * "<timestamp>.<raw body>" with the webhook secret, hex encoded.
+   * @param {string} secret
+   * @param {number|string} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string}
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+  }
+
+  async list({ page: rawPage, limit: rawLimit } = {}) {
+    const { page, limit } = paginate(rawPage, rawLimit, 25)
+    const { count, rows } = await Webhook.findAndCountAll({
+      order: [['webhook_id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    return {
+      data: rows.map((webhook) => this._serialize(webhook)),
+      pagination: paginationMeta(page, limit, count),
+    }
+  }
+
+  async getById(id) {
+    const webhook = await Webhook.findByPk(id)
+    return webhook ? this._serialize(webhook) : null
+  }
+
+  /**
+   * Create a subscription. A secret is generated unless one is given; it is
+   * only returned here and when rotated.
+   * @param {Object} data - name, url, events, description, is_active, secret
+   * @param {number} userId - Admin creating the webhook
+   * @returns {Promise<Object>}
+   */
+  async create(data = {}, userId = null) {
+    const values = this._validate(data, { partial: false })
+    const secret = data.secret ? String(data.secret) : this._generateSecret()
+
+    const webhook = await Webhook.create({
+      ...values,
+      secret,
+      created_by: userId,
+    })
+
+    logger.logBusiness('webhook_created', {
+      userId,
+      webhookId: webhook.webhook_id,
+      url: webhook.url,
+      events: webhook.events,
+    })
+
+    return { ...this._serialize(webhook), secret }
+  }
+
+  /**
+   * Update a subscription. Pass `rotate_secret: true` to generate a new
+   * secret, which is returned once.
+   * @returns {Promise<Object|null>} Null when the webhook does not exist
+   */
+  async update(id, data = {}) {
+    const webhook = await Webhook.findByPk(id)
+    if (!webhook) {
+      return null
+    }
+
+    const values = this._validate(data, { partial: true })
+    const secret = data.rotate_secret ? this._generateSecret() : null
+    await webhook.update({ ...values, ...(secret && { secret }) })
+
+    return secret
+      ? { ...this._serialize(webhook), secret }
+      : this._serialize(webhook)
+  }
+
+  async delete(id) {
+    const deleted = await Webhook.destroy({ where: { webhook_id: id } })
+    return deleted > 0
+  }
+
+  /**
+   * Delivery log of a webhook, newest first.
+   * @param {number} webhookId
+   * @param {Object} [params]
+   * @param {string} [params.status] - One of WEBHOOK_DELIVERY_STATUS
+   * @param {string} [params.event]
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   */
+  async listDeliveries(
+    webhookId,
+    { status, event, page: rawPage, limit: rawLimit } = {},
+  ) {
+    if (status && !WEBHOOK_DELIVERY_STATUS_ARRAY.includes(status)) {
+      throw badRequest(
+        `Invalid status. Must be one of: ${WEBHOOK_DELIVERY_STATUS_ARRAY.join(', ')}`,
+      )
+    }
+
+    const { page, limit } = paginate(rawPage, rawLimit, 25)
+    const where = { webhook_id: webhookId }
+    if (status) {
+      where.status = status
+    }
+    if (event) {
+      where.event = event
+    }
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [
+        ['created_at', 'DESC'],
+        ['delivery_id', 'DESC'],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    return {
+      data: rows,
+      pagination: paginationMeta(page, limit, count),
+    }
+  }
+
+  /**
+   * Send a webhook.test event right away, once and without retries, and
+   * return the logged delivery. Works for inactive webhooks too.
+   * @param {number} id
+   * @param {number} [userId]
+   * @returns {Promise<Object|null>} Null when the webhook does not exist
+   */
+  async sendTestEvent(id, userId = null) {
+    const webhook = await Webhook.findByPk(id)
+    if (!webhook) {
+      return null
+    }
+
+    const envelope = this._buildEnvelope(WEBHOOK_EVENT.TEST, {
+      webhook_id: webhook.webhook_id,
+      name: webhook.name,
+      triggered_by: userId,
+    })
+    const delivery = await WebhookDelivery.create(
+      this._buildDelivery(webhook, envelope, { maxAttempts: 1 }),
+    )
+
+    await this._attempt(delivery, webhook)
+    return delivery
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it and attempt
+   * the deliveries in the background. Failures are logged, never thrown.
+   * @param {string} event - One of WEBHOOK_EVENT
+   * @param {Object} data - Event payload
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatch(event, data) {
+    try {
+      const webhooks = (
+        await Webhook.findAll({ where: { is_active: true } })
+      ).filter((webhook) => this._isSubscribed(webhook, event))
+      if (!webhooks.length) {
+        return 0
+      }
+
+      const envelope = this._buildEnvelope(event, data)
+      const deliveries = await WebhookDelivery.bulkCreate(
+        webhooks.map((webhook) =>
+          this._buildDelivery(webhook, envelope, {
+            maxAttempts: this.getMaxAttempts(),
+          }),
+        ),
+      )
+
+      const webhooksById = new Map(
+        webhooks.map((webhook) => [webhook.webhook_id, webhook]),
+      )
+      setImmediate(() => {
+        deliveries.forEach((delivery) => {
+          this._attempt(delivery, webhooksById.get(delivery.webhook_id)).catch(
+            (error) => {
+              logger.logError(error, {
+                action: 'deliver_webhook',
+                deliveryId: delivery.delivery_id,
+              })
+            },
+          )
+        })
+      })
+
+      return deliveries.length
+    } catch (error) {
+      logger.logError(error, { action: 'dispatch_webhook_event', event })
+      return 0
+    }
+  }
+
+  /**
+   * Dispatch asset.created for a new asset.
+   * @param {Object} asset
+   * @returns {Promise<number>}
+   */
+  async dispatchAssetCreated(asset) {
+    const data = asset?.get ? asset.get({ plain: true }) : asset
+    if (!data) {
+      return 0
+    }
+
+    return this.dispatch(WEBHOOK_EVENT.ASSET_CREATED, {
+      asset: { ...this._assetPayload(data), created_by: data.created_by ?? null },
+    })
+  }
+
+  /**
+   * Dispatch the lifecycle events implied by an asset change: approved,
+   * disposed, returned (unassigned, or back to available from assigned) or
+   * assigned to someone. At most one of disposed/returned/assigned is sent.
+   * @param {Object} before - Asset row before the change
+   * @param {Object} after - Asset row after the change
+   * @param {Object} [context] - Extra payload fields (e.g. transaction_id)
+   * @returns {Promise<void>}
+   */
+  async dispatchAssetChanges(before, after, context = {}) {
+    if (!before || !after) {
+      return
+    }
+
+    try {
+      const previous = before.get ? before.get({ plain: true }) : before
+      const current = after.get ? after.get({ plain: true }) : after
+      const changed = (field) =>
+        field in current && String(previous[field]) !== String(current[field])
+      const data = {
+        asset: this._assetPayload(current),
+        previous: {
+          status: previous.status,
+          assigned_to: previous.assigned_to ?? null,
+          approval_status: previous.approval_status ?? null,
+        },
+        ...context,
+      }
+
+      if (
+        changed('approval_status') &&
+        current.approval_status === 'APPROVED'
+      ) {
+        await this.dispatch(WEBHOOK_EVENT.ASSET_APPROVED, data)
+      }
+
+      if (changed('status') && current.status === ASSET_STATUS.DISPOSED) {
+        await this.dispatch(WEBHOOK_EVENT.ASSET_DISPOSED, data)
+      } else if (
+        (changed('assigned_to') &&
+          previous.assigned_to &&
+          !current.assigned_to) ||
+        (changed('status') &&
+          previous.status === ASSET_STATUS.ASSIGNED &&
+          current.status === ASSET_STATUS.AVAILABLE)
+      ) {
+        await this.dispatch(WEBHOOK_EVENT.ASSET_RETURNED, data)
+      } else if (changed('assigned_to') && current.assigned_to) {
+        await this.dispatch(WEBHOOK_EVENT.ASSET_ASSIGNED, data)
+      }
+    } catch (error) {
+      logger.logError(error, {
+        action: 'dispatch_asset_webhooks',
+        assetId: after?.asset_id,
+      })
+    }
+  }
+
+  /**
+   * Dispatch transaction.created or transaction.status_changed. The asset
+   * events a transaction causes are dispatched by AssetService.update.
+   * @param {Object} transaction - AssetTransaction after the change
+   * @param {Object} [options]
+   * @param {string} [options.previousStatus] - Omit for a new transaction
+   * @returns {Promise<void>}
+   */
+  async dispatchTransaction(transaction, { previousStatus = null } = {}) {
+    try {
+      const data = {
+        transaction: {
+          transaction_id: transaction.transaction_id,
+          asset_id: transaction.asset_id,
+          consumable_id: transaction.consumable_id,
+          quantity: transaction.quantity,
+          action: transaction.action,
+          status: transaction.status,
+          priority: transaction.priority,
+          requested_by: transaction.requested_by,
+          requested_to: transaction.requested_to,
+          from_location: transaction.from_location,
+          to_location: transaction.to_location,
+          responded_at: transaction.responded_at,
+          completed_at: transaction.completed_at,
+        },
+      }
+
+      if (!previousStatus) {
+        await this.dispatch(WEBHOOK_EVENT.TRANSACTION_CREATED, data)
+        return
+      }
+      if (previousStatus === transaction.status) {
+        return
+      }
+
+      await this.dispatch(WEBHOOK_EVENT.TRANSACTION_STATUS_CHANGED, {
+        ...data,
+        previous_status: previousStatus,
+      })
+    } catch (error) {
+      logger.logError(error, {
+        action: 'dispatch_transaction_webhooks',
+        transactionId: transaction?.transaction_id,
+      })
+    }
+  }
+
+  /**
+   * Attempt pending deliveries whose retry time has come. Run by the
+   * webhook delivery batch.
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<{processed: number, succeeded: number}>}
+   */
+  async processDueDeliveries({ now = new Date() } = {}) {
+    const deliveries = await WebhookDelivery.findAll({
+      where: {
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        next_attempt_at: { [Op.lte]: now },
+      },
+      include: [{ model: Webhook, as: 'webhook' }],
+      order: [['next_attempt_at', 'ASC']],
+      limit: DUE_BATCH_SIZE,
+    })
+
+    let succeeded = 0
+    for (const delivery of deliveries) {
+      // Skip deliveries attempted since they were loaded
+      await delivery.reload()
+      if (
+        delivery.status !== WEBHOOK_DELIVERY_STATUS.PENDING ||
+        delivery.next_attempt_at > now
+      ) {
+        continue
+      }
+
+      await this._attempt(delivery, delivery.webhook)
+      if (delivery.status === WEBHOOK_DELIVERY_STATUS.SUCCEEDED) {
+        succeeded += 1
+      }
+    }
+
+    return { processed: deliveries.length, succeeded }
+  }
+
+  async _attempt(delivery, webhook) {
+    if (this.inFlight.has(delivery.delivery_id)) {
+      return
+    }
+    this.inFlight.add(delivery.delivery_id)
+
+    try {
+      if (!webhook) {
+        await delivery.update({
+          status: WEBHOOK_DELIVERY_STATUS.FAILED,
+          error_message: 'Webhook no longer exists',
+          next_attempt_at: null,
+        })
+        return
+      }
+
+      const attempts = delivery.attempts + 1
+      const body = JSON.stringify(delivery.payload)
+      const timestamp = Math.floor(Date.now() / 1000)
+      const startedAt = Date.now()
+      const result = {
+        response_status: null,
+        response_body: null,
+        error_message: null,
+      }
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'asset-management-webhooks/1.0',
+            'X-Webhook-Id': String(delivery.delivery_id),
+            'X-Webhook-Event-Id': delivery.event_id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`,
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        })
+
+        result.response_status = response.status
+        result.response_body = (await response.text()).slice(
+          0,
+          MAX_RESPONSE_BODY_LENGTH,
+        )
+        if (!response.ok) {
+          result.error_message = `Receiver responded with HTTP ${response.status}`
+        }
+      } catch (error) {
+        result.error_message =
+          error.name === 'TimeoutError'
+            ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+            : error.cause?.message || error.message
+      }
+
+      const succeeded = !result.error_message
+      const exhausted = attempts >= delivery.max_attempts
+      await delivery.update({
+        ...result,
+        attempts,
+        duration_ms: Date.now() - startedAt,
+        last_attempt_at: new Date(),
+        status: succeeded
+          ? WEBHOOK_DELIVERY_STATUS.SUCCEEDED
+          : exhausted
+            ? WEBHOOK_DELIVERY_STATUS.FAILED
+            : WEBHOOK_DELIVERY_STATUS.PENDING,
+        delivered_at: succeeded ? new Date() : null,
+        next_attempt_at:
+          succeeded || exhausted
+            ? null
+            : new Date(Date.now() + this.getRetryDelayMs(attempts)),
+      })
+
+      if (!succeeded) {
+        logger.warn('Webhook delivery failed', {
+          webhookId: webhook.webhook_id,
+          deliveryId: delivery.delivery_id,
+          event: delivery.event,
+          attempts,
+          willRetry: !exhausted,
+          error: result.error_message,
+        })
+      }
+    } finally {
+      this.inFlight.delete(delivery.delivery_id)
+    }
+  }
+
+  _buildEnvelope(event, data) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      data,
+    }
+  }
+
+  _buildDelivery(webhook, envelope, { maxAttempts }) {
+    return {
+      webhook_id: webhook.webhook_id,
+      event_id: envelope.id,
+      event: envelope.event,
+      payload: envelope,
+      status: WEBHOOK_DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      max_attempts: maxAttempts,
+      next_attempt_at: new Date(),
+    }
+  }
+
+  _isSubscribed(webhook, event) {
+    const events = Array.isArray(webhook.events) ? webhook.events : []
+    return events.includes(ALL_EVENTS) || events.includes(event)
+  }
+
+  _assetPayload(asset) {
+    return {
+      asset_id: asset.asset_id,
+      asset_tag: asset.asset_tag,
+      name: asset.name ?? null,
+      status: asset.status,
+      approval_status: asset.approval_status ?? null,
+      category_id: asset.category_id ?? null,
+      assigned_to: asset.assigned_to ?? null,
+      assignment_date: asset.assignment_date ?? null,
+      disposal_date: asset.disposal_date ?? null,
+    }
+  }
+
+  _generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`
+  }
+
+  _validate(data, { partial }) {
+    const values = {}
+    WEBHOOK_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field]
+      }
+    })
+
+    if (!partial || values.name !== undefined) {
+      if (!values.name || !String(values.name).trim()) {
+        throw badRequest('name is required')
+      }
+      values.name = String(values.name).trim()
+    }
+
+    if (!partial || values.url !== undefined) {
+      let url
+      try {
+        url = new URL(values.url)
+      } catch (error) {
+        throw badRequest('url must be a valid http(s) URL')
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw badRequest('url must be a valid http(s) URL')
+      }
+      values.url = url.toString()
+    }
+
+    if (!partial || values.events !== undefined) {
+      const events = Array.isArray(values.events) ? values.events : null
+      const invalid = (events || []).filter(
+        (event) => event !== ALL_EVENTS && !WEBHOOK_EVENT_ARRAY.includes(event),
+      )
+      if (!events || !events.length || invalid.length) {
+        throw badRequest(
+          `events must be a non-empty array of: ${[ALL_EVENTS, ...WEBHOOK_EVENT_ARRAY].join(', ')}`,
+        )
+      }
+      values.events = [...new Set(events)]
+    }
+
+    if (values.is_active !== undefined) {
+      values.is_active = values.is_active === true || values.is_active === 'true'
+    }
+
+    return values
+  }
+
+  _serialize(webhook) {
+    const { secret, ...data } = webhook.get({ plain: true })
+    return {
+      ...data,
+      secret_hint: secret ? `…${secret.slice(-4)}` : null,
+    }
+  }
+}
+
+module.exports = new WebhookService()
@@ -0,0 +1,76 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+
+const models = require('../models')
+const assetsRoutes = require('../routes/assets')
+const assetTransactionsRoutes = require('../routes/assetTransactions')
+const trashRoutes = require('../routes/trash')
+const { restoreAll, stubRows, useApiKey, serve } = require('./support/harness')
+
+const USER = { user_id: 7, role: 'it_manager' }
+
+// Routes whose human users are checked in the controller
+const KEY_CHECKED_ROUTES = [
+  ['POST', '/assets'],
+  ['PATCH', '/assets/1'],
+  ['DELETE', '/assets/1'],
+  ['PATCH', '/assets/1/status'],
+  ['GET', '/assets/1/depreciation'],
+  ['GET', '/assets/1/history'],
+  ['POST', '/transactions'],
+  ['PATCH', '/transactions/1'],
+  ['DELETE', '/transactions/1'],
+]
+
+describe('API key permissions', () => {
+  let server
+
+  before(async () => {
+    const router = express.Router()
+    router.use('/assets', assetsRoutes)
+    router.use('/transactions', assetTransactionsRoutes)
+    router.use('/trash', trashRoutes)
+    server = await serve('/api', router)
+  })
+
+  after(async () => {
+    await server.close()
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  const send = async (method, url, key) => {
+    const response = await fetch(`${server.url}${url}`, {
+      method,
+      headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+      body: method === 'GET' ? undefined : '{}',
+    })
+    return response.status
+  }
+
+  for (const [method, url] of KEY_CHECKED_ROUTES) {
+    it(`rejects ${method} ${url} for a key without permissions`, async () => {
+      const key = useApiKey(USER, {})
+
+      assert.equal(await send(method, url, key), 403)
+    })
+  }
+
+  it('rejects routes that check no permission', async () => {
+    const key = useApiKey(USER, { assets: ['list', 'delete'] })
+
+    assert.equal(await send('GET', '/trash', key), 403)
+  })
+
+  it('lets a key with the permission through', async () => {
+    const key = useApiKey(USER, { assets: ['get_by_id'] })
+    stubRows(models.Asset, [{ asset_id: 1, asset_tag: 'A-1' }])
+
+    assert.equal(await send('GET', '/assets/1/depreciation', key), 200)
+  })
+})
@@ -0,0 +1,132 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const AssetService = require('../services/assetService')
+const assetComponentService = require('../services/assetComponentService')
+const assetHistoryService = require('../services/assetHistoryService')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+describe('asset components', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('cascadeFromParent', () => {
+    it('reports components that were not updated as skipped', async () => {
+      stubRows(models.Asset, [
+        { asset_id: 1, status: 'retired', assigned_to: null },
+        { asset_id: 2, parent_asset_id: 1 },
+        { asset_id: 3, parent_asset_id: 1 },
+      ])
+      // Asset 3 is outside the caller's access scope
+      stub(AssetService.prototype, 'update', async (id) =>
+        id === 3 ? null : { asset_id: id },
+      )
+
+      const result = await assetComponentService.cascadeFromParent(1)
+
+      assert.deepEqual(result.updated, [2])
+      assert.deepEqual(result.skipped, [
+        { asset_id: 3, reason: 'Asset not found or out of scope' },
+      ])
+    })
+  })
+  describe('attach', () => {
+    let assets
+    let history
+    let transactions
+
+    beforeEach(() => {
+      // Dock 2 sits in laptop 1, drive 3 in dock 2; 4 is another laptop
+      assets = [
+        { asset_id: 1, asset_tag: 'LAP-1', parent_asset_id: null, department_id: 1 },
+        { asset_id: 2, asset_tag: 'DOCK-2', parent_asset_id: 1, department_id: 1 },
+        { asset_id: 3, asset_tag: 'SSD-3', parent_asset_id: 2, department_id: 1 },
+        { asset_id: 4, asset_tag: 'LAP-4', parent_asset_id: null, department_id: 2 },
+      ]
+      history = []
+      transactions = []
+
+      stubRows(models.Asset, assets)
+      stub(models.Asset.prototype, 'update', async function (values) {
+        Object.assign(assets.find((row) => row.asset_id === this.asset_id), values)
+        return this.set(values)
+      })
+      stub(models.sequelize, 'transaction', async () => {
+        const transaction = {
+          LOCK: { UPDATE: 'UPDATE' },
+          commit: async () => {
+            transaction.state = 'committed'
+          },
+          rollback: async () => {
+            transaction.state = transaction.state || 'rolled back'
+          },
+        }
+        transactions.push(transaction)
+        return transaction
+      })
+      stub(assetHistoryService, 'record', async (entry) => {
+        history.push(entry)
+        return []
+      })
+    })
+
+    it('refuses to attach an asset to one of its own components', async () => {
+      await assert.rejects(assetComponentService.attach(3, 1), {
+        statusCode: 409,
+        message: 'The asset cannot be attached to one of its own components',
+      })
+      await assert.rejects(assetComponentService.attach(1, 1), { statusCode: 400 })
+
+      assert.equal(assets[0].parent_asset_id, null)
+      assert.equal(transactions[0].state, 'rolled back')
+    })
+
+    it('records a swap in the history of the component and both parents', async () => {
+      await assetComponentService.attach(4, 3, { context: { changedBy: 1 } })
+
+      assert.equal(assets[2].parent_asset_id, 4)
+      assert.equal(transactions[0].state, 'committed')
+      assert.deepEqual(
+        history.map((entry) => [entry.assetId, entry.action, entry.changes[0].field_name]),
+        [
+          [3, 'component_swap', 'parent_asset_id'],
+          [2, 'component_swap', 'components'],
+          [4, 'component_swap', 'components'],
+        ],
+      )
+      assert.equal(history[1].changes[0].old_value, 'SSD-3 (#3)')
+    })
+
+    it('records a detached component in its own history', async () => {
+      await assetComponentService.detach(1, 2)
+
+      assert.equal(assets[1].parent_asset_id, null)
+      assert.deepEqual(history[0].changes, [
+        { field_source: 'core', field_name: 'parent_asset_id', old_value: '1', new_value: null },
+      ])
+    })
+
+    it('treats assets outside the access scope as not found', async () => {
+      await assert.rejects(
+        assetComponentService.attach(4, 3, {
+          accessScope: { department_ids: [1], location_ids: [], building_ids: [] },
+        }),
+        { statusCode: 404, message: 'Asset not found' },
+      )
+
+      assert.equal(assets[2].parent_asset_id, 2)
+    })
+
+    it('nests the components of an asset under it', async () => {
+      const tree = await assetComponentService.getTree(2)
+
+      assert.deepEqual(tree.ancestors.map((asset) => asset.asset_id), [1])
+      assert.deepEqual(tree.components.map((asset) => asset.asset_id), [3])
+      assert.equal(tree.component_count, 1)
+    })
+  })
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const assetHistoryService = require('../services/assetHistoryService')
+const { stub, restoreAll } = require('./support/harness')
+
+describe('asset history', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('diffCoreFields', () => {
+    it('lists only the fields that changed', () => {
+      const changes = assetHistoryService.diffCoreFields(
+        { status: 'available', assigned_to: null, location_id: 2 },
+        { status: 'assigned', assigned_to: 9, location_id: 2 },
+      )
+
+      assert.deepEqual(changes, [
+        { field_source: 'core', field_name: 'status', old_value: 'available', new_value: 'assigned' },
+        { field_source: 'core', field_name: 'assigned_to', old_value: null, new_value: '9' },
+      ])
+    })
+
+    it('skips derived columns and fields missing from either snapshot', () => {
+      const changes = assetHistoryService.diffCoreFields(
+        { updated_at: new Date(0), qr_code: 'old' },
+        { updated_at: new Date(), qr_code: 'new', notes: 'added' },
+      )
+
+      assert.deepEqual(changes, [])
+    })
+
+    it('compares dates and numbers by their stored value', () => {
+      const changes = assetHistoryService.diffCoreFields(
+        { purchase_date: new Date('2026-01-01T00:00:00Z'), purchase_cost: 100 },
+        { purchase_date: new Date('2026-01-01T00:00:00Z'), purchase_cost: '100' },
+      )
+
+      assert.deepEqual(changes, [])
+    })
+  })
+
+  describe('buildFormFieldChange', () => {
+    it('names the change after the form field', () => {
+      const change = assetHistoryService.buildFormFieldChange(
+        { id: 4, label: 'RAM' },
+        '8 GB',
+        '16 GB',
+      )
+
+      assert.deepEqual(change, {
+        field_source: 'form',
+        field_name: 'RAM',
+        form_field_id: 4,
+        old_value: '8 GB',
+        new_value: '16 GB',
+      })
+    })
+
+    it('returns null for an unchanged value', () => {
+      assert.equal(assetHistoryService.buildFormFieldChange({ id: 4 }, '8', 8), null)
+    })
+  })
+
+  describe('record', () => {
+    it('attributes every change to the actor and request', async () => {
+      let saved
+      stub(models.AssetHistory, 'bulkCreate', async (rows) => {
+        saved = rows
+        return rows
+      })
+
+      await assetHistoryService.record({
+        assetId: 5,
+        changes: [
+          { field_source: 'core', field_name: 'status', old_value: 'available', new_value: 'assigned' },
+        ],
+        context: { changedBy: 1, requestId: 'req-1' },
+        action: 'transaction_assign',
+      })
+
+      assert.deepEqual(saved, [
+        {
+          asset_id: 5,
+          action: 'transaction_assign',
+          field_source: 'core',
+          field_name: 'status',
+          form_field_id: null,
+          old_value: 'available',
+          new_value: 'assigned',
+          changed_by: 1,
+          request_id: 'req-1',
+        },
+      ])
+    })
+
+    it('writes nothing without changes', async () => {
+      stub(models.AssetHistory, 'bulkCreate', async () => {
+        throw new Error('Nothing should be written')
+      })
+
+      assert.deepEqual(await assetHistoryService.record({ assetId: 5, changes: [] }), [])
+    })
+  })
+
+  describe('AssetHistory', () => {
+    it('refuses to change or delete recorded entries', async () => {
+      const entry = models.AssetHistory.build(
+        { asset_history_id: 1, asset_id: 5, field_name: 'status' },
+        { isNewRecord: false },
+      )
+
+      await assert.rejects(entry.update({ new_value: 'retired' }), /immutable/)
+      await assert.rejects(entry.destroy(), /immutable/)
+      await assert.rejects(
+        models.AssetHistory.destroy({ where: { asset_id: 5 } }),
+        /immutable/,
+      )
+    })
+  })
+})
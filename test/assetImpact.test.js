@@ -0,0 +1,66 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const assetRelationshipService = require('../services/assetRelationshipService')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+const DEPENDS_ON = {
+  propagates_impact: true,
+  is_directional: true,
+  display_name: 'depends on',
+}
+
+// 3 depends on 2, which depends on 1; asset 2 is in another department
+const ASSETS = [
+  { asset_id: 1, asset_tag: 'SWITCH', department_id: 1 },
+  { asset_id: 2, asset_tag: 'SERVER', department_id: 2 },
+  { asset_id: 3, asset_tag: 'APP', department_id: 1 },
+]
+const RELATIONSHIPS = [
+  { asset_relationship_id: 10, source_asset_id: 2, target_asset_id: 1, type: DEPENDS_ON },
+  { asset_relationship_id: 11, source_asset_id: 3, target_asset_id: 2, type: DEPENDS_ON },
+]
+
+describe('asset impact analysis', () => {
+  beforeEach(() => {
+    stubRows(models.Asset, ASSETS)
+    stub(models.AssetRelationship, 'findAll', async () => RELATIONSHIPS)
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('lists every impacted asset with its path without a scope', async () => {
+    const impact = await assetRelationshipService.getImpact(1, { accessScope: null })
+
+    assert.deepEqual(
+      impact.impacted.map((asset) => asset.path),
+      [
+        [1, 2],
+        [1, 2, 3],
+      ],
+    )
+  })
+
+  it('masks out-of-scope assets in paths and via', async () => {
+    const impact = await assetRelationshipService.getImpact(1, {
+      accessScope: { department_ids: [1], location_ids: [], building_ids: [] },
+    })
+
+    assert.equal(impact.hidden_count, 1)
+    assert.equal(impact.impacted.length, 1)
+    const [app] = impact.impacted
+    assert.equal(app.asset_id, 3)
+    assert.deepEqual(app.path, [1, null, 3])
+    assert.deepEqual(app.via, {
+      asset_id: null,
+      relationship_id: null,
+      relationship: 'depends on',
+    })
+    assert.ok(!JSON.stringify(impact).includes('SERVER'))
+  })
+})
@@ -0,0 +1,169 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const zlib = require('zlib')
+
+const AssetService = require('../services/assetService')
+const assetImportJobService = require('../services/assetImportJobService')
+const { parseCsv, readXlsxBuffer } = require('../utils/spreadsheetReader')
+
+const MB = 1024 * 1024
+
+const buildWorkbook = (rows) =>
+  new AssetService()._buildXlsxBuffer([
+    { name: 'Assets', headers: Object.keys(rows[0]), rows },
+  ])
+
+const endOfCentralDirectory = (buffer) =>
+  buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]))
+
+// Offset of the central directory record of an entry in a zip archive
+const centralRecordOf = (buffer, fileName) => {
+  const directory = buffer.readUInt32LE(endOfCentralDirectory(buffer) + 16)
+  return buffer.indexOf(Buffer.from(fileName), directory) - 46
+}
+
+// A one-entry zip whose entry is deflated and declares `declaredSize`
+const deflatedZip = (fileName, data, declaredSize) => {
+  const name = Buffer.from(fileName)
+  const compressed = zlib.deflateRawSync(data)
+
+  const local = Buffer.alloc(30)
+  local.writeUInt32LE(0x04034b50, 0)
+  local.writeUInt16LE(8, 8)
+  local.writeUInt32LE(compressed.length, 18)
+  local.writeUInt32LE(declaredSize, 22)
+  local.writeUInt16LE(name.length, 26)
+
+  const central = Buffer.alloc(46)
+  central.writeUInt32LE(0x02014b50, 0)
+  central.writeUInt16LE(8, 10)
+  central.writeUInt32LE(compressed.length, 20)
+  central.writeUInt32LE(declaredSize, 24)
+  central.writeUInt16LE(name.length, 28)
+
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(1, 8)
+  end.writeUInt16LE(1, 10)
+  end.writeUInt32LE(central.length + name.length, 12)
+  end.writeUInt32LE(local.length + name.length + compressed.length, 16)
+
+  return Buffer.concat([local, name, compressed, central, name, end])
+}
+
+describe('asset import', () => {
+  describe('reading spreadsheets', () => {
+    it('reads back the workbook the export writes', () => {
+      const [sheet] = readXlsxBuffer(
+        buildWorkbook([
+          { 'Asset Tag': 'LAP-1', Status: 'available' },
+          { 'Asset Tag': 'LAP-2', Status: 'assigned' },
+        ]),
+      )
+
+      assert.equal(sheet.name, 'Assets')
+      assert.deepEqual(sheet.headers, ['Asset Tag', 'Status'])
+      assert.deepEqual(sheet.rows, [
+        { 'Asset Tag': 'LAP-1', Status: 'available' },
+        { 'Asset Tag': 'LAP-2', Status: 'assigned' },
+      ])
+      assert.deepEqual(sheet.rowNumbers, [2, 3])
+    })
+
+    it('parses quoted CSV with a semicolon delimiter and a BOM', () => {
+      const rows = parseCsv('\uFEFFName;Notes\r\n"Desk; oak";"Says ""hi""\nthere"\r\n')
+
+      assert.deepEqual(rows, [
+        ['Name', 'Notes'],
+        ['Desk; oak', 'Says "hi"\nthere'],
+      ])
+    })
+
+    it('refuses archives with too many entries', () => {
+      const workbook = buildWorkbook([{ Name: 'x' }])
+      workbook.writeUInt16LE(1001, endOfCentralDirectory(workbook) + 10)
+
+      assert.throws(() => readXlsxBuffer(workbook), /more than 1000 entries/)
+    })
+
+    it('refuses entries that declare a size over the limit', () => {
+      const workbook = buildWorkbook([{ Name: 'x' }])
+      workbook.writeUInt32LE(65 * MB, centralRecordOf(workbook, 'xl/workbook.xml') + 24)
+
+      assert.throws(() => readXlsxBuffer(workbook), /too large once uncompressed/)
+    })
+
+    it('stops inflating an entry that understates its size', () => {
+      const bomb = deflatedZip('xl/workbook.xml', Buffer.alloc(64 * MB + 1), 100)
+
+      assert.throws(() => readXlsxBuffer(bomb), /too large once uncompressed/)
+    })
+  })
+
+  describe('mapping columns', () => {
+    const fields = [
+      { id: 1, label: 'Serial Number', type: 'text' },
+      { id: 2, label: 'Accessories', type: 'checkbox' },
+      { id: 3, label: 'Photo', type: 'camera' },
+    ]
+
+    it('matches headers to field labels and core columns', () => {
+      const mapping = assetImportJobService.buildColumnMapping(
+        ['serial number', 'Accessories', 'Asset Status', 'Photo', 'Unknown'],
+        fields,
+      )
+
+      assert.deepEqual(mapping, {
+        'serial number': { target: 'field', field_id: 1 },
+        Accessories: { target: 'field', field_id: 2 },
+        'Asset Status': { target: 'core', column: 'status' },
+      })
+    })
+
+    it('lets an explicit mapping skip or redirect a column', () => {
+      const mapping = assetImportJobService.buildColumnMapping(
+        ['Serial Number', 'Comments'],
+        fields,
+        { 'Serial Number': null, Comments: 'notes' },
+      )
+
+      assert.deepEqual(mapping, { Comments: { target: 'core', column: 'notes' } })
+    })
+
+    it('refuses two columns for the same field', () => {
+      assert.throws(
+        () => assetImportJobService.buildColumnMapping(['Status', 'Asset Status'], fields),
+        /both map to the same column/,
+      )
+    })
+
+    it('refuses to import into camera fields', () => {
+      assert.throws(
+        () => assetImportJobService.buildColumnMapping(['Picture'], fields, { Picture: '3' }),
+        /cannot be imported/,
+      )
+    })
+
+    it('coerces row values and reports the invalid ones', async () => {
+      const mapping = assetImportJobService.buildColumnMapping(
+        ['Serial Number', 'Accessories', 'Status'],
+        fields,
+      )
+
+      const payload = await assetImportJobService._buildRowPayload(
+        { 'Serial Number': ' SN-1 ', Accessories: 'mouse, charger', Status: 'lost-ish' },
+        mapping,
+        fields,
+        new Map(),
+      )
+
+      assert.deepEqual(payload.formResponses, { 1: 'SN-1', 2: ['mouse', 'charger'] })
+      assert.deepEqual(payload.coreData, {})
+      assert.equal(payload.errors.length, 1)
+      assert.equal(payload.errors[0].column, 'Status')
+      assert.match(payload.errors[0].message, /Invalid status "lost-ish"/)
+    })
+  })
+})
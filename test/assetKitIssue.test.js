@@ -0,0 +1,101 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const assetKitService = require('../services/assetKitService')
+const assetHistoryService = require('../services/assetHistoryService')
+const assetLifecycleService = require('../services/assetLifecycleService')
+const notificationService = require('../services/notificationService')
+const webhookService = require('../services/webhookService')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+describe('issuing a kit', () => {
+  let assets
+  let history
+  let assetWebhooks
+  let committed
+
+  beforeEach(() => {
+    assets = [{ asset_id: 5, category_id: 2, status: 'available', assigned_to: null }]
+    history = []
+    assetWebhooks = []
+    committed = false
+
+    stubRows(models.Asset, assets)
+    stub(models.Asset, 'update', async (values, { where }) => {
+      const row = assets.find((asset) => asset.asset_id === where.asset_id)
+      Object.assign(row, values)
+      return [1]
+    })
+    stub(models.sequelize, 'transaction', async (work) => {
+      const hooks = []
+      const transaction = { afterCommit: (hook) => hooks.push(hook) }
+      const result = await work(transaction)
+      committed = true
+      for (const hook of hooks) {
+        await hook(transaction)
+      }
+      return result
+    })
+    stub(assetKitService, 'getById', async () => ({
+      kit_id: 1,
+      name: 'Laptop kit',
+      is_active: true,
+      items: [{ category_id: 2, quantity: 1 }],
+    }))
+    stub(assetKitService, '_pickAssets', async () =>
+      assets.map((row) => models.Asset.build(row, { isNewRecord: false })),
+    )
+    stub(assetKitService, 'getIssue', async () => ({ kit_issue_id: 4, transactions: [] }))
+    stub(models.User, 'findByPk', async () => ({ user_id: 9, status: 'active' }))
+    stub(models.AssetKitIssue, 'create', async (values) => ({ kit_issue_id: 4, ...values }))
+    stub(models.AssetTransaction, 'create', async (values) => ({ transaction_id: 8, ...values }))
+    stub(assetLifecycleService, 'resolveTransactionStatus', async () => 'assigned')
+    stub(assetLifecycleService, 'assertTransition', async () => {})
+    stub(assetHistoryService, 'record', async (entry) => {
+      history.push(entry)
+      return []
+    })
+    stub(webhookService, 'dispatchAssetChanges', async (before, after, context) => {
+      assetWebhooks.push({ committed, context })
+    })
+    stub(notificationService.prototype, 'notifyKitIssued', async () => {})
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('records the assignment in the asset history like a single assignment', async () => {
+    await assetKitService.issue(
+      1,
+      { user_id: 9 },
+      { issuedBy: 1, context: { changedBy: 1, requestId: 'req-1' } },
+    )
+
+    assert.equal(assets[0].assigned_to, 9)
+    assert.equal(assets[0].status, 'assigned')
+    assert.equal(history.length, 1)
+    assert.equal(history[0].assetId, 5)
+    assert.equal(history[0].action, 'transaction_assign')
+    assert.deepEqual(history[0].context, {
+      changedBy: 1,
+      requestId: 'req-1',
+      action: 'transaction_assign',
+    })
+    assert.deepEqual(
+      history[0].changes.map((change) => change.field_name).sort(),
+      ['assigned_to', 'status'],
+    )
+  })
+
+  it('sends the asset webhooks once the issue is committed', async () => {
+    await assetKitService.issue(1, { user_id: 9 }, { issuedBy: 1 })
+
+    assert.deepEqual(assetWebhooks, [
+      { committed: true, context: { transaction_id: 8 } },
+    ])
+  })
+})
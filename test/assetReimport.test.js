@@ -0,0 +1,163 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const assetImportJobService = require('../services/assetImportJobService')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+const EXPORTED_AT = '2026-06-01T10:00:00.000Z'
+const SHEET = { name: 'Assets', headers: ['Asset ID', 'Asset Tag', 'Notes', 'Serial Number', 'Updated At'] }
+const SERIAL = { id: 1, label: 'Serial Number', type: 'text' }
+
+describe('re-importing the assets export', () => {
+  let assets
+  let lastHistoryAt
+  let updates
+
+  beforeEach(() => {
+    assets = [
+      {
+        asset_id: 5,
+        asset_tag: 'LAP-5',
+        notes: 'Spare',
+        active_form_id: 2,
+        department_id: 1,
+        updated_at: new Date('2026-06-01T09:00:00Z'),
+      },
+    ]
+    lastHistoryAt = null
+    updates = []
+
+    const { assetService } = assetImportJobService
+    stubRows(models.Asset, assets)
+    stub(models.AssetHistory, 'max', async () => lastHistoryAt)
+    stub(assetService, 'getExportFieldColumns', async () => new Map([['Serial Number', SERIAL]]))
+    stub(assetService, '_fetchFormResponsesMap', async () => ({ 1: 'SN-1' }))
+    stub(assetService, 'validateFormResponses', async () => [])
+    stub(assetService, 'update', async (id, data) => {
+      updates.push({ id, data })
+      return { asset_id: id }
+    })
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  const preview = (row, accessScope = null) =>
+    assetImportJobService._previewReimportRow(
+      SHEET,
+      {
+        'Asset ID': '5',
+        'Asset Tag': 'LAP-5',
+        Notes: 'Spare',
+        'Serial Number': 'SN-1',
+        'Updated At': EXPORTED_AT,
+        ...row,
+      },
+      2,
+      { lookupCache: new Map(), accessScope },
+    )
+
+  describe('preview', () => {
+    it('reports rows that match the asset as unchanged', async () => {
+      const entry = await preview({})
+
+      assert.equal(entry.status, 'unchanged')
+    })
+
+    it('lists the changed cells and the patch to apply', async () => {
+      const entry = await preview({ Notes: 'Broken screen', 'Serial Number': 'SN-2' })
+
+      assert.equal(entry.status, 'changed')
+      assert.deepEqual(entry.changes, [
+        { column: 'Notes', field: 'notes', old_value: 'Spare', new_value: 'Broken screen' },
+        { column: 'Serial Number', field_id: 1, field: 'Serial Number', old_value: 'SN-1', new_value: 'SN-2' },
+      ])
+      assert.deepEqual(entry.patch, {
+        core: { notes: 'Broken screen' },
+        form_responses: { 1: 'SN-2' },
+      })
+    })
+
+    it('flags assets changed after the export as conflicts', async () => {
+      lastHistoryAt = new Date('2026-06-01T11:00:00Z')
+
+      const entry = await preview({ Notes: 'Broken screen' })
+
+      assert.equal(entry.status, 'conflict')
+      assert.equal(entry.conflict_reason, 'Asset was updated after this workbook was exported')
+    })
+
+    it('flags rows without an export time as conflicts', async () => {
+      const entry = await preview({ Notes: 'Broken screen', 'Updated At': '' })
+
+      assert.equal(entry.status, 'conflict')
+    })
+
+    it('does not reveal assets outside the access scope', async () => {
+      const entry = await preview(
+        { Notes: 'Broken screen' },
+        { department_ids: [2], location_ids: [], building_ids: [] },
+      )
+
+      assert.equal(entry.status, 'not_found')
+      assert.equal(entry.asset_id, null)
+    })
+  })
+
+  describe('apply', () => {
+    const confirm = (sourceRows, options = {}) => {
+      stub(models.AssetImportJob, 'findByPk', async () => ({ result: { rows: sourceRows } }))
+      return assetImportJobService._applyReimport({
+        source_job_id: 1,
+        requested_by: 3,
+        access_scope: null,
+        options,
+        update: async () => {},
+      })
+    }
+
+    const changed = (status) => ({
+      sheet: 'Assets',
+      row: 2,
+      asset_id: 5,
+      status,
+      exported_at: EXPORTED_AT,
+      patch: { core: { notes: 'Broken screen' }, form_responses: { 1: 'SN-2' } },
+    })
+
+    it('applies changed rows through the asset service', async () => {
+      const outcome = await confirm([changed('changed'), changed('conflict')])
+
+      assert.equal(outcome.success_count, 1)
+      assert.deepEqual(updates, [
+        {
+          id: 5,
+          data: { notes: 'Broken screen', form_id: 2, form_responses: { 1: 'SN-2' } },
+        },
+      ])
+    })
+
+    it('applies conflicts only when asked to', async () => {
+      const outcome = await confirm([changed('conflict')], { apply_conflicts: true })
+
+      assert.equal(outcome.success_count, 1)
+      assert.equal(updates.length, 1)
+    })
+
+    it('skips assets changed between preview and confirmation', async () => {
+      lastHistoryAt = new Date('2026-06-01T11:00:00Z')
+
+      const outcome = await confirm([changed('changed')])
+
+      assert.equal(outcome.error_count, 1)
+      assert.deepEqual(outcome.row_errors[0].errors, [
+        { message: 'Asset was updated after this workbook was exported' },
+      ])
+      assert.deepEqual(updates, [])
+    })
+  })
+})
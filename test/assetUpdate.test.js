@@ -0,0 +1,53 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const AssetService = require('../services/assetService')
+const assetHistoryService = require('../services/assetHistoryService')
+const webhookService = require('../services/webhookService')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+describe('AssetService.update', () => {
+  let assetService
+  let dispatched
+
+  beforeEach(() => {
+    assetService = new AssetService()
+    dispatched = []
+    stubRows(models.Asset, [{ asset_id: 1, status: 'available', assigned_to: null }])
+    stub(models.sequelize, 'transaction', async () => ({
+      commit: async () => {},
+      rollback: async () => {},
+    }))
+    stub(assetService.crudService, 'update', async (id, data) => ({
+      asset_id: id,
+      status: 'available',
+      ...data,
+    }))
+    stub(assetHistoryService, 'record', async () => [])
+    stub(webhookService, 'dispatchAssetChanges', async (...args) => {
+      dispatched.push(args)
+    })
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('sends the asset webhooks with their context after a core update', async () => {
+    const result = await assetService.update(
+      1,
+      { assigned_to: 3 },
+      { accessScope: null, webhookContext: { transaction_id: 8 } },
+    )
+
+    assert.equal(result.assigned_to, 3)
+    assert.equal(dispatched.length, 1)
+    const [before, after, context] = dispatched[0]
+    assert.equal(before.assigned_to, null)
+    assert.equal(after.assigned_to, 3)
+    assert.deepEqual(context, { transaction_id: 8 })
+  })
+})
@@ -0,0 +1,163 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+
+const models = require('../models')
+const assetExportJobService = require('../services/assetExportJobService')
+const assetsRoutes = require('../routes/assets')
+const { stub, restoreAll, stubRows, signIn, serve } = require('./support/harness')
+
+// Department 1 is in scope; department 2 is not
+const ASSETS = [
+  {
+    asset_id: 1,
+    asset_tag: 'IN-1',
+    department_id: 1,
+    status: 'available',
+    approval_status: 'APPROVED',
+    created_by: 7,
+    purchase_cost: '1000.00',
+    purchase_date: '2025-01-01',
+  },
+  {
+    asset_id: 2,
+    asset_tag: 'OUT-2',
+    department_id: 2,
+    status: 'available',
+    approval_status: 'APPROVED',
+    created_by: 7,
+    purchase_cost: '2000.00',
+    purchase_date: '2025-01-01',
+  },
+  {
+    asset_id: 3,
+    asset_tag: 'IN-3',
+    department_id: 1,
+    status: 'available',
+    approval_status: 'PENDING',
+    created_by: 7,
+    purchase_cost: '500.00',
+    purchase_date: '2025-06-01',
+  },
+]
+const IN_SCOPE_IDS = [1, 3]
+
+describe('asset endpoints for a user with an access scope', () => {
+  let server
+  let token
+
+  before(async () => {
+    server = await serve('/api/assets', assetsRoutes)
+  })
+
+  after(async () => {
+    await server.close()
+  })
+
+  beforeEach(() => {
+    token = signIn({ user_id: 7, role: 'it_manager' }, [
+      { scope_type: 'department', target_id: 1 },
+    ])
+    stubRows(models.Asset, ASSETS)
+    stub(models.User, 'findAll', async () => [])
+    stub(models.FormBuilder, 'findAll', async () => [])
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  const get = async (url) => {
+    const response = await fetch(`${server.url}${url}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  const ids = (rows) => rows.map((row) => row.asset_id).sort()
+
+  it('lists only in-scope assets', async () => {
+    const { status, body } = await get('/')
+
+    assert.equal(status, 200)
+    assert.deepEqual(ids(body.data), IN_SCOPE_IDS)
+  })
+
+  it('lists only in-scope assets by creator', async () => {
+    const { status, body } = await get('/created-by/7')
+
+    assert.equal(status, 200)
+    assert.deepEqual(ids(body.data), IN_SCOPE_IDS)
+  })
+
+  it('lists only in-scope expiring warranties', async () => {
+    const { status, body } = await get('/warranties/expiring')
+
+    assert.equal(status, 200)
+    assert.deepEqual(ids(body.data), IN_SCOPE_IDS)
+  })
+
+  it('builds the fixed-asset register from in-scope assets', async () => {
+    const { status, body } = await get(
+      '/reports/fixed-asset-register?period_start=2025-01-01&period_end=2025-12-31&format=json',
+    )
+
+    assert.equal(status, 200)
+    assert.deepEqual(ids(body.data.assets), IN_SCOPE_IDS)
+  })
+
+  it('treats the depreciation of an out-of-scope asset as not found', async () => {
+    assert.equal((await get('/2/depreciation')).status, 404)
+    assert.equal((await get('/1/depreciation')).status, 200)
+  })
+
+  it('exports only in-scope assets to Excel', async () => {
+    const { status, body } = await get('/export/excel')
+
+    assert.equal(status, 200)
+    assert.equal(body.data.asset_count, IN_SCOPE_IDS.length)
+    fs.rmSync(path.join(__dirname, '../public', body.data.file_path), {
+      force: true,
+    })
+  })
+
+  it('queues image exports with the requester access scope', async () => {
+    let created
+    stub(models.AssetExportJob, 'create', async (values) => {
+      created = values
+      return { export_job_id: 1, ...values }
+    })
+    stub(assetExportJobService, 'enqueue', () => {})
+
+    const response = await fetch(`${server.url}/export/images`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+    })
+
+    assert.equal(response.status, 202)
+    assert.deepEqual(created.access_scope.department_ids, [1])
+  })
+
+  it('limits asset lookups to the access scope', async () => {
+    const queryInterface = models.sequelize.getQueryInterface()
+    let sql
+    stub(queryInterface, 'describeTable', async () => ({
+      asset_id: {},
+      asset_tag: {},
+    }))
+    stub(models.sequelize, 'query', async (query) => {
+      sql = query
+      return [[]]
+    })
+
+    const { status } = await get(
+      '/lookup?table=assets&label_key=asset_tag&value_key=asset_id',
+    )
+
+    assert.equal(status, 200)
+    assert.match(sql, /`assets`\.`department_id` IN \(1\)/)
+  })
+})
@@ -0,0 +1,180 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { UniqueConstraintError } = require('sequelize')
+
+const models = require('../models')
+const consumableService = require('../services/consumableService')
+const assetLifecycleService = require('../services/assetLifecycleService')
+const assetTransactionsRoutes = require('../routes/assetTransactions')
+const { stub, restoreAll, signIn, serve } = require('./support/harness')
+
+const ISSUE = {
+  transaction_id: 8,
+  action: 'issue_consumable',
+  consumable_stock_id: 3,
+  quantity: 2,
+  requested_by: 9,
+}
+
+describe('issuing consumables for a transaction', () => {
+  let stock
+  let movements
+  let locks
+  let transactions
+
+  // Database transactions whose row locks are held until they end
+  const fakeTransaction = () => {
+    const held = []
+    const end = async (state) => {
+      transaction.state = state
+      held.splice(0).forEach((release) => release())
+    }
+    const transaction = {
+      LOCK: { UPDATE: 'UPDATE' },
+      state: 'open',
+      hold: (release) => held.push(release),
+      commit: () => end('committed'),
+      rollback: () => end('rolled back'),
+      afterCommit: () => {},
+    }
+    transactions.push(transaction)
+    return transaction
+  }
+
+  const lockRow = async (key, { transaction, lock }) => {
+    if (!lock) return
+    while (locks.has(key)) {
+      await locks.get(key)
+    }
+    let release
+    locks.set(key, new Promise((resolve) => (release = resolve)))
+    transaction.hold(() => {
+      locks.delete(key)
+      release()
+    })
+  }
+
+  beforeEach(() => {
+    stock = { consumable_stock_id: 3, consumable_id: 1, quantity: 10, reorder_level: 0 }
+    movements = []
+    locks = new Map()
+    transactions = []
+
+    stub(models.sequelize, 'transaction', async () => fakeTransaction())
+    stub(models.AssetTransaction, 'findByPk', async (id, options) => {
+      await lockRow(`transaction:${id}`, options)
+      return { transaction_id: id }
+    })
+    stub(models.ConsumableMovement, 'count', async ({ where }) =>
+      movements.filter((movement) => movement.transaction_id === where.transaction_id).length,
+    )
+    stub(models.ConsumableStock, 'findByPk', async (id, options) => {
+      await lockRow(`stock:${id}`, options)
+      return {
+        ...stock,
+        update: async (values) => Object.assign(stock, values),
+      }
+    })
+    stub(models.ConsumableMovement, 'create', async (values) => {
+      movements.push(values)
+      return values
+    })
+    stub(consumableService, '_checkLowStock', async () => {})
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('takes the stock out once when two requests issue at the same time', async () => {
+    const results = await Promise.all([
+      consumableService.issueForTransaction(ISSUE, 1),
+      consumableService.issueForTransaction(ISSUE, 2),
+    ])
+
+    assert.equal(stock.quantity, 8)
+    assert.equal(movements.length, 1)
+    assert.equal(results.filter(Boolean).length, 1)
+  })
+
+  it('treats a duplicate movement as already issued', async () => {
+    models.ConsumableMovement.create = async () => {
+      throw new UniqueConstraintError({})
+    }
+
+    const result = await consumableService.issueForTransaction(ISSUE, 1)
+
+    assert.equal(result, null)
+    assert.equal(transactions[0].state, 'rolled back')
+  })
+
+  it('issues within the database transaction it is given', async () => {
+    const outer = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: () => {} }
+    let savepointOf
+    models.sequelize.transaction = async (options) => {
+      savepointOf = options.transaction
+      return fakeTransaction()
+    }
+
+    await consumableService.issueForTransaction(ISSUE, 1, { transaction: outer })
+
+    assert.equal(savepointOf, outer)
+    assert.equal(stock.quantity, 8)
+  })
+})
+
+describe('accepting an issue_consumable transaction', () => {
+  let server
+
+  before(async () => {
+    server = await serve('/api/asset-transactions', assetTransactionsRoutes)
+  })
+
+  after(async () => {
+    await server.close()
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('rolls the stock back with a failed status change', async () => {
+    const token = signIn({ user_id: 1, role: 'admin' })
+    const row = models.AssetTransaction.build(
+      { ...ISSUE, status: 'pending' },
+      { isNewRecord: false },
+    )
+    const dbTransaction = { state: 'open' }
+    let issuedIn
+    stub(models.AssetTransaction, 'findByPk', async () => row)
+    stub(assetLifecycleService, 'resolveTransactionStatus', async () => null)
+    stub(models.sequelize, 'transaction', async (work) => {
+      try {
+        const result = await work(dbTransaction)
+        dbTransaction.state = 'committed'
+        return result
+      } catch (error) {
+        dbTransaction.state = 'rolled back'
+        throw error
+      }
+    })
+    stub(consumableService, 'issueForTransaction', async (transaction, by, options) => {
+      issuedIn = options.transaction
+    })
+    stub(row, 'update', async () => {
+      throw new Error('Lost connection')
+    })
+
+    const response = await fetch(`${server.url}/8/accept`, {
+      method: 'PATCH',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: '{}',
+    })
+
+    assert.equal(response.status, 500)
+    assert.equal(issuedIn, dbTransaction)
+    assert.equal(dbTransaction.state, 'rolled back')
+  })
+})
@@ -0,0 +1,177 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const consumableService = require('../services/consumableService')
+const NotificationService = require('../services/notificationService')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+describe('consumable stock', () => {
+  let stocks
+  let movements
+  let notified
+  let transactions
+
+  beforeEach(() => {
+    // Toner is stocked at location 1; location 2 has none yet
+    stocks = [
+      {
+        consumable_stock_id: 3,
+        consumable_id: 1,
+        location_id: 1,
+        building_id: null,
+        room_id: null,
+        quantity: 10,
+        reorder_level: 4,
+        low_stock_notified_at: null,
+      },
+    ]
+    movements = []
+    notified = []
+    transactions = []
+
+    stubRows(models.Consumable, [{ consumable_id: 1, name: 'Toner', unit: 'cartridges' }])
+    stubRows(models.Location, [{ location_id: 1 }, { location_id: 2 }])
+    stubRows(models.ConsumableStock, stocks)
+    stub(models.ConsumableStock.prototype, 'update', async function (values) {
+      Object.assign(
+        stocks.find((row) => row.consumable_stock_id === this.consumable_stock_id),
+        values,
+      )
+      return this.set(values)
+    })
+    stub(models.ConsumableStock, 'create', async (values) => {
+      const row = {
+        consumable_stock_id: stocks.length + 3,
+        quantity: 0,
+        reorder_level: 0,
+        low_stock_notified_at: null,
+        ...values,
+      }
+      stocks.push(row)
+      return models.ConsumableStock.build({ ...row }, { isNewRecord: false })
+    })
+    stub(models.ConsumableMovement, 'create', async (values) => {
+      movements.push(values)
+      return models.ConsumableMovement.build(values)
+    })
+    stub(models.sequelize, 'transaction', async () => {
+      const transaction = {
+        LOCK: { UPDATE: 'UPDATE' },
+        commit: async () => {
+          transaction.state = 'committed'
+        },
+        rollback: async () => {
+          transaction.state = 'rolled back'
+        },
+      }
+      transactions.push(transaction)
+      return transaction
+    })
+    stub(NotificationService.prototype, 'notifyLowStock', async (stock) => {
+      notified.push(stock.consumable_stock_id)
+    })
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('creates the stock of a location on its first stock in', async () => {
+    const result = await consumableService.stockIn(
+      1,
+      { location_id: 2, quantity: 5, notes: ' Delivery ' },
+      { performedBy: 7 },
+    )
+
+    assert.equal(stocks[1].location_id, 2)
+    assert.equal(stocks[1].quantity, 5)
+    assert.deepEqual(movements, [
+      {
+        consumable_id: 1,
+        consumable_stock_id: 4,
+        movement_type: 'stock_in',
+        quantity_change: 5,
+        quantity_after: 5,
+        transaction_id: null,
+        issued_to: null,
+        notes: 'Delivery',
+        performed_by: 7,
+      },
+    ])
+    assert.equal(result.stock.quantity, 5)
+  })
+
+  it('refuses to take out more than is on hand', async () => {
+    await assert.rejects(
+      consumableService.stockOut(1, { location_id: 1, quantity: 11 }),
+      { statusCode: 409, message: 'Not enough stock: 10 on hand, 11 requested' },
+    )
+    await assert.rejects(
+      consumableService.stockOut(1, { location_id: 2, quantity: 1 }),
+      { statusCode: 409 },
+    )
+
+    assert.equal(stocks[0].quantity, 10)
+    assert.equal(stocks.length, 1)
+    assert.equal(movements.length, 0)
+    assert.deepEqual(
+      transactions.map((transaction) => transaction.state),
+      ['rolled back', 'rolled back'],
+    )
+  })
+
+  it('rejects quantities that are not positive integers', async () => {
+    for (const quantity of [0, -2, 1.5, 'ten']) {
+      await assert.rejects(
+        consumableService.stockIn(1, { location_id: 1, quantity }),
+        { statusCode: 400, message: 'quantity must be a positive integer' },
+      )
+    }
+  })
+
+  it('notifies once at the reorder level until restocked above it', async () => {
+    await consumableService.stockOut(1, { location_id: 1, quantity: 6 })
+    await consumableService.stockOut(1, { location_id: 1, quantity: 1 })
+
+    assert.deepEqual(notified, [3])
+    assert.ok(stocks[0].low_stock_notified_at)
+
+    await consumableService.stockIn(1, { location_id: 1, quantity: 2 })
+    assert.equal(stocks[0].low_stock_notified_at, null)
+
+    await consumableService.stockOut(1, { location_id: 1, quantity: 1 })
+    assert.deepEqual(notified, [3, 3])
+  })
+
+  it('notifies when the reorder level is raised to the quantity on hand', async () => {
+    await assert.rejects(
+      consumableService.setReorderLevel(1, { location_id: 1, reorder_level: -1 }),
+      { statusCode: 400 },
+    )
+
+    const stock = await consumableService.setReorderLevel(1, {
+      location_id: 1,
+      reorder_level: 10,
+    })
+
+    assert.equal(stock.reorder_level, 10)
+    assert.equal(stock.low_stock, true)
+    assert.deepEqual(notified, [3])
+  })
+
+  it('keeps stock movements within the access scope', async () => {
+    await assert.rejects(
+      consumableService.stockIn(
+        1,
+        { location_id: 2, quantity: 1 },
+        { accessScope: { department_ids: [], location_ids: [1], building_ids: [] } },
+      ),
+      { statusCode: 403 },
+    )
+
+    assert.equal(stocks.length, 1)
+  })
+})
@@ -0,0 +1,187 @@
+'use strict'
+
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const depreciationService = require('../services/depreciationService')
+const {
+  resolveDepreciationBasis,
+  bookValueAt,
+  buildSchedule,
+  periodMovements,
+  withDisposalDate,
+} = require('../utils/depreciation')
+const { stub, restoreAll } = require('./support/harness')
+
+const STRAIGHT_LINE = { depreciation_rate: 20, depreciation_method: 'straight_line' }
+
+const basisOf = (asset, category = STRAIGHT_LINE) =>
+  resolveDepreciationBasis(asset, category)
+
+describe('depreciation', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('schedules', () => {
+    it('depreciates straight line down to the salvage value', () => {
+      const basis = basisOf({ purchase_cost: 1200, salvage_value: 200, purchase_date: '2024-01-15' })
+
+      const schedule = buildSchedule(basis, { now: new Date('2026-06-01') })
+
+      assert.deepEqual(
+        schedule.map((year) => [year.year, year.depreciation, year.closing_value]),
+        [
+          [2024, 200, 1000],
+          [2025, 200, 800],
+          [2026, 200, 600],
+          [2027, 200, 400],
+          [2028, 200, 200],
+        ],
+      )
+      assert.deepEqual(bookValueAt(basis, '2025-06-30'), {
+        accumulated_depreciation: 300,
+        book_value: 900,
+      })
+    })
+
+    it('charges the purchase month in full', () => {
+      const basis = basisOf({ purchase_cost: 1200, salvage_value: 200, purchase_date: '2024-07-31' })
+
+      const [first] = buildSchedule(basis)
+
+      assert.equal(first.period_start, '2024-07-01')
+      assert.equal(first.months, 6)
+      assert.equal(first.depreciation, 100)
+    })
+
+    it('applies the declining balance rate to each year opening value', () => {
+      const basis = basisOf(
+        { purchase_cost: 1000, purchase_date: '2024-01-01' },
+        { depreciation_rate: 50, depreciation_method: 'declining_balance' },
+      )
+
+      const schedule = buildSchedule(basis, { now: new Date('2025-06-01') })
+
+      assert.deepEqual(
+        schedule.slice(0, 3).map((year) => year.depreciation),
+        [500, 250, 125],
+      )
+    })
+
+    it('lets the asset method override the category method', () => {
+      const basis = basisOf({
+        purchase_cost: 1000,
+        purchase_date: '2024-01-01',
+        depreciation_method: 'declining_balance',
+      })
+
+      assert.equal(basis.method, 'declining_balance')
+    })
+
+    it('does not depreciate assets without a purchase cost or date', () => {
+      assert.equal(basisOf({ purchase_cost: null, purchase_date: '2024-01-01' }), null)
+      assert.equal(basisOf({ purchase_cost: 100, purchase_date: null }), null)
+    })
+  })
+
+  describe('period movements', () => {
+    const basis = basisOf(
+      { purchase_cost: 1200, purchase_date: '2024-01-01', disposal_date: '2025-03-20' },
+      { depreciation_rate: 25, depreciation_method: 'straight_line' },
+    )
+
+    it('adds assets purchased in the period', () => {
+      assert.deepEqual(
+        periodMovements(basis, new Date('2024-01-01'), new Date('2024-12-31')),
+        {
+          opening_value: 0,
+          additions: 1200,
+          depreciation: 300,
+          disposals: 0,
+          closing_value: 900,
+        },
+      )
+    })
+
+    it('writes off the book value of assets disposed of in the period', () => {
+      const movements = periodMovements(basis, new Date('2025-01-01'), new Date('2025-12-31'))
+
+      assert.deepEqual(movements, {
+        opening_value: 900,
+        additions: 0,
+        depreciation: 50,
+        disposals: 850,
+        closing_value: 0,
+      })
+    })
+
+    it('leaves out assets not held during the period', () => {
+      assert.equal(periodMovements(basis, new Date('2026-01-01'), new Date('2026-12-31')), null)
+      assert.equal(periodMovements(basis, new Date('2023-01-01'), new Date('2023-12-31')), null)
+    })
+  })
+
+  describe('withDisposalDate', () => {
+    it('stamps the disposal date when an asset is disposed of', () => {
+      const changes = withDisposalDate({ status: 'retired' }, { status: 'disposed' })
+
+      assert.equal(changes.disposal_date, new Date().toISOString().split('T')[0])
+    })
+
+    it('keeps a disposal date already given or recorded', () => {
+      assert.deepEqual(
+        withDisposalDate({ status: 'retired' }, { status: 'disposed', disposal_date: '2025-01-02' }),
+        { status: 'disposed', disposal_date: '2025-01-02' },
+      )
+      assert.deepEqual(
+        withDisposalDate({ status: 'retired', disposal_date: '2025-01-02' }, { status: 'disposed' }),
+        { status: 'disposed' },
+      )
+    })
+  })
+
+  describe('fixed-asset register', () => {
+    it('groups the movements by category and department', async () => {
+      const laptops = { category_id: 1, name: 'Laptops', ...STRAIGHT_LINE }
+      stub(models.Asset, 'findAll', async () => [
+        { asset_id: 1, category: laptops, assigned_to: 9, purchase_cost: 1000, purchase_date: '2025-01-01' },
+        { asset_id: 2, category: laptops, created_by: 3, purchase_cost: 500, purchase_date: '2024-01-01' },
+        { asset_id: 3, category: null, created_by: 3, purchase_cost: 100, purchase_date: '2025-06-01' },
+      ])
+      stub(models.User, 'findAll', async () => [
+        { user_id: 9, department: { department_id: 4, name: 'Sales' } },
+      ])
+
+      const register = await depreciationService.getFixedAssetRegister({
+        periodStart: new Date('2025-01-01'),
+        periodEnd: new Date('2025-12-31'),
+        accessScope: null,
+      })
+
+      assert.deepEqual(register.totals, {
+        asset_count: 3,
+        opening_value: 400,
+        additions: 1100,
+        depreciation: 300,
+        disposals: 0,
+        closing_value: 1200,
+      })
+      assert.deepEqual(
+        register.by_category.map((group) => [group.category_name, group.asset_count, group.closing_value]),
+        [
+          ['Laptops', 2, 1100],
+          ['Uncategorized', 1, 100],
+        ],
+      )
+      assert.deepEqual(
+        register.by_department.map((group) => [group.department_name, group.asset_count]),
+        [
+          ['Sales', 1],
+          ['Unassigned', 2],
+        ],
+      )
+    })
+  })
+})
@@ -0,0 +1,176 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const bcrypt = require('bcrypt')
+const { Client } = require('ldapts')
+
+const models = require('../models')
+const directorySyncService = require('../services/directorySyncService')
+const offboardingService = require('../services/offboardingService')
+const sessionService = require('../services/sessionService')
+const logger = require('../utils/logger')
+const { stub, restoreAll } = require('./support/harness')
+
+const LDAP_ENV = {
+  LDAP_URL: 'ldap://directory.example.com',
+  LDAP_USER_BASE_DN: 'ou=people,dc=example,dc=com',
+  LDAP_GROUP_BASE_DN: 'ou=groups,dc=example,dc=com',
+}
+
+const dn = (uid) => `uid=${uid},ou=people,dc=example,dc=com`
+
+describe('directory sync', () => {
+  beforeEach(() => {
+    Object.assign(process.env, LDAP_ENV)
+  })
+
+  afterEach(() => {
+    restoreAll()
+    Object.keys(LDAP_ENV).forEach((key) => delete process.env[key])
+  })
+
+  describe('sync', () => {
+    let users
+    let writes
+    let offboarded
+
+    const user = (values) => ({
+      status: 'active',
+      directory_dn: null,
+      employee_id: null,
+      position: null,
+      department_id: null,
+      ...values,
+      async update(changes) {
+        writes.push({ user_id: this.user_id, ...changes })
+        Object.assign(this, changes)
+      },
+    })
+
+    beforeEach(() => {
+      writes = []
+      offboarded = []
+      users = [
+        // Linked on their DN; their title changed in the directory
+        user({ user_id: 1, full_name: 'Ann Lee', email: 'ann@example.com', directory_dn: dn('ann'), position: 'Clerk', department_id: 2 }),
+        // Never in the directory, left alone
+        user({ user_id: 2, full_name: 'Local Admin', email: 'admin@example.com' }),
+        // Left the directory without assets
+        user({ user_id: 3, full_name: 'Bob Gone', email: 'bob@example.com', directory_dn: dn('bob') }),
+        // Left the directory holding a laptop
+        user({ user_id: 4, full_name: 'Cat Gone', email: 'cat@example.com', directory_dn: dn('cat') }),
+        // Given the email address of another user in the directory
+        user({ user_id: 5, full_name: 'Fay Lin', email: 'fay@example.com', directory_dn: dn('fay') }),
+      ]
+
+      stub(directorySyncService, '_fetchDirectory', async () => ({
+        users: [
+          { dn: dn('ann'), full_name: 'Ann Lee', email: 'ann@example.com', position: 'Buyer', department: 'Finance' },
+          { dn: dn('dan'), full_name: 'Dan New', email: 'dan@example.com', department: 'Logistics' },
+          { dn: dn('fay'), full_name: 'Fay Lin', email: 'admin@example.com' },
+          { dn: dn('old'), email: 'old@example.com', disabled: true },
+        ],
+        groups: 2,
+      }))
+      stub(models.Department, 'findAll', async () => [{ department_id: 2, name: 'Finance' }])
+      stub(models.Department, 'create', async ({ name }) => ({ department_id: 7, name }))
+      stub(models.User, 'findAll', async () => users)
+      stub(models.User, 'create', async (values) => {
+        writes.push({ created: values.email, department_id: values.department_id })
+        return { user_id: 10, ...values }
+      })
+      stub(bcrypt, 'hash', async () => 'hashed')
+      stub(offboardingService, 'getAssignedAssets', async (userId) => (userId === 4 ? [{ asset_id: 5 }] : []))
+      stub(offboardingService, 'start', async (userId) => {
+        offboarded.push(userId)
+      })
+      stub(sessionService, 'revokeAll', async () => 0)
+      stub(logger, 'logBusiness', () => {})
+    })
+
+    it('reports every change of a dry run without making it', async () => {
+      stub(models.Department, 'create', async () => {
+        throw new Error('A dry run must not write')
+      })
+      stub(models.User, 'create', async () => {
+        throw new Error('A dry run must not write')
+      })
+
+      const report = await directorySyncService.sync({ dryRun: true })
+
+      assert.deepEqual(writes, [])
+      assert.deepEqual(offboarded, [])
+      assert.deepEqual(report.summary, {
+        created: 1,
+        updated: 1,
+        unchanged: 0,
+        terminated: 1,
+        offboarding: 1,
+        skipped: 1,
+        departments_created: 1,
+      })
+      assert.deepEqual(report.departments_created, ['Logistics'])
+      const updated = report.changes.find((change) => change.action === 'updated')
+      assert.deepEqual(updated.changes, { position: { from: 'Clerk', to: 'Buyer' } })
+      const skipped = report.changes.find((change) => change.action === 'skipped')
+      assert.equal(skipped.reason, 'Email admin@example.com belongs to another user')
+    })
+
+    it('applies the changes and offboards leavers who hold assets', async () => {
+      await directorySyncService.sync()
+
+      assert.deepEqual(
+        writes.map(({ directory_synced_at, ...write }) => write),
+        [
+          { user_id: 1, position: 'Buyer' },
+          { created: 'dan@example.com', department_id: 7 },
+          { user_id: 3, status: 'terminated' },
+          { user_id: 4, status: 'inactive' },
+        ],
+      )
+      assert.deepEqual(offboarded, [4])
+      assert.equal(users[1].status, 'active')
+    })
+
+    it('changes nothing when the directory returns no active users', async () => {
+      stub(directorySyncService, '_fetchDirectory', async () => ({
+        users: [{ dn: dn('old'), email: 'old@example.com', disabled: true }],
+        groups: 0,
+      }))
+
+      await assert.rejects(directorySyncService.sync(), { statusCode: 502 })
+      assert.deepEqual(writes, [])
+    })
+  })
+
+  describe('reading the directory', () => {
+    it('reads departments from groups and disabled flags from the directory', async () => {
+      stub(Client.prototype, 'bind', async () => {})
+      stub(Client.prototype, 'unbind', async () => {})
+      stub(Client.prototype, 'search', async (baseDn) => ({
+        searchEntries:
+          baseDn === LDAP_ENV.LDAP_GROUP_BASE_DN
+            ? [
+                { dn: 'cn=Sales,ou=groups', cn: 'Sales', member: [dn('ann'), dn('bob')] },
+                { dn: 'cn=Staff,ou=groups', cn: 'Staff', member: dn('ann') },
+              ]
+            : [
+                { dn: dn('ann'), cn: 'Ann Lee', mail: 'Ann@Example.com', title: ['Buyer'] },
+                { dn: dn('bob'), cn: 'Bob Gone', mail: 'bob@example.com', userAccountControl: '514' },
+              ],
+      }))
+
+      const directory = await directorySyncService._fetchDirectory(directorySyncService.getConfig())
+
+      assert.equal(directory.groups, 2)
+      assert.deepEqual(
+        directory.users.map(({ email, department, position, disabled }) => ({ email, department, position, disabled })),
+        [
+          { email: 'ann@example.com', department: 'Sales', position: 'Buyer', disabled: false },
+          { email: 'bob@example.com', department: 'Sales', position: null, disabled: true },
+        ],
+      )
+    })
+  })
+})
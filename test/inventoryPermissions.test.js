@@ -0,0 +1,60 @@
+'use strict'
+
+const { describe, it, before, after, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+
+const consumableService = require('../services/consumableService')
+const softwareLicenseService = require('../services/softwareLicenseService')
+const consumablesRoutes = require('../routes/consumables')
+const softwareLicensesRoutes = require('../routes/softwareLicenses')
+const { getRolePermissions, setRolePermissions } = require('../utils/permissions')
+const { stub, restoreAll, signIn, serve } = require('./support/harness')
+
+const ASSET_CLERK = { assets: ['list', 'get_by_id', 'create', 'update', 'delete'] }
+
+describe('consumables and licenses permissions', () => {
+  let server
+  let defaults
+
+  before(async () => {
+    const router = express.Router()
+    router.use('/consumables', consumablesRoutes)
+    router.use('/software-licenses', softwareLicensesRoutes)
+    server = await serve('/api', router)
+    defaults = getRolePermissions()
+  })
+
+  after(async () => {
+    await server.close()
+  })
+
+  afterEach(() => {
+    restoreAll()
+    setRolePermissions(defaults)
+  })
+
+  const get = async (url, permissions) => {
+    setRolePermissions({ asset_clerk: permissions })
+    const token = signIn({ user_id: 4, role: 'asset_clerk' })
+    stub(consumableService, 'list', async () => [])
+    stub(softwareLicenseService, 'list', async () => [])
+
+    const response = await fetch(`${server.url}${url}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+    return response.status
+  }
+
+  it('rejects a role that only has the assets permissions', async () => {
+    assert.equal(await get('/consumables', ASSET_CLERK), 403)
+    assert.equal(await get('/software-licenses', ASSET_CLERK), 403)
+  })
+
+  it('checks each module on its own', async () => {
+    const permissions = { ...ASSET_CLERK, consumables: ['list'] }
+
+    assert.equal(await get('/consumables', permissions), 200)
+    assert.equal(await get('/software-licenses', permissions), 403)
+  })
+})
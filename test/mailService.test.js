@@ -0,0 +1,62 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const mailService = require('../services/mailService')
+const logger = require('../utils/logger')
+const { stub, restoreAll } = require('./support/harness')
+
+const MAIL_ENV = ['MAIL_TRANSPORT', 'SMTP_HOST']
+
+describe('mail transport selection', () => {
+  let saved
+  let logged
+
+  beforeEach(() => {
+    saved = Object.fromEntries(MAIL_ENV.map((key) => [key, process.env[key]]))
+    MAIL_ENV.forEach((key) => delete process.env[key])
+    mailService.transporter = null
+    mailService.transportName = null
+    logged = []
+    stub(logger, 'info', (message, meta) => {
+      logged.push({ message, meta })
+    })
+  })
+
+  afterEach(() => {
+    restoreAll()
+    MAIL_ENV.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key]
+      else process.env[key] = saved[key]
+    })
+    mailService.transporter = null
+    mailService.transportName = null
+  })
+
+  const message = {
+    to: 'jane@example.com',
+    subject: 'Reset your password',
+    text: 'https://app.example.com/reset?token=secret-token',
+  }
+
+  it('refuses to send without a configured transport', async () => {
+    await assert.rejects(mailService.send(message), /No mail transport is configured/)
+    assert.ok(!JSON.stringify(logged).includes('secret-token'))
+  })
+
+  it('uses smtp when SMTP_HOST is set', () => {
+    process.env.SMTP_HOST = 'smtp.example.com'
+
+    assert.equal(mailService.getTransportName(), 'smtp')
+  })
+
+  it('logs messages only when the console transport is chosen', async () => {
+    process.env.MAIL_TRANSPORT = 'console'
+
+    await mailService.send(message)
+
+    assert.equal(logged[0].message, 'Email (console transport)')
+    assert.match(logged[0].meta.text, /secret-token/)
+  })
+})
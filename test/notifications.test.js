@@ -0,0 +1,146 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const NotificationService = require('../services/notificationService')
+const eventStreamService = require('../services/eventStreamService')
+const notificationsRoutes = require('../routes/notifications')
+const logger = require('../utils/logger')
+const { stub, restoreAll, stubRows, signIn, serve } = require('./support/harness')
+
+describe('notifications', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('/api/notifications', () => {
+    let server
+    let token
+    let notifications
+
+    before(async () => {
+      server = await serve('/api/notifications', notificationsRoutes)
+    })
+
+    after(async () => {
+      await server.close()
+    })
+
+    beforeEach(() => {
+      notifications = [
+        { notification_id: 1, user_id: 4, type: 'transaction_requested', title: 'Mine', read_at: null },
+        { notification_id: 2, user_id: 4, type: 'warranty_expiring', title: 'Read', read_at: new Date() },
+        { notification_id: 3, user_id: 5, type: 'transaction_requested', title: 'Theirs', read_at: null },
+      ]
+      stubRows(models.Notification, notifications)
+      token = signIn({ user_id: 4, role: 'employee' })
+    })
+
+    const send = async (method, url) => {
+      const response = await fetch(`${server.url}${url}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      return { status: response.status, body: await response.json() }
+    }
+
+    it('lists only the notifications of the signed-in user', async () => {
+      const { status, body } = await send('GET', '/')
+
+      assert.equal(status, 200)
+      assert.deepEqual(body.data.notifications.map((row) => row.title).sort(), ['Mine', 'Read'])
+      assert.equal(body.data.unreadCount, 1)
+    })
+
+    it('filters unread notifications', async () => {
+      const { body } = await send('GET', '/?unread=true')
+
+      assert.deepEqual(body.data.notifications.map((row) => row.title), ['Mine'])
+    })
+
+    it('rejects unknown notification types', async () => {
+      const { status } = await send('GET', '/?type=gossip')
+
+      assert.equal(status, 400)
+    })
+
+    it('does not let users mark the notifications of others as read', async () => {
+      const marked = []
+      stub(models.Notification.prototype, 'update', async function (values) {
+        marked.push(this.notification_id)
+        return Object.assign(this, values)
+      })
+
+      assert.equal((await send('PATCH', '/3/read')).status, 404)
+      assert.equal((await send('PATCH', '/1/read')).status, 200)
+      assert.deepEqual(marked, [1])
+    })
+  })
+
+  describe('notifyUsers', () => {
+    const notificationService = new NotificationService()
+    let created
+    let published
+
+    beforeEach(() => {
+      created = []
+      published = []
+      stub(models.Notification, 'findAll', async ({ where }) =>
+        where.dedupe_key === 'warranty_expiring:5:2026-06-15' ? [{ user_id: 2 }] : [],
+      )
+      stub(models.Notification, 'bulkCreate', async (rows) => {
+        created.push(...rows)
+        return rows
+      })
+      stub(eventStreamService, 'publishNotifications', (rows) => {
+        published.push(...rows)
+      })
+    })
+
+    it('skips users who already received the same notification', async () => {
+      const count = await notificationService.notifyUsers([2, 3, 3, null], {
+        type: 'warranty_expiring',
+        title: 'Warranty expiring: LAP-5',
+        dedupeKey: 'warranty_expiring:5:2026-06-15',
+      })
+
+      assert.equal(count, 1)
+      assert.deepEqual(created.map((row) => row.user_id), [3])
+      assert.deepEqual(published, created)
+    })
+
+    it('notifies the recipient and approvers of a request, but not its requester', async () => {
+      stub(notificationService, 'getActiveUserIdsByRole', async () => [1, 2])
+
+      await notificationService.notifyTransactionRequested(
+        {
+          transaction_id: 8,
+          action: 'assign',
+          asset_id: 5,
+          asset: { asset_tag: 'LAP-5' },
+          requested_by: 1,
+          requested_to: 9,
+        },
+        { actorId: 1 },
+      )
+
+      assert.deepEqual(created.map((row) => row.user_id), [9, 2])
+      assert.equal(created[0].type, 'transaction_requested')
+      assert.equal(created[0].entity_id, 8)
+    })
+
+    it('never fails the change that triggers a notification', async () => {
+      stub(logger, 'logError', () => {})
+      stub(notificationService, 'getActiveUserIdsByRole', async () => {
+        throw new Error('Lost connection')
+      })
+
+      assert.equal(
+        await notificationService.notifyTransactionRequested({ transaction_id: 8, requested_to: 9 }),
+        0,
+      )
+    })
+  })
+})
@@ -0,0 +1,101 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const AssetService = require('../services/assetService')
+const offboardingService = require('../services/offboardingService')
+const usersRoutes = require('../routes/users')
+const { stub, restoreAll, signIn, serve } = require('./support/harness')
+
+describe('offboarding', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('PATCH /api/users/:id', () => {
+    let server
+
+    before(async () => {
+      server = await serve('/api/users', usersRoutes)
+    })
+
+    after(async () => {
+      await server.close()
+    })
+
+    it('does not terminate a user who still holds assets', async () => {
+      const token = signIn({ user_id: 1, role: 'admin' })
+      stub(models.Asset, 'findAll', async () => [{ asset_id: 5, assigned_to: 9 }])
+      stub(models.UserOffboardingItem, 'findAll', async () => [])
+      let updated = false
+      stub(models.User, 'update', async () => {
+        updated = true
+        return [1]
+      })
+
+      const response = await fetch(`${server.url}/9`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ status: 'terminated' }),
+      })
+
+      assert.equal(response.status, 409)
+      assert.equal(updated, false)
+    })
+  })
+
+  describe('writeOff', () => {
+    let item
+    let assetUpdates
+
+    beforeEach(() => {
+      item = models.UserOffboardingItem.build(
+        { offboarding_item_id: 3, offboarding_id: 2, asset_id: 5, resolution: 'pending' },
+        { isNewRecord: false },
+      )
+      assetUpdates = []
+      stub(models.UserOffboarding, 'findOne', async () => ({ offboarding_id: 2 }))
+      stub(models.UserOffboardingItem, 'findOne', async () => item)
+      stub(item, 'update', async (values) => Object.assign(item, values))
+      stub(AssetService.prototype, 'update', async (...args) => {
+        assetUpdates.push(args)
+        return {}
+      })
+      stub(offboardingService, '_cancelReturnTransaction', async () => {})
+      stub(offboardingService, '_serialize', async () => ({ offboarding_id: 2 }))
+    })
+
+    it('unassigns and disposes of the asset through the asset history', async () => {
+      stub(models.Asset, 'findByPk', async () => ({ asset_id: 5, assigned_to: 9 }))
+
+      await offboardingService.writeOff(9, 3, { reason: 'Lost' }, 1)
+
+      assert.equal(assetUpdates.length, 1)
+      const [assetId, data, options] = assetUpdates[0]
+      assert.equal(assetId, 5)
+      assert.deepEqual(data, { assigned_to: null, status: 'disposed' })
+      assert.deepEqual(options.auditContext, {
+        changedBy: 1,
+        action: 'offboarding_write_off',
+      })
+      assert.equal(item.resolution, 'written_off')
+      assert.equal(item.write_off_reason, 'Lost')
+    })
+
+    it('does not write off an asset assigned to another user', async () => {
+      stub(models.Asset, 'findByPk', async () => ({ asset_id: 5, assigned_to: 4 }))
+
+      await assert.rejects(
+        offboardingService.writeOff(9, 3, { reason: 'Lost' }, 1),
+        { statusCode: 409 },
+      )
+      assert.equal(assetUpdates.length, 0)
+      assert.equal(item.resolution, 'pending')
+    })
+  })
+})
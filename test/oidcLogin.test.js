@@ -0,0 +1,118 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const cookieParser = require('cookie-parser')
+const express = require('express')
+
+const models = require('../models')
+const oidcService = require('../services/oidcService')
+const authRoutes = require('../routes/auth')
+const { stub, restoreAll } = require('./support/harness')
+
+const ENV = {
+  OIDC_ISSUER: 'https://idp.example.com',
+  OIDC_CLIENT_ID: 'client',
+  OIDC_CLIENT_SECRET: 'secret',
+  OIDC_REDIRECT_URI: 'http://localhost:5173/auth/oidc/callback',
+}
+
+describe('single sign-on login', () => {
+  let server
+  let url
+  let claims
+
+  before(async () => {
+    Object.assign(process.env, ENV)
+    const app = express()
+    app.use(express.json())
+    app.use(cookieParser())
+    app.use('/api/auth', authRoutes)
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve)
+    })
+    url = `http://127.0.0.1:${server.address().port}/api/auth/oidc`
+  })
+
+  after(async () => {
+    await new Promise((done) => server.close(done))
+    Object.keys(ENV).forEach((key) => delete process.env[key])
+  })
+
+  beforeEach(() => {
+    claims = { sub: 'idp-1', email: 'jane@example.com' }
+    stub(oidcService, '_discover', async () => ({
+      authorization_endpoint: `${ENV.OIDC_ISSUER}/authorize`,
+    }))
+    stub(oidcService, '_requestTokens', async () => ({ id_token: 'id-token' }))
+    stub(oidcService, '_verifyIdToken', async () => claims)
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  const start = async () => {
+    const response = await fetch(`${url}/authorize`)
+    const body = await response.json()
+    return {
+      state: body.data.state,
+      cookie: response.headers.get('set-cookie').split(';')[0],
+      setCookie: response.headers.get('set-cookie'),
+      body,
+    }
+  }
+
+  const callback = async (state, cookie) => {
+    const response = await fetch(`${url}/callback`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookie && { Cookie: cookie }),
+      },
+      body: JSON.stringify({ code: 'code', state }),
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  it('keeps the browser binding in an HttpOnly cookie', async () => {
+    const { setCookie, body } = await start()
+
+    assert.match(setCookie, /^oidc_binding=/)
+    assert.match(setCookie, /HttpOnly/)
+    assert.equal(body.data.binding, undefined)
+  })
+
+  it('rejects a state from a login started in another browser', async () => {
+    const { state } = await start()
+    const other = await start()
+
+    assert.equal((await callback(state)).status, 401)
+    assert.equal((await callback(state, other.cookie)).status, 401)
+  })
+
+  it('accepts the state in the browser that started the login', async () => {
+    stub(oidcService, 'resolveUser', async () => {
+      const error = new Error('stop')
+      error.statusCode = 418
+      throw error
+    })
+    const { state, cookie } = await start()
+
+    // Got past the state check to resolving the user
+    assert.equal((await callback(state, cookie)).status, 418)
+  })
+
+  it('only links an existing account by a verified email', async () => {
+    stub(models.User, 'findOne', async ({ where }) =>
+      where.email
+        ? models.User.build({ user_id: 3, email: where.email }, { isNewRecord: false })
+        : null,
+    )
+
+    for (const emailVerified of [undefined, false, 'true']) {
+      claims.email_verified = emailVerified
+      await assert.rejects(oidcService.resolveUser(claims), { statusCode: 403 })
+    }
+  })
+})
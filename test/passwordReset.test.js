@@ -0,0 +1,119 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const bcrypt = require('bcrypt')
+
+const models = require('../models')
+const passwordResetService = require('../services/passwordResetService')
+const mailService = require('../services/mailService')
+const sessionService = require('../services/sessionService')
+const logger = require('../utils/logger')
+const { stub, restoreAll, whereMatches } = require('./support/harness')
+
+describe('password reset', () => {
+  let user
+  let tokens
+  let mails
+  let revoked
+
+  beforeEach(() => {
+    user = {
+      user_id: 4,
+      email: 'jane@example.com',
+      full_name: 'Jane <Doe>',
+      status: 'active',
+      locked_until: new Date(Date.now() + 60000),
+      async update(changes) {
+        Object.assign(this, changes)
+      },
+    }
+    tokens = []
+    mails = []
+    revoked = []
+
+    stub(models.User, 'findOne', async ({ where }) => (where.email === user.email ? user : null))
+    stub(models.sequelize, 'transaction', async (work) => work({}))
+    stub(models.PasswordResetToken, 'create', async (values) => {
+      tokens.push({ reset_token_id: tokens.length + 1, used_at: null, ...values })
+    })
+    stub(models.PasswordResetToken, 'findOne', async ({ where }) => {
+      const token = tokens.find((row) => whereMatches(row, where))
+      return token ? { ...token, user } : null
+    })
+    stub(models.PasswordResetToken, 'update', async (values, { where }) => {
+      const matching = tokens.filter((row) => whereMatches(row, where))
+      matching.forEach((row) => Object.assign(row, values))
+      return [matching.length]
+    })
+    stub(mailService, 'send', async (message) => {
+      mails.push(message)
+    })
+    stub(sessionService, 'revokeAll', async (userId, options) => {
+      revoked.push({ userId, ...options })
+    })
+    stub(bcrypt, 'hash', async (password) => `hashed:${password}`)
+    stub(logger, 'logAuth', () => {})
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  // The token is only sent by email
+  const tokenFrom = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token')
+
+  it('emails a link with a token that is stored only as a hash', async () => {
+    assert.equal(await passwordResetService.requestReset('jane@example.com'), true)
+
+    const token = tokenFrom(mails[0])
+    assert.equal(mails[0].to, 'jane@example.com')
+    assert.match(mails[0].html, /Hello Jane &lt;Doe&gt;/)
+    assert.equal(tokens[0].token_hash, passwordResetService.hashToken(token))
+    assert.ok(!JSON.stringify(tokens).includes(token))
+  })
+
+  it('does not reveal whether an account exists', async () => {
+    assert.equal(await passwordResetService.requestReset('nobody@example.com'), false)
+    user.status = 'inactive'
+    assert.equal(await passwordResetService.requestReset('jane@example.com'), false)
+
+    assert.deepEqual(mails, [])
+  })
+
+  it('sets the password once, ends the lockout and revokes every session', async () => {
+    await passwordResetService.requestReset('jane@example.com')
+    const token = tokenFrom(mails[0])
+
+    await passwordResetService.resetPassword(token, 'N3w-password!')
+
+    assert.equal(user.password_hash, 'hashed:N3w-password!')
+    assert.equal(user.locked_until, null)
+    assert.deepEqual(revoked, [{ userId: 4, reason: 'password_changed' }])
+    await assert.rejects(
+      passwordResetService.resetPassword(token, 'Another-1!'),
+      { statusCode: 400, message: 'Invalid or expired reset token' },
+    )
+  })
+
+  it('only accepts the most recent link', async () => {
+    await passwordResetService.requestReset('jane@example.com')
+    await passwordResetService.requestReset('jane@example.com')
+
+    await assert.rejects(
+      passwordResetService.resetPassword(tokenFrom(mails[0]), 'N3w-password!'),
+      { statusCode: 400 },
+    )
+    await passwordResetService.resetPassword(tokenFrom(mails[1]), 'N3w-password!')
+  })
+
+  it('refuses expired tokens', async () => {
+    await passwordResetService.requestReset('jane@example.com')
+    tokens[0].expires_at = new Date(Date.now() - 1000)
+
+    await assert.rejects(
+      passwordResetService.resetPassword(tokenFrom(mails[0]), 'N3w-password!'),
+      { statusCode: 400 },
+    )
+  })
+})
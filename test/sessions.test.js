@@ -0,0 +1,125 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const sessionService = require('../services/sessionService')
+const eventStreamService = require('../services/eventStreamService')
+const notificationsRoutes = require('../routes/notifications')
+const logger = require('../utils/logger')
+const { stub, restoreAll, whereMatches, signIn, serve } = require('./support/harness')
+
+describe('login sessions', () => {
+  let sessions
+  let closed
+
+  beforeEach(() => {
+    sessions = []
+    closed = []
+
+    stub(models.UserSession, 'create', async (values) => {
+      const session = {
+        session_id: sessions.length + 1,
+        revoked_at: null,
+        previous_refresh_token_hash: null,
+        ...values,
+        async update(changes) {
+          Object.assign(this, changes)
+        },
+      }
+      sessions.push(session)
+      return session
+    })
+    stub(models.UserSession, 'findOne', async ({ where }) =>
+      sessions.find((session) => whereMatches(session, where)) || null,
+    )
+    stub(eventStreamService, 'closeForUser', (userId, options) => {
+      closed.push({ userId, ...options })
+    })
+    stub(logger, 'info', () => {})
+    stub(logger, 'logAuth', () => {})
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  it('stores only a hash of the refresh token', async () => {
+    const { session, refreshToken } = await sessionService.create(4, {
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/126.0 Safari/537.36',
+    })
+
+    assert.notEqual(session.refresh_token_hash, refreshToken)
+    assert.equal(session.refresh_token_hash, sessionService.hashToken(refreshToken))
+    assert.equal(session.device, 'Chrome on Windows')
+  })
+
+  it('replaces the refresh token on every refresh', async () => {
+    const { refreshToken: first } = await sessionService.create(4)
+
+    const { session, refreshToken: second } = await sessionService.rotate(first)
+
+    assert.notEqual(second, first)
+    assert.equal(session.refresh_token_hash, sessionService.hashToken(second))
+    assert.equal(session.previous_refresh_token_hash, sessionService.hashToken(first))
+    await sessionService.rotate(second)
+  })
+
+  it('revokes the session when a replaced token is presented again', async () => {
+    const { refreshToken: first } = await sessionService.create(4)
+    const { refreshToken: second } = await sessionService.rotate(first)
+
+    await assert.rejects(sessionService.rotate(first), { statusCode: 401 })
+
+    assert.equal(sessions[0].revoked_reason, 'token_reuse')
+    assert.deepEqual(closed, [{ userId: 4, sessionId: 1 }])
+    await assert.rejects(sessionService.rotate(second), /revoked or has expired/)
+  })
+
+  it('refuses tokens of expired sessions', async () => {
+    const { refreshToken } = await sessionService.create(4)
+    sessions[0].expires_at = new Date(Date.now() - 1000)
+
+    await assert.rejects(sessionService.rotate(refreshToken), { statusCode: 401 })
+  })
+
+  it('refuses unknown and missing tokens', async () => {
+    await assert.rejects(sessionService.rotate('made-up'), /Invalid refresh token/)
+    await assert.rejects(sessionService.rotate(undefined), /Refresh token is required/)
+  })
+
+  it('revokes only the sessions of the user who asks', async () => {
+    await sessionService.create(4)
+    await sessionService.create(5)
+
+    assert.equal(await sessionService.revoke(4, 2), false)
+    assert.equal(await sessionService.revoke(5, 2), true)
+    assert.equal(sessions[1].revoked_reason, 'revoked')
+    assert.equal(sessions[0].revoked_at, null)
+  })
+
+  describe('access tokens', () => {
+    let server
+
+    before(async () => {
+      server = await serve('/api/notifications', notificationsRoutes)
+    })
+
+    after(async () => {
+      await server.close()
+    })
+
+    it('are refused once their session is revoked', async () => {
+      const token = signIn({ user_id: 4, role: 'employee' })
+      stub(sessionService, 'getActiveSession', async () => null)
+
+      const response = await fetch(`${server.url}/unread-count`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+
+      assert.equal(response.status, 401)
+      assert.equal((await response.json()).message, 'Session has been revoked or has expired.')
+    })
+  })
+})
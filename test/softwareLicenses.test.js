@@ -0,0 +1,208 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const softwareLicenseService = require('../services/softwareLicenseService')
+const NotificationService = require('../services/notificationService')
+const logger = require('../utils/logger')
+const { toDateKey } = require('../utils/warranty')
+const { stub, restoreAll, stubRows } = require('./support/harness')
+
+const NOW = new Date()
+const RENEWS_ON = toDateKey(new Date(NOW.getTime() + 19 * 24 * 60 * 60 * 1000))
+
+describe('software licenses', () => {
+  let licenses
+  let seats
+
+  beforeEach(() => {
+    licenses = [
+      {
+        license_id: 1,
+        name: 'Office',
+        vendor: 'Contoso',
+        license_type: 'per_seat',
+        license_key: 'OFFICE-KEY',
+        seat_count: 2,
+        expiry_date: RENEWS_ON,
+        is_active: true,
+      },
+      {
+        license_id: 2,
+        name: 'CAD',
+        vendor: null,
+        license_type: 'per_device',
+        license_key: null,
+        seat_count: 5,
+        expiry_date: '2020-01-31',
+        is_active: true,
+      },
+      {
+        license_id: 3,
+        name: 'Antivirus',
+        vendor: null,
+        license_type: 'site',
+        license_key: null,
+        seat_count: null,
+        expiry_date: '2099-12-31',
+        is_active: true,
+      },
+    ]
+    seats = [{ seat_id: 10, license_id: 1, user_id: 7, asset_id: null }]
+
+    stubRows(models.SoftwareLicense, licenses)
+    stubRows(models.SoftwareLicenseSeat, seats)
+    stubRows(models.User, [{ user_id: 7 }, { user_id: 8 }, { user_id: 9 }])
+    // Asset 21 is in department 1, asset 22 in department 2
+    stubRows(models.Asset, [
+      { asset_id: 21, department_id: 1 },
+      { asset_id: 22, department_id: 2 },
+    ])
+    stub(models.SoftwareLicenseSeat, 'create', async (values) => {
+      const row = { seat_id: seats.length + 10, ...values }
+      seats.push(row)
+      return models.SoftwareLicenseSeat.build({ ...row }, { isNewRecord: false })
+    })
+    stub(models.SoftwareLicenseSeat.prototype, 'destroy', async function () {
+      seats.splice(seats.findIndex((row) => row.seat_id === this.seat_id), 1)
+    })
+    // The grouped count query of list()
+    stub(softwareLicenseService, '_countSeats', async (licenseIds) =>
+      new Map(
+        licenseIds.map((id) => [id, seats.filter((seat) => seat.license_id === id).length]),
+      ),
+    )
+  })
+
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('seats', () => {
+    it('refuses to assign more seats than the license has unless forced', async () => {
+      await softwareLicenseService.assignSeat(1, { user_id: 8 }, { assignedBy: 1 })
+
+      await assert.rejects(softwareLicenseService.assignSeat(1, { user_id: 9 }), {
+        statusCode: 409,
+        message:
+          'All 2 seats of the license are assigned (send allow_over_allocation to assign anyway)',
+      })
+      assert.equal(seats.length, 2)
+
+      await softwareLicenseService.assignSeat(1, { user_id: 9, allow_over_allocation: true })
+      const office = (await softwareLicenseService.list({ now: NOW })).find(
+        (license) => license.license_id === 1,
+      )
+
+      assert.equal(office.seats_used, 3)
+      assert.equal(office.seats_available, 0)
+      assert.equal(office.over_allocated, true)
+    })
+
+    it('gives each holder one seat of the kind the license type allows', async () => {
+      await assert.rejects(softwareLicenseService.assignSeat(1, { user_id: 7 }), {
+        statusCode: 409,
+        message: 'This user already has a seat of the license',
+      })
+      await assert.rejects(softwareLicenseService.assignSeat(1, { asset_id: 21 }), {
+        statusCode: 400,
+        message: 'A per_seat license can only be assigned to users',
+      })
+      await assert.rejects(softwareLicenseService.assignSeat(1, { user_id: 7, asset_id: 21 }), {
+        statusCode: 400,
+      })
+      await assert.rejects(softwareLicenseService.assignSeat(1, { user_id: 99 }), {
+        statusCode: 404,
+      })
+    })
+
+    it('refuses seats of an expired license', async () => {
+      await assert.rejects(softwareLicenseService.assignSeat(2, { asset_id: 21 }), {
+        statusCode: 409,
+        message: 'License has expired; renew it before assigning seats',
+      })
+    })
+
+    it('does not limit the seats of a site license', async () => {
+      for (const user_id of [7, 8, 9]) {
+        await softwareLicenseService.assignSeat(3, { user_id })
+      }
+      await softwareLicenseService.assignSeat(3, { asset_id: 21 })
+      const antivirus = (await softwareLicenseService.list({ now: NOW })).find(
+        (license) => license.license_id === 3,
+      )
+
+      assert.equal(antivirus.seats_used, 4)
+      assert.equal(antivirus.seats_available, null)
+      assert.equal(antivirus.over_allocated, false)
+    })
+
+    it('keeps seats on assets outside the access scope', async () => {
+      const accessScope = { department_ids: [1], location_ids: [], building_ids: [] }
+      await assert.rejects(
+        softwareLicenseService.assignSeat(3, { asset_id: 22 }, { accessScope }),
+        { statusCode: 404, message: 'Asset not found' },
+      )
+      seats.push(
+        { seat_id: 20, license_id: 3, user_id: null, asset_id: 21 },
+        { seat_id: 21, license_id: 3, user_id: null, asset_id: 22 },
+      )
+
+      assert.equal(await softwareLicenseService.releaseSeat(3, 21, { accessScope }), false)
+      assert.equal(await softwareLicenseService.releaseSeat(3, 20, { accessScope }), true)
+      assert.equal(await softwareLicenseService.releaseSeat(1, 21, { accessScope: null }), false)
+      assert.deepEqual(seats.map((seat) => seat.seat_id), [10, 21])
+    })
+  })
+
+  describe('listing', () => {
+    it('flags a license key without listing it', async () => {
+      const listed = await softwareLicenseService.list({ now: NOW })
+      const office = listed.find((license) => license.license_id === 1)
+
+      assert.equal(office.has_license_key, true)
+      assert.equal('license_key' in office, false)
+      assert.ok(!JSON.stringify(listed).includes('OFFICE-KEY'))
+    })
+
+    it('lists renewals due within the alert window', async () => {
+      const renewals = await softwareLicenseService.findRenewals({ days: 30, now: NOW })
+
+      assert.deepEqual(renewals.map((license) => license.license_id), [1])
+      assert.equal(renewals[0].expiry_status, 'expiring')
+      assert.equal(renewals[0].days_until_expiry, 19)
+    })
+  })
+
+  describe('alerts', () => {
+    let sent
+
+    beforeEach(() => {
+      sent = []
+      stub(NotificationService.prototype, 'getActiveUserIdsByRole', async () => [4])
+      stub(NotificationService.prototype, 'notifyUsers', async (userIds, notification) => {
+        sent.push(notification)
+        return userIds.length
+      })
+      stub(logger, 'info', () => {})
+    })
+
+    it('notifies IT managers once per renewal date and allocation', async () => {
+      seats.push(
+        { seat_id: 11, license_id: 1, user_id: 8, asset_id: null },
+        { seat_id: 12, license_id: 1, user_id: 9, asset_id: null },
+      )
+
+      const result = await softwareLicenseService.notifyAlerts({ days: 30, now: NOW })
+
+      assert.deepEqual(result, { renewals: 1, overAllocated: 1, notifications: 2 })
+      assert.deepEqual(sent.map((notification) => notification.dedupeKey), [
+        `license_renewal:1:${RENEWS_ON}`,
+        'license_over_allocated:1:2:3',
+      ])
+      assert.equal(sent[0].message, `Office (Contoso) expires in 19 day(s) on ${RENEWS_ON}.`)
+    })
+  })
+})
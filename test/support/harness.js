@@ -0,0 +1,203 @@
+'use strict'
+
+// Helpers for tests that run routes against stubbed models, without a
+// database.
+
+const express = require('express')
+const jwt = require('jsonwebtoken')
+const { Op, Utils } = require('sequelize')
+const models = require('../../models')
+const sessionService = require('../../services/sessionService')
+const twoFactorService = require('../../services/twoFactorService')
+const roleService = require('../../services/roleService')
+const apiKeyService = require('../../services/apiKeyService')
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || 'your-secret-key-change-in-development'
+
+const restores = []
+
+/**
+ * Replace a method until restoreAll() is called.
+ */
+const stub = (object, method, implementation) => {
+  const original = object[method]
+  object[method] = implementation
+  restores.push(() => {
+    object[method] = original
+  })
+}
+
+const restoreAll = () => {
+  while (restores.length) {
+    restores.pop()()
+  }
+}
+
+const compare = (actual, condition) => {
+  if (condition instanceof Utils.SequelizeMethod) {
+    // Raw SQL cannot be checked here; treat it as matching
+    return true
+  }
+  if (condition === null) {
+    return actual == null
+  }
+  if (Array.isArray(condition)) {
+    return condition.map(String).includes(String(actual))
+  }
+  if (typeof condition !== 'object' || condition instanceof Date) {
+    return String(actual) === String(condition)
+  }
+
+  return Reflect.ownKeys(condition).every((operator) => {
+    const value = condition[operator]
+    if (value instanceof Utils.SequelizeMethod) {
+      return true
+    }
+    switch (operator) {
+      case Op.in:
+        return value.map(String).includes(String(actual))
+      case Op.ne:
+        return value === null ? actual != null : String(actual) !== String(value)
+      case Op.gt:
+        return actual > value
+      case Op.gte:
+        return actual >= value
+      case Op.lt:
+        return actual < value
+      case Op.lte:
+        return actual <= value
+      default:
+        return true
+    }
+  })
+}
+
+/**
+ * Whether a plain row satisfies a Sequelize where clause. Supports the
+ * operators used by access scopes (and, or, in, ne), comparisons and lists
+ * of values; other conditions match.
+ */
+const whereMatches = (row, where) => {
+  if (!where || where instanceof Utils.SequelizeMethod) {
+    return true
+  }
+
+  return Reflect.ownKeys(where).every((key) => {
+    const value = where[key]
+    if (key === Op.and) {
+      return [].concat(value).every((part) => whereMatches(row, part))
+    }
+    if (key === Op.or) {
+      const parts = Array.isArray(value)
+        ? value
+        : Object.entries(value).map(([field, condition]) => ({
+            [field]: condition,
+          }))
+      return parts.some((part) => whereMatches(row, part))
+    }
+    return compare(row[key], value)
+  })
+}
+
+/**
+ * Serve finders of a model from an in-memory list of rows, filtered by the
+ * where clause of each query.
+ */
+const stubRows = (Model, rows) => {
+  const find = (options = {}) =>
+    rows
+      .filter((row) => whereMatches(row, options.where))
+      // Copies, so changing an instance leaves the row as stored
+      .map((row) => Model.build({ ...row }, { raw: true, isNewRecord: false }))
+
+  stub(Model, 'findAll', async (options) => find(options))
+  stub(Model, 'findOne', async (options) => find(options)[0] || null)
+  stub(Model, 'findByPk', async (id, options = {}) =>
+    find({
+      ...options,
+      where: { [Op.and]: [{ [Model.primaryKeyAttribute]: id }, options.where] },
+    })[0] || null,
+  )
+  stub(Model, 'findAndCountAll', async (options) => {
+    const found = find(options)
+    return { count: found.length, rows: found }
+  })
+  stub(Model, 'count', async (options) => find(options).length)
+}
+
+/**
+ * Let a user sign in: the user record, session, role permissions and access
+ * scope rules are served without a database.
+ * @param {Object} user - { user_id, role }
+ * @param {Array<Object>} [scopeRules] - { scope_type, target_id }
+ * @returns {string} Bearer token
+ */
+const signIn = (user, scopeRules = []) => {
+  stub(models.User, 'findByPk', async () =>
+    models.User.build(
+      { status: 'active', must_change_password: false, ...user },
+      { isNewRecord: false },
+    ),
+  )
+  stub(sessionService, 'getActiveSession', async () => ({ session_id: 1 }))
+  stub(sessionService, 'markUsed', async () => {})
+  stub(twoFactorService, 'isSetupRequired', async () => false)
+  stub(roleService, 'ensureLoaded', async () => {})
+  stub(models.UserAccessScope, 'findAll', async () => scopeRules)
+  stub(models.Building, 'findAll', async () => [])
+
+  return jwt.sign({ user_id: user.user_id, sid: 1 }, JWT_SECRET)
+}
+
+/**
+ * Let requests authenticate with an API key of a user.
+ * @param {Object} user - { user_id }
+ * @param {Object} permissions - Permissions of the key, by module
+ * @returns {string} Value of the X-API-Key header
+ */
+const useApiKey = (user, permissions) => {
+  stub(models.ApiKey, 'findOne', async () =>
+    models.ApiKey.build(
+      { api_key_id: 1, name: 'test', user_id: user.user_id, permissions },
+      { isNewRecord: false },
+    ),
+  )
+  stub(models.User, 'findByPk', async () =>
+    models.User.build({ status: 'active', ...user }, { isNewRecord: false }),
+  )
+  stub(apiKeyService, '_markUsed', async () => {})
+  stub(roleService, 'ensureLoaded', async () => {})
+  stub(models.UserAccessScope, 'findAll', async () => [])
+
+  return 'test-api-key'
+}
+
+/**
+ * Serve a router on a random local port.
+ * @param {string} mountPath
+ * @param {Object} router
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+const serve = (mountPath, router) =>
+  new Promise((resolve) => {
+    const app = express()
+    app.use(express.json())
+    app.use(mountPath, router)
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    })
+  })
+
+module.exports = {
+  stub,
+  restoreAll,
+  whereMatches,
+  stubRows,
+  signIn,
+  useApiKey,
+  serve,
+}
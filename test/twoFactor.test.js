@@ -0,0 +1,150 @@
+'use strict'
+
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const twoFactorService = require('../services/twoFactorService')
+const totp = require('../utils/totp')
+const logger = require('../utils/logger')
+const { stub, restoreAll, whereMatches } = require('./support/harness')
+
+// RFC 6238 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+describe('two-factor authentication', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('TOTP codes', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      assert.equal(totp.generateCode(RFC_SECRET, totp.getStep(59 * 1000)), '287082')
+      assert.equal(totp.generateCode(RFC_SECRET, totp.getStep(1111111109 * 1000)), '081804')
+      assert.equal(totp.generateCode(RFC_SECRET, totp.getStep(1234567890 * 1000)), '005924')
+    })
+
+    it('accepts codes of the adjacent steps only', () => {
+      const at = 1234567890 * 1000
+      const step = totp.getStep(at)
+      const codeAt = (offset) => totp.generateCode(RFC_SECRET, step + offset)
+
+      assert.equal(totp.verifyCode(RFC_SECRET, codeAt(0), { at }), step)
+      assert.equal(totp.verifyCode(RFC_SECRET, codeAt(-1), { at }), step - 1)
+      assert.equal(totp.verifyCode(RFC_SECRET, codeAt(1), { at }), step + 1)
+      assert.equal(totp.verifyCode(RFC_SECRET, codeAt(2), { at }), null)
+      assert.equal(totp.verifyCode(RFC_SECRET, '12345', { at }), null)
+    })
+
+    it('encodes secrets in base32 both ways', () => {
+      const bytes = Buffer.from('12345678901234567890')
+
+      assert.equal(totp.base32Encode(bytes), RFC_SECRET)
+      assert.deepEqual(totp.base32Decode(RFC_SECRET.toLowerCase()), bytes)
+    })
+
+    it('builds the URI authenticator apps import', () => {
+      assert.equal(
+        totp.buildOtpauthUrl(RFC_SECRET, { issuer: 'Acme IT', account: 'jane@example.com' }),
+        `otpauth://totp/Acme%20IT%3Ajane%40example.com?secret=${RFC_SECRET}&issuer=Acme%20IT&algorithm=SHA1&digits=6&period=30`,
+      )
+    })
+  })
+
+  describe('enrolment and login', () => {
+    let user
+    let recoveryCodes
+
+    beforeEach(() => {
+      process.env.TWO_FACTOR_ISSUER = 'Acme IT'
+      user = models.User.build(
+        { user_id: 4, email: 'jane@example.com', role: 'it_manager', two_factor_enabled: false },
+        { isNewRecord: false },
+      )
+      recoveryCodes = []
+
+      stub(user, 'update', async function (changes) {
+        this.set(changes, { raw: true })
+        return this
+      })
+      stub(models.User, 'findByPk', async () => user)
+      stub(models.User, 'update', async (values, { where }) => {
+        if (!whereMatches(user.get({ plain: true }), where)) {
+          return [0]
+        }
+        user.set(values, { raw: true })
+        return [1]
+      })
+      stub(models.sequelize, 'transaction', async (work) => work({}))
+      stub(models.TwoFactorRecoveryCode, 'destroy', async () => {
+        recoveryCodes = []
+      })
+      stub(models.TwoFactorRecoveryCode, 'bulkCreate', async (rows) => {
+        recoveryCodes = rows.map((row, index) => ({ recovery_code_id: index + 1, used_at: null, ...row }))
+      })
+      stub(models.TwoFactorRecoveryCode, 'findOne', async ({ where }) =>
+        recoveryCodes.find((row) => whereMatches(row, where)) || null,
+      )
+      stub(models.TwoFactorRecoveryCode, 'update', async (values, { where }) => {
+        const matching = recoveryCodes.filter((row) => whereMatches(row, where))
+        matching.forEach((row) => Object.assign(row, values))
+        return [matching.length]
+      })
+      stub(logger, 'logAuth', () => {})
+    })
+
+    afterEach(() => {
+      delete process.env.TWO_FACTOR_ISSUER
+    })
+
+    const enrol = async () => {
+      const { secret } = await twoFactorService.beginSetup(4)
+      // The code of the previous step, so the login below can use the current one
+      const { recovery_codes } = await twoFactorService.enable(
+        4,
+        totp.generateCode(secret, totp.getStep() - 1),
+      )
+      return { secret, recovery_codes }
+    }
+
+    it('stores the secret encrypted and enables 2FA with a valid code', async () => {
+      const setup = await twoFactorService.beginSetup(4)
+
+      assert.ok(!user.two_factor_secret.includes(setup.secret))
+      assert.match(setup.otpauth_url, /^otpauth:\/\/totp\/Acme%20IT%3A/)
+      await assert.rejects(twoFactorService.enable(4, '000000'), /Invalid verification code/)
+
+      await twoFactorService.enable(4, totp.generateCode(setup.secret))
+
+      assert.equal(user.two_factor_enabled, true)
+    })
+
+    it('accepts each code once', async () => {
+      const { secret } = await enrol()
+      const code = totp.generateCode(secret)
+
+      assert.equal(await twoFactorService.verifyLogin(user, { code }), 'totp')
+      assert.equal(await twoFactorService.verifyLogin(user, { code }), null)
+    })
+
+    it('accepts each recovery code once', async () => {
+      const { recovery_codes } = await enrol()
+
+      assert.equal(recovery_codes.length, 10)
+      assert.ok(!JSON.stringify(recoveryCodes).includes(recovery_codes[0]))
+      const recoveryCode = recovery_codes[0].toUpperCase()
+      assert.equal(await twoFactorService.verifyLogin(user, { recoveryCode }), 'recovery_code')
+      assert.equal(await twoFactorService.verifyLogin(user, { recoveryCode }), null)
+    })
+
+    it('cannot be disabled while the role requires it', async () => {
+      await enrol()
+      stub(twoFactorService, 'getRequiredRoles', async () => ['admin', 'it_manager'])
+
+      await assert.rejects(
+        twoFactorService.disable(4, { password: 'secret' }),
+        { statusCode: 403 },
+      )
+    })
+  })
+})
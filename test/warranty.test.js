@@ -0,0 +1,106 @@
+'use strict'
+
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+
+const models = require('../models')
+const warrantyService = require('../services/warrantyService')
+const {
+  getWarrantyStatus,
+  daysUntil,
+  parseExpiringDays,
+  warrantyEndDateSql,
+} = require('../utils/warranty')
+const { stub, restoreAll } = require('./support/harness')
+
+const NOW = new Date('2026-06-10T15:00:00Z')
+
+describe('warranty tracking', () => {
+  afterEach(() => {
+    restoreAll()
+  })
+
+  describe('status', () => {
+    it('tells expired, expiring, active and missing warranties apart', () => {
+      assert.equal(getWarrantyStatus('2026-06-09', { now: NOW }), 'expired')
+      assert.equal(getWarrantyStatus('2026-06-10', { now: NOW }), 'expiring')
+      assert.equal(getWarrantyStatus('2026-07-10', { now: NOW }), 'expiring')
+      assert.equal(getWarrantyStatus('2026-07-11', { now: NOW }), 'active')
+      assert.equal(getWarrantyStatus('2026-07-11', { now: NOW, days: 60 }), 'expiring')
+      assert.equal(getWarrantyStatus(null, { now: NOW }), 'none')
+    })
+
+    it('counts whole days until the warranty ends', () => {
+      assert.equal(daysUntil('2026-06-10', NOW), 0)
+      assert.equal(daysUntil('2026-06-15', NOW), 5)
+      assert.equal(daysUntil('2026-06-01', NOW), -9)
+      assert.equal(daysUntil(null, NOW), null)
+    })
+
+    it('accepts only whole, non-negative expiry windows', () => {
+      assert.equal(parseExpiringDays(undefined), 30)
+      assert.equal(parseExpiringDays('0'), 0)
+      assert.equal(parseExpiringDays('14'), 14)
+      assert.equal(parseExpiringDays('-1'), null)
+      assert.equal(parseExpiringDays('1.5'), null)
+      assert.equal(parseExpiringDays('soon'), null)
+    })
+
+    it('falls back to the category warranty from the warranty start or purchase date', () => {
+      const sql = warrantyEndDateSql('a')
+
+      assert.match(sql, /^COALESCE\(`a`\.`warranty_end_date`, DATE_ADD\(/)
+      assert.match(sql, /COALESCE\(`a`\.`warranty_start_date`, `a`\.`purchase_date`\)/)
+      assert.match(sql, /`default_warranty_months`/)
+    })
+  })
+
+  describe('expiry alerts', () => {
+    const expiring = (values) =>
+      models.Asset.build(values, { raw: true, isNewRecord: false })
+
+    it('notifies every IT manager once per asset and end date', async () => {
+      const sent = []
+      stub(models.Asset, 'findAll', async () => [
+        expiring({ asset_id: 5, asset_tag: 'LAP-5', warranty_provider: 'Dell', warranty_expires_on: '2026-06-15' }),
+        expiring({ asset_id: 6, asset_tag: null, warranty_expires_on: '2026-06-10' }),
+      ])
+      stub(warrantyService.notificationService, 'getActiveUserIdsByRole', async (roles) => {
+        assert.deepEqual(roles, ['it_manager'])
+        return [2, 3]
+      })
+      stub(warrantyService.notificationService, 'notifyUsers', async (userIds, notification) => {
+        sent.push({ userIds, notification })
+        return userIds.length
+      })
+
+      const result = await warrantyService.notifyExpiring({ days: 30, now: NOW })
+
+      assert.deepEqual(result, { assets: 2, notifications: 4 })
+      assert.deepEqual(sent.map(({ userIds }) => userIds), [[2, 3], [2, 3]])
+      assert.deepEqual(
+        sent.map(({ notification }) => notification.message),
+        [
+          'The warranty of LAP-5 (Dell) expires in 5 day(s) on 2026-06-15.',
+          'The warranty of Asset #6 expires today.',
+        ],
+      )
+      assert.equal(sent[0].notification.dedupeKey, 'warranty_expiring:5:2026-06-15')
+    })
+
+    it('sends nothing without IT managers', async () => {
+      stub(models.Asset, 'findAll', async () => [
+        expiring({ asset_id: 5, warranty_expires_on: '2026-06-15' }),
+      ])
+      stub(warrantyService.notificationService, 'getActiveUserIdsByRole', async () => [])
+      stub(warrantyService.notificationService, 'notifyUsers', async () => {
+        throw new Error('Nobody should be notified')
+      })
+
+      assert.deepEqual(await warrantyService.notifyExpiring({ now: NOW }), {
+        assets: 1,
+        notifications: 0,
+      })
+    })
+  })
+})
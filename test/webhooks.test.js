@@ -0,0 +1,187 @@
+'use strict'
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const http = require('http')
+
+const models = require('../models')
+const webhookService = require('../services/webhookService')
+const logger = require('../utils/logger')
+const { stub, restoreAll } = require('./support/harness')
+
+const SECRET = 'whsec_test'
+
+describe('webhooks', () => {
+  let receiver
+  let url
+  let received
+  let replyStatus
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => {
+        body += chunk
+      })
+      req.on('end', () => {
+        received.push({ headers: req.headers, body })
+        res.writeHead(replyStatus)
+        res.end('ok')
+      })
+    })
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`
+  })
+
+  after(async () => {
+    await new Promise((resolve) => receiver.close(resolve))
+  })
+
+  beforeEach(() => {
+    received = []
+    replyStatus = 200
+    stub(logger, 'warn', () => {})
+  })
+
+  afterEach(() => {
+    restoreAll()
+    delete process.env.WEBHOOK_RETRY_BASE_SECONDS
+  })
+
+  const pendingDelivery = (values = {}) => ({
+    delivery_id: 11,
+    event_id: 'evt-1',
+    event: 'asset.assigned',
+    payload: { id: 'evt-1', event: 'asset.assigned', data: { asset: { asset_id: 5 } } },
+    status: 'pending',
+    attempts: 0,
+    max_attempts: 3,
+    ...values,
+    async update(changes) {
+      Object.assign(this, changes)
+    },
+  })
+
+  describe('delivery', () => {
+    it('signs the timestamp and raw body with the webhook secret', async () => {
+      const delivery = pendingDelivery()
+
+      await webhookService._attempt(delivery, { webhook_id: 1, url, secret: SECRET })
+
+      const [{ headers, body }] = received
+      const expected = crypto
+        .createHmac('sha256', SECRET)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex')
+      assert.equal(headers['x-webhook-signature'], `sha256=${expected}`)
+      assert.equal(headers['x-webhook-event'], 'asset.assigned')
+      assert.equal(headers['x-webhook-event-id'], 'evt-1')
+      assert.deepEqual(JSON.parse(body), delivery.payload)
+      assert.equal(delivery.status, 'succeeded')
+      assert.equal(delivery.attempts, 1)
+      assert.equal(delivery.next_attempt_at, null)
+    })
+
+    it('schedules a retry after a failed attempt', async () => {
+      replyStatus = 500
+      const delivery = pendingDelivery()
+      const startedAt = Date.now()
+
+      await webhookService._attempt(delivery, { webhook_id: 1, url, secret: SECRET })
+
+      assert.equal(delivery.status, 'pending')
+      assert.equal(delivery.attempts, 1)
+      assert.equal(delivery.response_status, 500)
+      assert.equal(delivery.error_message, 'Receiver responded with HTTP 500')
+      const delay = delivery.next_attempt_at.getTime() - startedAt
+      assert.ok(delay >= 30 * 1000 && delay < 31 * 1000)
+    })
+
+    it('gives up once the attempts run out', async () => {
+      replyStatus = 503
+      const delivery = pendingDelivery({ attempts: 2 })
+
+      await webhookService._attempt(delivery, { webhook_id: 1, url, secret: SECRET })
+
+      assert.equal(delivery.status, 'failed')
+      assert.equal(delivery.attempts, 3)
+      assert.equal(delivery.next_attempt_at, null)
+    })
+
+    it('fails deliveries of deleted webhooks without sending them', async () => {
+      const delivery = pendingDelivery()
+
+      await webhookService._attempt(delivery, null)
+
+      assert.equal(delivery.status, 'failed')
+      assert.deepEqual(received, [])
+    })
+
+    it('doubles the retry delay after every attempt', () => {
+      process.env.WEBHOOK_RETRY_BASE_SECONDS = '10'
+
+      assert.deepEqual(
+        [1, 2, 3, 4].map((attempts) => webhookService.getRetryDelayMs(attempts)),
+        [10000, 20000, 40000, 80000],
+      )
+    })
+  })
+
+  describe('dispatch', () => {
+    let queued
+
+    beforeEach(() => {
+      queued = []
+      stub(models.Webhook, 'findAll', async () => [
+        { webhook_id: 1, events: ['*'] },
+        { webhook_id: 2, events: ['asset.assigned'] },
+        { webhook_id: 3, events: ['transaction.created'] },
+      ])
+      stub(models.WebhookDelivery, 'bulkCreate', async (rows) => {
+        queued.push(...rows)
+        return rows
+      })
+      stub(webhookService, '_attempt', async () => {})
+    })
+
+    afterEach(async () => {
+      // Deliveries are attempted on the next turn of the event loop
+      await new Promise((resolve) => setImmediate(resolve))
+    })
+
+    it('queues a delivery for each subscribed webhook', async () => {
+      const count = await webhookService.dispatch('asset.assigned', { asset: { asset_id: 5 } })
+
+      assert.equal(count, 2)
+      assert.deepEqual(queued.map((delivery) => delivery.webhook_id), [1, 2])
+      assert.equal(queued[0].event_id, queued[1].event_id)
+      assert.deepEqual(queued[0].payload.data, { asset: { asset_id: 5 } })
+    })
+
+    it('sends one lifecycle event per asset change', async () => {
+      await webhookService.dispatchAssetChanges(
+        { asset_id: 5, status: 'assigned', assigned_to: 9 },
+        { asset_id: 5, status: 'disposed', assigned_to: null },
+        { transaction_id: 8 },
+      )
+
+      assert.deepEqual([...new Set(queued.map((delivery) => delivery.event))], ['asset.disposed'])
+      assert.equal(queued[0].payload.data.transaction_id, 8)
+      assert.deepEqual(queued[0].payload.data.previous, {
+        status: 'assigned',
+        assigned_to: 9,
+        approval_status: null,
+      })
+    })
+
+    it('sends nothing for a transaction whose status did not change', async () => {
+      await webhookService.dispatchTransaction(
+        { transaction_id: 8, status: 'pending' },
+        { previousStatus: 'pending' },
+      )
+
+      assert.deepEqual(queued, [])
+    })
+  })
+})
@@ -0,0 +1,123 @@
+'use strict'
+
+const {
+  ASSET_STATUS_ARRAY,
+  TRANSACTION_ACTIONS_ARRAY,
+  TRANSACTION_STATUS_ARRAY,
+  DEFAULT_ASSET_LIFECYCLE,
+} = require('./constants')
+
+/**
+ * Validate a lifecycle declaration as stored on an asset category class.
+ * Omitted sections fall back to the default lifecycle.
+ * @param {Object} lifecycle
+ * @returns {Array<string>} Error messages, empty when valid
+ */
+function validateLifecycle(lifecycle) {
+  if (lifecycle === null || lifecycle === undefined) return []
+  if (typeof lifecycle !== 'object' || Array.isArray(lifecycle)) {
+    return ['lifecycle must be an object']
+  }
+
+  const errors = []
+  const { statuses, transitions, actions } = normalizeLifecycle(lifecycle)
+
+  if (!statuses.length) {
+    errors.push('lifecycle.statuses must list at least one status')
+  }
+  statuses
+    .filter((status) => !ASSET_STATUS_ARRAY.includes(status))
+    .forEach((status) =>
+      errors.push(
+        `lifecycle.statuses contains unknown status "${status}". Must be one of: ${ASSET_STATUS_ARRAY.join(', ')}`,
+      ),
+    )
+
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!statuses.includes(from)) {
+      errors.push(`lifecycle.transitions has undeclared status "${from}"`)
+    }
+    if (!Array.isArray(targets)) {
+      errors.push(`lifecycle.transitions.${from} must be an array`)
+      return
+    }
+    targets
+      .filter((target) => !statuses.includes(target))
+      .forEach((target) =>
+        errors.push(
+          `lifecycle.transitions.${from} has undeclared status "${target}"`,
+        ),
+      )
+  })
+
+  Object.entries(actions).forEach(([action, byTransactionStatus]) => {
+    if (!TRANSACTION_ACTIONS_ARRAY.includes(action)) {
+      errors.push(`lifecycle.actions has unknown transaction action "${action}"`)
+      return
+    }
+    if (!byTransactionStatus || typeof byTransactionStatus !== 'object') {
+      errors.push(`lifecycle.actions.${action} must be an object`)
+      return
+    }
+    Object.entries(byTransactionStatus).forEach(([transactionStatus, target]) => {
+      if (!TRANSACTION_STATUS_ARRAY.includes(transactionStatus)) {
+        errors.push(
+          `lifecycle.actions.${action} has unknown transaction status "${transactionStatus}"`,
+        )
+      }
+      if (!statuses.includes(target)) {
+        errors.push(
+          `lifecycle.actions.${action}.${transactionStatus} has undeclared status "${target}"`,
+        )
+      }
+    })
+  })
+
+  return errors
+}
+
+/**
+ * Fill the sections a class lifecycle omits from the default lifecycle. Default
+ * transitions and actions are narrowed to the statuses the class declares.
+ * @param {Object|null} lifecycle
+ * @returns {{statuses: string[], transitions: Object, actions: Object}}
+ */
+function normalizeLifecycle(lifecycle) {
+  const source = lifecycle && typeof lifecycle === 'object' ? lifecycle : {}
+  const statuses = Array.isArray(source.statuses)
+    ? source.statuses
+    : DEFAULT_ASSET_LIFECYCLE.statuses
+  const isDeclared = (status) => statuses.includes(status)
+
+  const transitions =
+    source.transitions && typeof source.transitions === 'object'
+      ? source.transitions
+      : Object.fromEntries(
+          Object.entries(DEFAULT_ASSET_LIFECYCLE.transitions)
+            .filter(([from]) => isDeclared(from))
+            .map(([from, targets]) => [from, targets.filter(isDeclared)]),
+        )
+
+  const actions =
+    source.actions && typeof source.actions === 'object'
+      ? source.actions
+      : Object.fromEntries(
+          Object.entries(DEFAULT_ASSET_LIFECYCLE.actions).map(
+            ([action, byTransactionStatus]) => [
+              action,
+              Object.fromEntries(
+                Object.entries(byTransactionStatus).filter(([, target]) =>
+                  isDeclared(target),
+                ),
+              ),
+            ],
+          ),
+        )
+
+  return { statuses, transitions, actions }
+}
+
+module.exports = {
+  normalizeLifecycle,
+  validateLifecycle,
+}
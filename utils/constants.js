@@ -8,7 +8,7 @@
 // =========================================================
 
 /**
- * User roles
+ * Built-in user roles. Custom roles are stored in the roles table.
  */
 const USER_ROLES = {
   ADMIN: "admin",
@@ -67,6 +67,7 @@ const TRANSACTION_ACTIONS = {
   UPDATE: "update",
   DISPOSE: "dispose",
   REQUEST_ASSIGN: "request_assign",
+  ISSUE_CONSUMABLE: "issue_consumable",
 };
 
 /**
@@ -123,6 +124,193 @@ const DOCUMENT_TYPE = {
   OTHER: "other",
 };
 
+// =========================================================
+// Depreciation Constants
+// =========================================================
+
+/**
+ * Depreciation methods
+ * - straight_line: the annual rate applies to (cost - salvage value)
+ * - declining_balance: the annual rate applies to the opening book value of
+ *   each year
+ */
+const DEPRECIATION_METHOD = {
+  STRAIGHT_LINE: "straight_line",
+  DECLINING_BALANCE: "declining_balance",
+};
+
+// =========================================================
+// Warranty Constants
+// =========================================================
+
+/**
+ * Warranty coverage of an asset
+ * - active: covered today (includes expiring)
+ * - expiring: covered today and ending within the requested number of days
+ * - expired: coverage ended before today
+ * - none: no warranty dates and no category default
+ */
+const WARRANTY_STATUS = {
+  ACTIVE: "active",
+  EXPIRING: "expiring",
+  EXPIRED: "expired",
+  NONE: "none",
+};
+
+// =========================================================
+// Notification Constants
+// =========================================================
+
+/**
+ * In-app notification types
+ */
+const NOTIFICATION_TYPE = {
+  WARRANTY_EXPIRING: "warranty_expiring",
+  TRANSACTION_REQUESTED: "transaction_requested",
+  TRANSACTION_ACCEPTED: "transaction_accepted",
+  TRANSACTION_REJECTED: "transaction_rejected",
+  TRANSACTION_COMPLETED: "transaction_completed",
+  TRANSACTION_CANCELLED: "transaction_cancelled",
+  MAINTENANCE_DUE: "maintenance_due",
+  ASSET_APPROVED: "asset_approved",
+  ASSET_REJECTED: "asset_rejected",
+  EXPORT_COMPLETED: "export_completed",
+  EXPORT_FAILED: "export_failed",
+  NEW_LOGIN: "new_login",
+  KIT_ISSUED: "kit_issued",
+  LOW_STOCK: "low_stock",
+  LICENSE_RENEWAL: "license_renewal",
+  LICENSE_OVER_ALLOCATED: "license_over_allocated",
+};
+
+// =========================================================
+// Session Constants
+// =========================================================
+
+/**
+ * Why a login session was revoked
+ */
+const SESSION_REVOKE_REASON = {
+  LOGOUT: "logout",
+  LOGOUT_ALL: "logout_all",
+  REVOKED: "revoked",
+  PASSWORD_CHANGED: "password_changed",
+  USER_DEACTIVATED: "user_deactivated",
+  TOKEN_REUSE: "token_reuse",
+};
+
+/**
+ * Outcome of a login attempt
+ */
+const LOGIN_ATTEMPT_OUTCOME = {
+  SUCCESS: "success",
+  INVALID_PASSWORD: "invalid_password",
+  INVALID_TWO_FACTOR: "invalid_two_factor",
+  UNKNOWN_USER: "unknown_user",
+  ACCOUNT_INACTIVE: "account_inactive",
+  ACCOUNT_LOCKED: "account_locked",
+};
+
+/**
+ * What an access scope rule limits a user to: assets of a department, a
+ * location or a building
+ */
+const ACCESS_SCOPE_TYPE = {
+  DEPARTMENT: "department",
+  LOCATION: "location",
+  BUILDING: "building",
+};
+
+// =========================================================
+// Offboarding Constants
+// =========================================================
+
+/**
+ * Progress of a departing user's offboarding
+ */
+const OFFBOARDING_STATUS = {
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * How an asset held by a departing user was recovered
+ */
+const OFFBOARDING_ITEM_RESOLUTION = {
+  PENDING: "pending",
+  RETURNED: "returned",
+  WRITTEN_OFF: "written_off",
+};
+
+// =========================================================
+// Consumable Constants
+// =========================================================
+
+/**
+ * Kind of change to the quantity on hand of a consumable: received stock,
+ * stock taken out (used, lost, broken) or stock issued to a user through an
+ * issue_consumable transaction
+ */
+const CONSUMABLE_MOVEMENT_TYPE = {
+  STOCK_IN: "stock_in",
+  STOCK_OUT: "stock_out",
+  ISSUE: "issue",
+};
+
+// =========================================================
+// Software License Constants
+// =========================================================
+
+/**
+ * How a software license is counted: seats for users, seats for devices
+ * (assets), a site license without a seat limit, or a subscription renewed
+ * on its expiry date
+ */
+const LICENSE_TYPE = {
+  PER_SEAT: "per_seat",
+  PER_DEVICE: "per_device",
+  SITE: "site",
+  SUBSCRIPTION: "subscription",
+};
+
+// =========================================================
+// Webhook Constants
+// =========================================================
+
+/**
+ * Events delivered to webhook subscriptions
+ */
+const WEBHOOK_EVENT = {
+  ASSET_CREATED: "asset.created",
+  ASSET_APPROVED: "asset.approved",
+  ASSET_ASSIGNED: "asset.assigned",
+  ASSET_RETURNED: "asset.returned",
+  ASSET_DISPOSED: "asset.disposed",
+  TRANSACTION_CREATED: "transaction.created",
+  TRANSACTION_STATUS_CHANGED: "transaction.status_changed",
+  TEST: "webhook.test",
+};
+
+/**
+ * Webhook delivery states
+ */
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+/**
+ * Server-Sent Events pushed on /api/events
+ */
+const STREAM_EVENT = {
+  READY: "ready",
+  NOTIFICATION: "notification",
+  TRANSACTION: "transaction",
+  EXPORT_JOB: "export_job",
+};
+
 // =========================================================
 // Array Constants (for validation and iteration)
 // =========================================================
@@ -172,6 +360,42 @@ const MAINTENANCE_TYPE_ARRAY = Object.values(MAINTENANCE_TYPE);
  */
 const DOCUMENT_TYPE_ARRAY = Object.values(DOCUMENT_TYPE);
 
+/**
+ * All depreciation methods as array
+ */
+const DEPRECIATION_METHOD_ARRAY = Object.values(DEPRECIATION_METHOD);
+
+/**
+ * All warranty statuses as array
+ */
+const WARRANTY_STATUS_ARRAY = Object.values(WARRANTY_STATUS);
+
+/**
+ * Events a webhook can subscribe to (the test event is always allowed)
+ */
+const WEBHOOK_EVENT_ARRAY = Object.values(WEBHOOK_EVENT).filter(
+  (event) => event !== WEBHOOK_EVENT.TEST
+);
+
+/**
+ * All webhook delivery states as array
+ */
+const WEBHOOK_DELIVERY_STATUS_ARRAY = Object.values(WEBHOOK_DELIVERY_STATUS);
+
+/**
+ * All login attempt outcomes as array
+ */
+const LOGIN_ATTEMPT_OUTCOME_ARRAY = Object.values(LOGIN_ATTEMPT_OUTCOME);
+const ACCESS_SCOPE_TYPE_ARRAY = Object.values(ACCESS_SCOPE_TYPE);
+
+/**
+ * All offboarding states and item resolutions as arrays
+ */
+const OFFBOARDING_STATUS_ARRAY = Object.values(OFFBOARDING_STATUS);
+const OFFBOARDING_ITEM_RESOLUTION_ARRAY = Object.values(OFFBOARDING_ITEM_RESOLUTION);
+const CONSUMABLE_MOVEMENT_TYPE_ARRAY = Object.values(CONSUMABLE_MOVEMENT_TYPE);
+const LICENSE_TYPE_ARRAY = Object.values(LICENSE_TYPE);
+
 // =========================================================
 // Default Values
 // =========================================================
@@ -186,6 +410,7 @@ const DEFAULTS = {
   ASSET_CONDITION: ASSET_CONDITION.GOOD,
   TRANSACTION_STATUS: TRANSACTION_STATUS.PENDING,
   TRANSACTION_PRIORITY: TRANSACTION_PRIORITY.MEDIUM,
+  DEPRECIATION_METHOD: DEPRECIATION_METHOD.STRAIGHT_LINE,
 };
 
 // =========================================================
@@ -205,6 +430,14 @@ const SEQUELIZE_ENUMS = {
   TRANSACTION_PRIORITY: TRANSACTION_PRIORITY_ARRAY,
   MAINTENANCE_TYPE: MAINTENANCE_TYPE_ARRAY,
   DOCUMENT_TYPE: DOCUMENT_TYPE_ARRAY,
+  DEPRECIATION_METHOD: DEPRECIATION_METHOD_ARRAY,
+  WEBHOOK_DELIVERY_STATUS: WEBHOOK_DELIVERY_STATUS_ARRAY,
+  LOGIN_ATTEMPT_OUTCOME: LOGIN_ATTEMPT_OUTCOME_ARRAY,
+  ACCESS_SCOPE_TYPE: ACCESS_SCOPE_TYPE_ARRAY,
+  OFFBOARDING_STATUS: OFFBOARDING_STATUS_ARRAY,
+  OFFBOARDING_ITEM_RESOLUTION: OFFBOARDING_ITEM_RESOLUTION_ARRAY,
+  CONSUMABLE_MOVEMENT_TYPE: CONSUMABLE_MOVEMENT_TYPE_ARRAY,
+  LICENSE_TYPE: LICENSE_TYPE_ARRAY,
 };
 
 // =========================================================
@@ -236,6 +469,12 @@ const VALIDATION_MESSAGES = {
   DOCUMENT_TYPE: `Document type must be one of: ${DOCUMENT_TYPE_ARRAY.join(
     ", "
   )}`,
+  DEPRECIATION_METHOD: `Depreciation method must be one of: ${DEPRECIATION_METHOD_ARRAY.join(
+    ", "
+  )}`,
+  WARRANTY_STATUS: `Warranty status must be one of: ${WARRANTY_STATUS_ARRAY.join(
+    ", "
+  )}`,
 };
 
 // =========================================================
@@ -271,6 +510,62 @@ const STATUS_TRANSITIONS = {
   REQUIRES_COMPLETION_TIMESTAMP: [TRANSACTION_STATUS.COMPLETED],
 };
 
+/**
+ * Default asset lifecycle, used for asset category classes that do not
+ * declare their own `lifecycle`.
+ * - statuses: statuses an asset of the class may hold
+ * - transitions: allowed next statuses per current status
+ * - actions: status an asset moves to when a transaction of the given
+ *   action reaches the given transaction status
+ */
+const DEFAULT_ASSET_LIFECYCLE = {
+  statuses: ASSET_STATUS_ARRAY,
+  transitions: {
+    [ASSET_STATUS.AVAILABLE]: [
+      ASSET_STATUS.ASSIGNED,
+      ASSET_STATUS.IN_REPAIR,
+      ASSET_STATUS.RETIRED,
+      ASSET_STATUS.DISPOSED,
+    ],
+    [ASSET_STATUS.ASSIGNED]: [
+      ASSET_STATUS.AVAILABLE,
+      ASSET_STATUS.IN_REPAIR,
+      ASSET_STATUS.RETIRED,
+      ASSET_STATUS.DISPOSED,
+    ],
+    [ASSET_STATUS.IN_REPAIR]: [
+      ASSET_STATUS.AVAILABLE,
+      ASSET_STATUS.ASSIGNED,
+      ASSET_STATUS.RETIRED,
+      ASSET_STATUS.DISPOSED,
+    ],
+    [ASSET_STATUS.RETIRED]: [ASSET_STATUS.DISPOSED],
+    [ASSET_STATUS.DISPOSED]: [],
+  },
+  actions: {
+    [TRANSACTION_ACTIONS.ASSIGN]: {
+      [TRANSACTION_STATUS.ACCEPTED]: ASSET_STATUS.ASSIGNED,
+      [TRANSACTION_STATUS.COMPLETED]: ASSET_STATUS.ASSIGNED,
+      [TRANSACTION_STATUS.REJECTED]: ASSET_STATUS.AVAILABLE,
+    },
+    [TRANSACTION_ACTIONS.RETURN]: {
+      [TRANSACTION_STATUS.ACCEPTED]: ASSET_STATUS.ASSIGNED,
+      [TRANSACTION_STATUS.COMPLETED]: ASSET_STATUS.ASSIGNED,
+    },
+    [TRANSACTION_ACTIONS.REPAIR]: {
+      [TRANSACTION_STATUS.ACCEPTED]: ASSET_STATUS.IN_REPAIR,
+      [TRANSACTION_STATUS.COMPLETED]: ASSET_STATUS.AVAILABLE,
+    },
+    [TRANSACTION_ACTIONS.RETIRE]: {
+      [TRANSACTION_STATUS.COMPLETED]: ASSET_STATUS.RETIRED,
+    },
+    [TRANSACTION_ACTIONS.DISPOSE]: {
+      [TRANSACTION_STATUS.COMPLETED]: ASSET_STATUS.DISPOSED,
+    },
+    [TRANSACTION_ACTIONS.TRANSFER]: {},
+  },
+};
+
 module.exports = {
   // Individual constants
   USER_ROLES,
@@ -282,6 +577,19 @@ module.exports = {
   TRANSACTION_PRIORITY,
   MAINTENANCE_TYPE,
   DOCUMENT_TYPE,
+  DEPRECIATION_METHOD,
+  WARRANTY_STATUS,
+  NOTIFICATION_TYPE,
+  STREAM_EVENT,
+  SESSION_REVOKE_REASON,
+  LOGIN_ATTEMPT_OUTCOME,
+  ACCESS_SCOPE_TYPE,
+  OFFBOARDING_STATUS,
+  OFFBOARDING_ITEM_RESOLUTION,
+  CONSUMABLE_MOVEMENT_TYPE,
+  LICENSE_TYPE,
+  WEBHOOK_EVENT,
+  WEBHOOK_DELIVERY_STATUS,
 
   // Array constants
   USER_ROLES_ARRAY,
@@ -293,6 +601,16 @@ module.exports = {
   TRANSACTION_PRIORITY_ARRAY,
   MAINTENANCE_TYPE_ARRAY,
   DOCUMENT_TYPE_ARRAY,
+  DEPRECIATION_METHOD_ARRAY,
+  WARRANTY_STATUS_ARRAY,
+  WEBHOOK_EVENT_ARRAY,
+  WEBHOOK_DELIVERY_STATUS_ARRAY,
+  LOGIN_ATTEMPT_OUTCOME_ARRAY,
+  ACCESS_SCOPE_TYPE_ARRAY,
+  OFFBOARDING_STATUS_ARRAY,
+  OFFBOARDING_ITEM_RESOLUTION_ARRAY,
+  CONSUMABLE_MOVEMENT_TYPE_ARRAY,
+  LICENSE_TYPE_ARRAY,
 
   // Default values
   DEFAULTS,
@@ -306,4 +624,5 @@ module.exports = {
   // Business logic constants
   PERMISSIONS,
   STATUS_TRANSITIONS,
+  DEFAULT_ASSET_LIFECYCLE,
 };
@@ -0,0 +1,251 @@
+'use strict'
+
+const { ASSET_STATUS, DEPRECIATION_METHOD, DEFAULTS } = require('./constants')
+
+// Declining balance never reaches the salvage value, so schedules stop here
+const MAX_SCHEDULE_YEARS = 50
+
+// Amounts are computed in cents so yearly and period totals add up exactly
+const toCents = (value) => Math.round(Number(value || 0) * 100)
+const fromCents = (cents) => cents / 100
+
+// Months are numbered as year * 12 + month so they can be compared directly
+const monthIndexOf = (date) => date.getUTCFullYear() * 12 + date.getUTCMonth()
+
+const monthStart = (index) =>
+  new Date(Date.UTC(Math.floor(index / 12), index % 12, 1))
+
+const monthEnd = (index) =>
+  new Date(Date.UTC(Math.floor(index / 12), (index % 12) + 1, 0))
+
+const toDateKey = (date) => date.toISOString().split('T')[0]
+
+function parseDate(value) {
+  if (!value) return null
+  const parsed = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(parsed.getTime()) ? null : parsed
+}
+
+/**
+ * Depreciation inputs for an asset, or null when it cannot be depreciated
+ * (no purchase cost or purchase date). The asset's own depreciation_method
+ * overrides the category's; the annual rate always comes from the category.
+ * @param {Object} asset - Asset row with purchase_cost, purchase_date, salvage_value, depreciation_method, disposal_date
+ * @param {Object} [category] - AssetCategory row with depreciation_rate, depreciation_method
+ * @returns {Object|null}
+ */
+function resolveDepreciationBasis(asset, category = null) {
+  const purchaseDate = parseDate(asset?.purchase_date)
+  if (
+    !purchaseDate ||
+    asset.purchase_cost === null ||
+    asset.purchase_cost === undefined
+  ) {
+    return null
+  }
+
+  const cost = toCents(asset.purchase_cost)
+  const salvage = Math.min(toCents(asset.salvage_value), cost)
+  const rate = Math.max(Number(category?.depreciation_rate) || 0, 0)
+  const method =
+    asset.depreciation_method ||
+    category?.depreciation_method ||
+    DEFAULTS.DEPRECIATION_METHOD
+  const disposalDate = parseDate(asset.disposal_date)
+  const startMonth = monthIndexOf(purchaseDate)
+
+  return {
+    cost,
+    salvage,
+    rate,
+    method,
+    purchaseDate,
+    disposalDate,
+    startMonth,
+    // First month without depreciation; the disposal month is not charged
+    endMonth: disposalDate
+      ? Math.max(monthIndexOf(disposalDate), startMonth)
+      : null,
+  }
+}
+
+/**
+ * Walk the asset's months from purchase, calling `visit` with each month's
+ * opening book value and charge (cents). Full-month convention: the purchase
+ * month is charged in full and the disposal month is not charged.
+ * @param {Object} basis - From resolveDepreciationBasis
+ * @param {number} lastMonth - Last month index to visit
+ * @param {Function} visit - ({ month, opening, charge }) => void
+ * @returns {number} Book value in cents after lastMonth
+ */
+function walkMonths(basis, lastMonth, visit = () => {}) {
+  const { cost, salvage, rate, method, startMonth, endMonth } = basis
+  const finalMonth =
+    endMonth === null ? lastMonth : Math.min(lastMonth, endMonth - 1)
+
+  let book = cost
+  let yearOpening = cost
+  for (let month = startMonth; month <= finalMonth; month += 1) {
+    if (month % 12 === 0) {
+      yearOpening = book
+    }
+
+    const annualCharge =
+      method === DEPRECIATION_METHOD.DECLINING_BALANCE
+        ? (yearOpening * rate) / 100
+        : ((cost - salvage) * rate) / 100
+    // Spread the annual charge so the twelve months add up to it exactly
+    const position = month % 12
+    const monthlyCharge =
+      Math.round((annualCharge * (position + 1)) / 12) -
+      Math.round((annualCharge * position) / 12)
+    const charge = Math.max(Math.min(monthlyCharge, book - salvage), 0)
+
+    visit({ month, opening: book, charge })
+    book -= charge
+  }
+
+  return book
+}
+
+/**
+ * Book value after depreciating through the month of `date`.
+ * @param {Object} basis - From resolveDepreciationBasis
+ * @param {Date|string} date
+ * @returns {{accumulated_depreciation: number, book_value: number}}
+ */
+function bookValueAt(basis, date) {
+  const book = walkMonths(basis, monthIndexOf(parseDate(date)))
+  return {
+    accumulated_depreciation: fromCents(basis.cost - book),
+    book_value: fromCents(book),
+  }
+}
+
+/**
+ * Yearly depreciation schedule from the purchase year until the asset is
+ * fully depreciated, disposed of, or MAX_SCHEDULE_YEARS have passed. Assets
+ * with a zero rate are scheduled up to the current year.
+ * @param {Object} basis - From resolveDepreciationBasis
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Array<Object>}
+ */
+function buildSchedule(basis, { now = new Date() } = {}) {
+  const years = new Map()
+  const lastMonth = basis.startMonth + MAX_SCHEDULE_YEARS * 12 - 1
+
+  walkMonths(basis, lastMonth, ({ month, opening, charge }) => {
+    const year = Math.floor(month / 12)
+    if (!years.has(year)) {
+      years.set(year, {
+        year,
+        firstMonth: month,
+        lastMonth: month,
+        opening,
+        depreciation: 0,
+      })
+    }
+    const entry = years.get(year)
+    entry.lastMonth = month
+    entry.depreciation += charge
+  })
+
+  const currentYear = now.getUTCFullYear()
+  const schedule = []
+  let accumulated = 0
+  for (const entry of years.values()) {
+    if (!entry.depreciation && entry.year > currentYear && schedule.length) {
+      break
+    }
+
+    accumulated += entry.depreciation
+    schedule.push({
+      year: entry.year,
+      period_start: toDateKey(monthStart(entry.firstMonth)),
+      period_end: toDateKey(monthEnd(entry.lastMonth)),
+      months: entry.lastMonth - entry.firstMonth + 1,
+      opening_value: fromCents(entry.opening),
+      depreciation: fromCents(entry.depreciation),
+      accumulated_depreciation: fromCents(accumulated),
+      closing_value: fromCents(entry.opening - entry.depreciation),
+    })
+
+    if (entry.opening - entry.depreciation <= basis.salvage) {
+      break
+    }
+  }
+
+  return schedule
+}
+
+/**
+ * Register movements of one asset over a period: opening book value,
+ * additions (purchases in the period), depreciation charged, book value
+ * written off by disposals and closing book value. For every asset
+ * opening + additions - depreciation - disposals = closing.
+ * @param {Object} basis - From resolveDepreciationBasis
+ * @param {Date} periodStart
+ * @param {Date} periodEnd
+ * @returns {Object|null} Null when the asset was not held during the period
+ */
+function periodMovements(basis, periodStart, periodEnd) {
+  const startKey = toDateKey(periodStart)
+  const endKey = toDateKey(periodEnd)
+  const purchaseKey = toDateKey(basis.purchaseDate)
+  const disposalKey = basis.disposalDate ? toDateKey(basis.disposalDate) : null
+
+  if (purchaseKey > endKey || (disposalKey && disposalKey < startKey)) {
+    return null
+  }
+
+  const startMonth = monthIndexOf(periodStart)
+  const endMonth = monthIndexOf(periodEnd)
+  const heldAtStart = purchaseKey < startKey
+  const disposedInPeriod = Boolean(disposalKey && disposalKey <= endKey)
+
+  const opening = heldAtStart ? walkMonths(basis, startMonth - 1) : 0
+  const additions = heldAtStart ? 0 : basis.cost
+  let depreciation = 0
+  const book = walkMonths(basis, endMonth, ({ month, charge }) => {
+    if (month >= startMonth) {
+      depreciation += charge
+    }
+  })
+
+  return {
+    opening_value: fromCents(opening),
+    additions: fromCents(additions),
+    depreciation: fromCents(depreciation),
+    disposals: disposedInPeriod ? fromCents(book) : 0,
+    closing_value: disposedInPeriod ? 0 : fromCents(book),
+  }
+}
+
+/**
+ * Stamp today's date as disposal_date on changes that dispose of an asset,
+ * unless a disposal date is given or already recorded.
+ * @param {Object} asset - Current asset row (status, disposal_date)
+ * @param {Object} changes - Columns about to be written
+ * @returns {Object} changes, with disposal_date when stamped
+ */
+function withDisposalDate(asset, changes = {}) {
+  if (
+    changes.status !== ASSET_STATUS.DISPOSED ||
+    asset?.status === ASSET_STATUS.DISPOSED ||
+    changes.disposal_date ||
+    asset?.disposal_date
+  ) {
+    return changes
+  }
+
+  return { ...changes, disposal_date: toDateKey(new Date()) }
+}
+
+module.exports = {
+  resolveDepreciationBasis,
+  bookValueAt,
+  buildSchedule,
+  periodMovements,
+  withDisposalDate,
+}
@@ -124,6 +124,7 @@ logger.logRequest = (req, res, responseTime) => {
         referrer: req?.get ? req.get('Referer') || req.get('Referrer') : null,
         contentLength: res?.getHeader ? res.getHeader('content-length') || null : null,
         userId: req?.user ? req.user.user_id || req.user.id : null,
+        apiKeyId: req?.apiKey ? req.apiKey.api_key_id : null,
     };
 
     if (res?.statusCode >= 400) {
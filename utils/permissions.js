@@ -12,6 +12,8 @@ const MODULES = {
     PROFILE: 'profile',
     MAINTENANCE: 'maintenance',
     DOCUMENTS: 'documents',
+    CONSUMABLES: 'consumables',
+    LICENSES: 'licenses',
 }
 
 // permissions
@@ -80,6 +82,18 @@ const ADMIN_PERMISSIONS = {
         PERMISSIONS.CREATE,
         PERMISSIONS.UPDATE,
         PERMISSIONS.DELETE],
+    [MODULES.CONSUMABLES]: [
+        PERMISSIONS.LIST,
+        PERMISSIONS.GET_BY_ID,
+        PERMISSIONS.CREATE,
+        PERMISSIONS.UPDATE,
+        PERMISSIONS.DELETE],
+    [MODULES.LICENSES]: [
+        PERMISSIONS.LIST,
+        PERMISSIONS.GET_BY_ID,
+        PERMISSIONS.CREATE,
+        PERMISSIONS.UPDATE,
+        PERMISSIONS.DELETE],
 }
 
 const IT_MANAGER_PERMISSIONS = {
@@ -127,6 +141,18 @@ const IT_MANAGER_PERMISSIONS = {
         PERMISSIONS.CREATE,
         PERMISSIONS.UPDATE,
         PERMISSIONS.DELETE],
+    [MODULES.CONSUMABLES]: [
+        PERMISSIONS.LIST,
+        PERMISSIONS.GET_BY_ID,
+        PERMISSIONS.CREATE,
+        PERMISSIONS.UPDATE,
+        PERMISSIONS.DELETE],
+    [MODULES.LICENSES]: [
+        PERMISSIONS.LIST,
+        PERMISSIONS.GET_BY_ID,
+        PERMISSIONS.CREATE,
+        PERMISSIONS.UPDATE,
+        PERMISSIONS.DELETE],
 }
 
 const EMPLOYEE_PERMISSIONS = {
@@ -154,27 +180,51 @@ const EMPLOYEE_PERMISSIONS = {
         PERMISSIONS.GET_BY_ID,
         PERMISSIONS.CREATE,
         PERMISSIONS.UPDATE],
+    [MODULES.CONSUMABLES]: [],
+    [MODULES.LICENSES]: [],
+}
+
+// Permissions of the built-in roles, seeded into the roles table
+const DEFAULT_ROLE_PERMISSIONS = {
+    admin: ADMIN_PERMISSIONS,
+    it_manager: IT_MANAGER_PERMISSIONS,
+    employee: EMPLOYEE_PERMISSIONS,
 }
 
+// Permissions by role name. roleService replaces this with the roles stored in
+// the database; the defaults apply until they are loaded.
+let rolePermissions = DEFAULT_ROLE_PERMISSIONS;
+
+const setRolePermissions = (permissionsByRole) => {
+    rolePermissions = permissionsByRole;
+};
+
+const getRolePermissions = () => rolePermissions;
+
+// Permissions of API keys, by the pseudo-role their requests run with
+// (`api_key:<id>`). Kept apart from the roles so reloading roles keeps them.
+const apiKeyPermissions = new Map();
+
+const setApiKeyPermissions = (role, permissions) => {
+    if (permissions) {
+        apiKeyPermissions.set(role, permissions);
+    } else {
+        apiKeyPermissions.delete(role);
+    }
+};
+
 // Function to check if a role has a specific permission
 const checkPermission = (role, module, permission) => {
-    let rolePermissions;
-
-    switch (role.toLowerCase()) {
-        case 'admin':
-            rolePermissions = ADMIN_PERMISSIONS;
-            break;
-        case 'it_manager':
-            rolePermissions = IT_MANAGER_PERMISSIONS;
-            break;
-        case 'employee':
-            rolePermissions = EMPLOYEE_PERMISSIONS;
-            break;
-        default:
-            return false;
+    if (!role) {
+        return false;
+    }
+
+    const permissions = rolePermissions[role.toLowerCase()] || apiKeyPermissions.get(role);
+    if (!permissions) {
+        return false;
     }
 
-    const modulePermissions = rolePermissions[module];
+    const modulePermissions = permissions[module];
     if (!modulePermissions) {
         return false;
     }
@@ -186,7 +236,11 @@ module.exports = {
     ADMIN_PERMISSIONS,
     IT_MANAGER_PERMISSIONS,
     EMPLOYEE_PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
     checkPermission,
+    setRolePermissions,
+    getRolePermissions,
+    setApiKeyPermissions,
     MODULES,
     PERMISSIONS
 }
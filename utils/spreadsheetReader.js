@@ -0,0 +1,423 @@
+'use strict'
+
+const fs = require('fs').promises
+const path = require('path')
+const zlib = require('zlib')
+
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const ZIP_METHOD_STORED = 0
+const ZIP_METHOD_DEFLATE = 8
+// Limits on the archive of an uploaded workbook, so a small zip bomb cannot
+// exhaust memory: entries listed, size of one inflated entry, and size of all
+// entries inflated for one workbook
+const MAX_ZIP_ENTRIES = 1000
+const MAX_ZIP_ENTRY_SIZE = 64 * 1024 * 1024
+const MAX_ZIP_TOTAL_SIZE = 128 * 1024 * 1024
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx']
+
+/**
+ * Read a CSV or XLSX file into plain worksheets.
+ * Each worksheet is `{ name, headers, rows, rowNumbers }` where rows are
+ * objects keyed by header, mirroring the shape `_buildXlsxBuffer` in the asset
+ * service writes, and rowNumbers holds the source row number of each row.
+ *
+ * @param {string} filePath - Absolute path to the uploaded file.
+ * @param {Object} [options]
+ * @param {string} [options.originalName] - Original file name used to detect the format.
+ * @returns {Promise<Array<{name: string, headers: string[], rows: Object[], rowNumbers: number[]}>>}
+ */
+async function readSpreadsheet(filePath, { originalName = null } = {}) {
+  const extension = path.extname(originalName || filePath).toLowerCase()
+  const buffer = await fs.readFile(filePath)
+
+  if (extension === '.csv') {
+    return [
+      toWorksheet(
+        path.basename(originalName || filePath, extension),
+        parseCsv(buffer.toString('utf8')),
+      ),
+    ]
+  }
+
+  if (extension === '.xlsx') {
+    return readXlsxBuffer(buffer)
+  }
+
+  throw new Error(
+    `Unsupported file type "${extension || 'unknown'}". Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`,
+  )
+}
+
+/**
+ * Parse RFC 4180 style CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes, embedded newlines and a UTF-8 BOM.
+ * The delimiter is sniffed from the first line (comma or semicolon).
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '')
+  const firstLine = source.split(/\r?\n/, 1)[0] || ''
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ';'
+      : ','
+
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"'
+          i += 1
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1
+      }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Read every worksheet of an XLSX workbook buffer.
+ * Supports shared strings, inline strings, booleans and numeric cells.
+ */
+function readXlsxBuffer(buffer) {
+  const entries = readZipEntries(buffer)
+  // Only the entries the workbook needs are inflated
+  let inflatedSize = 0
+  const readText = (entryPath) => {
+    const entry = entries.get(entryPath)
+    if (!entry) return null
+    const data = inflateZipEntry(
+      buffer,
+      entry,
+      Math.min(MAX_ZIP_ENTRY_SIZE, MAX_ZIP_TOTAL_SIZE - inflatedSize),
+    )
+    inflatedSize += data.length
+    return data.toString('utf8')
+  }
+
+  const workbookXml = readText('xl/workbook.xml')
+  if (!workbookXml) {
+    throw new Error('Invalid XLSX file: workbook.xml not found')
+  }
+
+  const relsXml = readText('xl/_rels/workbook.xml.rels') || ''
+  const targetsById = new Map()
+  for (const match of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const attrs = parseAttributes(match[1])
+    if (attrs.Id && attrs.Target) {
+      targetsById.set(attrs.Id, attrs.Target)
+    }
+  }
+
+  const sharedStrings = parseSharedStrings(readText('xl/sharedStrings.xml'))
+  const worksheets = []
+
+  for (const match of workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+    const attrs = parseAttributes(match[1])
+    const target = targetsById.get(attrs['r:id'])
+    if (!target) continue
+
+    const sheetPath = target.startsWith('/')
+      ? target.slice(1)
+      : path.posix.normalize(`xl/${target}`)
+    const sheetXml = readText(sheetPath)
+    if (!sheetXml) continue
+
+    worksheets.push(
+      toWorksheet(
+        decodeXml(attrs.name || `Sheet${worksheets.length + 1}`),
+        parseWorksheetRows(sheetXml, sharedStrings),
+      ),
+    )
+  }
+
+  return worksheets
+}
+
+/**
+ * Convert an Excel serial date number into a JS Date (1900 date system).
+ */
+function excelSerialToDate(serial) {
+  const value = Number(serial)
+  if (!Number.isFinite(value)) return null
+  const millis = Math.round((value - 25569) * 24 * 60 * 60 * 1000)
+  const date = new Date(millis)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+function toWorksheet(name, rawRows) {
+  // Keep the 1-based spreadsheet row number of every row so errors can point
+  // at the line the user sees, even when blank rows are skipped.
+  const nonEmptyRows = rawRows
+    .map((cells, index) => ({ cells, rowNumber: index + 1 }))
+    .filter(({ cells }) =>
+      cells.some((cell) => String(cell ?? '').trim() !== ''),
+    )
+  const [headerRow = { cells: [] }, ...dataRows] = nonEmptyRows
+  const headers = headerRow.cells.map((cell, index) =>
+    String(cell ?? '').trim() || `Column ${index + 1}`,
+  )
+
+  const rows = dataRows.map(({ cells }) =>
+    headers.reduce((acc, header, index) => {
+      const value = cells[index]
+      acc[header] = value === undefined || value === null ? '' : String(value)
+      return acc
+    }, {}),
+  )
+
+  return {
+    name,
+    headers,
+    rows,
+    rowNumbers: dataRows.map(({ rowNumber }) => rowNumber),
+  }
+}
+
+function parseWorksheetRows(sheetXml, sharedStrings) {
+  const rows = []
+
+  for (const rowMatch of sheetXml.matchAll(
+    /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g,
+  )) {
+    const rowAttrs = parseAttributes(rowMatch[1])
+    const rowIndex = rowAttrs.r ? parseInt(rowAttrs.r, 10) - 1 : rows.length
+    const cells = []
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(
+      /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g,
+    )) {
+      const attrs = parseAttributes(cellMatch[1])
+      const columnIndex = attrs.r
+        ? columnNameToIndex(attrs.r.replace(/\d+$/, ''))
+        : cells.length
+      cells[columnIndex] = readCellValue(attrs.t, cellMatch[2] || '', sharedStrings)
+    }
+
+    for (let i = 0; i < cells.length; i += 1) {
+      if (cells[i] === undefined) cells[i] = ''
+    }
+
+    rows[rowIndex] = cells
+  }
+
+  return Array.from(rows, (cells) => cells || [])
+}
+
+function readCellValue(type, innerXml, sharedStrings) {
+  if (type === 'inlineStr') {
+    return readRichText(innerXml)
+  }
+
+  const rawValue = (innerXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1]
+  if (rawValue === undefined) {
+    return ''
+  }
+
+  if (type === 's') {
+    return sharedStrings[parseInt(rawValue, 10)] ?? ''
+  }
+
+  if (type === 'b') {
+    return rawValue === '1' ? 'true' : 'false'
+  }
+
+  return decodeXml(rawValue)
+}
+
+function parseSharedStrings(xml) {
+  if (!xml) return []
+  return Array.from(xml.matchAll(/<si>([\s\S]*?)<\/si>/g), (match) =>
+    readRichText(match[1]),
+  )
+}
+
+function readRichText(xml) {
+  return Array.from(xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), (match) =>
+    decodeXml(match[1]),
+  ).join('')
+}
+
+function parseAttributes(source) {
+  const attrs = {}
+  for (const match of String(source || '').matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attrs[match[1]] = match[2]
+  }
+  return attrs
+}
+
+function decodeXml(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16)),
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&')
+}
+
+function columnNameToIndex(name) {
+  let index = 0
+  for (const char of String(name).toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64)
+  }
+  return Math.max(index - 1, 0)
+}
+
+/**
+ * List the entries of a zip archive without inflating them.
+ * @returns {Map<string, {method: number, compressedSize: number, uncompressedSize: number, dataStart: number}>}
+ */
+function readZipEntries(buffer) {
+  let eocdOffset = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      eocdOffset = i
+      break
+    }
+  }
+
+  if (eocdOffset < 0) {
+    throw new Error('Invalid XLSX file: not a zip archive')
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10)
+  if (entryCount > MAX_ZIP_ENTRIES) {
+    throw new Error(
+      `Invalid XLSX file: more than ${MAX_ZIP_ENTRIES} entries in the archive`,
+    )
+  }
+
+  let offset = buffer.readUInt32LE(eocdOffset + 16)
+  const entries = new Map()
+
+  for (let i = 0; i < entryCount; i += 1) {
+    if (
+      offset + 46 > buffer.length ||
+      buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER
+    ) {
+      throw new Error('Invalid XLSX file: corrupt central directory')
+    }
+
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const uncompressedSize = buffer.readUInt32LE(offset + 24)
+    const fileNameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localOffset = buffer.readUInt32LE(offset + 42)
+    const fileName = buffer
+      .slice(offset + 46, offset + 46 + fileNameLength)
+      .toString('utf8')
+
+    if (
+      localOffset + 30 > buffer.length ||
+      buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER
+    ) {
+      throw new Error('Invalid XLSX file: corrupt local header')
+    }
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26)
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28)
+    entries.set(fileName, {
+      method,
+      compressedSize,
+      uncompressedSize,
+      dataStart: localOffset + 30 + localNameLength + localExtraLength,
+    })
+
+    offset += 46 + fileNameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+/**
+ * Inflate one zip entry, refusing to produce more than `maxSize` bytes.
+ * @param {Buffer} buffer - The archive
+ * @param {Object} entry - From readZipEntries
+ * @param {number} maxSize
+ * @returns {Buffer}
+ */
+function inflateZipEntry(buffer, entry, maxSize) {
+  const tooLarge = () =>
+    new Error('Invalid XLSX file: the workbook is too large once uncompressed')
+
+  if (entry.uncompressedSize > maxSize) {
+    throw tooLarge()
+  }
+
+  const data = buffer.slice(
+    entry.dataStart,
+    entry.dataStart + entry.compressedSize,
+  )
+
+  if (entry.method === ZIP_METHOD_STORED) {
+    if (data.length > maxSize) {
+      throw tooLarge()
+    }
+    return data
+  }
+
+  if (entry.method !== ZIP_METHOD_DEFLATE) {
+    throw new Error('Invalid XLSX file: unsupported compression method')
+  }
+
+  // The declared size is not trusted: inflation itself stops at maxSize
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(maxSize, 1) })
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw tooLarge()
+    }
+    throw error
+  }
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  readSpreadsheet,
+  readXlsxBuffer,
+  parseCsv,
+  excelSerialToDate,
+}
@@ -0,0 +1,149 @@
+'use strict'
+
+const crypto = require('crypto')
+
+// RFC 6238 defaults used by authenticator apps
+const STEP_SECONDS = 30
+const DIGITS = 6
+const SECRET_BYTES = 20
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect.
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES))
+}
+
+/**
+ * Time step a moment falls in.
+ * @param {Date|number} [at]
+ * @returns {number}
+ */
+function getStep(at = Date.now()) {
+  return Math.floor(new Date(at).getTime() / 1000 / STEP_SECONDS)
+}
+
+/**
+ * Code for a time step (HOTP with the step as counter).
+ * @param {string} secret - Base32 secret
+ * @param {number} step
+ * @returns {string}
+ */
+function generateCode(secret, step = getStep()) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+/**
+ * Check a code against the current step and `window` steps either side, to
+ * allow for clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.window]
+ * @param {Date|number} [options.at]
+ * @returns {number|null} The matching step, or null
+ */
+function verifyCode(secret, code, { window = 1, at = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null
+  }
+
+  const current = getStep(at)
+  for (let offset = -window; offset <= window; offset += 1) {
+    const expected = generateCode(secret, current + offset)
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return current + offset
+    }
+  }
+
+  return null
+}
+
+/**
+ * otpauth:// URI that authenticator apps import, usually from a QR code.
+ * @param {string} secret - Base32 secret
+ * @param {Object} options
+ * @param {string} options.issuer
+ * @param {string} options.account - Usually the user's email
+ * @returns {string}
+ */
+function buildOtpauthUrl(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+  // Some authenticator apps do not decode "+" as a space
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`
+}
+
+module.exports = {
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  base32Encode,
+  base32Decode,
+}
@@ -1,6 +1,5 @@
 const Joi = require("joi");
 const {
-  USER_ROLES_ARRAY,
   USER_STATUS_ARRAY,
   TRANSACTION_ACTIONS_ARRAY,
   TRANSACTION_STATUS_ARRAY,
@@ -39,11 +38,14 @@ const authValidationSchemas = {
         "any.required": "Email is required",
       }),
 
+    // Checked against the roles table when the user is saved
     role: Joi.string()
-      .valid(...USER_ROLES_ARRAY)
+      .trim()
+      .lowercase()
+      .max(50)
       .default(DEFAULTS.USER_ROLE)
       .messages({
-        "any.only": VALIDATION_MESSAGES.USER_ROLE,
+        "string.max": "Role cannot exceed 50 characters",
       }),
 
     password: Joi.string().required().messages({
@@ -118,10 +120,12 @@ const authValidationSchemas = {
     }),
 
     role: Joi.string()
-      .valid(...USER_ROLES_ARRAY)
+      .trim()
+      .lowercase()
+      .max(50)
       .optional()
       .messages({
-        "any.only": VALIDATION_MESSAGES.USER_ROLE,
+        "string.max": "Role cannot exceed 50 characters",
       }),
 
     department_id: Joi.number()
@@ -157,6 +161,60 @@ const authValidationSchemas = {
       "any.required": "New password is required",
     }),
   }),
+
+  /**
+   * Two-factor login step validation schema
+   */
+  verifyTwoFactorLogin: Joi.object({
+    challenge_token: Joi.string().required().messages({
+      "string.empty": "Challenge token is required",
+      "any.required": "Challenge token is required",
+    }),
+
+    code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+      "string.pattern.base": "Verification code must be 6 digits",
+    }),
+
+    recovery_code: Joi.string().trim().max(50),
+  })
+    .xor("code", "recovery_code")
+    .messages({
+      "object.missing": "Either a verification code or a recovery code is required",
+      "object.xor": "Provide either a verification code or a recovery code, not both",
+    }),
+
+  /**
+   * Forgot password validation schema
+   */
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .max(255)
+      .lowercase()
+      .trim()
+      .required()
+      .messages({
+        "string.empty": "Email is required",
+        "string.email": "Please provide a valid email address",
+        "string.max": "Email cannot exceed 255 characters",
+        "any.required": "Email is required",
+      }),
+  }),
+
+  /**
+   * Reset password validation schema
+   */
+  resetPassword: Joi.object({
+    token: Joi.string().trim().required().messages({
+      "string.empty": "Reset token is required",
+      "any.required": "Reset token is required",
+    }),
+
+    new_password: Joi.string().required().messages({
+      "string.empty": "New password is required",
+      "any.required": "New password is required",
+    }),
+  }),
 };
 
 /**
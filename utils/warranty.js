@@ -0,0 +1,128 @@
+'use strict'
+
+const { Sequelize, Op } = require('sequelize')
+const { WARRANTY_STATUS } = require('./constants')
+
+const DEFAULT_EXPIRING_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const toDateKey = (value) => {
+  if (!value) return null
+  if (typeof value === 'string') return value.slice(0, 10)
+  return value.toISOString().split('T')[0]
+}
+
+/**
+ * SQL for the date an asset's warranty ends: its own warranty_end_date, else
+ * warranty_start_date (or purchase_date) plus the category's
+ * default_warranty_months. NULL when neither applies.
+ * @param {string} [alias] - Table alias of the assets table in the query
+ * @returns {string}
+ */
+function warrantyEndDateSql(alias = 'Asset') {
+  return (
+    `COALESCE(\`${alias}\`.\`warranty_end_date\`, DATE_ADD(` +
+    `COALESCE(\`${alias}\`.\`warranty_start_date\`, \`${alias}\`.\`purchase_date\`), ` +
+    'INTERVAL (SELECT `asset_categories`.`default_warranty_months` FROM `asset_categories` ' +
+    `WHERE \`asset_categories\`.\`category_id\` = \`${alias}\`.\`category_id\`) MONTH))`
+  )
+}
+
+/**
+ * Attribute selecting the effective warranty end date as `warranty_expires_on`.
+ * @param {string} [alias]
+ */
+function warrantyExpiresOnAttribute(alias = 'Asset') {
+  return [Sequelize.literal(warrantyEndDateSql(alias)), 'warranty_expires_on']
+}
+
+/**
+ * Parse the "expiring within N days" window.
+ * @param {*} value
+ * @returns {number|null} Null when invalid
+ */
+function parseExpiringDays(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_EXPIRING_DAYS
+  }
+  const days = Number(value)
+  return Number.isInteger(days) && days >= 0 ? days : null
+}
+
+/**
+ * Where condition matching assets whose warranty has the given status.
+ * @param {string} status - One of WARRANTY_STATUS
+ * @param {Object} [options]
+ * @param {number} [options.days] - Window for WARRANTY_STATUS.EXPIRING
+ * @param {Date} [options.now]
+ * @param {string} [options.alias]
+ */
+function buildWarrantyWhere(
+  status,
+  { days = DEFAULT_EXPIRING_DAYS, now = new Date(), alias = 'Asset' } = {},
+) {
+  const endDate = Sequelize.literal(warrantyEndDateSql(alias))
+  const today = toDateKey(now)
+
+  switch (status) {
+    case WARRANTY_STATUS.NONE:
+      return Sequelize.where(endDate, Op.is, null)
+    case WARRANTY_STATUS.EXPIRED:
+      return Sequelize.where(endDate, Op.lt, today)
+    case WARRANTY_STATUS.EXPIRING:
+      return Sequelize.where(endDate, Op.between, [
+        today,
+        toDateKey(new Date(now.getTime() + days * DAY_MS)),
+      ])
+    default:
+      return Sequelize.where(endDate, Op.gte, today)
+  }
+}
+
+/**
+ * Warranty status for an effective end date.
+ * @param {Date|string|null} expiresOn
+ * @param {Object} [options]
+ * @param {number} [options.days]
+ * @param {Date} [options.now]
+ * @returns {string} One of WARRANTY_STATUS
+ */
+function getWarrantyStatus(
+  expiresOn,
+  { days = DEFAULT_EXPIRING_DAYS, now = new Date() } = {},
+) {
+  const endKey = toDateKey(expiresOn)
+  if (!endKey) return WARRANTY_STATUS.NONE
+
+  const today = toDateKey(now)
+  if (endKey < today) return WARRANTY_STATUS.EXPIRED
+  if (endKey <= toDateKey(new Date(now.getTime() + days * DAY_MS))) {
+    return WARRANTY_STATUS.EXPIRING
+  }
+  return WARRANTY_STATUS.ACTIVE
+}
+
+/**
+ * Whole days from today until the warranty ends (negative once expired).
+ * @param {Date|string|null} expiresOn
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+function daysUntil(expiresOn, now = new Date()) {
+  const endKey = toDateKey(expiresOn)
+  if (!endKey) return null
+  return Math.round(
+    (new Date(endKey).getTime() - new Date(toDateKey(now)).getTime()) / DAY_MS,
+  )
+}
+
+module.exports = {
+  DEFAULT_EXPIRING_DAYS,
+  toDateKey,
+  warrantyEndDateSql,
+  warrantyExpiresOnAttribute,
+  parseExpiringDays,
+  buildWarrantyWhere,
+  getWarrantyStatus,
+  daysUntil,
+}